@@ -60,6 +60,10 @@ initNotificationModule(app);
 const { initializeModule: initOrderModule } = require('./modules/order/order.module');
 initOrderModule(app);
 
+// Wallet Routes (Shoppi Pay)
+const walletRoutes = require('./modules/wallet/wallet.routes');
+app.use('/api/wallet', walletRoutes);
+
 // Chat Module Routes
 const chatRoutes = require('./modules/chat/chat.routes');
 app.use('/api/chat', chatRoutes);
@@ -103,6 +107,9 @@ const adminVouchersRoutes = require('./modules/admin/vouchers.routes');
 const adminShippersRoutes = require('./modules/admin/shippers.routes');
 const adminPostOfficesRoutes = require('./modules/admin/post-offices.routes');
 const adminAnalyticsRoutes = require('./modules/shipper/analytics.routes');
+const adminJobsRoutes = require('./modules/admin/jobs.routes');
+const adminWebhooksRoutes = require('./modules/admin/webhooks.routes');
+const adminSearchRoutes = require('./modules/admin/search.routes');
 app.use('/api/admin/settings', adminSettingsRoutes);
 app.use('/api/admin/users', adminUsersRoutes);
 app.use('/api/admin/shops', adminShopsRoutes);
@@ -111,6 +118,9 @@ app.use('/api/admin/orders', adminOrdersRoutes);
 app.use('/api/admin/vouchers', adminVouchersRoutes);
 app.use('/api/admin/post-offices', adminPostOfficesRoutes);
 app.use('/api/admin/analytics', adminAnalyticsRoutes);
+app.use('/api/admin/jobs', adminJobsRoutes);
+app.use('/api/admin/webhooks', adminWebhooksRoutes);
+app.use('/api/admin/search', adminSearchRoutes);
 app.use('/api/shippers', adminShippersRoutes); // Mounted at /api/shippers as frontend expects
 // Note: /api/admin/products is handled by product.module.js
 
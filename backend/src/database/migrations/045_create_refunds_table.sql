@@ -0,0 +1,60 @@
+-- Migration: Create refunds table
+-- Description: One row per refund attempt against an order payment (full or partial)
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- References
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    sub_order_id UUID REFERENCES sub_orders(id),
+    return_request_id UUID REFERENCES return_requests(id),
+    
+    -- Provider info
+    provider VARCHAR(50) NOT NULL, -- 'momo', 'vnpay', 'zalopay', 'wallet'
+    provider_transaction_id VARCHAR(255), -- Original payment transaction ID
+    provider_refund_id VARCHAR(255), -- Refund request ID we sent (m_refund_id, refund orderId, vnp_TxnRef)
+    provider_refund_transaction_id VARCHAR(255), -- Refund transaction ID returned by provider
+    
+    -- Refund details
+    refund_type VARCHAR(20) NOT NULL DEFAULT 'full'
+        CHECK (refund_type IN ('full', 'partial')),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(10) DEFAULT 'VND',
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    
+    -- Provider response data
+    provider_response JSONB,
+    error_code VARCHAR(100),
+    error_message TEXT,
+    
+    -- Audit
+    requested_by UUID REFERENCES users(id),
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_return_request ON refunds(return_request_id) WHERE return_request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_provider_refund_id
+    ON refunds(provider, provider_refund_id)
+    WHERE provider_refund_id IS NOT NULL;
+
+-- Allow partial refunds on orders
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('pending', 'paid', 'partially_refunded', 'refunded', 'failed'));
+
+-- Auto-update updated_at
+DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds;
+CREATE TRIGGER update_refunds_updated_at
+    BEFORE UPDATE ON refunds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE refunds IS 'Refund records executed through payment providers';
@@ -0,0 +1,215 @@
+-- Migration: Create wallet (Shoppi Pay) ledger tables
+-- Description: Double-entry ledger for customer wallets
+--
+-- Every wallet transaction posts one debit and one credit entry of the same amount.
+-- Account balance = credits - debits, so the sum of all account balances is always 0.
+-- Customer accounts (available/held) can never go negative; system accounts mirror
+-- money received from top-ups and settled to the platform.
+
+-- ============================================
+-- TABLE: wallet_accounts
+-- ============================================
+CREATE TABLE IF NOT EXISTS wallet_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for system accounts
+    account_type VARCHAR(30) NOT NULL
+        CHECK (account_type IN (
+            'customer_available',  -- Spendable balance
+            'customer_held',       -- Reserved for unpaid orders
+            'system_topup',        -- Money received via top-ups
+            'system_settlement'    -- Money captured for orders / paid out as refunds
+        )),
+    currency VARCHAR(10) DEFAULT 'VND',
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT wallet_accounts_owner_check CHECK (
+        (account_type LIKE 'customer_%' AND user_id IS NOT NULL) OR
+        (account_type LIKE 'system_%' AND user_id IS NULL)
+    ),
+    CONSTRAINT wallet_accounts_customer_balance_check CHECK (
+        account_type LIKE 'system_%' OR balance >= 0
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_accounts_customer
+    ON wallet_accounts(user_id, account_type) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_accounts_system
+    ON wallet_accounts(account_type) WHERE user_id IS NULL;
+
+-- ============================================
+-- TABLE: wallet_transactions
+-- ============================================
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('topup', 'hold', 'capture', 'release', 'refund', 'adjustment')),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(10) DEFAULT 'VND',
+
+    -- References
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    reference_type VARCHAR(30), -- 'order', 'refund', 'topup', 'admin'
+    reference_id VARCHAR(255),
+
+    -- Prevents posting the same business event twice
+    idempotency_key VARCHAR(255) NOT NULL UNIQUE,
+
+    description TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user ON wallet_transactions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_order ON wallet_transactions(order_id) WHERE order_id IS NOT NULL;
+
+-- ============================================
+-- TABLE: wallet_ledger_entries
+-- ============================================
+CREATE TABLE IF NOT EXISTS wallet_ledger_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transaction_id UUID NOT NULL REFERENCES wallet_transactions(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES wallet_accounts(id),
+    entry_type VARCHAR(10) NOT NULL CHECK (entry_type IN ('debit', 'credit')),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    balance_after DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_transaction ON wallet_ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_account ON wallet_ledger_entries(account_id, created_at DESC);
+
+-- Auto-update updated_at
+DROP TRIGGER IF EXISTS update_wallet_accounts_updated_at ON wallet_accounts;
+CREATE TRIGGER update_wallet_accounts_updated_at
+    BEFORE UPDATE ON wallet_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- System accounts
+INSERT INTO wallet_accounts (user_id, account_type)
+VALUES (NULL, 'system_topup'), (NULL, 'system_settlement')
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- FUNCTION: Post a wallet transaction atomically
+-- Moves p_amount from p_from_account to p_to_account (customer_* accounts
+-- belong to p_user_id, system_* accounts are shared).
+-- Re-posting an existing idempotency key returns the original transaction.
+-- ============================================
+CREATE OR REPLACE FUNCTION wallet_post_transaction(
+    p_user_id UUID,
+    p_type VARCHAR,
+    p_amount DECIMAL,
+    p_from_account VARCHAR,
+    p_to_account VARCHAR,
+    p_idempotency_key VARCHAR,
+    p_order_id UUID DEFAULT NULL,
+    p_reference_type VARCHAR DEFAULT NULL,
+    p_reference_id VARCHAR DEFAULT NULL,
+    p_description TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    success BOOLEAN,
+    transaction_id UUID,
+    available_balance DECIMAL,
+    held_balance DECIMAL,
+    duplicate BOOLEAN,
+    message TEXT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_existing_id UUID;
+    v_from_id UUID;
+    v_to_id UUID;
+    v_from_owner UUID;
+    v_to_owner UUID;
+    v_from_balance DECIMAL;
+    v_to_balance DECIMAL;
+    v_txn_id UUID;
+    v_available DECIMAL;
+    v_held DECIMAL;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN QUERY SELECT false, NULL::UUID, 0::DECIMAL, 0::DECIMAL, false, 'Amount must be positive'::TEXT;
+        RETURN;
+    END IF;
+
+    -- Ensure customer accounts exist
+    INSERT INTO wallet_accounts (user_id, account_type)
+    VALUES (p_user_id, 'customer_available'), (p_user_id, 'customer_held')
+    ON CONFLICT DO NOTHING;
+
+    v_from_owner := CASE WHEN p_from_account LIKE 'customer_%' THEN p_user_id ELSE NULL END;
+    v_to_owner := CASE WHEN p_to_account LIKE 'customer_%' THEN p_user_id ELSE NULL END;
+
+    SELECT id INTO v_from_id FROM wallet_accounts
+    WHERE account_type = p_from_account AND user_id IS NOT DISTINCT FROM v_from_owner;
+    SELECT id INTO v_to_id FROM wallet_accounts
+    WHERE account_type = p_to_account AND user_id IS NOT DISTINCT FROM v_to_owner;
+
+    IF v_from_id IS NULL OR v_to_id IS NULL THEN
+        RETURN QUERY SELECT false, NULL::UUID, 0::DECIMAL, 0::DECIMAL, false, 'Wallet account not found'::TEXT;
+        RETURN;
+    END IF;
+
+    -- Lock both accounts in a stable order to avoid deadlocks
+    PERFORM 1 FROM wallet_accounts WHERE id IN (v_from_id, v_to_id) ORDER BY id FOR UPDATE;
+
+    -- Idempotency check (after locking so concurrent duplicates serialize)
+    SELECT id INTO v_existing_id FROM wallet_transactions WHERE idempotency_key = p_idempotency_key;
+
+    IF v_existing_id IS NULL THEN
+        SELECT balance INTO v_from_balance FROM wallet_accounts WHERE id = v_from_id;
+
+        IF p_from_account LIKE 'customer_%' AND v_from_balance < p_amount THEN
+            SELECT balance INTO v_available FROM wallet_accounts
+            WHERE user_id = p_user_id AND account_type = 'customer_available';
+            SELECT balance INTO v_held FROM wallet_accounts
+            WHERE user_id = p_user_id AND account_type = 'customer_held';
+            RETURN QUERY SELECT false, NULL::UUID, v_available, v_held, false,
+                format('Insufficient balance. Available: %s, Requested: %s', v_from_balance, p_amount)::TEXT;
+            RETURN;
+        END IF;
+
+        INSERT INTO wallet_transactions (
+            user_id, type, amount, order_id, reference_type, reference_id,
+            idempotency_key, description, created_by
+        )
+        VALUES (
+            p_user_id, p_type, p_amount, p_order_id, p_reference_type, p_reference_id,
+            p_idempotency_key, p_description, p_created_by
+        )
+        RETURNING id INTO v_txn_id;
+
+        UPDATE wallet_accounts SET balance = balance - p_amount WHERE id = v_from_id
+        RETURNING balance INTO v_from_balance;
+        UPDATE wallet_accounts SET balance = balance + p_amount WHERE id = v_to_id
+        RETURNING balance INTO v_to_balance;
+
+        INSERT INTO wallet_ledger_entries (transaction_id, account_id, entry_type, amount, balance_after)
+        VALUES
+            (v_txn_id, v_from_id, 'debit', p_amount, v_from_balance),
+            (v_txn_id, v_to_id, 'credit', p_amount, v_to_balance);
+    END IF;
+
+    SELECT balance INTO v_available FROM wallet_accounts
+    WHERE user_id = p_user_id AND account_type = 'customer_available';
+    SELECT balance INTO v_held FROM wallet_accounts
+    WHERE user_id = p_user_id AND account_type = 'customer_held';
+
+    IF v_existing_id IS NOT NULL THEN
+        RETURN QUERY SELECT true, v_existing_id, v_available, v_held, true, 'Transaction already posted'::TEXT;
+    ELSE
+        RETURN QUERY SELECT true, v_txn_id, v_available, v_held, false, 'Transaction posted'::TEXT;
+    END IF;
+END;
+$$;
+
+COMMENT ON TABLE wallet_accounts IS 'Shoppi Pay wallet accounts (customer and system)';
+COMMENT ON TABLE wallet_transactions IS 'Shoppi Pay wallet transactions';
+COMMENT ON TABLE wallet_ledger_entries IS 'Double-entry ledger lines of wallet transactions';
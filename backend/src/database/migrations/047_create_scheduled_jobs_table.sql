@@ -0,0 +1,117 @@
+-- Migration: Create scheduled jobs table
+-- Description: Durable delayed/recurring jobs shared by all API instances
+--
+-- Jobs are claimed with FOR UPDATE SKIP LOCKED and a lease (locked_until), so each
+-- due job runs on exactly one instance. A crashed instance's lease expires and the
+-- job is picked up again.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Job definition
+    name VARCHAR(100) NOT NULL, -- Handler name, e.g. 'transit.tracking_event'
+    job_key VARCHAR(255), -- Idempotency key: at most one active job per key
+    payload JSONB DEFAULT '{}',
+
+    -- Scheduling
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    repeat_interval_ms BIGINT, -- Recurring jobs are re-queued after each run
+
+    -- Execution state
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    last_error TEXT,
+
+    -- Lease
+    locked_by VARCHAR(100),
+    locked_until TIMESTAMP WITH TIME ZONE,
+
+    -- Timestamps
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One active job per key; finished jobs keep their key for auditing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_jobs_active_key
+    ON scheduled_jobs(job_key)
+    WHERE job_key IS NOT NULL AND status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due
+    ON scheduled_jobs(run_at)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_status ON scheduled_jobs(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_name ON scheduled_jobs(name);
+
+DROP TRIGGER IF EXISTS update_scheduled_jobs_updated_at ON scheduled_jobs;
+CREATE TRIGGER update_scheduled_jobs_updated_at
+    BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- FUNCTION: Schedule a job (idempotent per active job_key)
+-- Returns the new job, or the existing active job with the same key
+-- ============================================
+CREATE OR REPLACE FUNCTION schedule_job(
+    p_name VARCHAR,
+    p_payload JSONB,
+    p_run_at TIMESTAMP WITH TIME ZONE,
+    p_job_key VARCHAR DEFAULT NULL,
+    p_max_attempts INT DEFAULT 5,
+    p_repeat_interval_ms BIGINT DEFAULT NULL
+)
+RETURNS SETOF scheduled_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO scheduled_jobs (name, payload, run_at, job_key, max_attempts, repeat_interval_ms)
+    VALUES (p_name, COALESCE(p_payload, '{}'::JSONB), COALESCE(p_run_at, NOW()), p_job_key, p_max_attempts, p_repeat_interval_ms)
+    ON CONFLICT (job_key) WHERE job_key IS NOT NULL AND status IN ('pending', 'running')
+    DO NOTHING
+    RETURNING *;
+
+    IF NOT FOUND THEN
+        RETURN QUERY
+        SELECT * FROM scheduled_jobs
+        WHERE job_key = p_job_key AND status IN ('pending', 'running')
+        LIMIT 1;
+    END IF;
+END;
+$$;
+
+-- ============================================
+-- FUNCTION: Claim due jobs for a worker
+-- Also reclaims running jobs whose lease expired (worker crashed)
+-- ============================================
+CREATE OR REPLACE FUNCTION claim_scheduled_jobs(
+    p_worker_id VARCHAR,
+    p_limit INT DEFAULT 10,
+    p_lease_ms BIGINT DEFAULT 300000
+)
+RETURNS SETOF scheduled_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_jobs j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_by = p_worker_id,
+        locked_until = NOW() + (p_lease_ms || ' milliseconds')::INTERVAL
+    WHERE j.id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE (status = 'pending' AND run_at <= NOW())
+           OR (status = 'running' AND locked_until < NOW())
+        ORDER BY run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$;
+
+COMMENT ON TABLE scheduled_jobs IS 'Durable delayed and recurring background jobs';
@@ -0,0 +1,20 @@
+-- Migration: Add return request deadline columns
+-- Description: Track the customer ship-by deadline and deadline reminders
+--
+-- expires_at       - shop must respond by then, otherwise the request is auto-approved
+-- ship_deadline    - customer must ship the return by then, otherwise it is cancelled
+-- deadline_reminder_sent_at - reminder for the current deadline was sent (reset on each transition)
+
+ALTER TABLE return_requests
+ADD COLUMN IF NOT EXISTS ship_deadline TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deadline_reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Backfill ship-by deadline of already approved requests
+UPDATE return_requests
+SET ship_deadline = COALESCE(resolved_at, shop_responded_at, updated_at) + INTERVAL '7 days'
+WHERE status = 'approved' AND ship_deadline IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_pending_expiry
+    ON return_requests(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_return_requests_ship_deadline
+    ON return_requests(ship_deadline) WHERE status = 'approved';
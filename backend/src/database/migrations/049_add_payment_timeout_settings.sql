@@ -0,0 +1,11 @@
+-- Migration: Add payment timeout settings
+-- Description: Unpaid online-payment orders expire after a configurable payment window
+
+INSERT INTO system_settings (key, value, description) VALUES
+    ('payment_timeout_minutes', '15', 'Minutes an online-payment order (VNPay/MoMo/ZaloPay) may stay unpaid'),
+    ('payment_timeout_order_status', '"cancelled"', 'Status of orders whose payment window expired: cancelled or payment_failed')
+ON CONFLICT (key) DO NOTHING;
+
+-- Sweep of unpaid orders
+CREATE INDEX IF NOT EXISTS idx_orders_pending_payment_created
+    ON orders(created_at) WHERE status = 'pending_payment';
@@ -0,0 +1,107 @@
+-- Migration: Create idempotency keys table
+-- Description: Stores the result of requests sent with an Idempotency-Key header so
+-- retries (double-tap, network retry) return the original result instead of
+-- creating a second order.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Key is unique per user and operation
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope VARCHAR(50) NOT NULL, -- e.g. 'checkout'
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- SHA-256 of the request body
+
+    -- Processing state
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'completed')),
+    locked_until TIMESTAMP WITH TIME ZONE, -- A crashed request releases the key after this
+
+    -- Stored result
+    resource_id UUID, -- e.g. created order ID
+    response_code INT,
+    response_body JSONB,
+
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT uq_idempotency_keys_user_scope_key UNIQUE (user_id, scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+DROP TRIGGER IF EXISTS update_idempotency_keys_updated_at ON idempotency_keys;
+CREATE TRIGGER update_idempotency_keys_updated_at
+    BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- FUNCTION: Claim an idempotency key
+-- claimed = TRUE  -> caller owns the key and must run the request
+-- claimed = FALSE -> key already exists; returned row holds its state/result
+-- Expired keys and processing keys whose lock lapsed are taken over.
+-- ============================================
+CREATE OR REPLACE FUNCTION claim_idempotency_key(
+    p_user_id UUID,
+    p_scope VARCHAR,
+    p_key VARCHAR,
+    p_request_hash VARCHAR,
+    p_lock_ms BIGINT DEFAULT 120000
+)
+RETURNS TABLE (
+    claimed BOOLEAN,
+    key_id UUID,
+    key_status VARCHAR,
+    request_hash VARCHAR,
+    resource_id UUID,
+    response_code INT,
+    response_body JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_row idempotency_keys%ROWTYPE;
+    v_lock_until TIMESTAMP WITH TIME ZONE := NOW() + (p_lock_ms || ' milliseconds')::INTERVAL;
+BEGIN
+    INSERT INTO idempotency_keys (user_id, scope, idempotency_key, request_hash, locked_until)
+    VALUES (p_user_id, p_scope, p_key, p_request_hash, v_lock_until)
+    ON CONFLICT (user_id, scope, idempotency_key) DO NOTHING
+    RETURNING * INTO v_row;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT TRUE, v_row.id, v_row.status, v_row.request_hash,
+            v_row.resource_id, v_row.response_code, v_row.response_body;
+        RETURN;
+    END IF;
+
+    UPDATE idempotency_keys k
+    SET status = 'processing',
+        request_hash = p_request_hash,
+        locked_until = v_lock_until,
+        resource_id = NULL,
+        response_code = NULL,
+        response_body = NULL,
+        expires_at = NOW() + INTERVAL '24 hours'
+    WHERE k.user_id = p_user_id
+      AND k.scope = p_scope
+      AND k.idempotency_key = p_key
+      AND (k.expires_at < NOW() OR (k.status = 'processing' AND k.locked_until < NOW()))
+    RETURNING * INTO v_row;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT TRUE, v_row.id, v_row.status, v_row.request_hash,
+            v_row.resource_id, v_row.response_code, v_row.response_body;
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_row FROM idempotency_keys k
+    WHERE k.user_id = p_user_id AND k.scope = p_scope AND k.idempotency_key = p_key;
+
+    RETURN QUERY SELECT FALSE, v_row.id, v_row.status, v_row.request_hash,
+        v_row.resource_id, v_row.response_code, v_row.response_body;
+END;
+$$;
+
+COMMENT ON TABLE idempotency_keys IS 'Idempotency-Key records for safely retried requests (checkout)';
@@ -0,0 +1,169 @@
+-- Migration: Flash sale checkout
+-- Description: Atomic flash sale purchase claims for checkout. The flash sale
+-- product row is locked while the per-user limit and the flash_stock/sold_count
+-- cap are checked, so concurrent checkouts cannot oversell or exceed a limit.
+-- Purchases are recorded against the order and released when it is cancelled.
+
+-- ========================================
+-- 1. COLUMNS
+-- ========================================
+
+-- Released purchases no longer count towards limit_per_user or sold_count
+ALTER TABLE flash_sale_purchases
+ADD COLUMN IF NOT EXISTS released_at TIMESTAMP WITH TIME ZONE;
+
+-- Checkout rollback deletes the order; its purchase records go with it
+ALTER TABLE flash_sale_purchases
+DROP CONSTRAINT IF EXISTS flash_sale_purchases_order_id_fkey;
+
+ALTER TABLE flash_sale_purchases
+ADD CONSTRAINT flash_sale_purchases_order_id_fkey
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_flash_sale_purchases_order ON flash_sale_purchases(order_id);
+
+-- Which flash sale priced an order item (NULL = regular price)
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS flash_sale_product_id UUID REFERENCES flash_sale_products(id) ON DELETE SET NULL;
+
+-- ========================================
+-- 2. FUNCTION: Claim a flash sale purchase
+-- claimed = TRUE  -> purchase recorded and sold_count increased
+-- claimed = FALSE -> reason: NOT_FOUND | NOT_ACTIVE | LIMIT_EXCEEDED | SOLD_OUT
+-- Claiming again for the same order returns the existing purchase.
+-- ========================================
+CREATE OR REPLACE FUNCTION claim_flash_sale_purchase(
+    p_flash_sale_product_id UUID,
+    p_user_id UUID,
+    p_order_id UUID,
+    p_quantity INT
+)
+RETURNS TABLE (
+    claimed BOOLEAN,
+    reason VARCHAR,
+    purchase_id UUID,
+    flash_price DECIMAL,
+    remaining_stock INT,
+    user_purchased INT,
+    limit_per_user INT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_fsp flash_sale_products%ROWTYPE;
+    v_sale flash_sales%ROWTYPE;
+    v_existing flash_sale_purchases%ROWTYPE;
+    v_user_purchased INT;
+    v_purchase_id UUID;
+BEGIN
+    -- Row lock serializes all claims for this flash sale product
+    SELECT * INTO v_fsp
+    FROM flash_sale_products
+    WHERE id = p_flash_sale_product_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT FALSE, 'NOT_FOUND'::VARCHAR, NULL::UUID, NULL::DECIMAL, 0, 0, 0;
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_sale FROM flash_sales WHERE id = v_fsp.flash_sale_id;
+
+    IF NOT v_fsp.is_active OR v_sale.status <> 'active'
+        OR NOW() < v_sale.start_time OR NOW() > v_sale.end_time THEN
+        RETURN QUERY SELECT FALSE, 'NOT_ACTIVE'::VARCHAR, NULL::UUID, v_fsp.flash_price,
+            v_fsp.flash_stock - v_fsp.sold_count, 0, v_fsp.limit_per_user;
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_existing
+    FROM flash_sale_purchases
+    WHERE flash_sale_product_id = p_flash_sale_product_id
+      AND user_id = p_user_id
+      AND order_id = p_order_id
+      AND released_at IS NULL;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT TRUE, NULL::VARCHAR, v_existing.id, v_fsp.flash_price,
+            v_fsp.flash_stock - v_fsp.sold_count, v_existing.quantity, v_fsp.limit_per_user;
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0)::INT INTO v_user_purchased
+    FROM flash_sale_purchases
+    WHERE flash_sale_product_id = p_flash_sale_product_id
+      AND user_id = p_user_id
+      AND released_at IS NULL;
+
+    IF v_user_purchased + p_quantity > v_fsp.limit_per_user THEN
+        RETURN QUERY SELECT FALSE, 'LIMIT_EXCEEDED'::VARCHAR, NULL::UUID, v_fsp.flash_price,
+            v_fsp.flash_stock - v_fsp.sold_count, v_user_purchased, v_fsp.limit_per_user;
+        RETURN;
+    END IF;
+
+    IF v_fsp.sold_count + p_quantity > v_fsp.flash_stock THEN
+        RETURN QUERY SELECT FALSE, 'SOLD_OUT'::VARCHAR, NULL::UUID, v_fsp.flash_price,
+            v_fsp.flash_stock - v_fsp.sold_count, v_user_purchased, v_fsp.limit_per_user;
+        RETURN;
+    END IF;
+
+    -- A released purchase of the same order is reused (unique per product/user/order)
+    INSERT INTO flash_sale_purchases (flash_sale_id, flash_sale_product_id, user_id, order_id, quantity)
+    VALUES (v_fsp.flash_sale_id, p_flash_sale_product_id, p_user_id, p_order_id, p_quantity)
+    ON CONFLICT (flash_sale_product_id, user_id, order_id) DO UPDATE
+    SET quantity = EXCLUDED.quantity,
+        purchased_at = NOW(),
+        released_at = NULL
+    RETURNING id INTO v_purchase_id;
+
+    UPDATE flash_sale_products
+    SET sold_count = sold_count + p_quantity
+    WHERE id = p_flash_sale_product_id;
+
+    RETURN QUERY SELECT TRUE, NULL::VARCHAR, v_purchase_id, v_fsp.flash_price,
+        v_fsp.flash_stock - v_fsp.sold_count - p_quantity, v_user_purchased + p_quantity, v_fsp.limit_per_user;
+END;
+$$;
+
+-- ========================================
+-- 3. FUNCTION: Release flash sale purchases of an order
+-- Gives sold_count back and marks purchases released. Safe to call more than
+-- once: already released purchases are skipped.
+-- p_flash_sale_product_ids limits the release (e.g. one cancelled sub-order).
+-- ========================================
+CREATE OR REPLACE FUNCTION release_flash_sale_purchases(
+    p_order_id UUID,
+    p_flash_sale_product_ids UUID[] DEFAULT NULL
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_purchase flash_sale_purchases%ROWTYPE;
+    v_released INT := 0;
+BEGIN
+    FOR v_purchase IN
+        SELECT * FROM flash_sale_purchases
+        WHERE order_id = p_order_id
+          AND released_at IS NULL
+          AND (p_flash_sale_product_ids IS NULL OR flash_sale_product_id = ANY(p_flash_sale_product_ids))
+        ORDER BY flash_sale_product_id
+        FOR UPDATE
+    LOOP
+        UPDATE flash_sale_products
+        SET sold_count = GREATEST(sold_count - v_purchase.quantity, 0)
+        WHERE id = v_purchase.flash_sale_product_id;
+
+        UPDATE flash_sale_purchases
+        SET released_at = NOW()
+        WHERE id = v_purchase.id;
+
+        v_released := v_released + 1;
+    END LOOP;
+
+    RETURN v_released;
+END;
+$$;
+
+COMMENT ON FUNCTION claim_flash_sale_purchase IS 'Atomically check per-user limit and flash stock, then record a flash sale purchase';
+COMMENT ON FUNCTION release_flash_sale_purchases IS 'Return flash stock of a cancelled order (or some of its flash sale products)';
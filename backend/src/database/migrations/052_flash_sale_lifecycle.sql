@@ -0,0 +1,13 @@
+-- Migration: Flash sale lifecycle
+-- Description: Status transitions (scheduled -> active -> ended) are now made by
+-- the flash sale lifecycle job, which also publishes flash_sale.started /
+-- flash_sale.ended and notifies users. The BEFORE UPDATE trigger from 041 flipped
+-- the status silently whenever an unrelated column changed, so a sale could go
+-- live without its events; it is removed to keep the job the single writer.
+
+DROP TRIGGER IF EXISTS trigger_flash_sale_auto_status ON flash_sales;
+DROP FUNCTION IF EXISTS auto_update_flash_sale_status();
+
+-- Sweep lookup: due scheduled/active sales
+CREATE INDEX IF NOT EXISTS idx_flash_sales_lifecycle ON flash_sales(status, start_time)
+    WHERE status IN ('scheduled', 'active');
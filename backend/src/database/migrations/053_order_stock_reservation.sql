@@ -0,0 +1,63 @@
+-- Migration: Order stock reservation
+-- Description: Checkout reserves stock with reserve_stock (020), so available
+-- stock is quantity - reserved_quantity. Each sub-order records where its stock
+-- stands; the status is moved with a conditional update before the inventory
+-- function runs, so a retried or duplicated event settles the stock only once.
+--   reserved -> released  (payment failed, order/sub-order cancelled, returned undelivered)
+--   reserved -> deducted  (delivered: confirm_stock_deduction)
+-- Goods sent back by the customer are put back on sale with restock_stock.
+
+-- ========================================
+-- 1. COLUMNS
+-- ========================================
+
+-- NULL = placed before reservations existed; such sub-orders never touch stock
+ALTER TABLE sub_orders
+ADD COLUMN IF NOT EXISTS stock_status VARCHAR(20)
+    CHECK (stock_status IN ('reserved', 'released', 'deducted'));
+
+-- Set once the returned items of a request are back in stock
+ALTER TABLE return_requests
+ADD COLUMN IF NOT EXISTS restocked_at TIMESTAMP WITH TIME ZONE;
+
+-- ========================================
+-- 2. FUNCTION: Restock returned goods
+-- Reverses confirm_stock_deduction for items received back by the shop
+-- ========================================
+CREATE OR REPLACE FUNCTION restock_stock(
+    p_variant_id UUID,
+    p_quantity INT
+)
+RETURNS TABLE (
+    success BOOLEAN,
+    new_quantity INT,
+    message TEXT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_new_qty INT;
+BEGIN
+    UPDATE product_variants
+    SET quantity = quantity + p_quantity,
+        is_active = true,
+        updated_at = NOW()
+    WHERE id = p_variant_id AND deleted_at IS NULL
+    RETURNING quantity INTO v_new_qty;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT false, 0, 'Variant not found'::TEXT;
+        RETURN;
+    END IF;
+
+    -- The sale is undone
+    UPDATE products
+    SET total_sold = GREATEST(total_sold - p_quantity, 0),
+        updated_at = NOW()
+    WHERE id = (SELECT product_id FROM product_variants WHERE id = p_variant_id);
+
+    RETURN QUERY SELECT true, v_new_qty, format('Restocked %s units', p_quantity)::TEXT;
+END;
+$$;
+
+COMMENT ON FUNCTION restock_stock IS 'Atomically put returned units back in stock and undo their sale.';
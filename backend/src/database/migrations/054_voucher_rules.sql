@@ -0,0 +1,37 @@
+-- Migration: Voucher rules
+-- Description: Rule-based vouchers on top of percentage/fixed discounts
+--   free_shipping - discounts the shipping fee (shop voucher: that shop's fee only)
+--   tiered        - "spend X get Y": the highest tier whose min_spend is reached applies
+--   applies_to    - restrict the discount to categories, products or shops
+--   first_order_only - only customers without a previous (not cancelled) order
+--   stackable     - FALSE = cannot be combined with any other voucher
+-- Stacking (see voucher.service): one platform voucher, one voucher per shop and
+-- one free shipping voucher per order.
+
+-- ========================================
+-- 1. DISCOUNT TYPES
+-- ========================================
+ALTER TABLE vouchers DROP CONSTRAINT IF EXISTS vouchers_discount_type_check;
+
+ALTER TABLE vouchers
+ADD CONSTRAINT vouchers_discount_type_check
+    CHECK (discount_type IN ('percentage', 'fixed', 'free_shipping', 'tiered'));
+
+-- ========================================
+-- 2. RULE COLUMNS
+-- ========================================
+
+-- {"categoryIds": [...], "productIds": [...], "shopIds": [...]}; NULL = no restriction
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS applies_to JSONB;
+
+-- [{"min_spend": 300000, "discount_type": "fixed", "discount_value": 30000, "max_discount": null}, ...]
+-- sorted by min_spend; only used by tiered vouchers
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS tiers JSONB;
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN DEFAULT false;
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS stackable BOOLEAN DEFAULT true;
@@ -0,0 +1,20 @@
+-- Migration: Order discount allocation
+-- Description: Platform vouchers are shared out over the sub-orders and their items,
+-- so every sub-order carries its own share of the order discount:
+--   sub_orders.discount          - shop voucher + platform share (total = subtotal + shipping_fee - discount)
+--   sub_orders.platform_discount - part of discount funded by the platform (owed to the shop on payout)
+--   order_items.discount_amount  - merchandise discount of the line (shop + platform voucher)
+-- Shares are proportional and rounded so they sum exactly to the voucher discount.
+
+-- ========================================
+-- 1. COLUMNS
+-- ========================================
+ALTER TABLE sub_orders
+ADD COLUMN IF NOT EXISTS platform_discount DECIMAL(15,2) DEFAULT 0;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(15,2) DEFAULT 0;
+
+-- Free shipping voucher of the order (platform or shop issued)
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS shipping_voucher_id UUID;
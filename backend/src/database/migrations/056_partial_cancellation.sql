@@ -0,0 +1,16 @@
+-- Migration: Partial cancellation
+-- Description: Customers can cancel one shop's sub-order or single items before shipment.
+-- A cancelled item keeps its line: quantity is what is still ordered and
+-- cancelled_quantity what was taken off, so stock settlement and returns only see
+-- the remaining units. A fully cancelled line has quantity 0.
+
+-- ========================================
+-- 1. COLUMNS
+-- ========================================
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS cancelled_quantity INT DEFAULT 0 CHECK (cancelled_quantity >= 0);
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_quantity_check;
+
+ALTER TABLE order_items
+ADD CONSTRAINT order_items_quantity_check CHECK (quantity >= 0);
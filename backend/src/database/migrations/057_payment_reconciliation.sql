@@ -0,0 +1,67 @@
+-- Migration: Payment reconciliation
+-- Description: A recurring job asks VNPay, MoMo and ZaloPay for the status of
+-- online-payment orders still pending payment, so an order whose IPN webhook was
+-- lost is settled anyway. Each run is recorded with every discrepancy found
+-- between our state and the provider's, for the admin reconciliation report.
+
+-- ========================================
+-- 1. RUNS
+-- ========================================
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'job'
+        CHECK (triggered_by IN ('job', 'admin')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Counts
+    checked INT NOT NULL DEFAULT 0,       -- Orders queried
+    matched INT NOT NULL DEFAULT 0,       -- Still pending at the provider as well
+    marked_paid INT NOT NULL DEFAULT 0,
+    marked_failed INT NOT NULL DEFAULT 0,
+    flagged INT NOT NULL DEFAULT 0,       -- Left for an admin (e.g. amount mismatch)
+    errors INT NOT NULL DEFAULT 0,        -- Provider could not be queried
+    refunds JSONB,                        -- Summary of pending refunds reconciled in the same run
+
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_runs_started
+    ON payment_reconciliation_runs(started_at DESC);
+
+-- ========================================
+-- 2. DISCREPANCIES
+-- ========================================
+CREATE TABLE IF NOT EXISTS payment_reconciliation_discrepancies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES payment_reconciliation_runs(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+
+    -- What each side says
+    local_status VARCHAR(30) NOT NULL,
+    provider_status VARCHAR(30),          -- NULL when the provider could not be queried
+    expected_amount DECIMAL(15,2),
+    provider_amount DECIMAL(15,2),
+    provider_transaction_id VARCHAR(100),
+    provider_error_code VARCHAR(50),
+
+    -- What the run did about it
+    action VARCHAR(20) NOT NULL
+        CHECK (action IN ('marked_paid', 'marked_failed', 'flagged', 'error')),
+    message TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_discrepancies_run
+    ON payment_reconciliation_discrepancies(run_id);
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_discrepancies_order
+    ON payment_reconciliation_discrepancies(order_id);
+
+-- ========================================
+-- 3. SETTINGS
+-- ========================================
+INSERT INTO system_settings (key, value, description) VALUES
+    ('payment_reconciliation_grace_minutes', '5', 'Minutes an online payment may wait for its IPN before the provider is asked directly')
+ON CONFLICT (key) DO NOTHING;
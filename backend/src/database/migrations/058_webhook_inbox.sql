@@ -0,0 +1,48 @@
+-- Migration: Webhook inbox
+-- Description: Payment (MoMo, VNPay, ZaloPay) and shipping (GHTK, GHN, Viettel Post)
+-- callbacks are stored before they are processed, keyed by provider and the
+-- transaction or event ID they carry. A duplicate or replayed callback finds its
+-- key taken and is acknowledged without being applied again. Callbacks failing
+-- their signature check are kept for inspection but never processed; they do not
+-- take the key, so a forged callback cannot block the genuine one.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    source VARCHAR(20) NOT NULL CHECK (source IN ('payment', 'shipping')),
+    provider VARCHAR(20) NOT NULL,        -- momo, vnpay, zalopay, ghtk, ghn, vtp
+    event_key VARCHAR(255) NOT NULL,      -- Transaction or event ID from the payload
+
+    -- As received
+    payload JSONB NOT NULL,
+    signature TEXT,
+    signature_valid BOOLEAN NOT NULL,
+
+    -- Processing
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'processed', 'failed', 'rejected')),
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    result JSONB,
+    processed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Replays
+    duplicate_count INT NOT NULL DEFAULT 0,
+    last_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Deduplication among verified callbacks only
+CREATE UNIQUE INDEX IF NOT EXISTS uq_webhook_events_provider_key
+    ON webhook_events(provider, event_key) WHERE signature_valid;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status_received
+    ON webhook_events(status, received_at DESC);
+
+DROP TRIGGER IF EXISTS update_webhook_events_updated_at ON webhook_events;
+CREATE TRIGGER update_webhook_events_updated_at
+    BEFORE UPDATE ON webhook_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
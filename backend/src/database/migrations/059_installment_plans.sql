@@ -0,0 +1,59 @@
+-- Migration: Installment and pay-later plans
+-- Description: Orders can be paid in installments (or paid later) through an
+-- installment provider. Each plan has a tenor, a flat monthly interest rate and a
+-- one-time conversion fee, and is offered only to products and amounts its
+-- eligibility rules allow. The terms accepted at checkout are kept on the order.
+
+-- ========================================
+-- 1. PLANS
+-- ========================================
+CREATE TABLE IF NOT EXISTS installment_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(20) NOT NULL DEFAULT 'installment',
+    code VARCHAR(50) NOT NULL UNIQUE,      -- Plan code sent to the provider
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+
+    -- Terms
+    tenor_months INT NOT NULL CHECK (tenor_months > 0),
+    monthly_interest_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (monthly_interest_rate >= 0),  -- % of the financed amount per month (flat)
+    conversion_fee_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (conversion_fee_rate >= 0),      -- % of the financed amount, charged once
+
+    -- Eligibility
+    min_amount DECIMAL(15,2) NOT NULL DEFAULT 0,   -- Product price / order total bounds
+    max_amount DECIMAL(15,2),
+    applies_to JSONB,                              -- {categoryIds, productIds, shopIds}; NULL = every product
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (max_amount IS NULL OR max_amount >= min_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_installment_plans_active
+    ON installment_plans(is_active, sort_order);
+
+DROP TRIGGER IF EXISTS update_installment_plans_updated_at ON installment_plans;
+CREATE TRIGGER update_installment_plans_updated_at
+    BEFORE UPDATE ON installment_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ========================================
+-- 2. ORDERS
+-- ========================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS installment_plan_id UUID REFERENCES installment_plans(id),
+ADD COLUMN IF NOT EXISTS installment_terms JSONB;  -- Terms as accepted at checkout (tenor, rates, schedule)
+
+-- ========================================
+-- 3. DEFAULT PLANS
+-- ========================================
+INSERT INTO installment_plans (code, name, description, tenor_months, monthly_interest_rate, conversion_fee_rate, min_amount, max_amount, sort_order) VALUES
+    ('PAYLATER_1M', 'Mua trước trả sau', 'Nhận hàng trước, thanh toán sau 30 ngày', 1, 0, 0, 500000, 10000000, 1),
+    ('INSTALLMENT_3M_0', 'Trả góp 0% - 3 tháng', 'Trả góp 3 tháng, không lãi suất, không phí chuyển đổi', 3, 0, 0, 3000000, NULL, 2),
+    ('INSTALLMENT_6M_0', 'Trả góp 0% - 6 tháng', 'Trả góp 6 tháng, không lãi suất', 6, 0, 1.5, 3000000, NULL, 3),
+    ('INSTALLMENT_12M', 'Trả góp 12 tháng', 'Trả góp 12 tháng cho đơn hàng giá trị cao', 12, 1.2, 1.5, 5000000, NULL, 4)
+ON CONFLICT (code) DO NOTHING;
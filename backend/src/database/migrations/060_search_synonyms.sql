@@ -0,0 +1,52 @@
+-- Migration: Vietnamese search
+-- Description: Managed synonym list for the Elasticsearch product index, and an
+-- accent-free search column for the database fallback search.
+--
+-- Synonym groups are equivalent terms ("đt, điện thoại"). They are compiled into
+-- the search analyzer when the product index is (re)built, so a change takes
+-- effect after the next reindex (POST /api/admin/search/reindex).
+
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    terms TEXT[] NOT NULL CHECK (array_length(terms, 1) >= 2),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_search_synonyms_updated_at ON search_synonyms;
+CREATE TRIGGER update_search_synonyms_updated_at
+    BEFORE UPDATE ON search_synonyms
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO search_synonyms (terms) VALUES
+    (ARRAY['đt', 'điện thoại', 'smartphone']),
+    (ARRAY['lap', 'laptop', 'máy tính xách tay']),
+    (ARRAY['tv', 'tivi', 'ti vi']),
+    (ARRAY['tai nghe', 'headphone', 'earphone']),
+    (ARRAY['áo thun', 'áo phông', 't-shirt']),
+    (ARRAY['tủ lạnh', 'tủ đông', 'fridge']);
+
+-- ============================================
+-- Accent-free search text for the database fallback
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent() is only STABLE; generated columns and indexes need IMMUTABLE
+CREATE OR REPLACE FUNCTION immutable_unaccent(value TEXT)
+RETURNS TEXT AS $$
+    SELECT public.unaccent('public.unaccent', value);
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+-- Lowercase, without diacritics (đ -> d): "Điện thoại" -> "dien thoai"
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_text TEXT
+    GENERATED ALWAYS AS (
+        immutable_unaccent(lower(coalesce(name, '') || ' ' || coalesce(short_description, '')))
+    ) STORED;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_products_search_text
+    ON products USING gin (search_text gin_trgm_ops) WHERE deleted_at IS NULL;
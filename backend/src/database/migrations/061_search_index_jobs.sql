@@ -0,0 +1,46 @@
+-- Migration: Search index jobs
+-- Description: Progress and results of product index maintenance.
+--
+-- - reindex: rebuild the product index into a new versioned index (from the
+--   products table, or copied from the current index) and swap the alias.
+--   The search consumer updates processed/failed after every batch.
+-- - consistency_check: compare the status, updated_at and base_price of every
+--   product with its Elasticsearch document, and repair the differences.
+
+CREATE TABLE IF NOT EXISTS search_index_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(30) NOT NULL
+        CHECK (type IN ('reindex', 'consistency_check')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    source VARCHAR(20)                    -- reindex only: 'database' | 'index'
+        CHECK (source IS NULL OR source IN ('database', 'index')),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'admin'
+        CHECK (triggered_by IN ('job', 'admin')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+
+    -- Progress
+    target_index VARCHAR(100),            -- reindex only: the index being built
+    total INT,                            -- Products to process, when known up front
+    processed INT NOT NULL DEFAULT 0,
+    failed INT NOT NULL DEFAULT 0,
+
+    -- consistency_check: counts per issue and a sample of the affected products
+    summary JSONB,
+    error TEXT,
+
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_index_jobs_type_created
+    ON search_index_jobs(type, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_search_index_jobs_updated_at ON search_index_jobs;
+CREATE TRIGGER update_search_index_jobs_updated_at
+    BEFORE UPDATE ON search_index_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
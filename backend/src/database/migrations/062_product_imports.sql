@@ -0,0 +1,43 @@
+-- Migration: Product imports
+-- Description: Partner bulk imports of products from a CSV or XLSX file.
+--
+-- The uploaded rows are stored with the import and processed by a background
+-- job (products.bulk_import). Each product of the file is validated and, unless
+-- the import is a dry run, created or updated. Rows that fail validation are
+-- reported in errors ({row, column, message}) and do not stop the others.
+
+CREATE TABLE IF NOT EXISTS product_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shop_id UUID NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255),
+    format VARCHAR(10) NOT NULL
+        CHECK (format IN ('csv', 'xlsx')),
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+
+    -- Parsed file: [{ row, values: { column: text } }]
+    rows JSONB NOT NULL DEFAULT '[]',
+    total_rows INT NOT NULL DEFAULT 0,
+    processed_rows INT NOT NULL DEFAULT 0,
+
+    -- Counts (created, updated, failed, ...) and the position to resume from
+    summary JSONB,
+    errors JSONB NOT NULL DEFAULT '[]',
+    error TEXT,                           -- Why the whole import failed
+
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_imports_shop_created
+    ON product_imports(shop_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_product_imports_updated_at ON product_imports;
+CREATE TRIGGER update_product_imports_updated_at
+    BEFORE UPDATE ON product_imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
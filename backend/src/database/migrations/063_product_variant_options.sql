@@ -0,0 +1,67 @@
+-- Migration: Product option axes and variant matrix
+-- Description: Sellers declare option axes (e.g. Màu: Đỏ, Xanh; Size: S, M, L)
+-- and the variants are generated as every combination of the values.
+--
+-- - products.options: [{ "name": "Màu", "values": [{ "value": "Đỏ", "imageUrl": "..." }] }]
+--   A value's image becomes the image of the variants with that value.
+-- - product_variants.retired_at: set when a change of the axes drops the variant's
+--   combination. Retired variants are inactive but kept, so cart items, reservations
+--   and order history that point at them stay valid; bringing the combination back
+--   revives the same variant (and SKU).
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE product_variants
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_variants_product_current
+    ON product_variants(product_id)
+    WHERE deleted_at IS NULL AND retired_at IS NULL;
+
+-- ========================================
+-- FUNCTION: Restock returned goods (053), aware of retired variants
+-- Returned units only reactivate a current variant that was switched off because
+-- it sold out; retired variants and ones the seller switched off stay inactive.
+-- ========================================
+CREATE OR REPLACE FUNCTION restock_stock(
+    p_variant_id UUID,
+    p_quantity INT
+)
+RETURNS TABLE (
+    success BOOLEAN,
+    new_quantity INT,
+    message TEXT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_new_qty INT;
+BEGIN
+    -- quantity and is_active on the right-hand side are the values before the update
+    UPDATE product_variants
+    SET quantity = quantity + p_quantity,
+        is_active = CASE
+            WHEN retired_at IS NULL AND quantity <= 0 AND quantity + p_quantity > 0 THEN true
+            ELSE is_active
+        END,
+        updated_at = NOW()
+    WHERE id = p_variant_id AND deleted_at IS NULL
+    RETURNING quantity INTO v_new_qty;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT false, 0, 'Variant not found'::TEXT;
+        RETURN;
+    END IF;
+
+    -- The sale is undone
+    UPDATE products
+    SET total_sold = GREATEST(total_sold - p_quantity, 0),
+        updated_at = NOW()
+    WHERE id = (SELECT product_id FROM product_variants WHERE id = p_variant_id);
+
+    RETURN QUERY SELECT true, v_new_qty, format('Restocked %s units', p_quantity)::TEXT;
+END;
+$$;
+
+COMMENT ON FUNCTION restock_stock IS 'Atomically put returned units back in stock and undo their sale.';
@@ -0,0 +1,59 @@
+-- Migration: Refund amount cap
+-- Description: Refunds of an order never add up to more than was paid, also when
+-- several are requested at once (admin, return and cancellation)
+
+-- ============================================
+-- create_refund_within_cap
+-- Locks the order row, so concurrent refunds of one order are checked one after
+-- the other, and inserts the refund only if completed and in-flight refunds plus
+-- this one stay within the order total. Returns no row when the cap is exceeded.
+-- ============================================
+CREATE OR REPLACE FUNCTION create_refund_within_cap(
+    p_order_id UUID,
+    p_amount DECIMAL,
+    p_provider VARCHAR,
+    p_refund_type VARCHAR,
+    p_provider_transaction_id VARCHAR DEFAULT NULL,
+    p_sub_order_id UUID DEFAULT NULL,
+    p_return_request_id UUID DEFAULT NULL,
+    p_reason TEXT DEFAULT NULL,
+    p_requested_by UUID DEFAULT NULL
+)
+RETURNS SETOF refunds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_paid DECIMAL;
+    v_reserved DECIMAL;
+BEGIN
+    SELECT grand_total INTO v_paid
+    FROM orders
+    WHERE id = p_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_reserved
+    FROM refunds
+    WHERE order_id = p_order_id
+      AND status <> 'failed';
+
+    IF v_reserved + p_amount > v_paid THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO refunds (
+        order_id, sub_order_id, return_request_id, provider, provider_transaction_id,
+        refund_type, amount, reason, status, requested_by
+    ) VALUES (
+        p_order_id, p_sub_order_id, p_return_request_id, p_provider, p_provider_transaction_id,
+        p_refund_type, p_amount, p_reason, 'pending', p_requested_by
+    )
+    RETURNING *;
+END;
+$$;
+
+COMMENT ON FUNCTION create_refund_within_cap IS 'Insert a refund unless the order''s refunds would exceed its total';
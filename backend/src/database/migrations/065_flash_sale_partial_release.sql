@@ -0,0 +1,69 @@
+-- Migration: Flash sale partial release
+-- Description: Cancelling some units of an order gives back only those units of
+-- flash stock. A purchase covers every unit of one flash sale product in the
+-- order (all its variants), so releasing it whole would free units still ordered.
+
+-- ========================================
+-- FUNCTION: Release flash sale purchases of an order
+-- Without p_quantities every purchase (or every one of p_flash_sale_product_ids)
+-- is released, as before; already released purchases are skipped.
+-- With p_quantities, p_quantities[i] units of p_flash_sale_product_ids[i] are
+-- released: the purchase quantity and sold_count go down, and the purchase is
+-- marked released once nothing is left of it.
+-- ========================================
+DROP FUNCTION IF EXISTS release_flash_sale_purchases(UUID, UUID[]);
+
+CREATE OR REPLACE FUNCTION release_flash_sale_purchases(
+    p_order_id UUID,
+    p_flash_sale_product_ids UUID[] DEFAULT NULL,
+    p_quantities INT[] DEFAULT NULL
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_purchase flash_sale_purchases%ROWTYPE;
+    v_quantity INT;
+    v_released INT := 0;
+BEGIN
+    FOR v_purchase IN
+        SELECT * FROM flash_sale_purchases
+        WHERE order_id = p_order_id
+          AND released_at IS NULL
+          AND (p_flash_sale_product_ids IS NULL OR flash_sale_product_id = ANY(p_flash_sale_product_ids))
+        ORDER BY flash_sale_product_id
+        FOR UPDATE
+    LOOP
+        IF p_quantities IS NULL THEN
+            v_quantity := v_purchase.quantity;
+        ELSE
+            v_quantity := LEAST(
+                COALESCE(p_quantities[array_position(p_flash_sale_product_ids, v_purchase.flash_sale_product_id)], 0),
+                v_purchase.quantity
+            );
+        END IF;
+
+        CONTINUE WHEN v_quantity <= 0;
+
+        UPDATE flash_sale_products
+        SET sold_count = GREATEST(sold_count - v_quantity, 0)
+        WHERE id = v_purchase.flash_sale_product_id;
+
+        IF v_quantity < v_purchase.quantity THEN
+            UPDATE flash_sale_purchases
+            SET quantity = quantity - v_quantity
+            WHERE id = v_purchase.id;
+        ELSE
+            UPDATE flash_sale_purchases
+            SET released_at = NOW()
+            WHERE id = v_purchase.id;
+        END IF;
+
+        v_released := v_released + 1;
+    END LOOP;
+
+    RETURN v_released;
+END;
+$$;
+
+COMMENT ON FUNCTION release_flash_sale_purchases IS 'Return flash stock of a cancelled order, or of some of its units';
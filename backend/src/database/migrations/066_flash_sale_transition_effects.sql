@@ -0,0 +1,18 @@
+-- Migration: Flash sale transition side effects
+-- Description: A status change and the side effects it owes (flash_sale.started /
+-- flash_sale.ended event, caches, search documents, notifications) are recorded
+-- together, so effects that fail after the status was committed are retried by
+-- the transition job or the lifecycle sweep instead of being lost.
+--
+-- - pending_transition: status whose side effects have not completed yet
+-- - transition_claimed_at: when a runner took the pending effects; a claim older
+--   than the lease (see flash-sale-lifecycle.service) is taken over
+
+ALTER TABLE flash_sales
+    ADD COLUMN IF NOT EXISTS pending_transition VARCHAR(20)
+        CHECK (pending_transition IN ('active', 'ended')),
+    ADD COLUMN IF NOT EXISTS transition_claimed_at TIMESTAMP WITH TIME ZONE;
+
+-- Sweep lookup: sales with side effects still to run
+CREATE INDEX IF NOT EXISTS idx_flash_sales_pending_transition ON flash_sales(pending_transition)
+    WHERE pending_transition IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Migration: Search reindex lock
+-- Description: The running reindex job is the shared record of the index being
+-- built: every API instance and consumer reads its target_index to write product
+-- documents to both indices until the alias swap. At most one reindex may run,
+-- so concurrent requests cannot both claim it.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_index_jobs_one_running_reindex
+    ON search_index_jobs(type)
+    WHERE type = 'reindex' AND status = 'running';
@@ -0,0 +1,91 @@
+-- Migration: Apply product options in one transaction
+-- Description: Setting the option axes of a product (variant-matrix.service) stores
+-- the options and updates, creates and retires its variants together, so a failure
+-- half way leaves nothing changed. Concurrent changes of one product's options are
+-- taken one after the other (the product row is locked), and a plan made from
+-- variants that have changed since is refused instead of applied.
+
+-- ========================================
+-- FUNCTION: Apply a variant matrix plan
+-- p_variant_ids / p_current_ids: all variants, and the not retired ones, the plan
+--   was made from; if the product's variants differ now, SQLSTATE 40001 is raised
+--   and the caller plans again
+-- p_updates: [{ "id": ..., "changes": { attributes, name, image_url, retired_at, is_active } }],
+--   only the keys given are changed
+-- p_creates: new variant rows (sku, name, attributes, image_url, price, quantity,
+--   low_stock_threshold); a taken SKU raises unique_violation (23505)
+-- p_retire_ids: variants whose combination was dropped
+-- Returns the created variants.
+-- ========================================
+CREATE OR REPLACE FUNCTION apply_product_options(
+    p_product_id UUID,
+    p_options JSONB,
+    p_variant_ids UUID[],
+    p_current_ids UUID[],
+    p_updates JSONB DEFAULT '[]',
+    p_creates JSONB DEFAULT '[]',
+    p_retire_ids UUID[] DEFAULT '{}'
+)
+RETURNS SETOF product_variants
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM 1 FROM products
+    WHERE id = p_product_id AND deleted_at IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Product % not found', p_product_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF ARRAY(
+        SELECT id FROM product_variants
+        WHERE product_id = p_product_id AND deleted_at IS NULL
+        ORDER BY id
+    ) IS DISTINCT FROM ARRAY(SELECT unnest(p_variant_ids) ORDER BY 1)
+    OR ARRAY(
+        SELECT id FROM product_variants
+        WHERE product_id = p_product_id AND deleted_at IS NULL AND retired_at IS NULL
+        ORDER BY id
+    ) IS DISTINCT FROM ARRAY(SELECT unnest(p_current_ids) ORDER BY 1) THEN
+        RAISE EXCEPTION 'Variants of product % changed', p_product_id USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    UPDATE products
+    SET options = p_options,
+        updated_at = NOW()
+    WHERE id = p_product_id;
+
+    UPDATE product_variants v
+    SET attributes = CASE WHEN u.changes ? 'attributes' THEN u.changes->'attributes' ELSE v.attributes END,
+        name = CASE WHEN u.changes ? 'name' THEN u.changes->>'name' ELSE v.name END,
+        image_url = CASE WHEN u.changes ? 'image_url' THEN u.changes->>'image_url' ELSE v.image_url END,
+        retired_at = CASE WHEN u.changes ? 'retired_at' THEN (u.changes->>'retired_at')::TIMESTAMPTZ ELSE v.retired_at END,
+        is_active = CASE WHEN u.changes ? 'is_active' THEN (u.changes->>'is_active')::BOOLEAN ELSE v.is_active END,
+        updated_at = NOW()
+    FROM jsonb_to_recordset(p_updates) AS u(id UUID, changes JSONB)
+    WHERE v.id = u.id
+      AND v.product_id = p_product_id;
+
+    UPDATE product_variants
+    SET retired_at = NOW(),
+        is_active = false,
+        updated_at = NOW()
+    WHERE id = ANY(p_retire_ids)
+      AND product_id = p_product_id;
+
+    RETURN QUERY
+    INSERT INTO product_variants (
+        product_id, sku, name, attributes, image_url, price, quantity, low_stock_threshold, is_active
+    )
+    SELECT p_product_id, c.sku, c.name, COALESCE(c.attributes, '{}'), c.image_url, c.price,
+           COALESCE(c.quantity, 0), COALESCE(c.low_stock_threshold, 10), true
+    FROM jsonb_to_recordset(p_creates) AS c(
+        sku VARCHAR, name VARCHAR, attributes JSONB, image_url TEXT, price DECIMAL,
+        quantity INT, low_stock_threshold INT
+    )
+    RETURNING *;
+END;
+$$;
+
+COMMENT ON FUNCTION apply_product_options IS 'Store the options of a product and update, create and retire its variants at once';
@@ -5,11 +5,16 @@
 
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
-const { Client } = require('@elastic/elasticsearch');
+const {
+    esClient,
+    PRODUCT_INDEX,
+    createVersionedIndex,
+    swapAlias,
+    deleteIndices,
+} = require('../../shared/elasticsearch/elasticsearch.client');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const esUrl = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
 
 if (!supabaseUrl || !supabaseKey) {
     console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
@@ -17,42 +22,6 @@ if (!supabaseUrl || !supabaseKey) {
 }
 
 const supabase = createClient(supabaseUrl, supabaseKey);
-const esClient = new Client({ node: esUrl });
-
-const PRODUCT_INDEX = 'products';
-
-const PRODUCT_MAPPING = {
-    properties: {
-        id: { type: 'keyword' },
-        shop_id: { type: 'keyword' },
-        category_id: { type: 'keyword' },
-        name: {
-            type: 'text',
-            analyzer: 'standard',
-            fields: {
-                keyword: { type: 'keyword' },
-                suggest: { type: 'completion' },
-            },
-        },
-        slug: { type: 'keyword' },
-        description: { type: 'text', analyzer: 'standard' },
-        short_description: { type: 'text', analyzer: 'standard' },
-        base_price: { type: 'float' },
-        compare_at_price: { type: 'float' },
-        currency: { type: 'keyword' },
-        status: { type: 'keyword' },
-        total_sold: { type: 'integer' },
-        view_count: { type: 'integer' },
-        avg_rating: { type: 'float' },
-        review_count: { type: 'integer' },
-        category_name: { type: 'keyword' },
-        shop_name: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-        primary_image_url: { type: 'keyword' },
-        created_at: { type: 'date' },
-        updated_at: { type: 'date' },
-    },
-};
-
 
 async function createIndex() {
     console.log('🔍 Kiểm tra Elasticsearch...');
@@ -68,41 +37,36 @@ async function createIndex() {
     console.log('📦 Tạo index products...');
     
     try {
-        // Xóa index cũ nếu có
-        const exists = await esClient.indices.exists({ index: PRODUCT_INDEX });
-        if (exists) {
-            await esClient.indices.delete({ index: PRODUCT_INDEX });
-            console.log('  ✓ Đã xóa index cũ');
-        }
-
-        // Tạo index mới
-        await esClient.indices.create({
-            index: PRODUCT_INDEX,
-            body: {
-                settings: {
-                    number_of_shards: 1,
-                    number_of_replicas: 0,
-                    analysis: {
-                        analyzer: {
-                            vietnamese: {
-                                type: 'custom',
-                                tokenizer: 'standard',
-                                filter: ['lowercase', 'asciifolding'],
-                            },
-                        },
-                    },
-                },
-                mappings: PRODUCT_MAPPING,
-            },
-        });
-        console.log('  ✓ Đã tạo index products');
+        // Synonyms được quản lý trong bảng search_synonyms
+        const { data: synonyms } = await supabase
+            .from('search_synonyms')
+            .select('terms')
+            .eq('is_active', true);
+
+        // Tạo index mới (alias products chỉ chuyển sang khi sync xong)
+        const index = await createVersionedIndex((synonyms || []).map(s => s.terms.join(', ')));
+        console.log(`  ✓ Đã tạo index ${index} (${(synonyms || []).length} nhóm synonym)`);
+        return index;
     } catch (error) {
         console.error('  ✗ Lỗi tạo index:', error.message);
         process.exit(1);
     }
 }
 
-async function syncProducts() {
+async function swapIndex(index) {
+    console.log(`🔀 Chuyển alias ${PRODUCT_INDEX}...`);
+
+    try {
+        const previous = await swapAlias(index);
+        await deleteIndices(previous);
+        console.log(`  ✓ Alias ${PRODUCT_INDEX} -> ${index}${previous.length ? ` (đã xóa ${previous.join(', ')})` : ''}`);
+    } catch (error) {
+        console.error('  ✗ Lỗi chuyển alias:', error.message);
+        process.exit(1);
+    }
+}
+
+async function syncProducts(index) {
     console.log('📥 Lấy products từ database...');
     
     // Lấy tất cả products active
@@ -149,7 +113,7 @@ async function syncProducts() {
 
     // Bulk index
     const operations = products.flatMap(p => [
-        { index: { _index: PRODUCT_INDEX, _id: p.id } },
+        { index: { _index: index, _id: p.id } },
         {
             id: p.id,
             shop_id: p.shop_id,
@@ -221,8 +185,9 @@ async function verifySync() {
 async function main() {
     console.log('🚀 Bắt đầu sync Elasticsearch...\n');
     
-    await createIndex();
-    await syncProducts();
+    const index = await createIndex();
+    await syncProducts(index);
+    await swapIndex(index);
     await verifySync();
     
     console.log('\n✅ Hoàn tất!');
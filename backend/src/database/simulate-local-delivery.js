@@ -11,6 +11,8 @@ const { supabaseAdmin } = require('../shared/supabase/supabase.client');
 const locationService = require('../modules/shipper/location.service');
 const goongClient = require('../shared/goong/goong.client');
 const { io } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
 
 const SOCKET_URL = process.env.SOCKET_URL || 'http://localhost:3000';
 
@@ -83,8 +85,14 @@ async function simulateLocalDelivery(shipmentId) {
   
   console.log(`📍 Simulating ${routePoints.length} waypoints along the route`);
   
-  // Connect to Socket.io
+  // Connect to Socket.io as the assigned shipper (handshake requires an access token)
+  const token = jwt.sign(
+    { userId: shipment.shipper?.user_id, role: 'shipper' },
+    config.jwt.accessSecret,
+    { expiresIn: '1h' }
+  );
   const socket = io(SOCKET_URL, {
+    auth: { token },
     transports: ['websocket', 'polling'],
   });
   
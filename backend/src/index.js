@@ -11,6 +11,7 @@ const config = require('./config');
 const { startAllConsumers } = require('./shared/rabbitmq/consumers');
 const cassandraClient = require('./shared/cassandra/cassandra.client');
 const { initializeSocket } = require('./shared/socket/socket.service');
+const jobScheduler = require('./shared/jobs/job.scheduler');
 
 const PORT = config.port;
 
@@ -38,6 +39,9 @@ async function initializeServices() {
   } catch (error) {
     console.warn('[Init] RabbitMQ consumers not started:', error.message);
   }
+
+  // Start durable job scheduler (handlers are registered by modules in app.js)
+  jobScheduler.start();
 }
 
 // Start server
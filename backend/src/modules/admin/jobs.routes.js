@@ -0,0 +1,115 @@
+/**
+ * Admin Scheduled Jobs Routes
+ * Inspect and retry durable background jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../auth/auth.middleware');
+const jobRepository = require('../../shared/jobs/job.repository');
+const jobScheduler = require('../../shared/jobs/job.scheduler');
+
+const JOB_STATUSES = Object.values(jobScheduler.JOB_STATUS);
+
+/**
+ * Serialize job for API response
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        name: job.name,
+        key: job.job_key,
+        payload: job.payload,
+        status: job.status,
+        runAt: job.run_at,
+        repeatIntervalMs: job.repeat_interval_ms ? Number(job.repeat_interval_ms) : null,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        lastError: job.last_error,
+        lockedBy: job.locked_by,
+        lockedUntil: job.locked_until,
+        completedAt: job.completed_at,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+    };
+}
+
+/**
+ * GET /api/admin/jobs
+ * List scheduled jobs (default: pending and failed)
+ * Query: status (comma separated), name, page, limit
+ */
+router.get('/', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { name } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const status = req.query.status
+            ? req.query.status.split(',').map(s => s.trim())
+            : ['pending', 'failed'];
+
+        const invalid = status.filter(s => !JOB_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: { code: 'VALIDATION_ERROR', message: `Invalid job status: ${invalid.join(', ')}` }
+            });
+        }
+
+        const result = await jobRepository.findJobs({ status, name, page, limit });
+
+        res.json({
+            success: true,
+            data: result.data.map(serializeJob),
+            pagination: {
+                page: result.page,
+                limit: result.limit,
+                total: result.total,
+                totalPages: Math.ceil(result.total / result.limit),
+            },
+            scheduler: jobScheduler.getStatus(),
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: { code: 'JOBS_ERROR', message: error.message }
+        });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Re-queue a failed job
+ */
+router.post('/:id/retry', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const job = await jobRepository.findJobById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: { code: 'JOB_NOT_FOUND', message: 'Job not found' }
+            });
+        }
+
+        const requeued = await jobRepository.requeueFailedJob(job.id);
+
+        if (!requeued) {
+            return res.status(400).json({
+                success: false,
+                error: { code: 'INVALID_JOB_STATUS', message: `Only failed jobs can be retried (current: ${job.status})` }
+            });
+        }
+
+        res.json({ success: true, data: serializeJob(requeued) });
+    } catch (error) {
+        console.error('Retry job error:', error);
+        res.status(500).json({
+            success: false,
+            error: { code: 'JOBS_ERROR', message: error.message }
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Admin Search Routes
+ * Manage search synonyms, rebuild the product search index and check it
+ * against the database
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../auth/auth.middleware');
+const searchService = require('../product/services/search.service');
+const searchIndexService = require('../product/services/search-index.service');
+
+const INDEX_JOB_TYPES = ['reindex', 'consistency_check'];
+
+/**
+ * Serialize synonym group for API response
+ */
+function serializeSynonym(synonym) {
+    return {
+        id: synonym.id,
+        terms: synonym.terms,
+        isActive: synonym.is_active,
+        createdBy: synonym.created_by,
+        createdAt: synonym.created_at,
+        updatedAt: synonym.updated_at,
+    };
+}
+
+/**
+ * Serialize reindex / consistency check job for API response
+ */
+function serializeIndexJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        source: job.source,
+        triggeredBy: job.triggered_by,
+        requestedBy: job.requested_by,
+        reason: job.reason,
+        targetIndex: job.target_index,
+        progress: {
+            total: job.total,
+            processed: job.processed,
+            failed: job.failed,
+            percent: job.total ? Math.min(100, Math.round((job.processed / job.total) * 100)) : null,
+        },
+        summary: job.summary,
+        error: job.error,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at,
+        createdAt: job.created_at,
+    };
+}
+
+/**
+ * Send a service error in the admin response format
+ */
+function sendError(res, error, fallbackCode) {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: { code: error.code || fallbackCode, message: error.message }
+    });
+}
+
+/**
+ * GET /api/admin/search/synonyms
+ * List synonym groups
+ */
+router.get('/synonyms', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const synonyms = await searchService.getSynonyms();
+        res.json({ success: true, data: synonyms.map(serializeSynonym) });
+    } catch (error) {
+        console.error('Get synonyms error:', error);
+        sendError(res, error, 'SEARCH_SYNONYMS_ERROR');
+    }
+});
+
+/**
+ * POST /api/admin/search/synonyms
+ * Create a synonym group: { terms: ["đt", "điện thoại"], isActive }
+ * Takes effect after the next reindex
+ */
+router.post('/synonyms', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const synonym = await searchService.createSynonym(req.body, req.user.userId);
+        res.status(201).json({ success: true, data: serializeSynonym(synonym), reindexRequired: true });
+    } catch (error) {
+        console.error('Create synonym error:', error);
+        sendError(res, error, 'SEARCH_SYNONYMS_ERROR');
+    }
+});
+
+/**
+ * PUT /api/admin/search/synonyms/:id
+ * Update a synonym group: { terms?, isActive? }
+ */
+router.put('/synonyms/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const synonym = await searchService.updateSynonym(req.params.id, req.body);
+        res.json({ success: true, data: serializeSynonym(synonym), reindexRequired: true });
+    } catch (error) {
+        console.error('Update synonym error:', error);
+        sendError(res, error, 'SEARCH_SYNONYMS_ERROR');
+    }
+});
+
+/**
+ * DELETE /api/admin/search/synonyms/:id
+ * Delete a synonym group
+ */
+router.delete('/synonyms/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        await searchService.deleteSynonym(req.params.id);
+        res.json({ success: true, message: 'Synonym deleted', reindexRequired: true });
+    } catch (error) {
+        console.error('Delete synonym error:', error);
+        sendError(res, error, 'SEARCH_SYNONYMS_ERROR');
+    }
+});
+
+/**
+ * GET /api/admin/search/indices
+ * Product indices and which one the search alias points to
+ */
+router.get('/indices', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const status = await searchService.getIndexStatus();
+        res.json({ success: true, data: status });
+    } catch (error) {
+        console.error('Get search indices error:', error);
+        sendError(res, error, 'SEARCH_INDEX_ERROR');
+    }
+});
+
+/**
+ * POST /api/admin/search/reindex
+ * Rebuild the product index with the current mapping and synonyms (zero downtime):
+ * { source: 'database' | 'index', reason }. 'database' (default) reloads every
+ * active product from Postgres; 'index' copies the current documents.
+ * Runs in the search consumer; follow it with GET /jobs/:id.
+ */
+router.post('/reindex', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const result = await searchService.requestReindex({
+            source: req.body.source,
+            requestedBy: req.user.userId,
+            reason: req.body.reason || null,
+        });
+        res.status(202).json({ success: true, data: { requested: result.requested, job: serializeIndexJob(result.job) } });
+    } catch (error) {
+        console.error('Request reindex error:', error);
+        sendError(res, error, 'SEARCH_INDEX_ERROR');
+    }
+});
+
+/**
+ * POST /api/admin/search/consistency-check
+ * Compare the index with the database (status, updated_at, base_price, missing
+ * and orphaned documents): { repair: true } also fixes what it finds
+ */
+router.post('/consistency-check', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const job = await searchIndexService.checkConsistency({
+            repair: req.body.repair === true,
+            triggeredBy: 'admin',
+            requestedBy: req.user.userId,
+        });
+        res.json({ success: true, data: serializeIndexJob(job) });
+    } catch (error) {
+        console.error('Search consistency check error:', error);
+        sendError(res, error, 'SEARCH_INDEX_ERROR');
+    }
+});
+
+/**
+ * GET /api/admin/search/jobs
+ * Reindex and consistency check jobs (newest first): ?type=&page=&limit=
+ */
+router.get('/jobs', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const type = req.query.type;
+        if (type && !INDEX_JOB_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: { code: 'VALIDATION_ERROR', message: `Invalid job type: ${type}` }
+            });
+        }
+
+        const result = await searchIndexService.getJobs({
+            type,
+            page: parseInt(req.query.page, 10) || 1,
+            limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+        });
+        res.json({ success: true, data: result.jobs.map(serializeIndexJob), pagination: result.pagination });
+    } catch (error) {
+        console.error('Get search index jobs error:', error);
+        sendError(res, error, 'SEARCH_INDEX_ERROR');
+    }
+});
+
+/**
+ * GET /api/admin/search/jobs/:id
+ * Job progress, and the issues found by a consistency check
+ */
+router.get('/jobs/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const job = await searchIndexService.getJob(req.params.id);
+        res.json({ success: true, data: serializeIndexJob(job) });
+    } catch (error) {
+        console.error('Get search index job error:', error);
+        sendError(res, error, 'SEARCH_INDEX_ERROR');
+    }
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticate, requireAdmin } = require('../auth/auth.middleware');
 const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 const { v4: uuidv4 } = require('uuid');
+const voucherService = require('../order/services/voucher.service');
 
 /**
  * GET /api/admin/vouchers
@@ -68,6 +69,9 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
         const endDate = req.body.end_date || req.body.endDate;
         const isActive = req.body.is_active !== false && req.body.status !== 'inactive';
 
+        // Rule fields (free shipping, tiers, restrictions, first order, stacking)
+        const rules = voucherService.normalizeVoucherRules(req.body);
+
         const { data, error } = await supabaseAdmin
             .from('vouchers')
             .insert({
@@ -85,6 +89,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
                 start_date: startDate,
                 end_date: endDate,
                 is_active: isActive,
+                ...rules,
                 created_at: new Date().toISOString()
             })
             .select()
@@ -98,9 +103,9 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
         });
     } catch (error) {
         console.error('Create voucher error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            error: { code: 'VOUCHER_ERROR', message: error.message }
+            error: { code: error.statusCode ? error.code : 'VOUCHER_ERROR', message: error.message }
         });
     }
 });
@@ -135,6 +140,16 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
         if (req.body.is_active !== undefined) updates.is_active = req.body.is_active;
         if (req.body.status !== undefined) updates.is_active = req.body.status === 'active';
 
+        // Rule fields are checked against the stored voucher
+        const { data: current, error: findError } = await supabaseAdmin
+            .from('vouchers')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (findError) throw findError;
+        Object.assign(updates, voucherService.normalizeVoucherRules(req.body, { current }));
+
         const { data, error } = await supabaseAdmin
             .from('vouchers')
             .update(updates)
@@ -150,9 +165,9 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
         });
     } catch (error) {
         console.error('Update voucher error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            error: { code: 'VOUCHER_ERROR', message: error.message }
+            error: { code: error.statusCode ? error.code : 'VOUCHER_ERROR', message: error.message }
         });
     }
 });
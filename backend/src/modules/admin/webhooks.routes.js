@@ -0,0 +1,115 @@
+/**
+ * Admin Webhook Inbox Routes
+ * Inspect received payment and shipping callbacks and reprocess failed ones
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../auth/auth.middleware');
+const webhookInboxService = require('../order/services/webhook-inbox.service');
+
+const EVENT_STATUSES = Object.values(webhookInboxService.EVENT_STATUS);
+
+/**
+ * Serialize webhook event for API response
+ */
+function serializeEvent(event) {
+    return {
+        id: event.id,
+        source: event.source,
+        provider: event.provider,
+        eventKey: event.event_key,
+        payload: event.payload,
+        signature: event.signature,
+        signatureValid: event.signature_valid,
+        status: event.status,
+        attempts: event.attempts,
+        lastError: event.last_error,
+        result: event.result,
+        processedAt: event.processed_at,
+        duplicateCount: event.duplicate_count,
+        lastReceivedAt: event.last_received_at,
+        receivedAt: event.received_at,
+        updatedAt: event.updated_at,
+    };
+}
+
+/**
+ * Send a service error in the admin response format
+ */
+function sendError(res, error, fallbackCode) {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: { code: error.code || fallbackCode, message: error.message }
+    });
+}
+
+/**
+ * GET /api/admin/webhooks
+ * List received webhooks (newest first)
+ * Query: status (comma separated), provider, source, eventKey, page, limit
+ */
+router.get('/', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { provider, source, eventKey } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const status = req.query.status
+            ? req.query.status.split(',').map(s => s.trim())
+            : undefined;
+
+        const invalid = (status || []).filter(s => !EVENT_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: { code: 'VALIDATION_ERROR', message: `Invalid webhook status: ${invalid.join(', ')}` }
+            });
+        }
+
+        const result = await webhookInboxService.getEvents({ status, provider, source, eventKey, page, limit });
+
+        res.json({
+            success: true,
+            data: result.data.map(serializeEvent),
+            pagination: {
+                page: result.page,
+                limit: result.limit,
+                total: result.total,
+                totalPages: Math.ceil(result.total / result.limit),
+            },
+        });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        sendError(res, error, 'WEBHOOKS_ERROR');
+    }
+});
+
+/**
+ * GET /api/admin/webhooks/:id
+ * Get a received webhook with its payload
+ */
+router.get('/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const event = await webhookInboxService.getEvent(req.params.id);
+        res.json({ success: true, data: serializeEvent(event) });
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        sendError(res, error, 'WEBHOOKS_ERROR');
+    }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/reprocess
+ * Process a failed webhook again; responds with the event as it ended up
+ */
+router.post('/:id/reprocess', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const event = await webhookInboxService.reprocessEvent(req.params.id);
+        res.json({ success: true, data: serializeEvent(event) });
+    } catch (error) {
+        console.error('Reprocess webhook error:', error);
+        sendError(res, error, 'WEBHOOKS_ERROR');
+    }
+});
+
+module.exports = router;
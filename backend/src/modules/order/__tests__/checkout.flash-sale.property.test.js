@@ -0,0 +1,294 @@
+/**
+ * Checkout Flash Sale Property Tests
+ * Property-based tests for flash sale pricing, per-user limits and stock caps at checkout
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+const { createCheckoutFixture } = require('./helpers/checkout.fixture');
+
+// In-memory store; claim/release RPCs mirror migration 051 and run one at a time
+// like the row lock taken by claim_flash_sale_purchase
+let flashSaleProducts = [];
+let purchases = [];
+
+// Flash sale purchases are deleted with their order
+const mockCheckout = createCheckoutFixture({
+  onDeleteOrder: (orderId) => {
+    purchases = purchases.filter(p => p.order_id !== orderId);
+  },
+});
+const { db } = mockCheckout;
+
+function claimFlashSalePurchase({ p_flash_sale_product_id: fspId, p_user_id: userId, p_order_id: orderId, p_quantity: quantity }) {
+  const fsp = flashSaleProducts.find(f => f.id === fspId);
+  if (!fsp) return [{ claimed: false, reason: 'NOT_FOUND' }];
+
+  const userPurchased = purchases
+    .filter(p => p.flash_sale_product_id === fspId && p.user_id === userId && !p.released_at)
+    .reduce((sum, p) => sum + p.quantity, 0);
+
+  if (userPurchased + quantity > fsp.limit_per_user) {
+    return [{ claimed: false, reason: 'LIMIT_EXCEEDED', user_purchased: userPurchased, limit_per_user: fsp.limit_per_user }];
+  }
+  if (fsp.sold_count + quantity > fsp.flash_stock) {
+    return [{ claimed: false, reason: 'SOLD_OUT' }];
+  }
+
+  const purchase = { id: `purchase-${db.nextId++}`, flash_sale_product_id: fspId, user_id: userId, order_id: orderId, quantity, released_at: null };
+  purchases.push(purchase);
+  fsp.sold_count += quantity;
+
+  return [{ claimed: true, purchase_id: purchase.id, flash_price: fsp.flash_price, remaining_stock: fsp.flash_stock - fsp.sold_count }];
+}
+
+function releaseFlashSalePurchases({ p_order_id: orderId, p_flash_sale_product_ids: fspIds }) {
+  let released = 0;
+  for (const purchase of purchases) {
+    if (purchase.order_id !== orderId || purchase.released_at) continue;
+    if (fspIds && !fspIds.includes(purchase.flash_sale_product_id)) continue;
+
+    const fsp = flashSaleProducts.find(f => f.id === purchase.flash_sale_product_id);
+    fsp.sold_count = Math.max(fsp.sold_count - purchase.quantity, 0);
+    purchase.released_at = new Date().toISOString();
+    released++;
+  }
+  return released;
+}
+
+const mockSupabaseAdmin = {
+  from: (table) => {
+    if (table === 'flash_sale_products') {
+      const query = {
+        select: () => query,
+        in: () => query,
+        eq: () => query,
+        lte: () => query,
+        gte: () => query,
+        then: (resolve) => resolve({ data: flashSaleProducts.map(f => ({ ...f })), error: null }),
+      };
+      return query;
+    }
+    // Addresses and shops are not found: default address, no shipment
+    const query = {
+      select: () => query,
+      eq: () => query,
+      single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+    };
+    return query;
+  },
+  rpc: async (name, params) => {
+    // Yield first so concurrent checkouts interleave between RPC calls
+    await new Promise(resolve => setImmediate(resolve));
+    const data = name === 'claim_flash_sale_purchase'
+      ? claimFlashSalePurchase(params)
+      : releaseFlashSalePurchases(params);
+    return { data, error: null };
+  },
+};
+
+jest.mock('../order.repository', () => mockCheckout.orderRepository);
+jest.mock('../cart.repository', () => mockCheckout.cartRepository);
+jest.mock('../idempotency.repository', () => ({}));
+jest.mock('../services/voucher.service', () => ({ validateVoucher: jest.fn() }));
+jest.mock('../services/shipping.service', () => ({
+  calculateShippingFee: jest.fn(async () => ({ fee: 0 })),
+}));
+jest.mock('../services/shipping/unified-shipping.service', () => ({}));
+jest.mock('../services/payment.service', () => mockCheckout.paymentService);
+jest.mock('../../wallet/wallet.service', () => ({}));
+jest.mock('../../product/services/inventory.service', () => ({
+  reserveStockAtomic: jest.fn(async () => ({})),
+  releaseStockAtomic: jest.fn(async () => ({})),
+}));
+jest.mock('../order.dto', () => ({ serializeOrder: jest.fn(order => ({ id: order.id, subtotal: order.subtotal })) }));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({ publishOrderEvent: jest.fn().mockResolvedValue(true) }));
+jest.mock('../../notification/notification.service', () => ({ send: jest.fn() }));
+jest.mock('../../shipper/shipment.repository', () => ({ createShipment: jest.fn() }));
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: mockSupabaseAdmin }));
+jest.mock('../../../shared/utils/error.util', () => {
+  class AppError extends Error {
+    constructor(code, message, statusCode) {
+      super(message);
+      this.code = code;
+      this.statusCode = statusCode;
+    }
+  }
+  return {
+    AppError,
+    NotFoundError: class extends AppError {},
+    ValidationError: class extends AppError {},
+    ConflictError: class extends AppError {},
+  };
+});
+
+const checkoutService = require('../services/checkout.service');
+
+// Generators
+const flashSaleArb = fc.record({
+  price: fc.integer({ min: 10000, max: 500000 }),
+  discount: fc.integer({ min: 1, max: 90 }),
+  flashStock: fc.integer({ min: 1, max: 20 }),
+  limitPerUser: fc.integer({ min: 1, max: 5 }),
+});
+
+function seedProduct({ price, discount, flashStock, limitPerUser }) {
+  mockCheckout.reset();
+  purchases = [];
+  flashSaleProducts = [{
+    id: 'fsp-1',
+    flash_sale_id: 'sale-1',
+    product_id: 'product-1',
+    variant_id: 'variant-1',
+    original_price: price,
+    flash_price: Math.round(price * (100 - discount) / 100),
+    flash_stock: flashStock,
+    sold_count: 0,
+    limit_per_user: limitPerUser,
+    is_active: true,
+  }];
+}
+
+function addToCart(userId, quantity) {
+  const item = {
+    id: `cart-${db.nextId++}`,
+    user_id: userId,
+    product_id: 'product-1',
+    variant_id: 'variant-1',
+    quantity,
+    products: { name: 'Flash product', shop_id: 'shop-1' },
+    product_variants: { price: flashSaleProducts[0].original_price, quantity: 1000 },
+  };
+  db.cartItems.push(item);
+  return { cartItemIds: [item.id], shippingAddressId: 'addr-1', paymentMethod: 'cod' };
+}
+
+describe('Checkout Flash Sale Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: flash-sale-checkout, Property 1: Flash price is charged**
+   * *For any* cart item in an active flash sale with stock left, the order item
+   * SHALL be priced at flash_price and reference the flash sale product.
+   */
+  describe('Property 1: Flash price is charged', () => {
+    it('should price order items at the flash price', async () => {
+      await fc.assert(
+        fc.asyncProperty(flashSaleArb, fc.integer({ min: 1, max: 5 }), async (sale, quantity) => {
+          seedProduct(sale);
+          const fsp = flashSaleProducts[0];
+          const body = addToCart('user-1', quantity);
+          const withinLimits = quantity <= fsp.limit_per_user && quantity <= fsp.flash_stock;
+
+          const result = await checkoutService.createOrder('user-1', body).catch(e => e);
+
+          if (withinLimits) {
+            expect(result.order.subtotal).toBe(fsp.flash_price * quantity);
+            expect(db.orderItems).toHaveLength(1);
+            expect(db.orderItems[0].unitPrice).toBe(fsp.flash_price);
+            expect(db.orderItems[0].flashSaleProductId).toBe('fsp-1');
+            expect(fsp.sold_count).toBe(quantity);
+          } else {
+            expect(['FLASH_SALE_LIMIT_EXCEEDED', 'FLASH_SALE_SOLD_OUT']).toContain(result.code);
+            expect(db.orders).toHaveLength(0);
+            expect(fsp.sold_count).toBe(0);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should charge the regular price once the flash stock is sold out', async () => {
+      await fc.assert(
+        fc.asyncProperty(flashSaleArb, async (sale) => {
+          seedProduct(sale);
+          const fsp = flashSaleProducts[0];
+          fsp.sold_count = fsp.flash_stock;
+
+          const result = await checkoutService.createOrder('user-1', addToCart('user-1', 1));
+
+          expect(result.order.subtotal).toBe(fsp.original_price);
+          expect(db.orderItems[0].flashSaleProductId).toBeNull();
+          expect(purchases).toHaveLength(0);
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-checkout, Property 2: Limits hold under concurrency**
+   * *For any* set of concurrent checkouts, sold_count SHALL never exceed flash_stock,
+   * no user SHALL hold more than limit_per_user, and sold_count SHALL equal the
+   * quantity of the orders that were placed.
+   */
+  describe('Property 2: Limits hold under concurrency', () => {
+    it('should never oversell or exceed the per-user limit', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          flashSaleArb,
+          fc.array(
+            fc.record({ user: fc.constantFrom('user-1', 'user-2', 'user-3'), quantity: fc.integer({ min: 1, max: 3 }) }),
+            { minLength: 1, maxLength: 10 }
+          ),
+          async (sale, checkouts) => {
+            seedProduct(sale);
+            const fsp = flashSaleProducts[0];
+
+            const outcomes = await Promise.all(checkouts.map(({ user, quantity }) =>
+              checkoutService.createOrder(user, addToCart(user, quantity)).then(() => null, e => e)));
+
+            for (const error of outcomes.filter(Boolean)) {
+              expect(['FLASH_SALE_LIMIT_EXCEEDED', 'FLASH_SALE_SOLD_OUT']).toContain(error.code);
+            }
+
+            const active = purchases.filter(p => !p.released_at);
+            expect(fsp.sold_count).toBeLessThanOrEqual(fsp.flash_stock);
+            expect(fsp.sold_count).toBe(active.reduce((sum, p) => sum + p.quantity, 0));
+            expect(active.map(p => p.order_id).sort()).toEqual(db.orders.map(o => o.id).sort());
+
+            for (const user of ['user-1', 'user-2', 'user-3']) {
+              const bought = active.filter(p => p.user_id === user).reduce((sum, p) => sum + p.quantity, 0);
+              expect(bought).toBeLessThanOrEqual(fsp.limit_per_user);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-checkout, Property 3: Failed checkout gives stock back**
+   * *For any* failing write step after the claim, checkout SHALL release the
+   * claimed flash stock so sold_count returns to its previous value.
+   */
+  describe('Property 3: Failed checkout gives stock back', () => {
+    it('should release claimed flash stock on rollback', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          flashSaleArb,
+          fc.constantFrom('createSubOrder', 'createOrderItems', 'initiatePayment'),
+          async (sale, step) => {
+            seedProduct(sale);
+            const fsp = flashSaleProducts[0];
+            const body = addToCart('user-1', 1);
+            db.failAt = step;
+
+            await expect(checkoutService.createOrder('user-1', body)).rejects.toThrow();
+            expect(db.orders).toHaveLength(0);
+            expect(fsp.sold_count).toBe(0);
+
+            db.failAt = null;
+            await checkoutService.createOrder('user-1', body);
+            expect(fsp.sold_count).toBe(1);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
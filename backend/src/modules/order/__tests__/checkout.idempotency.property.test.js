@@ -0,0 +1,309 @@
+/**
+ * Checkout Idempotency Property Tests
+ * Property-based tests for checkout rollback and Idempotency-Key handling
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+const { createCheckoutFixture } = require('./helpers/checkout.fixture');
+
+// In-memory orders and cart, plus idempotency keys and stock reservations
+const mockCheckout = createCheckoutFixture();
+const { db } = mockCheckout;
+let idempotencyKeys = [];
+let reserved = {};
+
+const mockInventoryService = {
+  reserveStockAtomic: jest.fn(async (variantId, quantity) => {
+    reserved[variantId] = (reserved[variantId] || 0) + quantity;
+  }),
+  releaseStockAtomic: jest.fn(async (variantId, quantity) => {
+    reserved[variantId] = Math.max((reserved[variantId] || 0) - quantity, 0);
+  }),
+};
+
+const mockIdempotencyRepository = {
+  claimKey: jest.fn(async (userId, scope, key, requestHash) => {
+    const existing = idempotencyKeys.find(k => k.user_id === userId && k.scope === scope && k.key === key);
+    if (existing) {
+      return {
+        claimed: false,
+        key_id: existing.id,
+        key_status: existing.status,
+        request_hash: existing.request_hash,
+        response_body: existing.response_body,
+      };
+    }
+    const row = { id: `key-${db.nextId++}`, user_id: userId, scope, key, request_hash: requestHash, status: 'processing' };
+    idempotencyKeys.push(row);
+    return { claimed: true, key_id: row.id, key_status: row.status, request_hash: requestHash, response_body: null };
+  }),
+  completeKey: jest.fn(async (keyId, result) => {
+    const row = idempotencyKeys.find(k => k.id === keyId);
+    row.status = 'completed';
+    row.response_body = JSON.parse(JSON.stringify(result.responseBody));
+  }),
+  deleteKey: jest.fn(async (keyId) => {
+    idempotencyKeys = idempotencyKeys.filter(k => k.id !== keyId);
+  }),
+};
+
+const mockRabbitMQ = {
+  EXCHANGES: { EVENTS: 'events' },
+  publishOrderEvent: jest.fn().mockResolvedValue(true),
+  publishToExchange: jest.fn().mockResolvedValue(true),
+};
+
+// Addresses and shops are not found: default address, no shipment
+const mockSupabaseQuery = {
+  select: () => mockSupabaseQuery,
+  eq: () => mockSupabaseQuery,
+  single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+};
+
+jest.mock('../order.repository', () => mockCheckout.orderRepository);
+jest.mock('../cart.repository', () => mockCheckout.cartRepository);
+jest.mock('../idempotency.repository', () => mockIdempotencyRepository);
+jest.mock('../services/voucher.service', () => ({ validateVoucher: jest.fn() }));
+jest.mock('../services/shipping.service', () => ({
+  calculateShippingFee: jest.fn(async () => ({ fee: 15000 })),
+}));
+jest.mock('../services/shipping/unified-shipping.service', () => ({}));
+jest.mock('../services/payment.service', () => mockCheckout.paymentService);
+jest.mock('../../wallet/wallet.service', () => ({}));
+jest.mock('../../product/services/flash-sale.service', () => ({
+  getActiveFlashSalePrices: jest.fn(async () => new Map()),
+  claimPurchase: jest.fn(),
+  releaseOrderPurchases: jest.fn(),
+}));
+jest.mock('../../product/services/inventory.service', () => mockInventoryService);
+jest.mock('../order.dto', () => ({ serializeOrder: jest.fn(order => ({ id: order.id, total: order.grand_total })) }));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => mockRabbitMQ);
+jest.mock('../../notification/notification.service', () => ({ send: jest.fn() }));
+jest.mock('../../shipper/shipment.repository', () => ({ createShipment: jest.fn() }));
+jest.mock('../../../shared/supabase/supabase.client', () => ({
+  supabaseAdmin: { from: () => mockSupabaseQuery },
+}));
+jest.mock('../../../shared/utils/error.util', () => ({
+  AppError: class AppError extends Error {
+    constructor(code, message, statusCode) {
+      super(message);
+      this.code = code;
+      this.statusCode = statusCode;
+    }
+  },
+}));
+
+const checkoutService = require('../services/checkout.service');
+
+// Generators
+const cartArb = fc.array(
+  fc.record({
+    shop: fc.constantFrom('shop-1', 'shop-2', 'shop-3'),
+    price: fc.integer({ min: 1000, max: 500000 }),
+    quantity: fc.integer({ min: 1, max: 5 }),
+  }),
+  { minLength: 1, maxLength: 6 }
+);
+
+function seed(items) {
+  mockCheckout.reset();
+  idempotencyKeys = [];
+  reserved = {};
+  mockRabbitMQ.publishOrderEvent.mockClear();
+  db.cartItems = items.map((item, i) => ({
+    id: `cart-${i}`,
+    user_id: 'user-1',
+    product_id: `product-${i}`,
+    variant_id: `variant-${i}`,
+    quantity: item.quantity,
+    products: { name: `Product ${i}`, shop_id: item.shop },
+    product_variants: { price: item.price, quantity: 100 },
+  }));
+
+  return {
+    cartItemIds: db.cartItems.map(i => i.id),
+    shippingAddressId: 'addr-1',
+    paymentMethod: 'cod',
+  };
+}
+
+describe('Checkout Idempotency Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: idempotent-checkout, Property 1: Failed checkout leaves nothing behind**
+   * *For any* cart and any failing write step, checkout SHALL fail without leaving an
+   * order, sub-order, order item or stock reservation behind and SHALL keep the cart intact.
+   * **Validates: Requirements 6.1**
+   */
+  describe('Property 1: Failed checkout leaves nothing behind', () => {
+    it('should roll back every completed step', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          cartArb,
+          fc.constantFrom('createOrder', 'createSubOrder', 'createOrderItems', 'initiatePayment', null),
+          async (items, step) => {
+            const body = seed(items);
+            db.failAt = step;
+
+            let error = null;
+            try {
+              await checkoutService.createOrder('user-1', body);
+            } catch (e) {
+              error = e;
+            }
+
+            if (step) {
+              expect(error).not.toBeNull();
+              expect(db.orders).toHaveLength(0);
+              expect(db.subOrders).toHaveLength(0);
+              expect(db.orderItems).toHaveLength(0);
+              expect(db.cartItems).toHaveLength(items.length);
+              expect(Object.values(reserved).every(q => q === 0)).toBe(true);
+              expect(mockRabbitMQ.publishOrderEvent).not.toHaveBeenCalled();
+            } else {
+              expect(error).toBeNull();
+              expect(db.orders).toHaveLength(1);
+              expect(db.orderItems).toHaveLength(items.length);
+              expect(db.cartItems).toHaveLength(0);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: idempotent-checkout, Property 2: Retries return the original result**
+   * *For any* number of sequential or concurrent retries with the same Idempotency-Key,
+   * exactly one order SHALL be created and every completed retry SHALL return the
+   * original result; reusing the key for another body SHALL be rejected.
+   * **Validates: Requirements 6.2**
+   */
+  describe('Property 2: Retries return the original result', () => {
+    it('should create at most one order per Idempotency-Key', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          cartArb,
+          fc.integer({ min: 1, max: 5 }),
+          fc.boolean(),
+          async (items, retries, concurrent) => {
+            const body = seed(items);
+            const call = () => checkoutService.checkout('user-1', body, 'tap-123')
+              .then(r => ({ ok: r }), e => ({ error: e }));
+
+            let outcomes;
+            if (concurrent) {
+              outcomes = await Promise.all(Array.from({ length: retries + 1 }, call));
+            } else {
+              outcomes = [];
+              for (let i = 0; i <= retries; i++) {
+                outcomes.push(await call());
+              }
+            }
+
+            expect(db.orders).toHaveLength(1);
+
+            const original = outcomes.find(o => o.ok && !o.ok.replayed);
+            expect(original).toBeDefined();
+            expect(outcomes.filter(o => o.ok && !o.ok.replayed)).toHaveLength(1);
+
+            for (const outcome of outcomes) {
+              if (outcome.ok) {
+                expect(outcome.ok.result).toEqual(original.ok.result);
+              } else {
+                expect(outcome.error.code).toBe('CHECKOUT_IN_PROGRESS');
+              }
+            }
+
+            const replay = await call();
+            expect(replay.ok.replayed).toBe(true);
+            expect(replay.ok.result).toEqual(original.ok.result);
+
+            const reused = await checkoutService
+              .checkout('user-1', { ...body, customerNote: 'changed' }, 'tap-123')
+              .catch(e => e);
+            expect(reused.code).toBe('IDEMPOTENCY_KEY_REUSED');
+            expect(db.orders).toHaveLength(1);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should free the key when checkout fails so the client can retry', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          cartArb,
+          fc.constantFrom('createOrder', 'createSubOrder', 'createOrderItems', 'initiatePayment'),
+          async (items, step) => {
+            const body = seed(items);
+            db.failAt = step;
+
+            await expect(checkoutService.checkout('user-1', body, 'tap-456')).rejects.toThrow();
+            expect(idempotencyKeys).toHaveLength(0);
+
+            db.failAt = null;
+            const retry = await checkoutService.checkout('user-1', body, 'tap-456');
+            expect(retry.replayed).toBe(false);
+            expect(db.orders).toHaveLength(1);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep the key of a placed order when a step after the saga fails', async () => {
+      await fc.assert(
+        fc.asyncProperty(cartArb, async (items) => {
+          const body = seed(items);
+          db.failAt = 'findOrderById';
+
+          const placed = await checkoutService.checkout('user-1', body, 'tap-789');
+          expect(placed.replayed).toBe(false);
+          expect(placed.result.order.id).toBe(db.orders[0].id);
+
+          db.failAt = null;
+          const retry = await checkoutService.checkout('user-1', body, 'tap-789');
+          expect(retry.replayed).toBe(true);
+          expect(db.orders).toHaveLength(1);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should retry storing the result and keep the key while it cannot be stored', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await fc.assert(
+        fc.asyncProperty(cartArb, fc.integer({ min: 1, max: 3 }), async (items, failures) => {
+          const body = seed(items);
+          for (let i = 0; i < failures; i++) {
+            mockIdempotencyRepository.completeKey.mockRejectedValueOnce(new Error('Connection reset'));
+          }
+
+          const outcome = await checkoutService.checkout('user-1', body, 'tap-999').catch(e => e);
+
+          expect(db.orders).toHaveLength(1);
+          expect(idempotencyKeys).toHaveLength(1);
+          if (failures < 3) {
+            expect(outcome.replayed).toBe(false);
+            expect(idempotencyKeys[0].status).toBe('completed');
+          } else {
+            expect(outcome.code).toBe('CHECKOUT_RESULT_NOT_STORED');
+            expect(idempotencyKeys[0].status).toBe('processing');
+            await expect(checkoutService.checkout('user-1', body, 'tap-999'))
+              .rejects.toMatchObject({ code: 'CHECKOUT_IN_PROGRESS' });
+            expect(db.orders).toHaveLength(1);
+          }
+        }),
+        { numRuns: 10 }
+      );
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * Checkout Stock Reservation Property Tests
+ * Property-based tests for reserving stock at checkout and settling it afterwards
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+const { createCheckoutFixture } = require('./helpers/checkout.fixture');
+
+// In-memory store; stock RPCs mirror migration 020 and run one at a time
+// like the row lock taken by reserve_stock
+let variants = {};
+
+const stockRpcs = {
+  reserve_stock: ({ p_variant_id: id, p_quantity: quantity }) => {
+    const variant = variants[id];
+    if (!variant) return [{ success: false, available_quantity: 0, reserved_quantity: 0, message: 'Variant not found' }];
+
+    const available = variant.quantity - variant.reserved_quantity;
+    if (available < quantity) {
+      return [{ success: false, available_quantity: available, reserved_quantity: variant.reserved_quantity, message: 'Insufficient stock' }];
+    }
+    variant.reserved_quantity += quantity;
+    return [{ success: true, available_quantity: available - quantity, reserved_quantity: variant.reserved_quantity, message: 'Stock reserved' }];
+  },
+  release_stock: ({ p_variant_id: id, p_quantity: quantity }) => {
+    const variant = variants[id];
+    variant.reserved_quantity -= Math.min(quantity, variant.reserved_quantity);
+    return [{ success: true, available_quantity: variant.quantity - variant.reserved_quantity, reserved_quantity: variant.reserved_quantity, message: 'Released' }];
+  },
+  confirm_stock_deduction: ({ p_variant_id: id, p_quantity: quantity }) => {
+    const variant = variants[id];
+    if (variant.quantity < quantity) {
+      return [{ success: false, message: 'Insufficient stock for deduction' }];
+    }
+    variant.quantity -= quantity;
+    variant.reserved_quantity = Math.max(variant.reserved_quantity - quantity, 0);
+    variant.sold += quantity;
+    return [{ success: true, new_quantity: variant.quantity, new_reserved: variant.reserved_quantity, is_out_of_stock: variant.quantity === 0 }];
+  },
+};
+
+// Inventory RPCs that fail once, by name
+let failingRpcs = new Set();
+
+const mockSupabaseQuery = {
+  select: () => mockSupabaseQuery,
+  eq: () => mockSupabaseQuery,
+  single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+};
+
+const mockSupabaseAdmin = {
+  // Addresses and shops are not found: default address, no shipment
+  from: () => mockSupabaseQuery,
+  rpc: async (name, params) => {
+    // Yield first so concurrent checkouts interleave between RPC calls
+    await new Promise(resolve => setImmediate(resolve));
+    if (failingRpcs.delete(name)) {
+      return { data: null, error: { message: `Simulated ${name} failure` } };
+    }
+    return { data: stockRpcs[name](params), error: null };
+  },
+};
+
+// Variant rows are read at checkout time, like the select in cart.repository
+const mockCheckout = createCheckoutFixture({
+  readCartItem: item => ({ ...item, product_variants: { ...variants[item.variant_id] } }),
+});
+const { db } = mockCheckout;
+
+Object.assign(mockCheckout.orderRepository, {
+  findSubOrdersByOrderId: jest.fn(async (orderId) => db.subOrders
+    .filter(s => s.order_id === orderId)
+    .map(s => ({ ...s, order_items: findItems(s.id) }))),
+  findOrderItemsBySubOrderId: jest.fn(async (subOrderId) => findItems(subOrderId)),
+  updateSubOrderStockStatus: jest.fn(async (subOrderId, from, to) => {
+    // Yield so concurrent settlements race for the claim
+    await new Promise(resolve => setImmediate(resolve));
+    const subOrder = db.subOrders.find(s => s.id === subOrderId && s.stock_status === from);
+    if (!subOrder) return null;
+    subOrder.stock_status = to;
+    return { ...subOrder };
+  }),
+});
+
+function findItems(subOrderId) {
+  return db.orderItems
+    .filter(i => i.subOrderId === subOrderId)
+    .map(i => ({ sub_order_id: i.subOrderId, variant_id: i.variantId, quantity: i.quantity }));
+}
+
+const mockJobScheduler = {
+  schedule: jest.fn(async () => ({ id: 'job-1' })),
+  registerHandler: jest.fn(),
+};
+
+jest.mock('../order.repository', () => mockCheckout.orderRepository);
+jest.mock('../cart.repository', () => mockCheckout.cartRepository);
+jest.mock('../idempotency.repository', () => ({}));
+jest.mock('../services/voucher.service', () => ({ validateVoucher: jest.fn() }));
+jest.mock('../services/shipping.service', () => ({
+  calculateShippingFee: jest.fn(async () => ({ fee: 0 })),
+}));
+jest.mock('../services/shipping/unified-shipping.service', () => ({}));
+jest.mock('../services/payment.service', () => mockCheckout.paymentService);
+jest.mock('../../wallet/wallet.service', () => ({}));
+jest.mock('../../product/services/flash-sale.service', () => ({
+  getActiveFlashSalePrices: jest.fn(async () => new Map()),
+  claimPurchase: jest.fn(),
+  releaseOrderPurchases: jest.fn(),
+}));
+jest.mock('../../product/product.repository', () => ({}));
+jest.mock('../order.dto', () => ({ serializeOrder: jest.fn(order => ({ id: order.id })) }));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({ publishOrderEvent: jest.fn().mockResolvedValue(true) }));
+jest.mock('../../notification/notification.service', () => ({ send: jest.fn() }));
+jest.mock('../../shipper/shipment.repository', () => ({ createShipment: jest.fn() }));
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: mockSupabaseAdmin }));
+jest.mock('../../../shared/jobs/job.scheduler', () => mockJobScheduler);
+jest.mock('../../../shared/utils/error.util', () => {
+  class AppError extends Error {
+    constructor(code, message, statusCode) {
+      super(message);
+      this.code = code;
+      this.statusCode = statusCode;
+    }
+  }
+  return {
+    AppError,
+    NotFoundError: class extends AppError {},
+    ValidationError: class extends AppError {},
+  };
+});
+
+const checkoutService = require('../services/checkout.service');
+const stockService = require('../services/stock.service');
+
+// Generators
+const VARIANT_IDS = ['variant-a', 'variant-b'];
+
+const stockArb = fc.record({
+  'variant-a': fc.integer({ min: 0, max: 10 }),
+  'variant-b': fc.integer({ min: 0, max: 10 }),
+});
+
+const cartArb = fc.array(
+  fc.record({
+    variant: fc.constantFrom(...VARIANT_IDS),
+    quantity: fc.integer({ min: 1, max: 4 }),
+    shop: fc.constantFrom('shop-1', 'shop-2'),
+  }),
+  { minLength: 1, maxLength: 3 }
+);
+
+function seed(stock) {
+  jest.clearAllMocks();
+  mockCheckout.reset();
+  failingRpcs = new Set();
+  variants = {};
+  for (const id of VARIANT_IDS) {
+    variants[id] = { id, price: 100000, quantity: stock[id], reserved_quantity: 0, sold: 0 };
+  }
+}
+
+function addToCart(userId, lines) {
+  const ids = lines.map(({ variant, quantity, shop }) => {
+    const item = {
+      id: `cart-${db.nextId++}`,
+      user_id: userId,
+      product_id: `product-${variant}`,
+      variant_id: variant,
+      quantity,
+      products: { name: variant, shop_id: shop },
+    };
+    db.cartItems.push(item);
+    return item.id;
+  });
+  return { cartItemIds: ids, shippingAddressId: 'addr-1', paymentMethod: 'cod' };
+}
+
+function orderedQuantity(variantId, filter = () => true) {
+  const subOrderIds = db.subOrders.filter(filter).map(s => s.id);
+  return db.orderItems
+    .filter(i => i.variantId === variantId && subOrderIds.includes(i.subOrderId))
+    .reduce((sum, i) => sum + i.quantity, 0);
+}
+
+describe('Checkout Stock Reservation Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: stock-reservation, Property 1: No overselling under concurrency**
+   * *For any* stock levels and set of concurrent checkouts, the reserved quantity of
+   * each variant SHALL never exceed its stock and SHALL equal the quantity of the
+   * orders that were placed; rejected checkouts SHALL fail with INSUFFICIENT_STOCK.
+   */
+  describe('Property 1: No overselling under concurrency', () => {
+    it('should never reserve more than the stock', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          stockArb,
+          fc.array(cartArb, { minLength: 1, maxLength: 8 }),
+          async (stock, carts) => {
+            seed(stock);
+
+            const outcomes = await Promise.all(carts.map((lines, i) =>
+              checkoutService.createOrder(`user-${i}`, addToCart(`user-${i}`, lines)).then(() => null, e => e)));
+
+            for (const error of outcomes.filter(Boolean)) {
+              expect(error.code).toBe('INSUFFICIENT_STOCK');
+            }
+
+            for (const id of VARIANT_IDS) {
+              expect(variants[id].reserved_quantity).toBeLessThanOrEqual(variants[id].quantity);
+              expect(variants[id].reserved_quantity).toBe(orderedQuantity(id));
+            }
+            expect(db.subOrders.every(s => s.stock_status === 'reserved')).toBe(true);
+
+            // A checkout that fits the untouched stock is never turned away for lack of it
+            const total = (lines, id) => lines.filter(l => l.variant === id).reduce((sum, l) => sum + l.quantity, 0);
+            carts.forEach((lines, i) => {
+              if (VARIANT_IDS.some(id => total(lines, id) > stock[id])) {
+                expect(outcomes[i]).not.toBeNull();
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should count other reservations when validating availability', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 10 }),
+          fc.integer({ min: 0, max: 10 }),
+          fc.integer({ min: 1, max: 10 }),
+          async (quantity, reservedElsewhere, wanted) => {
+            seed({ 'variant-a': quantity, 'variant-b': 0 });
+            variants['variant-a'].reserved_quantity = Math.min(reservedElsewhere, quantity);
+            const available = quantity - variants['variant-a'].reserved_quantity;
+
+            const result = await checkoutService
+              .createOrder('user-1', addToCart('user-1', [{ variant: 'variant-a', quantity: wanted, shop: 'shop-1' }]))
+              .catch(e => e);
+
+            if (wanted <= available) {
+              expect(result.order).toBeDefined();
+            } else {
+              expect(result.code).toBe('INSUFFICIENT_STOCK');
+              expect(mockCheckout.orderRepository.createOrder).not.toHaveBeenCalled();
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: stock-reservation, Property 2: Failed checkout releases its reservation**
+   * *For any* failing write step after stock was reserved, checkout SHALL leave no
+   * stock reserved.
+   */
+  describe('Property 2: Failed checkout releases its reservation', () => {
+    it('should release reserved stock on rollback', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          cartArb,
+          fc.constantFrom('createSubOrder', 'createOrderItems', 'initiatePayment'),
+          async (lines, step) => {
+            seed({ 'variant-a': 20, 'variant-b': 20 });
+            db.failAt = step;
+
+            await expect(checkoutService.createOrder('user-1', addToCart('user-1', lines))).rejects.toThrow();
+
+            expect(db.orders).toHaveLength(0);
+            for (const id of VARIANT_IDS) {
+              expect(variants[id].reserved_quantity).toBe(0);
+              expect(variants[id].quantity).toBe(20);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: stock-reservation, Property 3: Stock is settled once**
+   * *For any* sequence of possibly repeated and concurrent settlement events
+   * (payment failure, cancellation, delivery), each sub-order's reservation SHALL be
+   * either released or deducted exactly once, and no reservation SHALL remain.
+   */
+  describe('Property 3: Stock is settled once', () => {
+    it('should release or deduct each reservation exactly once', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          cartArb,
+          fc.array(fc.constantFrom('releaseOrder', 'releaseSubOrder', 'deliver'), { minLength: 1, maxLength: 6 }),
+          async (lines, events) => {
+            seed({ 'variant-a': 20, 'variant-b': 20 });
+            const { order } = await checkoutService.createOrder('user-1', addToCart('user-1', lines));
+
+            await Promise.all(events.flatMap(event => {
+              if (event === 'releaseOrder') return [stockService.releaseOrderStock(order.id)];
+              const settle = event === 'deliver' ? stockService.deductSubOrderStock : stockService.releaseSubOrderStock;
+              return db.subOrders.map(s => settle(s.id));
+            }));
+
+            for (const id of VARIANT_IDS) {
+              const delivered = orderedQuantity(id, s => s.stock_status === 'deducted');
+              expect(variants[id].reserved_quantity).toBe(0);
+              expect(variants[id].quantity).toBe(20 - delivered);
+              expect(variants[id].sold).toBe(delivered);
+            }
+            expect(db.subOrders.every(s => ['released', 'deducted'].includes(s.stock_status))).toBe(true);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: stock-reservation, Property 4: Failed settlements are retried**
+   * *For any* sub-order whose inventory update fails after its stock status was
+   * claimed, the failed variant SHALL be handed to the retry job, and running
+   * that job SHALL settle the stock the claim recorded.
+   */
+  describe('Property 4: Failed settlements are retried', () => {
+    it('should schedule and apply the settlement of a failed variant', async () => {
+      await fc.assert(
+        fc.asyncProperty(cartArb, fc.boolean(), async (lines, deliver) => {
+          seed({ 'variant-a': 20, 'variant-b': 20 });
+          const { order } = await checkoutService.createOrder('user-1', addToCart('user-1', lines));
+          const subOrder = db.subOrders.find(s => s.order_id === order.id);
+
+          failingRpcs.add(deliver ? 'confirm_stock_deduction' : 'release_stock');
+          const settle = deliver ? stockService.deductSubOrderStock : stockService.releaseSubOrderStock;
+          expect(await settle(subOrder.id)).toBe(true);
+
+          expect(mockJobScheduler.schedule).toHaveBeenCalledTimes(1);
+          const [jobName, settlement, options] = mockJobScheduler.schedule.mock.calls[0];
+          expect(jobName).toBe(stockService.STOCK_SETTLEMENT_JOB);
+          expect(settlement).toMatchObject({ subOrderId: subOrder.id, toStatus: deliver ? 'deducted' : 'released' });
+          expect(options.key).toContain(settlement.variantId);
+
+          // Run the retry job
+          stockService.registerJobHandlers();
+          const [, handler] = mockJobScheduler.registerHandler.mock.calls[0];
+          await handler(settlement);
+
+          for (const id of VARIANT_IDS) {
+            const delivered = orderedQuantity(id, s => s.stock_status === 'deducted');
+            expect(variants[id].reserved_quantity).toBe(orderedQuantity(id, s => s.stock_status === 'reserved'));
+            expect(variants[id].quantity).toBe(20 - delivered);
+          }
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Checkout Test Fixture
+ * In-memory orders, sub-orders, order items and cart shared by the checkout property tests
+ *
+ * Deleting an order cascades to its sub-orders and order items. A write step fails
+ * when db.failAt names it, so tests can check what a failed checkout leaves behind.
+ *
+ * jest.mock factories may only use variables prefixed "mock", so a test keeps the
+ * fixture in one:
+ *   const mockCheckout = createCheckoutFixture();
+ *   jest.mock('../order.repository', () => mockCheckout.orderRepository);
+ */
+
+/**
+ * Create a checkout fixture with its own store
+ * @param {object} [options]
+ * @param {Function} [options.readCartItem] - Cart row as cart.repository returns it (default: a copy)
+ * @param {Function} [options.onDeleteOrder] - Extra rows removed with an order, by order ID
+ */
+function createCheckoutFixture(options = {}) {
+  const readCartItem = options.readCartItem || (item => ({ ...item }));
+  const onDeleteOrder = options.onDeleteOrder || (() => {});
+
+  const db = {
+    orders: [],
+    subOrders: [],
+    orderItems: [],
+    cartItems: [],
+    failAt: null,
+    nextId: 1,
+  };
+
+  function maybeFail(step) {
+    if (db.failAt === step) {
+      throw new Error(`Simulated failure at ${step}`);
+    }
+  }
+
+  const orderRepository = {
+    createOrder: jest.fn(async (data) => {
+      maybeFail('createOrder');
+      const order = {
+        id: `order-${db.nextId++}`,
+        user_id: data.userId,
+        subtotal: data.subtotal,
+        grand_total: data.grandTotal,
+        payment_method: data.paymentMethod,
+      };
+      db.orders.push(order);
+      return order;
+    }),
+    createSubOrder: jest.fn(async (data) => {
+      maybeFail('createSubOrder');
+      const subOrder = {
+        id: `sub-${db.nextId++}`,
+        order_id: data.orderId,
+        shop_id: data.shopId,
+        total: data.total,
+        stock_status: data.stockStatus,
+      };
+      db.subOrders.push(subOrder);
+      return subOrder;
+    }),
+    createOrderItems: jest.fn(async (items) => {
+      maybeFail('createOrderItems');
+      db.orderItems.push(...items);
+      return items;
+    }),
+    deleteOrder: jest.fn(async (orderId) => {
+      const subOrderIds = db.subOrders.filter(s => s.order_id === orderId).map(s => s.id);
+      db.orderItems = db.orderItems.filter(i => !subOrderIds.includes(i.subOrderId));
+      db.subOrders = db.subOrders.filter(s => s.order_id !== orderId);
+      db.orders = db.orders.filter(o => o.id !== orderId);
+      onDeleteOrder(orderId);
+    }),
+    findOrderById: jest.fn(async (orderId) => {
+      maybeFail('findOrderById');
+      const order = db.orders.find(o => o.id === orderId);
+      return order && { ...order, sub_orders: db.subOrders.filter(s => s.order_id === orderId) };
+    }),
+  };
+
+  const cartRepository = {
+    findCartItemsByIds: jest.fn(async (ids, userId) => db.cartItems
+      .filter(i => ids.includes(i.id) && i.user_id === userId)
+      .map(readCartItem)),
+    removeCartItems: jest.fn(async (ids) => {
+      db.cartItems = db.cartItems.filter(i => !ids.includes(i.id));
+    }),
+  };
+
+  const paymentService = {
+    PAYMENT_METHODS: { COD: 'cod', WALLET: 'wallet' },
+    initiatePayment: jest.fn(async (orderId, method) => {
+      maybeFail('initiatePayment');
+      return { method, status: 'pending' };
+    }),
+  };
+
+  /**
+   * Empty the store (IDs keep counting)
+   */
+  function reset() {
+    db.orders = [];
+    db.subOrders = [];
+    db.orderItems = [];
+    db.cartItems = [];
+    db.failAt = null;
+  }
+
+  return {
+    db,
+    maybeFail,
+    orderRepository,
+    cartRepository,
+    paymentService,
+    reset,
+  };
+}
+
+module.exports = {
+  createCheckoutFixture,
+};
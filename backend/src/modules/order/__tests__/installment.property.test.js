@@ -0,0 +1,244 @@
+/**
+ * Installment Property Tests
+ * Property-based tests for installment plan terms, eligibility and the partner integration
+ *
+ * The provider runs for real against the local installment sandbox.
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const express = require('express');
+const fc = require('fast-check');
+
+process.env.INSTALLMENT_PARTNER_CODE = 'SHOPPI_TEST';
+process.env.INSTALLMENT_SECRET_KEY = 'sandbox-secret';
+
+// In-memory installment_plans table
+let plans = [];
+
+const mockInstallmentRepository = {
+  findActivePlans: jest.fn(async () => plans.filter(p => p.is_active)),
+  findPlanById: jest.fn(async (id) => plans.find(p => p.id === id) || null),
+};
+
+jest.mock('../installment.repository', () => mockInstallmentRepository);
+
+const installmentService = require('../services/installment.service');
+const InstallmentProvider = require('../services/payment/providers/installment.provider');
+const installmentSandbox = require('../services/payment/sandbox/installment.sandbox');
+const { PAYMENT_STATUS } = require('../services/payment/payment.interface');
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const idArb = fc.constantFrom('a', 'b', 'c', 'd');
+const itemArb = fc.record({
+  productId: idArb.map(id => `product-${id}`),
+  categoryId: idArb.map(id => `category-${id}`),
+  shopId: idArb.map(id => `shop-${id}`),
+});
+
+const planArb = fc.record({
+  tenor_months: fc.constantFrom(1, 3, 6, 9, 12),
+  monthly_interest_rate: fc.constantFrom(0, 0.5, 1.2, 2),
+  conversion_fee_rate: fc.constantFrom(0, 1, 1.5),
+  min_amount: fc.integer({ min: 0, max: 50 }).map(n => n * 100000),
+  range: fc.option(fc.integer({ min: 0, max: 100 }).map(n => n * 100000), { nil: null }),
+  applies_to: fc.option(fc.record({
+    categoryIds: fc.subarray(['category-a', 'category-b']),
+    productIds: fc.subarray(['product-a', 'product-c']),
+  }), { nil: null }),
+}).map(({ range, ...plan }) => ({
+  ...plan,
+  max_amount: range === null ? null : plan.min_amount + range,
+}));
+
+const amountArb = fc.integer({ min: 1000, max: 100000 }).map(n => n * 1000);
+
+function setupPlans(specs) {
+  plans = specs.map((spec, i) => ({
+    id: `plan-${i}`,
+    code: `PLAN_${i}`,
+    provider: 'installment',
+    name: `Plan ${i}`,
+    is_active: true,
+    ...spec,
+  }));
+}
+
+function isExpectedEligible(plan, items, amount) {
+  const appliesTo = plan.applies_to;
+  const restricted = appliesTo && (appliesTo.categoryIds.length > 0 || appliesTo.productIds.length > 0);
+  const itemsOk = !restricted || items.every(item =>
+    appliesTo.categoryIds.includes(item.categoryId) || appliesTo.productIds.includes(item.productId));
+  const amountOk = amount >= plan.min_amount && (plan.max_amount === null || amount <= plan.max_amount);
+  return itemsOk && amountOk;
+}
+
+describe('Installment Property Tests', () => {
+  describe('Plan terms', () => {
+    it('should repay exactly the amount plus interest and conversion fee', () => {
+      fc.assert(
+        fc.property(planArb, amountArb, (spec, amount) => {
+          setupPlans([spec]);
+          const terms = installmentService.calculateTerms(plans[0], amount);
+
+          const expectedInterest = Math.round(amount * spec.monthly_interest_rate / 100 * spec.tenor_months);
+          const expectedFee = Math.round(amount * spec.conversion_fee_rate / 100);
+
+          expect(terms.interest).toBe(expectedInterest);
+          expect(terms.conversionFee).toBe(expectedFee);
+          expect(terms.totalPayable).toBe(amount + expectedInterest + expectedFee);
+
+          expect(terms.schedule).toHaveLength(spec.tenor_months);
+          expect(terms.schedule.reduce((sum, p) => sum + p.amount, 0)).toBe(terms.totalPayable);
+          terms.schedule.slice(0, -1).forEach(p => expect(p.amount).toBe(terms.monthlyPayment));
+
+          const last = terms.schedule[terms.schedule.length - 1].amount;
+          expect(last).toBeGreaterThan(0);
+          expect(last).toBeLessThanOrEqual(terms.monthlyPayment);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Eligibility', () => {
+    it('should offer at checkout exactly the plans covering every item and the total', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(planArb, { minLength: 1, maxLength: 5 }), fc.array(itemArb, { minLength: 1, maxLength: 4 }), amountArb,
+          async (specs, items, amount) => {
+            setupPlans(specs);
+
+            const result = await installmentService.getCheckoutPlans(items, amount);
+
+            const expected = plans.filter(plan => isExpectedEligible(plan, items, amount)).map(p => p.id);
+            expect(result.plans.map(p => p.id)).toEqual(expected);
+            expect(result.unavailable.map(p => p.id)).toEqual(plans.map(p => p.id).filter(id => !expected.includes(id)));
+            result.unavailable.forEach(p => expect(p.reason).toEqual(expect.any(String)));
+
+            for (const plan of plans) {
+              const resolving = installmentService.resolveCheckoutPlan(plan.id, items, amount);
+              if (expected.includes(plan.id)) {
+                const { terms } = await resolving;
+                expect(terms).toMatchObject({ planId: plan.id, financedAmount: amount, tenorMonths: plan.tenor_months });
+              } else {
+                await expect(resolving).rejects.toMatchObject({ code: 'INSTALLMENT_NOT_ELIGIBLE', statusCode: 400 });
+              }
+            }
+          }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should quote product pages at the product price and reject unknown or inactive plans', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(planArb, { minLength: 1, maxLength: 5 }), itemArb, amountArb, async (specs, item, price) => {
+          setupPlans(specs);
+          const product = { id: item.productId, category_id: item.categoryId, shop_id: item.shopId, base_price: String(price) };
+
+          const quoted = await installmentService.getProductPlans(product);
+
+          const expected = plans.filter(plan => isExpectedEligible(plan, [item], price));
+          expect(quoted.map(p => p.id)).toEqual(expected.map(p => p.id));
+          quoted.forEach((p, i) => {
+            expect(p.totalPayable).toBe(installmentService.calculateTerms(expected[i], price).totalPayable);
+          });
+
+          plans[0].is_active = false;
+          await expect(installmentService.resolveCheckoutPlan('plan-0', [item], price))
+            .rejects.toMatchObject({ code: 'INSTALLMENT_PLAN_NOT_FOUND', statusCode: 404 });
+          await expect(installmentService.resolveCheckoutPlan('missing', [item], price))
+            .rejects.toMatchObject({ code: 'INSTALLMENT_PLAN_NOT_FOUND' });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Partner integration (sandbox)', () => {
+    let server;
+    let baseUrl;
+    let ipnCallbacks = [];
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/sandbox/installment', installmentSandbox);
+      app.post('/ipn', (req, res) => {
+        ipnCallbacks.push(req.body);
+        res.json({ resultCode: 0 });
+      });
+
+      await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      process.env.INSTALLMENT_ENDPOINT = `${baseUrl}/sandbox/installment`;
+
+      // Providers log every request
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+      jest.restoreAllMocks();
+      delete process.env.INSTALLMENT_ENDPOINT;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should settle an application the way the customer decides and refund at most what was financed', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.uuid(), amountArb, fc.boolean(), fc.integer({ min: 1, max: 100 }), async (orderId, amount, approve, refundPercent) => {
+          ipnCallbacks = [];
+          const provider = new InstallmentProvider();
+          const terms = { planCode: 'INSTALLMENT_6M_0', tenorMonths: 6 };
+
+          const session = await provider.createPayment(
+            { id: orderId, orderNumber: 'ORD-1', amount },
+            { installment: terms, notifyUrl: `${baseUrl}/ipn` }
+          );
+          expect(session).toMatchObject({ paymentId: orderId, status: PAYMENT_STATUS.PENDING });
+          expect((await provider.getStatus(orderId, session.providerOrderId)).status).toBe(PAYMENT_STATUS.PENDING);
+
+          // Customer decides on the sandbox page and is sent back with the signed result
+          const decision = await fetch(`${session.payUrl}/${approve ? 'approve' : 'reject'}`, { redirect: 'manual' });
+          expect(decision.status).toBe(302);
+          const returned = new URL(decision.headers.get('location'));
+          expect(returned.pathname).toBe('/api/payments/callback/installment');
+          expect(provider.verifySignature(Object.fromEntries(returned.searchParams))).toBe(true);
+
+          expect(ipnCallbacks).toHaveLength(1);
+          const callback = await provider.processCallback(ipnCallbacks[0]);
+          const expectedStatus = approve ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED;
+          expect(callback).toMatchObject({ paymentId: orderId, status: expectedStatus, amount, tenorMonths: 6 });
+          expect((await provider.getStatus(orderId, session.providerOrderId)).status).toBe(expectedStatus);
+
+          // Tampered callbacks are refused
+          await expect(provider.processCallback({ ...ipnCallbacks[0], status: 'approved', amount: amount + 1 }))
+            .rejects.toMatchObject({ code: 'PAY_003' });
+
+          const refundAmount = Math.round(amount * refundPercent / 100);
+          const refund = await provider.refund(orderId, callback.providerTransactionId, refundAmount, 'test', {
+            providerOrderId: session.providerOrderId,
+          });
+          expect(refund.status).toBe(approve ? 'completed' : 'failed');
+
+          if (approve) {
+            expect((await provider.getRefundStatus(refund.providerRefundId)).status).toBe('completed');
+            const overRefund = await provider.refund(orderId, callback.providerTransactionId, amount - refundAmount + 1000, 'test', {
+              providerOrderId: session.providerOrderId,
+            });
+            expect(overRefund.status).toBe('failed');
+          }
+        }),
+        { numRuns: 15 }
+      );
+    });
+
+    it('should require the installment terms to open an application', async () => {
+      const provider = new InstallmentProvider();
+      await expect(provider.createPayment({ id: 'order-1', amount: 5000000 }))
+        .rejects.toMatchObject({ code: 'PAY_010', statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Late Payment Property Tests
+ * Property-based tests for payment callbacks arriving after an order stopped
+ * waiting for its payment (expired by the payment timeout, failed or cancelled)
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory order, updated the way the conditional repository updates are
+let mockOrder = null;
+
+const mockOrderRepository = {
+  findOrderById: jest.fn(async () => (mockOrder ? { ...mockOrder } : null)),
+  markOrderPaid: jest.fn(async () => {
+    if (mockOrder.status !== 'pending_payment') return null;
+    Object.assign(mockOrder, { status: 'confirmed', payment_status: 'paid' });
+    return { ...mockOrder };
+  }),
+  recordLatePayment: jest.fn(async (orderId, providerTransactionId) => {
+    if (mockOrder.status === 'pending_payment' || !['pending', 'failed'].includes(mockOrder.payment_status)) return null;
+    Object.assign(mockOrder, { payment_status: 'paid', payment_provider_transaction_id: providerTransactionId });
+    return { ...mockOrder };
+  }),
+  updateOrder: jest.fn(),
+  findSubOrdersByOrderId: jest.fn(async () => [{ id: 'sub-1' }]),
+  updateSubOrderStatus: jest.fn(),
+};
+
+const mockPaymentService = {
+  processRefund: jest.fn(async (orderId, amount, options) => ({ orderId, amount, status: 'processing', reason: options.reason })),
+};
+
+jest.mock('../order.repository', () => mockOrderRepository);
+jest.mock('../order.dto', () => ({}));
+jest.mock('../services/payment.service', () => mockPaymentService);
+jest.mock('../services/tracking.service', () => ({ addTrackingEvent: jest.fn() }));
+jest.mock('../services/stock.service', () => ({}));
+jest.mock('../services/voucher.service', () => ({}));
+jest.mock('../services/cancellation.service', () => ({}));
+jest.mock('../../wallet/wallet.service', () => ({}));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({ publishOrderEvent: jest.fn() }));
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: {} }));
+
+const orderService = require('../order.service');
+
+const closedOrderArb = fc.record({
+  status: fc.constantFrom('cancelled', 'payment_failed'),
+  payment_status: fc.constantFrom('pending', 'failed'),
+});
+const transactionArb = fc.record({
+  provider: fc.constantFrom('vnpay', 'momo', 'zalopay'),
+  providerTransactionId: fc.stringMatching(/^[0-9]{6,12}$/),
+  amount: fc.integer({ min: 1000, max: 5000000 }),
+});
+
+describe('Late Payment Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * *For any* order still pending payment, a successful payment SHALL confirm it.
+   */
+  it('should confirm an order still pending payment', async () => {
+    await fc.assert(
+      fc.asyncProperty(transactionArb, async (transaction) => {
+        jest.clearAllMocks();
+        mockOrder = { id: 'order-1', status: 'pending_payment', payment_status: 'pending' };
+
+        const result = await orderService.handlePaymentSuccess('order-1', transaction);
+
+        expect(result).toMatchObject({ success: true, orderId: 'order-1' });
+        expect(mockOrder).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+        expect(mockOrderRepository.updateSubOrderStatus).toHaveBeenCalledWith('sub-1', 'pending');
+        expect(mockPaymentService.processRefund).not.toHaveBeenCalled();
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * *For any* expired, failed or cancelled order, a late payment SHALL NOT revive
+   * the order: it is recorded and refunded once, however often the callback repeats.
+   */
+  it('should refund a late payment instead of reviving the order', async () => {
+    await fc.assert(
+      fc.asyncProperty(closedOrderArb, transactionArb, fc.integer({ min: 1, max: 3 }), async (closed, transaction, callbacks) => {
+        jest.clearAllMocks();
+        mockOrder = { id: 'order-1', ...closed };
+
+        const results = [];
+        for (let i = 0; i < callbacks; i++) {
+          results.push(await orderService.handlePaymentSuccess('order-1', transaction));
+        }
+
+        expect(mockOrder.status).toBe(closed.status);
+        expect(mockOrder.payment_status).toBe('paid');
+        expect(mockOrder.payment_provider_transaction_id).toBe(transaction.providerTransactionId);
+        expect(mockOrderRepository.updateSubOrderStatus).not.toHaveBeenCalled();
+        expect(mockPaymentService.processRefund).toHaveBeenCalledTimes(1);
+        expect(mockPaymentService.processRefund).toHaveBeenCalledWith('order-1', null, expect.any(Object));
+        expect(results[0]).toMatchObject({ latePayment: true });
+        results.slice(1).forEach(result => expect(result).toMatchObject({ duplicate: true }));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * *For any* order already paid, a repeated callback SHALL change nothing.
+   */
+  it('should ignore a repeated callback for a paid order', async () => {
+    mockOrder = { id: 'order-1', status: 'confirmed', payment_status: 'paid' };
+
+    const result = await orderService.handlePaymentSuccess('order-1', { provider: 'vnpay', providerTransactionId: '123456' });
+
+    expect(result).toMatchObject({ duplicate: true });
+    expect(mockOrderRepository.updateSubOrderStatus).not.toHaveBeenCalled();
+    expect(mockPaymentService.processRefund).not.toHaveBeenCalled();
+  });
+
+  /**
+   * A failed refund SHALL NOT fail the callback (the provider would retry it forever).
+   */
+  it('should still acknowledge a late payment whose refund fails', async () => {
+    mockOrder = { id: 'order-1', status: 'cancelled', payment_status: 'failed' };
+    mockPaymentService.processRefund.mockRejectedValueOnce(new Error('Provider unavailable'));
+
+    const result = await orderService.handlePaymentSuccess('order-1', { provider: 'momo', providerTransactionId: '987654' });
+
+    expect(result).toMatchObject({ success: true, latePayment: true, refund: null });
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Partial Cancellation Property Tests
+ * Property-based tests for cancelling single sub-orders and items: exact refunds,
+ * stock released for the cancelled variants only, and vouchers re-checked
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory order
+let subOrders = [];
+let mockReleased = {};
+let vouchers = [];
+let mockOrder = null;
+let mockRefunds = [];
+let mockRefundRows = [];
+
+const mockOrderRepository = {
+  findSubOrdersByOrderId: jest.fn(async () => JSON.parse(JSON.stringify(subOrders))),
+  findProductCategoryIds: jest.fn(async () => ({})),
+  cancelOrderItemQuantity: jest.fn(async (item, quantity) => {
+    const row = subOrders.flatMap(so => so.order_items).find(i => i.id === item.id);
+    if (row.quantity !== item.quantity) return null;
+    row.quantity -= quantity;
+    row.cancelled_quantity = (row.cancelled_quantity || 0) + quantity;
+    return row;
+  }),
+  updateSubOrderStockStatus: jest.fn(async (id, from, to) => {
+    const subOrder = subOrders.find(so => so.id === id);
+    if (subOrder.stock_status !== from) return false;
+    subOrder.stock_status = to;
+    return true;
+  }),
+  cancelSubOrder: jest.fn(async (id) => {
+    subOrders.find(so => so.id === id).status = 'cancelled';
+  }),
+  updateSubOrderAmounts: jest.fn(async (id, amounts) => {
+    Object.assign(subOrders.find(so => so.id === id), { subtotal: amounts.subtotal, total: amounts.total });
+  }),
+  updateOrderItemDiscount: jest.fn(),
+  updateShipmentBeforePickup: jest.fn(async () => 0),
+  updateOrder: jest.fn(),
+  cancelOrder: jest.fn(async () => {
+    mockOrder.status = 'cancelled';
+  }),
+  findOrderById: jest.fn(async () => ({ ...mockOrder })),
+};
+
+const mockVoucherRepository = {
+  findVoucherById: jest.fn(async (id) => vouchers.find(v => v.id === id) || null),
+  decrementUsageCount: jest.fn(),
+  removeUserUsage: jest.fn(),
+  getOrderVoucherUsages: jest.fn(async () => []),
+};
+
+// Refunds are recorded; a completed refund leaves the order partially refunded
+const mockPaymentService = {
+  processRefund: jest.fn(async (orderId, amount, options) => {
+    mockRefunds.push(amount);
+    mockRefundRows.push({ status: 'completed', reason: options.reason, created_at: new Date().toISOString() });
+    if (mockOrder) mockOrder.payment_status = 'partially_refunded';
+    return { amount, status: 'completed' };
+  }),
+  // The provider's result for a refund still waiting, as set by the test
+  reconcileRefund: jest.fn(async (id) => {
+    const row = mockRefundRows[Number(id.replace('refund-', ''))];
+    if (row.providerStatus) row.status = row.providerStatus;
+    return { id, status: row.status };
+  }),
+  getRefundableAmount: jest.fn(async (order) =>
+    parseFloat(order.grand_total) - mockRefunds.reduce((sum, amount) => sum + amount, 0)),
+  releaseStock: jest.fn(),
+};
+
+jest.mock('../order.repository', () => mockOrderRepository);
+jest.mock('../voucher.repository', () => mockVoucherRepository);
+jest.mock('../order.dto', () => ({ serializeVoucher: jest.fn(v => v), serializeOrder: jest.fn(o => o) }));
+jest.mock('../services/payment.service', () => mockPaymentService);
+jest.mock('../services/tracking.service', () => ({ addTrackingEvent: jest.fn() }));
+jest.mock('../../product/services/flash-sale.service', () => ({ releaseOrderPurchases: jest.fn() }));
+jest.mock('../../product/services/inventory.service', () => ({
+  releaseStockAtomic: jest.fn(async (variantId, quantity) => {
+    mockReleased[variantId] = (mockReleased[variantId] || 0) + quantity;
+  }),
+}));
+jest.mock('../refund.repository', () => ({
+  findRefundsByOrderId: jest.fn(async () => mockRefunds.map((amount, i) => ({ id: `refund-${i}`, amount, ...mockRefundRows[i] }))),
+}));
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ schedule: jest.fn(async () => ({ id: 'job-1' })), registerHandler: jest.fn() }));
+jest.mock('../../wallet/wallet.service', () => ({ releaseOrderHold: jest.fn() }));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({ publishOrderEvent: jest.fn(), publishNotification: jest.fn() }));
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: {} }));
+
+const cancellationService = require('../services/cancellation.service');
+const orderService = require('../order.service');
+const flashSaleService = require('../../product/services/flash-sale.service');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+const voucherService = require('../services/voucher.service');
+
+function makeVoucher(overrides = {}) {
+  return {
+    id: 'voucher-platform',
+    code: 'PLATFORM',
+    type: 'platform',
+    shop_id: null,
+    min_order_value: 0,
+    discount_type: 'fixed',
+    discount_value: 20000,
+    max_discount: null,
+    stackable: true,
+    ...overrides,
+  };
+}
+
+/**
+ * Build a paid order whose sub-order amounts come from the voucher engine, as at checkout
+ */
+function setupOrder(shops, orderVouchers = []) {
+  vouchers = orderVouchers;
+  mockReleased = {};
+  subOrders = shops.map((lines, s) => ({
+    id: `sub-${s}`,
+    shop_id: `shop-${s}`,
+    status: 'confirmed',
+    stock_status: 'reserved',
+    shipping_fee: 15000,
+    shop_voucher_id: null,
+    order_items: lines.map((line, i) => ({
+      id: `item-${s}-${i}`,
+      product_id: `product-${s}-${i}`,
+      variant_id: `variant-${s}-${i}`,
+      unit_price: line.price,
+      quantity: line.quantity,
+      discount_amount: 0,
+    })),
+  }));
+
+  const cart = subOrders.map(so => ({
+    shopId: so.shop_id,
+    shippingFee: so.shipping_fee,
+    items: so.order_items.map(item => ({ productId: item.product_id, categoryId: null, shopId: so.shop_id, amount: item.unit_price * item.quantity })),
+    subtotal: so.order_items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0),
+  }));
+  const pricing = voucherService.reevaluateVouchers(cart, orderVouchers);
+  cart.forEach((shop, s) => {
+    const allocation = pricing.shops[shop.shopId];
+    subOrders[s].total = shop.subtotal + shop.shippingFee - allocation.platformDiscount - allocation.platformShippingDiscount;
+  });
+
+  mockRefunds = [];
+  mockRefundRows = [];
+  mockOrder = {
+    id: 'order-1',
+    user_id: 'user-1',
+    status: 'confirmed',
+    payment_status: 'paid',
+    payment_method: 'vnpay',
+    grand_total: subOrders.reduce((sum, so) => sum + so.total, 0),
+    platform_voucher_id: orderVouchers.length > 0 ? orderVouchers[0].id : null,
+    shipping_voucher_id: null,
+  };
+  return { ...mockOrder };
+}
+
+const linesArb = fc.array(
+  fc.record({
+    price: fc.integer({ min: 1, max: 500 }).map(n => n * 1000),
+    quantity: fc.integer({ min: 1, max: 5 }),
+  }),
+  { minLength: 1, maxLength: 3 }
+);
+const shopsArb = fc.array(linesArb, { minLength: 1, maxLength: 3 });
+
+// Cancel some units of one item of the order
+const cancellationArb = shopsArb.chain(shops => {
+  const lines = shops.flatMap((ls, s) => ls.map((line, i) => ({ s, i, quantity: line.quantity })));
+  return fc.record({
+    shops: fc.constant(shops),
+    line: fc.constantFrom(...lines),
+    fraction: fc.double({ min: 0, max: 1, noNaN: true }),
+  }).map(({ shops: sh, line, fraction }) => ({
+    shops: sh,
+    orderItemId: `item-${line.s}-${line.i}`,
+    variantId: `variant-${line.s}-${line.i}`,
+    quantity: Math.max(1, Math.ceil(fraction * line.quantity)),
+  }));
+});
+
+describe('Partial Cancellation Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Refunds', () => {
+    it('should refund exactly what the remaining sub-orders no longer cost', async () => {
+      await fc.assert(
+        fc.asyncProperty(cancellationArb, async ({ shops, orderItemId, quantity }) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops, [makeVoucher()]);
+          const chargedBefore = subOrders.reduce((sum, so) => sum + so.total, 0);
+
+          const plan = await cancellationService.planCancellation(order, { items: [{ orderItemId, quantity }] });
+          const result = await cancellationService.applyCancellation(order, plan, { reason: 'Changed my mind', cancelledBy: 'user-1' });
+
+          const chargedAfter = subOrders.filter(so => so.status !== 'cancelled').reduce((sum, so) => sum + so.total, 0);
+          expect(result.refundAmount).toBe(chargedBefore - chargedAfter);
+          expect(result.refundAmount).toBeGreaterThanOrEqual(0);
+
+          if (result.refundAmount > 0) {
+            expect(mockPaymentService.processRefund).toHaveBeenCalledWith('order-1', result.refundAmount, expect.any(Object));
+          } else {
+            expect(mockPaymentService.processRefund).not.toHaveBeenCalled();
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should refund a cancelled sub-order in full when no voucher is shared', async () => {
+      await fc.assert(
+        fc.asyncProperty(shopsArb.filter(shops => shops.length > 1), async (shops) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops);
+          const cancelledTotal = subOrders[0].total;
+
+          const plan = await cancellationService.planCancellation(order, { subOrderIds: ['sub-0'] });
+          const result = await cancellationService.applyCancellation(order, plan, { reason: 'Out of stock', cancelledBy: 'partner-1', actor: 'seller' });
+
+          expect(result.refundAmount).toBe(cancelledTotal);
+          expect(result.cancelledSubOrderIds).toEqual(['sub-0']);
+          expect(mockOrderRepository.cancelSubOrder).toHaveBeenCalledWith('sub-0', 'Out of stock');
+          expect(mockOrderRepository.cancelOrder).not.toHaveBeenCalled();
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Failed refunds', () => {
+    it('should schedule a retry and report it when the refund fails', async () => {
+      await fc.assert(
+        fc.asyncProperty(shopsArb.filter(shops => shops.length > 1), async (shops) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops);
+          mockPaymentService.processRefund.mockRejectedValueOnce(Object.assign(new Error('Provider unavailable'), { code: 'REFUND_FAILED' }));
+
+          const plan = await cancellationService.planCancellation(order, { subOrderIds: ['sub-0'] });
+          const result = await cancellationService.applyCancellation(order, plan, { reason: 'Out of stock', cancelledBy: 'user-1' });
+
+          expect(result.refund).toMatchObject({ status: 'retry_scheduled', amount: plan.refundAmount, errorCode: 'REFUND_FAILED' });
+          expect(jobScheduler.schedule).toHaveBeenCalledWith(
+            cancellationService.CANCELLATION_REFUND_JOB,
+            expect.objectContaining({ orderId: 'order-1', amount: plan.refundAmount }),
+            expect.objectContaining({ key: expect.stringContaining('order-1') })
+          );
+
+          // The retry sends it once; a refund already accepted is not sent again
+          const request = jobScheduler.schedule.mock.calls[0][1];
+          await cancellationService.retryCancellationRefund(request);
+          await cancellationService.retryCancellationRefund(request);
+          expect(mockPaymentService.processRefund).toHaveBeenCalledTimes(2);
+          expect(mockRefunds).toEqual([plan.refundAmount]);
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should not send the refund again while an earlier attempt awaits the provider', async () => {
+      await fc.assert(
+        fc.asyncProperty(shopsArb.filter(shops => shops.length > 1), fc.constantFrom('completed', 'failed'), async (shops, outcome) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops);
+          mockPaymentService.processRefund.mockRejectedValueOnce(Object.assign(new Error('Provider unavailable'), { code: 'REFUND_FAILED' }));
+
+          const plan = await cancellationService.planCancellation(order, { subOrderIds: ['sub-0'] });
+          await cancellationService.applyCancellation(order, plan, { reason: 'Out of stock', cancelledBy: 'user-1' });
+          const request = jobScheduler.schedule.mock.calls[0][1];
+
+          // The first request timed out; the provider has not settled it yet
+          mockRefunds.push(plan.refundAmount);
+          mockRefundRows.push({ status: 'processing', reason: request.reason, created_at: new Date().toISOString() });
+
+          await expect(cancellationService.retryCancellationRefund(request))
+            .rejects.toMatchObject({ code: 'REFUND_IN_PROGRESS' });
+          expect(mockPaymentService.reconcileRefund).toHaveBeenCalledWith('refund-0');
+          expect(mockPaymentService.processRefund).toHaveBeenCalledTimes(1);
+
+          mockRefundRows[0].providerStatus = outcome;
+          await cancellationService.retryCancellationRefund(request);
+          expect(mockPaymentService.processRefund).toHaveBeenCalledTimes(outcome === 'failed' ? 2 : 1);
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should notify admins once the retries run out', async () => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      cancellationService.registerJobHandlers();
+      const [, , options] = jobScheduler.registerHandler.mock.calls
+        .find(([name]) => name === cancellationService.CANCELLATION_REFUND_JOB);
+
+      await options.onFailed({ orderId: 'order-1', amount: 50000 }, {}, new Error('Provider unavailable'));
+
+      expect(rabbitmq.publishNotification).toHaveBeenCalledWith('push', expect.objectContaining({
+        userRole: 'admin',
+        type: 'CANCELLATION_REFUND_FAILED_ALERT',
+        orderId: 'order-1',
+      }));
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Cancelling the rest', () => {
+    it('should refund what is left after a partial cancellation, never more than was paid', async () => {
+      await fc.assert(
+        fc.asyncProperty(cancellationArb, async ({ shops, orderItemId, quantity }) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops, [makeVoucher()]);
+
+          await orderService.cancelOrderItems(order.id, 'user-1', { items: [{ orderItemId, quantity }], reason: 'Changed my mind' });
+          if (mockOrder.status === 'cancelled') return; // Nothing was left to cancel
+
+          const rest = subOrders
+            .filter(so => so.status !== 'cancelled')
+            .flatMap(so => so.order_items.filter(item => item.quantity > 0).map(item => ({ orderItemId: item.id })));
+          const refundedBefore = mockRefunds.reduce((sum, amount) => sum + amount, 0);
+          await orderService.cancelOrderItems(order.id, 'user-1', { items: rest, reason: 'Changed my mind' });
+
+          expect(mockOrderRepository.cancelOrder).toHaveBeenCalled();
+          expect(mockRefunds.reduce((sum, amount) => sum + amount, 0)).toBe(order.grand_total);
+          expect(mockPaymentService.processRefund).toHaveBeenLastCalledWith(
+            'order-1', order.grand_total - refundedBefore, expect.any(Object));
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Stock', () => {
+    it('should release stock for the cancelled units of the cancelled variant only', async () => {
+      await fc.assert(
+        fc.asyncProperty(cancellationArb, async ({ shops, orderItemId, variantId, quantity }) => {
+          jest.clearAllMocks();
+          const order = setupOrder(shops, [makeVoucher()]);
+
+          const plan = await cancellationService.planCancellation(order, { items: [{ orderItemId, quantity }] });
+          await cancellationService.applyCancellation(order, plan, { reason: 'Changed my mind', cancelledBy: 'user-1' });
+
+          expect(mockReleased).toEqual({ [variantId]: quantity });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Flash sale', () => {
+    it('should give back flash stock for the cancelled units only', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 5 }),
+          async (quantityA, quantityB, cancelRatio) => {
+            jest.clearAllMocks();
+            // Two variants of one flash sale product share a single purchase
+            const order = setupOrder([[{ price: 100000, quantity: quantityA }, { price: 100000, quantity: quantityB }]]);
+            subOrders[0].order_items.forEach(item => { item.flash_sale_product_id = 'fsp-1'; });
+            const units = Math.max(1, Math.ceil(quantityA * cancelRatio / 5));
+
+            const plan = await cancellationService.planCancellation(order, { items: [{ orderItemId: 'item-0-0', quantity: units }] });
+            await cancellationService.applyCancellation(order, plan, { reason: 'Changed my mind', cancelledBy: 'user-1' });
+
+            expect(flashSaleService.releaseOrderPurchases).toHaveBeenCalledTimes(1);
+            expect(flashSaleService.releaseOrderPurchases).toHaveBeenCalledWith('order-1', { 'fsp-1': units });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Vouchers', () => {
+    it('should drop a voucher whose minimum the remaining items no longer reach', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 100, max: 500 }).map(n => n * 1000),
+          fc.integer({ min: 50, max: 99 }).map(n => n * 1000),
+          async (keptPrice, cancelledPrice) => {
+            jest.clearAllMocks();
+            const voucher = makeVoucher({ min_order_value: keptPrice + 1000, discount_value: 10000 });
+            const order = setupOrder([[{ price: keptPrice, quantity: 1 }, { price: cancelledPrice, quantity: 1 }]], [voucher]);
+
+            const plan = await cancellationService.planCancellation(order, { items: [{ orderItemId: 'item-0-1' }] });
+            const result = await cancellationService.applyCancellation(order, plan, { reason: 'Changed my mind', cancelledBy: 'user-1' });
+
+            expect(result.droppedVouchers.map(v => v.voucherId)).toEqual([voucher.id]);
+            expect(mockVoucherRepository.decrementUsageCount).toHaveBeenCalledWith(voucher.id);
+            expect(mockOrderRepository.updateOrder).toHaveBeenCalledWith('order-1', { platformVoucherId: null });
+            expect(result.refundAmount).toBe(cancelledPrice - 10000);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should reject a cancellation whose lost voucher outweighs the cancelled items', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 100, max: 500 }).map(n => n * 1000),
+          fc.integer({ min: 1, max: 40 }).map(n => n * 1000),
+          async (keptPrice, cancelledPrice) => {
+            jest.clearAllMocks();
+            const voucher = makeVoucher({ min_order_value: keptPrice + 1000, discount_value: 50000 });
+            const order = setupOrder([[{ price: keptPrice, quantity: 1 }, { price: cancelledPrice, quantity: 1 }]], [voucher]);
+
+            await expect(cancellationService.planCancellation(order, { items: [{ orderItemId: 'item-0-1' }] }))
+              .rejects.toMatchObject({ code: 'CANCEL_LOSES_VOUCHER' });
+            expect(mockOrderRepository.cancelOrderItemQuantity).not.toHaveBeenCalled();
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
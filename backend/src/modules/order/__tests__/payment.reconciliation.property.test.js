@@ -0,0 +1,324 @@
+/**
+ * Payment Reconciliation Property Tests
+ * Property-based tests for settling pending payments from the provider status APIs
+ *
+ * The providers run for real against a local HTTP server that mimics the
+ * MoMo, VNPay and ZaloPay query endpoints.
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const http = require('http');
+const fc = require('fast-check');
+
+// In-memory orders and reconciliation records
+let orders = [];
+let runs = [];
+let discrepancies = [];
+
+// What each mock provider answers, by provider order ID
+let providerPayments = {};
+
+const mockOrderRepository = {
+  findOrderById: jest.fn(async (id) => {
+    const order = orders.find(o => o.id === id);
+    return order ? { ...order } : null;
+  }),
+  findUnpaidOrdersCreatedBefore: jest.fn(async (methods, before) => orders
+    .filter(o => o.status === 'pending_payment' && o.payment_status === 'pending')
+    .filter(o => methods.includes(o.payment_method) && new Date(o.created_at) <= new Date(before))
+    .map(o => ({ ...o }))),
+};
+
+const mockReconciliationRepository = {
+  createRun: jest.fn(async (data) => {
+    const run = { id: `run-${runs.length + 1}`, triggered_by: data.triggeredBy, started_at: new Date().toISOString() };
+    runs.push(run);
+    return run;
+  }),
+  finishRun: jest.fn(async (runId, summary) => {
+    const run = runs.find(r => r.id === runId);
+    Object.assign(run, {
+      checked: summary.checked,
+      matched: summary.matched,
+      marked_paid: summary.markedPaid,
+      marked_failed: summary.markedFailed,
+      flagged: summary.flagged,
+      errors: summary.errors,
+      refunds: summary.refunds,
+      finished_at: new Date().toISOString(),
+    });
+    return run;
+  }),
+  createDiscrepancy: jest.fn(async (discrepancy) => {
+    discrepancies.push(discrepancy);
+    return discrepancy;
+  }),
+};
+
+const mockOrderService = {
+  handlePaymentSuccess: jest.fn(async (orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    order.status = 'processing';
+    order.payment_status = 'paid';
+  }),
+  handlePaymentFailed: jest.fn(async (orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    order.status = 'payment_failed';
+    order.payment_status = 'failed';
+  }),
+};
+
+const mockPaymentService = {
+  GATEWAY_PAYMENT_METHODS: ['vnpay', 'momo', 'zalopay'],
+  reconcilePendingRefunds: jest.fn(async () => ({ checked: 0, completed: 0, failed: 0, errors: 0 })),
+};
+
+jest.mock('../order.repository', () => mockOrderRepository);
+jest.mock('../payment-reconciliation.repository', () => mockReconciliationRepository);
+jest.mock('../webhook-inbox.repository', () => ({}));
+jest.mock('../order.service', () => mockOrderService);
+jest.mock('../services/payment.service', () => mockPaymentService);
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ registerHandler: jest.fn() }));
+jest.mock('../../../shared/utils/settings.util', () => ({
+  getNumberSetting: jest.fn(async (key, defaultValue) => defaultValue),
+}));
+
+const paymentReconciliationService = require('../services/payment-reconciliation.service');
+
+// ============================================
+// MOCK PROVIDER SERVER
+// ============================================
+
+/**
+ * Answer a status query the way each provider does
+ * outcome: paid | failed | pending | down, amount: amount the provider holds
+ */
+function answerQuery(provider, providerOrderId) {
+  const payment = providerPayments[providerOrderId] || { outcome: 'pending', amount: 0 };
+
+  if (payment.outcome === 'down') {
+    return { statusCode: 503, body: { message: 'Service unavailable' } };
+  }
+
+  if (provider === 'momo') {
+    const resultCode = { paid: 0, failed: 1006, pending: 1000 }[payment.outcome];
+    return { statusCode: 200, body: { resultCode, transId: 9000001, amount: payment.amount, message: payment.outcome } };
+  }
+
+  if (provider === 'vnpay') {
+    const status = { paid: '00', failed: '02', pending: '01' }[payment.outcome];
+    return {
+      statusCode: 200,
+      body: {
+        vnp_ResponseCode: '00',
+        vnp_TransactionStatus: status,
+        vnp_TransactionNo: '14000001',
+        vnp_Amount: String(payment.amount * 100),
+        vnp_Message: payment.outcome,
+      },
+    };
+  }
+
+  const returnCode = { paid: 1, failed: 2, pending: 3 }[payment.outcome];
+  return { statusCode: 200, body: { return_code: returnCode, zp_trans_id: 24000001, amount: payment.amount, return_message: payment.outcome } };
+}
+
+const providerServer = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let answer;
+    if (req.url === '/momo/query') {
+      answer = answerQuery('momo', JSON.parse(raw).orderId);
+    } else if (req.url === '/vnpay/api') {
+      answer = answerQuery('vnpay', JSON.parse(raw).vnp_TxnRef);
+    } else if (req.url === '/zalopay/query') {
+      answer = answerQuery('zalopay', new URLSearchParams(raw).get('app_trans_id'));
+    } else {
+      answer = { statusCode: 404, body: { message: 'Not found' } };
+    }
+
+    res.writeHead(answer.statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answer.body));
+  });
+});
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const providerArb = fc.constantFrom('momo', 'vnpay', 'zalopay');
+const outcomeArb = fc.constantFrom('paid', 'failed', 'pending', 'down', 'wrong_amount');
+const amountArb = fc.integer({ min: 10, max: 5000 }).map(n => n * 1000);
+
+const pendingOrdersArb = fc.array(
+  fc.record({ provider: providerArb, outcome: outcomeArb, amount: amountArb }),
+  { minLength: 1, maxLength: 6 }
+);
+
+function setupOrders(specs, createdMinutesAgo = 30) {
+  providerPayments = {};
+  orders = specs.map((spec, i) => {
+    const providerOrderId = `${spec.provider}-txn-${i}`;
+    providerPayments[providerOrderId] = {
+      outcome: spec.outcome === 'wrong_amount' ? 'paid' : spec.outcome,
+      amount: spec.outcome === 'wrong_amount' ? spec.amount + 1000 : spec.amount,
+    };
+
+    return {
+      id: `order-${i}`,
+      status: 'pending_payment',
+      payment_status: 'pending',
+      payment_method: spec.provider,
+      payment_provider_order_id: providerOrderId,
+      grand_total: spec.amount,
+      created_at: new Date(Date.now() - createdMinutesAgo * 60 * 1000).toISOString(),
+    };
+  });
+}
+
+function resetRecords() {
+  jest.clearAllMocks();
+  runs = [];
+  discrepancies = [];
+}
+
+describe('Payment Reconciliation Property Tests', () => {
+  let originalEnv;
+
+  beforeAll(async () => {
+    await new Promise(resolve => providerServer.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${providerServer.address().port}`;
+
+    originalEnv = { ...process.env };
+    Object.assign(process.env, {
+      MOMO_ENDPOINT: `${baseUrl}/momo`,
+      MOMO_PARTNER_CODE: 'MOMO_TEST',
+      MOMO_ACCESS_KEY: 'access',
+      MOMO_SECRET_KEY: 'secret',
+      VNPAY_API_URL: `${baseUrl}/vnpay/api`,
+      VNPAY_TMN_CODE: 'VNPAYTEST',
+      VNPAY_HASH_SECRET: 'secret',
+      ZALOPAY_ENDPOINT: `${baseUrl}/zalopay`,
+      ZALOPAY_APP_ID: '2553',
+      ZALOPAY_KEY1: 'key1',
+      ZALOPAY_KEY2: 'key2',
+    });
+
+    // Providers log every request
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+    await new Promise(resolve => providerServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    resetRecords();
+  });
+
+  it('should settle each order the way the provider reports it', async () => {
+    await fc.assert(
+      fc.asyncProperty(pendingOrdersArb, async (specs) => {
+        resetRecords();
+        setupOrders(specs);
+
+        const run = await paymentReconciliationService.runReconciliation();
+
+        specs.forEach((spec, i) => {
+          const order = orders[i];
+          const expected = {
+            paid: ['processing', 'paid'],
+            failed: ['payment_failed', 'failed'],
+          }[spec.outcome] || ['pending_payment', 'pending'];
+          expect([order.status, order.payment_status]).toEqual(expected);
+        });
+
+        const count = outcome => specs.filter(s => s.outcome === outcome).length;
+        expect(run).toMatchObject({
+          checked: specs.length,
+          matched: count('pending'),
+          markedPaid: count('paid'),
+          markedFailed: count('failed'),
+          flagged: count('wrong_amount'),
+          errors: count('down'),
+        });
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(count('paid'));
+        expect(mockOrderService.handlePaymentFailed).toHaveBeenCalledTimes(count('failed'));
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should log every discrepancy and nothing for payments still pending on both sides', async () => {
+    await fc.assert(
+      fc.asyncProperty(pendingOrdersArb, async (specs) => {
+        resetRecords();
+        setupOrders(specs);
+
+        await paymentReconciliationService.runReconciliation();
+
+        const expectedActions = specs
+          .map((spec, i) => ({
+            orderId: `order-${i}`,
+            action: { paid: 'marked_paid', failed: 'marked_failed', wrong_amount: 'flagged', down: 'error' }[spec.outcome],
+          }))
+          .filter(d => d.action);
+
+        expect(discrepancies.map(d => ({ orderId: d.orderId, action: d.action }))).toEqual(expectedActions);
+        discrepancies.forEach(d => {
+          expect(d.runId).toBe(runs[0].id);
+          expect(d.localStatus).toBe('pending');
+        });
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should leave orders inside the grace period and orders never sent to a provider alone', async () => {
+    await fc.assert(
+      fc.asyncProperty(pendingOrdersArb, fc.boolean(), async (specs, recent) => {
+        resetRecords();
+        setupOrders(specs, recent ? 1 : 30);
+        if (!recent) {
+          orders.forEach(order => { order.payment_provider_order_id = null; });
+        }
+
+        const run = await paymentReconciliationService.runReconciliation();
+
+        expect(run.checked).toBe(0);
+        expect(discrepancies).toHaveLength(0);
+        expect(orders.every(o => o.status === 'pending_payment')).toBe(true);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  it('should not settle an order again when its webhook arrived during the query', async () => {
+    await fc.assert(
+      fc.asyncProperty(providerArb, amountArb, async (provider, amount) => {
+        resetRecords();
+        setupOrders([{ provider, outcome: 'paid', amount }]);
+
+        // Webhook applied between the sweep and the provider answer
+        mockOrderRepository.findOrderById.mockImplementationOnce(async (id) => ({
+          ...orders.find(o => o.id === id),
+          status: 'processing',
+          payment_status: 'paid',
+        }));
+
+        const run = await paymentReconciliationService.runReconciliation();
+
+        expect(run.matched).toBe(1);
+        expect(mockOrderService.handlePaymentSuccess).not.toHaveBeenCalled();
+        expect(discrepancies).toHaveLength(0);
+      }),
+      { numRuns: 15 }
+    );
+  });
+});
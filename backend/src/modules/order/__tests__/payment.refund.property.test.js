@@ -0,0 +1,441 @@
+/**
+ * Payment Refund Property Tests
+ * Property-based tests for provider refund execution and reconciliation
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory refund store
+let refundStore = [];
+
+const mockOrderRepository = {
+  findOrderById: jest.fn(),
+  updatePaymentStatus: jest.fn(),
+  updateOrderStatus: jest.fn(),
+};
+
+const mockRefundRepository = {
+  // Mirrors create_refund_within_cap: no refund when non-failed refunds would exceed the order total
+  createRefund: jest.fn(async (data) => {
+    const order = await mockOrderRepository.findOrderById(data.orderId);
+    const reserved = refundStore
+      .filter(r => r.order_id === data.orderId && r.status !== 'failed')
+      .reduce((sum, r) => sum + r.amount, 0);
+    if (reserved + data.amount > parseFloat(order.grand_total)) return null;
+
+    const refund = {
+      id: `refund-${refundStore.length + 1}`,
+      order_id: data.orderId,
+      sub_order_id: data.subOrderId || null,
+      return_request_id: data.returnRequestId || null,
+      provider: data.provider,
+      provider_transaction_id: data.providerTransactionId,
+      refund_type: data.refundType,
+      amount: data.amount,
+      reason: data.reason || null,
+      status: 'pending',
+    };
+    refundStore.push(refund);
+    return { ...refund };
+  }),
+  findRefundById: jest.fn(async (id) => refundStore.find(r => r.id === id) || null),
+  findRefundByProviderRefundId: jest.fn(async (provider, providerRefundId) =>
+    refundStore.find(r => r.provider === provider && r.provider_refund_id === providerRefundId) || null),
+  findRefundsByOrderId: jest.fn(async (orderId) => refundStore.filter(r => r.order_id === orderId)),
+  findRefundsAwaitingResult: jest.fn(async () =>
+    refundStore.filter(r => ['pending', 'processing'].includes(r.status))),
+  updateRefund: jest.fn(async (id, data) => {
+    const refund = refundStore.find(r => r.id === id);
+    Object.assign(refund, data);
+    return { ...refund };
+  }),
+};
+
+const mockProvider = {
+  generateRefundId: jest.fn(() => `req-${Math.random()}`),
+  refund: jest.fn(),
+  getRefundStatus: jest.fn(),
+};
+
+const mockWalletService = {
+  refundToWallet: jest.fn(),
+};
+
+const mockRabbitMQ = {
+  publishOrderEvent: jest.fn().mockResolvedValue(true),
+};
+
+jest.mock('../order.repository', () => mockOrderRepository);
+jest.mock('../refund.repository', () => mockRefundRepository);
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => mockRabbitMQ);
+jest.mock('../../wallet/wallet.service', () => mockWalletService);
+jest.mock('../services/payment', () => ({
+  getProvider: jest.fn(() => mockProvider),
+  REFUND_STATUS: {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+  },
+}));
+jest.mock('../services/return.service', () => ({
+  applyRefundOutcome: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../services/voucher.service', () => ({}));
+jest.mock('../../product/services/inventory.service', () => ({}));
+jest.mock('../../product/services/flash-sale.service', () => ({ releaseOrderPurchases: jest.fn() }));
+jest.mock('../../../shared/utils/settings.util', () => ({}));
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ registerHandler: jest.fn() }));
+jest.mock('../../../shared/utils/error.util', () => ({
+  AppError: class AppError extends Error {
+    constructor(code, message, statusCode) {
+      super(message);
+      this.code = code;
+      this.statusCode = statusCode;
+    }
+  },
+}));
+
+const paymentService = require('../services/payment.service');
+
+// Generators
+const providerArb = fc.constantFrom('vnpay', 'momo', 'zalopay');
+const grandTotalArb = fc.integer({ min: 10000, max: 50000000 });
+const refundStatusArb = fc.constantFrom('completed', 'processing', 'failed');
+
+function buildOrder(provider, grandTotal) {
+  return {
+    id: 'order-1',
+    order_number: 'ORD-TEST',
+    grand_total: grandTotal,
+    status: 'cancelled',
+    payment_method: provider,
+    payment_status: 'paid',
+    payment_provider_order_id: 'provider-order-1',
+    payment_provider_transaction_id: 'txn-1',
+  };
+}
+
+function providerResult(status, amount) {
+  return {
+    success: status === 'completed',
+    refundId: `prov-${Math.random()}`,
+    providerRefundId: `req-${Math.random()}`,
+    amount,
+    status,
+    errorCode: status === 'failed' ? 'PROVIDER_DECLINED' : null,
+    errorMessage: null,
+  };
+}
+
+describe('Payment Refund Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockProvider.refund.mockReset();
+    mockProvider.getRefundStatus.mockReset();
+    refundStore = [];
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 1: Refunds never exceed paid amount**
+   * *For any* sequence of refund requests on a paid order, the sum of
+   * non-failed refund records SHALL never exceed the order grand total,
+   * and requests above the remaining amount SHALL be rejected.
+   * **Validates: Requirements 1.1, 1.2**
+   */
+  describe('Property 1: Refunds never exceed paid amount', () => {
+    it('should reject refunds above the remaining refundable amount', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          providerArb,
+          grandTotalArb,
+          fc.array(fc.tuple(fc.double({ min: 0.05, max: 0.8, noNaN: true }), refundStatusArb), { minLength: 1, maxLength: 6 }),
+          async (provider, grandTotal, requests) => {
+            refundStore = [];
+            const order = buildOrder(provider, grandTotal);
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+
+            for (const [ratio, status] of requests) {
+              const amount = Math.round(grandTotal * ratio);
+              const reserved = refundStore
+                .filter(r => r.status !== 'failed')
+                .reduce((sum, r) => sum + r.amount, 0);
+
+              if (amount > grandTotal - reserved) {
+                await expect(paymentService.processRefund(order.id, amount))
+                  .rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+              } else {
+                mockProvider.refund.mockResolvedValueOnce(providerResult(status, amount));
+                const refund = await paymentService.processRefund(order.id, amount);
+                expect(refund.status).toBe(status);
+                expect(refund.refundType).toBe(amount < grandTotal ? 'partial' : 'full');
+              }
+            }
+
+            const total = refundStore
+              .filter(r => r.status !== 'failed')
+              .reduce((sum, r) => sum + r.amount, 0);
+            expect(total).toBeLessThanOrEqual(grandTotal);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 1b: Concurrent refunds stay within the paid amount**
+   * *For any* refunds requested at the same time, each within the remaining amount
+   * but together above it, only those fitting SHALL be created.
+   * **Validates: Requirements 1.1, 1.2**
+   */
+  describe('Property 1b: Concurrent refunds stay within the paid amount', () => {
+    it('should refuse the concurrent refund that would exceed the paid amount', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          providerArb,
+          grandTotalArb,
+          fc.double({ min: 0.51, max: 1, noNaN: true }),
+          fc.double({ min: 0.51, max: 1, noNaN: true }),
+          async (provider, grandTotal, ratioA, ratioB) => {
+            refundStore = [];
+            const order = buildOrder(provider, grandTotal);
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+            const amounts = [Math.round(grandTotal * ratioA), Math.round(grandTotal * ratioB)];
+            amounts.forEach(amount => mockProvider.refund.mockResolvedValueOnce(providerResult('processing', amount)));
+            mockRefundRepository.createRefund.mockClear();
+
+            const results = await Promise.allSettled(amounts.map(amount => paymentService.processRefund(order.id, amount)));
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+            // Both passed the read-then-check; the insert is what refused one
+            expect(mockRefundRepository.createRefund).toHaveBeenCalledTimes(2);
+            expect(refundStore).toHaveLength(1);
+            expect(refundStore[0].amount).toBeLessThanOrEqual(grandTotal);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 2: Order payment status follows completed refunds**
+   * *For any* completed refund, the order payment_status SHALL become 'refunded'
+   * when completed refunds cover the grand total, otherwise 'partially_refunded'.
+   * Processing and failed refunds SHALL NOT change the payment status.
+   * **Validates: Requirements 1.3**
+   */
+  describe('Property 2: Order payment status follows completed refunds', () => {
+    it('should set refunded or partially_refunded only after completion', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          providerArb,
+          grandTotalArb,
+          fc.boolean(),
+          refundStatusArb,
+          async (provider, grandTotal, isFull, status) => {
+            refundStore = [];
+            mockOrderRepository.updatePaymentStatus.mockClear();
+            mockOrderRepository.updateOrderStatus.mockClear();
+
+            const order = buildOrder(provider, grandTotal);
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+
+            const amount = isFull ? grandTotal : Math.floor(grandTotal / 2);
+            mockProvider.refund.mockResolvedValueOnce(providerResult(status, amount));
+
+            await paymentService.processRefund(order.id, amount);
+
+            if (status !== 'completed') {
+              expect(mockOrderRepository.updatePaymentStatus).not.toHaveBeenCalled();
+            } else if (isFull) {
+              expect(mockOrderRepository.updatePaymentStatus).toHaveBeenCalledWith(order.id, 'refunded');
+              expect(mockOrderRepository.updateOrderStatus).toHaveBeenCalledWith(order.id, 'refunded');
+            } else {
+              expect(mockOrderRepository.updatePaymentStatus).toHaveBeenCalledWith(order.id, 'partially_refunded');
+            }
+
+            // VNPay distinguishes full (02) and partial (03) refunds
+            const options = mockProvider.refund.mock.calls[mockProvider.refund.mock.calls.length - 1][4];
+            expect(options.isPartial).toBe(!isFull);
+            expect(options.providerOrderId).toBe(order.payment_provider_order_id);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 3: Settled refunds are final**
+   * *For any* refund reconciled through callback or status query, once the
+   * refund is completed or failed, later results SHALL NOT change it.
+   * **Validates: Requirements 1.4**
+   */
+  describe('Property 3: Settled refunds are final', () => {
+    it('should ignore provider results after a refund is settled', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          providerArb,
+          grandTotalArb,
+          fc.constantFrom('completed', 'failed'),
+          refundStatusArb,
+          async (provider, grandTotal, settledStatus, laterStatus) => {
+            refundStore = [];
+            const order = buildOrder(provider, grandTotal);
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+
+            const initial = providerResult('processing', grandTotal);
+            mockProvider.refund.mockResolvedValueOnce(initial);
+            const refund = await paymentService.processRefund(order.id, grandTotal);
+            expect(refund.status).toBe('processing');
+            const providerRefundId = refundStore[0].provider_refund_id;
+
+            // Provider pushes the final result
+            await paymentService.handleRefundCallback(provider, providerRefundId, {
+              status: settledStatus,
+            });
+
+            mockRabbitMQ.publishOrderEvent.mockClear();
+            mockProvider.getRefundStatus.mockResolvedValueOnce({ status: laterStatus });
+
+            const reconciled = await paymentService.reconcileRefund(refund.id);
+            const repeated = await paymentService.handleRefundCallback(provider, providerRefundId, {
+              status: laterStatus,
+            });
+
+            expect(reconciled.status).toBe(settledStatus);
+            expect(repeated.status).toBe(settledStatus);
+            expect(mockRabbitMQ.publishOrderEvent).not.toHaveBeenCalled();
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 3b: Refunds with an unknown outcome are reconciled**
+   * *For any* refund request that times out or loses its connection, the refund SHALL
+   * stay processing with the provider refund ID sent, so reconciliation can settle it;
+   * only a refusal from the provider SHALL mark it failed.
+   * **Validates: Requirements 1.4**
+   */
+  describe('Property 3b: Refunds with an unknown outcome are reconciled', () => {
+    it('should keep the refund processing until the provider status settles it', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await fc.assert(
+        fc.asyncProperty(
+          providerArb,
+          grandTotalArb,
+          fc.constantFrom({ statusCode: 408 }, { statusCode: 502 }, {}),
+          fc.constantFrom('completed', 'failed'),
+          async (provider, grandTotal, failure, finalStatus) => {
+            refundStore = [];
+            const order = buildOrder(provider, grandTotal);
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+            mockProvider.refund.mockRejectedValueOnce(Object.assign(new Error('Payment timeout'), failure));
+
+            const refund = await paymentService.processRefund(order.id, grandTotal);
+
+            expect(refund.status).toBe('processing');
+            const providerRefundId = mockProvider.refund.mock.calls[mockProvider.refund.mock.calls.length - 1][4].providerRefundId;
+            expect(refundStore[0].provider_refund_id).toBe(providerRefundId);
+
+            mockProvider.getRefundStatus.mockResolvedValueOnce({ status: finalStatus });
+            const reconciled = await paymentService.reconcileRefund(refund.id);
+
+            expect(mockProvider.getRefundStatus).toHaveBeenLastCalledWith(providerRefundId, order.payment_provider_order_id);
+            expect(reconciled.status).toBe(finalStatus);
+          }
+        ),
+        { numRuns: 30 }
+      );
+      console.warn.mockRestore();
+    });
+
+    it('should fail the refund when the provider refuses the request', async () => {
+      await fc.assert(
+        fc.asyncProperty(providerArb, grandTotalArb, async (provider, grandTotal) => {
+          refundStore = [];
+          const order = buildOrder(provider, grandTotal);
+          mockOrderRepository.findOrderById.mockResolvedValue(order);
+          mockProvider.refund.mockRejectedValueOnce(Object.assign(new Error('Invalid amount'), { statusCode: 400 }));
+
+          await expect(paymentService.processRefund(order.id, grandTotal))
+            .rejects.toMatchObject({ code: 'REFUND_FAILED' });
+          expect(refundStore[0].status).toBe('failed');
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-refunds, Property 4: Wallet refunds credit the wallet**
+   * *For any* refund of a wallet order, or a collected COD/online order refunded
+   * to wallet, the customer's wallet SHALL be credited once with the refund amount and
+   * the refund record SHALL complete without calling a payment provider.
+   * **Validates: Requirements 2.4**
+   */
+  describe('Property 4: Wallet refunds credit the wallet', () => {
+    it('should credit the wallet and complete the refund record', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('wallet', 'cod', 'vnpay', 'momo', 'zalopay'),
+          grandTotalArb,
+          fc.double({ min: 0.1, max: 1, noNaN: true }),
+          async (method, grandTotal, ratio) => {
+            refundStore = [];
+            mockWalletService.refundToWallet.mockReset();
+            mockWalletService.refundToWallet.mockResolvedValue({ transactionId: 'wallet-txn-1' });
+
+            const order = {
+              ...buildOrder(method, grandTotal),
+              user_id: 'user-1',
+              payment_status: 'paid',
+            };
+            mockOrderRepository.findOrderById.mockResolvedValue(order);
+
+            const amount = Math.max(1, Math.round(grandTotal * ratio));
+            const refund = await paymentService.processRefund(order.id, amount, { toWallet: true });
+
+            expect(refund.provider).toBe('wallet');
+            expect(refund.status).toBe('completed');
+            expect(refund.amount).toBe(amount);
+            expect(mockWalletService.refundToWallet).toHaveBeenCalledTimes(1);
+            expect(mockWalletService.refundToWallet).toHaveBeenCalledWith(
+              'user-1',
+              amount,
+              expect.objectContaining({ refundId: refundStore[0].id, orderId: order.id })
+            );
+            expect(mockProvider.refund).not.toHaveBeenCalled();
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should not credit the wallet for a COD order whose cash was not collected', async () => {
+      await fc.assert(
+        fc.asyncProperty(grandTotalArb, async (grandTotal) => {
+          refundStore = [];
+          mockWalletService.refundToWallet.mockReset();
+
+          const order = { ...buildOrder('cod', grandTotal), user_id: 'user-1', payment_status: 'pending' };
+          mockOrderRepository.findOrderById.mockResolvedValue(order);
+
+          await expect(paymentService.processRefund(order.id, grandTotal, { toWallet: true }))
+            .rejects.toMatchObject({ code: 'ORDER_NOT_PAID' });
+          expect(mockWalletService.refundToWallet).not.toHaveBeenCalled();
+          expect(refundStore).toHaveLength(0);
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Payment Timeout Property Tests
+ * Property-based tests for expiring unpaid gateway orders
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory orders and reservations
+let orders = [];
+let reserved = {};
+let voucherUsages = {};
+
+const mockOrderRepository = {
+  findOrderById: jest.fn(async (id) => orders.find(o => o.id === id) || null),
+  findUnpaidOrdersCreatedBefore: jest.fn(async (methods, before) => orders
+    .filter(o => o.status === 'pending_payment' && o.payment_status === 'pending')
+    .filter(o => methods.includes(o.payment_method) && new Date(o.created_at) <= new Date(before))
+    .map(o => ({ ...o }))),
+  expireUnpaidOrder: jest.fn(async (id, status) => {
+    const order = orders.find(o => o.id === id && o.status === 'pending_payment' && o.payment_status === 'pending');
+    if (!order) return null;
+    order.status = status;
+    order.payment_status = 'failed';
+    return { ...order };
+  }),
+  findOrderItemsByOrderId: jest.fn(async (id) => orders.find(o => o.id === id).items),
+  findSubOrdersByOrderId: jest.fn(async (id) => orders.find(o => o.id === id).subOrders.map(so => ({ ...so }))),
+  updateSubOrderStockStatus: jest.fn(async (subOrderId, from, to) => {
+    const subOrder = orders.flatMap(o => o.subOrders).find(so => so.id === subOrderId && so.stock_status === from);
+    if (!subOrder) return null;
+    subOrder.stock_status = to;
+    return { ...subOrder };
+  }),
+};
+
+const mockInventoryService = {
+  releaseStockAtomic: jest.fn(async (variantId, quantity) => {
+    reserved[variantId] = Math.max((reserved[variantId] || 0) - quantity, 0);
+  }),
+};
+
+const mockVoucherService = {
+  restoreVoucher: jest.fn(async (orderId) => {
+    voucherUsages[orderId] = 0;
+  }),
+};
+
+const mockProvider = {
+  getStatus: jest.fn(),
+};
+
+const mockOrderService = {
+  handlePaymentSuccess: jest.fn(async (orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    order.status = 'confirmed';
+    order.payment_status = 'paid';
+  }),
+};
+
+const mockSettings = {
+  timeoutMinutes: 15,
+  expiredStatus: 'cancelled',
+};
+
+const mockRabbitMQ = {
+  publishOrderEvent: jest.fn().mockResolvedValue(true),
+};
+
+jest.mock('../order.repository', () => mockOrderRepository);
+jest.mock('../refund.repository', () => ({}));
+jest.mock('../order.service', () => mockOrderService);
+jest.mock('../services/voucher.service', () => mockVoucherService);
+jest.mock('../../product/services/inventory.service', () => mockInventoryService);
+jest.mock('../../product/services/flash-sale.service', () => ({ releaseOrderPurchases: jest.fn() }));
+jest.mock('../../wallet/wallet.service', () => ({}));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => mockRabbitMQ);
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ registerHandler: jest.fn() }));
+jest.mock('../../../shared/utils/settings.util', () => ({
+  getSetting: jest.fn(async () => mockSettings.expiredStatus),
+  getNumberSetting: jest.fn(async () => mockSettings.timeoutMinutes),
+}));
+jest.mock('../services/payment', () => ({
+  getProvider: jest.fn(() => mockProvider),
+  PAYMENT_STATUS: { PENDING: 'pending', PAID: 'paid', FAILED: 'failed' },
+  REFUND_STATUS: {},
+}));
+
+const paymentService = require('../services/payment.service');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+// Generators
+const orderArb = fc.record({
+  method: fc.constantFrom('vnpay', 'momo', 'zalopay', 'cod', 'wallet'),
+  status: fc.constantFrom('pending_payment', 'pending_payment', 'confirmed', 'cancelled'),
+  ageMinutes: fc.integer({ min: 0, max: 120 }),
+  gateway: fc.constantFrom('pending', 'paid', 'error'),
+  quantity: fc.integer({ min: 1, max: 5 }),
+});
+
+function seed(specs) {
+  reserved = {};
+  voucherUsages = {};
+  orders = specs.map((spec, i) => {
+    reserved[`variant-${i}`] = spec.quantity;
+    voucherUsages[`order-${i}`] = 1;
+    const items = [{ variant_id: `variant-${i}`, quantity: spec.quantity }];
+    return {
+      id: `order-${i}`,
+      user_id: 'user-1',
+      status: spec.status,
+      payment_status: spec.status === 'pending_payment' ? 'pending' : 'paid',
+      payment_method: spec.method,
+      payment_provider_order_id: `provider-${i}`,
+      created_at: new Date(NOW.getTime() - spec.ageMinutes * 60 * 1000).toISOString(),
+      items,
+      subOrders: [{ id: `sub-${i}`, order_id: `order-${i}`, stock_status: 'reserved', order_items: items }],
+      gateway: spec.gateway,
+    };
+  });
+
+  mockProvider.getStatus.mockImplementation(async (orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    if (order.gateway === 'error') throw new Error('Gateway timeout');
+    return { status: order.gateway, providerTransactionId: 'txn-1', amount: 100000 };
+  });
+}
+
+describe('Payment Timeout Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: payment-timeout, Property 1: Only expired gateway orders are expired**
+   * *For any* set of orders, a gateway order still pending payment after the payment
+   * window SHALL move to the configured status with its stock released and vouchers
+   * restored, unless the gateway reports it paid; all other orders SHALL be untouched.
+   * **Validates: Requirements 3.4**
+   */
+  describe('Property 1: Only expired gateway orders are expired', () => {
+    it('should expire exactly the abandoned gateway orders', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(orderArb, { minLength: 1, maxLength: 12 }),
+          fc.integer({ min: 5, max: 60 }),
+          fc.constantFrom('cancelled', 'payment_failed'),
+          async (specs, timeoutMinutes, expiredStatus) => {
+            seed(specs);
+            mockSettings.timeoutMinutes = timeoutMinutes;
+            mockSettings.expiredStatus = expiredStatus;
+
+            await paymentService.expireUnpaidOrders(NOW);
+
+            specs.forEach((spec, i) => {
+              const order = orders[i];
+              const candidate = spec.status === 'pending_payment'
+                && ['vnpay', 'momo', 'zalopay'].includes(spec.method)
+                && spec.ageMinutes >= timeoutMinutes;
+              const gatewayDown = spec.gateway === 'error' && spec.ageMinutes < 2 * timeoutMinutes;
+
+              if (candidate && spec.gateway === 'paid') {
+                expect(order.payment_status).toBe('paid');
+                expect(reserved[`variant-${i}`]).toBe(spec.quantity);
+              } else if (candidate && !gatewayDown) {
+                expect(order.status).toBe(expiredStatus);
+                expect(order.payment_status).toBe('failed');
+                expect(reserved[`variant-${i}`]).toBe(0);
+                expect(voucherUsages[`order-${i}`]).toBe(0);
+              } else {
+                expect(order.status).toBe(spec.status);
+                expect(reserved[`variant-${i}`]).toBe(spec.quantity);
+                expect(voucherUsages[`order-${i}`]).toBe(1);
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: payment-timeout, Property 2: Expiry is applied once**
+   * *For any* set of orders, running the sweep again SHALL NOT release stock or
+   * publish notifications a second time.
+   * **Validates: Requirements 3.4**
+   */
+  describe('Property 2: Expiry is applied once', () => {
+    it('should not release stock twice', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(orderArb, { minLength: 1, maxLength: 12 }),
+          async (specs) => {
+            seed(specs);
+            mockSettings.timeoutMinutes = 15;
+            mockSettings.expiredStatus = 'cancelled';
+
+            const first = await paymentService.expireUnpaidOrders(NOW);
+            const releasesAfterFirst = mockInventoryService.releaseStockAtomic.mock.calls.length;
+            const eventsAfterFirst = mockRabbitMQ.publishOrderEvent.mock.calls.length;
+
+            expect(releasesAfterFirst).toBe(first.expired);
+            expect(eventsAfterFirst).toBe(first.expired);
+
+            const second = await paymentService.expireUnpaidOrders(NOW);
+            expect(second.expired).toBe(0);
+            expect(mockInventoryService.releaseStockAtomic.mock.calls.length).toBe(releasesAfterFirst);
+            expect(mockRabbitMQ.publishOrderEvent.mock.calls.length).toBe(eventsAfterFirst);
+
+            mockInventoryService.releaseStockAtomic.mockClear();
+            mockRabbitMQ.publishOrderEvent.mockClear();
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
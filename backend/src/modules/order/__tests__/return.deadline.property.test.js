@@ -0,0 +1,199 @@
+/**
+ * Return Deadline Property Tests
+ * Property-based tests for the return request deadline sweep
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory tables behind a minimal Supabase query builder
+let tables = {};
+
+function createQuery(table) {
+  const filters = [];
+  let updateData = null;
+  let limit = null;
+
+  const matches = row => filters.every(f => f(row));
+
+  const query = {
+    select: () => query,
+    order: () => query,
+    limit: (n) => { limit = n; return query; },
+    update: (data) => { updateData = data; return query; },
+    insert: (row) => { tables[table].push({ ...row }); return query; },
+    eq: (col, val) => { filters.push(row => row[col] === val); return query; },
+    is: (col, val) => { filters.push(row => (row[col] ?? null) === val); return query; },
+    lte: (col, val) => { filters.push(row => row[col] != null && new Date(row[col]) <= new Date(val)); return query; },
+    gt: (col, val) => { filters.push(row => row[col] != null && new Date(row[col]) > new Date(val)); return query; },
+    single: async () => {
+      const row = tables[table].find(matches);
+      return { data: row ? { ...row } : null, error: row ? null : { code: 'PGRST116' } };
+    },
+    then: (resolve, reject) => {
+      let rows = tables[table].filter(matches);
+      if (updateData) {
+        rows.forEach(row => Object.assign(row, updateData));
+      }
+      if (limit !== null) rows = rows.slice(0, limit);
+      return Promise.resolve({ data: rows.map(r => ({ ...r })), error: null }).then(resolve, reject);
+    },
+  };
+
+  return query;
+}
+
+const mockSupabase = {
+  supabaseAdmin: {
+    from: jest.fn(table => createQuery(table)),
+  },
+};
+
+const mockRabbitmq = {
+  publishNotification: jest.fn().mockResolvedValue(true),
+};
+
+jest.mock('../../../shared/supabase/supabase.client', () => mockSupabase);
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => mockRabbitmq);
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ registerHandler: jest.fn() }));
+
+const returnService = require('../services/return.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+// Generators: request status and deadline offset relative to NOW (hours)
+const returnArb = fc.record({
+  status: fc.constantFrom('pending', 'approved', 'shipping', 'escalated', 'rejected'),
+  offsetHours: fc.integer({ min: -72, max: 72 }),
+  reminded: fc.boolean(),
+});
+
+function seed(requests) {
+  tables = {
+    return_requests: requests.map((r, i) => ({
+      id: `rr-${i}`,
+      request_number: `RR${i}`,
+      order_id: `order-${i}`,
+      sub_order_id: `sub-${i}`,
+      customer_id: `customer-${i}`,
+      shop_id: 'shop-1',
+      status: r.status,
+      expires_at: r.status === 'pending' ? new Date(NOW.getTime() + r.offsetHours * 3600000).toISOString() : null,
+      ship_deadline: r.status === 'approved' ? new Date(NOW.getTime() + r.offsetHours * 3600000).toISOString() : null,
+      deadline_reminder_sent_at: r.reminded ? NOW.toISOString() : null,
+    })),
+    sub_orders: requests.map((r, i) => ({
+      id: `sub-${i}`,
+      status: r.status === 'approved' ? 'return_approved' : 'return_requested',
+    })),
+    return_request_history: [],
+    shops: [{ id: 'shop-1', partner_id: 'partner-1' }],
+  };
+}
+
+describe('Return Deadline Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: return-deadlines, Property 1: Overdue requests transition once**
+   * *For any* set of return requests, the sweep SHALL auto-approve pending requests
+   * past their shop deadline and cancel approved requests past their ship-by deadline,
+   * logging each transition with actor type system, and leave all others unchanged.
+   * A second sweep SHALL change nothing.
+   * **Validates: Requirements 7.2, 7.5**
+   */
+  describe('Property 1: Overdue requests transition once', () => {
+    it('should apply deadline transitions exactly once', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(returnArb, { minLength: 1, maxLength: 15 }),
+          async (requests) => {
+            seed(requests);
+
+            const first = await returnService.processReturnDeadlines(NOW);
+
+            requests.forEach((r, i) => {
+              const row = tables.return_requests[i];
+              const overdue = r.offsetHours <= 0;
+
+              if (r.status === 'pending' && overdue) {
+                expect(row.status).toBe('approved');
+                expect(new Date(row.ship_deadline).getTime())
+                  .toBe(NOW.getTime() + returnService.CUSTOMER_SHIP_DEADLINE_DAYS * DAY);
+                expect(tables.sub_orders[i].status).toBe('return_approved');
+              } else if (r.status === 'approved' && overdue) {
+                expect(row.status).toBe('cancelled');
+                expect(tables.sub_orders[i].status).toBe('delivered');
+              } else {
+                expect(row.status).toBe(r.status);
+              }
+            });
+
+            const expectedTransitions = requests.filter(r => ['pending', 'approved'].includes(r.status) && r.offsetHours <= 0).length;
+            expect(first.autoApproved + first.expired).toBe(expectedTransitions);
+            expect(tables.return_request_history).toHaveLength(expectedTransitions);
+            tables.return_request_history.forEach((h) => {
+              expect(h.actor_type).toBe('system');
+              expect(h.actor_id).toBeNull();
+            });
+
+            const second = await returnService.processReturnDeadlines(NOW);
+            expect(second.autoApproved + second.expired).toBe(0);
+            expect(tables.return_request_history).toHaveLength(expectedTransitions);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: return-deadlines, Property 2: Both parties are notified**
+   * *For any* request within the reminder window, both customer and shop SHALL be
+   * reminded exactly once; every deadline transition SHALL notify both parties.
+   * **Validates: Requirements 7.2**
+   */
+  describe('Property 2: Both parties are notified', () => {
+    it('should notify customer and shop before and after deadlines', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(returnArb, { minLength: 1, maxLength: 15 }),
+          async (requests) => {
+            seed(requests);
+            mockRabbitmq.publishNotification.mockClear();
+
+            await returnService.processReturnDeadlines(NOW);
+            await returnService.processReturnDeadlines(NOW);
+
+            const calls = mockRabbitmq.publishNotification.mock.calls.map(c => c[1]);
+
+            requests.forEach((r, i) => {
+              const sent = calls.filter(p => p.returnRequestId === `rr-${i}`);
+              const active = ['pending', 'approved'].includes(r.status);
+              const overdue = r.offsetHours <= 0;
+              const remind = active && !overdue && r.offsetHours <= 24 && !r.reminded;
+
+              let expectedTypes = [];
+              if (active && overdue) {
+                expectedTypes = [r.status === 'pending' ? 'RETURN_AUTO_APPROVED' : 'RETURN_EXPIRED'];
+              } else if (remind) {
+                expectedTypes = ['RETURN_DEADLINE_REMINDER'];
+              }
+
+              expect(sent).toHaveLength(expectedTypes.length * 2);
+              for (const type of expectedTypes) {
+                const recipients = sent.filter(p => p.type === type).map(p => p.userId).sort();
+                expect(recipients).toEqual([`customer-${i}`, 'partner-1'].sort());
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
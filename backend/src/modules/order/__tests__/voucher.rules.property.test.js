@@ -0,0 +1,392 @@
+/**
+ * Voucher Rules Property Tests
+ * Property-based tests for free shipping, tiered, restricted and first-order
+ * vouchers, and for the stacking rules
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// Mock dependencies
+const mockVoucherRepository = {
+  findVoucherByCode: jest.fn(),
+  getUserVoucherUsage: jest.fn(),
+  hasPlacedOrder: jest.fn(),
+  findActiveVouchers: jest.fn(),
+};
+
+jest.mock('../voucher.repository', () => mockVoucherRepository);
+jest.mock('../order.dto', () => ({ serializeVoucher: jest.fn(v => v) }));
+
+const voucherService = require('../services/voucher.service');
+
+// Generators
+const uuidArb = fc.uuid();
+const moneyArb = fc.integer({ min: 1000, max: 10000000 });
+
+function makeVoucher(overrides = {}) {
+  return {
+    id: `voucher-${overrides.code || 'V'}`,
+    code: 'V',
+    type: 'platform',
+    shop_id: null,
+    is_active: true,
+    start_date: new Date(Date.now() - 86400000).toISOString(),
+    end_date: new Date(Date.now() + 86400000).toISOString(),
+    usage_limit: null,
+    used_count: 0,
+    per_user_limit: 1,
+    min_order_value: 0,
+    discount_type: 'fixed',
+    discount_value: 10000,
+    max_discount: null,
+    stackable: true,
+    ...overrides,
+  };
+}
+
+function useVouchers(vouchers) {
+  mockVoucherRepository.findVoucherByCode.mockImplementation(async (code) =>
+    vouchers.find(v => v.code === code) || null);
+  mockVoucherRepository.findActiveVouchers.mockResolvedValue(vouchers);
+}
+
+describe('Voucher Rules Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVoucherRepository.getUserVoucherUsage.mockResolvedValue(0);
+    mockVoucherRepository.hasPlacedOrder.mockResolvedValue(false);
+  });
+
+  describe('Tiered vouchers', () => {
+    it('should apply the highest tier reached by the order total', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(fc.integer({ min: 0, max: 5000000 }), { minLength: 1, maxLength: 5 }),
+          moneyArb,
+          (minSpends, orderTotal) => {
+            const tiers = minSpends.map(minSpend => ({
+              min_spend: minSpend,
+              discount_type: 'fixed',
+              discount_value: minSpend / 10 + 1000,
+            }));
+            const voucher = makeVoucher({ discount_type: 'tiered', discount_value: 0, tiers });
+
+            const reached = tiers.filter(t => t.min_spend <= orderTotal);
+            const expected = reached.length === 0
+              ? 0
+              : Math.round(Math.min(Math.max(...reached.map(t => t.discount_value)), orderTotal));
+
+            expect(voucherService.calculateDiscount(voucher, orderTotal)).toBe(expected);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Free shipping vouchers', () => {
+    it('should discount the shipping fee up to the cap', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          moneyArb,
+          fc.integer({ min: 0, max: 100000 }),
+          fc.option(fc.integer({ min: 1000, max: 50000 }), { nil: null }),
+          async (userId, orderTotal, shippingFee, maxDiscount) => {
+            const voucher = makeVoucher({ code: 'SHIP', discount_type: 'free_shipping', discount_value: 0, max_discount: maxDiscount });
+            useVouchers([voucher]);
+
+            const result = await voucherService.validateVoucher('SHIP', userId, orderTotal, null, { shippingFee });
+
+            expect(result.discount).toBe(maxDiscount === null ? shippingFee : Math.min(shippingFee, maxDiscount));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Restricted vouchers', () => {
+    it('should only discount items of the listed categories', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          fc.array(fc.record({ category: fc.constantFrom('c1', 'c2', 'c3'), amount: moneyArb }), { minLength: 1, maxLength: 6 }),
+          async (userId, lines) => {
+            const items = lines.map((line, i) => ({ productId: `p${i}`, categoryId: line.category, shopId: 's1', amount: line.amount }));
+            const orderTotal = items.reduce((sum, item) => sum + item.amount, 0);
+            const eligible = items.filter(item => item.categoryId === 'c1').reduce((sum, item) => sum + item.amount, 0);
+            const voucher = makeVoucher({
+              code: 'CAT',
+              discount_type: 'percentage',
+              discount_value: 10,
+              applies_to: { categoryIds: ['c1'] },
+            });
+            useVouchers([voucher]);
+
+            if (eligible === 0) {
+              await expect(voucherService.validateVoucher('CAT', userId, orderTotal, null, { items }))
+                .rejects.toMatchObject({ code: 'VOUCHER_NOT_APPLICABLE' });
+            } else {
+              const result = await voucherService.validateVoucher('CAT', userId, orderTotal, null, { items });
+              expect(result.discount).toBe(Math.round(eligible * 0.1));
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('First order vouchers', () => {
+    it('should only be valid for customers without a previous order', async () => {
+      await fc.assert(
+        fc.asyncProperty(uuidArb, moneyArb, fc.boolean(), async (userId, orderTotal, hasOrdered) => {
+          mockVoucherRepository.hasPlacedOrder.mockResolvedValue(hasOrdered);
+          useVouchers([makeVoucher({ code: 'NEW', first_order_only: true })]);
+
+          const result = voucherService.validateVoucher('NEW', userId, orderTotal);
+
+          if (hasOrdered) {
+            await expect(result).rejects.toMatchObject({ code: 'VOUCHER_FIRST_ORDER' });
+          } else {
+            await expect(result).resolves.toMatchObject({ isValid: true });
+          }
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Stacking', () => {
+    const shopArb = fc.record({
+      subtotal: moneyArb,
+      shippingFee: fc.integer({ min: 0, max: 100000 }),
+    });
+
+    it('should keep one voucher per slot and never discount more than the order', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          fc.array(shopArb, { minLength: 1, maxLength: 3 }),
+          fc.array(fc.integer({ min: 1000, max: 5000000 }), { minLength: 1, maxLength: 3 }),
+          async (userId, shopData, platformValues) => {
+            const shops = shopData.map((shop, i) => ({
+              shopId: `shop-${i}`,
+              subtotal: shop.subtotal,
+              shippingFee: shop.shippingFee,
+              items: [{ productId: `p${i}`, categoryId: 'c1', shopId: `shop-${i}`, amount: shop.subtotal }],
+            }));
+            const vouchers = [
+              ...platformValues.map((value, i) => makeVoucher({ code: `PLAT${i}`, discount_value: value })),
+              ...shops.map((shop, i) => makeVoucher({
+                code: `SHOP${i}`, type: 'shop', shop_id: shop.shopId, discount_type: 'percentage', discount_value: 50,
+              })),
+              makeVoucher({ code: 'SHIP', discount_type: 'free_shipping', discount_value: 0 }),
+            ];
+            useVouchers(vouchers);
+
+            const result = await voucherService.resolveVouchers(userId, shops, vouchers.map(v => v.code));
+
+            const subtotal = shops.reduce((sum, shop) => sum + shop.subtotal, 0);
+            const shippingTotal = shops.reduce((sum, shop) => sum + shop.shippingFee, 0);
+            const slots = result.applied.map(a => (a.slot === 'shop' ? `shop:${a.shopId}` : a.slot));
+
+            expect(new Set(slots).size).toBe(slots.length);
+            expect(result.applied.filter(a => a.slot === 'platform')).toHaveLength(1);
+            expect(result.rejected).toHaveLength(platformValues.length - 1);
+            expect(result.merchandiseDiscount).toBeLessThanOrEqual(subtotal);
+            expect(result.shippingDiscount).toBe(shippingTotal);
+            expect(result.discountTotal).toBe(result.merchandiseDiscount + result.shippingDiscount);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should use a non-stackable voucher alone', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          moneyArb,
+          fc.integer({ min: 1000, max: 500000 }),
+          fc.integer({ min: 1000, max: 500000 }),
+          async (userId, subtotal, soloValue, stackValue) => {
+            const shops = [{
+              shopId: 'shop-1',
+              subtotal,
+              shippingFee: 30000,
+              items: [{ productId: 'p1', categoryId: 'c1', shopId: 'shop-1', amount: subtotal }],
+            }];
+            useVouchers([
+              makeVoucher({ code: 'SOLO', discount_value: soloValue, stackable: false }),
+              makeVoucher({ code: 'SHOPV', type: 'shop', shop_id: 'shop-1', discount_value: stackValue }),
+              makeVoucher({ code: 'SHIP', discount_type: 'free_shipping', discount_value: 0 }),
+            ]);
+
+            const result = await voucherService.resolveVouchers(userId, shops, ['SOLO', 'SHOPV', 'SHIP']);
+            const codes = result.applied.map(a => a.code);
+
+            if (codes.includes('SOLO')) {
+              expect(codes).toEqual(['SOLO']);
+            }
+            const solo = Math.min(soloValue, subtotal);
+            const stacked = Math.min(stackValue, subtotal) + 30000;
+            expect(result.discountTotal).toBe(Math.max(solo, stacked));
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Discount allocation', () => {
+    it('should split an amount proportionally with shares summing exactly', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 10000000 }),
+          fc.array(fc.integer({ min: 0, max: 10000000 }), { minLength: 1, maxLength: 10 }),
+          (amount, weights) => {
+            const shares = voucherService.allocateProportionally(amount, weights);
+            const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+            expect(shares).toHaveLength(weights.length);
+            if (totalWeight === 0) {
+              expect(shares.every(share => share === 0)).toBe(true);
+              return;
+            }
+            expect(shares.reduce((sum, share) => sum + share, 0)).toBe(amount);
+            shares.forEach((share, i) => {
+              const exact = (amount * weights[i]) / totalWeight;
+              expect(share).toBeGreaterThanOrEqual(Math.floor(exact));
+              expect(share).toBeLessThanOrEqual(Math.ceil(exact));
+            });
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should share the platform voucher over every shop and item', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          fc.array(fc.array(moneyArb, { minLength: 1, maxLength: 4 }), { minLength: 1, maxLength: 4 }),
+          fc.integer({ min: 1000, max: 2000000 }),
+          fc.boolean(),
+          async (userId, shopLines, platformValue, withShopVoucher) => {
+            const shops = shopLines.map((amounts, s) => ({
+              shopId: `shop-${s}`,
+              subtotal: amounts.reduce((sum, a) => sum + a, 0),
+              shippingFee: 20000 + s * 5000,
+              items: amounts.map((amount, i) => ({ productId: `p${s}-${i}`, categoryId: 'c1', shopId: `shop-${s}`, amount })),
+            }));
+            const vouchers = [
+              makeVoucher({ code: 'PLAT', discount_value: platformValue }),
+              makeVoucher({ code: 'SHIP', discount_type: 'free_shipping', discount_value: 0 }),
+              makeVoucher({ code: 'SHOP', type: 'shop', shop_id: 'shop-0', discount_type: 'percentage', discount_value: 20 }),
+            ];
+            useVouchers(vouchers);
+
+            const codes = withShopVoucher ? ['PLAT', 'SHIP', 'SHOP'] : ['PLAT', 'SHIP'];
+            const result = await voucherService.resolveVouchers(userId, shops, codes);
+            const allocations = Object.values(result.shops);
+            const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+            expect(sum(allocations.map(a => a.platformDiscount))).toBe(result.platform.discount);
+            expect(sum(allocations.map(a => a.platformShippingDiscount))).toBe(result.shipping.discount);
+            expect(sum(allocations.flatMap(a => a.itemDiscounts))).toBe(result.merchandiseDiscount);
+            shops.forEach(shop => {
+              const allocation = result.shops[shop.shopId];
+              expect(sum(allocation.itemDiscounts)).toBe(allocation.discount + allocation.platformDiscount);
+              shop.items.forEach((item, i) => expect(allocation.itemDiscounts[i]).toBeLessThanOrEqual(item.amount));
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Recommendation', () => {
+    const voucherArb = fc.record({
+      kind: fc.constantFrom('platform', 'shop', 'shipping'),
+      discountType: fc.constantFrom('fixed', 'percentage'),
+      value: fc.integer({ min: 1, max: 90 }),
+      minOrder: fc.integer({ min: 0, max: 3000000 }),
+      stackable: fc.boolean(),
+    });
+
+    it('should recommend a combination at least as good as any set of codes', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          uuidArb,
+          fc.array(moneyArb, { minLength: 1, maxLength: 2 }),
+          fc.array(voucherArb, { minLength: 1, maxLength: 5 }),
+          async (userId, subtotals, specs) => {
+            const shops = subtotals.map((subtotal, i) => ({
+              shopId: `shop-${i}`,
+              subtotal,
+              shippingFee: 25000,
+              items: [{ productId: `p${i}`, categoryId: 'c1', shopId: `shop-${i}`, amount: subtotal }],
+            }));
+            const vouchers = specs.map((spec, i) => makeVoucher({
+              code: `V${i}`,
+              type: spec.kind === 'shop' ? 'shop' : 'platform',
+              shop_id: spec.kind === 'shop' ? `shop-${i % shops.length}` : null,
+              discount_type: spec.kind === 'shipping' ? 'free_shipping' : spec.discountType,
+              discount_value: spec.discountType === 'fixed' ? spec.value * 1000 : spec.value,
+              min_order_value: spec.minOrder,
+              stackable: spec.stackable,
+            }));
+            useVouchers(vouchers);
+            mockVoucherRepository.findVoucherByCode.mockClear();
+
+            const recommendation = await voucherService.recommendVouchers(userId, shops);
+            const { totals } = recommendation;
+            // The loaded vouchers are checked as they are, not looked up again by code
+            expect(mockVoucherRepository.findVoucherByCode).not.toHaveBeenCalled();
+            expect(totals.grandTotal).toBe(totals.subtotal + totals.shippingTotal - totals.discountTotal);
+
+            // Checking out with the recommended codes gives the same discount
+            const { platformVoucherCode, shopVouchers, shippingVoucherCode } = recommendation.codes;
+            const codes = [platformVoucherCode, ...Object.values(shopVouchers), shippingVoucherCode].filter(Boolean);
+            const checkout = await voucherService.resolveVouchers(userId, shops, codes);
+            expect(checkout.discountTotal).toBe(totals.discountTotal);
+
+            // No other set of codes does better
+            for (let mask = 1; mask < (1 << vouchers.length); mask++) {
+              const subset = vouchers.filter((v, i) => mask & (1 << i)).map(v => v.code);
+              const result = await voucherService.resolveVouchers(userId, shops, subset);
+              expect(result.discountTotal).toBeLessThanOrEqual(totals.discountTotal);
+            }
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should hint how much more is needed to unlock a voucher', async () => {
+      await fc.assert(
+        fc.asyncProperty(uuidArb, moneyArb, fc.integer({ min: 1, max: 1000000 }), async (userId, subtotal, missing) => {
+          const shops = [{
+            shopId: 'shop-1',
+            subtotal,
+            shippingFee: 0,
+            items: [{ productId: 'p1', categoryId: 'c1', shopId: 'shop-1', amount: subtotal }],
+          }];
+          useVouchers([makeVoucher({ code: 'BIG', min_order_value: subtotal + missing })]);
+
+          const recommendation = await voucherService.recommendVouchers(userId, shops);
+
+          expect(recommendation.applied).toHaveLength(0);
+          expect(recommendation.nearMisses).toHaveLength(1);
+          expect(recommendation.nearMisses[0]).toMatchObject({ code: 'BIG', missingAmount: missing });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Webhook Inbox Property Tests
+ * Property-based tests for replay protection of payment callbacks
+ *
+ * Callbacks go through the real ZaloPay webhook handler and provider, signed
+ * with the test key; the inbox table is kept in memory.
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const crypto = require('crypto');
+const fc = require('fast-check');
+
+const ZALOPAY_KEY2 = 'test-key2';
+process.env.ZALOPAY_APP_ID = '2553';
+process.env.ZALOPAY_KEY1 = 'test-key1';
+process.env.ZALOPAY_KEY2 = ZALOPAY_KEY2;
+
+// In-memory webhook_events table
+let events = [];
+
+const mockInboxRepository = {
+  insertEvent: jest.fn(async (eventData) => {
+    const taken = eventData.signatureValid && events.some(e =>
+      e.signature_valid && e.provider === eventData.provider && e.event_key === eventData.eventKey);
+    if (taken) return null;
+
+    const event = {
+      id: `event-${events.length + 1}`,
+      source: eventData.source,
+      provider: eventData.provider,
+      event_key: eventData.eventKey,
+      payload: eventData.payload,
+      signature: eventData.signature || null,
+      signature_valid: eventData.signatureValid,
+      status: eventData.status,
+      attempts: eventData.attempts || 0,
+      duplicate_count: 0,
+      received_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+    events.push(event);
+    return { ...event };
+  }),
+  findEventById: jest.fn(async (id) => {
+    const event = events.find(e => e.id === id);
+    return event ? { ...event } : null;
+  }),
+  findEventByKey: jest.fn(async (provider, eventKey) => {
+    const event = events.find(e => e.signature_valid && e.provider === provider && e.event_key === eventKey);
+    return event ? { ...event } : null;
+  }),
+  recordDuplicate: jest.fn(async (event) => {
+    events.find(e => e.id === event.id).duplicate_count += 1;
+  }),
+  claimEvent: jest.fn(async (event) => {
+    const stored = events.find(e => e.id === event.id);
+    if (stored.status !== event.status || stored.attempts !== event.attempts) return null;
+    Object.assign(stored, { status: 'processing', attempts: event.attempts + 1 });
+    return { ...stored };
+  }),
+  markProcessed: jest.fn(async (id, result) => {
+    const stored = events.find(e => e.id === id);
+    Object.assign(stored, { status: 'processed', result, last_error: null });
+    return { ...stored };
+  }),
+  markFailed: jest.fn(async (id, message) => {
+    const stored = events.find(e => e.id === id);
+    Object.assign(stored, { status: 'failed', last_error: message });
+    return { ...stored };
+  }),
+  countRejectedSince: jest.fn(async (provider, since) => events.filter(e =>
+    e.status === 'rejected' && e.provider === provider && new Date(e.received_at) >= since).length),
+  deleteRejectedBefore: jest.fn(async (before) => {
+    const expired = events.filter(e => e.status === 'rejected' && new Date(e.received_at) < before);
+    events = events.filter(e => !expired.includes(e));
+    return expired.length;
+  }),
+};
+
+const mockOrderService = {
+  handlePaymentSuccess: jest.fn(async () => {}),
+  handlePaymentFailed: jest.fn(async () => {}),
+};
+
+jest.mock('../webhook-inbox.repository', () => mockInboxRepository);
+jest.mock('../order.service', () => mockOrderService);
+jest.mock('../../../shared/jobs/job.scheduler', () => ({
+  registerHandler: jest.fn(),
+  schedule: jest.fn(),
+}));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({
+  publishOrderEvent: jest.fn(async () => {}),
+}));
+
+const { handleZaloPayCallback } = require('../services/payment/webhooks/zalopay.webhook');
+const webhookInboxService = require('../services/webhook-inbox.service');
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const callbackArb = fc.record({
+  orderId: fc.uuid(),
+  appTransId: fc.integer({ min: 100000, max: 999999 }).map(n => `251019_${n}`),
+  zpTransId: fc.integer({ min: 1, max: 1e9 }),
+  amount: fc.integer({ min: 10, max: 5000 }).map(n => n * 1000),
+});
+
+function signedCallback({ orderId, appTransId, zpTransId, amount }) {
+  const data = JSON.stringify({
+    app_trans_id: appTransId,
+    zp_trans_id: zpTransId,
+    amount,
+    embed_data: JSON.stringify({ orderId }),
+  });
+  const mac = crypto.createHmac('sha256', ZALOPAY_KEY2).update(data).digest('hex');
+  return { data, mac };
+}
+
+function resetInbox() {
+  jest.clearAllMocks();
+  events = [];
+}
+
+describe('Webhook Inbox Property Tests', () => {
+  beforeAll(() => {
+    // Providers and handlers log every callback
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply a callback once however many times it is delivered', async () => {
+    await fc.assert(
+      fc.asyncProperty(callbackArb, fc.integer({ min: 1, max: 6 }), fc.boolean(), async (callback, deliveries, concurrent) => {
+        resetInbox();
+        const payload = signedCallback(callback);
+
+        let responses;
+        if (concurrent) {
+          responses = await Promise.all(Array.from({ length: deliveries }, () => handleZaloPayCallback({ ...payload })));
+        } else {
+          responses = [];
+          for (let i = 0; i < deliveries; i++) {
+            responses.push(await handleZaloPayCallback({ ...payload }));
+          }
+        }
+
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(1);
+        expect(mockOrderService.handlePaymentSuccess.mock.calls[0][0]).toBe(callback.orderId);
+        expect(responses.map(r => r.return_code).sort()).toEqual([1, ...Array(deliveries - 1).fill(2)]);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+          provider: 'zalopay',
+          event_key: `${callback.appTransId}:${callback.zpTransId}`,
+          status: 'processed',
+          signature_valid: true,
+          duplicate_count: deliveries - 1,
+        });
+      }),
+      { numRuns: 40 }
+    );
+  });
+
+  it('should store forged callbacks without applying them or blocking the genuine one', async () => {
+    await fc.assert(
+      fc.asyncProperty(callbackArb, fc.integer({ min: 1, max: 3 }), async (callback, forgeries) => {
+        resetInbox();
+        const payload = signedCallback(callback);
+
+        for (let i = 0; i < forgeries; i++) {
+          const response = await handleZaloPayCallback({ ...payload, mac: `forged-${i}` });
+          expect(response.return_code).toBe(-1);
+        }
+
+        expect(mockOrderService.handlePaymentSuccess).not.toHaveBeenCalled();
+        expect(events.every(e => e.status === 'rejected' && !e.signature_valid)).toBe(true);
+
+        const response = await handleZaloPayCallback(payload);
+
+        expect(response.return_code).toBe(1);
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(1);
+        expect(events).toHaveLength(forgeries + 1);
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should store a limited number of forged callbacks and purge them once expired', async () => {
+    await fc.assert(
+      fc.asyncProperty(callbackArb, fc.integer({ min: 1, max: 20 }), async (callback, extra) => {
+        resetInbox();
+        const payload = signedCallback(callback);
+        const forgeries = webhookInboxService.MAX_REJECTED_PER_WINDOW + extra;
+
+        for (let i = 0; i < forgeries; i++) {
+          const response = await handleZaloPayCallback({ ...payload, mac: `forged-${i}` });
+          expect(response.return_code).toBe(-1);
+        }
+
+        expect(events).toHaveLength(webhookInboxService.MAX_REJECTED_PER_WINDOW);
+        expect(mockOrderService.handlePaymentSuccess).not.toHaveBeenCalled();
+
+        // The genuine callback is stored and applied whatever the number of forgeries
+        expect((await handleZaloPayCallback(payload)).return_code).toBe(1);
+
+        const later = new Date(Date.now() + webhookInboxService.REJECTED_RETENTION_MS + 1000);
+        expect(await webhookInboxService.purgeRejectedEvents(later)).toBe(webhookInboxService.MAX_REJECTED_PER_WINDOW);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ status: 'processed', signature_valid: true });
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  it('should process a failed callback again when the provider retries it', async () => {
+    await fc.assert(
+      fc.asyncProperty(callbackArb, fc.integer({ min: 1, max: 3 }), async (callback, failures) => {
+        resetInbox();
+        const payload = signedCallback(callback);
+
+        for (let i = 0; i < failures; i++) {
+          mockOrderService.handlePaymentSuccess.mockRejectedValueOnce(new Error('Database unavailable'));
+          const response = await handleZaloPayCallback({ ...payload });
+          expect(response.return_code).toBe(0);
+          expect(events[0]).toMatchObject({ status: 'failed', last_error: 'Database unavailable', attempts: i + 1 });
+        }
+
+        const response = await handleZaloPayCallback({ ...payload });
+
+        expect(response.return_code).toBe(1);
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(failures + 1);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ status: 'processed', attempts: failures + 1, last_error: null });
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should reprocess only failed events from the admin endpoint, once', async () => {
+    await fc.assert(
+      fc.asyncProperty(callbackArb, fc.integer({ min: 1, max: 4 }), async (callback, admins) => {
+        resetInbox();
+        mockOrderService.handlePaymentSuccess.mockRejectedValueOnce(new Error('Database unavailable'));
+        await handleZaloPayCallback(signedCallback(callback));
+        const eventId = events[0].id;
+
+        const outcomes = await Promise.allSettled(
+          Array.from({ length: admins }, () => webhookInboxService.reprocessEvent(eventId))
+        );
+
+        const reprocessed = outcomes.filter(o => o.status === 'fulfilled');
+        expect(reprocessed).toHaveLength(1);
+        expect(reprocessed[0].value).toMatchObject({ id: eventId, status: 'processed', attempts: 2 });
+        outcomes.filter(o => o.status === 'rejected').forEach(o => {
+          expect(o.reason.code).toBe('WEBHOOK_NOT_REPROCESSABLE');
+          expect(o.reason.statusCode).toBe(409);
+        });
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(2);
+
+        // Processed events stay processed
+        await expect(webhookInboxService.reprocessEvent(eventId)).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockOrderService.handlePaymentSuccess).toHaveBeenCalledTimes(2);
+      }),
+      { numRuns: 30 }
+    );
+  });
+});
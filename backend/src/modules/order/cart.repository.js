@@ -54,7 +54,7 @@ async function findCartItemsWithProducts(cartId) {
   // Fetch products
   const { data: products } = await supabase
     .from('products')
-    .select('id, name, slug, shop_id')
+    .select('id, name, slug, shop_id, category_id')
     .in('id', productIds);
   
   const productMap = {};
@@ -65,7 +65,7 @@ async function findCartItemsWithProducts(cartId) {
   // Fetch variants
   const { data: variants } = await supabase
     .from('product_variants')
-    .select('id, name, sku, price, compare_at_price, quantity, image_url, attributes')
+    .select('id, name, sku, price, compare_at_price, quantity, reserved_quantity, image_url, attributes, retired_at')
     .in('id', variantIds);
   
   const variantMap = {};
@@ -153,13 +153,13 @@ async function createCartItem(itemData) {
   // Fetch product and variant separately
   const { data: product } = await supabase
     .from('products')
-    .select('id, name, slug, shop_id')
+    .select('id, name, slug, shop_id, category_id')
     .eq('id', data.product_id)
     .single();
   
   const { data: variant } = await supabase
     .from('product_variants')
-    .select('id, name, sku, price, compare_at_price, quantity, image_url, attributes')
+    .select('id, name, sku, price, compare_at_price, quantity, reserved_quantity, image_url, attributes, retired_at')
     .eq('id', data.variant_id)
     .single();
   
@@ -196,13 +196,13 @@ async function updateCartItem(itemId, updateData) {
   // Fetch product and variant separately
   const { data: product } = await supabase
     .from('products')
-    .select('id, name, slug, shop_id')
+    .select('id, name, slug, shop_id, category_id')
     .eq('id', data.product_id)
     .single();
   
   const { data: variant } = await supabase
     .from('product_variants')
-    .select('id, name, sku, price, compare_at_price, quantity, image_url, attributes')
+    .select('id, name, sku, price, compare_at_price, quantity, reserved_quantity, image_url, attributes, retired_at')
     .eq('id', data.variant_id)
     .single();
   
@@ -250,7 +250,7 @@ async function clearCart(cartId) {
 async function getVariantWithStock(variantId) {
   const { data, error } = await supabase
     .from('product_variants')
-    .select('id, product_id, sku, name, price, quantity, reserved_quantity, image_url, is_active')
+    .select('id, product_id, sku, name, price, quantity, reserved_quantity, image_url, is_active, retired_at')
     .eq('id', variantId)
     .single();
   
@@ -301,7 +301,7 @@ async function findCartItemsByIds(itemIds, userId) {
   // Fetch products
   const { data: products } = await supabase
     .from('products')
-    .select('id, name, slug, shop_id')
+    .select('id, name, slug, shop_id, category_id')
     .in('id', productIds);
   
   const productMap = {};
@@ -314,7 +314,7 @@ async function findCartItemsByIds(itemIds, userId) {
   
   const { data: variants, error: variantError } = await supabase
     .from('product_variants')
-    .select('id, name, sku, price, compare_at_price, quantity, image_url, attributes')
+    .select('id, name, sku, price, compare_at_price, quantity, reserved_quantity, image_url, attributes, retired_at')
     .in('id', variantIds);
   
   if (variantError) {
@@ -0,0 +1,64 @@
+/**
+ * Idempotency Repository
+ * Database operations for Idempotency-Key records
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Claim an idempotency key (atomic)
+ * @returns {Promise<{claimed: boolean, key_id: string, key_status: string, request_hash: string,
+ *   resource_id: string|null, response_code: number|null, response_body: object|null}>}
+ */
+async function claimKey(userId, scope, key, requestHash, lockMs) {
+  const { data, error } = await supabase.rpc('claim_idempotency_key', {
+    p_user_id: userId,
+    p_scope: scope,
+    p_key: key,
+    p_request_hash: requestHash,
+    p_lock_ms: lockMs,
+  });
+
+  if (error) throw error;
+  return data[0];
+}
+
+/**
+ * Store the result of a completed request
+ */
+async function completeKey(keyId, result) {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      locked_until: null,
+      resource_id: result.resourceId || null,
+      response_code: result.responseCode,
+      response_body: result.responseBody,
+    })
+    .eq('id', keyId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a key so the request can be retried (request failed)
+ */
+async function deleteKey(keyId) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('id', keyId)
+    .eq('status', 'processing');
+
+  if (error) throw error;
+}
+
+module.exports = {
+  claimKey,
+  completeKey,
+  deleteKey,
+};
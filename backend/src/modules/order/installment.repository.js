@@ -0,0 +1,39 @@
+/**
+ * Installment Repository
+ * Database operations for installment and pay-later plans
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Find active plans (display order)
+ */
+async function findActivePlans() {
+  const { data, error } = await supabase
+    .from('installment_plans')
+    .select('*')
+    .eq('is_active', true)
+    .order('sort_order', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Find plan by ID
+ */
+async function findPlanById(planId) {
+  const { data, error } = await supabase
+    .from('installment_plans')
+    .select('*')
+    .eq('id', planId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+module.exports = {
+  findActivePlans,
+  findPlanById,
+};
@@ -94,12 +94,30 @@ async function removeFromCart(req, res) {
 
 /**
  * Create order (checkout)
+ * Accepts an optional Idempotency-Key header; retries return the original result
  */
 async function checkout(req, res) {
   try {
     const userId = req.user.userId;
-    const order = await checkoutService.createOrder(userId, req.body);
-    return successResponse(res, order, 'Order created successfully', 201);
+    const { result, replayed } = await checkoutService.checkout(userId, req.body, req.get('Idempotency-Key'));
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    return successResponse(res, result, 'Order created successfully', 201);
+  } catch (error) {
+    return errorResponse(res, error);
+  }
+}
+
+/**
+ * Get installment plans for selected cart items
+ * Body: same cart, address and voucher fields as checkout
+ */
+async function getInstallmentPlans(req, res) {
+  try {
+    const userId = req.user.userId;
+    const plans = await checkoutService.getInstallmentPlans(userId, req.body);
+    return successResponse(res, plans, 'Installment plans retrieved');
   } catch (error) {
     return errorResponse(res, error);
   }
@@ -148,6 +166,21 @@ async function cancelOrder(req, res) {
   }
 }
 
+/**
+ * Cancel sub-orders or items of an order (Customer)
+ */
+async function cancelOrderItems(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { subOrderIds, items, reason } = req.body;
+    const result = await orderService.cancelOrderItems(id, userId, { subOrderIds, items, reason });
+    return successResponse(res, result, 'Items cancelled successfully');
+  } catch (error) {
+    return errorResponse(res, error);
+  }
+}
+
 /**
  * Confirm receipt (Customer)
  */
@@ -332,8 +365,10 @@ async function momoCallback(req, res) {
 async function validateVoucher(req, res) {
   try {
     const userId = req.user.userId;
-    const { code, orderTotal, shopId } = req.query;
-    const validation = await voucherService.validateVoucher(code, userId, parseFloat(orderTotal), shopId);
+    const { code, orderTotal, shopId, shippingFee } = req.query;
+    const validation = await voucherService.validateVoucher(code, userId, parseFloat(orderTotal), shopId, {
+      shippingFee: parseFloat(shippingFee) || 0,
+    });
     return successResponse(res, validation, 'Voucher validated');
   } catch (error) {
     return errorResponse(res, error);
@@ -346,14 +381,30 @@ async function validateVoucher(req, res) {
 async function getAvailableVouchers(req, res) {
   try {
     const userId = req.user.userId;
-    const { orderTotal, shopId } = req.query;
-    const vouchers = await voucherService.getAvailableVouchers(userId, parseFloat(orderTotal) || 0, shopId);
+    const { orderTotal, shopId, shippingFee } = req.query;
+    const vouchers = await voucherService.getAvailableVouchers(
+      userId, parseFloat(orderTotal) || 0, shopId, parseFloat(shippingFee) || 0
+    );
     return successResponse(res, vouchers, 'Available vouchers retrieved');
   } catch (error) {
     return errorResponse(res, error);
   }
 }
 
+/**
+ * Recommend the best voucher combination for selected cart items
+ */
+async function recommendVouchers(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { cartItemIds, shippingAddressId } = req.body;
+    const recommendation = await checkoutService.recommendVouchers(userId, { cartItemIds, shippingAddressId });
+    return successResponse(res, recommendation, 'Voucher recommendation calculated');
+  } catch (error) {
+    return errorResponse(res, error);
+  }
+}
+
 /**
  * Get platform vouchers (for săn voucher page)
  */
@@ -468,9 +519,11 @@ module.exports = {
   
   // Order
   checkout,
+  getInstallmentPlans,
   getOrders,
   getOrderById,
   cancelOrder,
+  cancelOrderItems,
   confirmReceipt,
   requestReturn,
   getOrderShipments,
@@ -495,6 +548,7 @@ module.exports = {
   // Voucher
   validateVoucher,
   getAvailableVouchers,
+  recommendVouchers,
   getPlatformVouchers,
   getShopVouchers,
   collectVoucher,
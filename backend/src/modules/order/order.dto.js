@@ -29,6 +29,7 @@ function serializeOrder(order) {
     paymentMethod: order.payment_method,
     paymentStatus: order.payment_status,
     paidAt: order.paid_at ? new Date(order.paid_at).toISOString() : null,
+    installment: order.installment_terms || null,
     
     // Shipping
     shippingAddressId: order.shipping_address_id,
@@ -38,6 +39,7 @@ function serializeOrder(order) {
     
     // Voucher
     platformVoucherId: order.platform_voucher_id,
+    shippingVoucherId: order.shipping_voucher_id || null,
     
     // Notes
     customerNote: order.customer_note,
@@ -106,6 +108,7 @@ function serializeSubOrder(subOrder) {
     subtotal: parseFloat(subOrder.subtotal) || 0,
     shippingFee: parseFloat(subOrder.shipping_fee) || 0,
     discount: parseFloat(subOrder.discount) || 0,
+    platformDiscount: parseFloat(subOrder.platform_discount) || 0,
     total: parseFloat(subOrder.total) || 0,
     
     // Status
@@ -202,6 +205,7 @@ function serializeOrderItem(item) {
     unitPrice: parseFloat(item.unit_price) || 0,
     quantity: item.quantity,
     totalPrice: parseFloat(item.total_price) || 0,
+    discountAmount: parseFloat(item.discount_amount) || 0,
     imageUrl: item.image_url,
     createdAt: item.created_at ? new Date(item.created_at).toISOString() : null,
   };
@@ -226,6 +230,7 @@ function deserializeOrderItem(data) {
     unit_price: data.unitPrice,
     quantity: data.quantity,
     total_price: data.totalPrice,
+    discount_amount: data.discountAmount || 0,
     image_url: data.imageUrl,
     created_at: data.createdAt,
   };
@@ -309,6 +314,15 @@ function serializeVoucher(voucher) {
     usageLimit: voucher.usage_limit,
     usedCount: voucher.used_count,
     perUserLimit: voucher.per_user_limit,
+    appliesTo: voucher.applies_to || null,
+    tiers: (voucher.tiers || []).map(tier => ({
+      minSpend: parseFloat(tier.min_spend) || 0,
+      discountType: tier.discount_type,
+      discountValue: parseFloat(tier.discount_value) || 0,
+      maxDiscount: tier.max_discount ? parseFloat(tier.max_discount) : null,
+    })),
+    firstOrderOnly: voucher.first_order_only || false,
+    stackable: voucher.stackable !== false,
     startDate: voucher.start_date ? new Date(voucher.start_date).toISOString() : null,
     endDate: voucher.end_date ? new Date(voucher.end_date).toISOString() : null,
     isActive: voucher.is_active,
@@ -335,6 +349,113 @@ function serializeTrackingEvent(event) {
   };
 }
 
+/**
+ * Serialize refund record for API response
+ * @param {object} refund - Raw refund record from database
+ * @returns {object} Serialized refund
+ */
+function serializeRefund(refund) {
+  if (!refund) return null;
+
+  return {
+    id: refund.id,
+    orderId: refund.order_id,
+    subOrderId: refund.sub_order_id,
+    returnRequestId: refund.return_request_id,
+    provider: refund.provider,
+    providerTransactionId: refund.provider_transaction_id,
+    providerRefundId: refund.provider_refund_id,
+    providerRefundTransactionId: refund.provider_refund_transaction_id,
+    refundType: refund.refund_type,
+    amount: parseFloat(refund.amount) || 0,
+    reason: refund.reason,
+    status: refund.status,
+    errorCode: refund.error_code,
+    errorMessage: refund.error_message,
+    createdAt: refund.created_at ? new Date(refund.created_at).toISOString() : null,
+    completedAt: refund.completed_at ? new Date(refund.completed_at).toISOString() : null,
+  };
+}
+
+/**
+ * Serialize payment reconciliation run for API response
+ */
+function serializeReconciliationRun(run) {
+  if (!run) return null;
+
+  return {
+    id: run.id,
+    triggeredBy: run.triggered_by,
+    requestedBy: run.requested_by,
+    checked: run.checked,
+    matched: run.matched,
+    markedPaid: run.marked_paid,
+    markedFailed: run.marked_failed,
+    flagged: run.flagged,
+    errors: run.errors,
+    refunds: run.refunds,
+    startedAt: run.started_at ? new Date(run.started_at).toISOString() : null,
+    finishedAt: run.finished_at ? new Date(run.finished_at).toISOString() : null,
+  };
+}
+
+/**
+ * Serialize payment reconciliation discrepancy for API response
+ */
+function serializeReconciliationDiscrepancy(discrepancy) {
+  if (!discrepancy) return null;
+
+  return {
+    id: discrepancy.id,
+    runId: discrepancy.run_id,
+    orderId: discrepancy.order_id,
+    provider: discrepancy.provider,
+    localStatus: discrepancy.local_status,
+    providerStatus: discrepancy.provider_status,
+    expectedAmount: discrepancy.expected_amount !== null && discrepancy.expected_amount !== undefined
+      ? parseFloat(discrepancy.expected_amount) : null,
+    providerAmount: discrepancy.provider_amount !== null && discrepancy.provider_amount !== undefined
+      ? parseFloat(discrepancy.provider_amount) : null,
+    providerTransactionId: discrepancy.provider_transaction_id,
+    providerErrorCode: discrepancy.provider_error_code,
+    action: discrepancy.action,
+    message: discrepancy.message,
+    createdAt: discrepancy.created_at ? new Date(discrepancy.created_at).toISOString() : null,
+  };
+}
+
+/**
+ * Serialize installment plan for API response
+ * @param {object} plan - Installment plan row
+ * @param {object} [terms] - Repayment terms for a given amount (installmentService.calculateTerms)
+ */
+function serializeInstallmentPlan(plan, terms = null) {
+  if (!plan) return null;
+
+  const serialized = {
+    id: plan.id,
+    code: plan.code,
+    provider: plan.provider,
+    name: plan.name,
+    description: plan.description || null,
+    tenorMonths: plan.tenor_months,
+    monthlyInterestRate: parseFloat(plan.monthly_interest_rate) || 0,
+    conversionFeeRate: parseFloat(plan.conversion_fee_rate) || 0,
+    minAmount: parseFloat(plan.min_amount) || 0,
+    maxAmount: plan.max_amount !== null && plan.max_amount !== undefined ? parseFloat(plan.max_amount) : null,
+  };
+
+  if (terms) {
+    serialized.monthlyPayment = terms.monthlyPayment;
+    serialized.totalPayable = terms.totalPayable;
+    serialized.interest = terms.interest;
+    serialized.conversionFee = terms.conversionFee;
+    serialized.schedule = terms.schedule;
+  }
+
+  return serialized;
+}
+
 module.exports = {
   serializeOrder,
   deserializeOrder,
@@ -346,4 +467,8 @@ module.exports = {
   serializeCartItem,
   serializeVoucher,
   serializeTrackingEvent,
+  serializeRefund,
+  serializeReconciliationRun,
+  serializeReconciliationDiscrepancy,
+  serializeInstallmentPlan,
 };
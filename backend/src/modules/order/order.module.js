@@ -12,6 +12,7 @@ const {
   paymentRouter,
   voucherRouter 
 } = require('./order.routes');
+const shippingWebhookRouter = require('./shipping-webhook.routes');
 
 // Controller
 const orderController = require('./order.controller');
@@ -21,10 +22,14 @@ const orderService = require('./order.service');
 const cartService = require('./services/cart.service');
 const checkoutService = require('./services/checkout.service');
 const paymentService = require('./services/payment.service');
+const paymentReconciliationService = require('./services/payment-reconciliation.service');
 const shippingService = require('./services/shipping.service');
 const voucherService = require('./services/voucher.service');
 const returnService = require('./services/return.service');
 const trackingService = require('./services/tracking.service');
+const cancellationService = require('./services/cancellation.service');
+const stockService = require('./services/stock.service');
+const webhookInboxService = require('./services/webhook-inbox.service');
 
 // Repository
 const orderRepository = require('./order.repository');
@@ -49,6 +54,21 @@ function initializeModule(app) {
   app.use('/api/shipper/orders', shipperOrderRouter);
   app.use('/api/payments', paymentRouter);
   app.use('/api/vouchers', voucherRouter);
+  app.use('/api/webhooks/shipping', shippingWebhookRouter);
+  
+  // Local stand-in for the installment partner (development only)
+  if (process.env.INSTALLMENT_SANDBOX === 'true') {
+    app.use('/sandbox/installment', require('./services/payment/sandbox/installment.sandbox'));
+  }
+  
+  // Background jobs (return deadlines, unpaid order timeout, payment reconciliation, refund and stock retries,
+  // purge of rejected webhooks)
+  returnService.registerJobHandlers();
+  paymentService.registerJobHandlers();
+  paymentReconciliationService.registerJobHandlers();
+  cancellationService.registerJobHandlers();
+  stockService.registerJobHandlers();
+  webhookInboxService.registerJobHandlers();
   
   console.log('Order module initialized');
 }
@@ -64,6 +84,7 @@ module.exports = {
   shipperOrderRouter,
   paymentRouter,
   voucherRouter,
+  shippingWebhookRouter,
   
   // Controller
   orderController,
@@ -73,6 +94,7 @@ module.exports = {
   cartService,
   checkoutService,
   paymentService,
+  paymentReconciliationService,
   shippingService,
   voucherService,
   returnService,
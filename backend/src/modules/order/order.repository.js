@@ -45,6 +45,9 @@ async function createOrder(orderData) {
       shipping_phone: orderData.shippingPhone,
       shipping_address: orderData.shippingAddress,
       platform_voucher_id: orderData.platformVoucherId,
+      shipping_voucher_id: orderData.shippingVoucherId || null,
+      installment_plan_id: orderData.installmentPlanId || null,
+      installment_terms: orderData.installmentTerms || null,
       customer_note: orderData.customerNote,
     })
     .select()
@@ -226,6 +229,83 @@ async function updatePaymentStatus(orderId, paymentStatus) {
   return data;
 }
 
+/**
+ * Mark an order paid while it is still pending payment
+ * A callback arriving after the order expired or was cancelled changes nothing here.
+ * @returns {Promise<object|null>} Updated order, or null if it was no longer pending payment
+ */
+async function markOrderPaid(orderId) {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await supabase
+    .from('orders')
+    .update({
+      payment_status: 'paid',
+      paid_at: now,
+      status: 'confirmed',
+      updated_at: now,
+    })
+    .eq('id', orderId)
+    .eq('status', 'pending_payment')
+    .select();
+  
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Record a payment received for an order no longer pending payment (it is refunded)
+ * The order status is kept. Only the first callback records it.
+ * @returns {Promise<object|null>} Updated order, or null if the payment was already recorded
+ */
+async function recordLatePayment(orderId, providerTransactionId) {
+  const now = new Date().toISOString();
+  const updateData = {
+    payment_status: 'paid',
+    paid_at: now,
+    updated_at: now,
+  };
+  
+  if (providerTransactionId) {
+    updateData.payment_provider_transaction_id = providerTransactionId;
+  }
+  
+  const { data, error } = await supabase
+    .from('orders')
+    .update(updateData)
+    .eq('id', orderId)
+    .neq('status', 'pending_payment')
+    .in('payment_status', ['pending', 'failed'])
+    .select();
+  
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Record the cash of a COD order as collected, once its first delivery is paid
+ * The order status is kept. Only the first collection records it.
+ * @returns {Promise<object|null>} Updated order, or null if not an uncollected COD order
+ */
+async function markCodCollected(orderId) {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await supabase
+    .from('orders')
+    .update({
+      payment_status: 'paid',
+      paid_at: now,
+      updated_at: now,
+    })
+    .eq('id', orderId)
+    .eq('payment_method', 'cod')
+    .eq('payment_status', 'pending')
+    .select();
+  
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
 /**
  * Cancel order
  */
@@ -253,6 +333,75 @@ async function cancelOrder(orderId, reason) {
   return data;
 }
 
+/**
+ * Find unpaid orders of the given payment methods created before a time
+ */
+async function findUnpaidOrdersCreatedBefore(paymentMethods, before, limit = 100) {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('status', 'pending_payment')
+    .eq('payment_status', 'pending')
+    .in('payment_method', paymentMethods)
+    .lte('created_at', before)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Expire an unpaid order (payment window elapsed)
+ * Only applies while the order is still pending payment, so a late payment
+ * callback or a concurrent sweep cannot expire it twice.
+ * @returns {Promise<object|null>} Updated order, or null if it was no longer pending
+ */
+async function expireUnpaidOrder(orderId, status, reason) {
+  const now = new Date().toISOString();
+  const updateData = {
+    status,
+    payment_status: 'failed',
+    cancel_reason: reason,
+    updated_at: now,
+  };
+  
+  if (status === 'cancelled') {
+    updateData.cancelled_at = now;
+  }
+  
+  const { data, error } = await supabase
+    .from('orders')
+    .update(updateData)
+    .eq('id', orderId)
+    .eq('status', 'pending_payment')
+    .eq('payment_status', 'pending')
+    .select();
+  
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+  
+  await supabase
+    .from('sub_orders')
+    .update({ status: 'cancelled', updated_at: now })
+    .eq('order_id', orderId);
+  
+  return data[0];
+}
+
+/**
+ * Delete order (checkout rollback)
+ * Sub-orders, order items and shipments are removed by ON DELETE CASCADE
+ */
+async function deleteOrder(orderId) {
+  const { error } = await supabase
+    .from('orders')
+    .delete()
+    .eq('id', orderId);
+  
+  if (error) throw error;
+}
+
 // ==================== SUB-ORDER OPERATIONS ====================
 
 /**
@@ -267,9 +416,11 @@ async function createSubOrder(subOrderData) {
       subtotal: subOrderData.subtotal,
       shipping_fee: subOrderData.shippingFee || 0,
       discount: subOrderData.discount || 0,
+      platform_discount: subOrderData.platformDiscount || 0,
       total: subOrderData.total,
       status: 'pending',
       shop_voucher_id: subOrderData.shopVoucherId,
+      stock_status: subOrderData.stockStatus || null,
     })
     .select()
     .single();
@@ -444,6 +595,64 @@ async function cancelSubOrder(subOrderId, reason) {
   return data;
 }
 
+/**
+ * Move a sub-order's stock status (e.g. reserved -> released)
+ * Conditional on the current status, so only one caller settles the stock
+ * @returns {Promise<object|null>} Updated sub-order, or null if it was not in `fromStatus`
+ */
+async function updateSubOrderStockStatus(subOrderId, fromStatus, toStatus) {
+  const { data, error } = await supabase
+    .from('sub_orders')
+    .update({
+      stock_status: toStatus,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', subOrderId)
+    .eq('stock_status', fromStatus)
+    .select();
+  
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Update a sub-order's amounts after part of the order was cancelled
+ */
+async function updateSubOrderAmounts(subOrderId, amounts) {
+  const { data, error } = await supabase
+    .from('sub_orders')
+    .update({
+      subtotal: amounts.subtotal,
+      discount: amounts.discount,
+      platform_discount: amounts.platformDiscount,
+      total: amounts.total,
+      shop_voucher_id: amounts.shopVoucherId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', subOrderId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update the shipment of a sub-order that has not been picked up yet
+ * @returns {Promise<number>} Number of shipments updated
+ */
+async function updateShipmentBeforePickup(subOrderId, updates) {
+  const { data, error } = await supabase
+    .from('shipments')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('sub_order_id', subOrderId)
+    .in('status', ['created', 'assigned'])
+    .select('id');
+  
+  if (error) throw error;
+  return (data || []).length;
+}
+
 // ==================== ORDER ITEM OPERATIONS ====================
 
 /**
@@ -462,7 +671,9 @@ async function createOrderItems(items) {
       unit_price: item.unitPrice,
       quantity: item.quantity,
       total_price: item.totalPrice,
+      discount_amount: item.discountAmount || 0,
       image_url: item.imageUrl,
+      flash_sale_product_id: item.flashSaleProductId || null,
     })))
     .select();
   
@@ -507,6 +718,57 @@ async function findOrderItemsByOrderId(orderId) {
   return data || [];
 }
 
+/**
+ * Take units off an order item (partial cancellation)
+ * Conditional on the quantity read before, so concurrent cancellations cannot both apply
+ * @returns {Promise<object|null>} Updated item, or null if its quantity changed meanwhile
+ */
+async function cancelOrderItemQuantity(item, quantity) {
+  const remaining = item.quantity - quantity;
+  
+  const { data, error } = await supabase
+    .from('order_items')
+    .update({
+      quantity: remaining,
+      cancelled_quantity: (item.cancelled_quantity || 0) + quantity,
+      total_price: parseFloat(item.unit_price) * remaining,
+    })
+    .eq('id', item.id)
+    .eq('quantity', item.quantity)
+    .select();
+  
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Set the voucher discount allocated to an order item
+ */
+async function updateOrderItemDiscount(itemId, discountAmount) {
+  const { error } = await supabase
+    .from('order_items')
+    .update({ discount_amount: discountAmount })
+    .eq('id', itemId);
+  
+  if (error) throw error;
+}
+
+/**
+ * Category of each product (for category-restricted vouchers)
+ * @returns {Promise<object>} Map of product ID to category ID
+ */
+async function findProductCategoryIds(productIds) {
+  if (productIds.length === 0) return {};
+  
+  const { data, error } = await supabase
+    .from('products')
+    .select('id, category_id')
+    .in('id', productIds);
+  
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(product => [product.id, product.category_id]));
+}
+
 /**
  * Update order
  */
@@ -519,6 +781,12 @@ async function updateOrder(orderId, updateData) {
   if (updateData.payment_provider_order_id !== undefined) dbData.payment_provider_order_id = updateData.payment_provider_order_id;
   if (updateData.paymentProviderTransactionId !== undefined) dbData.payment_provider_transaction_id = updateData.paymentProviderTransactionId;
   if (updateData.payment_provider_transaction_id !== undefined) dbData.payment_provider_transaction_id = updateData.payment_provider_transaction_id;
+  if (updateData.subtotal !== undefined) dbData.subtotal = updateData.subtotal;
+  if (updateData.shippingTotal !== undefined) dbData.shipping_total = updateData.shippingTotal;
+  if (updateData.discountTotal !== undefined) dbData.discount_total = updateData.discountTotal;
+  if (updateData.grandTotal !== undefined) dbData.grand_total = updateData.grandTotal;
+  if (updateData.platformVoucherId !== undefined) dbData.platform_voucher_id = updateData.platformVoucherId;
+  if (updateData.shippingVoucherId !== undefined) dbData.shipping_voucher_id = updateData.shippingVoucherId;
   
   dbData.updated_at = new Date().toISOString();
   
@@ -542,7 +810,13 @@ module.exports = {
   findOrdersByUser,
   updateOrderStatus,
   updatePaymentStatus,
+  markOrderPaid,
+  recordLatePayment,
+  markCodCollected,
   cancelOrder,
+  findUnpaidOrdersCreatedBefore,
+  expireUnpaidOrder,
+  deleteOrder,
   
   // SubOrder
   createSubOrder,
@@ -553,11 +827,17 @@ module.exports = {
   updateSubOrderForShipping,
   markAsDelivered,
   cancelSubOrder,
+  updateSubOrderStockStatus,
+  updateSubOrderAmounts,
+  updateShipmentBeforePickup,
   
   // OrderItem
   createOrderItems,
   findOrderItemsBySubOrderId,
   findOrderItemsByOrderId,
+  cancelOrderItemQuantity,
+  updateOrderItemDiscount,
+  findProductCategoryIds,
   
   // Update
   updateOrder,
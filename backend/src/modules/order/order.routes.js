@@ -24,11 +24,13 @@ const orderRouter = express.Router();
 orderRouter.use(authenticate);
 
 orderRouter.post('/checkout', authorize('customer'), orderController.checkout);
+orderRouter.post('/installment-plans', authorize('customer'), orderController.getInstallmentPlans);
 orderRouter.get('/', authorize('customer'), orderController.getOrders);
 orderRouter.get('/:id', authorize('customer'), orderController.getOrderById);
 orderRouter.get('/:id/shipments', authorize('customer'), orderController.getOrderShipments);
 orderRouter.get('/:id/completion-status', authorize('customer'), orderController.getOrderCompletionStatus);
 orderRouter.post('/:id/cancel', authorize('customer'), orderController.cancelOrder);
+orderRouter.post('/:id/cancel-items', authorize('customer'), orderController.cancelOrderItems);
 orderRouter.post('/:id/confirm-receipt', authorize('customer'), orderController.confirmReceipt);
 orderRouter.post('/:id/return', authorize('customer'), orderController.requestReturn);
 
@@ -68,6 +70,7 @@ voucherRouter.get('/shop/:shopId', authenticate, orderController.getShopVouchers
 // Protected routes
 voucherRouter.get('/validate', authenticate, orderController.validateVoucher);
 voucherRouter.get('/available', authenticate, orderController.getAvailableVouchers);
+voucherRouter.post('/recommend', authenticate, orderController.recommendVouchers);
 voucherRouter.get('/my-vouchers', authenticate, orderController.getMyVouchers);
 voucherRouter.post('/collect', authenticate, orderController.collectVoucher);
 
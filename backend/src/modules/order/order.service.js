@@ -6,7 +6,11 @@
 const orderRepository = require('./order.repository');
 const orderDTO = require('./order.dto');
 const trackingService = require('./services/tracking.service');
-const { AppError } = require('../../shared/utils/error.util');
+const walletService = require('../wallet/wallet.service');
+const stockService = require('./services/stock.service');
+const voucherService = require('./services/voucher.service');
+const cancellationService = require('./services/cancellation.service');
+const { AppError, ValidationError } = require('../../shared/utils/error.util');
 const rabbitmq = require('../../shared/rabbitmq/rabbitmq.client');
 const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 
@@ -95,6 +99,9 @@ const ORDER_STATUS = {
   REFUNDED: 'refunded',
 };
 
+// Payment statuses with money still to give back on cancellation
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
 // SubOrder status constants
 const SUB_ORDER_STATUS = {
   PENDING: 'pending',
@@ -416,20 +423,36 @@ async function cancelOrder(orderId, userId, reason) {
     throw new AppError('ORDER_CANNOT_CANCEL', 'Cannot cancel order that is already shipping', 400);
   }
   
-  // Check if order was paid - need to process refund
-  const needsRefund = order.payment_status === 'paid' && order.payment_method !== 'cod';
+  // Check if order was paid - need to process refund (also after an earlier partial cancellation)
+  const needsRefund = REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status) && order.payment_method !== 'cod';
   
   // Cancel order and release stock
   const updatedOrder = await orderRepository.cancelOrder(orderId, reason);
+  await releaseReservedStock(orderId);
+  
+  // Vouchers used by the order can be used again
+  try {
+    await voucherService.restoreVoucher(orderId);
+  } catch (error) {
+    console.error(`[OrderService] Failed to restore vouchers for order ${orderId}:`, error.message);
+  }
   
-  // Process refund if order was paid
+  // Process refund if order was paid (a failed refund is retried by a job)
   if (needsRefund) {
     try {
-      await processRefundForCancelledOrder(order);
-      console.log(`[OrderService] Refund initiated for cancelled order ${orderId}`);
+      const refund = await processRefundForCancelledOrder(order);
+      console.log(`[OrderService] Refund for cancelled order ${orderId}: ${refund.status}`);
     } catch (refundError) {
       console.error(`[OrderService] Refund failed for order ${orderId}:`, refundError.message);
-      // Don't throw - order is already cancelled, refund can be processed manually
+    }
+  }
+  
+  // Return wallet funds still held for an unpaid order
+  if (order.payment_method === 'wallet' && !needsRefund) {
+    try {
+      await walletService.releaseOrderHold(order.user_id, orderId);
+    } catch (releaseError) {
+      console.error(`[OrderService] Wallet hold release failed for order ${orderId}:`, releaseError.message);
     }
   }
   
@@ -460,22 +483,86 @@ async function cancelOrder(orderId, userId, reason) {
   return orderDTO.serializeOrder(await orderRepository.findOrderById(orderId));
 }
 
+/**
+ * Cancel whole sub-orders or single items of an order (Customer)
+ * Totals and vouchers are worked out again for what is left and the difference is refunded
+ * @param {string} orderId - Order ID
+ * @param {string} userId - Customer ID
+ * @param {object} request - { subOrderIds, items: [{ orderItemId, quantity }], reason }
+ */
+async function cancelOrderItems(orderId, userId, { subOrderIds = [], items = [], reason }) {
+  const order = await orderRepository.findOrderById(orderId);
+  
+  if (!order || order.user_id !== userId) {
+    throw new AppError('ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+  
+  const cancellableStatuses = [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.CONFIRMED];
+  if (!cancellableStatuses.includes(order.status)) {
+    throw new AppError('ORDER_CANNOT_CANCEL', 'Order cannot be cancelled at this stage', 400);
+  }
+  
+  if (!Array.isArray(subOrderIds) || !Array.isArray(items) || items.some(item => !item || !item.orderItemId)) {
+    throw new ValidationError('subOrderIds must be a list of IDs and items a list of { orderItemId, quantity }');
+  }
+  
+  const plan = await cancellationService.planCancellation(order, { subOrderIds, items });
+  
+  // Nothing left: a full cancellation (whole refund, wallet hold, vouchers, ORDER_CANCELLED event)
+  if (plan.remaining.length === 0) {
+    return cancelOrder(orderId, userId, reason);
+  }
+  
+  const result = await cancellationService.applyCancellation(order, plan, { reason, cancelledBy: userId });
+  
+  for (const subOrder of plan.emptied) {
+    await publishStatusChangedEvent(orderId, subOrder.id, subOrder.status, SUB_ORDER_STATUS.CANCELLED, userId);
+  }
+  
+  try {
+    await rabbitmq.publishOrderEvent('items_cancelled', {
+      orderId,
+      userId,
+      reason,
+      cancelledSubOrderIds: result.cancelledSubOrderIds,
+      cancelledItems: result.cancelledItems,
+      refundAmount: result.refundAmount,
+      droppedVouchers: result.droppedVouchers.map(v => v.code),
+      cancelledAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Failed to publish ORDER_ITEMS_CANCELLED event:', error.message);
+  }
+  
+  return {
+    order: orderDTO.serializeOrder(await orderRepository.findOrderById(orderId)),
+    refundAmount: result.refundAmount,
+    refund: result.refund,
+    droppedVouchers: result.droppedVouchers,
+  };
+}
+
 /**
  * Process refund for cancelled order
+ * Only what was not refunded yet (e.g. by a partial cancellation) is given back.
+ * Order status moves to refunded once the provider confirms the refund
  */
 async function processRefundForCancelledOrder(order) {
   const paymentService = require('./services/payment.service');
   
-  // For MoMo, VNPay, ZaloPay - initiate refund via provider
-  if (['momo', 'vnpay', 'zalopay'].includes(order.payment_method)) {
-    const result = await paymentService.processRefund(order.id, order.grand_total);
-    
-    if (result.status === 'completed' || result.status === 'processing') {
-      await orderRepository.updatePaymentStatus(order.id, 'refunded');
-      await orderRepository.updateOrderStatus(order.id, ORDER_STATUS.REFUNDED);
+  // For MoMo, VNPay, ZaloPay, installment - initiate refund via provider
+  // For wallet - credit the customer's wallet
+  if (['momo', 'vnpay', 'zalopay', 'installment', 'wallet'].includes(order.payment_method)) {
+    const remaining = await paymentService.getRefundableAmount(order);
+    if (remaining <= 0) {
+      return { status: 'not_applicable', message: 'Order has already been refunded' };
     }
     
-    return result;
+    return cancellationService.refundCancellation({
+      orderId: order.id,
+      amount: remaining,
+      reason: `Refund for cancelled order ${order.order_number || order.id}`,
+    });
   }
   
   return { status: 'not_applicable', message: 'No refund needed for this payment method' };
@@ -651,13 +738,12 @@ async function cancelByPartner(subOrderId, partnerId, reason) {
   }
   
   const oldStatus = subOrder.status;
-  const updatedSubOrder = await orderRepository.cancelSubOrder(subOrderId, reason);
   
-  await trackingService.addTrackingEvent(subOrderId, {
-    eventType: 'cancelled',
-    description: `Order cancelled by seller: ${reason}`,
-    createdBy: partnerId,
-  });
+  // Stock, flash sale stock and vouchers of this shop only; the refund is what the rest no longer costs
+  const order = await orderRepository.findOrderById(subOrder.order_id);
+  const plan = await cancellationService.planCancellation(order, { subOrderIds: [subOrderId] }, { absorbVoucherLoss: true });
+  await cancellationService.applyCancellation(order, plan, { reason, cancelledBy: partnerId, actor: 'seller' });
+  const updatedSubOrder = await orderRepository.findSubOrderById(subOrderId);
   
   // Publish status changed event
   await publishStatusChangedEvent(subOrder.order_id, subOrderId, oldStatus, SUB_ORDER_STATUS.CANCELLED, partnerId);
@@ -713,6 +799,13 @@ async function deliverOrder(subOrderId, shipperId, proofOfDelivery) {
   
   const updatedSubOrder = await orderRepository.markAsDelivered(subOrderId, proofOfDelivery);
   
+  // Reserved stock leaves the warehouse for good
+  try {
+    await stockService.deductSubOrderStock(subOrderId);
+  } catch (error) {
+    console.error(`[OrderService] Failed to deduct stock for sub-order ${subOrderId}:`, error.message);
+  }
+  
   await trackingService.addTrackingEvent(subOrderId, {
     eventType: 'delivered',
     description: 'Package delivered successfully',
@@ -768,9 +861,18 @@ async function handlePaymentSuccess(orderId, transactionData) {
   
   console.log(`[OrderService] Processing payment success for order ${orderId}`);
   
-  // Update order payment status and order status
-  await orderRepository.updatePaymentStatus(orderId, 'paid');
-  await orderRepository.updateOrderStatus(orderId, ORDER_STATUS.PROCESSING);
+  // Only an order still waiting for its payment is confirmed
+  const paidOrder = await orderRepository.markOrderPaid(orderId);
+  if (!paidOrder) {
+    return handleLatePayment(orderId, transactionData);
+  }
+  
+  // Keep provider transaction ID - required to refund this payment later
+  if (providerTransactionId) {
+    await orderRepository.updateOrder(orderId, {
+      paymentProviderTransactionId: String(providerTransactionId),
+    });
+  }
   
   // Update sub-orders to pending (waiting for partner confirmation)
   const subOrders = await orderRepository.findSubOrdersByOrderId(orderId);
@@ -799,6 +901,56 @@ async function handlePaymentSuccess(orderId, transactionData) {
   return { success: true, orderId };
 }
 
+/**
+ * Handle a payment for an order that is no longer pending payment
+ * A repeated callback for a paid order is ignored. An expired, failed or cancelled
+ * order already gave back its stock, flash sale claims and vouchers, so it is not
+ * revived: the payment is recorded and refunded. A refund that fails stays on the
+ * order's refunds for admin to retry.
+ * @param {string} orderId - Order ID
+ * @param {object} transactionData - Payment transaction details
+ * @returns {Promise<object>}
+ */
+async function handleLatePayment(orderId, transactionData) {
+  const { provider, providerTransactionId, amount } = transactionData;
+  
+  const order = await orderRepository.findOrderById(orderId);
+  if (!order) {
+    throw new AppError('ORDER_NOT_FOUND', 'Order not found', 404);
+  }
+  
+  const recorded = await orderRepository.recordLatePayment(
+    orderId,
+    providerTransactionId ? String(providerTransactionId) : null
+  );
+  if (!recorded) {
+    console.log(`[OrderService] Payment for order ${orderId} already processed`);
+    return { success: true, orderId, duplicate: true };
+  }
+  
+  console.warn(`[OrderService] Payment for order ${orderId} arrived after it was ${order.status}, refunding`);
+  
+  let refund = null;
+  try {
+    const paymentService = require('./services/payment.service');
+    refund = await paymentService.processRefund(orderId, null, {
+      reason: `Payment received after the order was ${order.status}`,
+    });
+  } catch (error) {
+    console.error(`[OrderService] Refund of late payment failed for order ${orderId}:`, error.message);
+  }
+  
+  await storePaymentTransaction(orderId, {
+    provider,
+    providerTransactionId,
+    amount,
+    status: 'paid_late',
+    processedAt: new Date().toISOString(),
+  });
+  
+  return { success: true, orderId, latePayment: true, refund };
+}
+
 /**
  * Handle failed payment
  * Called by payment webhooks after payment verification
@@ -811,12 +963,18 @@ async function handlePaymentFailed(orderId, transactionData) {
   
   console.log(`[OrderService] Processing payment failure for order ${orderId}`);
   
+  // Stock is released only once, on the first failure of a pending order
+  const order = await orderRepository.findOrderById(orderId);
+  const wasPending = !order || order.status === ORDER_STATUS.PENDING_PAYMENT;
+  
   // Update order status
   await orderRepository.updatePaymentStatus(orderId, 'failed');
   await orderRepository.updateOrderStatus(orderId, ORDER_STATUS.PAYMENT_FAILED);
   
   // Release reserved stock
-  await releaseReservedStock(orderId);
+  if (wasPending) {
+    await releaseReservedStock(orderId);
+  }
   
   // Store payment transaction details
   await storePaymentTransaction(orderId, {
@@ -839,13 +997,8 @@ async function handlePaymentFailed(orderId, transactionData) {
  */
 async function releaseReservedStock(orderId) {
   try {
-    const orderItems = await orderRepository.findOrderItemsByOrderId(orderId);
-    
-    for (const item of orderItems) {
-      // This would update product_variants.reserved_quantity
-      // Implementation depends on inventory service
-      console.log(`[OrderService] Releasing stock for variant ${item.variant_id}, qty: ${item.quantity}`);
-    }
+    const paymentService = require('./services/payment.service');
+    await paymentService.releaseStock(orderId);
   } catch (error) {
     console.error(`[OrderService] Failed to release stock for order ${orderId}:`, error.message);
   }
@@ -970,6 +1123,7 @@ module.exports = {
   getPartnerOrders,
   getPartnerOrderById,
   cancelOrder,
+  cancelOrderItems,
   confirmReceipt,
   confirmOrder,
   packOrder,
@@ -75,10 +75,13 @@ function validateCheckout(data) {
   if (!data.paymentMethod) {
     errors.push({ field: 'paymentMethod', message: 'Payment method is required' });
   } else {
-    const validMethods = ['cod', 'vnpay', 'momo', 'wallet'];
+    const validMethods = ['cod', 'vnpay', 'momo', 'installment', 'wallet'];
     if (!validMethods.includes(data.paymentMethod)) {
       errors.push({ field: 'paymentMethod', message: 'Invalid payment method' });
     }
+    if (data.paymentMethod === 'installment' && !data.installmentPlanId) {
+      errors.push({ field: 'installmentPlanId', message: 'Installment plan is required' });
+    }
   }
   
   return {
@@ -88,8 +91,10 @@ function validateCheckout(data) {
       cartItemIds: data.cartItemIds,
       shippingAddressId: data.shippingAddressId,
       paymentMethod: data.paymentMethod,
+      installmentPlanId: data.installmentPlanId || null,
       platformVoucherCode: data.platformVoucherCode || null,
       shopVouchers: data.shopVouchers || {},
+      shippingVoucherCode: data.shippingVoucherCode || null,
       customerNote: data.customerNote || null,
     } : null,
   };
@@ -0,0 +1,137 @@
+/**
+ * Payment Reconciliation Repository
+ * Database operations for reconciliation runs and the discrepancies they found
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Start a reconciliation run
+ */
+async function createRun(runData = {}) {
+  const { data, error } = await supabase
+    .from('payment_reconciliation_runs')
+    .insert({
+      triggered_by: runData.triggeredBy || 'job',
+      requested_by: runData.requestedBy || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record the outcome of a run
+ */
+async function finishRun(runId, summary) {
+  const { data, error } = await supabase
+    .from('payment_reconciliation_runs')
+    .update({
+      checked: summary.checked,
+      matched: summary.matched,
+      marked_paid: summary.markedPaid,
+      marked_failed: summary.markedFailed,
+      flagged: summary.flagged,
+      errors: summary.errors,
+      refunds: summary.refunds || null,
+      finished_at: new Date().toISOString(),
+    })
+    .eq('id', runId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a discrepancy between our payment state and the provider's
+ */
+async function createDiscrepancy(discrepancy) {
+  const { data, error } = await supabase
+    .from('payment_reconciliation_discrepancies')
+    .insert({
+      run_id: discrepancy.runId,
+      order_id: discrepancy.orderId,
+      provider: discrepancy.provider,
+      local_status: discrepancy.localStatus,
+      provider_status: discrepancy.providerStatus || null,
+      expected_amount: discrepancy.expectedAmount ?? null,
+      provider_amount: discrepancy.providerAmount ?? null,
+      provider_transaction_id: discrepancy.providerTransactionId ? String(discrepancy.providerTransactionId) : null,
+      provider_error_code: discrepancy.providerErrorCode || null,
+      action: discrepancy.action,
+      message: discrepancy.message || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find run by ID
+ */
+async function findRunById(runId) {
+  const { data, error } = await supabase
+    .from('payment_reconciliation_runs')
+    .select('*')
+    .eq('id', runId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * List runs (newest first)
+ */
+async function findRuns(options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await supabase
+    .from('payment_reconciliation_runs')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0, page, limit };
+}
+
+/**
+ * List discrepancies (newest first)
+ * @param {object} options - runId, orderId, action, page, limit
+ */
+async function findDiscrepancies(options = {}) {
+  const { runId, orderId, action, page = 1, limit = 50 } = options;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('payment_reconciliation_discrepancies')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (runId) query = query.eq('run_id', runId);
+  if (orderId) query = query.eq('order_id', orderId);
+  if (action) query = query.eq('action', action);
+
+  const { data, error, count } = await query;
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0, page, limit };
+}
+
+module.exports = {
+  createRun,
+  finishRun,
+  createDiscrepancy,
+  findRunById,
+  findRuns,
+  findDiscrepancies,
+};
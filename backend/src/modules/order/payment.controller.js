@@ -8,16 +8,20 @@
 const { sendSuccess, sendError, sendBadRequest } = require('../../shared/utils/response.util');
 const { AppError } = require('../../shared/utils/error.util');
 const orderRepository = require('./order.repository');
+const paymentService = require('./services/payment.service');
+const paymentReconciliationService = require('./services/payment-reconciliation.service');
 
 // Payment providers
 const MoMoProvider = require('./services/payment/providers/momo.provider');
 const VNPayProvider = require('./services/payment/providers/vnpay.provider');
 const ZaloPayProvider = require('./services/payment/providers/zalopay.provider');
+const InstallmentProvider = require('./services/payment/providers/installment.provider');
 
 // Webhook handlers
 const { handleMoMoCallback } = require('./services/payment/webhooks/momo.webhook');
 const { handleVNPayReturn, handleVNPayIPN } = require('./services/payment/webhooks/vnpay.webhook');
 const { handleZaloPayCallback } = require('./services/payment/webhooks/zalopay.webhook');
+const { handleInstallmentCallback, handleInstallmentReturn } = require('./services/payment/webhooks/installment.webhook');
 
 const { PAYMENT_PROVIDERS, PAYMENT_ERRORS } = require('./services/payment/payment.interface');
 
@@ -26,6 +30,7 @@ const providers = {
   [PAYMENT_PROVIDERS.MOMO]: new MoMoProvider(),
   [PAYMENT_PROVIDERS.VNPAY]: new VNPayProvider(),
   [PAYMENT_PROVIDERS.ZALOPAY]: new ZaloPayProvider(),
+  [PAYMENT_PROVIDERS.INSTALLMENT]: new InstallmentProvider(),
 };
 
 /**
@@ -64,6 +69,7 @@ async function createPaymentSession(req, res) {
     }, {
       returnUrl,
       ipAddress: req.ip || req.connection.remoteAddress,
+      installment: order.installment_terms,
     });
 
     // Update order with payment info
@@ -191,6 +197,41 @@ async function zalopayWebhook(req, res) {
   }
 }
 
+/**
+ * Installment IPN handler
+ * POST /payments/webhook/installment
+ */
+async function installmentWebhook(req, res) {
+  try {
+    const result = await handleInstallmentCallback(req.body);
+    return res.json(result);
+  } catch (error) {
+    console.error('[Payment] Installment webhook error:', error);
+    return res.status(400).json({ resultCode: error.code === 'PAY_003' ? 1 : 99, message: error.message });
+  }
+}
+
+/**
+ * Installment return URL handler
+ * GET /payments/callback/installment
+ */
+async function installmentReturn(req, res) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  
+  try {
+    const result = handleInstallmentReturn(req.query);
+    
+    const redirectUrl = result.success
+      ? `${frontendUrl}/payment/success?orderId=${result.orderId}`
+      : `${frontendUrl}/payment/failed?orderId=${result.orderId}&error=${encodeURIComponent(result.errorMessage || 'Payment failed')}`;
+    
+    return res.redirect(redirectUrl);
+  } catch (error) {
+    console.error('[Payment] Installment return error:', error);
+    return res.redirect(`${frontendUrl}/payment/failed?error=${encodeURIComponent(error.message)}`);
+  }
+}
+
 /**
  * ZaloPay return URL handler
  * GET /payments/callback/zalopay
@@ -229,6 +270,7 @@ async function zalopayReturn(req, res) {
         if (queryResult.success || queryResult.status === 'paid') {
           await orderRepository.updatePaymentStatus(orderId, 'paid');
           await orderRepository.updateOrderStatus(orderId, 'processing');
+          await savePaymentTransactionId(orderId, queryResult.providerTransactionId);
           
           // Update sub-orders to pending
           const subOrders = await orderRepository.findSubOrdersByOrderId(orderId);
@@ -316,6 +358,7 @@ async function confirmPayment(req, res) {
       if (status.success || status.status === 'paid') {
         // Update payment status in database
         await orderRepository.updatePaymentStatus(orderId, 'paid');
+        await savePaymentTransactionId(orderId, status.providerTransactionId);
         
         // Also update order status to processing
         await orderRepository.updateOrderStatus(orderId, 'processing');
@@ -388,6 +431,7 @@ async function momoReturn(req, res) {
       // Update payment status in database (since webhook may not reach localhost)
       try {
         await orderRepository.updatePaymentStatus(originalOrderId, 'paid');
+        await savePaymentTransactionId(originalOrderId, transId);
         
         // Update sub-orders to pending
         const subOrders = await orderRepository.findSubOrdersByOrderId(originalOrderId);
@@ -422,6 +466,18 @@ async function momoReturn(req, res) {
   }
 }
 
+/**
+ * Persist provider transaction ID of a confirmed payment (needed for refunds)
+ * @param {string} orderId - Order ID
+ * @param {string|number} providerTransactionId - Provider transaction ID
+ */
+async function savePaymentTransactionId(orderId, providerTransactionId) {
+  if (!providerTransactionId) return;
+  await orderRepository.updateOrder(orderId, {
+    paymentProviderTransactionId: String(providerTransactionId),
+  });
+}
+
 /**
  * Process refund
  * POST /payments/:orderId/refund
@@ -436,32 +492,115 @@ async function processRefund(req, res) {
       return sendBadRequest(res, 'Order not found');
     }
 
-    if (order.payment_status !== 'paid') {
+    if (!['paid', 'partially_refunded'].includes(order.payment_status)) {
       return sendBadRequest(res, 'Order is not paid');
     }
 
-    const provider = providers[order.payment_method];
-    if (!provider) {
+    if (!providers[order.payment_method]) {
       return sendBadRequest(res, 'Refund not supported for this payment method');
     }
 
-    // Get provider transaction ID (would be stored in payments table)
-    const providerTransactionId = order.payment_provider_transaction_id;
-    if (!providerTransactionId) {
-      return sendBadRequest(res, 'Transaction ID not found');
-    }
+    const refund = await paymentService.processRefund(orderId, amount, {
+      reason,
+      requestedBy: req.user?.userId,
+    });
 
-    const refundAmount = amount || order.grand_total;
-    const result = await provider.refund(orderId, providerTransactionId, refundAmount, reason);
+    return sendSuccess(res, { refund });
+  } catch (error) {
+    console.error('[Payment] Refund error:', error);
+    return sendError(res, error.code || 'REFUND_FAILED', error.message, error.statusCode || 500);
+  }
+}
 
-    if (result.success) {
-      await orderRepository.updatePaymentStatus(orderId, 'refunded');
-    }
+/**
+ * Get refunds of an order
+ * GET /payments/:orderId/refunds
+ */
+async function getOrderRefunds(req, res) {
+  try {
+    const refunds = await paymentService.getOrderRefunds(req.params.orderId);
+    return sendSuccess(res, { refunds });
+  } catch (error) {
+    console.error('[Payment] Get refunds error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
+  }
+}
+
+/**
+ * Reconcile pending refunds with providers
+ * POST /payments/refunds/reconcile
+ */
+async function reconcileRefunds(req, res) {
+  try {
+    const summary = await paymentService.reconcilePendingRefunds();
+    return sendSuccess(res, summary);
+  } catch (error) {
+    console.error('[Payment] Reconcile refunds error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
+  }
+}
+
+/**
+ * Reconcile orders pending payment with providers now
+ * POST /payments/reconciliation/run
+ */
+async function runReconciliation(req, res) {
+  try {
+    const run = await paymentReconciliationService.runReconciliation({
+      triggeredBy: 'admin',
+      requestedBy: req.user?.userId,
+    });
+    return sendSuccess(res, run);
+  } catch (error) {
+    console.error('[Payment] Reconciliation error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
+  }
+}
+
+/**
+ * List reconciliation runs
+ * GET /payments/reconciliation/runs
+ */
+async function getReconciliationRuns(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const result = await paymentReconciliationService.getRuns({ page, limit });
+    return sendSuccess(res, result);
+  } catch (error) {
+    console.error('[Payment] Get reconciliation runs error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
+  }
+}
 
+/**
+ * Get reconciliation report of a run
+ * GET /payments/reconciliation/runs/:runId
+ */
+async function getReconciliationReport(req, res) {
+  try {
+    const report = await paymentReconciliationService.getRunReport(req.params.runId);
+    return sendSuccess(res, report);
+  } catch (error) {
+    console.error('[Payment] Get reconciliation report error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
+  }
+}
+
+/**
+ * List reconciliation discrepancies
+ * GET /payments/reconciliation/discrepancies
+ */
+async function getReconciliationDiscrepancies(req, res) {
+  try {
+    const { orderId, action } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const result = await paymentReconciliationService.getDiscrepancies({ orderId, action, page, limit });
     return sendSuccess(res, result);
   } catch (error) {
-    console.error('[Payment] Refund error:', error);
-    return sendError(res, error.message, error.statusCode || 500);
+    console.error('[Payment] Get reconciliation discrepancies error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || 500);
   }
 }
 
@@ -474,6 +613,14 @@ module.exports = {
   vnpayWebhook,
   zalopayWebhook,
   zalopayReturn,
+  installmentWebhook,
+  installmentReturn,
   confirmPayment,
   processRefund,
+  getOrderRefunds,
+  reconcileRefunds,
+  runReconciliation,
+  getReconciliationRuns,
+  getReconciliationReport,
+  getReconciliationDiscrepancies,
 };
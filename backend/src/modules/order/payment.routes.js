@@ -17,7 +17,7 @@ const { authenticate, requireAdmin } = require('../auth/auth.middleware');
 /**
  * Create payment session
  * POST /payments/create-session
- * Body: { orderId, provider: 'momo' | 'vnpay' | 'zalopay', returnUrl? }
+ * Body: { orderId, provider: 'momo' | 'vnpay' | 'zalopay' | 'installment', returnUrl? }
  */
 router.post('/create-session', authenticate, paymentController.createPaymentSession);
 
@@ -41,6 +41,42 @@ router.post('/:orderId/confirm', authenticate, paymentController.confirmPayment)
  */
 router.post('/:orderId/refund', authenticate, requireAdmin, paymentController.processRefund);
 
+/**
+ * Get refund records of an order (Admin only)
+ * GET /payments/:orderId/refunds
+ */
+router.get('/:orderId/refunds', authenticate, requireAdmin, paymentController.getOrderRefunds);
+
+/**
+ * Reconcile pending refunds with providers (Admin only)
+ * POST /payments/refunds/reconcile
+ */
+router.post('/refunds/reconcile', authenticate, requireAdmin, paymentController.reconcileRefunds);
+
+/**
+ * Reconcile orders pending payment with providers now (Admin only)
+ * POST /payments/reconciliation/run
+ */
+router.post('/reconciliation/run', authenticate, requireAdmin, paymentController.runReconciliation);
+
+/**
+ * List reconciliation runs (Admin only)
+ * GET /payments/reconciliation/runs?page=&limit=
+ */
+router.get('/reconciliation/runs', authenticate, requireAdmin, paymentController.getReconciliationRuns);
+
+/**
+ * Reconciliation report: a run and the discrepancies it found (Admin only)
+ * GET /payments/reconciliation/runs/:runId
+ */
+router.get('/reconciliation/runs/:runId', authenticate, requireAdmin, paymentController.getReconciliationReport);
+
+/**
+ * List discrepancies across runs (Admin only)
+ * GET /payments/reconciliation/discrepancies?orderId=&action=&page=&limit=
+ */
+router.get('/reconciliation/discrepancies', authenticate, requireAdmin, paymentController.getReconciliationDiscrepancies);
+
 // ============================================
 // WEBHOOK ROUTES (No authentication - called by payment providers)
 // ============================================
@@ -65,6 +101,12 @@ router.get('/webhook/vnpay', paymentController.vnpayWebhook);
  */
 router.post('/webhook/zalopay', paymentController.zalopayWebhook);
 
+/**
+ * Installment partner IPN webhook
+ * POST /payments/webhook/installment
+ */
+router.post('/webhook/installment', paymentController.installmentWebhook);
+
 // ============================================
 // CALLBACK/RETURN ROUTES (User redirected back from payment gateway)
 // ============================================
@@ -87,4 +129,10 @@ router.get('/callback/zalopay', paymentController.zalopayReturn);
  */
 router.get('/callback/momo', paymentController.momoReturn);
 
+/**
+ * Installment partner return URL
+ * GET /payments/callback/installment
+ */
+router.get('/callback/installment', paymentController.installmentReturn);
+
 module.exports = router;
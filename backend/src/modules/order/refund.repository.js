@@ -0,0 +1,111 @@
+/**
+ * Refund Repository
+ * Database operations for refund records
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Create refund record
+ * The order's refunds are capped at its total in the database (create_refund_within_cap),
+ * so concurrent refunds cannot together give back more than was paid.
+ * @returns {Promise<object|null>} Refund, or null if it would exceed what is left to refund
+ */
+async function createRefund(refundData) {
+  const { data, error } = await supabase.rpc('create_refund_within_cap', {
+    p_order_id: refundData.orderId,
+    p_amount: refundData.amount,
+    p_provider: refundData.provider,
+    p_refund_type: refundData.refundType,
+    p_provider_transaction_id: refundData.providerTransactionId || null,
+    p_sub_order_id: refundData.subOrderId || null,
+    p_return_request_id: refundData.returnRequestId || null,
+    p_reason: refundData.reason || null,
+    p_requested_by: refundData.requestedBy || null,
+  });
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Find refund by ID
+ */
+async function findRefundById(refundId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('id', refundId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Find refund by the refund request ID sent to the provider
+ */
+async function findRefundByProviderRefundId(provider, providerRefundId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('provider', provider)
+    .eq('provider_refund_id', providerRefundId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Find refunds of an order (newest first)
+ */
+async function findRefundsByOrderId(orderId) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Find refunds still waiting for a provider result
+ */
+async function findRefundsAwaitingResult(limit = 50) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .in('status', ['pending', 'processing'])
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Update refund record
+ */
+async function updateRefund(refundId, updateData) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .update({ ...updateData, updated_at: new Date().toISOString() })
+    .eq('id', refundId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  createRefund,
+  findRefundById,
+  findRefundByProviderRefundId,
+  findRefundsByOrderId,
+  findRefundsAwaitingResult,
+  updateRefund,
+};
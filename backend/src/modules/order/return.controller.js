@@ -201,15 +201,10 @@ async function processRefund(req, res, next) {
         const shopId = req.shop?.id;
         const userId = req.user.userId;
         
-        // First mark as refunding
-        await returnService.updateStatusByShop(id, shopId, 'refunding', {
+        // Refund goes to the original payment method or the customer's wallet
+        const returnRequest = await returnService.processReturnRefund(id, shopId, {
             respondedBy: userId,
-        });
-        
-        // Then mark as refunded (in real app, this would be after actual refund)
-        const returnRequest = await returnService.updateStatusByShop(id, shopId, 'refunded', {
-            respondedBy: userId,
-            transactionId: req.body.transactionId || `REF-${Date.now()}`,
+            refundMethod: req.body.refundMethod,
         });
         
         return successResponse(res, { returnRequest });
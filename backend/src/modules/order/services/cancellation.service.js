@@ -0,0 +1,438 @@
+/**
+ * Order Cancellation Service
+ * Partial cancellation: one shop's sub-order or single items, before shipment
+ *
+ * What is left of the order is priced again: its vouchers are re-checked against the
+ * remaining items (voucherService.reevaluateVouchers) and shared out again, and the
+ * difference with what the customer was charged is refunded. Stock is released for
+ * the cancelled units only.
+ *
+ * Order amounts of an order paid online stay as charged and the refund records the
+ * difference; unpaid orders (COD, pending payment) get their totals updated instead.
+ * A refund that fails is retried by a durable job; once retries run out the failed
+ * job stays and admins are notified.
+ */
+
+const orderRepository = require('../order.repository');
+const voucherRepository = require('../voucher.repository');
+const refundRepository = require('../refund.repository');
+const voucherService = require('./voucher.service');
+const stockService = require('./stock.service');
+const trackingService = require('./tracking.service');
+const flashSaleService = require('../../product/services/flash-sale.service');
+const { AppError, ValidationError, ConflictError } = require('../../../shared/utils/error.util');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+
+const CANCELLATION_REFUND_JOB = 'orders.cancellation_refund';
+
+// Sub-orders not handed to a carrier yet
+const CANCELLABLE_SUB_ORDER_STATUSES = ['pending', 'confirmed', 'processing'];
+
+const ONLINE_PAYMENT_METHODS = ['momo', 'vnpay', 'zalopay', 'installment', 'wallet'];
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Refunds sent (or about to be) whose provider result is not known yet
+const AWAITING_REFUND_STATUSES = ['pending', 'processing'];
+
+/**
+ * Whether the customer was charged online for the order (refunds apply)
+ */
+function isChargedOnline(order) {
+  return PAID_STATUSES.includes(order.payment_status) && ONLINE_PAYMENT_METHODS.includes(order.payment_method);
+}
+
+/**
+ * Work out a partial cancellation without writing anything
+ * @param {object} order - Order row
+ * @param {object} request
+ * @param {string[]} [request.subOrderIds] - Sub-orders to cancel entirely
+ * @param {Array<{orderItemId: string, quantity?: number}>} [request.items] - Items to cancel (all units by default)
+ * @param {object} [options]
+ * @param {boolean} [options.absorbVoucherLoss] - Refund nothing instead of failing when a dropped voucher
+ *   outweighs the cancelled items (seller cancellations: the customer is not at fault)
+ * @returns {Promise<object>} Plan: cancelled units, emptied and remaining sub-orders, new amounts, refund
+ * @throws {ValidationError|AppError} Unknown items, shipped sub-orders, or a cancellation costing the customer more
+ */
+async function planCancellation(order, { subOrderIds = [], items = [] } = {}, { absorbVoucherLoss = false } = {}) {
+  const subOrders = await orderRepository.findSubOrdersByOrderId(order.id);
+  const active = subOrders.filter(so => so.status !== 'cancelled');
+
+  // Units to take off each order item
+  const cancelled = new Map();
+  for (const subOrderId of subOrderIds) {
+    const subOrder = active.find(so => so.id === subOrderId);
+    if (!subOrder) {
+      throw new ValidationError(`Sub-order ${subOrderId} is not part of this order or is already cancelled`);
+    }
+    for (const item of subOrder.order_items || []) {
+      if (item.quantity > 0) cancelled.set(item.id, { item, subOrder, quantity: item.quantity });
+    }
+  }
+
+  for (const { orderItemId, quantity } of items) {
+    const subOrder = active.find(so => (so.order_items || []).some(item => item.id === orderItemId));
+    if (!subOrder) {
+      throw new ValidationError(`Order item ${orderItemId} is not part of this order or is already cancelled`);
+    }
+    const item = subOrder.order_items.find(i => i.id === orderItemId);
+    const units = quantity === undefined || quantity === null ? item.quantity : quantity;
+    const alreadyCancelled = cancelled.has(item.id) ? cancelled.get(item.id).quantity : 0;
+
+    if (!Number.isInteger(units) || units < 1 || units + alreadyCancelled > item.quantity) {
+      throw new ValidationError(`Quantity to cancel for order item ${orderItemId} must be between 1 and ${item.quantity}`);
+    }
+    cancelled.set(item.id, { item, subOrder, quantity: units + alreadyCancelled });
+  }
+
+  if (cancelled.size === 0) {
+    throw new ValidationError('Select at least one sub-order or item to cancel');
+  }
+
+  const touched = [...new Set([...cancelled.values()].map(c => c.subOrder))];
+  for (const subOrder of touched) {
+    if (!CANCELLABLE_SUB_ORDER_STATUSES.includes(subOrder.status)) {
+      throw new AppError('ORDER_CANNOT_CANCEL', 'Items can only be cancelled before the package is shipped', 400);
+    }
+  }
+
+  const remainingUnits = (item) => item.quantity - (cancelled.has(item.id) ? cancelled.get(item.id).quantity : 0);
+  const emptied = active.filter(so => (so.order_items || []).every(item => remainingUnits(item) === 0));
+  const remaining = active.filter(so => !emptied.includes(so));
+
+  // Price what is left with the order's vouchers
+  const shops = await buildRemainingShops(remaining, remainingUnits);
+  const vouchers = await loadOrderVouchers(order, active);
+  const pricing = voucherService.reevaluateVouchers(shops, vouchers);
+
+  const subOrderAmounts = remaining.map(subOrder => {
+    const shop = shops.find(s => s.shopId === subOrder.shop_id);
+    const allocation = pricing.shops[subOrder.shop_id];
+    const platformDiscount = allocation.platformDiscount + allocation.platformShippingDiscount;
+    const shopDiscount = allocation.discount + allocation.shippingDiscount;
+
+    return {
+      subOrder,
+      subtotal: shop.subtotal,
+      shippingFee: shop.shippingFee,
+      discount: shopDiscount + platformDiscount,
+      platformDiscount,
+      total: shop.subtotal + shop.shippingFee - shopDiscount - platformDiscount,
+      shopVoucherId: allocation.voucherId,
+      itemDiscounts: (subOrder.order_items || []).map((item, index) => ({ item, discountAmount: allocation.itemDiscounts[index] })),
+    };
+  });
+
+  const chargedBefore = active.reduce((sum, so) => sum + parseFloat(so.total), 0);
+  const chargedAfter = subOrderAmounts.reduce((sum, amounts) => sum + amounts.total, 0);
+  const refundAmount = Math.max(Math.round(chargedBefore - chargedAfter), absorbVoucherLoss ? 0 : -Infinity);
+
+  // Dropping a voucher must not leave the customer owing more than before
+  if (refundAmount < 0) {
+    throw new AppError('CANCEL_LOSES_VOUCHER',
+      'Cancelling these items removes a voucher worth more than they cost; cancel the whole order instead', 400);
+  }
+
+  return {
+    cancelled: [...cancelled.values()],
+    emptied,
+    remaining,
+    subOrderAmounts,
+    pricing,
+    totals: {
+      subtotal: shops.reduce((sum, shop) => sum + shop.subtotal, 0),
+      shippingTotal: shops.reduce((sum, shop) => sum + shop.shippingFee, 0),
+      discountTotal: pricing.discountTotal,
+      grandTotal: chargedAfter,
+    },
+    refundAmount,
+  };
+}
+
+/**
+ * Apply a planned cancellation: items, sub-orders, stock, vouchers, totals and refund
+ * @param {object} order - Order row
+ * @param {object} plan - Result of planCancellation
+ * @param {object} meta
+ * @param {string} meta.reason - Cancellation reason
+ * @param {string} meta.cancelledBy - Customer or partner user ID
+ * @param {string} [meta.actor] - 'customer' | 'seller', for tracking events
+ * @returns {Promise<object>} Cancelled sub-order IDs, refund and dropped vouchers
+ */
+async function applyCancellation(order, plan, { reason, cancelledBy, actor = 'customer' }) {
+  // Take the units off first: a concurrent cancellation of the same items fails here
+  for (const { item, quantity } of plan.cancelled) {
+    const updated = await orderRepository.cancelOrderItemQuantity(item, quantity);
+    if (!updated) {
+      throw new ConflictError('ORDER_CHANGED', 'The order was changed meanwhile, please reload it');
+    }
+  }
+
+  // Sub-orders with nothing left are cancelled with their whole reservation
+  for (const subOrder of plan.emptied) {
+    await orderRepository.cancelSubOrder(subOrder.id, reason);
+    await settle(`release stock of sub-order ${subOrder.id}`, () =>
+      stockService.releaseSubOrderStock(subOrder.id, subOrder.order_items));
+    await settle(`cancel shipment of sub-order ${subOrder.id}`, () =>
+      orderRepository.updateShipmentBeforePickup(subOrder.id, { status: 'cancelled' }));
+    await trackingService.addTrackingEvent(subOrder.id, {
+      eventType: 'cancelled',
+      description: `Order cancelled by ${actor}: ${reason}`,
+      createdBy: cancelledBy,
+    });
+  }
+
+  // Open sub-orders only give back the cancelled units
+  for (const subOrder of plan.remaining) {
+    const units = plan.cancelled
+      .filter(c => c.subOrder.id === subOrder.id)
+      .map(c => ({ variant_id: c.item.variant_id, quantity: c.quantity }));
+    if (units.length === 0) continue;
+
+    await settle(`release stock of sub-order ${subOrder.id}`, () => stockService.releaseSubOrderItems(subOrder, units));
+    await trackingService.addTrackingEvent(subOrder.id, {
+      eventType: 'items_cancelled',
+      description: `${units.reduce((sum, u) => sum + u.quantity, 0)} item(s) cancelled by ${actor}: ${reason}`,
+      createdBy: cancelledBy,
+    });
+  }
+
+  // Flash sale stock goes back for the cancelled units only; other variants of the
+  // same flash sale product may still be on the order
+  const flashSaleUnits = {};
+  for (const { item, quantity } of plan.cancelled) {
+    if (item.flash_sale_product_id) {
+      flashSaleUnits[item.flash_sale_product_id] = (flashSaleUnits[item.flash_sale_product_id] || 0) + quantity;
+    }
+  }
+  if (Object.keys(flashSaleUnits).length > 0) {
+    await settle('release flash sale purchases', () =>
+      flashSaleService.releaseOrderPurchases(order.id, flashSaleUnits));
+  }
+
+  // New amounts of what is left
+  for (const amounts of plan.subOrderAmounts) {
+    const { subOrder } = amounts;
+    await orderRepository.updateSubOrderAmounts(subOrder.id, amounts);
+
+    for (const { item, discountAmount } of amounts.itemDiscounts) {
+      if (discountAmount !== (parseFloat(item.discount_amount) || 0)) {
+        await orderRepository.updateOrderItemDiscount(item.id, discountAmount);
+      }
+    }
+
+    // Shipments already picked up keep the COD amount they were given
+    if (order.payment_method === 'cod' && amounts.total !== parseFloat(subOrder.total)) {
+      await settle(`update COD amount of sub-order ${subOrder.id}`, () =>
+        orderRepository.updateShipmentBeforePickup(subOrder.id, { cod_amount: amounts.total }));
+    }
+  }
+
+  // Vouchers that no longer apply can be used again
+  for (const { voucherId } of plan.pricing.dropped) {
+    await settle(`release voucher ${voucherId}`, () => voucherService.releaseVoucher(order.id, voucherId));
+  }
+
+  const dropped = new Set(plan.pricing.dropped.map(d => d.voucherId));
+  const orderUpdates = {};
+  if (dropped.has(order.platform_voucher_id)) orderUpdates.platformVoucherId = null;
+  if (dropped.has(order.shipping_voucher_id)) orderUpdates.shippingVoucherId = null;
+  if (!isChargedOnline(order)) {
+    Object.assign(orderUpdates, plan.totals);
+  }
+  if (Object.keys(orderUpdates).length > 0) {
+    await orderRepository.updateOrder(order.id, orderUpdates);
+  }
+
+  if (plan.remaining.length === 0) {
+    await orderRepository.cancelOrder(order.id, reason);
+  }
+
+  // Refund exactly the cancelled portion
+  let refund = null;
+  if (isChargedOnline(order) && plan.refundAmount > 0) {
+    refund = await refundCancellation({
+      orderId: order.id,
+      amount: plan.refundAmount,
+      reason: `Cancelled by ${actor}: ${reason}`,
+      subOrderId: plan.emptied.length === 1 && plan.remaining.length > 0 ? plan.emptied[0].id : undefined,
+      requestedBy: cancelledBy,
+    });
+  }
+
+  return {
+    cancelledSubOrderIds: plan.emptied.map(so => so.id),
+    cancelledItems: plan.cancelled.map(c => ({ orderItemId: c.item.id, quantity: c.quantity })),
+    refundAmount: isChargedOnline(order) ? plan.refundAmount : 0,
+    refund,
+    droppedVouchers: plan.pricing.dropped,
+    totals: plan.totals,
+  };
+}
+
+/**
+ * Refund a cancellation
+ * The cancellation is already applied, so a failure is not thrown: a job retries the
+ * refund and the caller gets its real state instead of the refund it asked for.
+ * @param {object} request - orderId, amount, reason, subOrderId, requestedBy
+ * @returns {Promise<object>} Serialized refund, or { status: 'retry_scheduled' | 'failed', amount, errorMessage }
+ */
+async function refundCancellation(request) {
+  const refundRequest = { ...request, requestedAt: new Date().toISOString() };
+
+  try {
+    return await executeRefund(refundRequest);
+  } catch (error) {
+    console.error(`[Cancellation] Refund failed for order ${request.orderId}:`, error.message);
+
+    let status = 'retry_scheduled';
+    try {
+      await jobScheduler.schedule(CANCELLATION_REFUND_JOB, refundRequest, {
+        key: `cancellation-refund:${request.orderId}:${refundRequest.requestedAt}`,
+      });
+    } catch (scheduleError) {
+      status = 'failed';
+      console.error(`[Cancellation] Failed to schedule refund retry for order ${request.orderId}:`, scheduleError.message);
+    }
+
+    return { status, amount: request.amount, errorCode: error.code || null, errorMessage: error.message };
+  }
+}
+
+/**
+ * Send a cancellation refund to the payment service
+ */
+async function executeRefund({ orderId, amount, reason, subOrderId, requestedBy }) {
+  const paymentService = require('./payment.service');
+  return paymentService.processRefund(orderId, amount, { reason, subOrderId, requestedBy });
+}
+
+/**
+ * Retry a failed cancellation refund (job handler)
+ * Refunds made for the request since the cancellation (same amount and reason) are
+ * reconciled with the provider first: the refund is sent again only once every earlier
+ * attempt has failed. While one is still waiting for the provider's result the retry
+ * is put off, so a request that timed out but went through is not refunded twice.
+ */
+async function retryCancellationRefund(request) {
+  const paymentService = require('./payment.service');
+  const refunds = (await refundRepository.findRefundsByOrderId(request.orderId))
+    .filter(r => r.reason === request.reason
+      && parseFloat(r.amount) === request.amount
+      && new Date(r.created_at) >= new Date(request.requestedAt));
+
+  const statuses = [];
+  for (const refund of refunds) {
+    const current = AWAITING_REFUND_STATUSES.includes(refund.status)
+      ? await paymentService.reconcileRefund(refund.id)
+      : refund;
+    statuses.push(current.status);
+  }
+
+  if (statuses.includes('completed')) {
+    return null;
+  }
+
+  if (statuses.some(status => AWAITING_REFUND_STATUSES.includes(status))) {
+    throw new AppError('REFUND_IN_PROGRESS', `A refund for order ${request.orderId} is still waiting for the provider`, 409);
+  }
+
+  return executeRefund(request);
+}
+
+/**
+ * Alert admins to a cancellation refund the retries could not settle
+ */
+async function notifyAdminRefundFailed(request, error) {
+  try {
+    await rabbitmq.publishNotification('push', {
+      userRole: 'admin',
+      type: 'CANCELLATION_REFUND_FAILED_ALERT',
+      orderId: request.orderId,
+      amount: request.amount,
+      title: 'Hoàn tiền hủy đơn cần xử lý thủ công',
+      message: `Không thể hoàn ${request.amount} cho đơn hàng ${request.orderId} sau nhiều lần thử: ${error.message}`,
+      priority: 'high',
+    });
+  } catch (e) {
+    console.error('[Cancellation] Failed to notify admin:', e.message);
+  }
+}
+
+/**
+ * Register the cancellation refund retry job
+ * Once retries run out the failed job stays and admins are notified.
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(CANCELLATION_REFUND_JOB, retryCancellationRefund, {
+    maxAttempts: 6,
+    onFailed: async (request, job, error) => {
+      console.error(`[Cancellation] Refund of ${request.amount} for order ${request.orderId} needs manual handling:`, error.message);
+      await notifyAdminRefundFailed(request, error);
+    },
+  });
+}
+
+/**
+ * Voucher engine input for the units left in each sub-order
+ * Items with nothing left stay in the list with amount 0, so allocations line up with order_items
+ */
+async function buildRemainingShops(subOrders, remainingUnits) {
+  const productIds = [...new Set(subOrders.flatMap(so => (so.order_items || []).map(item => item.product_id)))];
+  const categories = await orderRepository.findProductCategoryIds(productIds);
+
+  return subOrders.map(subOrder => {
+    const items = (subOrder.order_items || []).map(item => ({
+      productId: item.product_id,
+      categoryId: categories[item.product_id] || null,
+      shopId: subOrder.shop_id,
+      amount: parseFloat(item.unit_price) * remainingUnits(item),
+    }));
+
+    return {
+      shopId: subOrder.shop_id,
+      subtotal: items.reduce((sum, item) => sum + item.amount, 0),
+      shippingFee: parseFloat(subOrder.shipping_fee) || 0,
+      items,
+    };
+  });
+}
+
+/**
+ * Voucher rows used by the order (platform, shipping and each open sub-order's shop voucher)
+ */
+async function loadOrderVouchers(order, subOrders) {
+  const voucherIds = [...new Set([
+    order.platform_voucher_id,
+    order.shipping_voucher_id,
+    ...subOrders.map(so => so.shop_voucher_id),
+  ].filter(Boolean))];
+
+  const vouchers = [];
+  for (const voucherId of voucherIds) {
+    const voucher = await voucherRepository.findVoucherById(voucherId);
+    if (voucher) vouchers.push(voucher);
+  }
+  return vouchers;
+}
+
+/**
+ * Run a follow-up step whose failure must not undo the cancellation
+ */
+async function settle(description, step) {
+  try {
+    await step();
+  } catch (error) {
+    console.error(`[Cancellation] Failed to ${description}:`, error.message);
+  }
+}
+
+module.exports = {
+  CANCELLABLE_SUB_ORDER_STATUSES,
+  CANCELLATION_REFUND_JOB,
+  planCancellation,
+  applyCancellation,
+  refundCancellation,
+  retryCancellationRefund,
+  registerJobHandlers,
+};
@@ -119,6 +119,10 @@ async function addItem(userId, itemData) {
     throw new AppError('PRODUCT_NOT_FOUND', 'Product variant not found', 404);
   }
   
+  if (variant.retired_at) {
+    throw new AppError('VARIANT_UNAVAILABLE', 'This product option is no longer available', 400);
+  }
+  
   if (variant.stock_quantity < quantity) {
     throw new AppError('INSUFFICIENT_STOCK', 
       `Only ${variant.stock_quantity} items available`, 400);
@@ -229,7 +233,8 @@ async function validateCartItems(userId) {
   for (const item of items) {
     const variant = item.product_variants;
     
-    if (!variant || variant.stock_quantity < item.quantity) {
+    // Variants retired by a change of the product's options stay in the cart, unavailable
+    if (!variant || variant.retired_at || variant.stock_quantity < item.quantity) {
       unavailableItems.push({
         itemId: item.id,
         productName: item.products?.name,
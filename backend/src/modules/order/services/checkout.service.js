@@ -5,18 +5,129 @@
  * Requirements: 12.1 - Create separate shipments for each shop in multi-shop orders
  */
 
+const crypto = require('crypto');
 const orderRepository = require('../order.repository');
 const cartRepository = require('../cart.repository');
+const idempotencyRepository = require('../idempotency.repository');
 const voucherService = require('./voucher.service');
+const installmentService = require('./installment.service');
 const shippingService = require('./shipping.service');
 const unifiedShippingService = require('./shipping/unified-shipping.service');
 const paymentService = require('./payment.service');
+const walletService = require('../../wallet/wallet.service');
+const flashSaleService = require('../../product/services/flash-sale.service');
+const stockService = require('./stock.service');
 const orderDTO = require('../order.dto');
 const { AppError } = require('../../../shared/utils/error.util');
 const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
 const notificationService = require('../../notification/notification.service');
 const shipmentRepository = require('../../shipper/shipment.repository');
 
+const IDEMPOTENCY_SCOPE = 'checkout';
+const IDEMPOTENCY_LOCK_MS = 2 * 60 * 1000; // A crashed checkout frees its key after this
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+const IDEMPOTENCY_COMPLETE_ATTEMPTS = 3;
+const IDEMPOTENCY_RETRY_DELAY_MS = 200;
+
+/**
+ * Checkout with optional Idempotency-Key
+ * A retry with the same key and body returns the stored result instead of creating another order
+ * @param {string} userId - Customer ID
+ * @param {object} checkoutData - Checkout request body
+ * @param {string} [idempotencyKey] - Idempotency-Key header
+ * @returns {Promise<{result: object, replayed: boolean}>}
+ */
+async function checkout(userId, checkoutData, idempotencyKey) {
+  if (!idempotencyKey) {
+    return { result: await createOrder(userId, checkoutData), replayed: false };
+  }
+  
+  if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    throw new AppError('INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1-255 characters of letters, digits, "_", "-", "." or ":"', 400);
+  }
+  
+  const requestHash = hashRequest(checkoutData);
+  const claim = await idempotencyRepository.claimKey(
+    userId, IDEMPOTENCY_SCOPE, idempotencyKey, requestHash, IDEMPOTENCY_LOCK_MS
+  );
+  
+  if (!claim.claimed) {
+    if (claim.request_hash !== requestHash) {
+      throw new AppError('IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different checkout request', 422);
+    }
+    if (claim.key_status !== 'completed') {
+      throw new AppError('CHECKOUT_IN_PROGRESS', 'A checkout with this Idempotency-Key is still being processed', 409);
+    }
+    return { result: claim.response_body, replayed: true };
+  }
+  
+  let result;
+  try {
+    result = await createOrder(userId, checkoutData);
+  } catch (error) {
+    // Nothing was placed: createOrder rolls its saga back and the steps after it do
+    // not throw - free the key so the client can retry
+    await idempotencyRepository.deleteKey(claim.key_id).catch(e =>
+      console.error('[Checkout] Failed to release idempotency key:', e.message));
+    throw error;
+  }
+  
+  await completeIdempotencyKey(claim.key_id, result);
+  
+  return { result, replayed: false };
+}
+
+/**
+ * Store the result of a placed order on its idempotency key
+ * A key left processing is taken over by a retry once its lock expires, placing the
+ * order again, so storing is retried; if it still fails the request fails and the
+ * key is kept.
+ */
+async function completeIdempotencyKey(keyId, result) {
+  const orderId = result.order && result.order.id;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await idempotencyRepository.completeKey(keyId, {
+        resourceId: orderId,
+        responseCode: 201,
+        responseBody: result,
+      });
+    } catch (error) {
+      if (attempt >= IDEMPOTENCY_COMPLETE_ATTEMPTS) {
+        console.error(`[Checkout] Failed to store idempotency result for order ${orderId}:`, error.message);
+        throw new AppError('CHECKOUT_RESULT_NOT_STORED', `Order ${orderId} was placed but its checkout result could not be saved`, 500);
+      }
+      await sleep(IDEMPOTENCY_RETRY_DELAY_MS * attempt);
+    }
+  }
+}
+
+/**
+ * Sleep utility for retry delays
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Hash checkout request body (stable key order)
+ */
+function hashRequest(data) {
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = normalize(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  };
+  
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(data || {}))).digest('hex');
+}
+
 /**
  * Create order from cart items
  */
@@ -25,9 +136,11 @@ async function createOrder(userId, checkoutData) {
     cartItemIds,
     shippingAddressId,
     paymentMethod,
+    installmentPlanId,
     platformVoucherCode,
     voucherCode, // Alias for platformVoucherCode
     shopVouchers,
+    shippingVoucherCode,
     customerNote,
   } = checkoutData;
   
@@ -44,86 +157,149 @@ async function createOrder(userId, checkoutData) {
   // Validate stock availability
   await validateStockAvailability(cartItems);
   
+  // Items in an active flash sale are charged the flash price
+  await applyFlashSalePrices(cartItems);
+  
   // Group items by shop
   const itemsByShop = groupItemsByShop(cartItems);
   
   // Calculate totals
-  const { subtotal, shippingTotal, discountTotal, grandTotal, shopTotals } = 
-    await calculateOrderTotals(itemsByShop, shippingAddressId, effectiveVoucherCode, shopVouchers, userId);
+  const { subtotal, shippingTotal, discountTotal, grandTotal, shopTotals, vouchers } = 
+    await calculateOrderTotals(itemsByShop, shippingAddressId, effectiveVoucherCode, shopVouchers, userId, shippingVoucherCode);
+  
+  // Wallet must cover the order before anything is created
+  if (paymentMethod === paymentService.PAYMENT_METHODS.WALLET) {
+    const balance = await walletService.getBalance(userId);
+    if (balance.available < grandTotal) {
+      throw new AppError('INSUFFICIENT_BALANCE', 'Wallet balance is not enough for this order', 400);
+    }
+  }
+  
+  // Installment plan must cover every item and the final total; its terms are kept on the order
+  const installment = paymentMethod === paymentService.PAYMENT_METHODS.INSTALLMENT
+    ? await installmentService.resolveCheckoutPlan(installmentPlanId, getPlanItems(itemsByShop), grandTotal)
+    : null;
   
   // Get shipping address details
   const shippingAddress = await getShippingAddress(shippingAddressId);
   
-  // Create order
-  const order = await orderRepository.createOrder({
-    userId,
-    subtotal,
-    shippingTotal,
-    discountTotal,
-    grandTotal,
-    paymentMethod,
-    shippingAddressId,
-    shippingName: shippingAddress.name,
-    shippingPhone: shippingAddress.phone,
-    shippingAddress: shippingAddress.fullAddress,
-    platformVoucherId: null, // Will be set if voucher is valid
-    customerNote,
-  });
+  // Write steps run as a saga: on failure, completed steps are compensated in
+  // reverse order so no orphaned order or half-reserved stock is left behind
+  const compensations = [];
+  const createdShipments = [];
+  let order;
+  let paymentResult;
   
-  // Create sub-orders for each shop
-  for (const [shopId, shopItems] of Object.entries(itemsByShop)) {
-    const shopTotal = shopTotals[shopId];
-    
-    const subOrder = await orderRepository.createSubOrder({
-      orderId: order.id,
-      shopId,
-      subtotal: shopTotal.subtotal,
-      shippingFee: shopTotal.shippingFee,
-      discount: shopTotal.discount,
-      total: shopTotal.total,
-      shopVoucherId: shopTotal.voucherId,
+  try {
+    // Create order
+    order = await orderRepository.createOrder({
+      userId,
+      subtotal,
+      shippingTotal,
+      discountTotal,
+      grandTotal,
+      paymentMethod,
+      shippingAddressId,
+      shippingName: shippingAddress.name,
+      shippingPhone: shippingAddress.phone,
+      shippingAddress: shippingAddress.fullAddress,
+      platformVoucherId: vouchers?.platform?.voucherId || null,
+      shippingVoucherId: vouchers?.shipping?.voucherId || null,
+      installmentPlanId: installment ? installment.plan.id : null,
+      installmentTerms: installment ? installment.terms : null,
+      customerNote,
     });
+    // Deleting the order cascades to sub-orders, order items and shipments
+    compensations.push(() => orderRepository.deleteOrder(order.id));
     
-    // Create order items
-    // Note: product_variants uses 'price' and 'compare_at_price' (not 'sale_price')
-    const orderItems = shopItems.map(item => ({
-      subOrderId: subOrder.id,
-      productId: item.product_id,
-      variantId: item.variant_id,
-      productName: item.products?.name || 'Unknown Product',
-      variantName: item.product_variants?.name || null,
-      sku: item.product_variants?.sku || null,
-      unitPrice: item.product_variants?.price || 0,
-      quantity: item.quantity,
-      totalPrice: (item.product_variants?.price || 0) * item.quantity,
-      imageUrl: item.product_variants?.image_url || item.products?.thumbnail_url || null,
-    }));
+    // Reserve stock; the database locks each variant row, so concurrent checkouts cannot oversell
+    const reservations = await reserveStock(cartItems);
+    compensations.push(() => stockService.releaseReservations(reservations));
     
-    await orderRepository.createOrderItems(orderItems);
+    // Claim flash sale stock; limits are checked atomically per flash sale product
+    compensations.push(() => flashSaleService.releaseOrderPurchases(order.id));
+    await claimFlashSalePurchases(cartItems, userId, order.id);
     
-    // Requirements: 12.1 - Create separate shipment for each shop
-    // Create shipment for this sub-order with unique tracking number
-    try {
-      // Add order_id to subOrder for shipment creation
-      const subOrderWithOrderId = { ...subOrder, order_id: order.id };
-      await createShipmentForSubOrder(subOrderWithOrderId, shopId, shopTotal, shippingAddress, paymentMethod, shippingAddressId);
-    } catch (shipmentError) {
-      console.error(`[Checkout] Failed to create shipment for sub-order ${subOrder.id}:`, shipmentError.message);
-      // Don't throw - order is created, shipment can be created later by partner
+    // Create sub-orders for each shop
+    for (const [shopId, shopItems] of Object.entries(itemsByShop)) {
+      const shopTotal = shopTotals[shopId];
+      
+      const subOrder = await orderRepository.createSubOrder({
+        orderId: order.id,
+        shopId,
+        subtotal: shopTotal.subtotal,
+        shippingFee: shopTotal.shippingFee,
+        discount: shopTotal.discount,
+        platformDiscount: shopTotal.platformDiscount,
+        total: shopTotal.total,
+        shopVoucherId: shopTotal.voucherId,
+        stockStatus: stockService.STOCK_STATUS.RESERVED,
+      });
+      
+      // Create order items
+      // Note: product_variants uses 'price' and 'compare_at_price' (not 'sale_price')
+      const orderItems = shopItems.map((item, index) => ({
+        subOrderId: subOrder.id,
+        productId: item.product_id,
+        variantId: item.variant_id,
+        productName: item.products?.name || 'Unknown Product',
+        variantName: item.product_variants?.name || null,
+        sku: item.product_variants?.sku || null,
+        unitPrice: getUnitPrice(item),
+        quantity: item.quantity,
+        totalPrice: getUnitPrice(item) * item.quantity,
+        discountAmount: shopTotal.itemDiscounts[index] || 0,
+        imageUrl: item.product_variants?.image_url || item.products?.thumbnail_url || null,
+        flashSaleProductId: item.flash_sale?.id || null,
+      }));
+      
+      await orderRepository.createOrderItems(orderItems);
+      
+      // Requirements: 12.1 - Create separate shipment for each shop
+      // Create shipment for this sub-order with unique tracking number
+      try {
+        // Add order_id to subOrder for shipment creation
+        const subOrderWithOrderId = { ...subOrder, order_id: order.id };
+        const shipment = await createShipmentForSubOrder(subOrderWithOrderId, shopId, shopTotal, shippingAddress, paymentMethod, shippingAddressId);
+        if (shipment) {
+          createdShipments.push({ shipment, subOrder: subOrderWithOrderId, shopId });
+        }
+      } catch (shipmentError) {
+        console.error(`[Checkout] Failed to create shipment for sub-order ${subOrder.id}:`, shipmentError.message);
+        // Don't throw - order is created, shipment can be created later by partner
+      }
     }
+    
+    // Record voucher usage; restored before the order is deleted on rollback
+    if (vouchers && vouchers.applied.length > 0) {
+      compensations.push(() => voucherService.restoreVoucher(order.id));
+      for (const { voucher } of vouchers.applied) {
+        await voucherService.applyVoucher(order.id, voucher.id, userId);
+      }
+    }
+    
+    // Handle payment (last step - a wallet payment releases its hold or reverses its capture on failure)
+    paymentResult = await paymentService.initiatePayment(order.id, paymentMethod);
+  } catch (error) {
+    await compensate(compensations, order && order.id);
+    throw error;
   }
   
-  // Reserve stock
-  await reserveStock(cartItems);
-  
-  // Remove items from cart
-  await cartRepository.removeCartItems(cartItemIds);
+  // Remove items from cart - the order is already placed, so a failure here is only logged
+  try {
+    await cartRepository.removeCartItems(cartItemIds);
+  } catch (error) {
+    console.error(`[Checkout] Failed to clear cart items for order ${order.id}:`, error.message);
+  }
   
-  // Handle payment
-  const paymentResult = await paymentService.initiatePayment(order.id, paymentMethod);
+  // Shipment events are published only once the order is committed
+  for (const { shipment, subOrder, shopId } of createdShipments) {
+    await publishShipmentCreated(shipment, subOrder, shopId);
+  }
   
-  // Get full order with sub-orders
-  const fullOrder = await orderRepository.findOrderById(order.id);
+  // Get full order with sub-orders; the order is placed, so a failed read falls back
+  // to the created row instead of throwing
+  const fullOrder = await findPlacedOrder(order);
   
   // Publish ORDER_CREATED event via RabbitMQ
   try {
@@ -162,6 +338,35 @@ async function createOrder(userId, checkoutData) {
   };
 }
 
+/**
+ * Load a placed order with its sub-orders, or the created order row if that fails
+ */
+async function findPlacedOrder(order) {
+  try {
+    const fullOrder = await orderRepository.findOrderById(order.id);
+    if (fullOrder) return fullOrder;
+    console.error(`[Checkout] Placed order ${order.id} not found on reload`);
+  } catch (error) {
+    console.error(`[Checkout] Failed to reload placed order ${order.id}:`, error.message);
+  }
+  return order;
+}
+
+/**
+ * Run saga compensations in reverse order
+ * A failing compensation is logged and does not stop the remaining ones
+ */
+async function compensate(compensations, orderId) {
+  console.warn(`[Checkout] Rolling back checkout${orderId ? ` for order ${orderId}` : ''}`);
+  
+  for (const undo of compensations.reverse()) {
+    try {
+      await undo();
+    } catch (error) {
+      console.error('[Checkout] Compensation failed:', error.message);
+    }
+  }
+}
 
 /**
  * Send order notifications directly (fallback when RabbitMQ not available)
@@ -251,8 +456,13 @@ async function validateStockAvailability(items) {
         `Product variant not found for item`, 400);
     }
     
-    // Database uses 'quantity' column (not 'stock_quantity')
-    const availableStock = variant.quantity || 0;
+    if (variant.retired_at) {
+      throw new AppError('VARIANT_UNAVAILABLE',
+        `${variant.name || variant.sku} is no longer available`, 400);
+    }
+    
+    // Database uses 'quantity' column (not 'stock_quantity'); reserved units belong to other orders
+    const availableStock = Math.max((variant.quantity || 0) - (variant.reserved_quantity || 0), 0);
     
     if (availableStock < item.quantity) {
       throw new AppError('INSUFFICIENT_STOCK', 
@@ -262,78 +472,197 @@ async function validateStockAvailability(items) {
 }
 
 /**
- * Calculate order totals
+ * Attach the active flash sale (if any) to each cart item as `flash_sale`
  */
-async function calculateOrderTotals(itemsByShop, shippingAddressId, platformVoucherCode, shopVouchers, userId) {
-  let subtotal = 0;
-  let shippingTotal = 0;
-  let discountTotal = 0;
-  const shopTotals = {};
+async function applyFlashSalePrices(items) {
+  const flashSales = await flashSaleService.getActiveFlashSalePrices(
+    items.map(item => ({ productId: item.product_id, variantId: item.variant_id }))
+  );
+  
+  for (const item of items) {
+    item.flash_sale = flashSales.get(`${item.product_id}:${item.variant_id}`) || null;
+  }
+  
+  return items;
+}
+
+/**
+ * Unit price charged for a cart item (flash price while in a flash sale)
+ */
+function getUnitPrice(item) {
+  if (item.flash_sale) {
+    return item.flash_sale.flashPrice;
+  }
+  return parseFloat(item.product_variants?.price || 0);
+}
+
+/**
+ * Record flash sale purchases for an order
+ * Quantities of cart items sharing a flash sale product (product-wide sale) are claimed together
+ * @throws {AppError} FLASH_SALE_LIMIT_EXCEEDED | FLASH_SALE_SOLD_OUT | FLASH_SALE_ENDED
+ */
+async function claimFlashSalePurchases(items, userId, orderId) {
+  const quantities = new Map();
+  for (const item of items) {
+    if (item.flash_sale) {
+      quantities.set(item.flash_sale.id, (quantities.get(item.flash_sale.id) || 0) + item.quantity);
+    }
+  }
+  
+  for (const [flashSaleProductId, quantity] of quantities) {
+    await flashSaleService.claimPurchase(flashSaleProductId, userId, orderId, quantity);
+  }
+}
+
+/**
+ * Subtotal, shipping fee and voucher items of each shop in the cart
+ * @returns {Promise<Array<{shopId, subtotal, shippingFee, items}>>} Input of the voucher engine
+ */
+async function buildShopCarts(itemsByShop, shippingAddressId) {
+  const shops = [];
   
   for (const [shopId, items] of Object.entries(itemsByShop)) {
     // Calculate shop subtotal
     // Note: product_variants uses 'price' column (not 'sale_price')
-    const shopSubtotal = items.reduce((sum, item) => {
-      const price = item.product_variants?.price || 0;
-      return sum + (parseFloat(price) * item.quantity);
-    }, 0);
+    const shopSubtotal = items.reduce((sum, item) => sum + (getUnitPrice(item) * item.quantity), 0);
     
     // Calculate shipping fee
     const shippingResult = await shippingService.calculateShippingFee(shopId, shippingAddressId, items);
     const shippingFee = shippingResult.fee || 0;
     
-    // Calculate shop discount
-    let shopDiscount = 0;
-    let shopVoucherId = null;
-    
-    if (shopVouchers && shopVouchers[shopId]) {
-      try {
-        const validation = await voucherService.validateVoucher(
-          shopVouchers[shopId], userId, shopSubtotal, shopId
-        );
-        shopDiscount = validation.discount;
-        shopVoucherId = validation.voucher.id;
-      } catch (error) {
-        // Voucher invalid, continue without discount
-      }
-    }
-    
-    shopTotals[shopId] = {
+    shops.push({
+      shopId,
       subtotal: shopSubtotal,
       shippingFee,
-      discount: shopDiscount,
-      total: shopSubtotal + shippingFee - shopDiscount,
-      voucherId: shopVoucherId,
-    };
-    
-    subtotal += shopSubtotal;
-    shippingTotal += shippingFee;
-    discountTotal += shopDiscount;
+      items: items.map(item => ({
+        productId: item.product_id,
+        categoryId: item.products?.category_id || null,
+        shopId,
+        amount: getUnitPrice(item) * item.quantity,
+      })),
+    });
   }
   
-  // Apply platform voucher
-  if (platformVoucherCode) {
-    try {
-      const validation = await voucherService.validateVoucher(
-        platformVoucherCode, userId, subtotal
-      );
-      discountTotal += validation.discount;
-    } catch (error) {
-      // Platform voucher invalid, continue without discount
-    }
+  return shops;
+}
+
+/**
+ * Recommend the best voucher combination for selected cart items
+ * @param {string} userId - Customer ID
+ * @param {object} data
+ * @param {string[]} data.cartItemIds - Selected cart items
+ * @param {string} data.shippingAddressId - Delivery address (for shipping fees)
+ * @returns {Promise<object>} See voucherService.recommendVouchers
+ */
+async function recommendVouchers(userId, { cartItemIds, shippingAddressId } = {}) {
+  if (!Array.isArray(cartItemIds) || cartItemIds.length === 0) {
+    throw new AppError('CART_EMPTY', 'No valid cart items found', 400);
+  }
+  
+  const cartItems = await cartRepository.findCartItemsByIds(cartItemIds, userId);
+  
+  if (cartItems.length === 0) {
+    throw new AppError('CART_EMPTY', 'No valid cart items found', 400);
+  }
+  
+  // Same prices as checkout
+  await applyFlashSalePrices(cartItems);
+  
+  const shops = await buildShopCarts(groupItemsByShop(cartItems), shippingAddressId);
+  return voucherService.recommendVouchers(userId, shops);
+}
+
+/**
+ * Installment plans for selected cart items, priced at the checkout total
+ * @param {string} userId - Customer ID
+ * @param {object} data - Same cart, address and voucher fields as checkout
+ * @returns {Promise<object>} See installmentService.getCheckoutPlans
+ */
+async function getInstallmentPlans(userId, data = {}) {
+  const { cartItemIds, shippingAddressId, platformVoucherCode, voucherCode, shopVouchers, shippingVoucherCode } = data;
+  
+  if (!Array.isArray(cartItemIds) || cartItemIds.length === 0) {
+    throw new AppError('CART_EMPTY', 'No valid cart items found', 400);
+  }
+  
+  const cartItems = await cartRepository.findCartItemsByIds(cartItemIds, userId);
+  
+  if (cartItems.length === 0) {
+    throw new AppError('CART_EMPTY', 'No valid cart items found', 400);
+  }
+  
+  // Same prices and total as checkout
+  await applyFlashSalePrices(cartItems);
+  
+  const itemsByShop = groupItemsByShop(cartItems);
+  const { grandTotal } = await calculateOrderTotals(
+    itemsByShop, shippingAddressId, platformVoucherCode || voucherCode, shopVouchers, userId, shippingVoucherCode
+  );
+  
+  return installmentService.getCheckoutPlans(getPlanItems(itemsByShop), grandTotal);
+}
+
+/**
+ * Items as installment eligibility rules see them
+ */
+function getPlanItems(itemsByShop) {
+  return Object.entries(itemsByShop).flatMap(([shopId, items]) => items.map(item => ({
+    productId: item.product_id,
+    categoryId: item.products?.category_id || null,
+    shopId,
+  })));
+}
+
+/**
+ * Calculate order totals
+ * Vouchers are combined by the stacking rules of voucherService.resolveVouchers;
+ * invalid or conflicting codes are left out and the order continues without them
+ * @param {string} [shippingVoucherCode] - Free shipping voucher code
+ */
+async function calculateOrderTotals(itemsByShop, shippingAddressId, platformVoucherCode, shopVouchers, userId, shippingVoucherCode = null) {
+  const shops = await buildShopCarts(itemsByShop, shippingAddressId);
+  const subtotal = shops.reduce((sum, shop) => sum + shop.subtotal, 0);
+  const shippingTotal = shops.reduce((sum, shop) => sum + shop.shippingFee, 0);
+  
+  // Apply vouchers
+  const codes = [platformVoucherCode, ...Object.values(shopVouchers || {}), shippingVoucherCode].filter(Boolean);
+  const vouchers = codes.length > 0
+    ? await voucherService.resolveVouchers(userId, shops, codes)
+    : null;
+  
+  // Each sub-order carries its own vouchers and its share of the platform vouchers,
+  // so sub-order totals add up to the grand total
+  const shopTotals = {};
+  for (const shop of shops) {
+    const allocation = vouchers ? vouchers.shops[shop.shopId] : null;
+    const platformDiscount = allocation ? allocation.platformDiscount + allocation.platformShippingDiscount : 0;
+    // A shop's own free shipping voucher is paid by the shop, like its discount voucher
+    const shopDiscount = allocation ? allocation.discount + allocation.shippingDiscount : 0;
+    
+    shopTotals[shop.shopId] = {
+      subtotal: shop.subtotal,
+      shippingFee: shop.shippingFee,
+      discount: shopDiscount + platformDiscount,
+      platformDiscount,
+      total: shop.subtotal + shop.shippingFee - shopDiscount - platformDiscount,
+      voucherId: allocation ? allocation.voucherId : null,
+      itemDiscounts: allocation ? allocation.itemDiscounts : shop.items.map(() => 0),
+    };
   }
   
+  const discountTotal = vouchers ? vouchers.discountTotal : 0;
   const grandTotal = subtotal + shippingTotal - discountTotal;
   
-  return { subtotal, shippingTotal, discountTotal, grandTotal, shopTotals };
+  return { subtotal, shippingTotal, discountTotal, grandTotal, shopTotals, vouchers };
 }
 
 /**
- * Reserve stock for order items
+ * Reserve stock for order items (all or nothing)
+ * @returns {Promise<Array<{variantId: string, quantity: number}>>} Reservations to release on rollback
+ * @throws {AppError} INSUFFICIENT_STOCK
  */
 async function reserveStock(items) {
-  // Would update product_variants.reserved_quantity
-  // Placeholder - actual implementation would use database transaction
+  return stockService.reserveItems(items);
 }
 
 /**
@@ -460,7 +789,13 @@ async function createShipmentForSubOrder(subOrder, shopId, shopTotal, shippingAd
   
   console.log(`[Checkout] Created shipment ${shipment.id} with tracking ${shipment.tracking_number} for sub-order ${subOrder.id}`);
   
-  // Publish shipment created event
+  return shipment;
+}
+
+/**
+ * Publish shipment created event
+ */
+async function publishShipmentCreated(shipment, subOrder, shopId) {
   try {
     await rabbitmq.publishToExchange(
       rabbitmq.EXCHANGES.EVENTS,
@@ -478,8 +813,6 @@ async function createShipmentForSubOrder(subOrder, shopId, shopTotal, shippingAd
   } catch (e) {
     console.error('[Checkout] Failed to publish shipment event:', e.message);
   }
-  
-  return shipment;
 }
 
 /**
@@ -554,10 +887,17 @@ async function createExternalShipment(subOrderId, providerCode, orderData) {
 }
 
 module.exports = {
+  IDEMPOTENCY_SCOPE,
+  checkout,
   createOrder,
   groupItemsByShop,
   validateStockAvailability,
+  applyFlashSalePrices,
+  getUnitPrice,
+  buildShopCarts,
   calculateOrderTotals,
+  recommendVouchers,
+  getInstallmentPlans,
   reserveStock,
   getShippingAddress,
   getShippingOptions,
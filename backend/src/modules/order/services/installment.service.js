@@ -0,0 +1,152 @@
+/**
+ * Installment Service
+ * Installment and pay-later plans offered on products and at checkout
+ *
+ * A plan finances the whole order through the installment provider:
+ * - tenor_months: number of monthly payments (1 = pay later)
+ * - monthly_interest_rate: flat % of the financed amount per month
+ * - conversion_fee_rate: % of the financed amount, charged once
+ * - min_amount / max_amount: bounds on the product price, or on the order total at checkout
+ * - applies_to: only products in the listed categories, products or shops (NULL = all)
+ *
+ * At checkout every item must be eligible, since the provider finances the order as a whole.
+ */
+
+const installmentRepository = require('../installment.repository');
+const orderDTO = require('../order.dto');
+const { AppError } = require('../../../shared/utils/error.util');
+const { isItemEligible } = require('../../../shared/utils/applies-to.util');
+
+/**
+ * Why an amount is outside the plan's bounds
+ * @returns {string|null} Reason, or null when within bounds
+ */
+function getAmountIssue(plan, amount) {
+  const minAmount = parseFloat(plan.min_amount) || 0;
+  const maxAmount = plan.max_amount === null || plan.max_amount === undefined ? null : parseFloat(plan.max_amount);
+
+  if (amount < minAmount) return `Minimum amount is ${minAmount}`;
+  if (maxAmount !== null && amount > maxAmount) return `Maximum amount is ${maxAmount}`;
+  return null;
+}
+
+/**
+ * Calculate the repayment terms of an amount under a plan
+ * Amounts are whole VND; the last payment absorbs the rounding
+ * @param {object} plan - Installment plan
+ * @param {number} amount - Financed amount
+ * @returns {object} Terms (also stored on the order at checkout)
+ */
+function calculateTerms(plan, amount) {
+  const tenorMonths = plan.tenor_months;
+  const monthlyInterestRate = parseFloat(plan.monthly_interest_rate) || 0;
+  const conversionFeeRate = parseFloat(plan.conversion_fee_rate) || 0;
+
+  const financedAmount = Math.round(amount);
+  const interest = Math.round(financedAmount * monthlyInterestRate / 100 * tenorMonths);
+  const conversionFee = Math.round(financedAmount * conversionFeeRate / 100);
+  const totalPayable = financedAmount + interest + conversionFee;
+  const monthlyPayment = Math.ceil(totalPayable / tenorMonths);
+
+  const schedule = Array.from({ length: tenorMonths }, (_, index) => ({
+    month: index + 1,
+    amount: index < tenorMonths - 1 ? monthlyPayment : totalPayable - monthlyPayment * (tenorMonths - 1),
+  }));
+
+  return {
+    planId: plan.id,
+    planCode: plan.code,
+    provider: plan.provider,
+    tenorMonths,
+    monthlyInterestRate,
+    conversionFeeRate,
+    financedAmount,
+    interest,
+    conversionFee,
+    totalPayable,
+    monthlyPayment,
+    schedule,
+  };
+}
+
+/**
+ * Plans offered on a product page, priced at the product price
+ * @param {object} product - Product row (id, category_id, shop_id, base_price)
+ * @param {number} [price] - Price to quote (defaults to the base price)
+ * @returns {Promise<object[]>} Serialized plans with their terms
+ */
+async function getProductPlans(product, price = parseFloat(product.base_price)) {
+  if (!(price > 0)) return [];
+
+  const item = { productId: product.id, categoryId: product.category_id, shopId: product.shop_id };
+  const plans = await installmentRepository.findActivePlans();
+
+  return plans
+    .filter(plan => isItemEligible(plan, item) && !getAmountIssue(plan, price))
+    .map(plan => orderDTO.serializeInstallmentPlan(plan, calculateTerms(plan, price)));
+}
+
+/**
+ * Plans for a checkout: the ones available and, for the others, why not
+ * @param {Array<{productId, categoryId, shopId}>} items - Items being ordered
+ * @param {number} amount - Order grand total
+ * @returns {Promise<{amount: number, plans: object[], unavailable: object[]}>}
+ */
+async function getCheckoutPlans(items, amount) {
+  const plans = await installmentRepository.findActivePlans();
+  const available = [];
+  const unavailable = [];
+
+  for (const plan of plans) {
+    const reason = getIneligibilityReason(plan, items, amount);
+    if (reason) {
+      unavailable.push({ ...orderDTO.serializeInstallmentPlan(plan), reason });
+    } else {
+      available.push(orderDTO.serializeInstallmentPlan(plan, calculateTerms(plan, amount)));
+    }
+  }
+
+  return { amount, plans: available, unavailable };
+}
+
+/**
+ * Why a plan cannot finance an order
+ * @returns {string|null} Reason, or null when eligible
+ */
+function getIneligibilityReason(plan, items, amount) {
+  if (items.some(item => !isItemEligible(plan, item))) {
+    return 'Some products are not eligible for this plan';
+  }
+  return getAmountIssue(plan, amount);
+}
+
+/**
+ * Resolve the plan chosen at checkout
+ * @param {string} planId - Installment plan ID
+ * @param {Array<{productId, categoryId, shopId}>} items - Items being ordered
+ * @param {number} amount - Order grand total
+ * @returns {Promise<{plan: object, terms: object}>}
+ * @throws {AppError} INSTALLMENT_PLAN_NOT_FOUND | INSTALLMENT_NOT_ELIGIBLE
+ */
+async function resolveCheckoutPlan(planId, items, amount) {
+  const plan = planId ? await installmentRepository.findPlanById(planId) : null;
+
+  if (!plan || !plan.is_active) {
+    throw new AppError('INSTALLMENT_PLAN_NOT_FOUND', 'Installment plan not found', 404);
+  }
+
+  const reason = getIneligibilityReason(plan, items, amount);
+  if (reason) {
+    throw new AppError('INSTALLMENT_NOT_ELIGIBLE', `Order is not eligible for ${plan.name}: ${reason}`, 400);
+  }
+
+  return { plan, terms: calculateTerms(plan, amount) };
+}
+
+module.exports = {
+  isItemEligible,
+  calculateTerms,
+  getProductPlans,
+  getCheckoutPlans,
+  resolveCheckoutPlan,
+};
@@ -0,0 +1,239 @@
+/**
+ * Payment Reconciliation Service
+ * Settles online payments whose IPN webhook never arrived
+ *
+ * A recurring job asks each provider (getStatus) about orders still pending payment
+ * after a grace period, and applies the answer the webhook would have brought through
+ * order.service handlePaymentSuccess / handlePaymentFailed. Every difference between
+ * our state and the provider's is logged with the run for the admin report. Refunds
+ * waiting for a provider result are reconciled in the same run.
+ */
+
+const orderRepository = require('../order.repository');
+const reconciliationRepository = require('../payment-reconciliation.repository');
+const orderDTO = require('../order.dto');
+const paymentService = require('./payment.service');
+const { getProvider, PAYMENT_STATUS } = require('./payment');
+const { AppError } = require('../../../shared/utils/error.util');
+const { getNumberSetting } = require('../../../shared/utils/settings.util');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+
+const RECONCILIATION_JOB = 'payments.reconciliation';
+const RECONCILIATION_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_GRACE_MINUTES = 5;
+const ORDERS_PER_RUN = 100;
+
+// What the run did about an order, as counted in the run summary
+const OUTCOMES = {
+  MATCHED: 'matched',
+  MARKED_PAID: 'markedPaid',
+  MARKED_FAILED: 'markedFailed',
+  FLAGGED: 'flagged',
+  ERROR: 'errors',
+};
+
+/**
+ * Reconcile orders pending payment with their providers
+ * @param {object} [options]
+ * @param {string} [options.triggeredBy] - 'job' | 'admin'
+ * @param {string} [options.requestedBy] - Admin user ID
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<object>} Serialized run with its counts
+ */
+async function runReconciliation({ triggeredBy = 'job', requestedBy = null, now = new Date() } = {}) {
+  const graceMinutes = await getNumberSetting('payment_reconciliation_grace_minutes', DEFAULT_GRACE_MINUTES);
+  const cutoff = new Date(now.getTime() - graceMinutes * 60 * 1000);
+  const orders = await orderRepository.findUnpaidOrdersCreatedBefore(
+    paymentService.GATEWAY_PAYMENT_METHODS, cutoff.toISOString(), ORDERS_PER_RUN
+  );
+
+  const run = await reconciliationRepository.createRun({ triggeredBy, requestedBy });
+  const summary = { checked: 0, matched: 0, markedPaid: 0, markedFailed: 0, flagged: 0, errors: 0 };
+
+  for (const order of orders) {
+    // Never sent to the gateway: there is nothing to ask, the payment timeout expires it
+    if (!order.payment_provider_order_id) continue;
+
+    summary.checked++;
+    try {
+      const outcome = await reconcileOrder(run.id, order);
+      summary[outcome]++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`[PaymentReconciliation] Failed to reconcile order ${order.id}:`, error.message);
+    }
+  }
+
+  try {
+    summary.refunds = await paymentService.reconcilePendingRefunds();
+  } catch (error) {
+    console.error('[PaymentReconciliation] Failed to reconcile pending refunds:', error.message);
+  }
+
+  const finished = await reconciliationRepository.finishRun(run.id, summary);
+
+  if (summary.checked > 0) {
+    console.log('[PaymentReconciliation] Run finished:', summary);
+  }
+
+  return orderDTO.serializeReconciliationRun(finished);
+}
+
+/**
+ * Ask the provider about one order and settle it when the provider has a final answer
+ * @returns {Promise<string>} One of OUTCOMES
+ */
+async function reconcileOrder(runId, order) {
+  const base = {
+    runId,
+    orderId: order.id,
+    provider: order.payment_method,
+    localStatus: order.payment_status,
+    expectedAmount: parseFloat(order.grand_total),
+  };
+
+  let status;
+  try {
+    status = await getProvider(order.payment_method).getStatus(order.id, order.payment_provider_order_id);
+  } catch (error) {
+    await recordDiscrepancy({ ...base, action: 'error', message: `Provider query failed: ${error.message}` });
+    return OUTCOMES.ERROR;
+  }
+
+  if ([PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PROCESSING].includes(status.status)) {
+    return OUTCOMES.MATCHED;
+  }
+
+  // The webhook may have arrived while the provider was being asked
+  const current = await orderRepository.findOrderById(order.id);
+  if (!current || current.status !== 'pending_payment' || current.payment_status !== 'pending') {
+    return OUTCOMES.MATCHED;
+  }
+
+  const discrepancy = {
+    ...base,
+    providerStatus: status.status,
+    providerAmount: status.amount !== undefined && status.amount !== null ? Number(status.amount) : null,
+    providerTransactionId: status.providerTransactionId,
+    providerErrorCode: status.errorCode,
+  };
+  const transaction = {
+    provider: order.payment_method,
+    providerTransactionId: status.providerTransactionId,
+  };
+
+  const orderService = require('../order.service');
+
+  if (status.status === PAYMENT_STATUS.PAID) {
+    // A payment for another amount is not applied automatically
+    if (discrepancy.providerAmount !== null && Math.round(discrepancy.providerAmount) !== Math.round(base.expectedAmount)) {
+      await recordDiscrepancy({ ...discrepancy, action: 'flagged', message: 'Paid amount differs from the order total' });
+      return OUTCOMES.FLAGGED;
+    }
+
+    await orderService.handlePaymentSuccess(order.id, { ...transaction, amount: discrepancy.providerAmount });
+    await recordDiscrepancy({ ...discrepancy, action: 'marked_paid', message: 'Paid at the provider; payment notification was not received' });
+    return OUTCOMES.MARKED_PAID;
+  }
+
+  if ([PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(status.status)) {
+    await orderService.handlePaymentFailed(order.id, {
+      ...transaction,
+      errorCode: status.errorCode,
+      errorMessage: status.errorMessage,
+    });
+    await recordDiscrepancy({ ...discrepancy, action: 'marked_failed', message: status.errorMessage || 'Payment failed at the provider' });
+    return OUTCOMES.MARKED_FAILED;
+  }
+
+  await recordDiscrepancy({ ...discrepancy, action: 'flagged', message: `Unexpected provider status: ${status.status}` });
+  return OUTCOMES.FLAGGED;
+}
+
+/**
+ * Log a discrepancy and keep it for the report
+ * A failure to store it must not undo the fix already applied
+ */
+async function recordDiscrepancy(discrepancy) {
+  console.warn(`[PaymentReconciliation] Order ${discrepancy.orderId} (${discrepancy.provider}): ` +
+    `local ${discrepancy.localStatus}, provider ${discrepancy.providerStatus || 'unknown'} -> ${discrepancy.action}`);
+
+  try {
+    await reconciliationRepository.createDiscrepancy(discrepancy);
+  } catch (error) {
+    console.error(`[PaymentReconciliation] Failed to store discrepancy for order ${discrepancy.orderId}:`, error.message);
+  }
+}
+
+/**
+ * Get reconciliation runs (newest first)
+ */
+async function getRuns({ page = 1, limit = 20 } = {}) {
+  const result = await reconciliationRepository.findRuns({ page, limit });
+
+  return {
+    runs: result.data.map(orderDTO.serializeReconciliationRun),
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+    },
+  };
+}
+
+/**
+ * Get a run with the discrepancies it found
+ */
+async function getRunReport(runId) {
+  const run = await reconciliationRepository.findRunById(runId);
+
+  if (!run) {
+    throw new AppError('RECONCILIATION_RUN_NOT_FOUND', 'Reconciliation run not found', 404);
+  }
+
+  const discrepancies = await reconciliationRepository.findDiscrepancies({ runId, limit: 1000 });
+
+  return {
+    run: orderDTO.serializeReconciliationRun(run),
+    discrepancies: discrepancies.data.map(orderDTO.serializeReconciliationDiscrepancy),
+  };
+}
+
+/**
+ * Get discrepancies across runs
+ * @param {object} filters - orderId, action, page, limit
+ */
+async function getDiscrepancies(filters = {}) {
+  const result = await reconciliationRepository.findDiscrepancies(filters);
+
+  return {
+    discrepancies: result.data.map(orderDTO.serializeReconciliationDiscrepancy),
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+    },
+  };
+}
+
+/**
+ * Register the reconciliation run as a recurring job
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(RECONCILIATION_JOB, () => runReconciliation(), {
+    intervalMs: RECONCILIATION_INTERVAL_MS,
+    maxAttempts: 3,
+  });
+}
+
+module.exports = {
+  RECONCILIATION_JOB,
+  runReconciliation,
+  reconcileOrder,
+  getRuns,
+  getRunReport,
+  getDiscrepancies,
+  registerJobHandlers,
+};
@@ -4,7 +4,17 @@
  */
 
 const orderRepository = require('../order.repository');
+const refundRepository = require('../refund.repository');
+const walletService = require('../../wallet/wallet.service');
+const orderDTO = require('../order.dto');
+const voucherService = require('./voucher.service');
+const flashSaleService = require('../../product/services/flash-sale.service');
+const stockService = require('./stock.service');
+const { getProvider, PAYMENT_STATUS, REFUND_STATUS } = require('./payment');
 const { AppError } = require('../../../shared/utils/error.util');
+const { getSetting, getNumberSetting } = require('../../../shared/utils/settings.util');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
 
 // Payment method constants
 const PAYMENT_METHODS = {
@@ -12,9 +22,25 @@ const PAYMENT_METHODS = {
   VNPAY: 'vnpay',
   MOMO: 'momo',
   ZALOPAY: 'zalopay',
+  INSTALLMENT: 'installment',
   WALLET: 'wallet',
 };
 
+// Payment methods refunded through an external provider
+const PROVIDER_REFUND_METHODS = [PAYMENT_METHODS.VNPAY, PAYMENT_METHODS.MOMO, PAYMENT_METHODS.ZALOPAY, PAYMENT_METHODS.INSTALLMENT];
+
+// Order payment statuses that still hold refundable money
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Payment methods that redirect to a gateway page (can be abandoned)
+const GATEWAY_PAYMENT_METHODS = [PAYMENT_METHODS.VNPAY, PAYMENT_METHODS.MOMO, PAYMENT_METHODS.ZALOPAY, PAYMENT_METHODS.INSTALLMENT];
+
+// Payment window (overridable via system_settings)
+const DEFAULT_PAYMENT_TIMEOUT_MINUTES = 15;
+const PAYMENT_TIMEOUT_ORDER_STATUSES = ['cancelled', 'payment_failed'];
+const PAYMENT_TIMEOUT_JOB = 'orders.payment_timeout';
+const PAYMENT_TIMEOUT_SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
 /**
  * Initiate payment for order
  */
@@ -34,6 +60,8 @@ async function initiatePayment(orderId, method) {
       return createMoMoPayment(order);
     case PAYMENT_METHODS.ZALOPAY:
       return createZaloPayPayment(order);
+    case PAYMENT_METHODS.INSTALLMENT:
+      return createInstallmentPayment(order);
     case PAYMENT_METHODS.WALLET:
       return handleWalletPayment(order);
     default:
@@ -150,17 +178,79 @@ async function createZaloPayPayment(order) {
   }
 }
 
+/**
+ * Create installment application with the terms accepted at checkout
+ */
+async function createInstallmentPayment(order) {
+  if (!order.installment_terms) {
+    throw new AppError('INSTALLMENT_PLAN_REQUIRED', 'Order has no installment plan', 400);
+  }
+  
+  const InstallmentProvider = require('./payment/providers/installment.provider');
+  const installmentProvider = new InstallmentProvider();
+  
+  let result;
+  try {
+    result = await installmentProvider.createPayment({
+      id: order.id,
+      orderNumber: order.order_number,
+      amount: order.grand_total,
+      currency: 'VND',
+      description: `Thanh toán trả góp đơn hàng ${order.order_number}`,
+    }, { installment: order.installment_terms });
+  } catch (error) {
+    console.error('[Payment] Installment application failed:', error.message);
+    throw new AppError('PAYMENT_FAILED', 'Failed to create installment application: ' + error.message, 500);
+  }
+  
+  // Status queries (timeout sweep, reconciliation) look the application up by this ID
+  await orderRepository.updateOrder(order.id, { paymentProviderOrderId: result.providerOrderId });
+  
+  return {
+    paymentId: result.paymentId,
+    payUrl: result.payUrl,
+    provider: PAYMENT_METHODS.INSTALLMENT,
+    installment: order.installment_terms,
+    expiresAt: result.expiresAt,
+  };
+}
+
 /**
  * Handle wallet payment
+ * Holds the order total in the customer's wallet, then captures it.
+ * If the order cannot be marked paid, the hold is released, or the capture
+ * reversed, so the checkout rollback never keeps the customer's money.
  */
 async function handleWalletPayment(order) {
-  // Wallet payment placeholder
-  // Would deduct from user's wallet balance
+  const amount = parseFloat(order.grand_total);
+  
+  // Throws INSUFFICIENT_BALANCE when the wallet cannot cover the order
+  await walletService.holdForOrder(order.user_id, order.id, amount);
+  
+  let capture;
+  try {
+    capture = await walletService.captureOrderHold(order.user_id, order.id);
+    
+    const orderService = require('../order.service');
+    await orderService.handlePaymentSuccess(order.id, {
+      provider: PAYMENT_METHODS.WALLET,
+      providerTransactionId: capture.transactionId,
+      amount,
+    });
+  } catch (error) {
+    if (capture) {
+      await walletService.refundOrderCapture(order.user_id, order.id);
+    } else {
+      await walletService.releaseOrderHold(order.user_id, order.id);
+    }
+    throw error;
+  }
   
   return {
     method: PAYMENT_METHODS.WALLET,
-    status: 'processing',
-    message: 'Processing wallet payment',
+    status: 'paid',
+    transactionId: capture.transactionId,
+    balance: capture.availableBalance,
   };
 }
 
@@ -197,11 +287,7 @@ async function handleVNPayCallback(data) {
     }
   } else {
     // Payment failed
-    await orderRepository.updatePaymentStatus(orderId, 'failed');
-    await orderRepository.updateOrderStatus(orderId, 'payment_failed');
-    
-    // Release reserved stock
-    await releaseStock(orderId);
+    await markPaymentFailed(orderId);
   }
 }
 
@@ -221,25 +307,167 @@ async function handleMoMoCallback(data) {
     }
   } else {
     // Payment failed
-    await orderRepository.updatePaymentStatus(orderId, 'failed');
-    await orderRepository.updateOrderStatus(orderId, 'payment_failed');
-    
+    await markPaymentFailed(orderId);
+  }
+}
+
+/**
+ * Mark order payment failed and release its reserved stock
+ * Stock is released only on the first failure (order still pending payment)
+ */
+async function markPaymentFailed(orderId) {
+  const order = await orderRepository.findOrderById(orderId);
+  const wasPending = !order || order.status === 'pending_payment';
+  
+  await orderRepository.updatePaymentStatus(orderId, 'failed');
+  await orderRepository.updateOrderStatus(orderId, 'payment_failed');
+  
+  if (wasPending) {
     await releaseStock(orderId);
   }
 }
 
 /**
- * Release reserved stock
+ * Release reserved stock of the order and give back claimed flash sale stock
+ * Sub-orders whose stock is no longer reserved are skipped, so a repeated call is harmless
  */
 async function releaseStock(orderId) {
-  // Would update product_variants.reserved_quantity
-  // Placeholder
+  try {
+    await stockService.releaseOrderStock(orderId);
+  } catch (error) {
+    console.error(`[PaymentService] Failed to release stock for order ${orderId}:`, error.message);
+  }
+  
+  try {
+    await flashSaleService.releaseOrderPurchases(orderId);
+  } catch (error) {
+    console.error(`[PaymentService] Failed to release flash sale purchases for order ${orderId}:`, error.message);
+  }
+}
+
+// ============================================
+// PAYMENT TIMEOUT
+// ============================================
+
+/**
+ * Get payment window settings
+ * @returns {Promise<{timeoutMinutes: number, expiredStatus: string}>}
+ */
+async function getPaymentTimeoutSettings() {
+  const timeoutMinutes = await getNumberSetting('payment_timeout_minutes', DEFAULT_PAYMENT_TIMEOUT_MINUTES);
+  const expiredStatus = await getSetting('payment_timeout_order_status', 'cancelled');
+  
+  return {
+    timeoutMinutes,
+    expiredStatus: PAYMENT_TIMEOUT_ORDER_STATUSES.includes(expiredStatus) ? expiredStatus : 'cancelled',
+  };
+}
+
+/**
+ * Expire gateway orders still unpaid after the payment window
+ * @param {Date} now - Current time
+ * @returns {Promise<{expired: number, paid: number, skipped: number}>}
+ */
+async function expireUnpaidOrders(now = new Date()) {
+  const settings = await getPaymentTimeoutSettings();
+  const cutoff = new Date(now.getTime() - settings.timeoutMinutes * 60 * 1000);
+  const orders = await orderRepository.findUnpaidOrdersCreatedBefore(GATEWAY_PAYMENT_METHODS, cutoff.toISOString());
+  
+  const result = { expired: 0, paid: 0, skipped: 0 };
+  
+  for (const order of orders) {
+    try {
+      const outcome = await expireUnpaidOrder(order, settings, now);
+      result[outcome]++;
+    } catch (error) {
+      result.skipped++;
+      console.error(`[PaymentService] Failed to expire order ${order.id}:`, error.message);
+    }
+  }
+  
+  if (orders.length > 0) {
+    console.log('[PaymentService] Payment timeout sweep:', result);
+  }
+  
+  return result;
+}
+
+/**
+ * Expire one unpaid order
+ * The gateway is asked first: a payment whose callback never arrived is applied instead.
+ * @returns {Promise<'expired'|'paid'|'skipped'>}
+ */
+async function expireUnpaidOrder(order, settings, now = new Date()) {
+  if (order.payment_provider_order_id) {
+    try {
+      const provider = getProvider(order.payment_method);
+      const status = await provider.getStatus(order.id, order.payment_provider_order_id);
+      
+      if (status.status === PAYMENT_STATUS.PAID) {
+        const orderService = require('../order.service');
+        await orderService.handlePaymentSuccess(order.id, {
+          provider: order.payment_method,
+          providerTransactionId: status.providerTransactionId,
+          amount: status.amount,
+        });
+        return 'paid';
+      }
+    } catch (error) {
+      // Gateway unreachable: give it one more payment window before expiring
+      const ageMs = now.getTime() - new Date(order.created_at).getTime();
+      if (ageMs < 2 * settings.timeoutMinutes * 60 * 1000) {
+        console.warn(`[PaymentService] Could not query ${order.payment_method} for order ${order.id}:`, error.message);
+        return 'skipped';
+      }
+    }
+  }
+  
+  const reason = `Hết thời gian thanh toán (${settings.timeoutMinutes} phút)`;
+  const expired = await orderRepository.expireUnpaidOrder(order.id, settings.expiredStatus, reason);
+  
+  if (!expired) {
+    // Paid or cancelled in the meantime
+    return 'skipped';
+  }
+  
+  await releaseStock(order.id);
+  
+  try {
+    await voucherService.restoreVoucher(order.id);
+  } catch (error) {
+    console.error(`[PaymentService] Failed to restore vouchers for order ${order.id}:`, error.message);
+  }
+  
+  // Order consumer logs the event and notifies the customer
+  await rabbitmq.publishOrderEvent('payment_failed', {
+    orderId: order.id,
+    provider: order.payment_method,
+    reason,
+    expired: true,
+    status: settings.expiredStatus,
+  });
+  
+  return 'expired';
+}
+
+/**
+ * Register the payment timeout sweep as a recurring job
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(PAYMENT_TIMEOUT_JOB, () => expireUnpaidOrders(), {
+    intervalMs: PAYMENT_TIMEOUT_SWEEP_INTERVAL_MS,
+    maxAttempts: 3,
+  });
 }
 
 /**
  * Process refund
+ * @param {string} orderId - Order ID
+ * @param {number} [amount] - Amount to refund (defaults to the remaining refundable amount)
+ * @param {object} [options] - reason, subOrderId, returnRequestId, requestedBy,
+ *   toWallet (credit Shoppi Pay wallet instead of the original payment method)
  */
-async function processRefund(orderId, amount) {
+async function processRefund(orderId, amount, options = {}) {
   const order = await orderRepository.findOrderById(orderId);
   
   if (!order) {
@@ -249,13 +477,23 @@ async function processRefund(orderId, amount) {
   // Process refund based on payment method
   switch (order.payment_method) {
     case PAYMENT_METHODS.VNPAY:
-      return processVNPayRefund(order, amount);
     case PAYMENT_METHODS.MOMO:
-      return processMoMoRefund(order, amount);
+    case PAYMENT_METHODS.ZALOPAY:
+    case PAYMENT_METHODS.INSTALLMENT:
+      assertRefundablePayment(order);
+      return options.toWallet
+        ? processWalletRefund(order, amount, options)
+        : processProviderRefund(order, amount, options);
     case PAYMENT_METHODS.WALLET:
-      return processWalletRefund(order, amount);
+      assertRefundablePayment(order);
+      return processWalletRefund(order, amount, options);
     case PAYMENT_METHODS.COD:
-      // No refund needed for COD
+      // COD money was collected in cash - it can only be refunded as wallet credit,
+      // and only once it was actually collected (payment_status paid on delivery)
+      if (options.toWallet) {
+        assertRefundablePayment(order);
+        return processWalletRefund(order, amount, options);
+      }
       return { status: 'not_applicable', message: 'COD orders do not require refund' };
     default:
       throw new AppError('INVALID_PAYMENT_METHOD', 'Cannot process refund', 400);
@@ -263,35 +501,369 @@ async function processRefund(orderId, amount) {
 }
 
 /**
- * Process VNPay refund (placeholder)
+ * Ensure an online payment has been captured
+ */
+function assertRefundablePayment(order) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    throw new AppError('ORDER_NOT_PAID', 'Order has no payment to refund', 400);
+  }
+}
+
+/**
+ * Get amount still refundable for an order
+ * Completed and in-flight refunds both count against the paid total
+ */
+async function getRefundableAmount(order) {
+  const refunds = await refundRepository.findRefundsByOrderId(order.id);
+  const reserved = refunds
+    .filter(r => r.status !== REFUND_STATUS.FAILED)
+    .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+  
+  return Math.max(0, parseFloat(order.grand_total) - reserved);
+}
+
+/**
+ * Validate requested refund amount against what is still refundable
+ * @returns {Promise<{refundAmount: number, isPartial: boolean}>}
+ */
+async function resolveRefundAmount(order, amount) {
+  const refundable = await getRefundableAmount(order);
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+  
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw new AppError(
+      'INVALID_REFUND_AMOUNT',
+      `Refund amount must be between 0 and ${refundable}`,
+      400
+    );
+  }
+  
+  return { refundAmount, isPartial: refundAmount < parseFloat(order.grand_total) };
+}
+
+/**
+ * Ensure the refund record was created
+ * The database refuses it when another refund took the remaining amount meanwhile
+ */
+function assertRefundCreated(refund) {
+  if (!refund) {
+    throw new AppError('INVALID_REFUND_AMOUNT', 'Refund amount exceeds the amount left to refund', 409);
+  }
+}
+
+/**
+ * Whether a refund request the provider did not complete was certainly not carried out
+ * A client error from the provider is a refusal; a timeout, a server error or a lost
+ * connection leaves the outcome unknown.
+ */
+function isRefundRejected(error) {
+  return error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 408;
+}
+
+/**
+ * Execute refund through the order's payment provider
+ * Creates a refund record first so the provider result can always be reconciled:
+ * the provider refund ID is stored before the request, and a request whose outcome
+ * is unknown (timeout, lost connection) stays processing until reconcileRefund
+ * settles it from the provider's status.
+ */
+async function processProviderRefund(order, amount, options = {}) {
+  if (!order.payment_provider_transaction_id) {
+    throw new AppError('TRANSACTION_NOT_FOUND', 'Payment transaction ID not found', 400);
+  }
+  
+  const { refundAmount, isPartial } = await resolveRefundAmount(order, amount);
+  const provider = getProvider(order.payment_method);
+  
+  const refund = await refundRepository.createRefund({
+    orderId: order.id,
+    subOrderId: options.subOrderId,
+    returnRequestId: options.returnRequestId,
+    provider: order.payment_method,
+    providerTransactionId: order.payment_provider_transaction_id,
+    refundType: isPartial ? 'partial' : 'full',
+    amount: refundAmount,
+    reason: options.reason,
+    requestedBy: options.requestedBy,
+  });
+  assertRefundCreated(refund);
+  
+  const requested = await refundRepository.updateRefund(refund.id, {
+    provider_refund_id: provider.generateRefundId(order.id),
+    status: REFUND_STATUS.PROCESSING,
+  });
+  
+  let result;
+  try {
+    result = await provider.refund(
+      order.id,
+      order.payment_provider_transaction_id,
+      refundAmount,
+      options.reason,
+      {
+        isPartial,
+        providerOrderId: order.payment_provider_order_id,
+        providerRefundId: requested.provider_refund_id,
+      }
+    );
+  } catch (error) {
+    if (!isRefundRejected(error)) {
+      console.warn(`[PaymentService] Refund ${refund.id} outcome unknown, left for reconciliation:`, error.message);
+      return applyRefundResult(requested, {
+        status: REFUND_STATUS.PROCESSING,
+        errorCode: 'PROVIDER_UNREACHABLE',
+        errorMessage: error.message,
+      });
+    }
+    
+    await applyRefundResult(requested, {
+      status: REFUND_STATUS.FAILED,
+      errorCode: 'PROVIDER_ERROR',
+      errorMessage: error.message,
+    });
+    throw new AppError('REFUND_FAILED', `Refund request failed: ${error.message}`, 502);
+  }
+  
+  const withProviderResponse = await refundRepository.updateRefund(refund.id, {
+    provider_response: result,
+  });
+  
+  return applyRefundResult(withProviderResponse, result);
+}
+
+/**
+ * Apply a provider refund result to a refund record
+ * Completed/failed records are final, so repeated callbacks are no-ops
+ * @param {object} refund - Refund record
+ * @param {object} result - RefundResult from provider (status, refundId, errorCode, errorMessage)
  */
-async function processVNPayRefund(order, amount) {
-  return { status: 'processing', message: 'VNPay refund initiated' };
+async function applyRefundResult(refund, result) {
+  if ([REFUND_STATUS.COMPLETED, REFUND_STATUS.FAILED].includes(refund.status)) {
+    return orderDTO.serializeRefund(refund);
+  }
+  
+  const status = Object.values(REFUND_STATUS).includes(result.status)
+    ? result.status
+    : REFUND_STATUS.PROCESSING;
+  
+  const updateData = {
+    status,
+    last_checked_at: new Date().toISOString(),
+    error_code: result.errorCode || null,
+    error_message: result.errorMessage || null,
+  };
+  if (result.refundId) {
+    updateData.provider_refund_transaction_id = String(result.refundId);
+  }
+  if (status === REFUND_STATUS.COMPLETED) {
+    updateData.completed_at = new Date().toISOString();
+  }
+  
+  const updated = await refundRepository.updateRefund(refund.id, updateData);
+  
+  if (status === REFUND_STATUS.COMPLETED) {
+    await syncOrderRefundStatus(updated.order_id);
+  }
+  
+  if (status === REFUND_STATUS.COMPLETED || status === REFUND_STATUS.FAILED) {
+    await notifyRefundSettled(updated);
+  }
+  
+  return orderDTO.serializeRefund(updated);
 }
 
 /**
- * Process MoMo refund (placeholder)
+ * Recalculate order payment status from completed refunds
  */
-async function processMoMoRefund(order, amount) {
-  return { status: 'processing', message: 'MoMo refund initiated' };
+async function syncOrderRefundStatus(orderId) {
+  const order = await orderRepository.findOrderById(orderId);
+  if (!order) return;
+  
+  const refunds = await refundRepository.findRefundsByOrderId(orderId);
+  const refundedTotal = refunds
+    .filter(r => r.status === REFUND_STATUS.COMPLETED)
+    .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+  
+  if (refundedTotal >= parseFloat(order.grand_total)) {
+    await orderRepository.updatePaymentStatus(orderId, 'refunded');
+    if (order.status === 'cancelled') {
+      await orderRepository.updateOrderStatus(orderId, 'refunded');
+    }
+  } else if (refundedTotal > 0) {
+    await orderRepository.updatePaymentStatus(orderId, 'partially_refunded');
+  }
 }
 
 /**
- * Process wallet refund
+ * Propagate a settled refund to its return request and publish event
  */
-async function processWalletRefund(order, amount) {
-  // Would credit user's wallet
-  return { status: 'completed', message: 'Wallet refund completed' };
+async function notifyRefundSettled(refund) {
+  if (refund.return_request_id) {
+    try {
+      const returnService = require('./return.service');
+      await returnService.applyRefundOutcome(refund.return_request_id, orderDTO.serializeRefund(refund));
+    } catch (error) {
+      console.error(`[PaymentService] Failed to update return request ${refund.return_request_id}:`, error.message);
+    }
+  }
+  
+  const eventType = refund.status === REFUND_STATUS.COMPLETED ? 'refund_completed' : 'refund_failed';
+  await rabbitmq.publishOrderEvent(eventType, {
+    orderId: refund.order_id,
+    subOrderId: refund.sub_order_id,
+    refundId: refund.id,
+    provider: refund.provider,
+    amount: parseFloat(refund.amount),
+    refundType: refund.refund_type,
+    errorCode: refund.error_code,
+  });
+}
+
+/**
+ * Reconcile a pending refund by querying the provider
+ */
+async function reconcileRefund(refundId) {
+  const refund = await refundRepository.findRefundById(refundId);
+  
+  if (!refund) {
+    throw new AppError('REFUND_NOT_FOUND', 'Refund not found', 404);
+  }
+  
+  if ([REFUND_STATUS.COMPLETED, REFUND_STATUS.FAILED].includes(refund.status)) {
+    return orderDTO.serializeRefund(refund);
+  }
+  
+  const order = await orderRepository.findOrderById(refund.order_id);
+  
+  // Wallet credit was interrupted - re-post it (idempotent per refund)
+  if (refund.provider === PAYMENT_METHODS.WALLET && order) {
+    const credit = await walletService.refundToWallet(order.user_id, parseFloat(refund.amount), {
+      refundId: refund.id,
+      orderId: order.id,
+      description: refund.reason,
+    });
+    return applyRefundResult(refund, { status: REFUND_STATUS.COMPLETED, refundId: credit.transactionId });
+  }
+  
+  if (!PROVIDER_REFUND_METHODS.includes(refund.provider) || !refund.provider_refund_id) {
+    return orderDTO.serializeRefund(refund);
+  }
+  
+  const provider = getProvider(refund.provider);
+  const result = await provider.getRefundStatus(
+    refund.provider_refund_id,
+    order ? order.payment_provider_order_id : null
+  );
+  
+  return applyRefundResult(refund, result);
+}
+
+/**
+ * Reconcile all refunds still waiting for a provider result
+ * @returns {Promise<{checked: number, completed: number, failed: number, errors: number}>}
+ */
+async function reconcilePendingRefunds(limit = 50) {
+  const refunds = await refundRepository.findRefundsAwaitingResult(limit);
+  const summary = { checked: 0, completed: 0, failed: 0, errors: 0 };
+  
+  for (const refund of refunds) {
+    try {
+      const result = await reconcileRefund(refund.id);
+      summary.checked++;
+      if (result.status === REFUND_STATUS.COMPLETED) summary.completed++;
+      if (result.status === REFUND_STATUS.FAILED) summary.failed++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`[PaymentService] Failed to reconcile refund ${refund.id}:`, error.message);
+    }
+  }
+  
+  return summary;
+}
+
+/**
+ * Handle refund result pushed by a provider callback
+ * @param {string} provider - Provider name
+ * @param {string} providerRefundId - Refund request ID we sent to the provider
+ * @param {object} result - RefundResult parsed from the callback
+ */
+async function handleRefundCallback(provider, providerRefundId, result) {
+  const refund = await refundRepository.findRefundByProviderRefundId(provider, providerRefundId);
+  
+  if (!refund) {
+    throw new AppError('REFUND_NOT_FOUND', 'Refund not found', 404);
+  }
+  
+  return applyRefundResult(refund, result);
+}
+
+/**
+ * Get refund records of an order
+ */
+async function getOrderRefunds(orderId) {
+  const refunds = await refundRepository.findRefundsByOrderId(orderId);
+  return refunds.map(orderDTO.serializeRefund);
+}
+
+/**
+ * Refund to the customer's wallet
+ * Wallet credits settle immediately, so the refund record completes in the same call
+ */
+async function processWalletRefund(order, amount, options = {}) {
+  const { refundAmount, isPartial } = await resolveRefundAmount(order, amount);
+  
+  const refund = await refundRepository.createRefund({
+    orderId: order.id,
+    subOrderId: options.subOrderId,
+    returnRequestId: options.returnRequestId,
+    provider: PAYMENT_METHODS.WALLET,
+    providerTransactionId: order.payment_provider_transaction_id,
+    refundType: isPartial ? 'partial' : 'full',
+    amount: refundAmount,
+    reason: options.reason,
+    requestedBy: options.requestedBy,
+  });
+  assertRefundCreated(refund);
+  
+  let credit;
+  try {
+    credit = await walletService.refundToWallet(order.user_id, refundAmount, {
+      refundId: refund.id,
+      orderId: order.id,
+      description: options.reason,
+      createdBy: options.requestedBy,
+    });
+  } catch (error) {
+    await applyRefundResult(refund, {
+      status: REFUND_STATUS.FAILED,
+      errorCode: error.code || 'WALLET_ERROR',
+      errorMessage: error.message,
+    });
+    throw new AppError('REFUND_FAILED', `Wallet refund failed: ${error.message}`, error.statusCode || 500);
+  }
+  
+  return applyRefundResult(refund, {
+    status: REFUND_STATUS.COMPLETED,
+    refundId: credit.transactionId,
+  });
 }
 
 module.exports = {
   PAYMENT_METHODS,
+  GATEWAY_PAYMENT_METHODS,
   initiatePayment,
   handleCallback,
   processRefund,
+  getRefundableAmount,
+  reconcileRefund,
+  reconcilePendingRefunds,
+  handleRefundCallback,
+  getOrderRefunds,
   handleCODPayment,
   createVNPayPayment,
   createMoMoPayment,
   handleWalletPayment,
   releaseStock,
+  expireUnpaidOrders,
+  registerJobHandlers,
 };
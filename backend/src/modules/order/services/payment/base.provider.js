@@ -126,6 +126,17 @@ class BasePaymentProvider extends PaymentProviderInterface {
     return `${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
   }
 
+  /**
+   * Generate the ID of a refund request
+   * Made before the request and stored with the refund, so a refund whose response
+   * was lost can still be looked up with getRefundStatus.
+   * @param {string} paymentId - Internal payment ID
+   * @returns {string}
+   */
+  generateRefundId(paymentId) {
+    return `refund_${paymentId}_${Date.now()}`;
+  }
+
   /**
    * Format amount for provider (some require integer, some decimal)
    * @param {number} amount - Amount in VND
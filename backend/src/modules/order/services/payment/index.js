@@ -7,6 +7,7 @@
 const {
   PaymentProviderInterface,
   PAYMENT_STATUS,
+  REFUND_STATUS,
   PAYMENT_PROVIDERS,
   PAYMENT_ERRORS,
 } = require('./payment.interface');
@@ -18,15 +19,17 @@ const BasePaymentProvider = require('./base.provider');
 const MoMoProvider = require('./providers/momo.provider');
 const VNPayProvider = require('./providers/vnpay.provider');
 const ZaloPayProvider = require('./providers/zalopay.provider');
+const InstallmentProvider = require('./providers/installment.provider');
 
 // Webhooks
 const { handleMoMoCallback } = require('./webhooks/momo.webhook');
 const { handleVNPayReturn, handleVNPayIPN } = require('./webhooks/vnpay.webhook');
 const { handleZaloPayCallback } = require('./webhooks/zalopay.webhook');
+const { handleInstallmentCallback, handleInstallmentReturn } = require('./webhooks/installment.webhook');
 
 /**
  * Get payment provider by name
- * @param {string} providerName - Provider name (momo, vnpay, zalopay)
+ * @param {string} providerName - Provider name (momo, vnpay, zalopay, installment)
  * @returns {BasePaymentProvider}
  */
 function getProvider(providerName) {
@@ -34,6 +37,7 @@ function getProvider(providerName) {
     [PAYMENT_PROVIDERS.MOMO]: MoMoProvider,
     [PAYMENT_PROVIDERS.VNPAY]: VNPayProvider,
     [PAYMENT_PROVIDERS.ZALOPAY]: ZaloPayProvider,
+    [PAYMENT_PROVIDERS.INSTALLMENT]: InstallmentProvider,
   };
 
   const ProviderClass = providers[providerName];
@@ -51,6 +55,7 @@ module.exports = {
   
   // Constants
   PAYMENT_STATUS,
+  REFUND_STATUS,
   PAYMENT_PROVIDERS,
   PAYMENT_ERRORS,
   
@@ -58,6 +63,7 @@ module.exports = {
   MoMoProvider,
   VNPayProvider,
   ZaloPayProvider,
+  InstallmentProvider,
   getProvider,
   
   // Webhooks
@@ -65,4 +71,6 @@ module.exports = {
   handleVNPayReturn,
   handleVNPayIPN,
   handleZaloPayCallback,
+  handleInstallmentCallback,
+  handleInstallmentReturn,
 };
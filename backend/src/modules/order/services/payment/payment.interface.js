@@ -31,12 +31,26 @@
  * @typedef {Object} RefundResult
  * @property {boolean} success - Whether refund was successful
  * @property {string} refundId - Refund transaction ID
+ * @property {string} providerRefundId - Refund request ID sent to provider (used to query status)
  * @property {number} amount - Refunded amount
- * @property {string} status - Refund status
+ * @property {string} status - Refund status (completed, processing, failed)
  * @property {string} [errorCode] - Error code if failed
  * @property {string} [errorMessage] - Error message if failed
  */
 
+/**
+ * @typedef {Object} InstallmentTerms
+ * @property {string} planId - Installment plan ID
+ * @property {string} planCode - Plan code known to the provider
+ * @property {number} tenorMonths - Number of monthly payments (1 = pay later)
+ * @property {number} monthlyInterestRate - Flat % of the financed amount per month
+ * @property {number} conversionFeeRate - % of the financed amount, charged once
+ * @property {number} financedAmount - Order amount financed
+ * @property {number} totalPayable - Financed amount + interest + conversion fee
+ * @property {number} monthlyPayment - Amount of each payment
+ * @property {Array<{month: number, amount: number}>} schedule - Repayment schedule
+ */
+
 /**
  * Payment Provider Interface
  * All payment providers must implement these methods
@@ -50,6 +64,15 @@ class PaymentProviderInterface {
     throw new Error('Provider must implement name getter');
   }
 
+  /**
+   * Whether the provider finances orders in installments
+   * Such providers require options.installment in createPayment
+   * @type {boolean}
+   */
+  get supportsInstallments() {
+    return false;
+  }
+
   /**
    * Create a payment session
    * @param {Object} order - Order data
@@ -59,6 +82,7 @@ class PaymentProviderInterface {
    * @param {string} order.currency - Currency code (VND)
    * @param {string} order.description - Payment description
    * @param {Object} [options] - Additional options
+   * @param {InstallmentTerms} [options.installment] - Terms accepted at checkout (installment providers)
    * @returns {Promise<PaymentSession>}
    */
   async createPayment(order, options = {}) {
@@ -100,11 +124,25 @@ class PaymentProviderInterface {
    * @param {string} providerTransactionId - Provider's transaction ID
    * @param {number} amount - Amount to refund
    * @param {string} [reason] - Refund reason
+   * @param {Object} [options] - Additional options
+   * @param {boolean} [options.isPartial] - Whether this is a partial refund
+   * @param {string} [options.providerOrderId] - Provider's order ID of the original payment
+   * @param {string} [options.providerRefundId] - Refund request ID from generateRefundId
    * @returns {Promise<RefundResult>}
    */
-  async refund(paymentId, providerTransactionId, amount, reason) {
+  async refund(paymentId, providerTransactionId, amount, reason, options = {}) {
     throw new Error('Provider must implement refund method');
   }
+
+  /**
+   * Get refund status from provider
+   * @param {string} providerRefundId - Refund request ID returned by refund()
+   * @param {string} [providerOrderId] - Provider's order ID of the original payment
+   * @returns {Promise<RefundResult>}
+   */
+  async getRefundStatus(providerRefundId, providerOrderId) {
+    throw new Error('Provider must implement getRefundStatus method');
+  }
 }
 
 // Payment status constants
@@ -118,12 +156,21 @@ const PAYMENT_STATUS = {
   PARTIALLY_REFUNDED: 'partially_refunded',
 };
 
+// Refund status constants
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
 // Payment provider constants
 const PAYMENT_PROVIDERS = {
   COD: 'cod',
   MOMO: 'momo',
   VNPAY: 'vnpay',
   ZALOPAY: 'zalopay',
+  INSTALLMENT: 'installment',
   WALLET: 'wallet',
 };
 
@@ -138,11 +185,13 @@ const PAYMENT_ERRORS = {
   AMOUNT_MISMATCH: { code: 'PAY_007', message: 'Amount mismatch' },
   PROVIDER_ERROR: { code: 'PAY_008', message: 'Payment provider error' },
   TIMEOUT: { code: 'PAY_009', message: 'Payment timeout' },
+  INSTALLMENT_TERMS_REQUIRED: { code: 'PAY_010', message: 'Installment terms are required' },
 };
 
 module.exports = {
   PaymentProviderInterface,
   PAYMENT_STATUS,
+  REFUND_STATUS,
   PAYMENT_PROVIDERS,
   PAYMENT_ERRORS,
 };
@@ -0,0 +1,299 @@
+/**
+ * Installment Payment Provider
+ * Integration with an installment / pay-later (BNPL) partner
+ *
+ * The customer is redirected to the partner to apply for financing under the
+ * plan chosen at checkout. The partner approves or rejects the application and
+ * notifies us (IPN); an approved application means the partner pays the order.
+ *
+ * Requests and callbacks are signed with HMAC-SHA256 over the sorted
+ * key=value pairs of the body. Without INSTALLMENT_ENDPOINT the provider talks
+ * to the local sandbox (see ../sandbox/installment.sandbox.js).
+ */
+
+const BasePaymentProvider = require('../base.provider');
+const { PAYMENT_STATUS, PAYMENT_ERRORS } = require('../payment.interface');
+const { AppError } = require('../../../../../shared/utils/error.util');
+
+// Application statuses reported by the partner
+const APPLICATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+};
+
+const APPLICATION_PAYMENT_STATUS = {
+  [APPLICATION_STATUS.PENDING]: PAYMENT_STATUS.PENDING,
+  [APPLICATION_STATUS.APPROVED]: PAYMENT_STATUS.PAID,
+  [APPLICATION_STATUS.REJECTED]: PAYMENT_STATUS.FAILED,
+  [APPLICATION_STATUS.CANCELLED]: PAYMENT_STATUS.FAILED,
+  [APPLICATION_STATUS.EXPIRED]: PAYMENT_STATUS.FAILED,
+};
+
+const REFUND_STATUSES = ['completed', 'processing', 'failed'];
+
+class InstallmentProvider extends BasePaymentProvider {
+  constructor() {
+    super({
+      baseUrl: process.env.INSTALLMENT_ENDPOINT
+        || `${process.env.APP_URL || 'http://localhost:3000'}/sandbox/installment`,
+      timeout: 30000,
+    });
+
+    this.partnerCode = process.env.INSTALLMENT_PARTNER_CODE;
+    this.secretKey = process.env.INSTALLMENT_SECRET_KEY;
+
+    if (!this.partnerCode || !this.secretKey) {
+      console.warn('[Installment] Missing configuration. Payment will not work.');
+    }
+  }
+
+  get name() {
+    return 'installment';
+  }
+
+  get supportsInstallments() {
+    return true;
+  }
+
+  /**
+   * Sign a request or callback body
+   * @param {Object} data - Body without signature
+   * @returns {string} - Hex signature
+   */
+  sign(data) {
+    const rawSignature = Object.keys(data)
+      .filter(key => key !== 'signature' && data[key] !== undefined && data[key] !== null)
+      .sort()
+      .map(key => `${key}=${data[key]}`)
+      .join('&');
+
+    return this.generateHmacSha256(rawSignature, this.secretKey);
+  }
+
+  /**
+   * Verify callback signature
+   * @param {Object} data - Callback body
+   * @returns {boolean}
+   */
+  verifySignature(data) {
+    return typeof data.signature === 'string' && data.signature === this.sign(data);
+  }
+
+  /**
+   * Send a signed request to the partner
+   * @param {string} path - API path
+   * @param {Object} body - Body without partnerCode, requestId and signature
+   * @returns {Promise<Object>}
+   */
+  async request(path, body) {
+    const requestBody = {
+      partnerCode: this.partnerCode,
+      requestId: body.requestId || this.generateRequestId(),
+      ...body,
+    };
+    requestBody.signature = this.sign(requestBody);
+
+    return this.makeRequest(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      body: JSON.stringify(requestBody),
+    });
+  }
+
+  /**
+   * Create an installment application
+   * @param {Object} order - Order data
+   * @param {Object} options - Additional options (installment terms are required)
+   * @returns {Promise<Object>}
+   */
+  async createPayment(order, options = {}) {
+    this.validateOrder(order);
+
+    const terms = options.installment;
+    if (!terms || !terms.planCode || !terms.tenorMonths) {
+      throw new AppError(
+        PAYMENT_ERRORS.INSTALLMENT_TERMS_REQUIRED.code,
+        PAYMENT_ERRORS.INSTALLMENT_TERMS_REQUIRED.message,
+        400
+      );
+    }
+
+    this.logEvent('createPayment', { orderId: order.id, amount: order.amount, planCode: terms.planCode });
+
+    const orderId = `${order.id}_${Date.now()}`;
+    const amount = this.formatAmount(order.amount);
+
+    try {
+      const response = await this.request('/applications', {
+        orderId,
+        amount,
+        planCode: terms.planCode,
+        tenorMonths: terms.tenorMonths,
+        orderInfo: this.buildOrderInfo(order),
+        redirectUrl: options.returnUrl || this.getReturnUrl('installment'),
+        ipnUrl: options.notifyUrl || this.getNotifyUrl('installment'),
+      });
+
+      if (response.resultCode !== 0) {
+        throw new AppError(
+          PAYMENT_ERRORS.PROVIDER_ERROR.code,
+          response.message || 'Installment application failed',
+          400
+        );
+      }
+
+      return {
+        paymentId: order.id,
+        providerOrderId: orderId,
+        providerTransactionId: response.applicationId,
+        payUrl: response.payUrl,
+        provider: this.name,
+        amount,
+        status: PAYMENT_STATUS.PENDING,
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
+        rawResponse: response,
+      };
+    } catch (error) {
+      this.logEvent('createPayment:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Process application result callback
+   * @param {Object} data - Callback body
+   * @returns {Promise<Object>}
+   */
+  async processCallback(data) {
+    this.logEvent('processCallback', data);
+
+    if (!this.verifySignature(data)) {
+      throw new AppError(
+        PAYMENT_ERRORS.SIGNATURE_INVALID.code,
+        PAYMENT_ERRORS.SIGNATURE_INVALID.message,
+        400
+      );
+    }
+
+    return this.parseApplication(data.orderId, data);
+  }
+
+  /**
+   * Query application status
+   * @param {string} paymentId - Internal payment ID
+   * @param {string} providerOrderId - Order ID sent with the application
+   * @returns {Promise<Object>}
+   */
+  async getStatus(paymentId, providerOrderId) {
+    try {
+      const response = await this.request('/applications/query', { orderId: providerOrderId });
+
+      if (response.resultCode !== 0) {
+        throw new AppError(
+          PAYMENT_ERRORS.PROVIDER_ERROR.code,
+          response.message || 'Installment status query failed',
+          400
+        );
+      }
+
+      return this.parseApplication(providerOrderId, response);
+    } catch (error) {
+      this.logEvent('getStatus:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Map an application to a payment result
+   * @param {string} providerOrderId - Order ID sent with the application
+   * @param {Object} application - Callback or query body
+   * @returns {Object}
+   */
+  parseApplication(providerOrderId, application) {
+    const status = APPLICATION_PAYMENT_STATUS[application.status] || PAYMENT_STATUS.PENDING;
+    const isSuccess = status === PAYMENT_STATUS.PAID;
+
+    return {
+      success: isSuccess,
+      paymentId: String(providerOrderId).split('_')[0],
+      providerOrderId,
+      providerTransactionId: application.applicationId,
+      amount: parseInt(application.amount, 10),
+      status,
+      tenorMonths: application.tenorMonths ? parseInt(application.tenorMonths, 10) : null,
+      errorCode: status === PAYMENT_STATUS.FAILED ? `INSTALLMENT_${String(application.status).toUpperCase()}` : null,
+      errorMessage: status === PAYMENT_STATUS.FAILED ? application.message || null : null,
+      rawData: application,
+    };
+  }
+
+  /**
+   * Refund an approved application (the partner cancels or reduces the financing)
+   * @param {string} paymentId - Internal payment ID
+   * @param {string} providerTransactionId - Application ID
+   * @param {number} amount - Amount to refund
+   * @param {string} reason - Refund reason
+   * @param {Object} [options] - Refund options
+   * @param {string} [options.providerRefundId] - Refund requestId from generateRefundId
+   * @returns {Promise<Object>}
+   */
+  async refund(paymentId, providerTransactionId, amount, reason = '', options = {}) {
+    const refundRequestId = options.providerRefundId || this.generateRefundId(paymentId);
+
+    try {
+      const response = await this.request('/refunds', {
+        requestId: refundRequestId,
+        orderId: options.providerOrderId,
+        applicationId: providerTransactionId,
+        amount: this.formatAmount(amount),
+        description: reason || `Refund for order ${paymentId}`,
+      });
+
+      return this.parseRefund(refundRequestId, response, amount);
+    } catch (error) {
+      this.logEvent('refund:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Query refund status
+   * @param {string} providerRefundId - Request ID of the refund
+   * @returns {Promise<Object>}
+   */
+  async getRefundStatus(providerRefundId) {
+    try {
+      const response = await this.request('/refunds/query', { refundRequestId: providerRefundId });
+      return this.parseRefund(providerRefundId, response);
+    } catch (error) {
+      this.logEvent('getRefundStatus:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Map a refund response to a refund result
+   * @returns {Object}
+   */
+  parseRefund(providerRefundId, response, amount) {
+    const status = response.resultCode === 0 && REFUND_STATUSES.includes(response.status)
+      ? response.status
+      : 'failed';
+
+    return {
+      success: status === 'completed',
+      refundId: response.refundId,
+      providerRefundId,
+      amount,
+      status,
+      errorCode: status === 'failed' ? `INSTALLMENT_${response.resultCode}` : null,
+      errorMessage: status === 'failed' ? response.message : null,
+    };
+  }
+}
+
+InstallmentProvider.APPLICATION_STATUS = APPLICATION_STATUS;
+
+module.exports = InstallmentProvider;
@@ -28,8 +28,18 @@ const MOMO_RESULT_CODES = {
   INVALID_ORDER: 1004,
   TRANSACTION_DENIED: 1005,
   TRANSACTION_TIMEOUT: 1006,
+  PROCESSING: 7000,
 };
 
+// Result codes of a payment that will not complete (anything else may still be paid)
+const MOMO_FAILED_CODES = [
+  MOMO_RESULT_CODES.FAILED,
+  MOMO_RESULT_CODES.INVALID_AMOUNT,
+  MOMO_RESULT_CODES.INVALID_ORDER,
+  MOMO_RESULT_CODES.TRANSACTION_DENIED,
+  MOMO_RESULT_CODES.TRANSACTION_TIMEOUT,
+];
+
 class MoMoProvider extends BasePaymentProvider {
   constructor() {
     super({
@@ -249,13 +259,17 @@ class MoMoProvider extends BasePaymentProvider {
 
       const isSuccess = response.resultCode === MOMO_RESULT_CODES.SUCCESS;
 
+      let status = PAYMENT_STATUS.PENDING;
+      if (isSuccess) status = PAYMENT_STATUS.PAID;
+      else if (MOMO_FAILED_CODES.includes(response.resultCode)) status = PAYMENT_STATUS.FAILED;
+
       return {
         success: isSuccess,
         paymentId,
         providerOrderId,
         providerTransactionId: response.transId,
         amount: response.amount,
-        status: isSuccess ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PENDING,
+        status,
         errorCode: isSuccess ? null : `MOMO_${response.resultCode}`,
         errorMessage: isSuccess ? null : response.message,
       };
@@ -271,11 +285,13 @@ class MoMoProvider extends BasePaymentProvider {
    * @param {string} providerTransactionId - MoMo transaction ID
    * @param {number} amount - Amount to refund
    * @param {string} reason - Refund reason
+   * @param {Object} [options] - Refund options (MoMo handles full and partial refunds alike)
+   * @param {string} [options.providerRefundId] - Refund orderId from generateRefundId
    * @returns {Promise<Object>}
    */
-  async refund(paymentId, providerTransactionId, amount, reason = '') {
+  async refund(paymentId, providerTransactionId, amount, reason = '', options = {}) {
     const requestId = this.generateRequestId();
-    const orderId = `refund_${paymentId}_${Date.now()}`;
+    const orderId = options.providerRefundId || this.generateRefundId(paymentId);
     const description = reason || `Refund for order ${paymentId}`;
 
     const rawSignature = [
@@ -307,21 +323,84 @@ class MoMoProvider extends BasePaymentProvider {
         body: JSON.stringify(requestBody),
       });
 
-      const isSuccess = response.resultCode === MOMO_RESULT_CODES.SUCCESS;
+      const status = this.mapRefundResultCode(response.resultCode);
 
       return {
-        success: isSuccess,
+        success: status === 'completed',
         refundId: response.transId,
+        providerRefundId: orderId,
         amount,
-        status: isSuccess ? 'completed' : 'failed',
-        errorCode: isSuccess ? null : `MOMO_${response.resultCode}`,
-        errorMessage: isSuccess ? null : response.message,
+        status,
+        errorCode: status === 'completed' ? null : `MOMO_${response.resultCode}`,
+        errorMessage: status === 'completed' ? null : response.message,
       };
     } catch (error) {
       this.logEvent('refund:error', { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Query refund status from MoMo
+   * @param {string} providerRefundId - orderId used for the refund request
+   * @returns {Promise<Object>}
+   */
+  async getRefundStatus(providerRefundId) {
+    const requestId = this.generateRequestId();
+
+    const rawSignature = [
+      `accessKey=${this.accessKey}`,
+      `orderId=${providerRefundId}`,
+      `partnerCode=${this.partnerCode}`,
+      `requestId=${requestId}`,
+    ].join('&');
+
+    const requestBody = {
+      partnerCode: this.partnerCode,
+      requestId,
+      orderId: providerRefundId,
+      signature: this.generateHmacSha256(rawSignature, this.secretKey),
+      lang: 'vi',
+    };
+
+    try {
+      const response = await this.makeRequest(`${this.baseUrl}/refund/query`, {
+        method: 'POST',
+        body: JSON.stringify(requestBody),
+      });
+
+      const refundTrans = (response.refundTrans || [])
+        .find(t => t.orderId === providerRefundId);
+      const resultCode = refundTrans ? refundTrans.resultCode : response.resultCode;
+      const status = this.mapRefundResultCode(resultCode);
+
+      return {
+        success: status === 'completed',
+        refundId: refundTrans ? refundTrans.transId : response.transId,
+        providerRefundId,
+        amount: refundTrans ? refundTrans.amount : response.amount,
+        status,
+        errorCode: status === 'completed' ? null : `MOMO_${resultCode}`,
+        errorMessage: status === 'completed' ? null : response.message,
+      };
+    } catch (error) {
+      this.logEvent('getRefundStatus:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Map MoMo result code of a refund
+   * @param {number} resultCode
+   * @returns {string} completed | processing | failed
+   */
+  mapRefundResultCode(resultCode) {
+    if (resultCode === MOMO_RESULT_CODES.SUCCESS) return 'completed';
+    if (resultCode === MOMO_RESULT_CODES.PENDING || resultCode === MOMO_RESULT_CODES.PROCESSING) {
+      return 'processing';
+    }
+    return 'failed';
+  }
 }
 
 module.exports = MoMoProvider;
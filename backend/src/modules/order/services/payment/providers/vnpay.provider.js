@@ -41,6 +41,15 @@ const VNPAY_RESPONSE_CODES = {
   OTHER_ERROR: '99',
 };
 
+// VNPay transaction status of a failed payment (querydr)
+const VNPAY_TRANSACTION_FAILED = '02';
+
+// VNPay refund transaction types
+const VNPAY_REFUND_TYPES = {
+  FULL: '02',
+  PARTIAL: '03',
+};
+
 class VNPayProvider extends BasePaymentProvider {
   constructor() {
     super({
@@ -289,7 +298,15 @@ class VNPayProvider extends BasePaymentProvider {
         body: JSON.stringify(queryParams),
       });
 
-      const isSuccess = response.vnp_ResponseCode === VNPAY_RESPONSE_CODES.SUCCESS;
+      // vnp_ResponseCode is the query result; vnp_TransactionStatus is the payment result
+      const isSuccess = response.vnp_ResponseCode === VNPAY_RESPONSE_CODES.SUCCESS
+        && response.vnp_TransactionStatus === VNPAY_RESPONSE_CODES.SUCCESS;
+
+      // Transaction status 02: the payment went through VNPay and failed
+      let status = PAYMENT_STATUS.PENDING;
+      if (isSuccess) status = PAYMENT_STATUS.PAID;
+      else if (response.vnp_ResponseCode === VNPAY_RESPONSE_CODES.SUCCESS
+        && response.vnp_TransactionStatus === VNPAY_TRANSACTION_FAILED) status = PAYMENT_STATUS.FAILED;
 
       return {
         success: isSuccess,
@@ -297,7 +314,7 @@ class VNPayProvider extends BasePaymentProvider {
         providerOrderId,
         providerTransactionId: response.vnp_TransactionNo,
         amount: response.vnp_Amount ? parseInt(response.vnp_Amount, 10) / 100 : 0,
-        status: isSuccess ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PENDING,
+        status,
         errorCode: isSuccess ? null : `VNPAY_${response.vnp_ResponseCode}`,
         errorMessage: isSuccess ? null : response.vnp_Message,
       };
@@ -307,25 +324,40 @@ class VNPayProvider extends BasePaymentProvider {
     }
   }
 
+  /**
+   * Generate vnp_RequestId of a refund request
+   * @returns {string}
+   */
+  generateRefundId() {
+    return this.generateRequestId();
+  }
+
   /**
    * Process refund via VNPay
    * @param {string} paymentId - Internal payment ID
    * @param {string} providerTransactionId - VNPay transaction ID
    * @param {number} amount - Amount to refund
    * @param {string} reason - Refund reason
+   * @param {Object} [options] - Refund options
+   * @param {boolean} [options.isPartial] - Partial refund (transaction type 03)
+   * @param {string} [options.providerOrderId] - vnp_TxnRef of the original payment
+   * @param {string} [options.providerRefundId] - vnp_RequestId from generateRefundId
    * @returns {Promise<Object>}
    */
-  async refund(paymentId, providerTransactionId, amount, reason = '') {
+  async refund(paymentId, providerTransactionId, amount, reason = '', options = {}) {
     const requestDate = this.formatDate(new Date());
     const ipAddr = '127.0.0.1';
+    const requestId = options.providerRefundId || this.generateRefundId(paymentId);
 
     const refundParams = {
-      vnp_RequestId: this.generateRequestId(),
+      vnp_RequestId: requestId,
       vnp_Version: '2.1.0',
       vnp_Command: 'refund',
       vnp_TmnCode: this.tmnCode,
-      vnp_TransactionType: '02', // Full refund
-      vnp_TxnRef: `refund_${paymentId}_${Date.now()}`,
+      vnp_TransactionType: options.isPartial
+        ? VNPAY_REFUND_TYPES.PARTIAL
+        : VNPAY_REFUND_TYPES.FULL,
+      vnp_TxnRef: options.providerOrderId || paymentId,
       vnp_Amount: amount * 100,
       vnp_OrderInfo: reason || `Refund for order ${paymentId}`,
       vnp_TransactionNo: providerTransactionId,
@@ -348,12 +380,16 @@ class VNPayProvider extends BasePaymentProvider {
       });
 
       const isSuccess = response.vnp_ResponseCode === VNPAY_RESPONSE_CODES.SUCCESS;
+      const status = isSuccess
+        ? this.mapRefundTransactionStatus(response.vnp_TransactionStatus)
+        : 'failed';
 
       return {
         success: isSuccess,
         refundId: response.vnp_TransactionNo,
+        providerRefundId: requestId,
         amount,
-        status: isSuccess ? 'completed' : 'failed',
+        status,
         errorCode: isSuccess ? null : `VNPAY_${response.vnp_ResponseCode}`,
         errorMessage: isSuccess ? null : response.vnp_Message,
       };
@@ -362,6 +398,82 @@ class VNPayProvider extends BasePaymentProvider {
       throw error;
     }
   }
+
+  /**
+   * Query refund status from VNPay
+   * VNPay has no dedicated refund query; querydr on the original TxnRef
+   * reports the latest transaction type and status of the order.
+   * @param {string} providerRefundId - vnp_RequestId of the refund request
+   * @param {string} providerOrderId - vnp_TxnRef of the original payment
+   * @returns {Promise<Object>}
+   */
+  async getRefundStatus(providerRefundId, providerOrderId) {
+    const requestDate = this.formatDate(new Date());
+
+    const queryParams = {
+      vnp_RequestId: this.generateRequestId(),
+      vnp_Version: '2.1.0',
+      vnp_Command: 'querydr',
+      vnp_TmnCode: this.tmnCode,
+      vnp_TxnRef: providerOrderId,
+      vnp_OrderInfo: `Query refund ${providerRefundId}`,
+      vnp_TransactionDate: requestDate,
+      vnp_CreateDate: requestDate,
+      vnp_IpAddr: '127.0.0.1',
+    };
+
+    const sortedParams = this.sortObject(queryParams);
+    const signData = this.buildQueryString(sortedParams);
+    queryParams.vnp_SecureHash = this.generateSha512(this.hashSecret + signData);
+
+    try {
+      const response = await this.makeRequest(this.apiUrl, {
+        method: 'POST',
+        body: JSON.stringify(queryParams),
+      });
+
+      if (response.vnp_ResponseCode !== VNPAY_RESPONSE_CODES.SUCCESS) {
+        return {
+          success: false,
+          providerRefundId,
+          status: 'processing',
+          errorCode: `VNPAY_${response.vnp_ResponseCode}`,
+          errorMessage: response.vnp_Message,
+        };
+      }
+
+      const isRefundTxn = [VNPAY_REFUND_TYPES.FULL, VNPAY_REFUND_TYPES.PARTIAL]
+        .includes(response.vnp_TransactionType);
+      const status = isRefundTxn
+        ? this.mapRefundTransactionStatus(response.vnp_TransactionStatus)
+        : 'processing';
+
+      return {
+        success: status === 'completed',
+        refundId: response.vnp_TransactionNo,
+        providerRefundId,
+        amount: response.vnp_Amount ? parseInt(response.vnp_Amount, 10) / 100 : 0,
+        status,
+        errorCode: status === 'failed' ? `VNPAY_TXN_${response.vnp_TransactionStatus}` : null,
+        errorMessage: status === 'failed' ? response.vnp_Message : null,
+      };
+    } catch (error) {
+      this.logEvent('getRefundStatus:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Map VNPay vnp_TransactionStatus of a refund transaction
+   * @param {string} transactionStatus
+   * @returns {string} completed | processing | failed
+   */
+  mapRefundTransactionStatus(transactionStatus) {
+    // Refund API responses may omit the status when the refund is applied immediately
+    if (!transactionStatus || transactionStatus === '00') return 'completed';
+    if (transactionStatus === '05' || transactionStatus === '06') return 'processing';
+    return 'failed';
+  }
 }
 
 module.exports = VNPayProvider;
@@ -278,18 +278,29 @@ class ZaloPayProvider extends BasePaymentProvider {
     }
   }
 
+  /**
+   * Generate m_refund_id (yymmdd_appid_unique)
+   * @returns {string}
+   */
+  generateRefundId() {
+    const uid = `${Date.now()}${Math.floor(Math.random() * 1000000)}`;
+    return `${this.formatDate(new Date())}_${this.appId}_${uid}`;
+  }
+
   /**
    * Process refund via ZaloPay
    * @param {string} paymentId - Internal payment ID
    * @param {string} providerTransactionId - ZaloPay zp_trans_id
    * @param {number} amount - Amount to refund
    * @param {string} reason - Refund reason
+   * @param {Object} [options] - Refund options (ZaloPay handles full and partial refunds alike)
+   * @param {string} [options.providerRefundId] - m_refund_id from generateRefundId
    * @returns {Promise<Object>}
    */
-  async refund(paymentId, providerTransactionId, amount, reason = '') {
+  async refund(paymentId, providerTransactionId, amount, reason = '', options = {}) {
     const timestamp = Date.now();
-    const uid = `${timestamp}${Math.floor(Math.random() * 1000000)}`;
     const description = reason || `Refund for order ${paymentId}`;
+    const mRefundId = options.providerRefundId || this.generateRefundId(paymentId);
 
     const macData = [
       this.appId,
@@ -307,7 +318,7 @@ class ZaloPayProvider extends BasePaymentProvider {
       amount,
       description,
       timestamp,
-      m_refund_id: `${this.formatDate(new Date())}_${this.appId}_${uid}`,
+      m_refund_id: mRefundId,
       mac,
     };
 
@@ -320,21 +331,73 @@ class ZaloPayProvider extends BasePaymentProvider {
         body: new URLSearchParams(requestBody).toString(),
       });
 
-      const isSuccess = response.return_code === ZALOPAY_RETURN_CODES.SUCCESS;
+      const status = this.mapRefundReturnCode(response.return_code);
 
       return {
-        success: isSuccess,
+        success: status === 'completed',
         refundId: response.refund_id,
+        providerRefundId: mRefundId,
         amount,
-        status: isSuccess ? 'completed' : 'failed',
-        errorCode: isSuccess ? null : `ZALOPAY_${response.return_code}`,
-        errorMessage: isSuccess ? null : response.return_message,
+        status,
+        errorCode: status === 'completed' ? null : `ZALOPAY_${response.return_code}`,
+        errorMessage: status === 'completed' ? null : response.return_message,
       };
     } catch (error) {
       this.logEvent('refund:error', { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Query refund status from ZaloPay
+   * @param {string} providerRefundId - m_refund_id used for the refund request
+   * @returns {Promise<Object>}
+   */
+  async getRefundStatus(providerRefundId) {
+    const timestamp = Date.now();
+    const macData = `${this.appId}|${providerRefundId}|${timestamp}`;
+
+    const requestBody = {
+      app_id: parseInt(this.appId, 10),
+      m_refund_id: providerRefundId,
+      timestamp,
+      mac: this.generateHmacSha256(macData, this.key1),
+    };
+
+    try {
+      const response = await this.makeRequest(`${this.baseUrl}/query_refund`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams(requestBody).toString(),
+      });
+
+      const status = this.mapRefundReturnCode(response.return_code);
+
+      return {
+        success: status === 'completed',
+        providerRefundId,
+        status,
+        errorCode: status === 'completed' ? null : `ZALOPAY_${response.return_code}`,
+        errorMessage: status === 'completed' ? null : response.return_message,
+      };
+    } catch (error) {
+      this.logEvent('getRefundStatus:error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Map ZaloPay return code of a refund
+   * @param {number} returnCode
+   * @returns {string} completed | processing | failed
+   */
+  mapRefundReturnCode(returnCode) {
+    if (returnCode === ZALOPAY_RETURN_CODES.SUCCESS) return 'completed';
+    if (returnCode === ZALOPAY_RETURN_CODES.PROCESSING) return 'processing';
+    return 'failed';
+  }
 }
 
 module.exports = ZaloPayProvider;
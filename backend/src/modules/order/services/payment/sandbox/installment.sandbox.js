@@ -0,0 +1,208 @@
+/**
+ * Installment Partner Sandbox
+ * Local stand-in for the installment partner API, for development and testing
+ *
+ * Mounted at /sandbox/installment when INSTALLMENT_SANDBOX=true. It shares
+ * INSTALLMENT_PARTNER_CODE / INSTALLMENT_SECRET_KEY with the provider, keeps
+ * applications in memory and lets the customer approve or reject on a
+ * sandbox page, then sends the signed IPN and redirects back like the partner.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const InstallmentProvider = require('../providers/installment.provider');
+
+const { APPLICATION_STATUS } = InstallmentProvider;
+const signer = new InstallmentProvider();
+
+const applications = new Map(); // applicationId -> application
+const refunds = new Map();      // refund requestId -> refund
+
+/**
+ * Answer with a result code, as the partner does
+ */
+function reply(res, resultCode, message, data = {}) {
+  res.json({ resultCode, message, ...data });
+}
+
+/**
+ * Reject requests not signed with the shared secret
+ */
+function verifyRequest(req, res, next) {
+  if (req.body.partnerCode !== signer.partnerCode || !signer.verifySignature(req.body)) {
+    return reply(res, 1, 'Invalid signature');
+  }
+  next();
+}
+
+function findByOrderId(orderId) {
+  return [...applications.values()].find(application => application.orderId === orderId);
+}
+
+/**
+ * Signed application result, as sent in the IPN and the return URL
+ */
+function buildResult(application) {
+  const result = {
+    partnerCode: signer.partnerCode,
+    orderId: application.orderId,
+    applicationId: application.applicationId,
+    status: application.status,
+    amount: application.amount,
+    tenorMonths: application.tenorMonths,
+    message: application.status === APPLICATION_STATUS.APPROVED ? 'Approved' : 'Application was not approved',
+    responseTime: Date.now(),
+  };
+  result.signature = signer.sign(result);
+  return result;
+}
+
+const router = express.Router();
+
+/**
+ * POST /applications - open an application
+ */
+router.post('/applications', verifyRequest, (req, res) => {
+  const { orderId, amount, planCode, tenorMonths, redirectUrl, ipnUrl } = req.body;
+
+  if (!orderId || !(amount > 0) || !planCode || !tenorMonths) {
+    return reply(res, 2, 'orderId, amount, planCode and tenorMonths are required');
+  }
+  if (findByOrderId(orderId)) {
+    return reply(res, 3, 'Duplicate orderId');
+  }
+
+  const application = {
+    applicationId: `APP${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+    orderId,
+    amount: Number(amount),
+    planCode,
+    tenorMonths: Number(tenorMonths),
+    redirectUrl,
+    ipnUrl,
+    status: APPLICATION_STATUS.PENDING,
+    refunded: 0,
+  };
+  applications.set(application.applicationId, application);
+
+  reply(res, 0, 'Application created', {
+    applicationId: application.applicationId,
+    payUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/pay/${application.applicationId}`,
+  });
+});
+
+/**
+ * POST /applications/query - application status
+ */
+router.post('/applications/query', verifyRequest, (req, res) => {
+  const application = findByOrderId(req.body.orderId);
+
+  if (!application) {
+    return reply(res, 4, 'Application not found');
+  }
+
+  reply(res, 0, 'Success', {
+    applicationId: application.applicationId,
+    status: application.status,
+    amount: application.amount,
+    tenorMonths: application.tenorMonths,
+  });
+});
+
+/**
+ * POST /refunds - refund (part of) an approved application
+ */
+router.post('/refunds', verifyRequest, (req, res) => {
+  const { requestId, applicationId, amount } = req.body;
+  const application = applications.get(applicationId);
+
+  if (!application || application.status !== APPLICATION_STATUS.APPROVED) {
+    return reply(res, 4, 'No approved application to refund');
+  }
+
+  const refundable = application.amount - application.refunded;
+  const status = Number(amount) > 0 && Number(amount) <= refundable ? 'completed' : 'failed';
+  if (status === 'completed') {
+    application.refunded += Number(amount);
+  }
+
+  const refund = { refundId: `RF${crypto.randomBytes(6).toString('hex').toUpperCase()}`, status };
+  refunds.set(requestId, refund);
+
+  reply(res, 0, status === 'completed' ? 'Refunded' : 'Amount exceeds refundable amount', refund);
+});
+
+/**
+ * POST /refunds/query - refund status
+ */
+router.post('/refunds/query', verifyRequest, (req, res) => {
+  const refund = refunds.get(req.body.refundRequestId);
+
+  if (!refund) {
+    return reply(res, 4, 'Refund not found');
+  }
+
+  reply(res, 0, 'Success', refund);
+});
+
+/**
+ * GET /pay/:applicationId - page where the customer approves or rejects
+ */
+router.get('/pay/:applicationId', (req, res) => {
+  const application = applications.get(req.params.applicationId);
+
+  if (!application) {
+    return res.status(404).send('Application not found');
+  }
+
+  const base = `${req.baseUrl}/pay/${application.applicationId}`;
+  res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Installment Sandbox</title></head>
+<body>
+  <h1>Installment Sandbox</h1>
+  <p>Order ${application.orderId}: ${application.amount.toLocaleString('vi-VN')} VND over ${application.tenorMonths} month(s), plan ${application.planCode}</p>
+  <p>Status: ${application.status}</p>
+  <p><a href="${base}/approve">Approve</a> | <a href="${base}/reject">Reject</a></p>
+</body>
+</html>`);
+});
+
+/**
+ * GET /pay/:applicationId/:decision - decide, send the IPN, return the customer
+ */
+router.get('/pay/:applicationId/:decision', async (req, res) => {
+  const application = applications.get(req.params.applicationId);
+  const decisions = { approve: APPLICATION_STATUS.APPROVED, reject: APPLICATION_STATUS.REJECTED };
+
+  if (!application || !decisions[req.params.decision]) {
+    return res.status(404).send('Application not found');
+  }
+
+  if (application.status === APPLICATION_STATUS.PENDING) {
+    application.status = decisions[req.params.decision];
+  }
+
+  const result = buildResult(application);
+
+  if (application.ipnUrl) {
+    try {
+      await fetch(application.ipnUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(result),
+      });
+    } catch (error) {
+      console.error('[Installment Sandbox] IPN failed:', error.message);
+    }
+  }
+
+  if (!application.redirectUrl) {
+    return res.json(result);
+  }
+
+  const separator = application.redirectUrl.includes('?') ? '&' : '?';
+  res.redirect(`${application.redirectUrl}${separator}${new URLSearchParams(result).toString()}`);
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+/**
+ * Installment Webhook Handler
+ * Handles application result callbacks from the installment partner
+ *
+ * - Verify signature using HMAC-SHA256
+ * - Approved application: order paid; rejected, cancelled or expired: payment failed
+ * - Publish PAYMENT_SUCCESS/PAYMENT_FAILED events
+ */
+
+const InstallmentProvider = require('../providers/installment.provider');
+const orderService = require('../../../order.service');
+const webhookInboxService = require('../../webhook-inbox.service');
+const { publishOrderEvent } = require('../../../../../shared/rabbitmq/rabbitmq.client');
+const { AppError } = require('../../../../../shared/utils/error.util');
+const { PAYMENT_STATUS, PAYMENT_ERRORS } = require('../payment.interface');
+
+const installmentProvider = new InstallmentProvider();
+
+/**
+ * Handle installment IPN callback
+ * The callback goes through the webhook inbox, so a replay is acknowledged without being applied again
+ * @param {Object} data - Callback body
+ * @returns {Promise<Object>}
+ */
+async function handleInstallmentCallback(data) {
+  console.log('[Installment Webhook] Received callback:', JSON.stringify(data));
+
+  try {
+    const { status, result } = await webhookInboxService.receiveWebhook({
+      source: 'payment',
+      provider: 'installment',
+      // An application reports pending before its result, so the status is part of the key
+      eventKey: `${data.orderId}:${data.applicationId}:${data.status}`,
+      payload: data,
+      signature: data.signature,
+      signatureValid: webhookInboxService.checkSignature(() => installmentProvider.verifySignature(data)),
+    });
+
+    if (status === 'rejected') {
+      throw new AppError(PAYMENT_ERRORS.SIGNATURE_INVALID.code, PAYMENT_ERRORS.SIGNATURE_INVALID.message, 400);
+    }
+
+    if (status === 'duplicate') {
+      return { resultCode: 0, message: 'Callback already received' };
+    }
+
+    return result;
+  } catch (error) {
+    console.error('[Installment Webhook] Error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Verify the customer's return from the partner
+ * The order is updated by the IPN; the return only tells where to send the customer
+ * @param {Object} data - Return query params
+ * @returns {Object} success, orderId, errorMessage
+ */
+function handleInstallmentReturn(data) {
+  if (!installmentProvider.verifySignature(data)) {
+    throw new AppError(PAYMENT_ERRORS.SIGNATURE_INVALID.code, PAYMENT_ERRORS.SIGNATURE_INVALID.message, 400);
+  }
+
+  const result = installmentProvider.parseApplication(data.orderId, data);
+
+  return {
+    success: result.success,
+    orderId: result.paymentId,
+    errorMessage: result.errorMessage,
+  };
+}
+
+/**
+ * Apply an installment callback (webhook inbox processor)
+ * @param {Object} data - Callback body
+ * @returns {Promise<Object>}
+ */
+async function processInstallmentCallback(data) {
+  // Process callback through provider (includes signature verification)
+  const result = await installmentProvider.processCallback(data);
+
+  // Pending applications change nothing yet
+  if (result.status === PAYMENT_STATUS.PENDING) {
+    return { resultCode: 0, message: 'Application pending' };
+  }
+
+  // Update payment status in database
+  await updatePaymentStatus(result);
+
+  // Publish event
+  await publishPaymentEvent(result);
+
+  return { resultCode: 0, message: 'Callback processed successfully' };
+}
+
+webhookInboxService.registerProcessor('installment', processInstallmentCallback);
+
+/**
+ * Update payment status in database via order service
+ * @param {Object} result - Payment result from provider
+ */
+async function updatePaymentStatus(result) {
+  const { paymentId, status, providerTransactionId, amount, errorCode, errorMessage } = result;
+
+  try {
+    // Delegate to order service (proper module boundary)
+    if (status === PAYMENT_STATUS.PAID) {
+      await orderService.handlePaymentSuccess(paymentId, {
+        provider: 'installment',
+        providerTransactionId,
+        amount,
+      });
+    } else if (status === PAYMENT_STATUS.FAILED) {
+      await orderService.handlePaymentFailed(paymentId, {
+        provider: 'installment',
+        providerTransactionId,
+        errorCode,
+        errorMessage,
+      });
+    }
+  } catch (error) {
+    console.error('[Installment Webhook] Failed to update payment status:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Publish payment event to RabbitMQ
+ * @param {Object} result - Payment result
+ */
+async function publishPaymentEvent(result) {
+  const { paymentId, status, amount, providerTransactionId, tenorMonths } = result;
+
+  try {
+    const eventType = status === PAYMENT_STATUS.PAID ? 'payment_success' : 'payment_failed';
+
+    await publishOrderEvent(eventType, {
+      orderId: paymentId,
+      provider: 'installment',
+      providerTransactionId,
+      tenorMonths,
+      amount,
+      status,
+      timestamp: new Date().toISOString(),
+    });
+
+    console.log(`[Installment Webhook] Published ${eventType} event for order ${paymentId}`);
+  } catch (error) {
+    console.error('[Installment Webhook] Failed to publish event:', error.message);
+  }
+}
+
+module.exports = {
+  handleInstallmentCallback,
+  handleInstallmentReturn,
+};
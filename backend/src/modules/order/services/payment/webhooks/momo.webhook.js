@@ -10,13 +10,16 @@
 
 const MoMoProvider = require('../providers/momo.provider');
 const orderService = require('../../../order.service');
+const webhookInboxService = require('../../webhook-inbox.service');
 const { publishOrderEvent } = require('../../../../../shared/rabbitmq/rabbitmq.client');
-const { PAYMENT_STATUS } = require('../payment.interface');
+const { AppError } = require('../../../../../shared/utils/error.util');
+const { PAYMENT_STATUS, PAYMENT_ERRORS } = require('../payment.interface');
 
 const momoProvider = new MoMoProvider();
 
 /**
  * Handle MoMo IPN callback
+ * The callback goes through the webhook inbox, so a replay is acknowledged without being applied again
  * @param {Object} data - IPN data from MoMo
  * @returns {Promise<Object>}
  */
@@ -24,25 +27,91 @@ async function handleMoMoCallback(data) {
   console.log('[MoMo Webhook] Received callback:', JSON.stringify(data));
 
   try {
-    // Process callback through provider (includes signature verification)
-    const result = await momoProvider.processCallback(data);
+    const { status, result } = await webhookInboxService.receiveWebhook({
+      source: 'payment',
+      provider: 'momo',
+      eventKey: `${data.orderId}:${data.transId}`,
+      payload: data,
+      signature: data.signature,
+      signatureValid: webhookInboxService.checkSignature(() => momoProvider.verifySignature(data)),
+    });
 
-    // Update payment status in database
-    await updatePaymentStatus(result);
+    if (status === 'rejected') {
+      throw new AppError(PAYMENT_ERRORS.SIGNATURE_INVALID.code, PAYMENT_ERRORS.SIGNATURE_INVALID.message, 400);
+    }
 
-    // Publish event
-    await publishPaymentEvent(result);
+    if (status === 'duplicate') {
+      return {
+        success: true,
+        message: 'Callback already received',
+      };
+    }
 
-    return {
-      success: true,
-      message: 'Callback processed successfully',
-    };
+    return result;
   } catch (error) {
     console.error('[MoMo Webhook] Error:', error.message);
     throw error;
   }
 }
 
+/**
+ * Apply a MoMo IPN callback (webhook inbox processor)
+ * @param {Object} data - IPN data from MoMo
+ * @returns {Promise<Object>}
+ */
+async function processMoMoCallback(data) {
+  // Process callback through provider (includes signature verification)
+  const result = await momoProvider.processCallback(data);
+
+  // Refund requests use their own orderId (refund_<orderId>_<timestamp>)
+  if (isRefundCallback(result)) {
+    await updateRefundStatus(result);
+    return {
+      success: true,
+      message: 'Refund callback processed successfully',
+    };
+  }
+
+  // Update payment status in database
+  await updatePaymentStatus(result);
+
+  // Publish event
+  await publishPaymentEvent(result);
+
+  return {
+    success: true,
+    message: 'Callback processed successfully',
+  };
+}
+
+webhookInboxService.registerProcessor('momo', processMoMoCallback);
+
+/**
+ * Check whether callback belongs to a refund request
+ * @param {Object} result - Parsed callback result
+ * @returns {boolean}
+ */
+function isRefundCallback(result) {
+  return typeof result.providerOrderId === 'string' && result.providerOrderId.startsWith('refund_');
+}
+
+/**
+ * Update refund record via payment service
+ * @param {Object} result - Parsed callback result
+ */
+async function updateRefundStatus(result) {
+  // Lazy require - payment.service depends on this module through the payment index
+  const paymentService = require('../../payment.service');
+  const { rawData } = result;
+
+  await paymentService.handleRefundCallback('momo', result.providerOrderId, {
+    status: momoProvider.mapRefundResultCode(Number(rawData.resultCode)),
+    refundId: rawData.transId,
+    errorCode: result.errorCode,
+    errorMessage: result.errorMessage,
+  });
+}
+
 /**
  * Update payment status in database via order service
  * @param {Object} result - Payment result from provider
@@ -10,11 +10,36 @@
 
 const VNPayProvider = require('../providers/vnpay.provider');
 const orderService = require('../../../order.service');
+const webhookInboxService = require('../../webhook-inbox.service');
 const { publishOrderEvent } = require('../../../../../shared/rabbitmq/rabbitmq.client');
-const { PAYMENT_STATUS } = require('../payment.interface');
+const { AppError } = require('../../../../../shared/utils/error.util');
+const { PAYMENT_STATUS, PAYMENT_ERRORS } = require('../payment.interface');
 
 const vnpayProvider = new VNPayProvider();
 
+/**
+ * Store a return URL or IPN callback in the webhook inbox
+ * Both carry the same transaction, so whichever arrives second is a duplicate
+ * @param {Object} data - Callback params from VNPay
+ * @returns {Promise<Object>} Inbox outcome
+ */
+async function receiveCallback(data) {
+  const outcome = await webhookInboxService.receiveWebhook({
+    source: 'payment',
+    provider: 'vnpay',
+    eventKey: `${data.vnp_TxnRef}:${data.vnp_TransactionNo}`,
+    payload: data,
+    signature: data.vnp_SecureHash,
+    signatureValid: webhookInboxService.checkSignature(() => vnpayProvider.verifySignature(data)),
+  });
+
+  if (outcome.status === 'rejected') {
+    throw new AppError(PAYMENT_ERRORS.SIGNATURE_INVALID.code, PAYMENT_ERRORS.SIGNATURE_INVALID.message, 400);
+  }
+
+  return outcome;
+}
+
 /**
  * Handle VNPay return URL callback
  * @param {Object} data - Query params from VNPay return URL
@@ -24,11 +49,10 @@ async function handleVNPayReturn(data) {
   console.log('[VNPay Return] Received callback:', JSON.stringify(data));
 
   try {
-    // Process callback through provider (includes signature verification)
-    const result = await vnpayProvider.processCallback(data);
+    await receiveCallback(data);
 
-    // Update payment status in database
-    await updatePaymentStatus(result);
+    // Already applied or not: the customer is redirected by what VNPay reported
+    const result = await vnpayProvider.processCallback(data);
 
     return {
       success: result.success,
@@ -51,14 +75,11 @@ async function handleVNPayIPN(data) {
   console.log('[VNPay IPN] Received callback:', JSON.stringify(data));
 
   try {
-    // Process callback through provider (includes signature verification)
-    const result = await vnpayProvider.processCallback(data);
-
-    // Update payment status in database
-    await updatePaymentStatus(result);
+    const { status } = await receiveCallback(data);
 
-    // Publish event
-    await publishPaymentEvent(result);
+    if (status === 'duplicate') {
+      return { RspCode: '02', Message: 'Order already confirmed' };
+    }
 
     // Return VNPay expected response format
     return {
@@ -76,6 +97,29 @@ async function handleVNPayIPN(data) {
   }
 }
 
+/**
+ * Apply a VNPay callback (webhook inbox processor)
+ * @param {Object} data - Callback params from VNPay
+ * @returns {Promise<Object>}
+ */
+async function processVNPayCallback(data) {
+  // Process callback through provider (includes signature verification)
+  const result = await vnpayProvider.processCallback(data);
+
+  // Update payment status in database
+  await updatePaymentStatus(result);
+
+  // Publish event
+  await publishPaymentEvent(result);
+
+  return {
+    success: result.success,
+    orderId: result.paymentId,
+  };
+}
+
+webhookInboxService.registerProcessor('vnpay', processVNPayCallback);
+
 /**
  * Update payment status in database via order service
  * @param {Object} result - Payment result from provider
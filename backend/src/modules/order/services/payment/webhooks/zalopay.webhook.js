@@ -10,13 +10,16 @@
 
 const ZaloPayProvider = require('../providers/zalopay.provider');
 const orderService = require('../../../order.service');
+const webhookInboxService = require('../../webhook-inbox.service');
 const { publishOrderEvent } = require('../../../../../shared/rabbitmq/rabbitmq.client');
-const { PAYMENT_STATUS } = require('../payment.interface');
+const { AppError } = require('../../../../../shared/utils/error.util');
+const { PAYMENT_STATUS, PAYMENT_ERRORS } = require('../payment.interface');
 
 const zalopayProvider = new ZaloPayProvider();
 
 /**
  * Handle ZaloPay callback
+ * The callback goes through the webhook inbox, so a replay is acknowledged without being applied again
  * @param {Object} data - Callback data from ZaloPay
  * @returns {Promise<Object>}
  */
@@ -24,16 +27,24 @@ async function handleZaloPayCallback(data) {
   console.log('[ZaloPay Webhook] Received callback:', JSON.stringify(data));
 
   try {
-    // Process callback through provider (includes mac verification)
-    const result = await zalopayProvider.processCallback(data);
+    const { status } = await webhookInboxService.receiveWebhook({
+      source: 'payment',
+      provider: 'zalopay',
+      eventKey: getEventKey(data),
+      payload: data,
+      signature: data.mac,
+      signatureValid: webhookInboxService.checkSignature(() => zalopayProvider.verifySignature(data)),
+    });
 
-    // Update payment status in database
-    await updatePaymentStatus(result);
+    if (status === 'rejected') {
+      throw new AppError(PAYMENT_ERRORS.SIGNATURE_INVALID.code, PAYMENT_ERRORS.SIGNATURE_INVALID.message, 400);
+    }
 
-    // Publish event
-    await publishPaymentEvent(result);
+    // Return ZaloPay expected response format (return_code 2 tells ZaloPay the callback was a duplicate)
+    if (status === 'duplicate') {
+      return { return_code: 2, return_message: 'already processed' };
+    }
 
-    // Return ZaloPay expected response format
     return {
       return_code: 1,
       return_message: 'success',
@@ -49,6 +60,43 @@ async function handleZaloPayCallback(data) {
   }
 }
 
+/**
+ * Webhook inbox key: the transaction inside the signed data string
+ * @param {Object} data - Callback data from ZaloPay
+ * @returns {string}
+ */
+function getEventKey(data) {
+  try {
+    const { app_trans_id, zp_trans_id } = JSON.parse(data.data);
+    return `${app_trans_id}:${zp_trans_id}`;
+  } catch {
+    return webhookInboxService.hashPayload(data);
+  }
+}
+
+/**
+ * Apply a ZaloPay callback (webhook inbox processor)
+ * @param {Object} data - Callback data from ZaloPay
+ * @returns {Promise<Object>}
+ */
+async function processZaloPayCallback(data) {
+  // Process callback through provider (includes mac verification)
+  const result = await zalopayProvider.processCallback(data);
+
+  // Update payment status in database
+  await updatePaymentStatus(result);
+
+  // Publish event
+  await publishPaymentEvent(result);
+
+  return {
+    success: result.success,
+    orderId: result.paymentId,
+  };
+}
+
+webhookInboxService.registerProcessor('zalopay', processZaloPayCallback);
+
 /**
  * Update payment status in database via order service
  * @param {Object} result - Payment result from provider
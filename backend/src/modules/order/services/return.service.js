@@ -15,6 +15,9 @@
 const { supabaseAdmin } = require('../../../shared/supabase/supabase.client');
 const { NotFoundError, ValidationError, ForbiddenError } = require('../../../shared/utils/error.util');
 const { v4: uuidv4 } = require('uuid');
+const rabbitmqClient = require('../../../shared/rabbitmq/rabbitmq.client');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const stockService = require('./stock.service');
 
 // Return window in days (Shopee: 7-15 days depending on category)
 const RETURN_WINDOW_DAYS = 15;
@@ -25,6 +28,14 @@ const SHOP_RESPONSE_DEADLINE_DAYS = 3;
 // Customer shipping deadline after approval
 const CUSTOMER_SHIP_DEADLINE_DAYS = 7;
 
+// Remind both parties this long before a deadline
+const DEADLINE_REMINDER_HOURS = 24;
+
+// Deadline sweep (scheduled job)
+const RETURN_DEADLINE_SWEEP_JOB = 'returns.deadline_sweep';
+const RETURN_DEADLINE_SWEEP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const RETURN_DEADLINE_SWEEP_BATCH = 100;
+
 // Valid reasons for return (matching Shopee)
 const RETURN_REASONS = {
     not_received: 'Chưa nhận được hàng',
@@ -45,6 +56,9 @@ const EVIDENCE_REQUIRED_REASONS = [
     'fake_product', 'missing_parts', 'wrong_quantity'
 ];
 
+// Returned goods with these reasons are not sellable again, so they are not restocked
+const NON_RESTOCKABLE_REASONS = ['damaged', 'defective'];
+
 // Status transitions
 const STATUS_TRANSITIONS = {
     pending: ['approved', 'rejected', 'cancelled', 'escalated'],
@@ -63,6 +77,17 @@ const STATUS_TRANSITIONS = {
 // CREATE RETURN REQUEST
 // ============================================
 
+/**
+ * Amount paid for some units of an order item
+ * The line price minus its share of the vouchers allocated at checkout (order_items.discount_amount)
+ */
+function getItemRefundAmount(orderItem, quantity) {
+    const unitPrice = parseFloat(orderItem.unit_price);
+    const discount = parseFloat(orderItem.discount_amount) || 0;
+
+    return Math.max(Math.round(unitPrice * quantity - discount * quantity / orderItem.quantity), 0);
+}
+
 /**
  * Create a return request
  * @param {string} customerId - Customer user ID
@@ -148,7 +173,7 @@ async function createReturnRequest(customerId, data) {
             }
             const quantity = item.quantity || orderItem.quantity;
             const totalPrice = (orderItem.unit_price * quantity);
-            refundAmount += totalPrice;
+            refundAmount += getItemRefundAmount(orderItem, quantity);
             
             returnItems.push({
                 order_item_id: orderItem.id,
@@ -164,7 +189,7 @@ async function createReturnRequest(customerId, data) {
     } else {
         // Full return - all items
         for (const orderItem of orderItems) {
-            refundAmount += parseFloat(orderItem.total_price);
+            refundAmount += getItemRefundAmount(orderItem, orderItem.quantity);
             returnItems.push({
                 order_item_id: orderItem.id,
                 product_id: orderItem.product_id,
@@ -321,6 +346,8 @@ async function resolveEscalation(returnRequestId, adminId, decision, data = {})
 
     if (decision === 'approved') {
         updateData.shop_response = 'Admin đã duyệt yêu cầu trả hàng';
+        updateData.ship_deadline = getShipDeadline().toISOString();
+        updateData.deadline_reminder_sent_at = null;
     }
 
     const { data: updated, error } = await supabaseAdmin
@@ -384,6 +411,8 @@ async function updateStatusByShop(returnRequestId, shopId, newStatus, data = {})
         updateData.shop_response = data.response || 'Đồng ý yêu cầu trả hàng';
         updateData.shop_responded_at = new Date().toISOString();
         updateData.shop_responded_by = data.respondedBy;
+        updateData.ship_deadline = getShipDeadline().toISOString();
+        updateData.deadline_reminder_sent_at = null;
     } else if (newStatus === 'rejected') {
         if (!data.response) {
             throw new ValidationError('Rejection reason is required');
@@ -425,9 +454,62 @@ async function updateStatusByShop(returnRequestId, shopId, newStatus, data = {})
             .eq('id', returnRequest.subOrderId);
     }
 
+    // Goods are back at the shop
+    if (newStatus === 'received') {
+        try {
+            await restockReturnedItems(returnRequest);
+        } catch (error) {
+            console.error(`[ReturnService] Failed to restock return ${returnRequest.id}:`, error.message);
+        }
+    }
+
     return serializeReturnRequest(updated);
 }
 
+/**
+ * Put the items of a received return back in stock
+ * Only goods actually sent back, from a sub-order whose stock was deducted on delivery
+ * @param {object} returnRequest - Serialized return request
+ * @returns {Promise<boolean>} Whether the items were restocked by this call
+ */
+async function restockReturnedItems(returnRequest) {
+    if (returnRequest.requestType === 'refund_only' || NON_RESTOCKABLE_REASONS.includes(returnRequest.reason)) {
+        return false;
+    }
+
+    const { data: subOrder } = await supabaseAdmin
+        .from('sub_orders')
+        .select('stock_status')
+        .eq('id', returnRequest.subOrderId)
+        .single();
+
+    if (!subOrder || subOrder.stock_status !== stockService.STOCK_STATUS.DEDUCTED) {
+        return false;
+    }
+
+    // Claim the restock so a repeated call does not count the items twice
+    const { data: claimed, error } = await supabaseAdmin
+        .from('return_requests')
+        .update({ restocked_at: new Date().toISOString() })
+        .eq('id', returnRequest.id)
+        .is('restocked_at', null)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to mark return restocked: ${error.message}`);
+    }
+    if (!claimed || claimed.length === 0) {
+        return false;
+    }
+
+    await stockService.restockItems(returnRequest.items.map(item => ({
+        variant_id: item.variantId,
+        quantity: item.quantity,
+    })));
+
+    return true;
+}
+
 /**
  * Update return request status (Customer)
  * @param {string} returnRequestId - Return request ID
@@ -487,6 +569,374 @@ async function updateStatusByCustomer(returnRequestId, customerId, newStatus, da
     return serializeReturnRequest(updated);
 }
 
+// ============================================
+// REFUND
+// ============================================
+
+/**
+ * Refund a received return (Shop)
+ * Online payments go back to the original provider unless wallet credit is requested;
+ * COD and wallet orders are credited to the customer's Shoppi Pay wallet.
+ * Request stays in refunding until the refund completes.
+ * @param {string} returnRequestId - Return request ID
+ * @param {string} shopId - Shop ID (for authorization)
+ * @param {object} data - respondedBy, refundMethod ('original' | 'wallet')
+ * @returns {Promise<object>}
+ */
+async function processReturnRefund(returnRequestId, shopId, data = {}) {
+    // Lazy require - payment.service notifies this module when refunds settle
+    const paymentService = require('./payment.service');
+
+    if (data.refundMethod && !['original', 'wallet'].includes(data.refundMethod)) {
+        throw new ValidationError('Refund method must be original or wallet');
+    }
+
+    const returnRequest = await updateStatusByShop(returnRequestId, shopId, 'refunding', {
+        respondedBy: data.respondedBy,
+    });
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('payment_method')
+            .eq('id', returnRequest.orderId)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to get order: ${error.message}`);
+        }
+
+        await paymentService.processRefund(returnRequest.orderId, returnRequest.refundAmount, {
+            reason: `Return ${returnRequest.requestNumber}`,
+            subOrderId: returnRequest.subOrderId,
+            returnRequestId,
+            requestedBy: data.respondedBy,
+            toWallet: data.refundMethod === 'wallet' || ['cod', 'wallet'].includes(order.payment_method),
+        });
+    } catch (error) {
+        await revertRefunding(returnRequestId, error.message);
+        throw error;
+    }
+
+    return getReturnRequestById(returnRequestId);
+}
+
+/**
+ * Apply settled provider refund to its return request (System)
+ * Called by payment service when a refund completes or fails
+ * @param {string} returnRequestId - Return request ID
+ * @param {object} refund - Serialized refund record
+ * @returns {Promise<object|null>}
+ */
+async function applyRefundOutcome(returnRequestId, refund) {
+    const returnRequest = await getReturnRequestById(returnRequestId);
+
+    if (!returnRequest || returnRequest.status !== 'refunding') {
+        return returnRequest;
+    }
+
+    if (refund.status === 'failed') {
+        await revertRefunding(returnRequestId, refund.errorMessage || refund.errorCode);
+        return getReturnRequestById(returnRequestId);
+    }
+
+    if (refund.status !== 'completed') {
+        return returnRequest;
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+        .from('return_requests')
+        .update({
+            status: 'refunded',
+            refund_method: refund.provider === 'wallet' ? 'wallet' : 'original',
+            refund_transaction_id: refund.providerRefundTransactionId || refund.id,
+            refunded_at: new Date().toISOString(),
+        })
+        .eq('id', returnRequestId)
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to update return request: ${error.message}`);
+    }
+
+    await logHistory(returnRequestId, 'refunding', 'refunded', 'system', null, `Refund ${refund.id} completed`);
+
+    await supabaseAdmin
+        .from('sub_orders')
+        .update({ status: 'returned' })
+        .eq('id', returnRequest.subOrderId);
+
+    return serializeReturnRequest(updated);
+}
+
+/**
+ * Move a refunding request back to received so the shop can retry
+ */
+async function revertRefunding(returnRequestId, note) {
+    const { data: updated, error } = await supabaseAdmin
+        .from('return_requests')
+        .update({ status: 'received' })
+        .eq('id', returnRequestId)
+        .eq('status', 'refunding')
+        .select();
+
+    if (error) {
+        throw new Error(`Failed to update return request: ${error.message}`);
+    }
+
+    if (updated && updated.length > 0) {
+        await logHistory(returnRequestId, 'refunding', 'received', 'system', null, `Refund failed: ${note}`);
+    }
+}
+
+// ============================================
+// DEADLINES (System)
+// ============================================
+
+/**
+ * Customer ship-by deadline for a request approved at `from`
+ * @param {Date} from - Approval time
+ * @returns {Date}
+ */
+function getShipDeadline(from = new Date()) {
+    const deadline = new Date(from);
+    deadline.setDate(deadline.getDate() + CUSTOMER_SHIP_DEADLINE_DAYS);
+    return deadline;
+}
+
+/**
+ * Sweep return requests whose deadlines are near or past
+ * - pending past expires_at: auto-approve (shop did not respond)
+ * - approved past ship_deadline: cancel (customer did not ship)
+ * - either deadline within DEADLINE_REMINDER_HOURS: remind both parties once
+ * @param {Date} now - Current time
+ * @returns {Promise<{autoApproved: number, expired: number, reminded: number}>}
+ */
+async function processReturnDeadlines(now = new Date()) {
+    const result = { autoApproved: 0, expired: 0, reminded: 0 };
+
+    const overduePending = await findReturnsPastDeadline('pending', 'expires_at', now);
+    for (const rr of overduePending) {
+        if (await autoApproveReturn(rr, now)) result.autoApproved++;
+    }
+
+    const overdueApproved = await findReturnsPastDeadline('approved', 'ship_deadline', now);
+    for (const rr of overdueApproved) {
+        if (await expireUnshippedReturn(rr)) result.expired++;
+    }
+
+    const reminderBefore = new Date(now.getTime() + DEADLINE_REMINDER_HOURS * 60 * 60 * 1000);
+    for (const [status, column] of [['pending', 'expires_at'], ['approved', 'ship_deadline']]) {
+        const upcoming = await findReturnsNeedingReminder(status, column, now, reminderBefore);
+        for (const rr of upcoming) {
+            if (await sendDeadlineReminder(rr, column)) result.reminded++;
+        }
+    }
+
+    if (result.autoApproved || result.expired || result.reminded) {
+        console.log('[ReturnService] Deadline sweep:', result);
+    }
+
+    return result;
+}
+
+async function findReturnsPastDeadline(status, column, now) {
+    const { data, error } = await supabaseAdmin
+        .from('return_requests')
+        .select('*')
+        .eq('status', status)
+        .lte(column, now.toISOString())
+        .order(column, { ascending: true })
+        .limit(RETURN_DEADLINE_SWEEP_BATCH);
+
+    if (error) {
+        throw new Error(`Failed to get overdue return requests: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+async function findReturnsNeedingReminder(status, column, now, before) {
+    const { data, error } = await supabaseAdmin
+        .from('return_requests')
+        .select('*')
+        .eq('status', status)
+        .gt(column, now.toISOString())
+        .lte(column, before.toISOString())
+        .is('deadline_reminder_sent_at', null)
+        .limit(RETURN_DEADLINE_SWEEP_BATCH);
+
+    if (error) {
+        throw new Error(`Failed to get return requests to remind: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Move a request to a new status on behalf of the system
+ * Guarded on the current status so a concurrent shop/customer action wins
+ * @returns {Promise<object|null>} Updated row, or null if the request moved on
+ */
+async function transitionBySystem(rr, newStatus, updateData, note) {
+    const allowedTransitions = STATUS_TRANSITIONS[rr.status] || [];
+    if (!allowedTransitions.includes(newStatus)) {
+        return null;
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+        .from('return_requests')
+        .update({ ...updateData, status: newStatus })
+        .eq('id', rr.id)
+        .eq('status', rr.status)
+        .select();
+
+    if (error) {
+        throw new Error(`Failed to update return request: ${error.message}`);
+    }
+
+    if (!updated || updated.length === 0) {
+        return null;
+    }
+
+    await logHistory(rr.id, rr.status, newStatus, 'system', null, note);
+
+    return updated[0];
+}
+
+/**
+ * Auto-approve a request the shop did not answer in time
+ */
+async function autoApproveReturn(rr, now) {
+    const updated = await transitionBySystem(rr, 'approved', {
+        shop_response: 'Tự động đồng ý do shop không phản hồi đúng hạn',
+        shop_responded_at: now.toISOString(),
+        ship_deadline: getShipDeadline(now).toISOString(),
+        deadline_reminder_sent_at: null,
+    }, `Shop không phản hồi trong ${SHOP_RESPONSE_DEADLINE_DAYS} ngày, tự động đồng ý`);
+
+    if (!updated) return null;
+
+    await supabaseAdmin
+        .from('sub_orders')
+        .update({ status: 'return_approved' })
+        .eq('id', rr.sub_order_id);
+
+    await notifyReturnParties(updated, 'RETURN_AUTO_APPROVED', {
+        customer: `Yêu cầu trả hàng ${rr.request_number} đã được tự động chấp nhận. Vui lòng gửi hàng trong ${CUSTOMER_SHIP_DEADLINE_DAYS} ngày.`,
+        shop: `Yêu cầu trả hàng ${rr.request_number} đã được tự động chấp nhận do shop không phản hồi đúng hạn.`,
+    });
+
+    return updated;
+}
+
+/**
+ * Cancel an approved request the customer did not ship in time
+ */
+async function expireUnshippedReturn(rr) {
+    const updated = await transitionBySystem(rr, 'cancelled', {},
+        `Khách hàng không gửi hàng trong ${CUSTOMER_SHIP_DEADLINE_DAYS} ngày, yêu cầu bị hủy`);
+
+    if (!updated) return null;
+
+    // Sub-order goes back to delivered (only if no other return moved it on)
+    await supabaseAdmin
+        .from('sub_orders')
+        .update({ status: 'delivered' })
+        .eq('id', rr.sub_order_id)
+        .eq('status', 'return_approved');
+
+    await notifyReturnParties(updated, 'RETURN_EXPIRED', {
+        customer: `Yêu cầu trả hàng ${rr.request_number} đã bị hủy do quá hạn gửi hàng.`,
+        shop: `Yêu cầu trả hàng ${rr.request_number} đã bị hủy do khách hàng không gửi hàng đúng hạn.`,
+    });
+
+    return updated;
+}
+
+/**
+ * Remind both parties of an upcoming deadline (once per deadline)
+ */
+async function sendDeadlineReminder(rr, column) {
+    const { data: marked, error } = await supabaseAdmin
+        .from('return_requests')
+        .update({ deadline_reminder_sent_at: new Date().toISOString() })
+        .eq('id', rr.id)
+        .eq('status', rr.status)
+        .is('deadline_reminder_sent_at', null)
+        .select();
+
+    if (error) {
+        throw new Error(`Failed to update return request: ${error.message}`);
+    }
+
+    if (!marked || marked.length === 0) return false;
+
+    const deadline = new Date(rr[column]).toLocaleString('vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' });
+    const messages = column === 'expires_at'
+        ? {
+            customer: `Shop cần phản hồi yêu cầu trả hàng ${rr.request_number} trước ${deadline}, nếu không yêu cầu sẽ được tự động chấp nhận.`,
+            shop: `Vui lòng phản hồi yêu cầu trả hàng ${rr.request_number} trước ${deadline}, nếu không yêu cầu sẽ được tự động chấp nhận.`,
+        }
+        : {
+            customer: `Vui lòng gửi hàng trả cho yêu cầu ${rr.request_number} trước ${deadline}, nếu không yêu cầu sẽ bị hủy.`,
+            shop: `Khách hàng cần gửi hàng trả cho yêu cầu ${rr.request_number} trước ${deadline}.`,
+        };
+
+    await notifyReturnParties(rr, 'RETURN_DEADLINE_REMINDER', messages);
+
+    return true;
+}
+
+/**
+ * Notify customer and shop owner about a return request
+ * @param {object} rr - Return request row
+ * @param {string} type - Notification type
+ * @param {{customer: string, shop: string}} messages
+ */
+async function notifyReturnParties(rr, type, messages) {
+    const payload = {
+        type,
+        returnRequestId: rr.id,
+        requestNumber: rr.request_number,
+        orderId: rr.order_id,
+        status: rr.status,
+    };
+
+    await rabbitmqClient.publishNotification('push', {
+        ...payload,
+        userId: rr.customer_id,
+        userRole: 'customer',
+        message: messages.customer,
+    });
+
+    const { data: shop } = await supabaseAdmin
+        .from('shops')
+        .select('partner_id')
+        .eq('id', rr.shop_id)
+        .single();
+
+    if (shop?.partner_id) {
+        await rabbitmqClient.publishNotification('push', {
+            ...payload,
+            userId: shop.partner_id,
+            userRole: 'partner',
+            message: messages.shop,
+        });
+    }
+}
+
+/**
+ * Register the deadline sweep as a recurring job
+ */
+function registerJobHandlers() {
+    jobScheduler.registerHandler(RETURN_DEADLINE_SWEEP_JOB, () => processReturnDeadlines(), {
+        intervalMs: RETURN_DEADLINE_SWEEP_INTERVAL_MS,
+        maxAttempts: 3,
+    });
+}
+
 // ============================================
 // QUERIES
 // ============================================
@@ -698,6 +1148,7 @@ function serializeReturnRequest(rr) {
         receivedAt: rr.received_at,
         refundedAt: rr.refunded_at,
         expiresAt: rr.expires_at,
+        shipDeadline: rr.ship_deadline,
         // Escalation info
         escalatedAt: rr.escalated_at,
         escalationReason: rr.escalation_reason,
@@ -749,11 +1200,17 @@ module.exports = {
     RETURN_REASONS,
     EVIDENCE_REQUIRED_REASONS,
     RETURN_WINDOW_DAYS,
+    SHOP_RESPONSE_DEADLINE_DAYS,
+    CUSTOMER_SHIP_DEADLINE_DAYS,
     createReturnRequest,
     updateStatusByShop,
     updateStatusByCustomer,
+    processReturnRefund,
+    applyRefundOutcome,
     escalateToAdmin,
     resolveEscalation,
+    processReturnDeadlines,
+    registerJobHandlers,
     getReturnRequestById,
     getCustomerReturnRequests,
     getShopReturnRequests,
@@ -0,0 +1,249 @@
+/**
+ * Property-Based Tests for GHN Provider
+ * Runs the provider against a local mock GHN server
+ *
+ * Feature: shipping-provider-integration, Property 4: Webhook signature validation
+ * Validates: Requirements 2.2, 3.2, 4.1, 4.5
+ */
+
+const fc = require('fast-check');
+const crypto = require('crypto');
+const http = require('http');
+const GHNProvider = require('../providers/ghn.provider');
+const { GHN_STATUS_MAP, normalizeStatus } = require('../status.mapper');
+
+const TOKEN = 'test-ghn-token';
+const SHOP_ID = '885';
+const WEBHOOK_SECRET = 'test-ghn-webhook-secret';
+
+// Mock GHN master data
+const PROVINCES = [
+  { ProvinceID: 202, ProvinceName: 'Hồ Chí Minh', NameExtension: ['TP.HCM', 'Thành phố Hồ Chí Minh'] },
+  { ProvinceID: 201, ProvinceName: 'Hà Nội', NameExtension: ['Thành phố Hà Nội'] },
+];
+const DISTRICTS = {
+  202: [{ DistrictID: 1442, DistrictName: 'Quận 1' }, { DistrictID: 1444, DistrictName: 'Quận 3' }],
+  201: [{ DistrictID: 1489, DistrictName: 'Quận Hai Bà Trưng' }],
+};
+const WARDS = {
+  1442: [{ WardCode: '20109', WardName: 'Phường Bến Nghé' }],
+  1444: [{ WardCode: '20301', WardName: 'Phường 1' }],
+  1489: [{ WardCode: '1A0807', WardName: 'Phường Bách Khoa' }],
+};
+
+/**
+ * Minimal GHN API mock: records requests and answers like GHN v2
+ */
+function createMockGhnServer() {
+  const requests = [];
+  const orders = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const data = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, data });
+
+      const reply = (payload, status = 200) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.headers.token !== TOKEN) {
+        return reply({ code: 401, message: 'Token is not valid' }, 401);
+      }
+
+      switch (url.pathname) {
+        case '/master-data/province':
+          return reply({ code: 200, data: PROVINCES });
+        case '/master-data/district':
+          return reply({ code: 200, data: DISTRICTS[url.searchParams.get('province_id')] || [] });
+        case '/master-data/ward':
+          return reply({ code: 200, data: WARDS[url.searchParams.get('district_id')] || [] });
+        case '/v2/shipping-order/fee': {
+          const serviceFee = 15000 + Math.ceil(data.weight / 500) * 2500;
+          const insuranceFee = data.insurance_value > 1000000 ? Math.round(data.insurance_value * 0.005) : 0;
+          return reply({ code: 200, data: { total: serviceFee + insuranceFee, service_fee: serviceFee, insurance_fee: insuranceFee, cod_fee: 0 } });
+        }
+        case '/v2/shipping-order/leadtime':
+          return reply({ code: 200, data: { leadtime: Math.floor(Date.now() / 1000) + 2 * 24 * 3600 } });
+        case '/v2/shipping-order/create': {
+          const orderCode = `GHN${orders.size + 1}`;
+          orders.set(orderCode, { status: 'ready_to_pick', request: data });
+          return reply({ code: 200, data: { order_code: orderCode, sort_code: '190-G-01-A1', total_fee: 33000, expected_delivery_time: '2025-06-03T16:59:59Z' } });
+        }
+        case '/v2/switch-status/cancel':
+          return reply({
+            code: 200,
+            data: data.order_codes.map(code => {
+              const order = orders.get(code);
+              const ok = Boolean(order) && order.status === 'ready_to_pick';
+              if (ok) order.status = 'cancel';
+              return { order_code: code, result: ok, message: ok ? 'OK' : 'Order can not be cancelled' };
+            }),
+          });
+        case '/v2/shipping-order/detail': {
+          const order = orders.get(data.order_code);
+          if (!order) return reply({ code: 400, message: 'Order not found' }, 400);
+          return reply({ code: 200, data: { order_code: data.order_code, status: order.status, log: [{ status: order.status, updated_date: '2025-06-01T10:00:00Z' }] } });
+        }
+        default:
+          return reply({ code: 404, message: 'Not found' }, 404);
+      }
+    });
+  });
+
+  return { server, requests, orders };
+}
+
+const pickup = { name: 'Shop A', phone: '0901234567', address: '123 Nguyễn Huệ', ward: 'Phường Bến Nghé', district: 'Quận 1', province: 'Hồ Chí Minh' };
+const delivery = { name: 'Nguyễn Văn A', phone: '0912345678', address: 'Số 1 Đại Cồ Việt', ward: 'Phường Bách Khoa', district: 'Quận Hai Bà Trưng', province: 'Thành phố Hà Nội' };
+
+const itemArb = fc.record({
+  name: fc.string({ minLength: 1, maxLength: 30 }),
+  sku: fc.string({ minLength: 1, maxLength: 10 }),
+  quantity: fc.integer({ min: 1, max: 5 }),
+  weight: fc.integer({ min: 100, max: 5000 }),
+  price: fc.integer({ min: 1000, max: 2000000 }),
+});
+
+describe('GHN Provider Property Tests', () => {
+  let mock;
+  let provider;
+
+  beforeAll(async () => {
+    mock = createMockGhnServer();
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    provider = new GHNProvider({
+      apiToken: TOKEN,
+      shopId: SHOP_ID,
+      webhookSecret: WEBHOOK_SECRET,
+      baseUrl: `http://127.0.0.1:${mock.server.address().port}`,
+    });
+  });
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(payload)).digest('hex');
+  }
+
+  const webhookArb = fc.record({
+    OrderCode: fc.string({ minLength: 5, maxLength: 12 }),
+    ClientOrderCode: fc.uuid(),
+    ShopID: fc.constant(Number(SHOP_ID)),
+    Status: fc.constantFrom(...Object.keys(GHN_STATUS_MAP)),
+    Type: fc.constantFrom('create', 'switch_status', 'update_weight'),
+    CODAmount: fc.integer({ min: 0, max: 5000000 }),
+    Time: fc.date({ min: new Date('2024-01-01'), max: new Date('2030-01-01') }).map(d => d.toISOString()),
+  });
+
+  /**
+   * Property 4: Webhook signature validation
+   * For any GHN callback, validation SHALL pass only with the matching HMAC
+   * signature and the configured shop
+   */
+  describe('Property 4: Webhook signature validation', () => {
+    test('accepts signed callbacks and rejects tampered ones', () => {
+      fc.assert(
+        fc.property(webhookArb, fc.string({ minLength: 1, maxLength: 64 }), (payload, junk) => {
+          expect(provider.validateWebhook(payload, sign(payload))).toBe(true);
+          expect(provider.validateWebhook(payload, junk)).toBe(false);
+          expect(provider.validateWebhook(payload, undefined)).toBe(false);
+
+          const tampered = { ...payload, Status: payload.Status === 'delivered' ? 'returned' : 'delivered' };
+          expect(provider.validateWebhook(tampered, sign(payload))).toBe(false);
+
+          const otherShop = { ...payload, ShopID: Number(SHOP_ID) + 1 };
+          expect(provider.validateWebhook(otherShop, sign(otherShop))).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('parses callbacks to the unified status of status.mapper', () => {
+      fc.assert(
+        fc.property(webhookArb, (payload) => {
+          const parsed = provider.parseWebhookPayload(payload);
+
+          expect(parsed.trackingNumber).toBe(payload.OrderCode);
+          expect(parsed.providerOrderId).toBe(payload.ClientOrderCode);
+          expect(parsed.status).toBe(normalizeStatus('ghn', payload.Status));
+          expect(parsed.timestamp.toISOString()).toBe(payload.Time);
+          expect(parsed.data.codAmount).toBe(payload.CODAmount);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property: Fee quoting and order lifecycle against the mock server
+   * For any parcel, the provider SHALL resolve addresses to GHN IDs, quote the
+   * fee returned by GHN, create an order, track it and cancel it once
+   */
+  describe('Order lifecycle against mock GHN server', () => {
+    test('quotes, creates, tracks and cancels orders', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(itemArb, { minLength: 1, maxLength: 4 }),
+          fc.integer({ min: 0, max: 3000000 }),
+          async (items, codAmount) => {
+            mock.requests.length = 0;
+
+            const weight = items.reduce((sum, i) => sum + i.weight * i.quantity, 0);
+            const quote = await provider.calculateFee({ pickup, delivery, items, codAmount });
+            const feeRequest = mock.requests.find(r => r.path === '/v2/shipping-order/fee');
+
+            expect(feeRequest.headers.shopid).toBe(SHOP_ID);
+            expect(feeRequest.data).toMatchObject({
+              from_district_id: 1442,
+              from_ward_code: '20109',
+              to_district_id: 1489,
+              to_ward_code: '1A0807',
+              weight,
+              cod_value: codAmount,
+            });
+            expect(quote.fee).toBe(quote.breakdown.baseFee + quote.breakdown.insuranceFee);
+            expect(quote.estimatedDays).toBeGreaterThanOrEqual(1);
+
+            const created = await provider.createOrder({ orderId: 'sub-order-1', pickup, delivery, items, codAmount });
+            const createRequest = mock.requests.find(r => r.path === '/v2/shipping-order/create');
+
+            expect(created.trackingNumber).toMatch(/^GHN\d+$/);
+            expect(createRequest.data.cod_amount).toBe(codAmount);
+            expect(createRequest.data.payment_type_id).toBe(codAmount > 0 ? 2 : 1);
+            expect(createRequest.data.items).toHaveLength(items.length);
+
+            const tracking = await provider.getTracking(created.trackingNumber);
+            expect(tracking.status).toBe('created');
+
+            expect((await provider.cancelOrder(created.trackingNumber)).success).toBe(true);
+            expect((await provider.cancelOrder(created.trackingNumber)).success).toBe(false);
+            expect((await provider.getTracking(created.trackingNumber)).status).toBe('cancelled');
+          }
+        ),
+        { numRuns: 25 }
+      );
+    });
+
+    test('rejects requests with an invalid token', async () => {
+      const unauthorized = new GHNProvider({
+        apiToken: 'wrong-token',
+        shopId: SHOP_ID,
+        baseUrl: `http://127.0.0.1:${mock.server.address().port}`,
+      });
+
+      await expect(unauthorized.getTracking('GHN1')).rejects.toThrow('Token is not valid');
+      expect((await unauthorized.testConnection()).success).toBe(false);
+    });
+  });
+});
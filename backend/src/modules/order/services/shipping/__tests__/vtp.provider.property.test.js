@@ -0,0 +1,262 @@
+/**
+ * Property-Based Tests for Viettel Post Provider
+ * Runs the provider against a local mock Viettel Post server
+ *
+ * Feature: shipping-provider-integration, Property 4: Webhook signature validation
+ * Validates: Requirements 2.2, 3.2, 4.1, 4.5
+ */
+
+const fc = require('fast-check');
+const crypto = require('crypto');
+const http = require('http');
+const VTPProvider = require('../providers/vtp.provider');
+const { VTP_STATUS_MAP, normalizeStatus, isValidStatus } = require('../status.mapper');
+
+const USERNAME = 'partner@shoppi.vn';
+const PASSWORD = 'secret';
+const WEBHOOK_SECRET = 'test-vtp-webhook-secret';
+
+// Mock Viettel Post master data
+const PROVINCES = [
+  { PROVINCE_ID: 2, PROVINCE_NAME: 'Thành phố Hồ Chí Minh' },
+  { PROVINCE_ID: 1, PROVINCE_NAME: 'Thành phố Hà Nội' },
+];
+const DISTRICTS = {
+  2: [{ DISTRICT_ID: 43, DISTRICT_NAME: 'Quận 1' }],
+  1: [{ DISTRICT_ID: 4, DISTRICT_NAME: 'Quận Hai Bà Trưng' }],
+};
+const WARDS = {
+  43: [{ WARDS_ID: 640, WARDS_NAME: 'Phường Bến Nghé' }],
+  4: [{ WARDS_ID: 73, WARDS_NAME: 'Phường Bách Khoa' }],
+};
+
+/**
+ * Minimal Viettel Post API mock: records requests and answers like partner API v2
+ */
+function createMockVtpServer() {
+  const requests = [];
+  const orders = new Map();
+  let logins = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const data = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, data });
+
+      const reply = (payload) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 200, error: false, message: 'OK', ...payload }));
+      };
+      const fail = (status, message) => reply({ status, error: true, message, data: null });
+
+      if (url.pathname === '/user/Login') {
+        if (data.USERNAME !== USERNAME || data.PASSWORD !== PASSWORD) {
+          return fail(401, 'Sai tên đăng nhập hoặc mật khẩu');
+        }
+        logins++;
+        return reply({ data: { token: `token-${logins}` } });
+      }
+
+      if (!req.headers.token || !req.headers.token.startsWith('token-')) {
+        return fail(401, 'Token invalid');
+      }
+
+      switch (url.pathname) {
+        case '/categories/listProvinceById':
+          return reply({ data: PROVINCES });
+        case '/categories/listDistrict':
+          return reply({ data: DISTRICTS[url.searchParams.get('provinceId')] || [] });
+        case '/categories/listWards':
+          return reply({ data: WARDS[url.searchParams.get('districtId')] || [] });
+        case '/order/getPrice': {
+          const fee = 18000 + Math.ceil(data.PRODUCT_WEIGHT / 500) * 3000;
+          const codFee = data.MONEY_COLLECTION > 0 ? Math.round(data.MONEY_COLLECTION * 0.008) : 0;
+          const vat = Math.round((fee + codFee) * 0.1);
+          return reply({ data: { MONEY_TOTAL: fee + codFee + vat, MONEY_TOTAL_FEE: fee, MONEY_COLLECTION_FEE: codFee, MONEY_VAT: vat, KPI_HT: 48 } });
+        }
+        case '/order/createOrder': {
+          const orderNumber = `VTP${1000 + orders.size}`;
+          orders.set(orderNumber, { status: 100, request: data });
+          return reply({ data: { ORDER_NUMBER: orderNumber, MONEY_TOTAL: 35000, KPI_HT: 48 } });
+        }
+        case '/order/UpdateOrder': {
+          const order = orders.get(data.ORDER_NUMBER);
+          if (!order || order.status >= 105) return fail(400, 'Không thể hủy đơn hàng');
+          order.status = 107;
+          return reply({ data: null });
+        }
+        case '/order/getOrderStatus': {
+          const order = orders.get(data.ORDER_NUMBER);
+          if (!order) return fail(400, 'Không tìm thấy đơn hàng');
+          return reply({
+            data: [
+              { ORDER_NUMBER: data.ORDER_NUMBER, ORDER_STATUS: order.status, STATUS_NAME: 'Trạng thái hiện tại', ORDER_STATUSDATE: '02/06/2025 09:30:00' },
+              { ORDER_NUMBER: data.ORDER_NUMBER, ORDER_STATUS: -100, STATUS_NAME: 'Đơn hàng mới tạo', ORDER_STATUSDATE: '01/06/2025 08:00:00' },
+            ],
+          });
+        }
+        default:
+          return fail(404, 'Not found');
+      }
+    });
+  });
+
+  return { server, requests, orders, getLogins: () => logins };
+}
+
+const pickup = { name: 'Shop A', phone: '0901234567', address: '123 Nguyễn Huệ', ward: 'Phường Bến Nghé', district: 'Quận 1', province: 'Hồ Chí Minh' };
+const delivery = { name: 'Nguyễn Văn A', phone: '0912345678', address: 'Số 1 Đại Cồ Việt', ward: 'Phường Bách Khoa', district: 'Hai Bà Trưng', province: 'Hà Nội' };
+
+const itemArb = fc.record({
+  name: fc.string({ minLength: 1, maxLength: 30 }),
+  quantity: fc.integer({ min: 1, max: 5 }),
+  weight: fc.integer({ min: 100, max: 5000 }),
+  price: fc.integer({ min: 1000, max: 2000000 }),
+});
+
+const webhookDataArb = fc.record({
+  ORDER_NUMBER: fc.string({ minLength: 5, maxLength: 15 }),
+  ORDER_REFERENCE: fc.uuid(),
+  ORDER_STATUS: fc.constantFrom(...Object.keys(VTP_STATUS_MAP).map(Number)),
+  STATUS_NAME: fc.string({ minLength: 1, maxLength: 40 }),
+  ORDER_STATUSDATE: fc.date({ min: new Date('2024-01-01'), max: new Date('2030-01-01') }).map(d => {
+    const vn = new Date(d.getTime() + 7 * 60 * 60 * 1000);
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(vn.getUTCDate())}/${pad(vn.getUTCMonth() + 1)}/${vn.getUTCFullYear()} ${pad(vn.getUTCHours())}:${pad(vn.getUTCMinutes())}:${pad(vn.getUTCSeconds())}`;
+  }),
+  MONEY_COLLECTION: fc.integer({ min: 0, max: 5000000 }),
+});
+
+describe('Viettel Post Provider Property Tests', () => {
+  let mock;
+  let provider;
+
+  beforeAll(async () => {
+    mock = createMockVtpServer();
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    provider = new VTPProvider({
+      username: USERNAME,
+      password: PASSWORD,
+      webhookSecret: WEBHOOK_SECRET,
+      baseUrl: `http://127.0.0.1:${mock.server.address().port}`,
+    });
+  });
+
+  /**
+   * Property 4: Webhook signature validation
+   * For any Viettel Post callback, validation SHALL pass only with the partner
+   * TOKEN or a matching HMAC signature of DATA
+   */
+  describe('Property 4: Webhook signature validation', () => {
+    test('accepts authentic callbacks and rejects forged ones', () => {
+      fc.assert(
+        fc.property(webhookDataArb, fc.string({ minLength: 1, maxLength: 64 }), (data, junk) => {
+          const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(data)).digest('hex');
+
+          expect(provider.validateWebhook({ DATA: data, TOKEN: WEBHOOK_SECRET }, undefined)).toBe(true);
+          expect(provider.validateWebhook({ DATA: data }, signature)).toBe(true);
+
+          expect(provider.validateWebhook({ DATA: data, TOKEN: junk === WEBHOOK_SECRET ? '' : junk }, undefined)).toBe(false);
+          expect(provider.validateWebhook({ DATA: data }, undefined)).toBe(false);
+          expect(provider.validateWebhook({ DATA: { ...data, ORDER_STATUS: 501 === data.ORDER_STATUS ? 504 : 501 } }, signature)).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('parses callbacks to the unified status of status.mapper', () => {
+      fc.assert(
+        fc.property(webhookDataArb, (data) => {
+          const parsed = provider.parseWebhookPayload({ DATA: data, TOKEN: WEBHOOK_SECRET });
+
+          expect(parsed.trackingNumber).toBe(data.ORDER_NUMBER);
+          expect(parsed.providerOrderId).toBe(data.ORDER_REFERENCE);
+          expect(parsed.status).toBe(normalizeStatus('viettelpost', String(data.ORDER_STATUS)));
+          expect(isValidStatus(parsed.status)).toBe(true);
+          expect(parsed.data.codAmount).toBe(data.MONEY_COLLECTION);
+          expect(Number.isNaN(parsed.timestamp.getTime())).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property: Fee quoting and order lifecycle against the mock server
+   * For any parcel, the provider SHALL log in once, resolve addresses to
+   * Viettel Post IDs, quote, create, track and cancel an order
+   */
+  describe('Order lifecycle against mock Viettel Post server', () => {
+    test('quotes, creates, tracks and cancels orders', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(itemArb, { minLength: 1, maxLength: 4 }),
+          fc.integer({ min: 0, max: 3000000 }),
+          async (items, codAmount) => {
+            mock.requests.length = 0;
+            const loginsBefore = mock.getLogins();
+
+            const weight = items.reduce((sum, i) => sum + i.weight * i.quantity, 0);
+            const quote = await provider.calculateFee({ pickup, delivery, items, codAmount });
+            const priceRequest = mock.requests.find(r => r.path === '/order/getPrice');
+
+            expect(priceRequest.data).toMatchObject({
+              SENDER_PROVINCE: 2,
+              SENDER_DISTRICT: 43,
+              RECEIVER_PROVINCE: 1,
+              RECEIVER_DISTRICT: 4,
+              PRODUCT_WEIGHT: weight,
+              MONEY_COLLECTION: codAmount,
+            });
+            expect(quote.fee).toBe(quote.breakdown.baseFee + quote.breakdown.codFee + quote.breakdown.vat);
+            expect(quote.estimatedDays).toBe(2);
+
+            const created = await provider.createOrder({ orderId: 'sub-order-1', pickup, delivery, items, codAmount });
+            const createRequest = mock.requests.find(r => r.path === '/order/createOrder');
+
+            expect(created.trackingNumber).toMatch(/^VTP\d+$/);
+            expect(createRequest.data.RECEIVER_WARD).toBe(73);
+            expect(createRequest.data.MONEY_COLLECTION).toBe(codAmount);
+            expect(createRequest.data.ORDER_PAYMENT).toBe(codAmount > 0 ? 3 : 1);
+            expect(createRequest.data.LIST_ITEM).toHaveLength(items.length);
+
+            const tracking = await provider.getTracking(created.trackingNumber);
+            expect(tracking.status).toBe('created');
+            expect(tracking.history.map(h => h.providerStatus)).toEqual(['-100', '100']);
+
+            expect((await provider.cancelOrder(created.trackingNumber)).success).toBe(true);
+            expect((await provider.getTracking(created.trackingNumber)).status).toBe('cancelled');
+            expect((await provider.cancelOrder('VTP-UNKNOWN')).success).toBe(false);
+
+            // Token is reused across calls
+            expect(mock.getLogins() - loginsBefore).toBeLessThanOrEqual(1);
+          }
+        ),
+        { numRuns: 25 }
+      );
+    });
+
+    test('reports failed login', async () => {
+      const unauthorized = new VTPProvider({
+        username: USERNAME,
+        password: 'wrong',
+        baseUrl: `http://127.0.0.1:${mock.server.address().port}`,
+      });
+
+      const result = await unauthorized.testConnection();
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Sai tên đăng nhập');
+    });
+  });
+});
@@ -6,7 +6,7 @@
  * Requirements: 3.3, 4.2
  */
 
-const { getSupabaseClient } = require('../../../../shared/supabase/supabase.client');
+const { supabaseAdmin: supabase } = require('../../../../shared/supabase/supabase.client');
 const { AppError } = require('../../../../shared/utils/error.util');
 
 const TABLE_NAME = 'external_shipments';
@@ -15,8 +15,6 @@ const TABLE_NAME = 'external_shipments';
  * Create new external shipment
  */
 async function create(shipmentData) {
-  const supabase = getSupabaseClient();
-  
   const record = {
     sub_order_id: shipmentData.subOrderId,
     provider_code: shipmentData.providerCode,
@@ -56,8 +54,6 @@ async function create(shipmentData) {
  * Find shipment by ID
  */
 async function findById(id) {
-  const supabase = getSupabaseClient();
-  
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
@@ -75,8 +71,6 @@ async function findById(id) {
  * Find shipment by tracking number
  */
 async function findByTrackingNumber(trackingNumber) {
-  const supabase = getSupabaseClient();
-  
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
@@ -94,8 +88,6 @@ async function findByTrackingNumber(trackingNumber) {
  * Find shipment by sub-order ID
  */
 async function findBySubOrderId(subOrderId) {
-  const supabase = getSupabaseClient();
-  
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
@@ -113,8 +105,6 @@ async function findBySubOrderId(subOrderId) {
  * Find shipments by provider order ID
  */
 async function findByProviderOrderId(providerCode, providerOrderId) {
-  const supabase = getSupabaseClient();
-  
   const { data, error } = await supabase
     .from(TABLE_NAME)
     .select('*')
@@ -133,8 +123,6 @@ async function findByProviderOrderId(providerCode, providerOrderId) {
  * Update shipment status
  */
 async function updateStatus(trackingNumber, statusData) {
-  const supabase = getSupabaseClient();
-  
   // First get current shipment to append to history
   const current = await findByTrackingNumber(trackingNumber);
   if (!current) {
@@ -188,8 +176,6 @@ async function updateStatus(trackingNumber, statusData) {
  * Update shipment with webhook data
  */
 async function updateFromWebhook(trackingNumber, webhookData) {
-  const supabase = getSupabaseClient();
-  
   const current = await findByTrackingNumber(trackingNumber);
   if (!current) {
     throw new AppError('Shipment not found', 404);
@@ -232,8 +218,6 @@ async function updateFromWebhook(trackingNumber, webhookData) {
  * Increment retry count
  */
 async function incrementRetryCount(trackingNumber, errorMessage) {
-  const supabase = getSupabaseClient();
-  
   const current = await findByTrackingNumber(trackingNumber);
   if (!current) {
     throw new AppError('Shipment not found', 404);
@@ -261,7 +245,6 @@ async function incrementRetryCount(trackingNumber, errorMessage) {
  * Find shipments by status
  */
 async function findByStatus(status, options = {}) {
-  const supabase = getSupabaseClient();
   const { limit = 50, offset = 0, providerCode } = options;
   
   let query = supabase
@@ -288,8 +271,6 @@ async function findByStatus(status, options = {}) {
  * Find shipments needing status check (not terminal, not updated recently)
  */
 async function findStaleShipments(maxAgeMinutes = 30) {
-  const supabase = getSupabaseClient();
-  
   const cutoffTime = new Date(Date.now() - maxAgeMinutes * 60 * 1000).toISOString();
   
   const { data, error } = await supabase
@@ -311,7 +292,6 @@ async function findStaleShipments(maxAgeMinutes = 30) {
  * Get shipment statistics
  */
 async function getStatistics(options = {}) {
-  const supabase = getSupabaseClient();
   const { shopId, providerCode, startDate, endDate } = options;
   
   let query = supabase
@@ -13,6 +13,8 @@ const providerFactory = require('./provider.factory');
 
 // Import providers
 const GHTKProvider = require('./providers/ghtk.provider');
+const GHNProvider = require('./providers/ghn.provider');
+const VTPProvider = require('./providers/vtp.provider');
 const InHouseProvider = require('./providers/inhouse.provider');
 
 // Import services
@@ -28,6 +30,9 @@ const ghtkWebhook = require('./webhooks/ghtk.webhook');
 
 // Register providers
 providerFactory.registerProvider('ghtk', GHTKProvider);
+providerFactory.registerProvider('ghn', GHNProvider);
+providerFactory.registerProvider('viettelpost', VTPProvider);
+providerFactory.registerProvider('vtp', VTPProvider);
 providerFactory.registerProvider('inhouse', InHouseProvider);
 
 // Export everything
@@ -42,6 +47,8 @@ module.exports = {
 
   // Providers
   GHTKProvider,
+  GHNProvider,
+  VTPProvider,
   InHouseProvider,
 
   // Services
@@ -0,0 +1,455 @@
+/**
+ * GHN (Giao Hang Nhanh) Shipping Provider
+ * Implementation for GHN API v2 integration
+ *
+ * Feature: shipping-provider-integration
+ * Requirements: 2.2, 3.2
+ */
+
+const crypto = require('crypto');
+const { BaseShippingProvider } = require('../shipping.interface');
+const { normalizeStatus } = require('../status.mapper');
+const { AppError } = require('../../../../../shared/utils/error.util');
+
+// GHN API endpoints
+const GHN_ENDPOINTS = {
+  sandbox: 'https://dev-online-gateway.ghn.vn/shiip/public-api',
+  production: 'https://online-gateway.ghn.vn/shiip/public-api',
+};
+
+// GHN service types
+const GHN_SERVICE_TYPES = {
+  LIGHT: 2, // Hàng nhẹ
+  HEAVY: 5, // Hàng nặng
+};
+
+// Who pays the shipping fee
+const GHN_PAYMENT_TYPES = {
+  SELLER: 1,
+  BUYER: 2,
+};
+
+// Default parcel dimensions (cm)
+const DEFAULT_DIMENSIONS = { length: 20, width: 15, height: 10 };
+
+class GHNProvider extends BaseShippingProvider {
+  constructor(config = {}) {
+    super(config);
+    this.providerCode = 'ghn';
+    this.providerName = 'Giao Hàng Nhanh';
+    this.apiToken = config.apiToken || process.env.GHN_API_TOKEN;
+    this.shopId = config.shopId || process.env.GHN_SHOP_ID;
+    this.sandbox = config.sandbox ?? (process.env.GHN_SANDBOX === 'true');
+    this.baseUrl = config.baseUrl || process.env.GHN_API_URL
+      || (this.sandbox ? GHN_ENDPOINTS.sandbox : GHN_ENDPOINTS.production);
+    this.webhookSecret = config.webhookSecret || process.env.GHN_WEBHOOK_SECRET;
+
+    // Master data (province/district/ward IDs) rarely changes - cache per instance
+    this.masterDataCache = new Map();
+  }
+
+  /**
+   * Check if provider is configured
+   */
+  isConfigured() {
+    return !!(this.apiToken && this.shopId);
+  }
+
+  /**
+   * Make API request to GHN
+   */
+  async makeRequest(method, endpoint, data = null) {
+    const url = `${this.baseUrl}${endpoint}`;
+
+    const options = {
+      method,
+      headers: {
+        'Token': this.apiToken,
+        'ShopId': String(this.shopId || ''),
+        'Content-Type': 'application/json',
+      },
+    };
+
+    if (data && (method === 'POST' || method === 'PUT')) {
+      options.body = JSON.stringify(data);
+    }
+
+    this.logApiCall(method, endpoint, data);
+
+    try {
+      const response = await fetch(url, options);
+      const result = await response.json();
+
+      if (result.code !== 200) {
+        throw new AppError(
+          'GHN_API_ERROR',
+          result.message || 'GHN API error',
+          response.status
+        );
+      }
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, `${method} ${endpoint}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate shipping fee
+   * @param {Object} params
+   */
+  async calculateFee(params) {
+    const { pickup, delivery, items, codAmount = 0 } = params;
+
+    const weight = this.calculateTotalWeight(items);
+    const value = this.calculateTotalValue(items);
+    const from = await this.resolveAddress(pickup);
+    const to = await this.resolveAddress(delivery);
+
+    const requestData = {
+      service_type_id: this.getServiceType(weight),
+      from_district_id: from.districtId,
+      from_ward_code: from.wardCode,
+      to_district_id: to.districtId,
+      to_ward_code: to.wardCode,
+      weight,
+      ...DEFAULT_DIMENSIONS,
+      insurance_value: value,
+      cod_value: codAmount,
+    };
+
+    const result = await this.makeRequest('POST', '/v2/shipping-order/fee', requestData);
+    const fee = result.data || {};
+
+    return {
+      fee: fee.total || 0,
+      insuranceFee: fee.insurance_fee || 0,
+      estimatedDays: await this.getEstimatedDays(from, to),
+      serviceName: 'GHN Chuẩn',
+      breakdown: {
+        baseFee: fee.service_fee || 0,
+        insuranceFee: fee.insurance_fee || 0,
+        codFee: fee.cod_fee || 0,
+      },
+    };
+  }
+
+  /**
+   * Create shipping order
+   * @param {Object} orderData
+   */
+  async createOrder(orderData) {
+    const {
+      orderId,
+      pickup,
+      delivery,
+      items,
+      codAmount = 0,
+      note = '',
+    } = orderData;
+
+    const weight = this.calculateTotalWeight(items);
+    const value = this.calculateTotalValue(items);
+    const to = await this.resolveAddress(delivery);
+
+    const requestData = {
+      client_order_code: orderId,
+      payment_type_id: codAmount > 0 ? GHN_PAYMENT_TYPES.BUYER : GHN_PAYMENT_TYPES.SELLER,
+      required_note: 'CHOXEMHANGKHONGTHU', // Buyer may inspect, not try on
+      note,
+
+      from_name: pickup.name,
+      from_phone: pickup.phone,
+      from_address: pickup.address,
+      from_ward_name: pickup.ward,
+      from_district_name: pickup.district,
+      from_province_name: pickup.province,
+
+      to_name: delivery.name,
+      to_phone: delivery.phone,
+      to_address: this.formatAddress(delivery),
+      to_district_id: to.districtId,
+      to_ward_code: to.wardCode,
+
+      cod_amount: codAmount,
+      insurance_value: value,
+      weight,
+      ...DEFAULT_DIMENSIONS,
+      service_type_id: this.getServiceType(weight),
+      items: items.map(item => ({
+        name: item.name,
+        code: item.sku || item.id,
+        quantity: item.quantity || 1,
+        price: item.value || item.price || 0,
+        weight: item.weight || 500,
+      })),
+    };
+
+    const result = await this.makeRequest('POST', '/v2/shipping-order/create', requestData);
+    const order = result.data || {};
+
+    return {
+      trackingNumber: order.order_code,
+      providerOrderId: order.order_code,
+      fee: order.total_fee || 0,
+      sortCode: order.sort_code,
+      estimatedDelivery: order.expected_delivery_time,
+    };
+  }
+
+  /**
+   * Cancel shipping order
+   * @param {string} trackingNumber
+   */
+  async cancelOrder(trackingNumber) {
+    const result = await this.makeRequest('POST', '/v2/switch-status/cancel', {
+      order_codes: [trackingNumber],
+    });
+
+    const entry = (result.data || []).find(d => d.order_code === trackingNumber) || {};
+
+    if (entry.result !== true) {
+      return {
+        success: false,
+        message: entry.message || 'Cannot cancel: order already picked up',
+        reason: 'ALREADY_PICKED_UP',
+      };
+    }
+
+    return {
+      success: true,
+      message: entry.message || 'Order cancelled successfully',
+    };
+  }
+
+  /**
+   * Get tracking information
+   * @param {string} trackingNumber
+   */
+  async getTracking(trackingNumber) {
+    const result = await this.makeRequest('POST', '/v2/shipping-order/detail', {
+      order_code: trackingNumber,
+    });
+
+    const order = result.data || {};
+
+    return {
+      trackingNumber,
+      status: normalizeStatus(this.providerCode, order.status),
+      providerStatus: order.status,
+      statusMessage: this.getStatusText(order.status),
+      estimatedDelivery: order.leadtime ? new Date(order.leadtime) : null,
+      history: this.parseTrackingHistory(order.log || []),
+      details: {
+        pickupTime: order.pickup_time,
+        deliveryTime: order.finish_date,
+        codAmount: order.cod_amount,
+      },
+    };
+  }
+
+  /**
+   * Validate webhook
+   * GHN callbacks carry the ShopID they belong to; when a webhook secret is
+   * configured the body must also be signed with HMAC-SHA256 (X-GHN-Signature)
+   * @param {Object} payload
+   * @param {string} signature
+   */
+  validateWebhook(payload, signature) {
+    if (this.shopId && payload && payload.ShopID !== undefined
+      && String(payload.ShopID) !== String(this.shopId)) {
+      return false;
+    }
+
+    if (!this.webhookSecret) {
+      console.warn('[GHN] Webhook secret not configured, skipping signature validation');
+      return true;
+    }
+
+    const payloadString = typeof payload === 'string'
+      ? payload
+      : JSON.stringify(payload);
+
+    const expectedSignature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(payloadString)
+      .digest('hex');
+
+    return this.signaturesMatch(signature, expectedSignature);
+  }
+
+  /**
+   * Parse webhook payload
+   * @param {Object} payload
+   */
+  parseWebhookPayload(payload) {
+    const status = String(payload.Status || '').toLowerCase();
+
+    return {
+      trackingNumber: payload.OrderCode,
+      providerOrderId: payload.ClientOrderCode,
+      status: normalizeStatus(this.providerCode, status),
+      providerStatus: status,
+      statusMessage: payload.Description || this.getStatusText(status),
+      timestamp: payload.Time ? new Date(payload.Time) : new Date(),
+      data: {
+        type: payload.Type,
+        reason: payload.Reason,
+        reasonCode: payload.ReasonCode,
+        weight: payload.Weight,
+        fee: payload.TotalFee,
+        codAmount: payload.CODAmount,
+        warehouse: payload.Warehouse,
+      },
+    };
+  }
+
+  /**
+   * Test connection to GHN API
+   */
+  async testConnection() {
+    try {
+      await this.makeRequest('GET', '/master-data/province');
+
+      return {
+        success: true,
+        message: 'GHN connection successful',
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `GHN connection failed: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Resolve address names to GHN district ID and ward code
+   * Addresses may already carry districtId/wardCode
+   * @param {Object} address - {province, district, ward, districtId?, wardCode?}
+   * @returns {Promise<{districtId: number, wardCode: string}>}
+   */
+  async resolveAddress(address) {
+    if (address.districtId && address.wardCode) {
+      return { districtId: Number(address.districtId), wardCode: String(address.wardCode) };
+    }
+
+    const provinces = await this.getMasterData('/master-data/province');
+    const province = this.findByName(provinces, address.province, 'ProvinceName', 'NameExtension');
+    if (!province) {
+      throw new AppError('GHN_ADDRESS_NOT_FOUND', `GHN: unknown province "${address.province}"`, 400);
+    }
+
+    const districts = await this.getMasterData(`/master-data/district?province_id=${province.ProvinceID}`);
+    const district = this.findByName(districts, address.district, 'DistrictName', 'NameExtension');
+    if (!district) {
+      throw new AppError('GHN_ADDRESS_NOT_FOUND', `GHN: unknown district "${address.district}"`, 400);
+    }
+
+    const wards = await this.getMasterData(`/master-data/ward?district_id=${district.DistrictID}`);
+    const ward = this.findByName(wards, address.ward, 'WardName', 'NameExtension');
+    if (!ward) {
+      throw new AppError('GHN_ADDRESS_NOT_FOUND', `GHN: unknown ward "${address.ward}"`, 400);
+    }
+
+    return { districtId: district.DistrictID, wardCode: String(ward.WardCode) };
+  }
+
+  /**
+   * Get (cached) master data list
+   */
+  async getMasterData(endpoint) {
+    if (!this.masterDataCache.has(endpoint)) {
+      const result = await this.makeRequest('GET', endpoint);
+      this.masterDataCache.set(endpoint, result.data || []);
+    }
+    return this.masterDataCache.get(endpoint);
+  }
+
+  /**
+   * Find master data entry by name (accent/prefix insensitive)
+   */
+  findByName(list, name, nameField, aliasField) {
+    const target = this.normalizePlaceName(name);
+    if (!target) return null;
+
+    return list.find(entry => this.normalizePlaceName(entry[nameField]) === target
+      || (entry[aliasField] || []).some(alias => this.normalizePlaceName(alias) === target)) || null;
+  }
+
+  /**
+   * Estimate delivery days from GHN lead time
+   */
+  async getEstimatedDays(from, to) {
+    try {
+      const result = await this.makeRequest('POST', '/v2/shipping-order/leadtime', {
+        from_district_id: from.districtId,
+        from_ward_code: from.wardCode,
+        to_district_id: to.districtId,
+        to_ward_code: to.wardCode,
+        service_type_id: GHN_SERVICE_TYPES.LIGHT,
+      });
+
+      const leadtime = result.data?.leadtime;
+      if (!leadtime) return 3;
+
+      const days = Math.ceil((leadtime * 1000 - Date.now()) / (24 * 60 * 60 * 1000));
+      return Math.max(days, 1);
+    } catch (error) {
+      return 3;
+    }
+  }
+
+  /**
+   * Pick service type by weight (GHN heavy service above 20kg)
+   */
+  getServiceType(weight) {
+    return weight > 20000 ? GHN_SERVICE_TYPES.HEAVY : GHN_SERVICE_TYPES.LIGHT;
+  }
+
+  /**
+   * Parse tracking history from GHN log
+   */
+  parseTrackingHistory(logs) {
+    return logs.map(log => ({
+      status: normalizeStatus(this.providerCode, log.status),
+      providerStatus: log.status,
+      message: this.getStatusText(log.status),
+      timestamp: log.updated_date ? new Date(log.updated_date) : null,
+    }));
+  }
+
+  /**
+   * Get status text from status code
+   */
+  getStatusText(status) {
+    const statusTexts = {
+      'ready_to_pick': 'Chờ lấy hàng',
+      'picking': 'Đang lấy hàng',
+      'cancel': 'Đã hủy',
+      'money_collect_picking': 'Đang thu tiền người gửi',
+      'picked': 'Đã lấy hàng',
+      'storing': 'Hàng đang nằm ở kho',
+      'transporting': 'Đang luân chuyển',
+      'sorting': 'Đang phân loại',
+      'delivering': 'Đang giao hàng',
+      'money_collect_delivering': 'Đang thu tiền người nhận',
+      'delivered': 'Đã giao hàng',
+      'delivery_fail': 'Giao thất bại',
+      'waiting_to_return': 'Chờ trả hàng',
+      'return': 'Trả hàng',
+      'return_transporting': 'Đang luân chuyển hàng trả',
+      'return_sorting': 'Đang phân loại hàng trả',
+      'returning': 'Đang trả hàng',
+      'return_fail': 'Trả hàng thất bại',
+      'returned': 'Đã trả hàng',
+      'exception': 'Đơn hàng ngoại lệ',
+      'damage': 'Hàng bị hư hỏng',
+      'lost': 'Hàng bị thất lạc',
+    };
+    return statusTexts[status] || 'Không xác định';
+  }
+}
+
+module.exports = GHNProvider;
@@ -0,0 +1,442 @@
+/**
+ * Viettel Post Shipping Provider
+ * Implementation for Viettel Post partner API v2 integration
+ *
+ * Feature: shipping-provider-integration
+ * Requirements: 2.2, 3.2
+ */
+
+const crypto = require('crypto');
+const { BaseShippingProvider } = require('../shipping.interface');
+const { normalizeStatus } = require('../status.mapper');
+const { AppError } = require('../../../../../shared/utils/error.util');
+
+// Viettel Post API endpoints
+const VTP_ENDPOINTS = {
+  sandbox: 'https://partnerdev.viettelpost.vn/v2',
+  production: 'https://partner.viettelpost.vn/v2',
+};
+
+// Order payment types (who pays what on delivery)
+const VTP_ORDER_PAYMENT = {
+  NO_COLLECTION: 1, // Không thu tiền
+  COLLECT_GOODS_AND_FEE: 2, // Thu hộ tiền hàng và cước
+  COLLECT_GOODS: 3, // Thu hộ tiền hàng
+};
+
+// UpdateOrder action types
+const VTP_UPDATE_TYPES = {
+  CANCEL: 4,
+};
+
+const DEFAULT_SERVICE = 'VCN'; // Chuyển phát nhanh
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+class VTPProvider extends BaseShippingProvider {
+  constructor(config = {}) {
+    super(config);
+    this.providerCode = 'viettelpost';
+    this.providerName = 'Viettel Post';
+    this.username = config.username || process.env.VTP_USERNAME;
+    this.password = config.password || process.env.VTP_PASSWORD;
+    this.sandbox = config.sandbox ?? (process.env.VTP_SANDBOX === 'true');
+    this.baseUrl = config.baseUrl || process.env.VTP_API_URL
+      || (this.sandbox ? VTP_ENDPOINTS.sandbox : VTP_ENDPOINTS.production);
+    this.webhookSecret = config.webhookSecret || process.env.VTP_WEBHOOK_SECRET;
+    this.serviceCode = config.serviceCode || DEFAULT_SERVICE;
+
+    this.token = config.token || null;
+    this.tokenExpiresAt = this.token ? Infinity : 0;
+    this.masterDataCache = new Map();
+  }
+
+  /**
+   * Check if provider is configured
+   */
+  isConfigured() {
+    return !!(this.token || (this.username && this.password));
+  }
+
+  /**
+   * Log in and cache the partner token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt) {
+      return this.token;
+    }
+
+    const result = await this.makeRequest('POST', '/user/Login', {
+      USERNAME: this.username,
+      PASSWORD: this.password,
+    }, { authenticated: false });
+
+    this.token = result.data?.token;
+    this.tokenExpiresAt = Date.now() + TOKEN_TTL_MS;
+
+    return this.token;
+  }
+
+  /**
+   * Make API request to Viettel Post
+   */
+  async makeRequest(method, endpoint, data = null, { authenticated = true } = {}) {
+    const url = `${this.baseUrl}${endpoint}`;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (authenticated) {
+      headers['Token'] = await this.getToken();
+    }
+
+    const options = { method, headers };
+
+    if (data && (method === 'POST' || method === 'PUT')) {
+      options.body = JSON.stringify(data);
+    }
+
+    this.logApiCall(method, endpoint, authenticated ? data : { USERNAME: data?.USERNAME });
+
+    try {
+      const response = await fetch(url, options);
+      const result = await response.json();
+
+      if (result.error || result.status !== 200) {
+        // Expired token: log in again on the next call
+        if (result.status === 401 || response.status === 401) {
+          this.token = null;
+        }
+        throw new AppError(
+          'VTP_API_ERROR',
+          result.message || 'Viettel Post API error',
+          response.status
+        );
+      }
+
+      return result;
+    } catch (error) {
+      this.handleApiError(error, `${method} ${endpoint}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate shipping fee
+   * @param {Object} params
+   */
+  async calculateFee(params) {
+    const { pickup, delivery, items, codAmount = 0 } = params;
+
+    const weight = this.calculateTotalWeight(items);
+    const value = this.calculateTotalValue(items);
+    const from = await this.resolveAddress(pickup);
+    const to = await this.resolveAddress(delivery);
+
+    const requestData = {
+      SENDER_PROVINCE: from.provinceId,
+      SENDER_DISTRICT: from.districtId,
+      RECEIVER_PROVINCE: to.provinceId,
+      RECEIVER_DISTRICT: to.districtId,
+      PRODUCT_TYPE: 'HH',
+      PRODUCT_WEIGHT: weight,
+      PRODUCT_PRICE: value,
+      MONEY_COLLECTION: codAmount,
+      ORDER_SERVICE: this.serviceCode,
+      ORDER_SERVICE_ADD: '',
+      NATIONAL_TYPE: 1,
+    };
+
+    const result = await this.makeRequest('POST', '/order/getPrice', requestData);
+    const fee = result.data || {};
+
+    return {
+      fee: fee.MONEY_TOTAL || 0,
+      insuranceFee: fee.MONEY_FEE_INSURANCE || 0,
+      estimatedDays: fee.KPI_HT ? Math.max(Math.ceil(fee.KPI_HT / 24), 1) : 3,
+      serviceName: 'Viettel Post Chuyển phát nhanh',
+      breakdown: {
+        baseFee: fee.MONEY_TOTAL_FEE || 0,
+        insuranceFee: fee.MONEY_FEE_INSURANCE || 0,
+        codFee: fee.MONEY_COLLECTION_FEE || 0,
+        vat: fee.MONEY_VAT || 0,
+      },
+    };
+  }
+
+  /**
+   * Create shipping order
+   * @param {Object} orderData
+   */
+  async createOrder(orderData) {
+    const {
+      orderId,
+      pickup,
+      delivery,
+      items,
+      codAmount = 0,
+      note = '',
+    } = orderData;
+
+    const weight = this.calculateTotalWeight(items);
+    const value = this.calculateTotalValue(items);
+    const from = await this.resolveAddress(pickup);
+    const to = await this.resolveAddress(delivery);
+
+    const requestData = {
+      ORDER_NUMBER: orderId,
+      SENDER_FULLNAME: pickup.name,
+      SENDER_ADDRESS: this.formatAddress(pickup),
+      SENDER_PHONE: pickup.phone,
+      SENDER_WARD: from.wardId,
+      SENDER_DISTRICT: from.districtId,
+      SENDER_PROVINCE: from.provinceId,
+
+      RECEIVER_FULLNAME: delivery.name,
+      RECEIVER_ADDRESS: this.formatAddress(delivery),
+      RECEIVER_PHONE: delivery.phone,
+      RECEIVER_WARD: to.wardId,
+      RECEIVER_DISTRICT: to.districtId,
+      RECEIVER_PROVINCE: to.provinceId,
+
+      PRODUCT_NAME: items.map(item => item.name).join(', ').slice(0, 250),
+      PRODUCT_QUANTITY: items.reduce((sum, item) => sum + (item.quantity || 1), 0),
+      PRODUCT_PRICE: value,
+      PRODUCT_WEIGHT: weight,
+      PRODUCT_TYPE: 'HH',
+
+      ORDER_PAYMENT: codAmount > 0 ? VTP_ORDER_PAYMENT.COLLECT_GOODS : VTP_ORDER_PAYMENT.NO_COLLECTION,
+      ORDER_SERVICE: this.serviceCode,
+      ORDER_SERVICE_ADD: '',
+      ORDER_NOTE: note,
+      MONEY_COLLECTION: codAmount,
+
+      LIST_ITEM: items.map(item => ({
+        PRODUCT_NAME: item.name,
+        PRODUCT_PRICE: item.value || item.price || 0,
+        PRODUCT_WEIGHT: item.weight || 500,
+        PRODUCT_QUANTITY: item.quantity || 1,
+      })),
+    };
+
+    const result = await this.makeRequest('POST', '/order/createOrder', requestData);
+    const order = result.data || {};
+
+    return {
+      trackingNumber: order.ORDER_NUMBER,
+      providerOrderId: order.ORDER_NUMBER,
+      fee: order.MONEY_TOTAL || 0,
+      estimatedDelivery: order.KPI_HT
+        ? new Date(Date.now() + order.KPI_HT * 60 * 60 * 1000).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Cancel shipping order
+   * @param {string} trackingNumber
+   */
+  async cancelOrder(trackingNumber) {
+    try {
+      const result = await this.makeRequest('POST', '/order/UpdateOrder', {
+        TYPE: VTP_UPDATE_TYPES.CANCEL,
+        ORDER_NUMBER: trackingNumber,
+        NOTE: 'Hủy đơn hàng',
+      });
+
+      return {
+        success: true,
+        message: result.message || 'Order cancelled successfully',
+      };
+    } catch (error) {
+      if (error.code === 'VTP_API_ERROR') {
+        return {
+          success: false,
+          message: error.message || 'Cannot cancel: order already picked up',
+          reason: 'ALREADY_PICKED_UP',
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get tracking information
+   * @param {string} trackingNumber
+   */
+  async getTracking(trackingNumber) {
+    const result = await this.makeRequest('POST', '/order/getOrderStatus', {
+      ORDER_NUMBER: trackingNumber,
+    });
+
+    const events = (result.data || []).slice().sort(
+      (a, b) => parseVtpDate(a.ORDER_STATUSDATE) - parseVtpDate(b.ORDER_STATUSDATE)
+    );
+    const latest = events[events.length - 1] || {};
+    const statusCode = latest.ORDER_STATUS !== undefined ? String(latest.ORDER_STATUS) : '-100';
+
+    return {
+      trackingNumber,
+      status: normalizeStatus(this.providerCode, statusCode),
+      providerStatus: statusCode,
+      statusMessage: latest.STATUS_NAME || 'Không xác định',
+      estimatedDelivery: latest.EXPECTED_DELIVERY_DATE ? parseVtpDate(latest.EXPECTED_DELIVERY_DATE) : null,
+      history: events.map(event => ({
+        status: normalizeStatus(this.providerCode, String(event.ORDER_STATUS)),
+        providerStatus: String(event.ORDER_STATUS),
+        message: event.STATUS_NAME || event.NOTE,
+        timestamp: parseVtpDate(event.ORDER_STATUSDATE),
+        location: event.LOCALION_CURRENTLY,
+      })),
+      details: {
+        codAmount: latest.MONEY_COLLECTION,
+      },
+    };
+  }
+
+  /**
+   * Validate webhook
+   * Viettel Post sends the partner secret in the TOKEN field of the body; a
+   * request may instead be signed with HMAC-SHA256 of DATA (X-VTP-Signature)
+   * @param {Object} payload
+   * @param {string} signature
+   */
+  validateWebhook(payload, signature) {
+    if (!this.webhookSecret) {
+      console.warn('[VTP] Webhook secret not configured, skipping validation');
+      return true;
+    }
+
+    if (signature) {
+      const data = payload?.DATA ?? payload;
+      const expectedSignature = crypto
+        .createHmac('sha256', this.webhookSecret)
+        .update(typeof data === 'string' ? data : JSON.stringify(data))
+        .digest('hex');
+
+      return this.signaturesMatch(signature, expectedSignature);
+    }
+
+    return this.signaturesMatch(payload?.TOKEN, this.webhookSecret);
+  }
+
+  /**
+   * Parse webhook payload
+   * @param {Object} payload - { DATA: {...}, TOKEN }
+   */
+  parseWebhookPayload(payload) {
+    const data = payload.DATA || payload;
+    const statusCode = String(data.ORDER_STATUS);
+
+    return {
+      trackingNumber: data.ORDER_NUMBER,
+      providerOrderId: data.ORDER_REFERENCE,
+      status: normalizeStatus(this.providerCode, statusCode),
+      providerStatus: statusCode,
+      statusMessage: data.STATUS_NAME || 'Không xác định',
+      timestamp: data.ORDER_STATUSDATE ? parseVtpDate(data.ORDER_STATUSDATE) : new Date(),
+      data: {
+        reason: data.NOTE,
+        location: data.LOCALION_CURRENTLY,
+        weight: data.PRODUCT_WEIGHT,
+        fee: data.MONEY_TOTAL,
+        codAmount: data.MONEY_COLLECTION,
+        codFee: data.MONEY_FEECOD,
+        expectedDelivery: data.EXPECTED_DELIVERY,
+      },
+    };
+  }
+
+  /**
+   * Test connection to Viettel Post API
+   */
+  async testConnection() {
+    try {
+      this.token = null;
+      await this.getToken();
+
+      return {
+        success: true,
+        message: 'Viettel Post connection successful',
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Viettel Post connection failed: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Resolve address names to Viettel Post province/district/ward IDs
+   * Addresses may already carry provinceId/districtId/wardId
+   * @param {Object} address - {province, district, ward}
+   * @returns {Promise<{provinceId: number, districtId: number, wardId: number}>}
+   */
+  async resolveAddress(address) {
+    if (address.provinceId && address.districtId && address.wardId) {
+      return {
+        provinceId: Number(address.provinceId),
+        districtId: Number(address.districtId),
+        wardId: Number(address.wardId),
+      };
+    }
+
+    const provinces = await this.getMasterData('/categories/listProvinceById?provinceId=-1');
+    const province = this.findByName(provinces, address.province, 'PROVINCE_NAME');
+    if (!province) {
+      throw new AppError('VTP_ADDRESS_NOT_FOUND', `Viettel Post: unknown province "${address.province}"`, 400);
+    }
+
+    const districts = await this.getMasterData(`/categories/listDistrict?provinceId=${province.PROVINCE_ID}`);
+    const district = this.findByName(districts, address.district, 'DISTRICT_NAME');
+    if (!district) {
+      throw new AppError('VTP_ADDRESS_NOT_FOUND', `Viettel Post: unknown district "${address.district}"`, 400);
+    }
+
+    const wards = await this.getMasterData(`/categories/listWards?districtId=${district.DISTRICT_ID}`);
+    const ward = this.findByName(wards, address.ward, 'WARDS_NAME');
+
+    return {
+      provinceId: province.PROVINCE_ID,
+      districtId: district.DISTRICT_ID,
+      wardId: ward ? ward.WARDS_ID : 0, // Ward is optional for Viettel Post
+    };
+  }
+
+  /**
+   * Get (cached) master data list
+   */
+  async getMasterData(endpoint) {
+    if (!this.masterDataCache.has(endpoint)) {
+      const result = await this.makeRequest('GET', endpoint);
+      this.masterDataCache.set(endpoint, result.data || []);
+    }
+    return this.masterDataCache.get(endpoint);
+  }
+
+  /**
+   * Find master data entry by name (accent/prefix insensitive)
+   */
+  findByName(list, name, nameField) {
+    const target = this.normalizePlaceName(name);
+    if (!target) return null;
+
+    return list.find(entry => this.normalizePlaceName(entry[nameField]) === target) || null;
+  }
+}
+
+/**
+ * Parse Viettel Post date ("dd/MM/yyyy HH:mm:ss" or ISO)
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseVtpDate(value) {
+  if (!value) return null;
+
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})(?: (\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+  if (!match) return new Date(value);
+
+  const [, day, month, year, hour = '00', minute = '00', second = '00'] = match;
+  // Viettel Post timestamps are Vietnam time (UTC+7)
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+07:00`);
+}
+
+module.exports = VTPProvider;
@@ -6,6 +6,8 @@
  * Requirements: 8.1, 8.2
  */
 
+const crypto = require('crypto');
+
 /**
  * Unified shipping status enum
  */
@@ -180,6 +182,38 @@ class BaseShippingProvider extends ShippingProviderInterface {
     }, 0);
   }
 
+  /**
+   * Normalize Vietnamese place name for matching against provider master data
+   * "Thành phố Hồ Chí Minh" / "TP. Hồ Chí Minh" / "Ho Chi Minh" -> "ho chi minh"
+   * @param {string} name
+   * @returns {string}
+   */
+  normalizePlaceName(name) {
+    if (!name) return '';
+
+    return String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D')
+      .toLowerCase()
+      .replace(/^(thanh pho|tp\.?|tinh|quan|huyen|thi xa|thi tran|phuong|xa)\s+/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Compare webhook signatures in constant time
+   * @param {string} received
+   * @param {string} expected
+   * @returns {boolean}
+   */
+  signaturesMatch(received, expected) {
+    const a = Buffer.from(received || '');
+    const b = Buffer.from(expected || '');
+    return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b);
+  }
+
   /**
    * Log API call for debugging
    * @param {string} method
@@ -60,20 +60,41 @@ const GHN_STATUS_MAP = {
  * Viettel Post status codes to unified status
  */
 const VTP_STATUS_MAP = {
-  '100': ShippingStatus.CREATED,
-  '101': ShippingStatus.ASSIGNED,
-  '102': ShippingStatus.PICKED_UP,
-  '103': ShippingStatus.DELIVERING,
-  '104': ShippingStatus.DELIVERING,
-  '105': ShippingStatus.DELIVERED,
-  '106': ShippingStatus.FAILED,
-  '107': ShippingStatus.RETURNING,
-  '108': ShippingStatus.RETURNED,
-  '109': ShippingStatus.CANCELLED,
-  '200': ShippingStatus.FAILED,
-  '201': ShippingStatus.FAILED,
-  '500': ShippingStatus.CANCELLED,
-  '501': ShippingStatus.CANCELLED,
+  '-100': ShippingStatus.CREATED, // Đơn hàng mới tạo, chưa duyệt
+  '-108': ShippingStatus.PICKED_UP, // Đơn hàng gửi tại bưu cục
+  '-109': ShippingStatus.PICKED_UP, // Đơn hàng gửi tại điểm thu gom
+  '-110': ShippingStatus.PICKED_UP, // Đơn hàng đang bàn giao qua bưu cục
+  '100': ShippingStatus.CREATED, // Tiếp nhận đơn hàng từ đối tác
+  '101': ShippingStatus.CANCELLED, // ViettelPost yêu cầu hủy đơn hàng
+  '102': ShippingStatus.CREATED, // Đơn hàng chờ xử lý
+  '103': ShippingStatus.ASSIGNED, // Giao cho bưu cục
+  '104': ShippingStatus.ASSIGNED, // Giao cho bưu tá đi nhận
+  '105': ShippingStatus.PICKED_UP, // Bưu tá đã nhận hàng
+  '106': ShippingStatus.ASSIGNED, // Đối tác yêu cầu lấy lại hàng
+  '107': ShippingStatus.CANCELLED, // Đối tác yêu cầu hủy qua API
+  '200': ShippingStatus.PICKED_UP, // Nhận từ bưu tá - bưu cục gốc
+  '201': ShippingStatus.CANCELLED, // Hủy nhập phiếu gửi
+  '202': ShippingStatus.PICKED_UP, // Sửa phiếu gửi
+  '300': ShippingStatus.DELIVERING, // Khai thác đi
+  '301': ShippingStatus.DELIVERING, // Đóng bảng kê đi
+  '302': ShippingStatus.DELIVERING, // Đóng chuyến thư đi
+  '303': ShippingStatus.DELIVERING, // Đóng tuyến xe đi
+  '400': ShippingStatus.DELIVERING, // Khai thác đến
+  '401': ShippingStatus.DELIVERING, // Nhận bảng kê đến
+  '402': ShippingStatus.DELIVERING, // Nhận chuyến thư đến
+  '403': ShippingStatus.DELIVERING, // Nhận tuyến xe đến
+  '500': ShippingStatus.DELIVERING, // Giao bưu tá đi phát
+  '501': ShippingStatus.DELIVERED, // Phát thành công
+  '502': ShippingStatus.RETURNING, // Chuyển hoàn bưu cục gốc
+  '503': ShippingStatus.CANCELLED, // Hủy theo yêu cầu khách hàng
+  '504': ShippingStatus.RETURNED, // Chuyển trả người gửi thành công
+  '505': ShippingStatus.RETURNING, // Tồn - thông báo chuyển hoàn
+  '506': ShippingStatus.FAILED, // Tồn - khách hàng vắng nhà
+  '507': ShippingStatus.FAILED, // Tồn - khách hàng đến bưu cục nhận
+  '508': ShippingStatus.DELIVERING, // Phát tiếp
+  '509': ShippingStatus.DELIVERING, // Chuyển tiếp bưu cục khác
+  '515': ShippingStatus.RETURNING, // Bưu cục phát duyệt hoàn
+  '550': ShippingStatus.DELIVERING, // Đối tác yêu cầu phát tiếp
 };
 
 /**
@@ -116,7 +137,11 @@ function normalizeStatus(providerCode, providerStatus) {
     return providerStatus;
   }
 
-  const normalizedStatus = statusMap[String(providerStatus)];
+  // Own keys only - statuses like "constructor" must not hit Object.prototype
+  const key = String(providerStatus);
+  const normalizedStatus = Object.prototype.hasOwnProperty.call(statusMap, key)
+    ? statusMap[key]
+    : undefined;
   
   if (!normalizedStatus) {
     console.warn(`Unknown status ${providerStatus} for provider ${providerCode}`);
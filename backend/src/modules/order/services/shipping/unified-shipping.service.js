@@ -96,6 +96,14 @@ async function getShopEnabledProviders(shopId) {
     defaultProviders.unshift('ghtk');
   }
 
+  if (process.env.GHN_API_TOKEN && process.env.GHN_SHOP_ID) {
+    defaultProviders.unshift('ghn');
+  }
+
+  if (process.env.VTP_USERNAME && process.env.VTP_PASSWORD) {
+    defaultProviders.unshift('viettelpost');
+  }
+
   return defaultProviders;
 }
 
@@ -307,14 +315,14 @@ async function getTrackingInfo(trackingNumber, providerCode) {
  */
 async function processWebhook(providerCode, payload, signature) {
   if (!isProviderRegistered(providerCode)) {
-    throw new AppError(`Provider ${providerCode} is not available`, 400, 'INVALID_PROVIDER');
+    throw new AppError('INVALID_PROVIDER', `Provider ${providerCode} is not available`, 400);
   }
 
   const provider = getProvider(providerCode);
 
   // Validate signature
   if (!provider.validateWebhook(payload, signature)) {
-    throw new AppError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+    throw new AppError('INVALID_SIGNATURE', 'Invalid webhook signature', 401);
   }
 
   // Parse payload
@@ -0,0 +1,226 @@
+/**
+ * Order Stock Service
+ * Stock reservation lifecycle of orders, on top of the atomic inventory functions
+ *
+ * - Checkout reserves stock, so available stock is quantity - reserved_quantity
+ * - Payment failure and cancellation release the reservation
+ * - Delivery turns the reservation into a deduction
+ * - Returned goods received by the shop are restocked
+ *
+ * Each sub-order records its stock_status; it is moved with a conditional update
+ * before the inventory is touched, so retries and duplicate events settle once.
+ * A variant whose inventory update fails after the claim is settled by a retry job.
+ */
+
+const orderRepository = require('../order.repository');
+const inventoryService = require('../../product/services/inventory.service');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+
+const STOCK_SETTLEMENT_JOB = 'orders.stock_settlement';
+
+const STOCK_STATUS = {
+  RESERVED: 'reserved',
+  RELEASED: 'released',
+  DEDUCTED: 'deducted',
+};
+
+/**
+ * Total quantity per variant, ordered by variant ID
+ * A fixed order means concurrent checkouts lock variant rows in the same order
+ * @param {Array<{variant_id: string, quantity: number}>} items - Cart or order items
+ * @returns {Array<{variantId: string, quantity: number}>}
+ */
+function aggregateByVariant(items) {
+  const quantities = new Map();
+  for (const item of items || []) {
+    if (!item.variant_id || !(item.quantity > 0)) continue;
+    quantities.set(item.variant_id, (quantities.get(item.variant_id) || 0) + item.quantity);
+  }
+
+  return [...quantities.keys()]
+    .sort()
+    .map(variantId => ({ variantId, quantity: quantities.get(variantId) }));
+}
+
+/**
+ * Reserve stock for items; all or nothing
+ * @param {Array<{variant_id: string, quantity: number}>} items
+ * @returns {Promise<Array<{variantId: string, quantity: number}>>} Reservations made
+ * @throws {AppError} INSUFFICIENT_STOCK - nothing stays reserved
+ */
+async function reserveItems(items) {
+  const reservations = [];
+
+  try {
+    for (const { variantId, quantity } of aggregateByVariant(items)) {
+      await inventoryService.reserveStockAtomic(variantId, quantity);
+      reservations.push({ variantId, quantity });
+    }
+  } catch (error) {
+    await releaseReservations(reservations);
+    throw error;
+  }
+
+  return reservations;
+}
+
+/**
+ * Release reservations made by reserveItems
+ * A failing release is logged and does not stop the others
+ */
+async function releaseReservations(reservations) {
+  for (const { variantId, quantity } of reservations) {
+    try {
+      await inventoryService.releaseStockAtomic(variantId, quantity);
+    } catch (error) {
+      console.error(`[StockService] Failed to release stock for variant ${variantId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Move a sub-order's stock from reserved to `toStatus` and apply it to the inventory
+ * The claim cannot be retried, so variants that fail are handed to a retry job.
+ * @param {string} subOrderId
+ * @param {string} toStatus - released | deducted
+ * @param {object[]} [items] - Order items of the sub-order (loaded when omitted)
+ * @returns {Promise<boolean>} Whether this call settled the stock
+ * @throws {Error} When a failed variant could not be scheduled for a retry either
+ */
+async function settleSubOrder(subOrderId, toStatus, items = null) {
+  const claimed = await orderRepository.updateSubOrderStockStatus(subOrderId, STOCK_STATUS.RESERVED, toStatus);
+  if (!claimed) return false;
+
+  const orderItems = items || await orderRepository.findOrderItemsBySubOrderId(subOrderId);
+
+  for (const { variantId, quantity } of aggregateByVariant(orderItems)) {
+    const settlement = { subOrderId, toStatus, variantId, quantity };
+
+    try {
+      await applySettlement(settlement);
+    } catch (error) {
+      console.error(`[StockService] Failed to settle stock (${toStatus}) for variant ${variantId}, retrying from a job:`, error.message);
+      await jobScheduler.schedule(STOCK_SETTLEMENT_JOB, settlement, {
+        key: `stock-settlement:${subOrderId}:${toStatus}:${variantId}`,
+      });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Apply one variant of a sub-order settlement to the inventory
+ * Also the retry job handler: throwing makes the job retry
+ */
+async function applySettlement({ toStatus, variantId, quantity }) {
+  if (toStatus === STOCK_STATUS.DEDUCTED) {
+    await inventoryService.confirmStockDeductionAtomic(variantId, quantity);
+  } else {
+    await inventoryService.releaseStockAtomic(variantId, quantity);
+  }
+}
+
+/**
+ * Release the reserved stock of a sub-order (cancelled or returned before delivery)
+ * No-op unless its stock is still reserved
+ */
+async function releaseSubOrderStock(subOrderId, items = null) {
+  return settleSubOrder(subOrderId, STOCK_STATUS.RELEASED, items);
+}
+
+/**
+ * Deduct the reserved stock of a delivered sub-order
+ * No-op unless its stock is still reserved
+ */
+async function deductSubOrderStock(subOrderId, items = null) {
+  return settleSubOrder(subOrderId, STOCK_STATUS.DEDUCTED, items);
+}
+
+/**
+ * Release the reservation of some units of a sub-order that stays open (partial cancellation)
+ * The sub-order keeps its stock status; only the cancelled units go back on sale
+ * @param {object} subOrder - Sub-order row (stock_status)
+ * @param {Array<{variant_id: string, quantity: number}>} items - Cancelled units
+ * @returns {Promise<boolean>} Whether stock was released
+ */
+async function releaseSubOrderItems(subOrder, items) {
+  if (subOrder.stock_status !== STOCK_STATUS.RESERVED) return false;
+
+  await releaseReservations(aggregateByVariant(items));
+  return true;
+}
+
+/**
+ * Release the reserved stock of every sub-order of an order
+ * @returns {Promise<number>} Number of sub-orders released
+ */
+async function releaseOrderStock(orderId) {
+  const subOrders = await orderRepository.findSubOrdersByOrderId(orderId);
+  let released = 0;
+
+  for (const subOrder of subOrders) {
+    if (subOrder.stock_status !== STOCK_STATUS.RESERVED) continue;
+
+    if (await releaseSubOrderStock(subOrder.id, subOrder.order_items)) {
+      released++;
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Settle stock for a sub-order status set by shipment tracking
+ * delivered -> deduct; cancelled / returned (never delivered) -> release
+ */
+async function syncSubOrderStock(subOrderId, subOrderStatus) {
+  if (subOrderStatus === 'delivered') {
+    return deductSubOrderStock(subOrderId);
+  }
+  if (['cancelled', 'returned'].includes(subOrderStatus)) {
+    return releaseSubOrderStock(subOrderId);
+  }
+  return false;
+}
+
+/**
+ * Put returned items back in stock
+ * @param {Array<{variant_id: string, quantity: number}>} items
+ */
+async function restockItems(items) {
+  for (const { variantId, quantity } of aggregateByVariant(items)) {
+    try {
+      await inventoryService.restockStockAtomic(variantId, quantity);
+    } catch (error) {
+      console.error(`[StockService] Failed to restock variant ${variantId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Register the stock settlement retry job
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(STOCK_SETTLEMENT_JOB, applySettlement, {
+    maxAttempts: 8,
+    onFailed: async (settlement, job, error) => {
+      console.error(`[StockService] Stock of variant ${settlement.variantId} (sub-order ${settlement.subOrderId}, ${settlement.toStatus} x${settlement.quantity}) needs reconciliation:`, error.message);
+    },
+  });
+}
+
+module.exports = {
+  STOCK_STATUS,
+  STOCK_SETTLEMENT_JOB,
+  aggregateByVariant,
+  reserveItems,
+  releaseReservations,
+  releaseSubOrderStock,
+  deductSubOrderStock,
+  releaseSubOrderItems,
+  releaseOrderStock,
+  syncSubOrderStock,
+  restockItems,
+  registerJobHandlers,
+};
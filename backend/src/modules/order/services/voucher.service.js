@@ -1,22 +1,58 @@
 /**
  * Voucher Service
  * Business logic for voucher validation and application
+ * 
+ * Voucher rules:
+ * - percentage / fixed: discount on the eligible merchandise subtotal
+ * - tiered: the highest tier reached by the eligible subtotal applies ("spend X get Y")
+ * - free_shipping: discount on the shipping fee (shop voucher: that shop's fee)
+ * - applies_to: only items in the listed categories, products or shops are eligible
+ * - first_order_only: customers without a previous order
+ * 
+ * Stacking rules (resolveVouchers):
+ * 1. At most one platform voucher, one voucher per shop and one free shipping voucher
+ * 2. Shop vouchers apply to their shop's items first; the platform voucher is capped
+ *    at the merchandise total left after them; the shipping voucher at the shipping fee
+ * 3. A voucher that is not stackable is used alone
  */
 
 const voucherRepository = require('../voucher.repository');
 const orderDTO = require('../order.dto');
-const { AppError } = require('../../../shared/utils/error.util');
+const { AppError, ValidationError } = require('../../../shared/utils/error.util');
+const { isRestricted, isItemEligible } = require('../../../shared/utils/applies-to.util');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_shipping', 'tiered'];
+
+const STACK_SLOTS = {
+  PLATFORM: 'platform',
+  SHOP: 'shop',
+  SHIPPING: 'shipping',
+};
 
 /**
  * Validate voucher code
+ * @param {string} code - Voucher code
+ * @param {string} userId - Customer ID
+ * @param {number} orderTotal - Merchandise subtotal the voucher is used on (shop subtotal for shop vouchers)
+ * @param {string} [shopId] - Shop the voucher is used for
+ * @param {object} [context] - Cart details for rule-based vouchers
+ * @param {Array<{productId, categoryId, shopId, amount}>} [context.items] - Items making up orderTotal
+ * @param {number} [context.shippingFee] - Shipping fee a free shipping voucher covers
  */
-async function validateVoucher(code, userId, orderTotal, shopId = null) {
+async function validateVoucher(code, userId, orderTotal, shopId = null, context = {}) {
   const voucher = await voucherRepository.findVoucherByCode(code);
   
   if (!voucher) {
     throw new AppError('VOUCHER_INVALID', 'Voucher code is invalid', 400);
   }
   
+  return checkVoucher(voucher, userId, orderTotal, shopId, context);
+}
+
+/**
+ * Check every rule of a loaded voucher and calculate its discount
+ */
+async function checkVoucher(voucher, userId, orderTotal, shopId = null, context = {}) {
   // Check if voucher is active
   if (!voucher.is_active) {
     throw new AppError('VOUCHER_INVALID', 'Voucher is no longer active', 400);
@@ -43,10 +79,9 @@ async function validateVoucher(code, userId, orderTotal, shopId = null) {
     throw new AppError('VOUCHER_USAGE_LIMIT', 'You have already used this voucher', 400);
   }
   
-  // Check minimum order value
-  if (voucher.min_order_value && orderTotal < parseFloat(voucher.min_order_value)) {
-    throw new AppError('VOUCHER_MIN_ORDER', 
-      `Minimum order value is ${voucher.min_order_value.toLocaleString()} VND`, 400);
+  // Check first order
+  if (voucher.first_order_only && await voucherRepository.hasPlacedOrder(userId)) {
+    throw new AppError('VOUCHER_FIRST_ORDER', 'This voucher is only valid for your first order', 400);
   }
   
   // Check shop voucher scope
@@ -54,31 +89,69 @@ async function validateVoucher(code, userId, orderTotal, shopId = null) {
     throw new AppError('VOUCHER_INVALID', 'This voucher is not valid for this shop', 400);
   }
   
+  return checkSpendRules(voucher, orderTotal, context);
+}
+
+/**
+ * Check the rules that depend on the cart (eligible items, minimum spend, tiers)
+ * and calculate the discount
+ */
+function checkSpendRules(voucher, orderTotal, context = {}) {
+  // Restricted vouchers only count eligible items
+  const eligibleTotal = getEligibleSubtotal(voucher, orderTotal, context.items);
+  if (eligibleTotal <= 0) {
+    throw new AppError('VOUCHER_NOT_APPLICABLE', 'No item in this order is eligible for this voucher', 400);
+  }
+  
+  // Check minimum order value
+  if (voucher.min_order_value && eligibleTotal < parseFloat(voucher.min_order_value)) {
+    throw new AppError('VOUCHER_MIN_ORDER', 
+      `Minimum order value is ${voucher.min_order_value.toLocaleString()} VND`, 400);
+  }
+  
+  if (voucher.discount_type === 'tiered' && !getTier(voucher, eligibleTotal)) {
+    const lowest = getTiers(voucher)[0];
+    throw new AppError('VOUCHER_MIN_ORDER', 
+      `Minimum order value is ${(lowest ? lowest.min_spend : 0).toLocaleString()} VND`, 400);
+  }
+  
   // Calculate discount
-  const discount = calculateDiscount(voucher, orderTotal);
+  const base = voucher.discount_type === 'free_shipping' ? (context.shippingFee || 0) : eligibleTotal;
+  const discount = calculateDiscount(voucher, base);
   
   return {
     voucher: orderDTO.serializeVoucher(voucher),
     discount,
+    eligibleTotal,
     isValid: true,
   };
 }
 
 /**
  * Calculate discount amount
+ * @param {object} voucher - Voucher row
+ * @param {number} orderTotal - Amount discounted: eligible subtotal, or shipping fee for free shipping
  */
 function calculateDiscount(voucher, orderTotal) {
+  let rule = voucher;
+  if (voucher.discount_type === 'tiered') {
+    rule = getTier(voucher, orderTotal);
+    if (!rule) return 0;
+  }
+  
   let discount = 0;
   
-  if (voucher.discount_type === 'percentage') {
-    discount = orderTotal * (parseFloat(voucher.discount_value) / 100);
+  if (voucher.discount_type === 'free_shipping') {
+    discount = orderTotal;
+  } else if (rule.discount_type === 'percentage') {
+    discount = orderTotal * (parseFloat(rule.discount_value) / 100);
   } else {
-    discount = parseFloat(voucher.discount_value);
+    discount = parseFloat(rule.discount_value);
   }
   
   // Apply max discount cap
-  if (voucher.max_discount && discount > parseFloat(voucher.max_discount)) {
-    discount = parseFloat(voucher.max_discount);
+  if (rule.max_discount && discount > parseFloat(rule.max_discount)) {
+    discount = parseFloat(rule.max_discount);
   }
   
   // Discount cannot exceed order total
@@ -89,16 +162,585 @@ function calculateDiscount(voucher, orderTotal) {
   return Math.round(discount);
 }
 
+/**
+ * Tiers of a tiered voucher, lowest min_spend first
+ */
+function getTiers(voucher) {
+  return [...(voucher.tiers || [])].sort((a, b) => parseFloat(a.min_spend) - parseFloat(b.min_spend));
+}
+
+/**
+ * Highest tier reached by an amount (null if below the lowest tier)
+ */
+function getTier(voucher, amount) {
+  const reached = getTiers(voucher).filter(tier => amount >= parseFloat(tier.min_spend));
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Part of the order total the voucher applies to
+ * A restricted voucher needs the items to be checked; without them nothing is eligible
+ */
+function getEligibleSubtotal(voucher, orderTotal, items = null) {
+  if (!isRestricted(voucher)) return orderTotal;
+  if (!items) return 0;
+  
+  return items
+    .filter(item => isItemEligible(voucher, item))
+    .reduce((sum, item) => sum + item.amount, 0);
+}
+
+/**
+ * Stacking slot of a voucher: platform, shop or shipping
+ */
+function getStackSlot(voucher) {
+  if (voucher.discount_type === 'free_shipping') return STACK_SLOTS.SHIPPING;
+  if (voucher.type === 'shop') return STACK_SLOTS.SHOP;
+  return STACK_SLOTS.PLATFORM;
+}
+
+// ============================================
+// STACKING
+// ============================================
+
+/**
+ * Validate a set of voucher codes for a cart and combine them by the stacking rules
+ * Invalid or conflicting codes are returned in `rejected` instead of failing the whole set
+ * @param {string} userId - Customer ID
+ * @param {Array<{shopId, items, subtotal, shippingFee}>} shops - Cart grouped by shop;
+ *   items are {productId, categoryId, shopId, amount}
+ * @param {string[]} codes - Voucher codes (platform, shop and shipping in any order)
+ * @returns {Promise<object>} Discount per shop, platform and shipping discount, applied and rejected codes
+ */
+async function resolveVouchers(userId, shops, codes) {
+  const subtotal = shops.reduce((sum, shop) => sum + shop.subtotal, 0);
+  const shippingTotal = shops.reduce((sum, shop) => sum + (shop.shippingFee || 0), 0);
+  const allItems = shops.flatMap(shop => shop.items || []);
+  
+  const candidates = [];
+  const rejected = [];
+  const uniqueCodes = [...new Set((codes || []).filter(Boolean).map(code => code.trim().toUpperCase()))];
+  
+  for (const code of uniqueCodes) {
+    try {
+      const voucher = await voucherRepository.findVoucherByCode(code);
+      if (!voucher) {
+        throw new AppError('VOUCHER_INVALID', 'Voucher code is invalid', 400);
+      }
+      
+      // Shop vouchers (including a shop's free shipping) only see that shop's part of the cart
+      const shop = voucher.type === 'shop' ? shops.find(s => s.shopId === voucher.shop_id) : null;
+      const validation = shop
+        ? await checkVoucher(voucher, userId, shop.subtotal, shop.shopId, { items: shop.items, shippingFee: shop.shippingFee })
+        : await checkVoucher(voucher, userId, subtotal, null, { items: allItems, shippingFee: shippingTotal });
+      
+      const slot = getStackSlot(voucher);
+      candidates.push({
+        code,
+        voucher,
+        slot,
+        slotKey: slot === STACK_SLOTS.SHOP ? `${slot}:${voucher.shop_id}` : slot,
+        shopId: shop ? shop.shopId : null,
+        discount: validation.discount,
+      });
+    } catch (error) {
+      if (!error.code || !error.statusCode) throw error;
+      rejected.push({ code, error: { code: error.code, message: error.message } });
+    }
+  }
+  
+  const notStackable = (candidate) => ({
+    code: candidate.code,
+    error: { code: 'VOUCHER_NOT_STACKABLE', message: 'This voucher cannot be combined with the other vouchers' },
+  });
+  
+  // Rule 1: one voucher per slot - the one with the larger discount is kept
+  const bySlot = new Map();
+  for (const candidate of candidates) {
+    const current = bySlot.get(candidate.slotKey);
+    if (!current || candidate.discount > current.discount) {
+      if (current) rejected.push(notStackable(current));
+      bySlot.set(candidate.slotKey, candidate);
+    } else {
+      rejected.push(notStackable(candidate));
+    }
+  }
+  let selected = [...bySlot.values()];
+  
+  // Rule 3: a non-stackable voucher is used alone if it beats the stackable combination
+  if (selected.length > 1 && selected.some(c => c.voucher.stackable === false)) {
+    const stackable = selected.filter(c => c.voucher.stackable !== false);
+    const options = [stackable, ...selected.filter(c => c.voucher.stackable === false).map(c => [c])];
+    const best = options.reduce((a, b) =>
+      (combineDiscounts(b, shops, subtotal).discountTotal > combineDiscounts(a, shops, subtotal).discountTotal ? b : a));
+    
+    rejected.push(...selected.filter(c => !best.includes(c)).map(notStackable));
+    selected = best;
+  }
+  
+  return { ...combineDiscounts(selected, shops, subtotal), rejected };
+}
+
+/**
+ * Re-check the vouchers of a placed order against what is left of it (partial cancellation)
+ * Only the cart rules are checked again: dates, usage limits and first order were settled
+ * when the order was placed, and the vouchers were already stacked. A voucher whose shop is
+ * gone or whose rules are no longer met is dropped.
+ * @param {Array<{shopId, items, subtotal, shippingFee}>} shops - Remaining cart grouped by shop
+ * @param {object[]} vouchers - Voucher rows used by the order
+ * @returns {object} Same shape as resolveVouchers, with `dropped` vouchers
+ */
+function reevaluateVouchers(shops, vouchers) {
+  const subtotal = shops.reduce((sum, shop) => sum + shop.subtotal, 0);
+  const shippingTotal = shops.reduce((sum, shop) => sum + (shop.shippingFee || 0), 0);
+  const allItems = shops.flatMap(shop => shop.items || []);
+  
+  const candidates = [];
+  const dropped = [];
+  
+  for (const voucher of vouchers) {
+    const shop = voucher.type === 'shop' ? shops.find(s => s.shopId === voucher.shop_id) : null;
+    
+    try {
+      if (voucher.type === 'shop' && !shop) {
+        throw new AppError('VOUCHER_NOT_APPLICABLE', 'No item in this order is eligible for this voucher', 400);
+      }
+      
+      const validation = shop
+        ? checkSpendRules(voucher, shop.subtotal, { items: shop.items, shippingFee: shop.shippingFee })
+        : checkSpendRules(voucher, subtotal, { items: allItems, shippingFee: shippingTotal });
+      
+      candidates.push({
+        code: voucher.code,
+        voucher,
+        slot: getStackSlot(voucher),
+        shopId: shop ? shop.shopId : null,
+        discount: validation.discount,
+      });
+    } catch (error) {
+      if (!error.code || !error.statusCode) throw error;
+      dropped.push({ voucherId: voucher.id, code: voucher.code, error: { code: error.code, message: error.message } });
+    }
+  }
+  
+  return { ...combineDiscounts(candidates, shops, subtotal), dropped };
+}
+
+/**
+ * Apply selected vouchers in stacking order (rule 2)
+ * Discounts are also shared out over the shops and their items (see allocateProportionally):
+ * - shops[id].itemDiscounts - merchandise discount per item, in the order of shop.items
+ * - shops[id].platformDiscount / platformShippingDiscount - the shop's share of platform vouchers
+ */
+function combineDiscounts(selected, shops, subtotal) {
+  const result = {
+    shops: {},
+    platform: null,
+    shipping: null,
+    merchandiseDiscount: 0,
+    shippingDiscount: 0,
+    discountTotal: 0,
+    applied: [],
+  };
+  
+  for (const shop of shops) {
+    result.shops[shop.shopId] = {
+      discount: 0,
+      voucherId: null,
+      shippingDiscount: 0,
+      platformDiscount: 0,
+      platformShippingDiscount: 0,
+      itemDiscounts: (shop.items || []).map(() => 0),
+    };
+  }
+  
+  const apply = (candidate, discount) => {
+    result.applied.push({
+      code: candidate.code,
+      slot: candidate.slot,
+      shopId: candidate.shopId,
+      discount,
+      voucher: orderDTO.serializeVoucher(candidate.voucher),
+    });
+    return { voucherId: candidate.voucher.id, discount };
+  };
+  
+  // Shop vouchers: already capped at their shop's eligible subtotal
+  for (const candidate of selected.filter(c => c.slot === STACK_SLOTS.SHOP)) {
+    const applied = apply(candidate, candidate.discount);
+    const shop = shops.find(s => s.shopId === candidate.shopId);
+    const shopResult = result.shops[candidate.shopId];
+    
+    shopResult.discount = applied.discount;
+    shopResult.voucherId = applied.voucherId;
+    shopResult.itemDiscounts = allocateProportionally(applied.discount,
+      (shop.items || []).map(item => (isItemEligible(candidate.voucher, item) ? item.amount : 0)));
+    result.merchandiseDiscount += applied.discount;
+  }
+  
+  // Platform voucher: capped at what the shop vouchers left of its eligible items
+  const platform = selected.find(c => c.slot === STACK_SLOTS.PLATFORM);
+  if (platform) {
+    const lines = shops.flatMap(shop => (shop.items || []).map((item, index) => ({ shop, item, index })));
+    const weights = lines.map(({ shop, item, index }) => (isItemEligible(platform.voucher, item)
+      ? Math.max(item.amount - result.shops[shop.shopId].itemDiscounts[index], 0)
+      : 0));
+    const remaining = Math.max(subtotal - result.merchandiseDiscount, 0);
+    const discount = Math.min(platform.discount, remaining, weights.reduce((sum, w) => sum + w, 0));
+    
+    allocateProportionally(discount, weights).forEach((share, i) => {
+      const shopResult = result.shops[lines[i].shop.shopId];
+      shopResult.itemDiscounts[lines[i].index] += share;
+      shopResult.platformDiscount += share;
+    });
+    result.platform = apply(platform, discount);
+    result.merchandiseDiscount += discount;
+  }
+  
+  // Shipping voucher: already capped at the shipping fee it covers
+  const shipping = selected.find(c => c.slot === STACK_SLOTS.SHIPPING);
+  if (shipping) {
+    result.shipping = { ...apply(shipping, shipping.discount), shopId: shipping.shopId };
+    result.shippingDiscount = shipping.discount;
+    if (shipping.shopId) {
+      result.shops[shipping.shopId].shippingDiscount = shipping.discount;
+    } else {
+      allocateProportionally(shipping.discount, shops.map(shop => shop.shippingFee || 0)).forEach((share, i) => {
+        result.shops[shops[i].shopId].platformShippingDiscount = share;
+      });
+    }
+  }
+  
+  result.discountTotal = result.merchandiseDiscount + result.shippingDiscount;
+  return result;
+}
+
+/**
+ * Split a whole VND amount proportionally to weights, summing exactly to the amount
+ * Shares are rounded down and the remainder goes to the largest fractions (earliest first on ties)
+ * @param {number} amount - Amount to split
+ * @param {number[]} weights - Non-negative weights
+ * @returns {number[]} Shares, in the order of weights (all 0 when the weights are all 0)
+ */
+function allocateProportionally(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0 || amount <= 0) return weights.map(() => 0);
+  
+  const exact = weights.map(weight => (amount * weight) / totalWeight);
+  const shares = exact.map(Math.floor);
+  let remainder = Math.round(amount - shares.reduce((sum, share) => sum + share, 0));
+  
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - shares[index] }))
+    .filter(({ index }) => weights[index] > 0)
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  
+  for (let i = 0; remainder > 0; i = (i + 1) % byFraction.length, remainder--) {
+    shares[byFraction[i].index]++;
+  }
+  
+  return shares;
+}
+
+// ============================================
+// RECOMMENDATION
+// ============================================
+
+/**
+ * Best voucher combination for a cart, plus vouchers the cart almost reaches
+ * Every running platform voucher and voucher of the cart's shops is checked with validateVoucher;
+ * the best voucher of each slot is kept, then compared with each non-stackable voucher used alone
+ * @param {string} userId - Customer ID
+ * @param {Array<{shopId, items, subtotal, shippingFee}>} shops - Cart grouped by shop
+ * @returns {Promise<object>} Codes to check out with, per-shop and order totals, near misses
+ */
+async function recommendVouchers(userId, shops) {
+  const subtotal = shops.reduce((sum, shop) => sum + shop.subtotal, 0);
+  const shippingTotal = shops.reduce((sum, shop) => sum + (shop.shippingFee || 0), 0);
+  const allItems = shops.flatMap(shop => shop.items || []);
+  
+  const candidates = [];
+  const nearMisses = [];
+  const vouchers = await voucherRepository.findActiveVouchers(shops.map(shop => shop.shopId));
+  
+  for (const voucher of vouchers) {
+    const shop = voucher.type === 'shop' ? shops.find(s => s.shopId === voucher.shop_id) : null;
+    if (voucher.type === 'shop' && !shop) continue;
+    
+    const orderTotal = shop ? shop.subtotal : subtotal;
+    const context = shop
+      ? { items: shop.items, shippingFee: shop.shippingFee }
+      : { items: allItems, shippingFee: shippingTotal };
+    const shopId = shop ? shop.shopId : null;
+    
+    try {
+      const validation = await checkVoucher(voucher, userId, orderTotal, shopId, context);
+      const slot = getStackSlot(voucher);
+      candidates.push({
+        code: voucher.code,
+        voucher,
+        slot,
+        slotKey: slot === STACK_SLOTS.SHOP ? `${slot}:${voucher.shop_id}` : slot,
+        shopId,
+        discount: validation.discount,
+      });
+      
+      // A higher tier is within reach
+      const nextTier = getTiers(voucher).find(tier => parseFloat(tier.min_spend) > validation.eligibleTotal);
+      if (nextTier) {
+        nearMisses.push(buildNearMiss(voucher, shopId, parseFloat(nextTier.min_spend), validation.eligibleTotal, context));
+      }
+    } catch (error) {
+      if (!error.code || !error.statusCode) throw error;
+      // Only a spend threshold can be fixed by adding to the cart
+      if (error.code !== 'VOUCHER_MIN_ORDER') continue;
+      
+      const eligibleTotal = getEligibleSubtotal(voucher, orderTotal, context.items);
+      nearMisses.push(buildNearMiss(voucher, shopId, getMinimumSpend(voucher), eligibleTotal, context));
+    }
+  }
+  
+  const combination = selectBestCombination(candidates, shops, subtotal);
+  const result = combineDiscounts(combination, shops, subtotal);
+  
+  const codes = { platformVoucherCode: null, shopVouchers: {}, shippingVoucherCode: null };
+  for (const candidate of combination) {
+    if (candidate.slot === STACK_SLOTS.PLATFORM) codes.platformVoucherCode = candidate.code;
+    if (candidate.slot === STACK_SLOTS.SHOP) codes.shopVouchers[candidate.shopId] = candidate.code;
+    if (candidate.slot === STACK_SLOTS.SHIPPING) codes.shippingVoucherCode = candidate.code;
+  }
+  
+  return {
+    codes,
+    applied: result.applied,
+    shops: shops.map(shop => {
+      const allocation = result.shops[shop.shopId];
+      const discount = allocation.discount + allocation.shippingDiscount
+        + allocation.platformDiscount + allocation.platformShippingDiscount;
+      return {
+        shopId: shop.shopId,
+        subtotal: shop.subtotal,
+        shippingFee: shop.shippingFee,
+        voucherCode: codes.shopVouchers[shop.shopId] || null,
+        discount,
+        total: shop.subtotal + shop.shippingFee - discount,
+      };
+    }),
+    totals: {
+      subtotal,
+      shippingTotal,
+      discountTotal: result.discountTotal,
+      grandTotal: subtotal + shippingTotal - result.discountTotal,
+    },
+    nearMisses: nearMisses.sort((a, b) => a.missingAmount - b.missingAmount),
+  };
+}
+
+/**
+ * Best stackable voucher of each slot, or a non-stackable voucher alone if it saves more
+ * Shop and shipping vouchers do not depend on each other; the platform voucher is capped
+ * by the shop vouchers, so each platform voucher is tried on top of them
+ */
+function selectBestCombination(candidates, shops, subtotal) {
+  const total = (selection) => combineDiscounts(selection, shops, subtotal).discountTotal;
+  const stackable = candidates.filter(c => c.voucher.stackable !== false);
+  
+  const bestBySlot = new Map();
+  for (const candidate of stackable.filter(c => c.slot !== STACK_SLOTS.PLATFORM)) {
+    const current = bestBySlot.get(candidate.slotKey);
+    if (!current || candidate.discount > current.discount) {
+      bestBySlot.set(candidate.slotKey, candidate);
+    }
+  }
+  
+  let stacked = [...bestBySlot.values()];
+  const platforms = stackable.filter(c => c.slot === STACK_SLOTS.PLATFORM);
+  if (platforms.length > 0) {
+    stacked = platforms
+      .map(platform => [...stacked, platform])
+      .reduce((a, b) => (total(b) > total(a) ? b : a));
+  }
+  
+  return candidates
+    .filter(c => c.voucher.stackable === false)
+    .map(c => [c])
+    .reduce((a, b) => (total(b) > total(a) ? b : a), stacked);
+}
+
+/**
+ * Spend needed before a voucher applies at all
+ */
+function getMinimumSpend(voucher) {
+  const minOrder = parseFloat(voucher.min_order_value) || 0;
+  if (voucher.discount_type !== 'tiered') return minOrder;
+  
+  const lowest = getTiers(voucher)[0];
+  return Math.max(minOrder, lowest ? parseFloat(lowest.min_spend) : 0);
+}
+
+/**
+ * "Add X more to unlock" hint for a spend threshold
+ */
+function buildNearMiss(voucher, shopId, threshold, eligibleTotal, context) {
+  const missingAmount = Math.max(Math.ceil(threshold - eligibleTotal), 0);
+  const base = voucher.discount_type === 'free_shipping' ? (context.shippingFee || 0) : threshold;
+  const isNextTier = voucher.discount_type === 'tiered' && eligibleTotal >= getMinimumSpend(voucher);
+  
+  return {
+    code: voucher.code,
+    shopId,
+    missingAmount,
+    discountAtThreshold: calculateDiscount(voucher, base),
+    hint: `Add ${missingAmount.toLocaleString()} VND more to unlock ${isNextTier ? 'the next tier of ' : ''}this voucher`,
+    voucher: orderDTO.serializeVoucher(voucher),
+  };
+}
+
+// ============================================
+// VOUCHER RULES (admin / shop input)
+// ============================================
+
+/**
+ * Read voucher rule fields from an admin or shop request body (snake_case or camelCase)
+ * Only rule fields present in the body are returned, as vouchers table columns
+ * @param {object} body - Request body
+ * @param {object} [options]
+ * @param {boolean} [options.isShop] - Shop voucher: cannot be restricted to other shops
+ * @param {object} [options.current] - Existing voucher row when updating
+ * @returns {object} Columns to write
+ * @throws {ValidationError}
+ */
+function normalizeVoucherRules(body, { isShop = false, current = null } = {}) {
+  const pick = (...keys) => keys.map(key => body[key]).find(value => value !== undefined);
+  const columns = {};
+  
+  let discountType = pick('discount_type', 'discountType');
+  if (discountType !== undefined) {
+    discountType = discountType === 'percent' ? 'percentage' : discountType;
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+      throw new ValidationError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+    columns.discount_type = discountType;
+  }
+  const type = discountType || (current && current.discount_type) || 'fixed';
+  
+  const rawValue = pick('discount_value', 'discountValue', 'value');
+  const value = parseFloat(rawValue !== undefined ? rawValue : (current ? current.discount_value : 0)) || 0;
+  
+  if (type === 'percentage' && (value <= 0 || value > 100)) {
+    throw new ValidationError('Percentage discount must be between 0 and 100');
+  }
+  if (type === 'fixed' && value <= 0) {
+    throw new ValidationError('Discount value must be greater than 0');
+  }
+  if (type === 'free_shipping' || type === 'tiered') {
+    // The discount comes from the shipping fee / the tiers
+    columns.discount_value = 0;
+  }
+  
+  const tiers = pick('tiers');
+  if (tiers !== undefined) {
+    columns.tiers = tiers === null ? null : normalizeTiers(tiers);
+  }
+  if (type === 'tiered' && !(columns.tiers !== undefined ? columns.tiers : current && current.tiers)) {
+    throw new ValidationError('Tiered vouchers need at least one tier');
+  }
+  
+  const appliesTo = pick('applies_to', 'appliesTo');
+  if (appliesTo !== undefined) {
+    columns.applies_to = normalizeAppliesTo(appliesTo);
+    if (isShop && columns.applies_to && columns.applies_to.shopIds) {
+      throw new ValidationError('Shop vouchers cannot be restricted to other shops');
+    }
+  }
+  
+  const firstOrderOnly = pick('first_order_only', 'firstOrderOnly');
+  if (firstOrderOnly !== undefined) {
+    columns.first_order_only = firstOrderOnly === true || firstOrderOnly === 'true';
+  }
+  
+  const stackable = pick('stackable');
+  if (stackable !== undefined) {
+    columns.stackable = !(stackable === false || stackable === 'false');
+  }
+  
+  return columns;
+}
+
+/**
+ * Validate tiers ({minSpend, discountType, discountValue, maxDiscount}) and store them sorted
+ */
+function normalizeTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new ValidationError('Tiered vouchers need at least one tier');
+  }
+  
+  const normalized = tiers.map(tier => {
+    const minSpend = parseFloat(tier.min_spend !== undefined ? tier.min_spend : tier.minSpend);
+    let discountType = tier.discount_type || tier.discountType || 'fixed';
+    discountType = discountType === 'percent' ? 'percentage' : discountType;
+    const discountValue = parseFloat(tier.discount_value !== undefined ? tier.discount_value : tier.discountValue);
+    const maxDiscount = tier.max_discount !== undefined ? tier.max_discount : tier.maxDiscount;
+    
+    if (!Number.isFinite(minSpend) || minSpend < 0) {
+      throw new ValidationError('Tier minimum spend must be 0 or more');
+    }
+    if (!['percentage', 'fixed'].includes(discountType)) {
+      throw new ValidationError('Tier discount type must be percentage or fixed');
+    }
+    if (!Number.isFinite(discountValue) || discountValue <= 0 || (discountType === 'percentage' && discountValue > 100)) {
+      throw new ValidationError('Tier discount value is invalid');
+    }
+    
+    return {
+      min_spend: minSpend,
+      discount_type: discountType,
+      discount_value: discountValue,
+      max_discount: maxDiscount ? parseFloat(maxDiscount) : null,
+    };
+  }).sort((a, b) => a.min_spend - b.min_spend);
+  
+  if (new Set(normalized.map(tier => tier.min_spend)).size !== normalized.length) {
+    throw new ValidationError('Tiers must have different minimum spends');
+  }
+  
+  return normalized;
+}
+
+/**
+ * Validate a category/product/shop restriction; an empty restriction is stored as NULL
+ */
+function normalizeAppliesTo(appliesTo) {
+  if (appliesTo === null) return null;
+  if (typeof appliesTo !== 'object' || Array.isArray(appliesTo)) {
+    throw new ValidationError('appliesTo must be an object of categoryIds, productIds and shopIds');
+  }
+  
+  const normalized = {};
+  for (const [key, snake] of [['categoryIds', 'category_ids'], ['productIds', 'product_ids'], ['shopIds', 'shop_ids']]) {
+    const ids = appliesTo[key] !== undefined ? appliesTo[key] : appliesTo[snake];
+    if (ids === undefined || ids === null) continue;
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id)) {
+      throw new ValidationError(`appliesTo.${key} must be a list of IDs`);
+    }
+    if (ids.length > 0) {
+      normalized[key] = [...new Set(ids)];
+    }
+  }
+  
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
 
 /**
  * Apply voucher to order
  */
-async function applyVoucher(orderId, voucherId) {
+async function applyVoucher(orderId, voucherId, userId) {
   // Increment usage count
   await voucherRepository.incrementUsageCount(voucherId);
   
   // Record user usage
-  await voucherRepository.recordUserUsage(voucherId, orderId);
+  await voucherRepository.recordUserUsage(voucherId, orderId, userId);
 }
 
 /**
@@ -117,15 +759,24 @@ async function restoreVoucher(orderId) {
   }
 }
 
+/**
+ * Give back one voucher used by an order (it no longer applies after a partial cancellation)
+ */
+async function releaseVoucher(orderId, voucherId) {
+  await voucherRepository.decrementUsageCount(voucherId);
+  await voucherRepository.removeUserUsage(voucherId, orderId);
+}
+
 /**
  * Get available vouchers for user
+ * @param {number} [shippingFee] - Shipping fee, for the estimate of free shipping vouchers
  */
-async function getAvailableVouchers(userId, orderTotal, shopId = null) {
+async function getAvailableVouchers(userId, orderTotal, shopId = null, shippingFee = 0) {
   const vouchers = await voucherRepository.findAvailableVouchers(userId, orderTotal, shopId);
   
   return vouchers.map(voucher => ({
     ...orderDTO.serializeVoucher(voucher),
-    estimatedDiscount: calculateDiscount(voucher, orderTotal),
+    estimatedDiscount: calculateDiscount(voucher, voucher.discount_type === 'free_shipping' ? shippingFee : orderTotal),
   }));
 }
 
@@ -217,10 +868,20 @@ async function getMyVouchers(userId, status = 'all') {
 }
 
 module.exports = {
+  DISCOUNT_TYPES,
+  STACK_SLOTS,
   validateVoucher,
   calculateDiscount,
+  getEligibleSubtotal,
+  getStackSlot,
+  resolveVouchers,
+  reevaluateVouchers,
+  allocateProportionally,
+  recommendVouchers,
+  normalizeVoucherRules,
   applyVoucher,
   restoreVoucher,
+  releaseVoucher,
   getAvailableVouchers,
   getPlatformVouchers,
   getShopVouchers,
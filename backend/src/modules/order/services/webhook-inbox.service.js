@@ -0,0 +1,261 @@
+/**
+ * Webhook Inbox Service
+ * Processes each payment and shipping callback once
+ *
+ * Every callback is stored with its payload and signature check before anything is
+ * applied. The key (provider + transaction or event ID) is unique among verified
+ * callbacks, so a duplicate or replayed callback is acknowledged without re-running
+ * status changes and notifications. A callback whose processing failed is processed
+ * again when the provider retries it, or from the admin endpoint.
+ *
+ * Webhook handlers register a processor per provider; the processor receives the
+ * stored payload and signature, so a reprocessed event runs exactly like a new one.
+ *
+ * Callbacks failing their signature check are kept for inspection only within
+ * limits: at most MAX_REJECTED_PER_WINDOW per provider and window are stored (the
+ * rest are only logged), and stored ones are purged after REJECTED_RETENTION_MS,
+ * so a flood of forged callbacks cannot fill the table.
+ */
+
+const crypto = require('crypto');
+const webhookInboxRepository = require('../webhook-inbox.repository');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const { AppError, NotFoundError, ConflictError } = require('../../../shared/utils/error.util');
+
+const EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+};
+
+// An event left processing this long was interrupted (crash, deploy) and may be reprocessed
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Rejected callbacks stored per provider and window, and how long they are kept
+const MAX_REJECTED_PER_WINDOW = 100;
+const REJECTED_WINDOW_MS = 60 * 60 * 1000;
+const REJECTED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Recurring purge of expired rejected callbacks
+const REJECTED_PURGE_JOB = 'webhooks.purge_rejected';
+const REJECTED_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const processors = {};
+
+/**
+ * Register the function that applies a provider's callbacks
+ * @param {string} provider - Provider code (momo, vnpay, zalopay, ghtk, ghn, vtp)
+ * @param {Function} processor - async (payload, signature) => result
+ */
+function registerProcessor(provider, processor) {
+  processors[provider] = processor;
+}
+
+/**
+ * Run a signature check; a payload too malformed to check counts as invalid
+ * @param {Function} verify - () => boolean
+ * @returns {boolean}
+ */
+function checkSignature(verify) {
+  try {
+    return verify() === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Event key for providers without a usable event ID: the payload itself
+ * @param {object} payload
+ * @returns {string} SHA-256 of the payload
+ */
+function hashPayload(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Store a callback and process it unless it was seen before
+ * @param {object} webhook
+ * @param {string} webhook.source - payment | shipping
+ * @param {string} webhook.provider - Provider code
+ * @param {string} webhook.eventKey - Transaction or event ID
+ * @param {object} webhook.payload - Raw payload
+ * @param {string} [webhook.signature] - Signature sent with the payload
+ * @param {boolean} webhook.signatureValid - Result of the signature check
+ * @returns {Promise<{status: string, event: object, result?: any}>} status: processed | duplicate | rejected
+ *   (event is null for a rejected callback over the storage limit)
+ * @throws The processor's error (the event is kept as failed)
+ */
+async function receiveWebhook(webhook) {
+  if (!webhook.signatureValid) {
+    return rejectWebhook(webhook);
+  }
+
+  let event = await webhookInboxRepository.insertEvent({ ...webhook, status: EVENT_STATUS.PROCESSING, attempts: 1 });
+
+  if (!event) {
+    const existing = await webhookInboxRepository.findEventByKey(webhook.provider, webhook.eventKey);
+
+    try {
+      await webhookInboxRepository.recordDuplicate(existing);
+    } catch (error) {
+      console.error(`[WebhookInbox] Failed to count duplicate of event ${existing.id}:`, error.message);
+    }
+
+    // A provider retrying a callback we failed to process gets it processed again
+    if (existing.status === EVENT_STATUS.FAILED) {
+      event = await webhookInboxRepository.claimEvent(existing);
+    }
+
+    if (!event) {
+      console.log(`[WebhookInbox] Duplicate ${webhook.provider} callback ${webhook.eventKey} ignored (${existing.status})`);
+      return { status: 'duplicate', event: existing };
+    }
+  }
+
+  return runProcessor(event);
+}
+
+/**
+ * Record a callback that failed its signature check; it is never processed
+ * Stored only while its provider is under MAX_REJECTED_PER_WINDOW in the window.
+ * @param {object} webhook - As for receiveWebhook
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{status: string, event: object|null}>}
+ */
+async function rejectWebhook(webhook, now = new Date()) {
+  console.warn(`[WebhookInbox] Rejected ${webhook.provider} callback ${webhook.eventKey}: invalid signature`);
+
+  const since = new Date(now.getTime() - REJECTED_WINDOW_MS);
+  const recent = await webhookInboxRepository.countRejectedSince(webhook.provider, since);
+  if (recent >= MAX_REJECTED_PER_WINDOW) {
+    return { status: 'rejected', event: null };
+  }
+
+  const rejected = await webhookInboxRepository.insertEvent({ ...webhook, status: EVENT_STATUS.REJECTED });
+  return { status: 'rejected', event: rejected };
+}
+
+/**
+ * Delete rejected callbacks older than REJECTED_RETENTION_MS (job handler)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Deleted events
+ */
+async function purgeRejectedEvents(now = new Date()) {
+  const deleted = await webhookInboxRepository.deleteRejectedBefore(new Date(now.getTime() - REJECTED_RETENTION_MS));
+
+  if (deleted > 0) {
+    console.log(`[WebhookInbox] Purged ${deleted} rejected callbacks`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Apply a claimed event and record the outcome
+ */
+async function runProcessor(event) {
+  const processor = processors[event.provider];
+
+  try {
+    if (!processor) {
+      throw new AppError('WEBHOOK_PROCESSOR_NOT_FOUND', `No processor registered for ${event.provider}`, 500);
+    }
+
+    const result = await processor(event.payload, event.signature);
+    const processed = await webhookInboxRepository.markProcessed(event.id, result);
+    return { status: 'processed', event: processed, result };
+  } catch (error) {
+    try {
+      await webhookInboxRepository.markFailed(event.id, error.message);
+    } catch (markError) {
+      console.error(`[WebhookInbox] Failed to mark event ${event.id} failed:`, markError.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Process a failed (or interrupted) event again (Admin)
+ * @param {string} eventId - Webhook event ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} Updated event (processed, or failed with its error)
+ */
+async function reprocessEvent(eventId, now = new Date()) {
+  const event = await webhookInboxRepository.findEventById(eventId);
+
+  if (!event) {
+    throw new NotFoundError('Webhook event');
+  }
+
+  if (!event.signature_valid) {
+    throw new AppError('WEBHOOK_SIGNATURE_INVALID', 'Callbacks with an invalid signature are never processed', 400);
+  }
+
+  const interrupted = event.status === EVENT_STATUS.PROCESSING
+    && now.getTime() - new Date(event.updated_at).getTime() >= STALE_PROCESSING_MS;
+
+  if (event.status !== EVENT_STATUS.FAILED && !interrupted) {
+    throw new ConflictError('WEBHOOK_NOT_REPROCESSABLE', `Only failed events can be reprocessed (current: ${event.status})`);
+  }
+
+  const claimed = await webhookInboxRepository.claimEvent(event);
+  if (!claimed) {
+    throw new ConflictError('WEBHOOK_NOT_REPROCESSABLE', 'The event is being processed');
+  }
+
+  try {
+    const { event: processed } = await runProcessor(claimed);
+    return processed;
+  } catch (error) {
+    console.error(`[WebhookInbox] Reprocessing event ${eventId} failed:`, error.message);
+    return webhookInboxRepository.findEventById(eventId);
+  }
+}
+
+/**
+ * Get event by ID (Admin)
+ */
+async function getEvent(eventId) {
+  const event = await webhookInboxRepository.findEventById(eventId);
+
+  if (!event) {
+    throw new NotFoundError('Webhook event');
+  }
+
+  return event;
+}
+
+/**
+ * List events (Admin)
+ * @param {object} filters - status, provider, source, eventKey, page, limit
+ */
+async function getEvents(filters = {}) {
+  return webhookInboxRepository.findEvents(filters);
+}
+
+/**
+ * Register the purge of rejected callbacks as a recurring job
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(REJECTED_PURGE_JOB, () => purgeRejectedEvents(), {
+    intervalMs: REJECTED_PURGE_INTERVAL_MS,
+    maxAttempts: 3,
+  });
+}
+
+module.exports = {
+  EVENT_STATUS,
+  MAX_REJECTED_PER_WINDOW,
+  REJECTED_RETENTION_MS,
+  registerProcessor,
+  checkSignature,
+  hashPayload,
+  receiveWebhook,
+  reprocessEvent,
+  getEvent,
+  getEvents,
+  purgeRejectedEvents,
+  registerJobHandlers,
+};
@@ -6,47 +6,54 @@
  * Requirements: 4.2, 4.3, 4.4
  */
 
-const { processWebhook } = require('./services/shipping/unified-shipping.service');
+// Load through the shipping index so providers are registered with the factory
+const { processWebhook, getProvider } = require('./services/shipping');
 const externalShipmentRepo = require('./services/shipping/external-shipment.repository');
 const { ShippingStatus } = require('./services/shipping/shipping.interface');
 const { isSuccessStatus, isFailureStatus } = require('./services/shipping/status.mapper');
-const { successResponse, errorResponse } = require('../../shared/utils/response.util');
+const webhookInboxService = require('./services/webhook-inbox.service');
+const { sendSuccess } = require('../../shared/utils/response.util');
+
+const WEBHOOK_PROVIDERS = ['ghtk', 'ghn', 'vtp'];
 
 /**
- * Handle GHTK webhook
+ * Receive a provider webhook through the webhook inbox; a replayed
+ * status update is acknowledged without triggering status flows again
+ * @param {string} providerCode - Provider code
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} signature - Signature header value
  */
-async function handleGHTKWebhook(req, res) {
+async function handleProviderWebhook(providerCode, req, res, signature) {
+  const label = providerCode.toUpperCase();
+
   try {
-    const signature = req.headers['x-ghtk-signature'] || req.headers['token'];
     const payload = req.body;
 
-    console.log('[Webhook] GHTK webhook received:', JSON.stringify(payload));
+    console.log(`[Webhook] ${label} webhook received:`, JSON.stringify(payload));
 
-    // Process webhook through unified service
-    const webhookData = await processWebhook('ghtk', payload, signature);
+    const provider = getProvider(providerCode);
+    const { status } = await webhookInboxService.receiveWebhook({
+      source: 'shipping',
+      provider: providerCode,
+      eventKey: getEventKey(provider, payload),
+      payload,
+      signature,
+      signatureValid: webhookInboxService.checkSignature(() => provider.validateWebhook(payload, signature)),
+    });
 
-    // Update shipment in database
-    const shipment = await externalShipmentRepo.findByTrackingNumber(webhookData.trackingNumber);
-    
-    if (!shipment) {
-      console.warn(`[Webhook] Shipment not found for tracking: ${webhookData.trackingNumber}`);
-      return res.status(200).json({ success: true, message: 'Acknowledged' });
+    // Return 401 for signature errors
+    if (status === 'rejected') {
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
     }
 
-    // Update shipment status
-    await externalShipmentRepo.updateFromWebhook(webhookData.trackingNumber, webhookData);
-
-    // Trigger appropriate flows based on status
-    await handleStatusChange(shipment.sub_order_id, webhookData.status, webhookData);
+    if (status === 'duplicate') {
+      return res.status(200).json({ success: true, message: 'Acknowledged' });
+    }
 
-    return successResponse(res, { received: true }, 'Webhook processed');
+    return sendSuccess(res, { received: true });
   } catch (error) {
-    console.error('[Webhook] GHTK webhook error:', error.message);
-    
-    // Return 401 for signature errors
-    if (error.code === 'INVALID_SIGNATURE') {
-      return res.status(401).json({ success: false, error: 'Invalid signature' });
-    }
+    console.error(`[Webhook] ${label} webhook error:`, error.message);
 
     // Return 200 for other errors to prevent retries
     return res.status(200).json({ success: false, error: error.message });
@@ -54,39 +61,81 @@ async function handleGHTKWebhook(req, res) {
 }
 
 /**
- * Handle GHN webhook (placeholder)
+ * Webhook inbox key: tracking number and provider status, plus a payload hash
+ * since providers can report the same status more than once (e.g. repeated delivery attempts)
+ * @param {Object} provider - Shipping provider
+ * @param {Object} payload - Webhook payload
+ * @returns {string}
  */
-async function handleGHNWebhook(req, res) {
+function getEventKey(provider, payload) {
+  const hash = webhookInboxService.hashPayload(payload).slice(0, 16);
+
   try {
-    const signature = req.headers['x-ghn-signature'];
-    const payload = req.body;
+    const { trackingNumber, providerStatus } = provider.parseWebhookPayload(payload);
+    return `${trackingNumber}:${providerStatus}:${hash}`;
+  } catch {
+    return hash;
+  }
+}
 
-    console.log('[Webhook] GHN webhook received:', JSON.stringify(payload));
+/**
+ * Apply a provider webhook (webhook inbox processor): validate, update the
+ * external shipment and trigger status flows
+ * @param {string} providerCode - Provider code
+ * @param {Object} payload - Webhook payload
+ * @param {string} signature - Signature header value
+ * @returns {Promise<Object>}
+ */
+async function processProviderWebhook(providerCode, payload, signature) {
+  // Process webhook through unified service
+  const webhookData = await processWebhook(providerCode, payload, signature);
 
-    // TODO: Implement when GHN provider is added
-    return successResponse(res, { received: true }, 'Webhook acknowledged');
-  } catch (error) {
-    console.error('[Webhook] GHN webhook error:', error.message);
-    return res.status(200).json({ success: false, error: error.message });
+  // Update shipment in database
+  const shipment = await externalShipmentRepo.findByTrackingNumber(webhookData.trackingNumber);
+
+  if (!shipment) {
+    console.warn(`[Webhook] Shipment not found for tracking: ${webhookData.trackingNumber}`);
+    return { trackingNumber: webhookData.trackingNumber, shipmentFound: false };
   }
+
+  // Update shipment status
+  await externalShipmentRepo.updateFromWebhook(webhookData.trackingNumber, webhookData);
+
+  // Trigger appropriate flows based on status
+  await handleStatusChange(shipment.sub_order_id, webhookData.status, webhookData);
+
+  return { trackingNumber: webhookData.trackingNumber, status: webhookData.status, shipmentFound: true };
 }
 
+WEBHOOK_PROVIDERS.forEach((providerCode) => {
+  webhookInboxService.registerProcessor(
+    providerCode,
+    (payload, signature) => processProviderWebhook(providerCode, payload, signature)
+  );
+});
+
 /**
- * Handle Viettel Post webhook (placeholder)
+ * Handle GHTK webhook
  */
-async function handleVTPWebhook(req, res) {
-  try {
-    const signature = req.headers['x-vtp-signature'];
-    const payload = req.body;
+async function handleGHTKWebhook(req, res) {
+  const signature = req.headers['x-ghtk-signature'] || req.headers['token'];
+  return handleProviderWebhook('ghtk', req, res, signature);
+}
 
-    console.log('[Webhook] VTP webhook received:', JSON.stringify(payload));
+/**
+ * Handle GHN webhook
+ */
+async function handleGHNWebhook(req, res) {
+  const signature = req.headers['x-ghn-signature'];
+  return handleProviderWebhook('ghn', req, res, signature);
+}
 
-    // TODO: Implement when VTP provider is added
-    return successResponse(res, { received: true }, 'Webhook acknowledged');
-  } catch (error) {
-    console.error('[Webhook] VTP webhook error:', error.message);
-    return res.status(200).json({ success: false, error: error.message });
-  }
+/**
+ * Handle Viettel Post webhook
+ */
+async function handleVTPWebhook(req, res) {
+  const signature = req.headers['x-vtp-signature'];
+  return handleProviderWebhook('vtp', req, res, signature);
 }
 
 /**
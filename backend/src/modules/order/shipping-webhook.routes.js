@@ -17,13 +17,13 @@ const shippingWebhookController = require('./shipping-webhook.controller');
 router.post('/ghtk', shippingWebhookController.handleGHTKWebhook);
 
 /**
- * GHN Webhook (placeholder for future)
+ * GHN Webhook
  * POST /api/webhooks/shipping/ghn
  */
 router.post('/ghn', shippingWebhookController.handleGHNWebhook);
 
 /**
- * Viettel Post Webhook (placeholder for future)
+ * Viettel Post Webhook
  * POST /api/webhooks/shipping/vtp
  */
 router.post('/vtp', shippingWebhookController.handleVTPWebhook);
@@ -223,6 +223,20 @@ async function getOrderVoucherUsages(orderId) {
   return data || [];
 }
 
+/**
+ * Check if user has placed an order that was not cancelled (first-order vouchers)
+ */
+async function hasPlacedOrder(userId) {
+  const { count, error } = await supabase
+    .from('orders')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .not('status', 'in', '(cancelled,payment_failed)');
+  
+  if (error) throw error;
+  return count > 0;
+}
+
 /**
  * Find available vouchers for user
  */
@@ -269,6 +283,30 @@ async function findAvailableVouchers(userId, orderTotal, shopId = null) {
   return availableVouchers;
 }
 
+/**
+ * Find running vouchers of the platform and of some shops, whatever the order total
+ * Usage limits are left to validation
+ */
+async function findActiveVouchers(shopIds = []) {
+  const now = new Date().toISOString();
+  
+  let query = supabase
+    .from('vouchers')
+    .select('*')
+    .eq('is_active', true)
+    .lte('start_date', now)
+    .gte('end_date', now);
+  
+  query = shopIds.length > 0
+    ? query.or(`type.eq.platform,and(type.eq.shop,shop_id.in.(${shopIds.join(',')}))`)
+    : query.eq('type', 'platform');
+  
+  const { data, error } = await query;
+  
+  if (error) throw error;
+  return data || [];
+}
+
 /**
  * Create voucher
  */
@@ -285,6 +323,10 @@ async function createVoucher(voucherData) {
       min_order_value: voucherData.minOrderValue || 0,
       usage_limit: voucherData.usageLimit,
       per_user_limit: voucherData.perUserLimit || 1,
+      applies_to: voucherData.appliesTo || null,
+      tiers: voucherData.tiers || null,
+      first_order_only: voucherData.firstOrderOnly || false,
+      stackable: voucherData.stackable !== false,
       start_date: voucherData.startDate,
       end_date: voucherData.endDate,
       is_active: true,
@@ -305,7 +347,9 @@ module.exports = {
   recordUserUsage,
   removeUserUsage,
   getOrderVoucherUsages,
+  hasPlacedOrder,
   findAvailableVouchers,
+  findActiveVouchers,
   createVoucher,
   getPlatformVouchers,
   getShopVouchers,
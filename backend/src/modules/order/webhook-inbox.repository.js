@@ -0,0 +1,212 @@
+/**
+ * Webhook Inbox Repository
+ * Database operations for received payment and shipping callbacks
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Store a received callback
+ * @returns {Promise<object|null>} Stored event, or null if a verified event with the same key exists
+ */
+async function insertEvent(eventData) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert({
+      source: eventData.source,
+      provider: eventData.provider,
+      event_key: eventData.eventKey,
+      payload: eventData.payload,
+      signature: eventData.signature || null,
+      signature_valid: eventData.signatureValid,
+      status: eventData.status,
+      attempts: eventData.attempts || 0,
+    })
+    .select()
+    .single();
+
+  if (error && error.code === UNIQUE_VIOLATION) return null;
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find event by ID
+ */
+async function findEventById(eventId) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Find the verified event holding a key
+ */
+async function findEventByKey(provider, eventKey) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('provider', provider)
+    .eq('event_key', eventKey)
+    .eq('signature_valid', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Count a replay of a stored event
+ */
+async function recordDuplicate(event) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      duplicate_count: (event.duplicate_count || 0) + 1,
+      last_received_at: new Date().toISOString(),
+    })
+    .eq('id', event.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Take an event for processing (atomic)
+ * Conditional on the status and attempt count read before, so only one caller wins
+ * @returns {Promise<object|null>} Claimed event, or null if it changed meanwhile
+ */
+async function claimEvent(event) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: event.attempts + 1,
+    })
+    .eq('id', event.id)
+    .eq('status', event.status)
+    .eq('attempts', event.attempts)
+    .select();
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Mark event processed
+ */
+async function markProcessed(eventId, result) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processed',
+      result: result === undefined ? null : result,
+      last_error: null,
+      processed_at: new Date().toISOString(),
+    })
+    .eq('id', eventId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark event failed (can be reprocessed)
+ */
+async function markFailed(eventId, errorMessage) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'failed',
+      last_error: errorMessage,
+    })
+    .eq('id', eventId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Count a provider's rejected callbacks received since a time
+ * @returns {Promise<number>}
+ */
+async function countRejectedSince(provider, since) {
+  const { count, error } = await supabase
+    .from('webhook_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'rejected')
+    .eq('provider', provider)
+    .gte('received_at', since.toISOString());
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Delete rejected callbacks received before a time
+ * @returns {Promise<number>} Deleted events
+ */
+async function deleteRejectedBefore(before) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .delete()
+    .eq('status', 'rejected')
+    .lt('received_at', before.toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length;
+}
+
+/**
+ * List events (newest first)
+ * @param {object} options - status, provider, source, eventKey, page, limit
+ */
+async function findEvents(options = {}) {
+  const { status, provider, source, eventKey, page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('webhook_events')
+    .select('*', { count: 'exact' })
+    .order('received_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (Array.isArray(status)) {
+    query = query.in('status', status);
+  } else if (status) {
+    query = query.eq('status', status);
+  }
+  if (provider) query = query.eq('provider', provider);
+  if (source) query = query.eq('source', source);
+  if (eventKey) query = query.eq('event_key', eventKey);
+
+  const { data, error, count } = await query;
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0, page, limit };
+}
+
+module.exports = {
+  insertEvent,
+  findEventById,
+  findEventByKey,
+  recordDuplicate,
+  claimEvent,
+  markProcessed,
+  markFailed,
+  countRejectedSince,
+  deleteRejectedBefore,
+  findEvents,
+};
@@ -6,9 +6,27 @@
 const fc = require('fast-check');
 const approvalService = require('../services/approval.service');
 const productRepository = require('../product.repository');
+const searchIndexService = require('../services/search-index.service');
 
-// Mock the repository
+// Mock the repository and everything that would open a Supabase connection
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: {}, supabase: {} }));
 jest.mock('../product.repository');
+jest.mock('../../shop/shop.repository', () => ({
+  findShopById: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../shop/follow.repository', () => ({
+  getFollowerUserIds: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../notification/triggers/shop.triggers', () => ({
+  onNewProduct: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../notification/triggers/partner.triggers', () => ({
+  onProductApproved: jest.fn().mockResolvedValue(undefined),
+  onProductRejected: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../services/search-index.service', () => ({
+  syncProduct: jest.fn().mockResolvedValue('indexed'),
+}));
 
 // Arbitrary generators
 const productStatusArb = fc.constantFrom('draft', 'pending', 'active', 'rejected', 'revision_required', 'inactive');
@@ -62,6 +80,9 @@ describe('Approval Service Property Tests', () => {
               status: 'active',
             })
           );
+
+          // Product should be indexed in search
+          expect(searchIndexService.syncProduct).toHaveBeenCalledWith(product.id);
         }),
         { numRuns: 100 }
       );
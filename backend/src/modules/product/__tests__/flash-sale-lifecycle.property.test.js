@@ -0,0 +1,339 @@
+/**
+ * Flash Sale Lifecycle Property Tests
+ * Property-based tests for timed flash sale status transitions
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory tables
+let tables = {};
+
+/**
+ * Minimal Supabase query builder over the in-memory tables
+ * Filters: eq, is, in, lte; update applies to the filtered rows
+ */
+function query(table) {
+  const filters = [];
+  let patch = null;
+  let range = null;
+
+  const run = () => {
+    let rows = tables[table].filter(row => filters.every(f => f(row)));
+    if (patch) {
+      rows.forEach(row => Object.assign(row, patch));
+    }
+    if (range) {
+      rows = rows.slice(range[0], range[1] + 1);
+    }
+    return rows.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    order: () => builder,
+    update: (values) => { patch = values; return builder; },
+    eq: (col, value) => { filters.push(row => row[col] === value); return builder; },
+    is: (col, value) => { filters.push(row => (row[col] ?? null) === value); return builder; },
+    in: (col, values) => { filters.push(row => values.includes(row[col])); return builder; },
+    lte: (col, value) => { filters.push(row => new Date(row[col]) <= new Date(value)); return builder; },
+    range: (from, to) => { range = [from, to]; return builder; },
+    single: async () => {
+      const rows = run();
+      return rows.length ? { data: rows[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+    },
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+  };
+  return builder;
+}
+
+const mockSupabaseAdmin = { from: (table) => query(table) };
+
+const mockRabbitMQ = {
+  EXCHANGES: { EVENTS: 'events' },
+  publishToExchange: jest.fn().mockResolvedValue(true),
+};
+
+const mockCacheService = { invalidateProduct: jest.fn().mockResolvedValue(true) };
+const mockSearchIndexService = { syncProduct: jest.fn().mockResolvedValue('indexed') };
+const mockPromoTriggers = {
+  onFlashSaleStart: jest.fn().mockResolvedValue({}),
+  onWishlistItemOnSale: jest.fn().mockResolvedValue({}),
+};
+const mockJobScheduler = {
+  registerHandler: jest.fn(),
+  schedule: jest.fn().mockResolvedValue({}),
+  cancel: jest.fn().mockResolvedValue(true),
+};
+
+const mockFlashSaleService = {
+  serializeFlashSale: (fs) => ({
+    id: fs.id,
+    name: fs.name,
+    startTime: fs.start_time,
+    endTime: fs.end_time,
+    status: fs.status,
+  }),
+  getFlashSaleProducts: jest.fn(async (flashSaleId) => tables.flash_sale_products
+    .filter(p => p.flash_sale_id === flashSaleId)
+    .map(p => ({ productId: p.product_id, flashPrice: p.flash_price, originalPrice: p.original_price, discountPercent: 50, product: { name: 'P' } }))),
+};
+
+jest.mock('../../../shared/supabase/supabase.client', () => ({ supabaseAdmin: mockSupabaseAdmin }));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => mockRabbitMQ);
+jest.mock('../../../shared/jobs/job.scheduler', () => mockJobScheduler);
+jest.mock('../../../shared/redis/cache.service', () => mockCacheService);
+jest.mock('../services/flash-sale.service', () => mockFlashSaleService);
+jest.mock('../services/search-index.service', () => mockSearchIndexService);
+jest.mock('../../notification/triggers/promo.triggers', () => mockPromoTriggers);
+
+const lifecycleService = require('../services/flash-sale-lifecycle.service');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+// Generators
+const saleArb = fc.record({
+  status: fc.constantFrom('draft', 'scheduled', 'active', 'ended', 'cancelled'),
+  startOffset: fc.integer({ min: -120, max: 120 }), // minutes from NOW
+  duration: fc.integer({ min: 1, max: 180 }),
+});
+
+function seed(specs, prefs = []) {
+  jest.clearAllMocks();
+  tables = {
+    flash_sales: specs.map((spec, i) => ({
+      id: `sale-${i}`,
+      name: `Sale ${i}`,
+      status: spec.status,
+      start_time: new Date(NOW.getTime() + spec.startOffset * MINUTE).toISOString(),
+      end_time: new Date(NOW.getTime() + (spec.startOffset + spec.duration) * MINUTE).toISOString(),
+    })),
+    flash_sale_products: specs.map((spec, i) => ({
+      flash_sale_id: `sale-${i}`,
+      product_id: `product-${i}`,
+      flash_price: 50000,
+      original_price: 100000,
+    })),
+    notification_preferences: prefs,
+    wishlists: [],
+  };
+}
+
+function expectedStatus(spec) {
+  const start = spec.startOffset;
+  const end = spec.startOffset + spec.duration;
+  if (!['scheduled', 'active'].includes(spec.status)) return spec.status;
+  if (end <= 0) return 'ended';
+  if (spec.status === 'scheduled' && start <= 0) return 'active';
+  return spec.status;
+}
+
+function eventsOf(type) {
+  return mockRabbitMQ.publishToExchange.mock.calls
+    .filter(call => call[1] === `flash_sale.${type}`)
+    .map(call => call[2].flashSaleId);
+}
+
+describe('Flash Sale Lifecycle Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 1: Statuses follow the clock**
+   * *For any* set of flash sales, after a sweep every scheduled sale past its start
+   * SHALL be active, every scheduled/active sale past its end SHALL be ended, and
+   * draft/cancelled sales SHALL be untouched.
+   */
+  describe('Property 1: Statuses follow the clock', () => {
+    it('should move each due sale to its status at the current time', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(saleArb, { minLength: 1, maxLength: 8 }), async (specs) => {
+          seed(specs);
+
+          const result = await lifecycleService.processFlashSaleLifecycle(NOW);
+
+          specs.forEach((spec, i) => {
+            expect(tables.flash_sales[i].status).toBe(expectedStatus(spec));
+          });
+
+          const started = specs.filter(s => s.status !== 'active' && expectedStatus(s) === 'active').length;
+          const ended = specs.filter(s => s.status !== 'ended' && expectedStatus(s) === 'ended').length;
+          expect(result).toEqual({ started, ended });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 2: Events fire exactly once**
+   * *For any* number of overlapping sweeps and transition jobs, each sale SHALL
+   * publish flash_sale.started / flash_sale.ended at most once, with its product
+   * caches invalidated and search documents updated.
+   */
+  describe('Property 2: Events fire exactly once', () => {
+    it('should publish one event per transition across concurrent runs', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(saleArb, { minLength: 1, maxLength: 6 }),
+          fc.integer({ min: 1, max: 4 }),
+          async (specs, runs) => {
+            seed(specs);
+
+            await Promise.all([
+              ...Array.from({ length: runs }, () => lifecycleService.processFlashSaleLifecycle(NOW)),
+              ...tables.flash_sales.map(fs => lifecycleService.transitionFlashSale(fs.id, NOW)),
+            ]);
+
+            specs.forEach((spec, i) => {
+              const id = `sale-${i}`;
+              const target = expectedStatus(spec);
+              const changed = target !== spec.status;
+
+              expect(eventsOf('started').filter(e => e === id)).toHaveLength(changed && target === 'active' ? 1 : 0);
+              expect(eventsOf('ended').filter(e => e === id)).toHaveLength(changed && target === 'ended' ? 1 : 0);
+
+              const invalidations = mockCacheService.invalidateProduct.mock.calls.filter(c => c[0] === `product-${i}`);
+              expect(invalidations).toHaveLength(changed ? 1 : 0);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 3: Only opted-in users are notified**
+   * *For any* notification preferences, a starting sale SHALL notify exactly the
+   * users who opted in to promotions.
+   */
+  describe('Property 3: Only opted-in users are notified', () => {
+    it('should send the flash sale start notification to opted-in users only', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(fc.boolean(), { maxLength: 20 }), async (optIns) => {
+          seed(
+            [{ status: 'scheduled', startOffset: -1, duration: 60 }],
+            optIns.map((promotions, i) => ({ user_id: `user-${i}`, promotions, price_drops: true }))
+          );
+
+          await lifecycleService.transitionFlashSale('sale-0', NOW);
+
+          const notified = mockPromoTriggers.onFlashSaleStart.mock.calls.flatMap(call => call[0].user_ids);
+          const optedIn = optIns.map((v, i) => (v ? `user-${i}` : null)).filter(Boolean);
+          expect(notified.sort()).toEqual(optedIn.sort());
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 4: Timing changes reschedule jobs**
+   * *For any* scheduled or active sale, its start/end jobs SHALL be replaced by
+   * jobs at the current start/end time; other statuses SHALL have none.
+   */
+  describe('Property 4: Timing changes reschedule jobs', () => {
+    it('should schedule start and end jobs for the current timing', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.constantFrom('draft', 'scheduled', 'active', 'ended', 'cancelled'), async (status) => {
+          seed([]);
+
+          const sale = { id: 'sale-x', status, startTime: '2025-06-02T10:00:00Z', endTime: '2025-06-02T12:00:00Z' };
+          await lifecycleService.scheduleTransitions(sale);
+
+          expect(mockJobScheduler.cancel).toHaveBeenCalledWith('flash_sale:start:sale-x');
+          expect(mockJobScheduler.cancel).toHaveBeenCalledWith('flash_sale:end:sale-x');
+
+          const runAts = mockJobScheduler.schedule.mock.calls.map(call => call[2].runAt);
+          if (status === 'scheduled') {
+            expect(runAts).toEqual([sale.startTime, sale.endTime]);
+          } else if (status === 'active') {
+            expect(runAts).toEqual([sale.endTime]);
+          } else {
+            expect(runAts).toEqual([]);
+          }
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 5: Failed side effects are retried**
+   * *For any* due sale whose side effects fail after its status was committed, a
+   * retried transition job or a later sweep SHALL run them, and the event SHALL
+   * still be published once.
+   */
+  describe('Property 5: Failed side effects are retried', () => {
+    it('should run the side effects of a committed transition on retry', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(
+            { status: 'scheduled', startOffset: -1, duration: 60, event: 'started' },
+            { status: 'active', startOffset: -60, duration: 30, event: 'ended' }
+          ),
+          fc.constantFrom('job', 'sweep'),
+          async (spec, retry) => {
+            seed([spec]);
+            mockCacheService.invalidateProduct.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+            await expect(lifecycleService.transitionFlashSale('sale-0', NOW)).rejects.toThrow('Redis unavailable');
+            expect(tables.flash_sales[0].status).toBe(expectedStatus(spec));
+            expect(eventsOf(spec.event)).toHaveLength(0);
+
+            if (retry === 'job') {
+              expect(await lifecycleService.transitionFlashSale('sale-0', NOW)).toBeNull();
+            } else {
+              await lifecycleService.processFlashSaleLifecycle(NOW);
+            }
+            // Nothing left to run
+            await lifecycleService.processFlashSaleLifecycle(NOW);
+
+            expect(eventsOf(spec.event)).toEqual(['sale-0']);
+            expect(tables.flash_sales[0].pending_transition).toBeNull();
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: flash-sale-lifecycle, Property 6: Search documents are rebuilt**
+   * *For any* sale that starts or ends, the search document of each of its products
+   * SHALL be rebuilt from the database, once per product, after the status changed.
+   */
+  describe('Property 6: Search documents are rebuilt', () => {
+    it('should sync the search document of every product of a sale that moved', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(
+            { status: 'scheduled', startOffset: -1, duration: 60 },
+            { status: 'active', startOffset: -60, duration: 30 }
+          ),
+          fc.integer({ min: 1, max: 3 }),
+          async (spec, variants) => {
+            seed([spec]);
+            // A product listed with several variants
+            for (let i = 1; i < variants; i++) {
+              tables.flash_sale_products.push({ ...tables.flash_sale_products[0], flash_price: 40000 + i });
+            }
+            mockSearchIndexService.syncProduct.mockImplementation(async () => {
+              expect(tables.flash_sales[0].status).toBe(expectedStatus(spec));
+              return 'indexed';
+            });
+
+            await lifecycleService.transitionFlashSale('sale-0', NOW);
+
+            expect(mockSearchIndexService.syncProduct.mock.calls).toEqual([['product-0']]);
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * Property-Based Tests for Product Bulk Import / Export
+ * CSV and XLSX round trips, per-row validation errors, dry runs and applying imports
+ *
+ * The product tables are in-memory fakes; the spreadsheet format, validators and
+ * DTOs are the real ones.
+ */
+
+const fc = require('fast-check');
+
+const SHOP_ID = 'shop-1';
+const CATEGORY_ID = '5d3c2b1a-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+// In-memory state: the shop's products (with variants and images) and the import row
+const mockState = {
+  products: [],
+  productImport: null,
+};
+
+jest.mock('../product.repository', () => ({
+  findProductsForExport: jest.fn(async (shopId, { afterId = null, limit = 200 } = {}) => mockState.products
+    .filter(product => product.shop_id === shopId && (!afterId || product.id > afterId))
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .slice(0, limit)),
+  findProductByIdWithRelations: jest.fn(async (productId) => mockState.products.find(product => product.id === productId) || null),
+  findVariantBySKU: jest.fn(async (sku) => mockState.products
+    .flatMap(product => product.variants)
+    .find(variant => variant.sku === sku) || null),
+  findVariantsByProductId: jest.fn(async () => [{ id: 'default-variant', sku: 'AUTO-SKU' }]),
+  softDeleteVariant: jest.fn(async (variantId) => ({ id: variantId })),
+}));
+
+jest.mock('../category.repository', () => ({
+  findCategoryById: jest.fn(async (categoryId) => (categoryId === '5d3c2b1a-4e5f-4a6b-8c7d-9e0f1a2b3c4d' ? { id: categoryId } : null)),
+}));
+
+jest.mock('../product.service', () => ({
+  createProduct: jest.fn(async (shopId, data) => ({ id: 'new-product', shop_id: shopId, ...data })),
+  updateProduct: jest.fn(async (productId) => ({ id: productId })),
+  addVariant: jest.fn(async (productId, shopId, data) => ({ id: `variant-${data.sku}`, ...data })),
+  updateVariant: jest.fn(async (variantId, shopId, data) => ({ id: variantId, ...data })),
+  addImage: jest.fn(async (productId, shopId, data) => ({ id: 'image', ...data })),
+  deleteProduct: jest.fn(async () => undefined),
+}));
+
+jest.mock('../services/inventory.service', () => ({
+  updateStock: jest.fn(async () => ({})),
+}));
+
+jest.mock('../product-import.repository', () => ({
+  createImport: jest.fn(async (productImport) => {
+    mockState.productImport = {
+      id: 'import-1',
+      shop_id: productImport.shopId,
+      format: productImport.format,
+      dry_run: productImport.dryRun,
+      status: 'pending',
+      rows: productImport.rows,
+      total_rows: productImport.rows.length,
+      processed_rows: 0,
+      summary: productImport.summary,
+      errors: [],
+    };
+    return mockState.productImport;
+  }),
+  updateImport: jest.fn(async (importId, updates) => {
+    mockState.productImport = { ...mockState.productImport, ...JSON.parse(JSON.stringify(updates)) };
+    return mockState.productImport;
+  }),
+  findImportById: jest.fn(async () => mockState.productImport),
+  findImports: jest.fn(),
+}));
+
+jest.mock('../../../shared/jobs/job.scheduler', () => ({
+  registerHandler: jest.fn(),
+  schedule: jest.fn(async () => ({ id: 'job-1' })),
+}));
+
+jest.mock('../../../shared/redis/cache.service', () => ({
+  invalidateProduct: jest.fn(async () => true),
+}));
+
+const productImportService = require('../services/product-import.service');
+const productSheet = require('../services/product-sheet');
+const productService = require('../product.service');
+const productRepository = require('../product.repository');
+const inventoryService = require('../services/inventory.service');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const textArb = fc.stringOf(fc.constantFrom('a', 'B', 'đ', 'Ô', 'ư', ' ', ',', '"', ';', '1'), { minLength: 1, maxLength: 30 })
+  .filter(text => text.trim() === text && text.length > 0);
+
+const variantArb = fc.record({
+  name: fc.constantFrom('Đỏ', 'Xanh', 'Size M', 'Mặc định'),
+  attributes: fc.dictionary(fc.constantFrom('Màu', 'Size', 'Chất liệu'), fc.constantFrom('Đỏ', 'M', 'XL', 'Cotton'), { maxKeys: 2 }),
+  price: fc.option(fc.integer({ min: 1000, max: 9000000 }), { nil: null }),
+  quantity: fc.integer({ min: 0, max: 500 }),
+  low_stock_threshold: fc.integer({ min: 0, max: 20 }),
+});
+
+const productArb = fc.record({
+  name: textArb,
+  description: fc.option(textArb, { nil: null }),
+  category_id: fc.constantFrom(null, CATEGORY_ID),
+  base_price: fc.integer({ min: 1000, max: 50000000 }),
+  compare_at_price: fc.option(fc.integer({ min: 1000, max: 90000000 }), { nil: null }),
+  currency: fc.constantFrom('VND', 'USD'),
+  variants: fc.array(variantArb, { maxLength: 3 }),
+  images: fc.array(fc.integer({ min: 1, max: 99 }), { maxLength: 3 }),
+});
+
+// Shop products with unique IDs and SKUs, as the database returns them
+const catalogArb = fc.array(productArb, { minLength: 1, maxLength: 5 }).map(products => products.map((product, i) => {
+  const id = `prod-${String(i).padStart(3, '0')}`;
+  return {
+    ...product,
+    id,
+    shop_id: SHOP_ID,
+    status: 'active',
+    base_price: `${product.base_price}.00`,
+    variants: product.variants.map((variant, j) => ({ ...variant, id: `${id}-v${j}`, product_id: id, sku: `SKU-${i}-${j}`, deleted_at: null })),
+    images: [...new Set(product.images)].map((n, j) => ({ url: `https://cdn.example.com/${id}/${n}.jpg`, is_primary: j === 0, sort_order: j })),
+  };
+}));
+
+const formatArb = fc.constantFrom('csv', 'xlsx');
+
+/**
+ * Upload a sheet as a multer file and run the import job
+ */
+async function runImport(rows, format, { dryRun = false } = {}) {
+  const buffer = await productSheet.writeSheet(rows, format);
+  await productImportService.createImport(SHOP_ID, 'partner-1', {
+    originalname: `products.${format}`,
+    mimetype: productSheet.CONTENT_TYPES[format],
+    buffer,
+  }, { dryRun });
+  return productImportService.processImport('import-1');
+}
+
+function countWrites() {
+  return ['createProduct', 'updateProduct', 'addVariant', 'updateVariant', 'addImage']
+    .reduce((sum, name) => sum + productService[name].mock.calls.length, 0)
+    + inventoryService.updateStock.mock.calls.length;
+}
+
+describe('Product Import Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockState.products = [];
+    mockState.productImport = null;
+  });
+
+  it('should read back every exported row unchanged from CSV and XLSX', async () => {
+    await fc.assert(
+      fc.asyncProperty(catalogArb, formatArb, async (products, format) => {
+        const rows = products.flatMap(productSheet.productToRows);
+        const sheet = await productSheet.readSheet(await productSheet.writeSheet(rows, format), format);
+
+        expect(sheet.columns).toEqual(productSheet.COLUMNS);
+        expect(sheet.rows.map(row => row.row)).toEqual(rows.map((_, i) => i + 2));
+        sheet.rows.forEach(({ values }, i) => {
+          productSheet.COLUMNS.forEach(column => {
+            expect(values[column]).toBe(String(rows[i][column] ?? ''));
+          });
+        });
+        expect(productSheet.groupRows(sheet.rows).map(group => group.key)).toEqual(products.map(product => `id:${product.id}`));
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should find nothing to change when an export is imported back', async () => {
+    await fc.assert(
+      fc.asyncProperty(catalogArb, formatArb, async (products, format) => {
+        mockState.products = products;
+        jest.clearAllMocks();
+
+        const file = await productImportService.exportProducts(SHOP_ID, { format });
+        expect(file.count).toBe(products.length);
+        await productImportService.createImport(SHOP_ID, 'partner-1', {
+          originalname: file.fileName, mimetype: file.contentType, buffer: file.buffer,
+        });
+        const result = await productImportService.processImport('import-1');
+
+        expect(result.status).toBe('completed');
+        expect(result.errors).toEqual([]);
+        expect(result.summary).toMatchObject({ products: products.length, unchanged: products.length, failed: 0 });
+        expect(countWrites()).toBe(0);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  it('should report invalid cells by row and column and still import the valid products', async () => {
+    const rows = [
+      { name: 'Áo thun', base_price: 150000, sku: 'AO-1', quantity: 5 },
+      { name: 'Áo thun', base_price: 150000, sku: 'AO-2', attributes: 'Size', quantity: -1 },
+      { name: 'Quần', base_price: 'free', category_id: 'not-a-uuid' },
+      { name: 'Giày', base_price: 0, sku: 'AO-1', image_urls: 'ftp://cdn/a.jpg' },
+      { name: 'Mũ', base_price: 90000, category_id: '1d3c2b1a-4e5f-4a6b-8c7d-9e0f1a2b3c4d' },
+      { product_id: 'prod-unknown', name: 'Túi' },
+      { name: 'Nón', base_price: 50000, sku: 'NON-1', quantity: 3, image_urls: 'https://cdn/non.jpg' },
+    ];
+
+    const result = await runImport(rows, 'csv');
+    const errorAt = (row, column) => result.errors.filter(error => error.row === row && error.column === column);
+
+    expect(errorAt(3, 'attributes')).toHaveLength(1);
+    expect(errorAt(3, 'quantity')).toHaveLength(1);
+    expect(errorAt(4, 'base_price')).toHaveLength(1);
+    expect(errorAt(4, 'category_id')).toHaveLength(1);
+    expect(errorAt(5, 'base_price')[0].message).toBe('Base price must be a positive number');
+    expect(errorAt(5, 'sku')[0].message).toBe('Duplicate SKU, already used on row 2');
+    expect(errorAt(5, 'image_urls')).toHaveLength(1);
+    expect(errorAt(6, 'category_id')[0].message).toBe('Category not found');
+    expect(errorAt(7, 'product_id')[0].message).toBe('Product not found');
+    expect(result.summary).toMatchObject({ products: 6, created: 1, failed: 5, errorCount: result.errors.length });
+
+    // Only "Nón" was created
+    expect(productService.createProduct).toHaveBeenCalledTimes(1);
+    expect(productService.createProduct).toHaveBeenCalledWith(SHOP_ID, expect.objectContaining({ name: 'Nón', base_price: 50000, quantity: 3 }));
+    expect(productService.updateVariant).toHaveBeenCalledWith('default-variant', SHOP_ID, expect.objectContaining({ sku: 'NON-1' }));
+    expect(productService.addImage).toHaveBeenCalledWith('new-product', SHOP_ID, { url: 'https://cdn/non.jpg', sort_order: 0, is_primary: true });
+  });
+
+  it('should write nothing in a dry run and report the same counts and errors as a real run', async () => {
+    await fc.assert(
+      fc.asyncProperty(catalogArb, formatArb, fc.integer({ min: 0, max: 1000 }), async (products, format, seed) => {
+        mockState.products = products;
+        const rows = products.flatMap(productSheet.productToRows).map((row, i) => ({
+          ...row,
+          // Some edits: a new price, a new stock level, an invalid price
+          base_price: (i + seed) % 3 === 0 ? Number(row.base_price) + 1000 : (i + seed) % 5 === 0 ? -1 : row.base_price,
+          quantity: row.sku && (i + seed) % 2 === 0 ? Number(row.quantity) + 1 : row.quantity,
+        }));
+        // New product rows
+        rows.push({ name: `Sản phẩm mới ${seed}`, base_price: 120000, sku: `NEW-${seed}`, quantity: 2 });
+
+        jest.clearAllMocks();
+        const dryRun = await runImport(rows, format, { dryRun: true });
+        expect(countWrites()).toBe(0);
+
+        jest.clearAllMocks();
+        const applied = await runImport(rows, format);
+
+        expect(dryRun.summary).toEqual(applied.summary);
+        expect(dryRun.errors).toEqual(applied.errors);
+        expect(applied.summary.created).toBe(1);
+        expect(applied.summary.updated + applied.summary.unchanged + applied.summary.failed).toBe(products.length);
+        expect(productService.createProduct).toHaveBeenCalledTimes(1);
+      }),
+      { numRuns: 15 }
+    );
+  });
+
+  it('should update only the changed fields of existing products and variants', async () => {
+    mockState.products = [{
+      id: 'prod-001',
+      shop_id: SHOP_ID,
+      name: 'Áo thun',
+      description: 'Cotton',
+      base_price: '150000.00',
+      currency: 'VND',
+      category_id: null,
+      variants: [
+        { id: 'v1', sku: 'AO-M', name: 'M', attributes: { Size: 'M' }, price: null, quantity: 5, low_stock_threshold: 10, deleted_at: null },
+        { id: 'v2', sku: 'AO-L', name: 'L', attributes: { Size: 'L' }, price: null, quantity: 2, low_stock_threshold: 10, deleted_at: null },
+      ],
+      images: [{ url: 'https://cdn/ao.jpg', is_primary: true, sort_order: 0 }],
+    }];
+    const [m, l] = productSheet.productToRows(mockState.products[0]);
+
+    const result = await runImport([
+      { ...m, base_price: 140000, image_urls: 'https://cdn/ao.jpg|https://cdn/ao-2.jpg' },
+      { ...l, base_price: 140000, image_urls: 'https://cdn/ao.jpg|https://cdn/ao-2.jpg', quantity: 8, variant_price: 145000 },
+      { ...l, base_price: 140000, image_urls: 'https://cdn/ao.jpg|https://cdn/ao-2.jpg', sku: 'AO-XL', variant_name: 'XL', attributes: 'Size=XL', quantity: 1 },
+    ], 'xlsx');
+
+    expect(result.errors).toEqual([]);
+    expect(result.summary).toMatchObject({ updated: 1, variantsCreated: 1, variantsUpdated: 1, imagesAdded: 1 });
+    expect(productService.updateProduct).toHaveBeenCalledWith('prod-001', SHOP_ID, { base_price: 140000 });
+    expect(productService.updateVariant).toHaveBeenCalledTimes(1);
+    expect(productService.updateVariant).toHaveBeenCalledWith('v2', SHOP_ID, { price: 145000 });
+    expect(inventoryService.updateStock).toHaveBeenCalledWith('v2', 8, 'bulk_import');
+    expect(productService.addVariant).toHaveBeenCalledWith('prod-001', SHOP_ID, expect.objectContaining({
+      sku: 'AO-XL', name: 'XL', attributes: { Size: 'XL' }, quantity: 1,
+    }));
+    expect(productService.addImage).toHaveBeenCalledWith('prod-001', SHOP_ID, { url: 'https://cdn/ao-2.jpg', sort_order: 1, is_primary: false });
+  });
+
+  it('should not touch products of another shop', async () => {
+    mockState.products = [{ id: 'prod-other', shop_id: 'shop-2', name: 'Khác', base_price: '1000.00', variants: [], images: [] }];
+
+    const result = await runImport([{ product_id: 'prod-other', name: 'Khác', base_price: 2000 }], 'csv');
+
+    expect(result.errors).toEqual([{ row: 2, column: 'product_id', message: 'Product not found' }]);
+    expect(countWrites()).toBe(0);
+  });
+
+  it('should discard a created product when a later step fails, and report the product otherwise', async () => {
+    productService.addVariant.mockRejectedValueOnce(new Error('SKU already exists'));
+
+    let result = await runImport([
+      { name: 'Áo', base_price: 1000, sku: 'AO-1' },
+      { name: 'Áo', base_price: 1000, sku: 'AO-2' },
+    ], 'csv');
+
+    expect(result.errors).toEqual([{ row: 2, column: null, message: 'SKU already exists' }]);
+    expect(result.summary).toMatchObject({ created: 0, failed: 1 });
+    expect(productRepository.softDeleteVariant).toHaveBeenCalledWith('default-variant');
+    expect(productService.deleteProduct).toHaveBeenCalledWith('new-product', SHOP_ID);
+
+    // The product could not be removed again: the partner gets its ID to clean it up
+    jest.clearAllMocks();
+    productService.addImage.mockRejectedValueOnce(new Error('Image rejected'));
+    productService.deleteProduct.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    result = await runImport([{ name: 'Mũ', base_price: 1000, image_urls: 'https://cdn/mu.jpg' }], 'csv');
+
+    expect(result.errors).toEqual([{ row: 2, column: null, message: 'Image rejected', product_id: 'new-product' }]);
+
+    // A failed update keeps what was written and names the product
+    jest.clearAllMocks();
+    mockState.products = [{
+      id: 'prod-001', shop_id: SHOP_ID, name: 'Áo', base_price: '1000.00', currency: 'VND', variants: [], images: [],
+    }];
+    productService.addImage.mockRejectedValueOnce(new Error('Image rejected'));
+
+    result = await runImport([{ product_id: 'prod-001', name: 'Áo', base_price: 2000, image_urls: 'https://cdn/ao.jpg' }], 'csv');
+
+    expect(result.errors).toEqual([{ row: 2, column: null, message: 'Image rejected', product_id: 'prod-001' }]);
+    expect(productService.deleteProduct).not.toHaveBeenCalled();
+  });
+
+  it('should resume an import after the last saved product', async () => {
+    const rows = [
+      { name: 'Một', base_price: 1000 },
+      { name: 'Hai', base_price: 2000 },
+      { name: 'Ba', base_price: 3000 },
+    ];
+    const buffer = await productSheet.writeSheet(rows, 'csv');
+    await productImportService.createImport(SHOP_ID, 'partner-1', { originalname: 'a.csv', buffer });
+    mockState.productImport.summary = { ...mockState.productImport.summary, productsProcessed: 2, created: 2 };
+    mockState.productImport.processed_rows = 2;
+
+    const result = await productImportService.processImport('import-1');
+
+    expect(productService.createProduct).toHaveBeenCalledTimes(1);
+    expect(productService.createProduct).toHaveBeenCalledWith(SHOP_ID, expect.objectContaining({ name: 'Ba' }));
+    expect(result).toMatchObject({ status: 'completed', processed_rows: 3, summary: { productsProcessed: 3, created: 3 } });
+  });
+
+  it('should reject files it cannot import and schedule the job for the others', async () => {
+    const upload = (originalname, buffer) => productImportService.createImport(SHOP_ID, 'partner-1', { originalname, buffer });
+
+    await expect(upload('products.pdf', Buffer.from('x'))).rejects.toMatchObject({ code: 'IMPORT_INVALID_FORMAT', statusCode: 400 });
+    await expect(upload('products.xlsx', Buffer.from('not a zip'))).rejects.toMatchObject({ code: 'IMPORT_UNREADABLE_FILE' });
+    await expect(upload('products.csv', Buffer.from('sku,quantity\nA-1,3\n'))).rejects.toMatchObject({ code: 'IMPORT_MISSING_COLUMNS' });
+    await expect(upload('products.csv', Buffer.from('name,base_price\n'))).rejects.toMatchObject({ code: 'IMPORT_EMPTY_FILE' });
+
+    const tooMany = 'name,base_price\n' + 'Áo,1000\n'.repeat(productImportService.MAX_IMPORT_ROWS + 1);
+    await expect(upload('products.csv', Buffer.from(tooMany))).rejects.toMatchObject({ code: 'IMPORT_TOO_MANY_ROWS' });
+    expect(jobScheduler.schedule).not.toHaveBeenCalled();
+
+    const productImport = await upload('products.csv', Buffer.from('name,base_price,notes\nÁo,1000,x\n'));
+    expect(productImport.summary).toEqual({ ignoredColumns: ['notes'] });
+    expect(jobScheduler.schedule).toHaveBeenCalledWith(productImportService.IMPORT_JOB, { importId: 'import-1' }, { key: 'product-import:import-1' });
+  });
+});
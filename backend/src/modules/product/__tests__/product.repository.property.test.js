@@ -5,6 +5,7 @@
 
 const fc = require('fast-check');
 const productRepository = require('../product.repository');
+const { supabaseAdmin } = require('../../../shared/supabase/supabase.client');
 
 // Mock supabase
 jest.mock('../../../shared/supabase/supabase.client', () => ({
@@ -182,4 +183,26 @@ describe('Product Repository Property Tests', () => {
       );
     });
   });
+
+  describe('SKU prefix lookup', () => {
+    it('should match LIKE wildcards in the prefix literally', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.stringMatching(/^[A-Za-z0-9_%\\-]{1,40}$/), async (prefix) => {
+          const like = jest.fn(async () => ({ data: [{ sku: `${prefix}-1` }], error: null }));
+          supabaseAdmin.from.mockReturnValueOnce({ select: jest.fn(() => ({ like })) });
+
+          const skus = await productRepository.findSkusWithPrefix(prefix);
+
+          const [, pattern] = like.mock.calls[0];
+          expect(pattern.endsWith('%')).toBe(true);
+          // Unescaping the pattern gives back the prefix, and no unescaped wildcard is left
+          const body = pattern.slice(0, -1);
+          expect(body.replace(/\\(.)/g, '$1')).toBe(prefix);
+          expect(body.replace(/\\./g, '')).not.toMatch(/[%_\\]/);
+          expect(skus).toEqual(new Set([`${prefix}-1`]));
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
 });
@@ -0,0 +1,294 @@
+/**
+ * Property-Based Tests for Search Index Service
+ * Rebuilding the index from the database and the index consistency check
+ *
+ * The products table and Elasticsearch are in-memory fakes.
+ */
+
+const fc = require('fast-check');
+
+// In-memory state: products table rows and index documents (id -> document)
+const mockState = {
+  products: [],
+  documents: new Map(),
+  available: true,
+  jobs: [],
+};
+
+jest.mock('../product.repository', () => {
+  const indexable = () => mockState.products
+    .filter(product => product.status === 'active' && !product.deleted_at)
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  return {
+    findProductsForIndex: jest.fn(async ({ afterId = null, ids = null, limit = 500 } = {}) => indexable()
+      .filter(product => (!afterId || product.id > afterId) && (!ids || ids.includes(product.id)))
+      .slice(0, limit)
+      .map(product => ({ ...product, shop_name: 'Shop', category_name: 'Category' }))),
+    countProductsForIndex: jest.fn(async () => indexable().length),
+    findProductIndexStates: jest.fn(async (ids) => mockState.products.filter(product => ids.includes(product.id))),
+  };
+});
+
+jest.mock('../search-index.repository', () => ({
+  createJob: jest.fn(async (job) => {
+    const row = { id: `job-${mockState.jobs.length + 1}`, ...job, processed: 0, failed: 0 };
+    mockState.jobs.push(row);
+    return row;
+  }),
+  updateJob: jest.fn(async (jobId, updates) => {
+    const job = mockState.jobs.find(row => row.id === jobId);
+    Object.assign(job, updates);
+    return { ...job };
+  }),
+  findJobById: jest.fn(async (jobId) => mockState.jobs.find(row => row.id === jobId) || null),
+  findRunningReindex: jest.fn(async () => mockState.jobs.find(row => row.type === 'reindex' && row.status === 'running') || null),
+  findJobs: jest.fn(),
+}));
+
+jest.mock('../../../shared/elasticsearch/elasticsearch.client', () => ({
+  PRODUCT_INDEX: 'products',
+  esClient: {},
+  isAvailable: jest.fn(async () => mockState.available),
+  getAliasIndices: jest.fn(),
+  getDocuments: jest.fn(async (index, ids) => new Map(ids
+    .filter(id => mockState.documents.has(id))
+    .map(id => [id, mockState.documents.get(id)]))),
+  listDocumentIds: jest.fn(async (index, { after = null, size = 500 } = {}) => [...mockState.documents.keys()]
+    .sort()
+    .filter(id => !after || id > after)
+    .slice(0, size)),
+  bulkIndexDocuments: jest.fn(async (index, documents, { onlyNew = false } = {}) => {
+    const result = { written: 0, skipped: 0, failed: [] };
+    for (const document of documents) {
+      if (onlyNew && mockState.documents.has(document.id)) { result.skipped++; continue; }
+      mockState.documents.set(document.id, document);
+      result.written++;
+    }
+    return result;
+  }),
+  bulkDeleteDocuments: jest.fn(async (index, ids) => {
+    ids.forEach(id => mockState.documents.delete(id));
+    return { deleted: ids.length, failed: [] };
+  }),
+  indexDocument: jest.fn(async (index, id, document) => { mockState.documents.set(id, document); }),
+  deleteDocument: jest.fn(async (index, id) => {
+    if (!mockState.documents.delete(id)) throw Object.assign(new Error('not found'), { meta: { statusCode: 404 } });
+  }),
+}));
+
+jest.mock('../synonym.repository', () => ({}));
+
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({
+  EXCHANGES: { EVENTS: 'events' },
+  publishToExchange: jest.fn(),
+}));
+
+jest.mock('../../../shared/jobs/job.scheduler', () => ({
+  registerHandler: jest.fn(),
+}));
+
+const searchIndexService = require('../services/search-index.service');
+const searchService = require('../services/search.service');
+const elasticsearchClient = require('../../../shared/elasticsearch/elasticsearch.client');
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const timestampArb = fc.integer({ min: Date.UTC(2024, 0, 1), max: Date.UTC(2026, 0, 1) })
+  .map(ms => new Date(ms).toISOString());
+
+const productArb = fc.record({
+  id: fc.integer({ min: 1, max: 40 }).map(n => `p${String(n).padStart(3, '0')}`),
+  name: fc.constantFrom('Điện thoại', 'Laptop', 'Tai nghe', 'Áo thun'),
+  status: fc.constantFrom('active', 'active', 'inactive', 'pending'),
+  deleted_at: fc.option(timestampArb, { nil: null, freq: 5 }),
+  base_price: fc.integer({ min: 1000, max: 50000000 }),
+  updated_at: timestampArb,
+});
+
+// What the index holds for a product: up to date, stale in one field, or nothing
+const documentStateArb = fc.constantFrom('current', 'status', 'updated_at', 'base_price', 'none');
+
+const scenarioArb = fc.record({
+  products: fc.uniqueArray(fc.tuple(productArb, documentStateArb), { selector: ([p]) => p.id, maxLength: 25 }),
+  unknownIds: fc.uniqueArray(fc.integer({ min: 100, max: 120 }).map(n => `p${n}`), { maxLength: 3 }),
+});
+
+function loadScenario({ products, unknownIds }) {
+  mockState.products = products.map(([product]) => product);
+  mockState.documents = new Map();
+  mockState.jobs = [];
+
+  for (const [product, state] of products) {
+    if (state === 'none') continue;
+    const document = searchService.buildIndexDocument(product);
+    if (state === 'status') document.status = product.status === 'active' ? 'inactive' : 'active';
+    if (state === 'updated_at') document.updated_at = new Date(Date.parse(product.updated_at) - 60000).toISOString();
+    if (state === 'base_price') document.base_price = product.base_price + 1000;
+    mockState.documents.set(product.id, document);
+  }
+  unknownIds.forEach(id => mockState.documents.set(id, { id, status: 'active' }));
+}
+
+const isIndexable = (product) => product.status === 'active' && !product.deleted_at;
+
+describe('Search Index Service Property Tests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockState.available = true;
+  });
+
+  it('should find no difference for a document built from the product, and name each changed field', async () => {
+    await fc.assert(
+      fc.property(productArb, fc.subarray(['status', 'updated_at', 'base_price']), (product, changed) => {
+        const document = searchService.buildIndexDocument(product);
+        expect(searchIndexService.compareDocument(product, document)).toEqual([]);
+
+        if (changed.includes('status')) document.status = `${product.status}_old`;
+        if (changed.includes('updated_at')) document.updated_at = '2020-01-01T00:00:00.000Z';
+        if (changed.includes('base_price')) document.base_price = product.base_price / 2;
+
+        expect(searchIndexService.compareDocument(product, document).sort()).toEqual([...changed].sort());
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should report missing, stale and orphaned documents without changing the index', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, async (scenario) => {
+        loadScenario(scenario);
+        const before = new Map(mockState.documents);
+
+        const job = await searchIndexService.checkConsistency({ repair: false, requestedBy: 'admin-1' });
+
+        const indexable = scenario.products.filter(([product]) => isIndexable(product));
+        const expected = {
+          checked: indexable.length,
+          missing: indexable.filter(([, state]) => state === 'none').length,
+          stale: indexable.filter(([, state]) => !['current', 'none'].includes(state)).length,
+          orphaned: scenario.products.filter(([product, state]) => !isIndexable(product) && state !== 'none').length
+            + scenario.unknownIds.length,
+        };
+
+        expect(job).toMatchObject({ type: 'consistency_check', status: 'completed', requestedBy: 'admin-1' });
+        expect(job.summary).toMatchObject({ ...expected, repaired: 0, repair: false });
+        expect(job.summary.issues).toHaveLength(expected.missing + expected.stale + expected.orphaned);
+        expect(mockState.documents).toEqual(before);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should repair the index so it matches the database and a second check is clean', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, async (scenario) => {
+        loadScenario(scenario);
+
+        const job = await searchIndexService.checkConsistency({ repair: true });
+        const { missing, stale, orphaned, repaired } = job.summary;
+        expect(repaired).toBe(missing + stale + orphaned);
+
+        // Exactly the indexable products, each document current
+        const indexable = mockState.products.filter(isIndexable);
+        expect([...mockState.documents.keys()].sort()).toEqual(indexable.map(p => p.id).sort());
+        indexable.forEach(product => {
+          expect(searchIndexService.compareDocument(product, mockState.documents.get(product.id))).toEqual([]);
+        });
+
+        const again = await searchIndexService.checkConsistency({ repair: true });
+        expect(again.summary).toMatchObject({ missing: 0, stale: 0, orphaned: 0, repaired: 0 });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should load every indexable product in batches, keep newer documents and report progress', async () => {
+    const batchSize = searchIndexService.INDEX_BATCH_SIZE;
+    mockState.products = Array.from({ length: batchSize * 2 + 7 }, (_, i) => ({
+      id: `p${String(i).padStart(5, '0')}`,
+      name: `Product ${i}`,
+      status: i % 10 === 0 ? 'inactive' : 'active',
+      deleted_at: null,
+      base_price: 100000 + i,
+      updated_at: '2025-01-01T00:00:00.000Z',
+    }));
+    // Written by the consumer while the load runs
+    mockState.documents = new Map([['p00001', { id: 'p00001', name: 'newer write' }]]);
+    mockState.jobs = [{ id: 'job-1', processed: 0, failed: 0 }];
+
+    const progress = await searchIndexService.fillIndex('products_v2', { jobId: 'job-1' });
+
+    const indexable = mockState.products.filter(isIndexable);
+    expect(progress).toEqual({ total: indexable.length, processed: indexable.length, indexed: indexable.length - 1, failed: 0 });
+    expect(mockState.documents.size).toBe(indexable.length);
+    expect(mockState.documents.get('p00001').name).toBe('newer write');
+    expect(mockState.documents.get('p00002')).toEqual(searchService.buildIndexDocument({
+      ...mockState.products[2], shop_name: 'Shop', category_name: 'Category',
+    }));
+    expect(mockState.jobs[0]).toMatchObject({ total: indexable.length, processed: indexable.length, failed: 0 });
+    expect(elasticsearchClient.bulkIndexDocuments).toHaveBeenCalledWith('products_v2', expect.any(Array), { onlyNew: true });
+  });
+
+  it('should index a product that became active and remove one that did not stay active', async () => {
+    await fc.assert(
+      fc.asyncProperty(productArb, fc.boolean(), async (product, hasDocument) => {
+        mockState.products = [product];
+        mockState.documents = new Map(hasDocument ? [[product.id, { id: product.id, status: 'stale' }]] : []);
+
+        const outcome = await searchIndexService.syncProduct(product.id);
+
+        if (isIndexable(product)) {
+          expect(outcome).toBe('indexed');
+          expect(searchIndexService.compareDocument(product, mockState.documents.get(product.id))).toEqual([]);
+        } else {
+          expect(outcome).toBe('removed');
+          expect(mockState.documents.has(product.id)).toBe(false);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should give a synced document the lowest price of the flash sales live for the product', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.uniqueArray(fc.record({
+          flash_sale_id: fc.constantFrom('sale-1', 'sale-2', 'sale-3'),
+          flash_price: fc.integer({ min: 1000, max: 900000 }).map(String),
+          end_time: timestampArb,
+        }), { selector: sale => sale.flash_sale_id, maxLength: 3 }),
+        async (liveFlashSales) => {
+          mockState.products = [{ id: 'p001', status: 'active', deleted_at: null, base_price: 1000000, live_flash_sales: liveFlashSales }];
+          mockState.documents = new Map();
+
+          await searchIndexService.syncProduct('p001');
+
+          const document = mockState.documents.get('p001');
+          const lowest = [...liveFlashSales].sort((a, b) => Number(a.flash_price) - Number(b.flash_price))[0];
+          expect(document.flash_sale_id).toBe(lowest ? lowest.flash_sale_id : null);
+          expect(document.flash_price).toBe(lowest ? Number(lowest.flash_price) : null);
+          expect(document.flash_sale_end_time).toBe(lowest ? lowest.end_time : null);
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should refuse a consistency check and skip syncing while Elasticsearch is unavailable', async () => {
+    mockState.available = false;
+
+    await expect(searchIndexService.checkConsistency()).rejects.toMatchObject({ code: 'SEARCH_UNAVAILABLE', statusCode: 503 });
+    await expect(searchIndexService.syncProduct('p001')).resolves.toBeNull();
+  });
+});
@@ -5,6 +5,7 @@
 
 const fc = require('fast-check');
 const searchService = require('../services/search.service');
+const searchFacets = require('../services/search.facets');
 
 // Mock Elasticsearch client
 jest.mock('../../../shared/elasticsearch/elasticsearch.client', () => ({
@@ -17,7 +18,36 @@ jest.mock('../../../shared/elasticsearch/elasticsearch.client', () => ({
   isAvailable: jest.fn().mockResolvedValue(true),
 }));
 
+// Mock product repository (database fallback)
+jest.mock('../product.repository', () => ({
+  searchProducts: jest.fn(),
+}));
+
+// Mock synonym repository and message queue
+jest.mock('../synonym.repository', () => ({
+  findSynonyms: jest.fn(),
+  findSynonymById: jest.fn(),
+  createSynonym: jest.fn(async (synonym) => ({ id: 'synonym-1', ...synonym })),
+  updateSynonym: jest.fn(),
+  deleteSynonym: jest.fn(),
+}));
+
+jest.mock('../search-index.repository', () => ({
+  createJob: jest.fn(async (job) => ({ id: 'job-1', status: 'pending', ...job })),
+  updateJob: jest.fn(async (jobId, updates) => ({ id: jobId, ...updates })),
+}));
+
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({
+  EXCHANGES: { EVENTS: 'events' },
+  publishToExchange: jest.fn(),
+}));
+
 const { esClient, isAvailable } = require('../../../shared/elasticsearch/elasticsearch.client');
+const productRepository = require('../product.repository');
+const synonymRepository = require('../synonym.repository');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+const searchIndexRepository = require('../search-index.repository');
+const { normalizeSearchText } = require('../../../shared/utils/text.util');
 
 // Arbitrary generators
 const searchQueryArb = fc.string({ minLength: 0, maxLength: 100 });
@@ -348,4 +378,220 @@ describe('Search Service Property Tests', () => {
       );
     });
   });
+
+  /**
+   * Facets use post-filter semantics: hits honour every filter, each facet
+   * is counted with every filter except its own.
+   */
+  describe('Search facets', () => {
+    const FACETS = ['categories', 'price', 'rating', 'shops', 'tags'];
+
+    const facetFiltersArb = fc.record({
+      category_id: fc.option(fc.constantFrom('cat-1', 'cat-2', 'cat-3'), { nil: undefined }),
+      min_price: fc.option(fc.integer({ min: 0, max: 2000000 }), { nil: undefined }),
+      max_price: fc.option(fc.integer({ min: 0, max: 20000000 }), { nil: undefined }),
+      min_rating: fc.option(fc.constantFrom(1, 2, 3, 4, 5), { nil: undefined }),
+      shop_id: fc.option(fc.constantFrom('shop-1', 'shop-2'), { nil: undefined }),
+      tags: fc.option(fc.subarray(['sale', 'new', 'eco'], { minLength: 1 }), { nil: undefined }),
+    });
+
+    const rowArb = fc.record({
+      category_id: fc.constantFrom('cat-1', 'cat-2', 'cat-3'),
+      shop_id: fc.constantFrom('shop-1', 'shop-2'),
+      base_price: fc.integer({ min: 0, max: 20000000 }),
+      avg_rating: fc.constantFrom(0, 1, 2.5, 3, 4.2, 5),
+      tags: fc.subarray(['sale', 'new', 'eco']),
+    });
+
+    // Reference implementation of a single facet filter
+    const passes = (row, facet, f) => ({
+      categories: !f.category_id || row.category_id === f.category_id,
+      price: (f.min_price === undefined || row.base_price >= f.min_price)
+        && (f.max_price === undefined || row.base_price <= f.max_price),
+      rating: f.min_rating === undefined || row.avg_rating >= f.min_rating,
+      shops: !f.shop_id || row.shop_id === f.shop_id,
+      tags: !f.tags || row.tags.some(tag => f.tags.includes(tag)),
+    })[facet];
+
+    const rowsFor = (rows, facet, f) => rows.filter(row =>
+      FACETS.every(other => other === facet || passes(row, other, f)));
+
+    it('should post-filter hits and count each facet without its own filter', async () => {
+      await fc.assert(
+        fc.asyncProperty(searchQueryArb, facetFiltersArb, async (query, filters) => {
+          esClient.search.mockResolvedValue({ hits: { hits: [], total: { value: 0 } }, aggregations: {} });
+
+          await searchService.search({ query, filters });
+
+          const { body } = esClient.search.mock.calls[esClient.search.mock.calls.length - 1][0];
+          const clauses = searchFacets.buildFacetFilters(filters);
+          const active = FACETS.filter(facet => clauses[facet]);
+
+          // Facet filters only narrow the hits, never the aggregations' base
+          expect(body.query).toEqual(searchService.buildBaseQuery({ query, filters }));
+          expect(body.post_filter.bool.filter).toEqual(active.map(facet => clauses[facet]));
+
+          FACETS.forEach(facet => {
+            expect(body.aggs[facet].filter.bool.filter)
+              .toEqual(active.filter(other => other !== facet).map(other => clauses[other]));
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should compute the same post-filter counts in the database fallback', () => {
+      fc.assert(
+        fc.property(fc.array(rowArb, { maxLength: 60 }), facetFiltersArb, (rows, filters) => {
+          const facets = searchFacets.aggregateFacetRows(rows, filters);
+
+          const count = (facet, key, value) => rowsFor(rows, facet, filters).filter(row => row[key] === value).length;
+
+          facets.categories.forEach(c => expect(c.count).toBe(count('categories', 'category_id', c.id)));
+          expect(facets.categories.reduce((sum, c) => sum + c.count, 0)).toBe(rowsFor(rows, 'categories', filters).length);
+
+          facets.shops.forEach(s => expect(s.count).toBe(count('shops', 'shop_id', s.id)));
+          expect(facets.shops.reduce((sum, s) => sum + s.count, 0)).toBe(rowsFor(rows, 'shops', filters).length);
+
+          // Price buckets partition the products
+          expect(facets.price.buckets.reduce((sum, b) => sum + b.count, 0)).toBe(rowsFor(rows, 'price', filters).length);
+
+          // "Rating and up" counts never grow with the rating
+          const ratingCounts = facets.rating.map(r => r.count);
+          expect(ratingCounts).toEqual([...ratingCounts].sort((a, b) => a - b));
+
+          facets.tags.forEach(t => {
+            expect(t.count).toBe(rowsFor(rows, 'tags', filters).filter(row => row.tags.includes(t.value)).length);
+          });
+
+          expect(facets.degraded).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should return the same facet shape from Elasticsearch and the database fallback', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(rowArb, { maxLength: 20 }), facetFiltersArb, async (rows, filters) => {
+          const fallbackFacets = searchFacets.aggregateFacetRows(rows, filters);
+
+          isAvailable.mockResolvedValue(false);
+          productRepository.searchProducts.mockResolvedValue({ data: [], count: 0, facets: fallbackFacets });
+          const fallback = await searchService.search({ filters });
+          expect(productRepository.searchProducts).toHaveBeenLastCalledWith(expect.objectContaining({ withFacets: true }));
+
+          isAvailable.mockResolvedValue(true);
+          esClient.search.mockResolvedValue({
+            hits: { hits: [], total: { value: 0 } },
+            aggregations: {
+              categories: { values: { buckets: [{ key: 'cat-1', doc_count: 2, name: { buckets: [{ key: 'Phones' }] } }] } },
+              price: { values: { buckets: [{ key: '0-100000', doc_count: 2 }] }, stats: { count: 2, min: 10, max: 20 } },
+              rating: { values: { buckets: [{ key: '4', doc_count: 1 }] } },
+              shops: { values: { buckets: [] } },
+              tags: { values: { buckets: [{ key: 'sale', doc_count: 1 }] } },
+            },
+          });
+          const elastic = await searchService.search({ filters });
+
+          const shape = facets => ({
+            keys: Object.keys(facets).sort(),
+            price: Object.keys(facets.price).sort(),
+            buckets: facets.price.buckets.map(b => b.key),
+            rating: facets.rating.map(r => r.rating),
+          });
+          expect(shape(elastic.facets)).toEqual(shape(fallback.facets));
+          expect(elastic.facets.categories).toEqual([{ id: 'cat-1', name: 'Phones', count: 2 }]);
+          expect(elastic.facets.degraded).toBe(false);
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  describe('Vietnamese search and synonyms', () => {
+    const VIETNAMESE_TERMS = ['đt', 'ĐT', 'điện thoại', 'Điện Thoại', 'dien thoai', 'lap', 'laptop', 'máy tính', 'may tinh', 'tv', 'tivi'];
+    const termArb = fc.oneof(
+      fc.constantFrom(...VIETNAMESE_TERMS),
+      fc.constantFrom(...VIETNAMESE_TERMS).map(term => `  ${term}  `)
+    );
+
+    it('should keep one term per accent- and case-insensitive spelling', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(termArb, { minLength: 1, maxLength: 8 }), async (terms) => {
+          const distinct = new Set(terms.map(normalizeSearchText));
+
+          if (distinct.size < 2) {
+            await expect(searchService.createSynonym({ terms })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+            return;
+          }
+
+          const synonym = await searchService.createSynonym({ terms }, 'admin-1');
+          expect(synonym.terms).toHaveLength(distinct.size);
+          expect(new Set(synonym.terms.map(normalizeSearchText))).toEqual(distinct);
+          synonym.terms.forEach(term => expect(term).toBe(term.trim().toLowerCase()));
+          expect(synonym).toMatchObject({ is_active: true, created_by: 'admin-1' });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should reject terms that would break the synonym rule syntax', () => {
+      fc.assert(
+        fc.property(fc.constantFrom('a, b', 'lap => laptop', 'x,y'), (term) => {
+          expect(() => searchService.normalizeSynonymTerms([term, 'laptop'])).toThrow('must not contain');
+        }),
+        { numRuns: 10 }
+      );
+    });
+
+    it('should compile active groups into analyzer rules', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(fc.array(fc.constantFrom(...VIETNAMESE_TERMS), { minLength: 2, maxLength: 4 }), { maxLength: 5 }), async (groups) => {
+          synonymRepository.findSynonyms.mockResolvedValue(groups.map(terms => ({ terms, is_active: true })));
+
+          const rules = await searchService.getSynonymRules();
+
+          expect(synonymRepository.findSynonyms).toHaveBeenLastCalledWith({ activeOnly: true });
+          expect(rules).toEqual(groups.map(terms => terms.join(', ')));
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should request the reindex through the search consumer event, tracked by a job', async () => {
+      rabbitmq.publishToExchange.mockResolvedValue(true);
+      const result = await searchService.requestReindex({ requestedBy: 'admin-1' });
+
+      expect(result).toMatchObject({ requested: true, job: { id: 'job-1', type: 'reindex', source: 'database' } });
+      expect(rabbitmq.publishToExchange).toHaveBeenCalledWith('events', searchService.REINDEX_EVENT, expect.objectContaining({
+        event: searchService.REINDEX_EVENT,
+        data: { requestedBy: 'admin-1', source: 'database', jobId: 'job-1' },
+      }));
+
+      rabbitmq.publishToExchange.mockResolvedValue(false);
+      await expect(searchService.requestReindex({ source: 'index' })).rejects.toMatchObject({ code: 'SEARCH_REINDEX_UNAVAILABLE', statusCode: 503 });
+      expect(searchIndexRepository.updateJob).toHaveBeenLastCalledWith('job-1', expect.objectContaining({ status: 'failed' }));
+
+      await expect(searchService.requestReindex({ source: 'elsewhere' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should suggest each product name once regardless of accents and case', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(fc.constantFrom('Điện thoại A', 'điện thoại a', 'Dien thoai A', 'Laptop B', 'LAPTOP B', 'Tai nghe'), { maxLength: 15 }), fc.integer({ min: 1, max: 5 }),
+          async (names, limit) => {
+            esClient.search.mockResolvedValue({ hits: { hits: names.map(name => ({ _source: { name } })) } });
+
+            const suggestions = await searchService.suggest('dien', limit);
+
+            const body = esClient.search.mock.calls[esClient.search.mock.calls.length - 1][0].body;
+            expect(body.query.bool.must.match['name.suggest'].query).toBe('dien');
+
+            const folded = suggestions.map(normalizeSearchText);
+            expect(new Set(folded).size).toBe(suggestions.length);
+            expect(suggestions.length).toBe(Math.min(limit, new Set(names.map(normalizeSearchText)).size));
+          }),
+        { numRuns: 50 }
+      );
+    });
+  });
 });
@@ -0,0 +1,378 @@
+/**
+ * Property-Based Tests for the Variant Matrix
+ * Generating variants from option axes, retiring and reviving them, and bulk
+ * price / stock updates
+ *
+ * The product tables are in-memory fakes; slug generation is the real one.
+ */
+
+const fc = require('fast-check');
+
+const PRODUCT_ID = 'ab12cd34-0000-4000-8000-000000000001';
+const SHOP_ID = 'shop-1';
+
+// In-memory state: one product and its variants
+const mockState = {
+  product: null,
+  variants: [],
+  nextId: 1,
+  writes: 0,
+};
+
+jest.mock('../product.repository', () => ({
+  findProductById: jest.fn(async (productId) => (mockState.product && mockState.product.id === productId ? mockState.product : null)),
+  findVariantsByProductId: jest.fn(async () => mockState.variants.map(variant => ({ ...variant }))),
+  findSkusWithPrefix: jest.fn(async (prefix) => new Set(mockState.variants
+    .map(variant => variant.sku)
+    .filter(sku => sku.startsWith(prefix)))),
+  updateVariant: jest.fn(async (variantId, updates) => {
+    mockState.writes++;
+    const index = mockState.variants.findIndex(variant => variant.id === variantId);
+    mockState.variants[index] = { ...mockState.variants[index], ...updates };
+    return mockState.variants[index];
+  }),
+  // apply_product_options: refuses outdated plans and taken SKUs, else writes everything
+  applyProductOptions: jest.fn(async (productId, { options, variantIds, currentIds, updates, creates, retireIds }) => {
+    const ids = variants => variants.map(variant => variant.id).sort();
+    if (JSON.stringify(ids(mockState.variants)) !== JSON.stringify([...variantIds].sort())
+      || JSON.stringify(ids(mockState.variants.filter(variant => !variant.retired_at))) !== JSON.stringify([...currentIds].sort())) {
+      throw Object.assign(new Error('Variants changed'), { code: '40001' });
+    }
+    if (creates.some(variant => mockState.variants.some(existing => existing.sku === variant.sku))) {
+      throw Object.assign(new Error('SKU taken'), { code: '23505' });
+    }
+
+    mockState.writes++;
+    mockState.product = { ...mockState.product, options };
+    mockState.variants = mockState.variants.map(variant => {
+      const update = updates.find(({ id }) => id === variant.id);
+      if (update) return { ...variant, ...update.changes };
+      if (retireIds.includes(variant.id)) return { ...variant, retired_at: new Date().toISOString(), is_active: false };
+      return variant;
+    });
+    const created = creates.map(variant => ({
+      id: `variant-${mockState.nextId++}`, product_id: productId, retired_at: null, is_active: true, ...variant,
+    }));
+    mockState.variants.push(...created);
+    return created;
+  }),
+}));
+
+jest.mock('../category.repository', () => ({}));
+
+jest.mock('../services/inventory.service', () => ({
+  bulkUpdateStock: jest.fn(async (updates) => {
+    for (const { variantId, quantity } of updates) {
+      const variant = mockState.variants.find(item => item.id === variantId);
+      variant.quantity = quantity;
+    }
+    return { results: updates, errors: [] };
+  }),
+}));
+
+jest.mock('../../../shared/redis/cache.service', () => ({
+  invalidateProduct: jest.fn(async () => true),
+}));
+
+const variantMatrixService = require('../services/variant-matrix.service');
+const productRepository = require('../product.repository');
+const inventoryService = require('../services/inventory.service');
+const { productOptionsSchema } = require('../product.validator');
+
+function resetState(variants = []) {
+  mockState.product = { id: PRODUCT_ID, shop_id: SHOP_ID, options: [] };
+  mockState.variants = variants;
+  mockState.nextId = 1;
+  mockState.writes = 0;
+  jest.clearAllMocks();
+}
+
+const currentVariants = () => mockState.variants.filter(variant => !variant.retired_at);
+
+// Option values: Vietnamese colors / sizes, unique case-insensitively
+const colorValues = fc.uniqueArray(
+  fc.constantFrom('Đỏ', 'Xanh lá', 'Vàng', 'Đen', 'Trắng', 'Hồng phấn', 'Tím'),
+  { minLength: 1, maxLength: 5 }
+);
+const sizeValues = fc.uniqueArray(
+  fc.constantFrom('S', 'M', 'L', 'XL', 'XXL', '38', '39', '40'),
+  { minLength: 1, maxLength: 5 }
+);
+const optionsArb = fc.tuple(colorValues, sizeValues, fc.boolean()).map(([colors, sizes, withSize]) => [
+  { name: 'Màu', values: colors },
+  ...(withSize ? [{ name: 'Size', values: sizes }] : []),
+]);
+
+async function setOptions(options, extra = {}) {
+  const { value, error } = productOptionsSchema.validate({ options, ...extra });
+  if (error) throw error;
+  return variantMatrixService.setProductOptions(PRODUCT_ID, SHOP_ID, value);
+}
+
+describe('Variant Matrix Properties', () => {
+  /**
+   * Property: The current variants are exactly the combinations of the option
+   * values, each with a unique generated SKU
+   */
+  it('should generate one variant per combination with unique SKUs', async () => {
+    await fc.assert(
+      fc.asyncProperty(optionsArb, async (options) => {
+        resetState();
+        const result = await setOptions(options);
+
+        const expected = options.reduce((count, option) => count * option.values.length, 1);
+        expect(result.created).toHaveLength(expected);
+        expect(currentVariants()).toHaveLength(expected);
+
+        const keys = new Set(currentVariants().map(variant => variantMatrixService.combinationKey(variant.attributes)));
+        const combinations = variantMatrixService.buildCombinations(variantMatrixService.normalizeOptions(options));
+        expect(keys).toEqual(new Set(combinations.map(variantMatrixService.combinationKey)));
+
+        const skus = currentVariants().map(variant => variant.sku);
+        expect(new Set(skus).size).toBe(skus.length);
+        skus.forEach(sku => {
+          expect(sku).toMatch(/^AB12CD34(-[A-Z0-9-]+)+$/);
+          expect(sku.length).toBeLessThanOrEqual(100);
+        });
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Property: Applying the same options again changes nothing
+   */
+  it('should be a no-op when the options are applied again', async () => {
+    await fc.assert(
+      fc.asyncProperty(optionsArb, async (options) => {
+        resetState();
+        await setOptions(options);
+        const before = JSON.parse(JSON.stringify(mockState.variants));
+
+        const result = await setOptions(options);
+
+        expect(result.created).toHaveLength(0);
+        expect(result.retired).toHaveLength(0);
+        expect(result.revived).toHaveLength(0);
+        expect(productRepository.applyProductOptions).toHaveBeenLastCalledWith(PRODUCT_ID, expect.objectContaining({
+          updates: [], creates: [], retireIds: [],
+        }));
+        expect(mockState.variants).toEqual(before);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * Property: Removing a value retires its variants (never deletes them);
+   * adding it back revives the same variants with their SKUs and stock
+   */
+  it('should retire removed combinations and revive them when they come back', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.uniqueArray(fc.constantFrom('Đỏ', 'Xanh', 'Vàng', 'Đen'), { minLength: 2, maxLength: 4 }),
+        fc.integer({ min: 0, max: 50 }),
+        async (colors, quantity) => {
+          resetState();
+          const options = [{ name: 'Màu', values: colors }, { name: 'Size', values: ['M', 'L'] }];
+          await setOptions(options, { quantity });
+          const total = mockState.variants.length;
+
+          const removed = colors[0];
+          const retired = (await setOptions([{ name: 'Màu', values: colors.slice(1) }, options[1]])).retired;
+
+          expect(retired).toHaveLength(2);
+          expect(mockState.variants).toHaveLength(total);
+          retired.forEach(variant => {
+            const stored = mockState.variants.find(item => item.id === variant.id);
+            expect(stored.attributes['Màu']).toBe(removed);
+            expect(stored.retired_at).toBeTruthy();
+            expect(stored.is_active).toBe(false);
+          });
+
+          const result = await setOptions(options);
+
+          expect(result.created).toHaveLength(0);
+          expect(result.revived.map(variant => variant.id).sort()).toEqual(retired.map(variant => variant.id).sort());
+          expect(mockState.variants).toHaveLength(total);
+          result.revived.forEach(variant => {
+            const stored = mockState.variants.find(item => item.id === variant.id);
+            expect(stored.retired_at).toBeNull();
+            expect(stored.is_active).toBe(quantity > 0);
+            expect(stored.quantity).toBe(quantity);
+          });
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * Property: Changing the case of a value keeps the variant and renames it
+   */
+  it('should keep variants when a value is respelled', async () => {
+    resetState();
+    await setOptions([{ name: 'Màu', values: ['đỏ', 'Xanh'] }]);
+    const red = mockState.variants.find(variant => variant.attributes['Màu'] === 'đỏ');
+
+    const result = await setOptions([{ name: 'màu', values: ['Đỏ', 'Xanh'] }]);
+
+    expect(result.created).toHaveLength(0);
+    expect(result.retired).toHaveLength(0);
+    const stored = mockState.variants.find(variant => variant.id === red.id);
+    expect(stored.attributes).toEqual({ 'màu': 'Đỏ' });
+    expect(stored.name).toBe('Đỏ');
+    expect(stored.sku).toBe(red.sku);
+  });
+
+  /**
+   * Property: Variants take the image of their option value; images set by hand stay
+   */
+  it('should apply option images without overwriting images set by hand', async () => {
+    resetState();
+    const options = [
+      { name: 'Màu', values: [{ value: 'Đỏ', imageUrl: 'https://cdn.test/red.jpg' }, 'Xanh'] },
+      { name: 'Size', values: ['M', 'L'] },
+    ];
+    await setOptions(options);
+
+    currentVariants().forEach(variant => {
+      expect(variant.image_url).toBe(variant.attributes['Màu'] === 'Đỏ' ? 'https://cdn.test/red.jpg' : null);
+    });
+
+    const custom = currentVariants().find(variant => variant.attributes.Size === 'L' && variant.attributes['Màu'] === 'Đỏ');
+    custom.image_url = 'https://cdn.test/custom.jpg';
+    options[0].values[0] = { value: 'Đỏ', imageUrl: 'https://cdn.test/red-2.jpg' };
+    await setOptions(options);
+
+    currentVariants().filter(variant => variant.attributes['Màu'] === 'Đỏ').forEach(variant => {
+      expect(variant.image_url).toBe(variant.id === custom.id ? 'https://cdn.test/custom.jpg' : 'https://cdn.test/red-2.jpg');
+    });
+  });
+
+  /**
+   * Property: A dry run returns the plan without writing anything
+   */
+  it('should not write anything on a dry run', async () => {
+    await fc.assert(
+      fc.asyncProperty(optionsArb, async (options) => {
+        resetState();
+        const result = await setOptions(options, { dryRun: true });
+
+        expect(result.dryRun).toBe(true);
+        expect(result.created.length).toBeGreaterThan(0);
+        expect(mockState.writes).toBe(0);
+        expect(mockState.variants).toHaveLength(0);
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * Property: A plan overtaken by another change (variants or SKUs) is made again
+   * from the current variants, and given up with a conflict after a few attempts
+   */
+  it('should plan again when the variants changed meanwhile', async () => {
+    resetState();
+    const options = [{ name: 'Màu', values: ['Đỏ', 'Xanh'] }, { name: 'Size', values: ['M'] }];
+    await setOptions(options);
+    const before = JSON.parse(JSON.stringify(mockState.variants));
+    jest.clearAllMocks();
+
+    // The first plan is made from the variants as they were before
+    productRepository.findVariantsByProductId.mockResolvedValueOnce([]);
+    productRepository.findSkusWithPrefix.mockResolvedValueOnce(new Set());
+    const result = await setOptions(options);
+
+    expect(productRepository.applyProductOptions).toHaveBeenCalledTimes(2);
+    expect(result.created).toHaveLength(0);
+    expect(mockState.variants).toEqual(before);
+
+    jest.clearAllMocks();
+    const skuTaken = Object.assign(new Error('SKU taken'), { code: '23505' });
+    productRepository.applyProductOptions
+      .mockRejectedValueOnce(skuTaken)
+      .mockRejectedValueOnce(skuTaken)
+      .mockRejectedValueOnce(skuTaken);
+    await expect(setOptions([{ name: 'Màu', values: ['Vàng'] }]))
+      .rejects.toMatchObject({ code: 'PRODUCT_OPTIONS_CONFLICT', statusCode: 409 });
+    expect(productRepository.applyProductOptions).toHaveBeenCalledTimes(3);
+    expect(mockState.variants).toEqual(before);
+  });
+
+  /**
+   * Property: Options making more than MAX_VARIANTS variants are refused
+   */
+  it('should reject options making too many variants', async () => {
+    resetState();
+    const values = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+    await expect(setOptions([
+      { name: 'Màu', values: values(11, 'C') },
+      { name: 'Size', values: values(10, 'S') },
+    ])).rejects.toMatchObject({ code: 'TOO_MANY_VARIANTS', statusCode: 400 });
+    expect(mockState.writes).toBe(0);
+  });
+
+  /**
+   * Property: Options of another shop's product cannot be changed
+   */
+  it('should reject products of another shop', async () => {
+    resetState();
+
+    await expect(variantMatrixService.setProductOptions(PRODUCT_ID, 'shop-2', { options: [] }))
+      .rejects.toMatchObject({ code: 'PRODUCT_UNAUTHORIZED' });
+  });
+
+  /**
+   * Property: A bulk update by option value changes only the matching current
+   * variants; stock goes through the inventory service
+   */
+  it('should bulk update only matching current variants', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('Đỏ', 'Xanh', 'Vàng'),
+        fc.integer({ min: 1000, max: 1000000 }),
+        fc.integer({ min: 1, max: 100 }),
+        async (color, price, quantity) => {
+          resetState();
+          await setOptions([{ name: 'Màu', values: ['Đỏ', 'Xanh', 'Vàng', 'Đen'] }, { name: 'Size', values: ['M', 'L'] }]);
+          await setOptions([{ name: 'Màu', values: ['Đỏ', 'Xanh', 'Vàng'] }, { name: 'Size', values: ['M', 'L'] }]);
+
+          const result = await variantMatrixService.bulkUpdateVariants(PRODUCT_ID, SHOP_ID, {
+            match: { 'MÀU': color.toLowerCase() },
+            price,
+            quantity,
+          });
+
+          expect(result.updated).toBe(2);
+          expect(inventoryService.bulkUpdateStock).toHaveBeenCalledWith(
+            expect.arrayContaining([expect.objectContaining({ quantity })]),
+            'bulk_update'
+          );
+          mockState.variants.forEach(variant => {
+            const matching = variant.attributes['Màu'] === color;
+            expect(variant.price).toBe(matching ? price : null);
+            expect(variant.quantity).toBe(matching ? quantity : 0);
+          });
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * Property: Bulk updates by ID refuse variants of other products and retired ones
+   */
+  it('should reject unknown or retired variant ids', async () => {
+    resetState();
+    await setOptions([{ name: 'Màu', values: ['Đỏ', 'Xanh'] }]);
+    await setOptions([{ name: 'Màu', values: ['Đỏ'] }]);
+    const retired = mockState.variants.find(variant => variant.retired_at);
+
+    await expect(variantMatrixService.bulkUpdateVariants(PRODUCT_ID, SHOP_ID, {
+      variants: [{ id: retired.id, price: 50000 }],
+    })).rejects.toMatchObject({ statusCode: 404 });
+    expect(inventoryService.bulkUpdateStock).not.toHaveBeenCalled();
+  });
+});
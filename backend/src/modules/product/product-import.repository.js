@@ -0,0 +1,94 @@
+/**
+ * Product Import Repository
+ * Database operations for partner bulk imports
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+// Everything but the stored file rows, for listings
+const SUMMARY_COLUMNS = 'id, shop_id, requested_by, file_name, format, dry_run, status, total_rows, ' +
+  'processed_rows, summary, errors, error, started_at, finished_at, created_at, updated_at';
+
+/**
+ * Create an import
+ * @param {object} productImport - shopId, requestedBy, fileName, format, dryRun, rows, summary
+ */
+async function createImport(productImport) {
+  const { data, error } = await supabase
+    .from('product_imports')
+    .insert({
+      shop_id: productImport.shopId,
+      requested_by: productImport.requestedBy || null,
+      file_name: productImport.fileName || null,
+      format: productImport.format,
+      dry_run: productImport.dryRun || false,
+      status: 'pending',
+      rows: productImport.rows,
+      total_rows: productImport.rows.length,
+      summary: productImport.summary || null,
+    })
+    .select(SUMMARY_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update an import (progress, status, result)
+ */
+async function updateImport(importId, updates) {
+  const { data, error } = await supabase
+    .from('product_imports')
+    .update(updates)
+    .eq('id', importId)
+    .select(SUMMARY_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find import by ID
+ * @param {string} importId
+ * @param {object} [options]
+ * @param {boolean} [options.withRows] - Include the stored file rows
+ */
+async function findImportById(importId, { withRows = false } = {}) {
+  const { data, error } = await supabase
+    .from('product_imports')
+    .select(withRows ? '*' : SUMMARY_COLUMNS)
+    .eq('id', importId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * List a shop's imports (newest first)
+ * @param {string} shopId
+ * @param {object} options - page, limit
+ */
+async function findImports(shopId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await supabase
+    .from('product_imports')
+    .select(SUMMARY_COLUMNS, { count: 'exact' })
+    .eq('shop_id', shopId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0, page, limit };
+}
+
+module.exports = {
+  createImport,
+  updateImport,
+  findImportById,
+  findImports,
+};
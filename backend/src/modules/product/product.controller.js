@@ -11,7 +11,10 @@ const wishlistService = require('./services/wishlist.service');
 const inventoryService = require('./services/inventory.service');
 const approvalService = require('./services/approval.service');
 const viewService = require('./services/view.service');
-const { serializeProduct, serializeProductSummary } = require('./product.dto');
+const productImportService = require('./services/product-import.service');
+const variantMatrixService = require('./services/variant-matrix.service');
+const installmentService = require('../order/services/installment.service');
+const { serializeProduct, serializeProductSummary, serializeVariant, serializeProductImport } = require('./product.dto');
 const { sendSuccess: successResponse } = require('../../shared/utils/response.util');
 const cacheService = require('../../shared/redis/cache.service');
 
@@ -127,8 +130,16 @@ async function getProduct(req, res, next) {
     // Track view (async, don't wait)
     viewService.trackProductView(product.id, viewerId).catch(console.error);
     
+    // Plans change independently of the product, so they are not cached with it
+    let installmentPlans = [];
+    try {
+      installmentPlans = await installmentService.getProductPlans(product);
+    } catch (planError) {
+      console.error('[Product] Failed to load installment plans:', planError.message);
+    }
+    
     return successResponse(res, {
-      data: serializeProduct(product),
+      data: { ...serializeProduct(product), installmentPlans },
     });
   } catch (error) {
     next(error);
@@ -205,7 +216,7 @@ async function deleteProduct(req, res, next) {
  */
 async function searchProducts(req, res, next) {
   try {
-    const { q, category_id, categoryId, shop_id, shopId, status, min_price, max_price, min_rating, minPrice, maxPrice, minRating, sort, sortBy, sortOrder, page, limit } = req.query;
+    const { q, category_id, categoryId, shop_id, shopId, status, min_price, max_price, min_rating, minPrice, maxPrice, minRating, tags, sort, sortBy, sortOrder, page, limit, facets } = req.query;
     
     // Support both snake_case and camelCase query params
     const shopIdFilter = shop_id || shopId;
@@ -213,6 +224,8 @@ async function searchProducts(req, res, next) {
     const minPriceFilter = min_price || minPrice;
     const maxPriceFilter = max_price || maxPrice;
     const minRatingFilter = min_rating || minRating;
+    // tags=a,b or tags=a&tags=b
+    const tagsFilter = tags ? [].concat(tags).flatMap(tag => String(tag).split(',')).map(tag => tag.trim()).filter(Boolean) : undefined;
     const pageNum = page ? parseInt(page, 10) : 1;
     const limitNum = limit ? parseInt(limit, 10) : 20;
     
@@ -227,10 +240,12 @@ async function searchProducts(req, res, next) {
         min_price: minPriceFilter ? parseFloat(minPriceFilter) : undefined,
         max_price: maxPriceFilter ? parseFloat(maxPriceFilter) : undefined,
         min_rating: minRatingFilter ? parseFloat(minRatingFilter) : undefined,
+        tags: tagsFilter,
       },
       sort: sortBy || sort,
       page: pageNum,
       limit: limitNum,
+      facets: facets !== 'false',
     });
     
     // Handle both ES response format and database fallback format
@@ -244,6 +259,7 @@ async function searchProducts(req, res, next) {
     return successResponse(res, {
       data: result.data.map(serializeProductSummary),
       pagination,
+      facets: result.facets || null,
     });
   } catch (error) {
     next(error);
@@ -313,6 +329,56 @@ async function deleteVariant(req, res, next) {
   }
 }
 
+/**
+ * Set option axes and generate the variant matrix
+ * PUT /api/products/:id/options
+ */
+async function setProductOptions(req, res, next) {
+  try {
+    const { id } = req.params;
+    const shopId = await getShopIdFromUser(req);
+    
+    const result = await variantMatrixService.setProductOptions(id, shopId, req.body);
+    
+    return successResponse(res, {
+      message: result.dryRun ? 'Variant matrix preview' : 'Product options updated successfully',
+      data: {
+        options: result.options,
+        created: result.created.map(serializeVariant),
+        kept: result.kept.map(serializeVariant),
+        revived: result.revived.map(serializeVariant),
+        retired: result.retired.map(serializeVariant),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Bulk update variant prices and stock
+ * PATCH /api/products/:id/variants
+ */
+async function bulkUpdateVariants(req, res, next) {
+  try {
+    const { id } = req.params;
+    const shopId = await getShopIdFromUser(req);
+    
+    const result = await variantMatrixService.bulkUpdateVariants(id, shopId, req.body);
+    
+    return successResponse(res, {
+      message: result.errors.length > 0 ? 'Variants updated with errors' : 'Variants updated successfully',
+      data: {
+        updated: result.updated,
+        variants: result.variants.map(serializeVariant),
+        errors: result.errors,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 // ============================================
 // INVENTORY
 // ============================================
@@ -579,6 +645,90 @@ async function uploadTempImages(req, res, next) {
   }
 }
 
+// ============================================
+// BULK IMPORT / EXPORT
+// ============================================
+
+/**
+ * Import products from a CSV or XLSX file (Partner)
+ * POST /api/products/import (multipart: file, dryRun)
+ */
+async function importProducts(req, res, next) {
+  try {
+    const shopId = await getShopIdFromUser(req);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const productImport = await productImportService.createImport(shopId, req.user.userId, req.file, { dryRun });
+
+    return successResponse(res, {
+      message: dryRun ? 'Import validation started' : 'Import started',
+      data: serializeProductImport(productImport),
+    }, 202);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the shop's imports (Partner)
+ * GET /api/products/imports
+ */
+async function getImports(req, res, next) {
+  try {
+    const shopId = await getShopIdFromUser(req);
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await productImportService.getImports(shopId, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100),
+    });
+
+    return successResponse(res, {
+      data: result.imports.map(serializeProductImport),
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get an import with its progress and row errors (Partner)
+ * GET /api/products/imports/:importId
+ */
+async function getImport(req, res, next) {
+  try {
+    const shopId = await getShopIdFromUser(req);
+
+    const productImport = await productImportService.getImport(shopId, req.params.importId);
+
+    return successResponse(res, {
+      data: serializeProductImport(productImport),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Export the shop's products in the import format (Partner)
+ * GET /api/products/export?format=csv|xlsx&status=
+ */
+async function exportProducts(req, res, next) {
+  try {
+    const shopId = await getShopIdFromUser(req);
+    const { format = 'csv', status } = req.query;
+
+    const file = await productImportService.exportProducts(shopId, { format, status });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    next(error);
+  }
+}
+
 
 // ============================================
 // CATEGORIES
@@ -733,11 +883,9 @@ async function approveProduct(req, res, next) {
     const { id } = req.params;
     const adminId = req.user.id;
     
+    // Indexed in search by the approval service
     const result = await approvalService.approveProduct(id, adminId);
     
-    // Index in search
-    await searchService.indexProduct(result.product);
-    
     return successResponse(res, {
       message: 'Product approved successfully',
       data: result,
@@ -978,6 +1126,8 @@ module.exports = {
   addVariant,
   updateVariant,
   deleteVariant,
+  setProductOptions,
+  bulkUpdateVariants,
   
   // Inventory
   updateInventory,
@@ -991,6 +1141,12 @@ module.exports = {
   uploadTempImages,
   deleteImage,
   
+  // Bulk import / export
+  importProducts,
+  getImports,
+  getImport,
+  exportProducts,
+  
   // Categories
   getCategories,
   getCategory,
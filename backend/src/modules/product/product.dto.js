@@ -50,6 +50,7 @@ function serializeProduct(product) {
     reviewCount: product.review_count || 0,
     metaTitle: product.meta_title || null,
     metaDescription: product.meta_description || null,
+    options: product.options || [],
     createdAt: product.created_at ? new Date(product.created_at).toISOString() : null,
     updatedAt: product.updated_at ? new Date(product.updated_at).toISOString() : null,
     publishedAt: product.published_at ? new Date(product.published_at).toISOString() : null,
@@ -150,6 +151,7 @@ function serializeVariant(variant) {
     lowStockThreshold: variant.low_stock_threshold || 10,
     imageUrl: variant.image_url || null,
     isActive: variant.is_active !== false,
+    isRetired: Boolean(variant.retired_at),
     createdAt: variant.created_at ? new Date(variant.created_at).toISOString() : null,
     updatedAt: variant.updated_at ? new Date(variant.updated_at).toISOString() : null,
   };
@@ -311,6 +313,37 @@ function deserializeVariant(data) {
   return deserialized;
 }
 
+/**
+ * Serialize a bulk import (the stored file rows are left out)
+ * @param {object} productImport - Raw import row from database
+ * @returns {object} Serialized import
+ */
+function serializeProductImport(productImport) {
+  if (!productImport) return null;
+
+  const totalRows = productImport.total_rows || 0;
+  const processedRows = productImport.processed_rows || 0;
+
+  return {
+    id: productImport.id,
+    fileName: productImport.file_name || null,
+    format: productImport.format,
+    dryRun: productImport.dry_run === true,
+    status: productImport.status,
+    progress: {
+      totalRows,
+      processedRows,
+      percent: totalRows > 0 ? Math.floor((processedRows / totalRows) * 100) : 0,
+    },
+    summary: productImport.summary || null,
+    errors: productImport.errors || [],
+    error: productImport.error || null,
+    startedAt: productImport.started_at ? new Date(productImport.started_at).toISOString() : null,
+    finishedAt: productImport.finished_at ? new Date(productImport.finished_at).toISOString() : null,
+    createdAt: productImport.created_at ? new Date(productImport.created_at).toISOString() : null,
+  };
+}
+
 /**
  * Serialize paginated results
  * @param {object[]} items - Array of items
@@ -347,5 +380,6 @@ module.exports = {
   serializeCategory,
   serializeReview,
   serializeWishlistItem,
+  serializeProductImport,
   serializePaginatedResult,
 };
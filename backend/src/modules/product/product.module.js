@@ -14,10 +14,14 @@ const productService = require('./product.service');
 const categoryService = require('./services/category.service');
 const inventoryService = require('./services/inventory.service');
 const searchService = require('./services/search.service');
+const searchIndexService = require('./services/search-index.service');
+const productImportService = require('./services/product-import.service');
+const variantMatrixService = require('./services/variant-matrix.service');
 const reviewService = require('./services/review.service');
 const wishlistService = require('./services/wishlist.service');
 const approvalService = require('./services/approval.service');
 const viewService = require('./services/view.service');
+const flashSaleLifecycleService = require('./services/flash-sale-lifecycle.service');
 
 // Repository
 const productRepository = require('./product.repository');
@@ -40,6 +44,11 @@ function initializeModule(app) {
   app.use('/api/admin/products', adminRouter);
   app.use('/api/wishlist', wishlistRouter);
   
+  // Background jobs (flash sale start/end, search index consistency check, bulk imports)
+  flashSaleLifecycleService.registerJobHandlers();
+  searchIndexService.registerJobHandlers();
+  productImportService.registerJobHandlers();
+  
   console.log('Product module initialized');
 }
 
@@ -61,10 +70,14 @@ module.exports = {
   categoryService,
   inventoryService,
   searchService,
+  searchIndexService,
+  productImportService,
+  variantMatrixService,
   reviewService,
   wishlistService,
   approvalService,
   viewService,
+  flashSaleLifecycleService,
   
   // Repository
   productRepository,
@@ -5,6 +5,11 @@
 
 const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 const { v4: uuidv4 } = require('uuid');
+const { aggregateFacetRows } = require('./services/search.facets');
+const { normalizeSearchText } = require('../../shared/utils/text.util');
+
+// Max products sampled to compute search facets without Elasticsearch
+const FACET_SAMPLE_SIZE = 1000;
 
 // ============================================
 // PRODUCT OPERATIONS
@@ -593,6 +598,62 @@ async function skuExists(sku, excludeId = null) {
   return count > 0;
 }
 
+/**
+ * Find SKUs starting with a prefix, deleted variants included (SKUs stay unique)
+ * @param {string} prefix
+ * @returns {Promise<Set<string>>}
+ */
+async function findSkusWithPrefix(prefix) {
+  // LIKE wildcards in the prefix (e.g. "_" of "AO_THUN") match only themselves
+  const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+
+  const { data, error } = await supabaseAdmin
+    .from('product_variants')
+    .select('sku')
+    .like('sku', pattern);
+
+  if (error) {
+    throw new Error(`Failed to find SKUs: ${error.message}`);
+  }
+
+  return new Set((data || []).map(row => row.sku));
+}
+
+/**
+ * Store the options of a product and update, create and retire its variants in one
+ * transaction (apply_product_options)
+ * The error of a plan made from outdated variants (code 40001) or with a taken SKU
+ * (code 23505) is thrown with its code, so the caller can plan again.
+ * @param {string} productId
+ * @param {object} changes
+ * @param {object[]} changes.options - Normalized options
+ * @param {string[]} changes.variantIds - All variants the plan was made from
+ * @param {string[]} changes.currentIds - Those of them not retired
+ * @param {object[]} changes.updates - { id, changes }
+ * @param {object[]} changes.creates - New variant rows
+ * @param {string[]} changes.retireIds
+ * @returns {Promise<object[]>} Created variants
+ */
+async function applyProductOptions(productId, { options, variantIds, currentIds, updates, creates, retireIds }) {
+  const { data, error } = await supabaseAdmin.rpc('apply_product_options', {
+    p_product_id: productId,
+    p_options: options,
+    p_variant_ids: variantIds,
+    p_current_ids: currentIds,
+    p_updates: updates,
+    p_creates: creates,
+    p_retire_ids: retireIds,
+  });
+
+  if (error) {
+    const applyError = new Error(`Failed to apply product options: ${error.message}`);
+    applyError.code = error.code;
+    throw applyError;
+  }
+
+  return data || [];
+}
+
 /**
  * Update variant inventory
  * @param {string} variantId
@@ -818,15 +879,39 @@ async function reorderImages(productId, imageIds) {
 // SEARCH OPERATIONS
 // ============================================
 
+/**
+ * Apply the non-faceted search conditions (status, text)
+ * @param {object} queryBuilder
+ * @param {object} options
+ * @returns {object}
+ */
+function applySearchConditions(queryBuilder, { query, status }) {
+  queryBuilder = queryBuilder.is('deleted_at', null);
+
+  // Status filter
+  if (status) {
+    queryBuilder = queryBuilder.eq('status', status);
+  }
+
+  // Text search, accent-insensitive ("dien thoai" matches "Điện thoại")
+  if (query && query.trim()) {
+    queryBuilder = queryBuilder.ilike('search_text', `%${normalizeSearchText(query)}%`);
+  }
+
+  return queryBuilder;
+}
+
 /**
  * Search products with filters (database fallback for Elasticsearch)
+ * Tags are not stored in the database, so the tags filter is ignored here.
  * @param {object} options - Search options
- * @returns {Promise<{data: object[], count: number, page: number, limit: number, totalPages: number}>}
+ * @returns {Promise<{data: object[], count: number, page: number, limit: number, totalPages: number, facets: object|null}>}
  */
 async function searchProducts(options = {}) {
   const {
     query,
     categoryId,
+    shopId,
     status = 'active',
     minPrice,
     maxPrice,
@@ -835,29 +920,24 @@ async function searchProducts(options = {}) {
     sortOrder = 'desc',
     page = 1,
     limit = 20,
+    withFacets = false,
   } = options;
 
-  let queryBuilder = supabaseAdmin
+  let queryBuilder = applySearchConditions(supabaseAdmin
     .from('products')
     .select(`
       *,
       images:product_images(id, url, alt_text, sort_order, is_primary)
-    `, { count: 'exact' })
-    .is('deleted_at', null);
-
-  // Status filter
-  if (status) {
-    queryBuilder = queryBuilder.eq('status', status);
-  }
+    `, { count: 'exact' }), { query, status });
 
   // Category filter
   if (categoryId) {
     queryBuilder = queryBuilder.eq('category_id', categoryId);
   }
 
-  // Text search
-  if (query && query.trim()) {
-    queryBuilder = queryBuilder.or(`name.ilike.%${query}%,short_description.ilike.%${query}%`);
+  // Shop filter
+  if (shopId) {
+    queryBuilder = queryBuilder.eq('shop_id', shopId);
   }
 
   // Price range
@@ -896,9 +976,219 @@ async function searchProducts(options = {}) {
     page,
     limit,
     totalPages: Math.ceil((count || 0) / limit),
+    facets: withFacets ? await getSearchFacets(options) : null,
   };
 }
 
+/**
+ * Search facets computed in the database fallback (degraded)
+ * Counted over at most FACET_SAMPLE_SIZE products matching the status and
+ * text conditions; there are no tag counts. Facets are best-effort, so a
+ * failure returns null instead of failing the search.
+ * @param {object} options - Search options (as for searchProducts)
+ * @returns {Promise<object|null>}
+ */
+async function getSearchFacets(options = {}) {
+  const { query, categoryId, shopId, status = 'active', minPrice, maxPrice, minRating } = options;
+
+  try {
+    const { data: rows, error } = await applySearchConditions(supabaseAdmin
+      .from('products')
+      .select('category_id, shop_id, base_price, avg_rating'), { query, status })
+      .limit(FACET_SAMPLE_SIZE);
+
+    if (error) throw error;
+
+    const categoryIds = [...new Set((rows || []).map(row => row.category_id).filter(Boolean))];
+    const shopIds = [...new Set((rows || []).map(row => row.shop_id).filter(Boolean))];
+
+    const [{ data: categories }, { data: shops }] = await Promise.all([
+      categoryIds.length > 0
+        ? supabaseAdmin.from('categories').select('id, name').in('id', categoryIds)
+        : { data: [] },
+      shopIds.length > 0
+        ? supabaseAdmin.from('shops').select('id, shop_name').in('id', shopIds)
+        : { data: [] },
+    ]);
+
+    const categoryNames = new Map((categories || []).map(category => [category.id, category.name]));
+    const shopNames = new Map((shops || []).map(shop => [shop.id, shop.shop_name]));
+
+    const facets = aggregateFacetRows((rows || []).map(row => ({
+      ...row,
+      category_name: categoryNames.get(row.category_id),
+      shop_name: shopNames.get(row.shop_id),
+    })), {
+      category_id: categoryId,
+      shop_id: shopId,
+      min_price: minPrice,
+      max_price: maxPrice,
+      min_rating: minRating,
+    });
+
+    return { ...facets, sampled: (rows || []).length >= FACET_SAMPLE_SIZE };
+  } catch (error) {
+    console.error('[Search] Failed to compute fallback facets:', error.message);
+    return null;
+  }
+}
+
+// ============================================
+// SEARCH INDEX
+// ============================================
+
+/**
+ * Find products that belong in the search index (active, not deleted), by ID order
+ * Rows carry what the index document needs besides the product columns:
+ * category_name, category_path, shop_name, primary_image_url and live_flash_sales
+ * (flash_sale_id, flash_price, end_time of each flash sale running now).
+ * @param {object} options
+ * @param {string} [options.afterId] - Keyset cursor: only IDs after this one
+ * @param {string[]} [options.ids] - Only these products
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>}
+ */
+async function findProductsForIndex({ afterId = null, ids = null, limit = 500 } = {}) {
+  let query = supabaseAdmin
+    .from('products')
+    .select('*, images:product_images(url, is_primary, sort_order)')
+    .eq('status', 'active')
+    .is('deleted_at', null)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (afterId) query = query.gt('id', afterId);
+  if (ids) query = query.in('id', ids);
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to find products for index: ${error.message}`);
+  }
+
+  if (!rows || rows.length === 0) return [];
+
+  const categoryIds = [...new Set(rows.map(row => row.category_id).filter(Boolean))];
+  const shopIds = [...new Set(rows.map(row => row.shop_id).filter(Boolean))];
+  const now = new Date().toISOString();
+
+  const [{ data: categories }, { data: shops }, { data: flashSaleProducts, error: flashError }] = await Promise.all([
+    categoryIds.length > 0
+      ? supabaseAdmin.from('categories').select('id, name, path').in('id', categoryIds)
+      : { data: [] },
+    shopIds.length > 0
+      ? supabaseAdmin.from('shops').select('id, shop_name').in('id', shopIds)
+      : { data: [] },
+    supabaseAdmin
+      .from('flash_sale_products')
+      .select('product_id, flash_sale_id, flash_price, flash_sales!inner(status, start_time, end_time)')
+      .in('product_id', rows.map(row => row.id))
+      .eq('is_active', true)
+      .eq('flash_sales.status', 'active')
+      .lte('flash_sales.start_time', now)
+      .gte('flash_sales.end_time', now),
+  ]);
+
+  if (flashError) {
+    throw new Error(`Failed to find flash sales for index: ${flashError.message}`);
+  }
+
+  const categoryById = new Map((categories || []).map(category => [category.id, category]));
+  const shopNames = new Map((shops || []).map(shop => [shop.id, shop.shop_name]));
+  const flashSalesByProduct = new Map();
+  for (const fsp of flashSaleProducts || []) {
+    const list = flashSalesByProduct.get(fsp.product_id) || [];
+    list.push({ flash_sale_id: fsp.flash_sale_id, flash_price: fsp.flash_price, end_time: fsp.flash_sales.end_time });
+    flashSalesByProduct.set(fsp.product_id, list);
+  }
+
+  return rows.map(({ images, ...product }) => {
+    const primaryImage = [...(images || [])]
+      .sort((a, b) => (b.is_primary - a.is_primary) || (a.sort_order - b.sort_order))[0];
+
+    return {
+      ...product,
+      category_name: categoryById.get(product.category_id)?.name || null,
+      category_path: categoryById.get(product.category_id)?.path || null,
+      shop_name: shopNames.get(product.shop_id) || null,
+      primary_image_url: primaryImage?.url || null,
+      live_flash_sales: flashSalesByProduct.get(product.id) || [],
+    };
+  });
+}
+
+/**
+ * Count products that belong in the search index
+ * @returns {Promise<number>}
+ */
+async function countProductsForIndex() {
+  const { count, error } = await supabaseAdmin
+    .from('products')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'active')
+    .is('deleted_at', null);
+
+  if (error) {
+    throw new Error(`Failed to count products for index: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Find the indexed fields of products by ID, deleted ones included
+ * @param {string[]} productIds
+ * @returns {Promise<object[]>} id, status, deleted_at, updated_at, base_price
+ */
+async function findProductIndexStates(productIds) {
+  if (productIds.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('products')
+    .select('id, status, deleted_at, updated_at, base_price')
+    .in('id', productIds);
+
+  if (error) {
+    throw new Error(`Failed to find product states: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// ============================================
+// BULK EXPORT
+// ============================================
+
+/**
+ * Find a shop's products for export, with variants and images, in ID order
+ * @param {string} shopId
+ * @param {object} [options]
+ * @param {string} [options.status] - Only products with this status
+ * @param {string} [options.afterId] - Last product ID of the previous page
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>}
+ */
+async function findProductsForExport(shopId, { status = null, afterId = null, limit = 200 } = {}) {
+  let query = supabaseAdmin
+    .from('products')
+    .select('*, variants:product_variants(*), images:product_images(*)')
+    .eq('shop_id', shopId)
+    .is('deleted_at', null)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (afterId) query = query.gt('id', afterId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to find products for export: ${error.message}`);
+  }
+
+  return data || [];
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -929,6 +1219,8 @@ module.exports = {
   updateVariant,
   softDeleteVariant,
   skuExists,
+  findSkusWithPrefix,
+  applyProductOptions,
   updateVariantInventory,
   reserveStock,
   releaseStock,
@@ -942,4 +1234,12 @@ module.exports = {
   updateImage,
   setPrimaryImage,
   reorderImages,
+
+  // Search index
+  findProductsForIndex,
+  countProductsForIndex,
+  findProductIndexStates,
+
+  // Bulk export
+  findProductsForExport,
 };
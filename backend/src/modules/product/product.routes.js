@@ -14,6 +14,7 @@ const {
   apiWriteLimiter,
   uploadLimiter,
 } = require('../../shared/middleware/rate-limit.middleware');
+const { validate, productOptionsSchema, bulkUpdateVariantsSchema } = require('./product.validator');
 
 // Configure multer for image uploads
 const upload = multer({
@@ -28,6 +29,12 @@ const upload = multer({
   },
 });
 
+// Configure multer for bulk import files (CSV / XLSX, checked by the import service)
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+});
+
 // ============================================
 // PRODUCT ROUTES - /api/products
 // ============================================
@@ -49,6 +56,12 @@ productRouter.post('/stock/check-cart', productController.checkCartStock);
 productRouter.get('/inventory', authenticate, authorize('partner'), productController.getShopInventory);
 productRouter.patch('/inventory/:variantId', authenticate, authorize('partner'), productController.updateVariantStock);
 
+// Partner bulk import/export - MUST be before /:id routes
+productRouter.post('/import', uploadLimiter, authenticate, authorize('partner'), sheetUpload.single('file'), productController.importProducts);
+productRouter.get('/imports', authenticate, authorize('partner'), productController.getImports);
+productRouter.get('/imports/:importId', authenticate, authorize('partner'), productController.getImport);
+productRouter.get('/export', apiReadLimiter, authenticate, authorize('partner'), productController.exportProducts);
+
 productRouter.get('/:id', apiReadLimiter, optionalAuth, productController.getProduct);
 productRouter.get('/:id/reviews', apiReadLimiter, productController.getReviews);
 productRouter.get('/:id/reviews/stats', apiReadLimiter, productController.getReviewStats);
@@ -60,9 +73,13 @@ productRouter.delete('/:id', apiWriteLimiter, authenticate, authorize('partner')
 
 // Variant routes
 productRouter.post('/:id/variants', authenticate, authorize('partner'), productController.addVariant);
+productRouter.patch('/:id/variants', apiWriteLimiter, authenticate, authorize('partner'), validate(bulkUpdateVariantsSchema), productController.bulkUpdateVariants);
 productRouter.put('/:id/variants/:variantId', authenticate, authorize('partner'), productController.updateVariant);
 productRouter.delete('/:id/variants/:variantId', authenticate, authorize('partner'), productController.deleteVariant);
 
+// Option axes / variant matrix
+productRouter.put('/:id/options', apiWriteLimiter, authenticate, authorize('partner'), validate(productOptionsSchema), productController.setProductOptions);
+
 // Inventory routes
 productRouter.put('/:id/inventory', authenticate, authorize('partner'), productController.updateInventory);
 
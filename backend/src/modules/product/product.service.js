@@ -441,7 +441,7 @@ async function updateVariant(variantId, shopId, data) {
   if (data.compare_at_price !== undefined) updateData.compare_at_price = data.compare_at_price;
   if (data.low_stock_threshold !== undefined) updateData.low_stock_threshold = data.low_stock_threshold;
   if (data.image_url !== undefined) updateData.image_url = data.image_url;
-  if (data.is_active !== undefined) updateData.is_active = data.is_active;
+  if (data.is_active !== undefined) updateData.is_active = data.is_active && !variant.retired_at; // Retired variants stay inactive
 
   if (Object.keys(updateData).length === 0) {
     return variant;
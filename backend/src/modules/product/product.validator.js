@@ -140,6 +140,64 @@ const updateVariantSchema = Joi.object({
   isActive: Joi.boolean().optional(),
 }).min(1);
 
+/**
+ * Product Options Schema
+ * Option axes the variant matrix is generated from, e.g.
+ * [{ name: 'Màu', values: [{ value: 'Đỏ', imageUrl }, 'Xanh'] }, { name: 'Size', values: ['S', 'M'] }]
+ */
+const optionValueText = (value) => String(typeof value === 'string' ? value : value.value).trim().toLowerCase();
+
+const productOptionsSchema = Joi.object({
+  options: Joi.array().items(
+    Joi.object({
+      name: Joi.string().trim().min(1).max(50).required(),
+      values: Joi.array().items(
+        Joi.alternatives().try(
+          Joi.string().trim().min(1).max(100),
+          Joi.object({
+            value: Joi.string().trim().min(1).max(100).required(),
+            imageUrl: Joi.string().uri().optional().allow(null),
+          })
+        )
+      ).min(1).max(50).required()
+        .unique((a, b) => optionValueText(a) === optionValueText(b))
+        .messages({ 'array.unique': 'Option values must be unique' }),
+    })
+  ).max(3).required()
+    .unique((a, b) => a.name.trim().toLowerCase() === b.name.trim().toLowerCase())
+    .messages({
+      'array.max': 'A product can have at most 3 options',
+      'array.unique': 'Option names must be unique',
+    }),
+  skuPrefix: Joi.string().max(40).pattern(/^[A-Za-z0-9-_]+$/).optional(),
+  quantity: Joi.number().integer().min(0).default(0), // Stock of the variants created
+  dryRun: Joi.boolean().default(false),
+});
+
+/**
+ * Bulk Variant Update Schema
+ * Either per-variant values (variants) or one change for every current variant
+ * matching the option values in match (all of them without match)
+ */
+const bulkUpdateVariantsSchema = Joi.object({
+  variants: Joi.array().items(
+    Joi.object({
+      id: Joi.string().uuid().required(),
+      price: priceSchema.optional().allow(null),
+      compareAtPrice: priceSchema.optional().allow(null),
+      quantity: Joi.number().integer().min(0).optional(),
+    }).or('price', 'compareAtPrice', 'quantity')
+  ).min(1).max(200).unique('id'),
+  match: Joi.object().pattern(Joi.string(), Joi.string().max(100)).optional(),
+  price: priceSchema.optional().allow(null),
+  compareAtPrice: priceSchema.optional().allow(null),
+  quantity: Joi.number().integer().min(0).optional(),
+}).without('variants', ['match', 'price', 'compareAtPrice', 'quantity'])
+  .or('variants', 'price', 'compareAtPrice', 'quantity')
+  .messages({
+    'object.missing': 'Provide variants, or a price, compareAtPrice or quantity to apply',
+  });
+
 /**
  * Update Inventory Schema
  */
@@ -244,6 +302,18 @@ const imageUploadSchema = Joi.object({
   isPrimary: Joi.boolean().optional(),
 });
 
+/**
+ * Image URLs Schema (bulk import: product images given as links)
+ */
+const imageUrlsSchema = Joi.array().items(
+  Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).messages({
+    'string.uri': 'Image URL must be a valid http(s) URL',
+    'string.uriCustomScheme': 'Image URL must be a valid http(s) URL',
+  })
+).max(10).messages({
+  'array.max': 'A product can have at most 10 images',
+});
+
 /**
  * Validate product name
  * @param {string} name
@@ -433,6 +503,8 @@ module.exports = {
   updateProductSchema,
   createVariantSchema,
   updateVariantSchema,
+  productOptionsSchema,
+  bulkUpdateVariantsSchema,
   updateInventorySchema,
   createCategorySchema,
   updateCategorySchema,
@@ -441,6 +513,7 @@ module.exports = {
   replyReviewSchema,
   approvalSchema,
   imageUploadSchema,
+  imageUrlsSchema,
   
   // Individual field schemas
   productNameSchema,
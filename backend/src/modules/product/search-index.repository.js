@@ -0,0 +1,105 @@
+/**
+ * Search Index Job Repository
+ * Database operations for reindex and consistency check jobs
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Create a job
+ * @param {object} job - type, status, source, triggeredBy, requestedBy, reason, targetIndex
+ */
+async function createJob(job) {
+  const { data, error } = await supabase
+    .from('search_index_jobs')
+    .insert({
+      type: job.type,
+      status: job.status || 'pending',
+      source: job.source || null,
+      triggered_by: job.triggeredBy || 'admin',
+      requested_by: job.requestedBy || null,
+      reason: job.reason || null,
+      target_index: job.targetIndex || null,
+      started_at: job.status === 'running' ? new Date().toISOString() : null,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a job (progress, status, result)
+ */
+async function updateJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('search_index_jobs')
+    .update(updates)
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find job by ID
+ */
+async function findJobById(jobId) {
+  const { data, error } = await supabase
+    .from('search_index_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Find the reindex in progress (at most one runs, see migration 067)
+ * @returns {Promise<object|null>} Job with its target_index
+ */
+async function findRunningReindex() {
+  const { data, error } = await supabase
+    .from('search_index_jobs')
+    .select('*')
+    .eq('type', 'reindex')
+    .eq('status', 'running')
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * List jobs (newest first)
+ * @param {object} options - type, page, limit
+ */
+async function findJobs(options = {}) {
+  const { type, page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('search_index_jobs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (type) query = query.eq('type', type);
+
+  const { data, error, count } = await query;
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0, page, limit };
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  findJobById,
+  findRunningReindex,
+  findJobs,
+};
@@ -4,6 +4,7 @@
  */
 
 const productRepository = require('../product.repository');
+const searchIndexService = require('./search-index.service');
 const { AppError, NotFoundError, ValidationError } = require('../../../shared/utils/error.util');
 const shopTriggers = require('../../notification/triggers/shop.triggers');
 const partnerTriggers = require('../../notification/triggers/partner.triggers');
@@ -26,6 +27,19 @@ const APPROVABLE_STATUSES = ['pending'];
 // Statuses that can be rejected
 const REJECTABLE_STATUSES = ['pending', 'revision_required'];
 
+/**
+ * Index or remove the product in search after a status change
+ * Not fatal: the index consistency check repairs a missed update.
+ * @param {string} productId
+ */
+async function syncSearchIndex(productId) {
+  try {
+    await searchIndexService.syncProduct(productId);
+  } catch (error) {
+    console.error(`Failed to update search index for product ${productId}: ${error.message}`);
+  }
+}
+
 /**
  * Get pending products for review
  * @param {object} options - Pagination options
@@ -64,8 +78,7 @@ async function approveProduct(productId, adminId) {
     rejection_reason: null,
   });
 
-  // TODO: Index product in Elasticsearch
-  // await searchService.indexProduct(updatedProduct);
+  await syncSearchIndex(productId);
 
   // Notify partner about product approval
   try {
@@ -271,8 +284,7 @@ async function deactivateProduct(productId, userId, reason = '') {
     status: 'inactive',
   });
 
-  // TODO: Remove from Elasticsearch index
-  // await searchService.removeFromIndex(productId);
+  await syncSearchIndex(productId);
 
   return {
     product: updatedProduct,
@@ -309,8 +321,7 @@ async function reactivateProduct(productId, userId) {
     status: 'active',
   });
 
-  // TODO: Re-index in Elasticsearch
-  // await searchService.indexProduct(updatedProduct);
+  await syncSearchIndex(productId);
 
   return {
     product: updatedProduct,
@@ -0,0 +1,458 @@
+/**
+ * Flash Sale Lifecycle Service
+ * Moves flash sales scheduled -> active at start_time and -> ended at end_time
+ *
+ * - Each sale gets one-off jobs at its start/end time (re-scheduled when the timing changes)
+ * - A recurring sweep catches anything those jobs missed (e.g. sales edited in the database)
+ * - Transitions are conditional on the current status, so only the instance that
+ *   flips a sale publishes flash_sale.started / flash_sale.ended and notifies users
+ * - The flip records the side effects it owes (pending_transition); they are claimed
+ *   by one runner and cleared once done, so effects that fail are retried by the
+ *   transition job or the sweep instead of being lost with the status committed
+ */
+
+const { supabaseAdmin } = require('../../../shared/supabase/supabase.client');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const cacheService = require('../../../shared/redis/cache.service');
+const flashSaleService = require('./flash-sale.service');
+const searchIndexService = require('./search-index.service');
+const promoTriggers = require('../../notification/triggers/promo.triggers');
+
+const FLASH_SALE_TRANSITION_JOB = 'flash_sales.transition';
+const FLASH_SALE_SWEEP_JOB = 'flash_sales.lifecycle_sweep';
+const FLASH_SALE_SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// A runner that died holding the side effects of a transition is taken over after this
+const TRANSITION_CLAIM_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+
+// Users are notified in batches so one sale start doesn't build a single huge insert
+const NOTIFY_BATCH_SIZE = 500;
+
+// ============================================
+// TRANSITIONS
+// ============================================
+
+/**
+ * Status a flash sale should have at a point in time
+ * Only scheduled and active sales move; draft and cancelled are left alone
+ * @param {object} flashSale - Raw flash_sales row
+ * @param {Date} now
+ * @returns {string|null} Target status, or null if no transition is due
+ */
+function getDueStatus(flashSale, now = new Date()) {
+    if (!['scheduled', 'active'].includes(flashSale.status)) {
+        return null;
+    }
+    if (new Date(flashSale.end_time) <= now) {
+        return 'ended';
+    }
+    if (flashSale.status === 'scheduled' && new Date(flashSale.start_time) <= now) {
+        return 'active';
+    }
+    return null;
+}
+
+/**
+ * Get a raw flash_sales row
+ * @param {string} flashSaleId - Flash sale ID
+ * @returns {Promise<object|null>}
+ */
+async function findFlashSale(flashSaleId) {
+    const { data, error } = await supabaseAdmin
+        .from('flash_sales')
+        .select('*')
+        .eq('id', flashSaleId)
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        throw new Error(`Failed to get flash sale: ${error.message}`);
+    }
+    return data || null;
+}
+
+/**
+ * Transition a flash sale if it is due and run the side effects
+ * Side effects still pending from an earlier transition are run as well
+ * @param {string} flashSaleId - Flash sale ID
+ * @param {Date} now
+ * @returns {Promise<string|null>} New status, or null if nothing changed
+ */
+async function transitionFlashSale(flashSaleId, now = new Date()) {
+    const flashSale = await findFlashSale(flashSaleId);
+    if (!flashSale) return null;
+
+    const target = getDueStatus(flashSale, now);
+    let transitioned = null;
+
+    if (target) {
+        // Conditional update: a concurrent run that already moved the sale updates nothing
+        const { data: updated, error: updateError } = await supabaseAdmin
+            .from('flash_sales')
+            .update({ status: target, pending_transition: target, transition_claimed_at: null })
+            .eq('id', flashSaleId)
+            .eq('status', flashSale.status)
+            .select();
+
+        if (updateError) {
+            throw new Error(`Failed to update flash sale status: ${updateError.message}`);
+        }
+        if (updated && updated.length > 0) {
+            console.log(`[FlashSale] ${flashSale.name} (${flashSaleId}): ${flashSale.status} -> ${target}`);
+            transitioned = target;
+        }
+    }
+
+    await runPendingTransition(flashSaleId);
+
+    return transitioned;
+}
+
+/**
+ * Run the side effects owed by the last transition of a flash sale, if any
+ * They are claimed first, so concurrent runners don't run them twice. A failure
+ * gives the claim back and is thrown, so the job retries.
+ * @param {string} flashSaleId - Flash sale ID
+ * @returns {Promise<boolean>} Whether this call ran them
+ */
+async function runPendingTransition(flashSaleId) {
+    const flashSale = await findFlashSale(flashSaleId);
+    if (!flashSale || !flashSale.pending_transition) return false;
+
+    const heldSince = flashSale.transition_claimed_at;
+    if (heldSince && Date.now() - new Date(heldSince).getTime() < TRANSITION_CLAIM_LEASE_MS) {
+        return false;
+    }
+
+    // Conditional on the claim read above: only one runner takes it
+    const claim = new Date().toISOString();
+    let claimQuery = supabaseAdmin
+        .from('flash_sales')
+        .update({ transition_claimed_at: claim })
+        .eq('id', flashSaleId)
+        .eq('pending_transition', flashSale.pending_transition);
+    claimQuery = heldSince
+        ? claimQuery.eq('transition_claimed_at', heldSince)
+        : claimQuery.is('transition_claimed_at', null);
+
+    const { data: claimed, error: claimError } = await claimQuery.select();
+    if (claimError) {
+        throw new Error(`Failed to claim flash sale transition: ${claimError.message}`);
+    }
+    if (!claimed || claimed.length === 0) return false;
+
+    const sale = flashSaleService.serializeFlashSale(claimed[0]);
+
+    try {
+        if (flashSale.pending_transition === 'active') {
+            await onFlashSaleStarted(sale);
+        } else {
+            await onFlashSaleEnded(sale);
+        }
+    } catch (error) {
+        await supabaseAdmin
+            .from('flash_sales')
+            .update({ transition_claimed_at: null })
+            .eq('id', flashSaleId)
+            .eq('transition_claimed_at', claim);
+        throw error;
+    }
+
+    // A transition recorded meanwhile reset the claim and stays pending
+    await supabaseAdmin
+        .from('flash_sales')
+        .update({ pending_transition: null, transition_claimed_at: null })
+        .eq('id', flashSaleId)
+        .eq('transition_claimed_at', claim);
+
+    return true;
+}
+
+/**
+ * Transition every due flash sale, and retry side effects left pending
+ * @param {Date} now
+ * @returns {Promise<{started: number, ended: number}>}
+ */
+async function processFlashSaleLifecycle(now = new Date()) {
+    // end_time > start_time, so every due sale has start_time <= now
+    const { data, error } = await supabaseAdmin
+        .from('flash_sales')
+        .select('*')
+        .in('status', ['scheduled', 'active'])
+        .lte('start_time', now.toISOString());
+
+    if (error) {
+        throw new Error(`Failed to list due flash sales: ${error.message}`);
+    }
+
+    const result = { started: 0, ended: 0 };
+    const due = (data || []).filter(fs => getDueStatus(fs, now));
+    for (const flashSale of due) {
+        try {
+            const status = await transitionFlashSale(flashSale.id, now);
+            if (status === 'active') result.started++;
+            if (status === 'ended') result.ended++;
+        } catch (err) {
+            console.error(`[FlashSale] Failed to transition ${flashSale.id}:`, err.message);
+        }
+    }
+
+    const { data: pending, error: pendingError } = await supabaseAdmin
+        .from('flash_sales')
+        .select('id')
+        .in('pending_transition', ['active', 'ended']);
+
+    if (pendingError) {
+        throw new Error(`Failed to list pending flash sale transitions: ${pendingError.message}`);
+    }
+
+    const swept = new Set(due.map(fs => fs.id));
+    for (const { id } of (pending || []).filter(fs => !swept.has(fs.id))) {
+        try {
+            await runPendingTransition(id);
+        } catch (err) {
+            console.error(`[FlashSale] Failed to run pending transition of ${id}:`, err.message);
+        }
+    }
+
+    return result;
+}
+
+// ============================================
+// SIDE EFFECTS
+// ============================================
+
+/**
+ * Flash sale went live: caches, search documents, event, notifications
+ * Caches and search documents come first: they are safe to redo on a retry
+ * @param {object} sale - Serialized flash sale
+ */
+async function onFlashSaleStarted(sale) {
+    const products = await flashSaleService.getFlashSaleProducts(sale.id);
+
+    await refreshProducts(products);
+    await publishFlashSaleEvent('started', sale, products);
+
+    try {
+        await notifyFlashSaleStart(sale, products);
+    } catch (error) {
+        console.error(`[FlashSale] Failed to send notifications for ${sale.id}:`, error.message);
+    }
+}
+
+/**
+ * Flash sale closed: caches, search documents, event
+ * @param {object} sale - Serialized flash sale
+ */
+async function onFlashSaleEnded(sale) {
+    const products = await flashSaleService.getFlashSaleProducts(sale.id);
+
+    await refreshProducts(products);
+    await publishFlashSaleEvent('ended', sale, products);
+}
+
+/**
+ * Publish flash_sale.<eventType> to the events exchange
+ * @param {string} eventType - started | ended
+ * @param {object} sale - Serialized flash sale
+ * @param {object[]} products - Flash sale products
+ */
+async function publishFlashSaleEvent(eventType, sale, products) {
+    try {
+        await rabbitmq.publishToExchange(
+            rabbitmq.EXCHANGES.EVENTS,
+            `flash_sale.${eventType}`,
+            {
+                event: `flash_sale.${eventType}`,
+                flashSaleId: sale.id,
+                name: sale.name,
+                slug: sale.slug,
+                startTime: sale.startTime,
+                endTime: sale.endTime,
+                productIds: [...new Set(products.map(p => p.productId))],
+                timestamp: new Date().toISOString(),
+            }
+        );
+    } catch (error) {
+        console.error(`Failed to publish flash_sale.${eventType} event:`, error.message);
+    }
+}
+
+/**
+ * Drop cached product pages/lists and rebuild the search documents
+ * Documents take their flash sale fields from the sales live now, not from the sale
+ * that moved: a product whose sale ended keeps the flash price of another sale it is still in.
+ * @param {object[]} products - Flash sale products of the sale that moved
+ */
+async function refreshProducts(products) {
+    for (const productId of new Set(products.map(p => p.productId))) {
+        await cacheService.invalidateProduct(productId);
+        try {
+            await searchIndexService.syncProduct(productId);
+        } catch (error) {
+            console.error(`[FlashSale] Failed to update search document ${productId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Notify users who opted in to promotions, and users with a sale product in their wishlist
+ * @param {object} sale - Serialized flash sale
+ * @param {object[]} products - Flash sale products
+ */
+async function notifyFlashSaleStart(sale, products) {
+    const maxDiscount = products.reduce((max, p) => Math.max(max, p.discountPercent || 0), 0);
+
+    for (let from = 0; ; from += NOTIFY_BATCH_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('notification_preferences')
+            .select('user_id')
+            .eq('promotions', true)
+            .order('user_id', { ascending: true })
+            .range(from, from + NOTIFY_BATCH_SIZE - 1);
+
+        if (error) {
+            throw new Error(`Failed to get promotion subscribers: ${error.message}`);
+        }
+        if (!data || data.length === 0) break;
+
+        await promoTriggers.onFlashSaleStart({
+            user_ids: data.map(row => row.user_id),
+            sale_name: sale.name,
+            sale_id: sale.id,
+            discount_percent: maxDiscount || undefined,
+            end_time: sale.endTime,
+        });
+
+        if (data.length < NOTIFY_BATCH_SIZE) break;
+    }
+
+    await notifyWishlistUsers(products);
+}
+
+/**
+ * Tell users a product in their wishlist is now in the flash sale
+ * Users who turned off price drop notifications are skipped
+ * @param {object[]} products - Flash sale products
+ */
+async function notifyWishlistUsers(products) {
+    const productIds = [...new Set(products.map(p => p.productId))];
+    if (productIds.length === 0) return;
+
+    const { data: wishlists, error } = await supabaseAdmin
+        .from('wishlists')
+        .select('user_id, product_id')
+        .in('product_id', productIds);
+
+    if (error) {
+        throw new Error(`Failed to get wishlists: ${error.message}`);
+    }
+    if (!wishlists || wishlists.length === 0) return;
+
+    const { data: optedOut } = await supabaseAdmin
+        .from('notification_preferences')
+        .select('user_id')
+        .in('user_id', [...new Set(wishlists.map(w => w.user_id))])
+        .eq('price_drops', false);
+    const skip = new Set((optedOut || []).map(row => row.user_id));
+
+    for (const { user_id, product_id } of wishlists) {
+        if (skip.has(user_id)) continue;
+
+        const fsp = products
+            .filter(p => p.productId === product_id)
+            .sort((a, b) => a.flashPrice - b.flashPrice)[0];
+
+        await promoTriggers.onWishlistItemOnSale({
+            user_id,
+            product_id,
+            product_name: fsp.product?.name || 'Sản phẩm',
+            sale_price: fsp.flashPrice,
+            original_price: fsp.originalPrice,
+        });
+    }
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * (Re)schedule the start/end transition jobs of a flash sale
+ * Called whenever a sale is created, re-timed or cancelled
+ * @param {object} flashSale - Serialized flash sale
+ */
+async function scheduleTransitions(flashSale) {
+    const startKey = `flash_sale:start:${flashSale.id}`;
+    const endKey = `flash_sale:end:${flashSale.id}`;
+
+    await jobScheduler.cancel(startKey);
+    await jobScheduler.cancel(endKey);
+
+    if (flashSale.status === 'scheduled') {
+        await jobScheduler.schedule(FLASH_SALE_TRANSITION_JOB, { flashSaleId: flashSale.id }, {
+            key: startKey,
+            runAt: flashSale.startTime,
+        });
+    }
+
+    if (['scheduled', 'active'].includes(flashSale.status)) {
+        await jobScheduler.schedule(FLASH_SALE_TRANSITION_JOB, { flashSaleId: flashSale.id }, {
+            key: endKey,
+            runAt: flashSale.endTime,
+        });
+    }
+}
+
+/**
+ * React to an admin change of a flash sale
+ * Re-schedules the transition jobs; a status set by hand (e.g. an active sale
+ * cancelled) records and runs the same side effects as a timed transition
+ * @param {object|null} previous - Serialized sale before the change (null when created)
+ * @param {object} flashSale - Serialized sale after the change
+ */
+async function handleFlashSaleChanged(previous, flashSale) {
+    await scheduleTransitions(flashSale);
+
+    const wasActive = previous ? previous.status === 'active' : false;
+    const isActive = flashSale.status === 'active';
+    if (wasActive === isActive) return;
+
+    const { error } = await supabaseAdmin
+        .from('flash_sales')
+        .update({ pending_transition: isActive ? 'active' : 'ended', transition_claimed_at: null })
+        .eq('id', flashSale.id);
+
+    if (error) {
+        throw new Error(`Failed to record flash sale transition: ${error.message}`);
+    }
+
+    await runPendingTransition(flashSale.id);
+}
+
+/**
+ * Register the transition job and the recurring sweep
+ */
+function registerJobHandlers() {
+    jobScheduler.registerHandler(FLASH_SALE_TRANSITION_JOB, (payload) => transitionFlashSale(payload.flashSaleId), {
+        maxAttempts: 5,
+        backoff: 'fixed',
+        backoffMs: 10 * 1000,
+    });
+    jobScheduler.registerHandler(FLASH_SALE_SWEEP_JOB, () => processFlashSaleLifecycle(), {
+        intervalMs: FLASH_SALE_SWEEP_INTERVAL_MS,
+        maxAttempts: 3,
+    });
+}
+
+module.exports = {
+    FLASH_SALE_TRANSITION_JOB,
+    FLASH_SALE_SWEEP_JOB,
+    getDueStatus,
+    transitionFlashSale,
+    runPendingTransition,
+    processFlashSaleLifecycle,
+    scheduleTransitions,
+    handleFlashSaleChanged,
+    registerJobHandlers,
+};
@@ -4,7 +4,7 @@
  */
 
 const { supabaseAdmin } = require('../../../shared/supabase/supabase.client');
-const { NotFoundError, ValidationError, ConflictError } = require('../../../shared/utils/error.util');
+const { AppError, NotFoundError, ValidationError, ConflictError } = require('../../../shared/utils/error.util');
 const { v4: uuidv4 } = require('uuid');
 
 // ============================================
@@ -67,7 +67,10 @@ async function createFlashSale(data, createdBy) {
         throw new Error(`Failed to create flash sale: ${error.message}`);
     }
 
-    return serializeFlashSale(flashSale);
+    const created = serializeFlashSale(flashSale);
+    await syncLifecycle(null, created);
+
+    return created;
 }
 
 /**
@@ -112,7 +115,10 @@ async function updateFlashSale(id, data) {
         throw new Error(`Failed to update flash sale: ${error.message}`);
     }
 
-    return serializeFlashSale(updated);
+    const flashSale = serializeFlashSale(updated);
+    await syncLifecycle(existing, flashSale);
+
+    return flashSale;
 }
 
 /**
@@ -407,14 +413,15 @@ async function canUserPurchase(flashSaleProductId, userId, quantity = 1) {
         return { canPurchase: false, reason: 'Not enough stock', remainingStock };
     }
 
-    // Check user purchase limit
-    const { count } = await supabaseAdmin
+    // Check user purchase limit (released purchases of cancelled orders don't count)
+    const { data: purchases } = await supabaseAdmin
         .from('flash_sale_purchases')
-        .select('*', { count: 'exact', head: true })
+        .select('quantity')
         .eq('flash_sale_product_id', flashSaleProductId)
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .is('released_at', null);
 
-    const userPurchased = count || 0;
+    const userPurchased = (purchases || []).reduce((sum, p) => sum + p.quantity, 0);
     if (userPurchased + quantity > fsp.limit_per_user) {
         return { 
             canPurchase: false, 
@@ -433,36 +440,155 @@ async function canUserPurchase(flashSaleProductId, userId, quantity = 1) {
  * @param {string} userId - User ID
  * @param {string} orderId - Order ID
  * @param {number} quantity - Quantity purchased
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Claimed purchase
  */
 async function recordPurchase(flashSaleProductId, userId, orderId, quantity = 1) {
-    // Insert purchase record
-    await supabaseAdmin
-        .from('flash_sale_purchases')
-        .insert({
-            id: uuidv4(),
-            flash_sale_id: (await supabaseAdmin
-                .from('flash_sale_products')
-                .select('flash_sale_id')
-                .eq('id', flashSaleProductId)
-                .single()).data.flash_sale_id,
-            flash_sale_product_id: flashSaleProductId,
-            user_id: userId,
-            order_id: orderId,
-            quantity,
-        });
-
-    // Update sold count
-    await supabaseAdmin.rpc('increment_flash_sale_sold', {
+    return claimPurchase(flashSaleProductId, userId, orderId, quantity);
+}
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+const CLAIM_ERRORS = {
+    NOT_FOUND: { code: 'FLASH_SALE_NOT_FOUND', message: 'Flash sale product not found', status: 404 },
+    NOT_ACTIVE: { code: 'FLASH_SALE_ENDED', message: 'Flash sale has ended', status: 409 },
+    LIMIT_EXCEEDED: { code: 'FLASH_SALE_LIMIT_EXCEEDED', message: 'Flash sale purchase limit exceeded', status: 400 },
+    SOLD_OUT: { code: 'FLASH_SALE_SOLD_OUT', message: 'Flash sale product is sold out', status: 409 },
+};
+
+/**
+ * Find the active flash sale price for each cart line
+ * A variant-specific entry wins over a product-wide one (variant_id NULL);
+ * among several, the lowest flash price wins. Sold-out entries are skipped
+ * so the line falls back to the regular price, as shown on the storefront.
+ * @param {Array<{productId: string, variantId: string}>} lines
+ * @returns {Promise<Map<string, object>>} `${productId}:${variantId}` -> flash sale product
+ */
+async function getActiveFlashSalePrices(lines) {
+    const prices = new Map();
+    const productIds = [...new Set(lines.map(l => l.productId).filter(Boolean))];
+    if (productIds.length === 0) return prices;
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabaseAdmin
+        .from('flash_sale_products')
+        .select(`
+            *,
+            flash_sales!inner(id, status, start_time, end_time)
+        `)
+        .in('product_id', productIds)
+        .eq('is_active', true)
+        .eq('flash_sales.status', 'active')
+        .lte('flash_sales.start_time', now)
+        .gte('flash_sales.end_time', now);
+
+    if (error) {
+        throw new Error(`Failed to get active flash sale prices: ${error.message}`);
+    }
+
+    const candidates = (data || [])
+        .map(serializeFlashSaleProduct)
+        .filter(fsp => fsp.remainingStock > 0);
+
+    for (const line of lines) {
+        const best = candidates
+            .filter(fsp => fsp.productId === line.productId && (fsp.variantId === line.variantId || !fsp.variantId))
+            .sort((a, b) => (Number(Boolean(b.variantId)) - Number(Boolean(a.variantId))) || (a.flashPrice - b.flashPrice))[0];
+
+        if (best) {
+            prices.set(`${line.productId}:${line.variantId}`, best);
+        }
+    }
+
+    return prices;
+}
+
+/**
+ * Atomically claim flash sale stock for an order
+ * Checks limit_per_user and flash_stock/sold_count under a row lock
+ * @param {string} flashSaleProductId - Flash sale product ID
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {number} quantity - Quantity
+ * @returns {Promise<{purchaseId: string, flashPrice: number, remainingStock: number}>}
+ * @throws {AppError} FLASH_SALE_LIMIT_EXCEEDED | FLASH_SALE_SOLD_OUT | FLASH_SALE_ENDED | FLASH_SALE_NOT_FOUND
+ */
+async function claimPurchase(flashSaleProductId, userId, orderId, quantity = 1) {
+    const { data, error } = await supabaseAdmin.rpc('claim_flash_sale_purchase', {
         p_flash_sale_product_id: flashSaleProductId,
+        p_user_id: userId,
+        p_order_id: orderId,
         p_quantity: quantity,
     });
+
+    if (error) {
+        throw new Error(`Failed to claim flash sale purchase: ${error.message}`);
+    }
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result || !result.claimed) {
+        const failure = CLAIM_ERRORS[result?.reason] || CLAIM_ERRORS.NOT_FOUND;
+        const detail = result?.reason === 'LIMIT_EXCEEDED'
+            ? ` (limit ${result.limit_per_user}, already purchased ${result.user_purchased})`
+            : '';
+        throw new AppError(failure.code, `${failure.message}${detail}`, failure.status);
+    }
+
+    return {
+        purchaseId: result.purchase_id,
+        flashPrice: parseFloat(result.flash_price),
+        remainingStock: result.remaining_stock,
+    };
+}
+
+/**
+ * Release flash sale purchases of a cancelled order
+ * Without quantities the whole order is released, idempotently: purchases already
+ * released are skipped. With quantities only the cancelled units are given back.
+ * @param {string} orderId - Order ID
+ * @param {object} [quantities] - Units to release per flash sale product ({ flashSaleProductId: quantity })
+ * @returns {Promise<number>} Number of purchases released or reduced
+ */
+async function releaseOrderPurchases(orderId, quantities = null) {
+    const flashSaleProductIds = quantities ? Object.keys(quantities) : null;
+    if (flashSaleProductIds && flashSaleProductIds.length === 0) {
+        return 0;
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('release_flash_sale_purchases', {
+        p_order_id: orderId,
+        p_flash_sale_product_ids: flashSaleProductIds,
+        p_quantities: quantities ? Object.values(quantities) : null,
+    });
+
+    if (error) {
+        throw new Error(`Failed to release flash sale purchases: ${error.message}`);
+    }
+
+    return data || 0;
 }
 
 // ============================================
 // HELPERS
 // ============================================
 
+/**
+ * Hand a created/updated sale to the lifecycle runner (start/end jobs, events)
+ * Failures are logged: the recurring lifecycle sweep still catches the sale
+ * @param {object|null} previous - Sale before the change
+ * @param {object} flashSale - Sale after the change
+ */
+async function syncLifecycle(previous, flashSale) {
+    try {
+        // Required lazily: the lifecycle service depends on this module
+        const lifecycleService = require('./flash-sale-lifecycle.service');
+        await lifecycleService.handleFlashSaleChanged(previous, flashSale);
+    } catch (error) {
+        console.error(`[FlashSale] Failed to sync lifecycle of ${flashSale.id}:`, error.message);
+    }
+}
+
 function generateSlug(name) {
     const timestamp = Date.now().toString(36);
     const baseSlug = name
@@ -543,4 +669,12 @@ module.exports = {
     // Purchase validation
     canUserPurchase,
     recordPurchase,
+
+    // Checkout
+    getActiveFlashSalePrices,
+    claimPurchase,
+    releaseOrderPurchases,
+
+    // Helpers
+    serializeFlashSale,
 };
@@ -119,6 +119,42 @@ async function confirmStockDeductionAtomic(variantId, quantity) {
   };
 }
 
+/**
+ * Put returned units back in stock atomically
+ * Used when the shop receives a returned item - undoes confirmStockDeductionAtomic
+ * @param {string} variantId
+ * @param {number} quantity
+ * @returns {Promise<object>}
+ */
+async function restockStockAtomic(variantId, quantity) {
+  const { data, error } = await supabaseAdmin.rpc('restock_stock', {
+    p_variant_id: variantId,
+    p_quantity: quantity,
+  });
+
+  if (error) {
+    throw new AppError('RESTOCK_ERROR', error.message, 500);
+  }
+
+  const result = data[0];
+  if (!result.success) {
+    throw new AppError('RESTOCK_FAILED', result.message, 400);
+  }
+
+  inventoryEvents.emit('stockRestocked', {
+    variantId,
+    restockedQuantity: quantity,
+    newQuantity: result.new_quantity,
+    timestamp: new Date().toISOString(),
+  });
+
+  return {
+    variantId,
+    newQuantity: result.new_quantity,
+    message: result.message,
+  };
+}
+
 /**
  * Check stock availability using database function
  * @param {string} variantId
@@ -236,7 +272,7 @@ async function updateStock(variantId, newQuantity, reason = 'manual_update') {
   // Update the variant
   const updatedVariant = await productRepository.updateVariant(variantId, {
     quantity: newQuantity,
-    is_active: newQuantity > 0, // Auto-deactivate if out of stock
+    is_active: newQuantity > 0 && !variant.retired_at, // Auto-deactivate if out of stock; retired variants stay inactive
   });
 
   // Check for low stock alert
@@ -579,6 +615,7 @@ module.exports = {
   reserveStockAtomic,
   releaseStockAtomic,
   confirmStockDeductionAtomic,
+  restockStockAtomic,
   checkStockAvailability,
   checkCartStock,
   
@@ -0,0 +1,629 @@
+/**
+ * Product Import Service
+ * Partner bulk import and export of products as CSV or XLSX
+ *
+ * - createImport reads the uploaded file, stores its rows and schedules the import
+ *   job; the partner follows the import by ID
+ * - processImport (the job) validates every product of the file with the product
+ *   schemas, then creates or updates it. A product with an invalid row is skipped
+ *   and each problem is reported as { row, column, message }; the other products
+ *   are still imported. A dry run only validates and counts what would change.
+ *   Progress is saved after every product, so a retried job resumes where it stopped.
+ *   A new product that fails part way is removed again; when that is not possible,
+ *   or an update failed part way, the row error carries the product_id.
+ * - exportProducts writes a shop's products in the same format, so an exported
+ *   file can be edited and imported back
+ *
+ * Rows with a product_id update that product of the shop: blank cells leave a field
+ * as it is, variants are matched by SKU (new SKUs are added, variants missing from
+ * the file are kept) and image URLs not on the product yet are added. Rows without
+ * a product_id create a product, pending approval like any new product.
+ */
+
+const productService = require('../product.service');
+const productRepository = require('../product.repository');
+const categoryRepository = require('../category.repository');
+const productImportRepository = require('../product-import.repository');
+const inventoryService = require('./inventory.service');
+const productSheet = require('./product-sheet');
+const {
+  createProductSchema,
+  updateProductSchema,
+  createVariantSchema,
+  updateVariantSchema,
+  updateInventorySchema,
+  imageUrlsSchema,
+} = require('../product.validator');
+const { deserializeProduct, deserializeVariant } = require('../product.dto');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const cacheService = require('../../../shared/redis/cache.service');
+const { AppError, NotFoundError, ValidationError } = require('../../../shared/utils/error.util');
+
+const { PRODUCT_COLUMNS, VARIANT_COLUMNS, PRODUCT_FIELDS, VARIANT_FIELDS } = productSheet;
+
+const IMPORT_JOB = 'products.bulk_import';
+const MAX_IMPORT_ROWS = 5000;
+const MAX_REPORTED_ERRORS = 1000; // Errors kept on the import; summary.errorCount has them all
+const EXPORT_BATCH_SIZE = 200;
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+// Schema field -> column, to report validation errors on the column
+const PRODUCT_COLUMN_OF = Object.fromEntries(Object.entries(PRODUCT_FIELDS).map(([column, field]) => [field, column]));
+const VARIANT_COLUMN_OF = Object.fromEntries(Object.entries(VARIANT_FIELDS).map(([column, field]) => [field, column]));
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Whether a row describes a variant (any variant column filled in)
+ */
+function isVariantRow(values) {
+  return VARIANT_COLUMNS.some(column => values[column]);
+}
+
+/**
+ * SKUs used on more than one row of the file
+ * @param {object[]} rows
+ * @returns {Map<string, number>} SKU -> first row using it
+ */
+function findDuplicateSkus(rows) {
+  const firstRow = new Map();
+  const duplicates = new Map();
+
+  for (const { row, values } of rows) {
+    if (!values.sku) continue;
+    if (firstRow.has(values.sku)) duplicates.set(values.sku, firstRow.get(values.sku));
+    else firstRow.set(values.sku, row);
+  }
+
+  return duplicates;
+}
+
+/**
+ * Add the details of a Joi error as row errors
+ * @param {object[]} errors
+ * @param {object} error - Joi validation error (or undefined)
+ * @param {Function} locate - path => { row, column }
+ */
+function addSchemaErrors(errors, error, locate) {
+  if (!error) return;
+
+  for (const detail of error.details) {
+    const { row, column } = locate(detail.path);
+    errors.push({ row, column, message: detail.message.replace(/^"[^"]*"/, column || 'Value') });
+  }
+}
+
+/**
+ * Fields whose value differs from the current row
+ * @param {object} updates - snake_case fields
+ * @param {object} current - Product or variant row
+ * @returns {object}
+ */
+function changedFields(updates, current) {
+  return Object.fromEntries(Object.entries(updates).filter(([key, value]) => {
+    const before = current[key];
+    if (typeof value === 'number') return before === null || before === undefined || Number(before) !== value;
+    if (value && typeof value === 'object') return JSON.stringify(value) !== JSON.stringify(before || {});
+    return (before ?? null) !== (value ?? null);
+  }));
+}
+
+/**
+ * Validate the rows of one product and work out what importing it does
+ * @param {string} shopId
+ * @param {object} group - { rows } from groupRows
+ * @param {Map<string, number>} duplicateSkus - From findDuplicateSkus
+ * @returns {Promise<object>} Plan: errors, outcome ('created' | 'updated' | 'unchanged'),
+ *   current product, product fields, variants, images
+ */
+async function planProduct(shopId, group, duplicateSkus) {
+  const errors = [];
+  const [first] = group.rows;
+  const productId = first.values.product_id || null;
+
+  // Product columns come from the first row; the others repeat them or leave them blank
+  for (const { row, values } of group.rows.slice(1)) {
+    for (const column of PRODUCT_COLUMNS) {
+      if (values[column] && values[column] !== first.values[column]) {
+        errors.push({ row, column, message: `Differs from row ${first.row} of the same product` });
+      }
+    }
+  }
+
+  const productInput = productSheet.pickFields(first.values, PRODUCT_FIELDS);
+  const imageUrls = productSheet.parseList(first.values.image_urls);
+  addSchemaErrors(errors, imageUrlsSchema.validate(imageUrls, VALIDATION_OPTIONS).error,
+    () => ({ row: first.row, column: 'image_urls' }));
+
+  const variantRows = group.rows.filter(({ values }) => isVariantRow(values)).map(({ row, values }) => {
+    const input = productSheet.pickFields(values, VARIANT_FIELDS);
+
+    if (input.attributes !== undefined) {
+      const { attributes, error } = productSheet.parseAttributes(input.attributes);
+      if (error) errors.push({ row, column: 'attributes', message: error });
+      input.attributes = attributes;
+    }
+    if (input.sku && duplicateSkus.has(input.sku) && duplicateSkus.get(input.sku) !== row) {
+      errors.push({ row, column: 'sku', message: `Duplicate SKU, already used on row ${duplicateSkus.get(input.sku)}` });
+    }
+
+    return { row, input };
+  });
+
+  const plan = { productId, current: null, product: {}, variants: [], images: [], errors };
+
+  if (productId) {
+    const current = await productRepository.findProductByIdWithRelations(productId);
+    if (!current || current.shop_id !== shopId) {
+      errors.push({ row: first.row, column: 'product_id', message: 'Product not found' });
+      return plan;
+    }
+    plan.current = current;
+
+    if (Object.keys(productInput).length > 0) {
+      const { error, value } = updateProductSchema.validate(productInput, VALIDATION_OPTIONS);
+      addSchemaErrors(errors, error, path => ({ row: first.row, column: PRODUCT_COLUMN_OF[path[0]] }));
+      plan.product = changedFields(deserializeProduct(value), current);
+    }
+
+    const currentVariants = new Map((current.variants || [])
+      .filter(variant => !variant.deleted_at)
+      .map(variant => [variant.sku, variant]));
+
+    for (const { row, input } of variantRows) {
+      const locate = path => ({ row, column: VARIANT_COLUMN_OF[path[0]] });
+      const variant = currentVariants.get(input.sku);
+
+      if (!variant) {
+        const { error, value } = createVariantSchema.validate(input, VALIDATION_OPTIONS);
+        addSchemaErrors(errors, error, locate);
+        plan.variants.push({ row, current: null, fields: deserializeVariant(value) });
+        continue;
+      }
+
+      const { quantity, ...fields } = input;
+      const { error, value } = updateVariantSchema.validate(fields, VALIDATION_OPTIONS);
+      addSchemaErrors(errors, error, locate);
+
+      let newQuantity;
+      if (quantity !== undefined) {
+        const stock = updateInventorySchema.validate({ quantity }, VALIDATION_OPTIONS);
+        addSchemaErrors(errors, stock.error, () => ({ row, column: 'quantity' }));
+        newQuantity = stock.value.quantity;
+      }
+
+      plan.variants.push({
+        row,
+        current: variant,
+        fields: changedFields(deserializeVariant(value), variant),
+        quantity: newQuantity !== undefined && newQuantity !== variant.quantity ? newQuantity : undefined,
+      });
+    }
+
+    const currentImages = new Set((current.images || []).map(image => image.url));
+    plan.images = imageUrls.filter(url => !currentImages.has(url));
+  } else {
+    const { error, value } = createProductSchema.validate(
+      { ...productInput, variants: variantRows.map(({ input }) => input) },
+      VALIDATION_OPTIONS
+    );
+    addSchemaErrors(errors, error, path => (path[0] === 'variants'
+      ? { row: variantRows[path[1]].row, column: VARIANT_COLUMN_OF[path[2]] }
+      : { row: first.row, column: PRODUCT_COLUMN_OF[path[0]] }));
+
+    plan.product = deserializeProduct(value);
+    plan.variants = variantRows.map(({ row }, index) => ({
+      row,
+      current: null,
+      fields: deserializeVariant((value.variants || [])[index]) || {},
+    }));
+    plan.images = imageUrls;
+  }
+
+  // Checks the schemas cannot make, for values that passed them
+  const isValid = column => !errors.some(error => error.row === first.row && error.column === column);
+  if (plan.product.base_price !== undefined && isValid('base_price') && !(plan.product.base_price > 0)) {
+    errors.push({ row: first.row, column: 'base_price', message: 'Base price must be a positive number' });
+  }
+  if (plan.product.category_id && isValid('category_id')) {
+    const category = await categoryRepository.findCategoryById(plan.product.category_id);
+    if (!category) errors.push({ row: first.row, column: 'category_id', message: 'Category not found' });
+  }
+  for (const { row, current, fields } of plan.variants) {
+    if (current || !fields.sku) continue;
+    const existing = await productRepository.findVariantBySKU(fields.sku);
+    if (existing) errors.push({ row, column: 'sku', message: 'SKU already exists on another product' });
+  }
+
+  const variantChanges = plan.variants.filter(variant => !variant.current
+    || Object.keys(variant.fields).length > 0 || variant.quantity !== undefined);
+  plan.outcome = !productId ? 'created'
+    : Object.keys(plan.product).length > 0 || variantChanges.length > 0 || plan.images.length > 0 ? 'updated'
+    : 'unchanged';
+
+  return plan;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Remove a product created by an import that failed part way: its variants give
+ * their SKUs back and the product is deleted, so the rows can be imported again
+ * @param {string} productId
+ * @param {string} shopId
+ */
+async function discardCreatedProduct(productId, shopId) {
+  const variants = await productRepository.findVariantsByProductId(productId);
+  for (const variant of variants) {
+    await productRepository.softDeleteVariant(variant.id);
+  }
+  await productService.deleteProduct(productId, shopId);
+}
+
+/**
+ * Create or update a product as planned
+ * A created product is discarded again when a later step fails. When it cannot
+ * be, or an update failed half way, the error carries the productId to report.
+ * @param {string} shopId
+ * @param {object} plan - From planProduct, without errors
+ */
+async function applyPlan(shopId, plan) {
+  if (plan.productId) {
+    try {
+      await applyChanges(shopId, plan.productId, plan);
+    } catch (error) {
+      error.productId = plan.productId;
+      throw error;
+    }
+    return;
+  }
+
+  const [firstVariant] = plan.variants;
+  const product = await productService.createProduct(shopId, {
+    ...plan.product,
+    quantity: firstVariant?.fields.quantity || 0,
+  });
+
+  try {
+    await applyChanges(shopId, product.id, plan);
+  } catch (error) {
+    try {
+      await discardCreatedProduct(product.id, shopId);
+    } catch (discardError) {
+      console.error(`Failed to discard imported product ${product.id}: ${discardError.message}`);
+      error.productId = product.id;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write the variants and images of a plan, and the product fields of an update
+ * @param {string} shopId
+ * @param {string} productId - Product updated, or just created for the plan
+ * @param {object} plan
+ */
+async function applyChanges(shopId, productId, plan) {
+  let imageCount = (plan.current?.images || []).length;
+
+  if (!plan.productId) {
+    const [firstVariant, ...otherVariants] = plan.variants;
+
+    // The first variant of the file takes over the default variant created with the product
+    if (firstVariant) {
+      const [defaultVariant] = await productRepository.findVariantsByProductId(productId);
+      if (defaultVariant) {
+        const { quantity, ...fields } = firstVariant.fields;
+        await productService.updateVariant(defaultVariant.id, shopId, fields);
+      } else {
+        await productService.addVariant(productId, shopId, firstVariant.fields);
+      }
+    }
+    for (const variant of otherVariants) {
+      await productService.addVariant(productId, shopId, variant.fields);
+    }
+  } else {
+    if (Object.keys(plan.product).length > 0) {
+      await productService.updateProduct(productId, shopId, plan.product);
+    }
+
+    for (const variant of plan.variants) {
+      if (!variant.current) {
+        await productService.addVariant(productId, shopId, variant.fields);
+        continue;
+      }
+      if (Object.keys(variant.fields).length > 0) {
+        await productService.updateVariant(variant.current.id, shopId, variant.fields);
+      }
+      if (variant.quantity !== undefined) {
+        await inventoryService.updateStock(variant.current.id, variant.quantity, 'bulk_import');
+      }
+    }
+  }
+
+  for (const url of plan.images) {
+    await productService.addImage(productId, shopId, {
+      url,
+      sort_order: imageCount,
+      is_primary: imageCount === 0,
+    });
+    imageCount++;
+  }
+
+  if (plan.current) {
+    await cacheService.invalidateProduct(productId);
+  }
+}
+
+/**
+ * Validate and (unless a dry run) import one product of the file
+ * @param {object} productImport - Import row
+ * @param {object} group - { rows } from groupRows
+ * @param {Map<string, number>} duplicateSkus
+ * @param {object} summary - Counts, updated in place
+ * @returns {Promise<object[]>} Row errors
+ */
+async function importProduct(productImport, group, duplicateSkus, summary) {
+  const plan = await planProduct(productImport.shop_id, group, duplicateSkus);
+
+  if (plan.errors.length > 0) {
+    summary.failed++;
+    return plan.errors;
+  }
+
+  if (!productImport.dry_run) {
+    try {
+      await applyPlan(productImport.shop_id, plan);
+    } catch (error) {
+      summary.failed++;
+      const rowError = { row: group.rows[0].row, column: null, message: error.message };
+      if (error.productId) rowError.product_id = error.productId;
+      return [rowError];
+    }
+  }
+
+  summary[plan.outcome]++;
+  summary.variantsCreated += plan.variants.filter(variant => !variant.current).length;
+  summary.variantsUpdated += plan.variants
+    .filter(variant => variant.current && (Object.keys(variant.fields).length > 0 || variant.quantity !== undefined))
+    .length;
+  summary.imagesAdded += plan.images.length;
+
+  return [];
+}
+
+/**
+ * Process an import (the import job)
+ * Products already processed by an earlier attempt are skipped.
+ * @param {string} importId
+ * @returns {Promise<object>} Finished import
+ */
+async function processImport(importId) {
+  const productImport = await productImportRepository.findImportById(importId, { withRows: true });
+  if (!productImport) {
+    throw new NotFoundError('Product import not found');
+  }
+  if (['completed', 'failed'].includes(productImport.status)) {
+    return productImport;
+  }
+
+  const rows = productImport.rows || [];
+  const groups = productSheet.groupRows(rows);
+  const duplicateSkus = findDuplicateSkus(rows);
+  const summary = {
+    products: groups.length,
+    productsProcessed: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: 0,
+    variantsCreated: 0,
+    variantsUpdated: 0,
+    imagesAdded: 0,
+    errorCount: 0,
+    ...productImport.summary,
+  };
+  const errors = [...(productImport.errors || [])];
+  let processedRows = productImport.processed_rows || 0;
+
+  await productImportRepository.updateImport(importId, {
+    status: 'processing',
+    started_at: productImport.started_at || new Date().toISOString(),
+  });
+
+  for (let index = summary.productsProcessed; index < groups.length; index++) {
+    const group = groups[index];
+    const groupErrors = await importProduct(productImport, group, duplicateSkus, summary);
+
+    summary.errorCount += groupErrors.length;
+    errors.push(...groupErrors.slice(0, Math.max(0, MAX_REPORTED_ERRORS - errors.length)));
+    summary.productsProcessed = index + 1;
+    processedRows += group.rows.length;
+
+    await productImportRepository.updateImport(importId, {
+      summary,
+      errors,
+      processed_rows: processedRows,
+    });
+  }
+
+  return productImportRepository.updateImport(importId, {
+    status: 'completed',
+    finished_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Start an import from an uploaded file
+ * @param {string} shopId
+ * @param {string} userId - Partner user ID
+ * @param {object} file - Multer file (originalname, mimetype, buffer)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only validate, write nothing
+ * @returns {Promise<object>} Pending import
+ */
+async function createImport(shopId, userId, file, { dryRun = false } = {}) {
+  if (!file) {
+    throw new ValidationError('Import file is required');
+  }
+
+  const format = productSheet.detectFormat(file.originalname, file.mimetype);
+  if (!format) {
+    throw new AppError('IMPORT_INVALID_FORMAT', 'Import file must be CSV or XLSX', 400);
+  }
+
+  let sheet;
+  try {
+    sheet = await productSheet.readSheet(file.buffer, format);
+  } catch (error) {
+    throw new AppError('IMPORT_UNREADABLE_FILE', `Could not read the ${format.toUpperCase()} file`, 400);
+  }
+
+  if (!sheet.columns.includes('product_id') && !sheet.columns.includes('name')) {
+    throw new AppError('IMPORT_MISSING_COLUMNS', 'Import file needs a product_id or name column', 400);
+  }
+  if (sheet.rows.length === 0) {
+    throw new AppError('IMPORT_EMPTY_FILE', 'Import file has no product rows', 400);
+  }
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError('IMPORT_TOO_MANY_ROWS', `Import file must not exceed ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const productImport = await productImportRepository.createImport({
+    shopId,
+    requestedBy: userId,
+    fileName: file.originalname,
+    format,
+    dryRun,
+    rows: sheet.rows,
+    summary: { ignoredColumns: sheet.ignoredColumns },
+  });
+
+  try {
+    await jobScheduler.schedule(IMPORT_JOB, { importId: productImport.id }, {
+      key: `product-import:${productImport.id}`,
+    });
+  } catch (error) {
+    console.error(`[ProductImport] Failed to schedule import ${productImport.id}:`, error.message);
+    await productImportRepository.updateImport(productImport.id, {
+      status: 'failed',
+      error: 'Could not start the import',
+      finished_at: new Date().toISOString(),
+    });
+    throw new AppError('IMPORT_UNAVAILABLE', 'Could not start the import, please try again', 503);
+  }
+
+  return productImport;
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Get a shop's imports (newest first)
+ * @param {string} shopId
+ * @param {object} [options] - page, limit
+ */
+async function getImports(shopId, { page = 1, limit = 20 } = {}) {
+  const result = await productImportRepository.findImports(shopId, { page, limit });
+
+  return {
+    imports: result.data,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+    },
+  };
+}
+
+/**
+ * Get an import of the shop with its progress and errors
+ * @param {string} shopId
+ * @param {string} importId
+ */
+async function getImport(shopId, importId) {
+  const productImport = await productImportRepository.findImportById(importId);
+
+  if (!productImport || productImport.shop_id !== shopId) {
+    throw new NotFoundError('Product import not found');
+  }
+
+  return productImport;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Export a shop's products as CSV or XLSX, in the import format
+ * @param {string} shopId
+ * @param {object} [options]
+ * @param {string} [options.format] - 'csv' | 'xlsx'
+ * @param {string} [options.status] - Only products with this status
+ * @returns {Promise<{buffer: Buffer, fileName: string, contentType: string, count: number}>}
+ */
+async function exportProducts(shopId, { format = 'csv', status = null } = {}) {
+  if (!productSheet.FORMATS.includes(format)) {
+    throw new AppError('EXPORT_INVALID_FORMAT', 'Export format must be csv or xlsx', 400);
+  }
+
+  const rows = [];
+  let count = 0;
+  let afterId = null;
+  let products;
+  do {
+    products = await productRepository.findProductsForExport(shopId, { status, afterId, limit: EXPORT_BATCH_SIZE });
+    if (products.length === 0) break;
+
+    products.forEach(product => rows.push(...productSheet.productToRows(product)));
+    count += products.length;
+    afterId = products[products.length - 1].id;
+  } while (products.length === EXPORT_BATCH_SIZE);
+
+  return {
+    buffer: await productSheet.writeSheet(rows, format),
+    fileName: `products-${new Date().toISOString().slice(0, 10)}.${format}`,
+    contentType: productSheet.CONTENT_TYPES[format],
+    count,
+  };
+}
+
+/**
+ * Register the import job
+ * A failed attempt is retried from the last saved product; once retries are
+ * exhausted the import is marked failed.
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(IMPORT_JOB, (payload) => processImport(payload.importId), {
+    maxAttempts: 3,
+    onFailed: async (payload, job, error) => {
+      await productImportRepository.updateImport(payload.importId, {
+        status: 'failed',
+        error: error.message,
+        finished_at: new Date().toISOString(),
+      });
+    },
+  });
+}
+
+module.exports = {
+  IMPORT_JOB,
+  MAX_IMPORT_ROWS,
+  findDuplicateSkus,
+  planProduct,
+  processImport,
+  createImport,
+  getImports,
+  getImport,
+  exportProducts,
+  registerJobHandlers,
+};
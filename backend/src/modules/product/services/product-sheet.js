@@ -0,0 +1,298 @@
+/**
+ * Product Spreadsheet Format
+ * Columns shared by bulk import and export (CSV or XLSX), so an exported file
+ * can be edited and imported back.
+ *
+ * One row per variant. Product columns repeat on every row of a product; rows
+ * with the same product_id (existing products) or, without one, the same name
+ * (new products) are one product. A product without variants is a single row
+ * with the variant columns left empty.
+ */
+
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+
+const FORMATS = ['csv', 'xlsx'];
+const SHEET_NAME = 'Products';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Product column -> field of createProductSchema / updateProductSchema
+const PRODUCT_FIELDS = {
+  name: 'name',
+  description: 'description',
+  short_description: 'shortDescription',
+  category_id: 'categoryId',
+  base_price: 'basePrice',
+  compare_at_price: 'compareAtPrice',
+  currency: 'currency',
+  meta_title: 'metaTitle',
+  meta_description: 'metaDescription',
+};
+
+// Variant column -> field of createVariantSchema / updateVariantSchema
+const VARIANT_FIELDS = {
+  sku: 'sku',
+  variant_name: 'name',
+  attributes: 'attributes',
+  variant_price: 'price',
+  variant_compare_at_price: 'compareAtPrice',
+  quantity: 'quantity',
+  low_stock_threshold: 'lowStockThreshold',
+  variant_image_url: 'imageUrl',
+};
+
+const PRODUCT_COLUMNS = ['product_id', ...Object.keys(PRODUCT_FIELDS), 'image_urls'];
+const VARIANT_COLUMNS = Object.keys(VARIANT_FIELDS);
+const COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+// image_urls: "https://a.jpg|https://b.jpg"; attributes: "Màu=Đỏ; Size=M"
+const LIST_SEPARATOR = '|';
+const ATTRIBUTE_SEPARATOR = ';';
+
+/**
+ * Detect the file format from its name or MIME type
+ * @param {string} fileName
+ * @param {string} [mimeType]
+ * @returns {string|null} 'csv' | 'xlsx'
+ */
+function detectFormat(fileName, mimeType) {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+  if (mimeType === CONTENT_TYPES.xlsx) return 'xlsx';
+  if (mimeType === 'text/csv') return 'csv';
+  return null;
+}
+
+/**
+ * Text of a cell value (rich text, hyperlinks and formulas included)
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file
+ * Values are kept as text (a SKU like "00123" stays as is). Row numbers are the
+ * spreadsheet's, header included, so errors point at the right line.
+ * @param {Buffer} buffer
+ * @param {string} format - 'csv' | 'xlsx'
+ * @returns {Promise<{columns: string[], ignoredColumns: string[], rows: object[]}>}
+ *   rows: { row, values: { column: text } }, blank rows left out
+ */
+async function readSheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'csv') {
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value, sheetName: SHEET_NAME });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet) {
+    return { columns: [], ignoredColumns: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    headers[columnNumber] = cellText(cell.value).replace(/^\uFEFF/, '').toLowerCase();
+  });
+
+  const columns = headers.filter(header => COLUMNS.includes(header));
+  const ignoredColumns = headers.filter(header => header && !COLUMNS.includes(header));
+  const rows = [];
+
+  worksheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((header, columnNumber) => {
+      if (COLUMNS.includes(header)) {
+        values[header] = cellText(sheetRow.getCell(columnNumber).value);
+      }
+    });
+
+    if (Object.values(values).some(value => value !== '')) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  return { columns, ignoredColumns, rows };
+}
+
+/**
+ * Write rows (column -> value) as a CSV or XLSX file with every column
+ * CSV gets a UTF-8 BOM so Excel shows Vietnamese text correctly.
+ * @param {object[]} rows
+ * @param {string} format - 'csv' | 'xlsx'
+ * @returns {Promise<Buffer>}
+ */
+async function writeSheet(rows, format) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(SHEET_NAME);
+
+  worksheet.columns = COLUMNS.map(column => ({ header: column, key: column, width: 20 }));
+  worksheet.addRows(rows);
+
+  if (format === 'csv') {
+    const csv = await workbook.csv.writeBuffer();
+    return Buffer.concat([Buffer.from('\uFEFF'), Buffer.from(csv)]);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Parse an attributes cell ("Màu=Đỏ; Size=M")
+ * @param {string} text
+ * @returns {{attributes: object, error: string|null}}
+ */
+function parseAttributes(text) {
+  const attributes = {};
+
+  for (const pair of String(text || '').split(ATTRIBUTE_SEPARATOR)) {
+    if (!pair.trim()) continue;
+
+    const separator = pair.indexOf('=');
+    const key = separator > 0 ? pair.slice(0, separator).trim() : '';
+    if (!key) {
+      return { attributes, error: `Invalid attribute "${pair.trim()}", expected name=value` };
+    }
+    attributes[key] = pair.slice(separator + 1).trim();
+  }
+
+  return { attributes, error: null };
+}
+
+/**
+ * Format attributes as a cell
+ * @param {object} attributes
+ * @returns {string}
+ */
+function formatAttributes(attributes) {
+  return Object.entries(attributes || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join(`${ATTRIBUTE_SEPARATOR} `);
+}
+
+/**
+ * Split a list cell (image_urls)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseList(text) {
+  return String(text || '').split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Rows of a product for export
+ * @param {object} product - Product with variants and images
+ * @returns {object[]}
+ */
+function productToRows(product) {
+  const toNumber = (value) => (value === null || value === undefined ? '' : parseFloat(value));
+  const images = [...(product.images || [])]
+    .sort((a, b) => (b.is_primary - a.is_primary) || (a.sort_order - b.sort_order));
+
+  const productValues = {
+    product_id: product.id,
+    name: product.name,
+    description: product.description || '',
+    short_description: product.short_description || '',
+    category_id: product.category_id || '',
+    base_price: toNumber(product.base_price),
+    compare_at_price: toNumber(product.compare_at_price),
+    currency: product.currency || 'VND',
+    meta_title: product.meta_title || '',
+    meta_description: product.meta_description || '',
+    image_urls: images.map(image => image.url).join(LIST_SEPARATOR),
+  };
+
+  const variants = (product.variants || []).filter(variant => !variant.deleted_at && !variant.retired_at);
+  if (variants.length === 0) {
+    return [productValues];
+  }
+
+  return variants.map(variant => ({
+    ...productValues,
+    sku: variant.sku,
+    variant_name: variant.name || '',
+    attributes: formatAttributes(variant.attributes),
+    variant_price: toNumber(variant.price),
+    variant_compare_at_price: toNumber(variant.compare_at_price),
+    quantity: variant.quantity || 0,
+    low_stock_threshold: variant.low_stock_threshold ?? '',
+    variant_image_url: variant.image_url || '',
+  }));
+}
+
+/**
+ * Group rows into products, in order of first appearance
+ * @param {object[]} rows - From readSheet
+ * @returns {object[]} { key, rows }
+ */
+function groupRows(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const { product_id: productId, name } = row.values;
+    const key = productId ? `id:${productId}`
+      : name ? `name:${name.toLowerCase()}`
+      : `row:${row.row}`;
+
+    if (!groups.has(key)) groups.set(key, { key, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Non-empty cells of a row mapped to schema fields
+ * @param {object} values - Row values (column -> text)
+ * @param {object} fields - PRODUCT_FIELDS or VARIANT_FIELDS
+ * @returns {object}
+ */
+function pickFields(values, fields) {
+  const input = {};
+  for (const [column, field] of Object.entries(fields)) {
+    if (values[column] !== undefined && values[column] !== '') {
+      input[field] = values[column];
+    }
+  }
+  return input;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  COLUMNS,
+  PRODUCT_COLUMNS,
+  VARIANT_COLUMNS,
+  PRODUCT_FIELDS,
+  VARIANT_FIELDS,
+  detectFormat,
+  readSheet,
+  writeSheet,
+  parseAttributes,
+  formatAttributes,
+  parseList,
+  productToRows,
+  groupRows,
+  pickFields,
+};
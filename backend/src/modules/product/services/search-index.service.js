@@ -0,0 +1,428 @@
+/**
+ * Search Index Service
+ * Rebuilds the product index from Postgres and keeps the two consistent
+ *
+ * The index holds the products that are active and not deleted.
+ * - fillIndex loads them into a new versioned index in batches; the search consumer
+ *   runs it during a reindex and the job row shows the progress after every batch
+ * - checkConsistency compares status, updated_at and base_price of every product
+ *   with its document (missing / stale) and finds documents whose product is gone
+ *   or no longer active (orphaned). With repair, missing and stale documents are
+ *   re-indexed and orphaned ones deleted. It also runs as a recurring job.
+ * - syncProduct brings one product's document in line with the database
+ *
+ * The running reindex job records the index being built (target_index); writes to
+ * the index go through searchService.writeToIndices, which reads it.
+ */
+
+const productRepository = require('../product.repository');
+const searchIndexRepository = require('../search-index.repository');
+const searchService = require('./search.service');
+const elasticsearchClient = require('../../../shared/elasticsearch/elasticsearch.client');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const { AppError, NotFoundError } = require('../../../shared/utils/error.util');
+
+const { PRODUCT_INDEX } = elasticsearchClient;
+
+const CONSISTENCY_CHECK_JOB = 'search.consistency_check';
+const CONSISTENCY_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const INDEX_BATCH_SIZE = 500;
+const MAX_SAMPLE_ISSUES = 100; // Affected products kept on the job for the report
+
+// A running reindex whose job has not moved for this long lost its consumer.
+// Progress is written after every batch; a copy from the index reports only at the end.
+const REINDEX_STALE_MS = 60 * 60 * 1000; // 1 hour
+
+// Why a product and its document disagree
+const ISSUES = {
+  MISSING: 'missing',   // Indexable product without a document
+  STALE: 'stale',       // Document differs from the product
+  ORPHANED: 'orphaned', // Document of a deleted, inactive or unknown product
+};
+
+/**
+ * Whether a product belongs in the search index
+ * @param {object} product - status, deleted_at
+ * @returns {boolean}
+ */
+function isIndexable(product) {
+  return product.status === 'active' && !product.deleted_at;
+}
+
+/**
+ * Checked fields of a document that differ from the product
+ * @param {object} product - Product row
+ * @param {object} document - Index document
+ * @returns {string[]} Of 'status', 'updated_at', 'base_price'
+ */
+function compareDocument(product, document) {
+  const toTime = (value) => (value ? new Date(value).getTime() : null);
+  const toCents = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 100));
+  const fields = [];
+
+  if (document.status !== product.status) fields.push('status');
+  if (toTime(document.updated_at) !== toTime(product.updated_at)) fields.push('updated_at');
+  if (toCents(document.base_price) !== toCents(product.base_price)) fields.push('base_price');
+
+  return fields;
+}
+
+// ============================================
+// JOB PROGRESS
+// ============================================
+
+/**
+ * Update a job; without a job ID (or if the update fails) the work goes on untracked
+ * @param {string|null} jobId
+ * @param {object} updates - Column values
+ */
+async function updateJob(jobId, updates) {
+  if (!jobId) return null;
+
+  try {
+    return await searchIndexRepository.updateJob(jobId, updates);
+  } catch (error) {
+    console.error(`[SearchIndex] Failed to update job ${jobId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark a reindex running with the index it builds
+ * Unlike the other job updates this one must succeed: until the job is closed,
+ * product writes also go to the target index. A request without a job gets one.
+ * @param {string|null} jobId
+ * @param {object} details - targetIndex, source, requestedBy, reason
+ * @returns {Promise<string>} Job ID
+ * @throws {AppError} SEARCH_REINDEX_RUNNING when another reindex holds the lock
+ */
+async function startReindex(jobId, { targetIndex, source = 'database', requestedBy = null, reason = null }) {
+  const running = { status: 'running', target_index: targetIndex, started_at: new Date().toISOString() };
+
+  try {
+    if (jobId) {
+      await searchIndexRepository.updateJob(jobId, running);
+      return jobId;
+    }
+
+    const job = await searchIndexRepository.createJob({
+      type: 'reindex',
+      status: 'running',
+      source,
+      triggeredBy: requestedBy ? 'admin' : 'job',
+      requestedBy,
+      reason,
+      targetIndex,
+    });
+    return job.id;
+  } catch (error) {
+    // Unique index of migration 067: one running reindex
+    if (error.code === '23505') {
+      throw new AppError('SEARCH_REINDEX_RUNNING', 'Another reindex is already running', 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the reindex in progress
+ * An abandoned one (see REINDEX_STALE_MS) is closed as failed and its index
+ * dropped, unless the alias already points to it, so a new reindex can run.
+ * @returns {Promise<object|null>} Running job
+ */
+async function findRunningReindex() {
+  const job = await searchIndexRepository.findRunningReindex();
+  if (!job) return null;
+
+  if (Date.now() - new Date(job.updated_at).getTime() < REINDEX_STALE_MS) {
+    return job;
+  }
+
+  console.warn(`[SearchIndex] Reindex job ${job.id} into ${job.target_index} was abandoned`);
+  await finishJob(job.id, new Error('Reindex abandoned'));
+
+  if (job.target_index) {
+    const aliased = await elasticsearchClient.getAliasIndices();
+    if (!aliased.includes(job.target_index)) {
+      await elasticsearchClient.deleteIndices([job.target_index]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Mark a job completed, or failed when an error is given
+ * @param {string|null} jobId
+ * @param {Error} [error]
+ * @param {object} [updates] - Further column values (summary, counts)
+ */
+async function finishJob(jobId, error = null, updates = {}) {
+  return updateJob(jobId, {
+    ...updates,
+    status: error ? 'failed' : 'completed',
+    error: error ? error.message : null,
+    finished_at: new Date().toISOString(),
+  });
+}
+
+// ============================================
+// REINDEX
+// ============================================
+
+/**
+ * Load every indexable product into an index
+ * Documents already in the index are kept: during a reindex they are writes made
+ * after the batch was read, so they are newer.
+ * @param {string} index - Index being built
+ * @param {object} [options]
+ * @param {string} [options.jobId] - Job to report progress on
+ * @returns {Promise<{total: number, processed: number, indexed: number, failed: number}>}
+ */
+async function fillIndex(index, { jobId = null } = {}) {
+  const total = await productRepository.countProductsForIndex();
+  const progress = { total, processed: 0, indexed: 0, failed: 0 };
+  await updateJob(jobId, { total });
+
+  let afterId = null;
+  let products;
+  do {
+    products = await productRepository.findProductsForIndex({ afterId, limit: INDEX_BATCH_SIZE });
+    if (products.length === 0) break;
+
+    const result = await elasticsearchClient.bulkIndexDocuments(
+      index,
+      products.map(searchService.buildIndexDocument),
+      { onlyNew: true }
+    );
+
+    result.failed.slice(0, 3).forEach(failure => {
+      console.error(`[SearchIndex] Failed to index product ${failure.id}:`, failure.reason);
+    });
+
+    progress.processed += products.length;
+    progress.indexed += result.written;
+    progress.failed += result.failed.length;
+    await updateJob(jobId, { processed: progress.processed, failed: progress.failed });
+
+    afterId = products[products.length - 1].id;
+  } while (products.length === INDEX_BATCH_SIZE);
+
+  return progress;
+}
+
+// ============================================
+// CONSISTENCY CHECK
+// ============================================
+
+/**
+ * Note an issue in the check summary
+ */
+function recordIssue(summary, issue) {
+  summary[issue.issue]++;
+  if (summary.issues.length < MAX_SAMPLE_ISSUES) {
+    summary.issues.push(issue);
+  }
+}
+
+/**
+ * Compare the index with the database and optionally repair it
+ * @param {object} [options]
+ * @param {boolean} [options.repair] - Re-index missing/stale documents, delete orphaned ones
+ * @param {string} [options.triggeredBy] - 'admin' | 'job'
+ * @param {string} [options.requestedBy] - Admin user ID
+ * @returns {Promise<object>} Finished job, with the summary
+ */
+async function checkConsistency({ repair = false, triggeredBy = 'admin', requestedBy = null } = {}) {
+  if (!(await elasticsearchClient.isAvailable())) {
+    throw new AppError('SEARCH_UNAVAILABLE', 'Elasticsearch is not available', 503);
+  }
+
+  const job = await searchIndexRepository.createJob({
+    type: 'consistency_check',
+    status: 'running',
+    triggeredBy,
+    requestedBy,
+  });
+  const summary = { repair, checked: 0, missing: 0, stale: 0, orphaned: 0, repaired: 0, repairFailed: 0, issues: [] };
+
+  try {
+    await updateJob(job.id, { total: await productRepository.countProductsForIndex() });
+
+    // Every indexable product has an up-to-date document
+    let afterId = null;
+    let products;
+    do {
+      products = await productRepository.findProductsForIndex({ afterId, limit: INDEX_BATCH_SIZE });
+      if (products.length === 0) break;
+
+      const documents = await elasticsearchClient.getDocuments(PRODUCT_INDEX, products.map(product => product.id));
+      const outdated = [];
+
+      for (const product of products) {
+        const document = documents.get(product.id);
+        if (!document) {
+          recordIssue(summary, { productId: product.id, issue: ISSUES.MISSING });
+          outdated.push(product);
+          continue;
+        }
+
+        const fields = compareDocument(product, document);
+        if (fields.length > 0) {
+          recordIssue(summary, { productId: product.id, issue: ISSUES.STALE, fields });
+          outdated.push(product);
+        }
+      }
+
+      if (repair && outdated.length > 0) {
+        const documents = outdated.map(searchService.buildIndexDocument);
+        const result = await searchService.writeToIndices(
+          index => elasticsearchClient.bulkIndexDocuments(index, documents)
+        );
+        summary.repaired += result.written;
+        summary.repairFailed += result.failed.length;
+      }
+
+      summary.checked += products.length;
+      await updateJob(job.id, { processed: summary.checked, failed: summary.repairFailed });
+      afterId = products[products.length - 1].id;
+    } while (products.length === INDEX_BATCH_SIZE);
+
+    // Every document belongs to an indexable product
+    let afterDocumentId = null;
+    let ids;
+    do {
+      ids = await elasticsearchClient.listDocumentIds(PRODUCT_INDEX, { after: afterDocumentId, size: INDEX_BATCH_SIZE });
+      if (ids.length === 0) break;
+
+      const states = new Map((await productRepository.findProductIndexStates(ids)).map(state => [state.id, state]));
+      const orphaned = ids.filter(id => !states.has(id) || !isIndexable(states.get(id)));
+
+      orphaned.forEach(id => recordIssue(summary, {
+        productId: id,
+        issue: ISSUES.ORPHANED,
+        status: states.has(id) ? (states.get(id).deleted_at ? 'deleted' : states.get(id).status) : 'not_found',
+      }));
+
+      if (repair && orphaned.length > 0) {
+        const result = await searchService.writeToIndices(
+          index => elasticsearchClient.bulkDeleteDocuments(index, orphaned)
+        );
+        summary.repaired += result.deleted;
+        summary.repairFailed += result.failed.length;
+      }
+
+      afterDocumentId = ids[ids.length - 1];
+    } while (ids.length === INDEX_BATCH_SIZE);
+  } catch (error) {
+    console.error('[SearchIndex] Consistency check failed:', error.message);
+    await finishJob(job.id, error, { summary });
+    throw error;
+  }
+
+  const drift = summary.missing + summary.stale + summary.orphaned;
+  if (drift > 0) {
+    console.warn(`[SearchIndex] Index drift: ${summary.missing} missing, ${summary.stale} stale, ` +
+      `${summary.orphaned} orphaned; ${repair ? `${summary.repaired} repaired` : 'not repaired'}`);
+  }
+
+  const finished = await finishJob(job.id, null, {
+    summary,
+    processed: summary.checked,
+    failed: summary.repairFailed,
+  });
+
+  return finished || { ...job, status: 'completed', summary };
+}
+
+/**
+ * Index or remove one product so its document matches the database
+ * @param {string} productId
+ * @returns {Promise<string|null>} 'indexed' | 'removed', null when Elasticsearch is unavailable
+ */
+async function syncProduct(productId) {
+  if (!(await elasticsearchClient.isAvailable())) {
+    return null;
+  }
+
+  const [product] = await productRepository.findProductsForIndex({ ids: [productId], limit: 1 });
+
+  if (product) {
+    const document = searchService.buildIndexDocument(product);
+    await searchService.writeToIndices(index => elasticsearchClient.indexDocument(index, productId, document));
+    return 'indexed';
+  }
+
+  try {
+    await searchService.writeToIndices(index => elasticsearchClient.deleteDocument(index, productId));
+  } catch (error) {
+    if (error.meta?.statusCode !== 404) throw error;
+  }
+  return 'removed';
+}
+
+// ============================================
+// JOB REPORTS
+// ============================================
+
+/**
+ * Get reindex and consistency check jobs (newest first)
+ * @param {object} [filters] - type, page, limit
+ */
+async function getJobs({ type, page = 1, limit = 20 } = {}) {
+  const result = await searchIndexRepository.findJobs({ type, page, limit });
+
+  return {
+    jobs: result.data,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / result.limit),
+    },
+  };
+}
+
+/**
+ * Get a job with its progress
+ */
+async function getJob(jobId) {
+  const job = await searchIndexRepository.findJobById(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Search index job not found');
+  }
+
+  return job;
+}
+
+/**
+ * Register the consistency check (with repair) as a recurring job
+ * Skipped while Elasticsearch is down; search then uses the database anyway.
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(CONSISTENCY_CHECK_JOB, async () => {
+    if (!(await elasticsearchClient.isAvailable())) return;
+    await checkConsistency({ repair: true, triggeredBy: 'job' });
+  }, {
+    intervalMs: CONSISTENCY_CHECK_INTERVAL_MS,
+    maxAttempts: 3,
+  });
+}
+
+module.exports = {
+  CONSISTENCY_CHECK_JOB,
+  INDEX_BATCH_SIZE,
+  ISSUES,
+  isIndexable,
+  compareDocument,
+  startReindex,
+  findRunningReindex,
+  updateJob,
+  finishJob,
+  fillIndex,
+  checkConsistency,
+  syncProduct,
+  getJobs,
+  getJob,
+  registerJobHandlers,
+};
@@ -0,0 +1,269 @@
+/**
+ * Search Facets
+ * Facet definitions shared by Elasticsearch search and the database fallback
+ *
+ * Facets use post-filter semantics: the hits honour every filter, while each
+ * facet is counted with every filter except its own, so picking a category
+ * still shows how many products the other categories have.
+ *
+ * Facet shape:
+ * {
+ *   categories: [{ id, name, count }],
+ *   price: { min, max, buckets: [{ key, from, to, count }] },
+ *   rating: [{ rating, count }],   // products rated at least `rating`
+ *   shops: [{ id, name, count }],
+ *   tags: [{ value, count }],
+ *   degraded: boolean,             // true when computed by the database fallback
+ *   sampled: boolean,              // true when the fallback counted a capped sample
+ * }
+ */
+
+// Max values returned for category, shop and tag facets
+const FACET_SIZE = 20;
+
+// Price histogram buckets (VND); `to` is exclusive
+const PRICE_RANGES = [
+  { key: '0-100000', to: 100000 },
+  { key: '100000-200000', from: 100000, to: 200000 },
+  { key: '200000-500000', from: 200000, to: 500000 },
+  { key: '500000-1000000', from: 500000, to: 1000000 },
+  { key: '1000000-2000000', from: 1000000, to: 2000000 },
+  { key: '2000000-5000000', from: 2000000, to: 5000000 },
+  { key: '5000000-10000000', from: 5000000, to: 10000000 },
+  { key: '10000000+', from: 10000000 },
+];
+
+// Rating levels, counted as "rating and up" like the min_rating filter
+const RATING_LEVELS = [5, 4, 3, 2, 1];
+
+const FACETS = ['categories', 'price', 'rating', 'shops', 'tags'];
+
+/**
+ * Elasticsearch clauses of the faceted filters, keyed by facet
+ * A facet without an active filter maps to null
+ * @param {object} filters - Search filters
+ * @returns {object}
+ */
+function buildFacetFilters(filters = {}) {
+  const clauses = {
+    categories: null,
+    price: null,
+    rating: null,
+    shops: null,
+    tags: null,
+  };
+
+  if (filters.category_id) {
+    clauses.categories = { term: { category_id: filters.category_id } };
+  }
+
+  if (filters.min_price !== undefined || filters.max_price !== undefined) {
+    const priceRange = {};
+    if (filters.min_price !== undefined) priceRange.gte = filters.min_price;
+    if (filters.max_price !== undefined) priceRange.lte = filters.max_price;
+    clauses.price = { range: { base_price: priceRange } };
+  }
+
+  if (filters.min_rating !== undefined) {
+    clauses.rating = { range: { avg_rating: { gte: filters.min_rating } } };
+  }
+
+  if (filters.shop_id) {
+    clauses.shops = { term: { shop_id: filters.shop_id } };
+  }
+
+  if (filters.tags && filters.tags.length > 0) {
+    clauses.tags = { terms: { tags: filters.tags } };
+  }
+
+  return clauses;
+}
+
+/**
+ * Active filter clauses, optionally leaving one facet out
+ * @param {object} clauses - From buildFacetFilters
+ * @param {string} [exclude] - Facet whose filter is left out
+ * @returns {object[]}
+ */
+function activeClauses(clauses, exclude) {
+  return FACETS
+    .filter(facet => facet !== exclude && clauses[facet])
+    .map(facet => clauses[facet]);
+}
+
+/**
+ * Elasticsearch aggregations for all facets
+ * Each facet is wrapped in a filter aggregation with the other facets' filters
+ * @param {object} clauses - From buildFacetFilters
+ * @returns {object}
+ */
+function buildFacetAggregations(clauses) {
+  const facetAggs = {
+    categories: {
+      values: {
+        terms: { field: 'category_id', size: FACET_SIZE },
+        aggs: { name: { terms: { field: 'category_name', size: 1 } } },
+      },
+    },
+    price: {
+      values: {
+        range: {
+          field: 'base_price',
+          ranges: PRICE_RANGES.map(({ key, from, to }) => ({ key, from, to })),
+        },
+      },
+      stats: { stats: { field: 'base_price' } },
+    },
+    rating: {
+      values: {
+        range: {
+          field: 'avg_rating',
+          ranges: RATING_LEVELS.map(rating => ({ key: String(rating), from: rating })),
+        },
+      },
+    },
+    shops: {
+      values: {
+        terms: { field: 'shop_id', size: FACET_SIZE },
+        aggs: { name: { terms: { field: 'shop_name.keyword', size: 1 } } },
+      },
+    },
+    tags: {
+      values: {
+        terms: { field: 'tags', size: FACET_SIZE },
+      },
+    },
+  };
+
+  return Object.fromEntries(FACETS.map(facet => [facet, {
+    filter: { bool: { filter: activeClauses(clauses, facet) } },
+    aggs: facetAggs[facet],
+  }]));
+}
+
+/**
+ * Name of a terms bucket, from its single-value name sub-aggregation
+ */
+function bucketName(bucket) {
+  return bucket.name?.buckets?.[0]?.key ?? null;
+}
+
+/**
+ * Convert Elasticsearch aggregation results to the facet shape
+ * @param {object} aggregations - response.aggregations
+ * @returns {object}
+ */
+function parseFacetAggregations(aggregations = {}) {
+  const buckets = facet => aggregations[facet]?.values?.buckets || [];
+  const stats = aggregations.price?.stats || {};
+  const priceCounts = new Map(buckets('price').map(b => [b.key, b.doc_count]));
+  const ratingCounts = new Map(buckets('rating').map(b => [b.key, b.doc_count]));
+
+  return {
+    categories: buckets('categories').map(b => ({ id: b.key, name: bucketName(b), count: b.doc_count })),
+    price: {
+      min: stats.count ? stats.min : null,
+      max: stats.count ? stats.max : null,
+      buckets: PRICE_RANGES.map(({ key, from = null, to = null }) => ({
+        key, from, to, count: priceCounts.get(key) || 0,
+      })),
+    },
+    rating: RATING_LEVELS.map(rating => ({ rating, count: ratingCounts.get(String(rating)) || 0 })),
+    shops: buckets('shops').map(b => ({ id: b.key, name: bucketName(b), count: b.doc_count })),
+    tags: buckets('tags').map(b => ({ value: b.key, count: b.doc_count })),
+    degraded: false,
+    sampled: false,
+  };
+}
+
+/**
+ * Whether a row passes the filter of one facet
+ * Mirrors buildFacetFilters for rows loaded from the database
+ */
+function matchesFacet(row, facet, filters) {
+  const price = parseFloat(row.base_price) || 0;
+
+  switch (facet) {
+    case 'categories':
+      return !filters.category_id || row.category_id === filters.category_id;
+    case 'price':
+      return (filters.min_price === undefined || price >= filters.min_price)
+        && (filters.max_price === undefined || price <= filters.max_price);
+    case 'rating':
+      return filters.min_rating === undefined || (parseFloat(row.avg_rating) || 0) >= filters.min_rating;
+    case 'shops':
+      return !filters.shop_id || row.shop_id === filters.shop_id;
+    case 'tags':
+      return !filters.tags || filters.tags.length === 0
+        || (row.tags || []).some(tag => filters.tags.includes(tag));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Count terms, most frequent first (ties by value, like Elasticsearch)
+ * @returns {Array<{key, count}>}
+ */
+function countTerms(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)))
+    .slice(0, FACET_SIZE);
+}
+
+/**
+ * Compute facets from product rows, with the same post-filter semantics
+ * Rows must match the non-faceted part of the search (status, text) only.
+ * @param {object[]} rows - {category_id, category_name, shop_id, shop_name, base_price, avg_rating, tags}
+ * @param {object} filters - Search filters
+ * @returns {object}
+ */
+function aggregateFacetRows(rows, filters = {}) {
+  const rowsFor = facet => rows.filter(row =>
+    FACETS.every(other => other === facet || matchesFacet(row, other, filters)));
+
+  const categoryRows = rowsFor('categories').filter(row => row.category_id);
+  const categoryNames = new Map(categoryRows.map(row => [row.category_id, row.category_name || null]));
+
+  const shopRows = rowsFor('shops').filter(row => row.shop_id);
+  const shopNames = new Map(shopRows.map(row => [row.shop_id, row.shop_name || null]));
+
+  const prices = rowsFor('price').map(row => parseFloat(row.base_price) || 0);
+  const ratings = rowsFor('rating').map(row => parseFloat(row.avg_rating) || 0);
+
+  return {
+    categories: countTerms(categoryRows.map(row => row.category_id))
+      .map(({ key, count }) => ({ id: key, name: categoryNames.get(key), count })),
+    price: {
+      min: prices.length ? Math.min(...prices) : null,
+      max: prices.length ? Math.max(...prices) : null,
+      buckets: PRICE_RANGES.map(({ key, from = null, to = null }) => ({
+        key,
+        from,
+        to,
+        count: prices.filter(price => (from === null || price >= from) && (to === null || price < to)).length,
+      })),
+    },
+    rating: RATING_LEVELS.map(rating => ({ rating, count: ratings.filter(r => r >= rating).length })),
+    shops: countTerms(shopRows.map(row => row.shop_id))
+      .map(({ key, count }) => ({ id: key, name: shopNames.get(key), count })),
+    tags: countTerms(rowsFor('tags').flatMap(row => row.tags || []))
+      .map(({ key, count }) => ({ value: key, count })),
+    degraded: true,
+    sampled: false,
+  };
+}
+
+module.exports = {
+  FACET_SIZE,
+  PRICE_RANGES,
+  RATING_LEVELS,
+  buildFacetFilters,
+  buildFacetAggregations,
+  parseFacetAggregations,
+  aggregateFacetRows,
+};
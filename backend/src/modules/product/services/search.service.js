@@ -3,14 +3,36 @@
  * Product search using Elasticsearch
  */
 
-const { esClient, PRODUCT_INDEX, isAvailable } = require('../../../shared/elasticsearch/elasticsearch.client');
-const { ValidationError } = require('../../../shared/utils/error.util');
+const {
+  esClient,
+  PRODUCT_INDEX,
+  isAvailable,
+  getAliasIndices,
+  indexDocument,
+  updateDocument,
+  deleteDocument,
+  bulkIndexDocuments,
+} = require('../../../shared/elasticsearch/elasticsearch.client');
+const rabbitmq = require('../../../shared/rabbitmq/rabbitmq.client');
+const synonymRepository = require('../synonym.repository');
+const searchIndexRepository = require('../search-index.repository');
+const { AppError, ValidationError, NotFoundError } = require('../../../shared/utils/error.util');
+const { normalizeSearchText } = require('../../../shared/utils/text.util');
+const {
+  buildFacetFilters,
+  buildFacetAggregations,
+  parseFacetAggregations,
+} = require('./search.facets');
 
 // Default pagination
 const DEFAULT_PAGE_SIZE = 20;
 const MAX_PAGE_SIZE = 100;
 const MIN_PAGE_SIZE = 1;
 
+// Event handled by the search consumer to rebuild the index
+const REINDEX_EVENT = 'SEARCH_REINDEX_REQUESTED';
+const REINDEX_SOURCES = ['database', 'index'];
+
 // Sort options
 const SORT_OPTIONS = {
   relevance: null, // Default ES scoring
@@ -43,11 +65,11 @@ function normalizePagination(params = {}) {
 }
 
 /**
- * Build Elasticsearch query from search parameters
+ * Build the non-faceted part of the query: text, status and category path
  * @param {object} params
  * @returns {object}
  */
-function buildSearchQuery(params) {
+function buildBaseQuery(params) {
   const { query, filters = {} } = params;
   const must = [];
   const filter = [];
@@ -71,39 +93,11 @@ function buildSearchQuery(params) {
     filter.push({ term: { status: 'active' } });
   }
 
-  // Category filter
-  if (filters.category_id) {
-    filter.push({ term: { category_id: filters.category_id } });
-  }
-
   // Category path filter (for hierarchical categories)
   if (filters.category_path) {
     filter.push({ prefix: { category_path: filters.category_path } });
   }
 
-  // Price range filter
-  if (filters.min_price !== undefined || filters.max_price !== undefined) {
-    const priceRange = {};
-    if (filters.min_price !== undefined) priceRange.gte = filters.min_price;
-    if (filters.max_price !== undefined) priceRange.lte = filters.max_price;
-    filter.push({ range: { base_price: priceRange } });
-  }
-
-  // Rating filter
-  if (filters.min_rating !== undefined) {
-    filter.push({ range: { avg_rating: { gte: filters.min_rating } } });
-  }
-
-  // Shop filter
-  if (filters.shop_id) {
-    filter.push({ term: { shop_id: filters.shop_id } });
-  }
-
-  // Tags filter
-  if (filters.tags && filters.tags.length > 0) {
-    filter.push({ terms: { tags: filters.tags } });
-  }
-
   return {
     bool: {
       must: must.length > 0 ? must : [{ match_all: {} }],
@@ -112,15 +106,58 @@ function buildSearchQuery(params) {
   };
 }
 
+/**
+ * Build Elasticsearch query from search parameters
+ * Category, price, rating, shop and tag filters come from the facet definitions
+ * @param {object} params
+ * @returns {object}
+ */
+function buildSearchQuery(params) {
+  const query = buildBaseQuery(params);
+  const facetFilters = Object.values(buildFacetFilters(params.filters)).filter(Boolean);
+
+  query.bool.filter.push(...facetFilters);
+  return query;
+}
 
 /**
- * Search products
+ * Search products in the database (Elasticsearch unavailable or failing)
  * @param {object} params - Search parameters
+ * @param {number} page
+ * @param {number} limit
+ * @returns {Promise<object>}
+ */
+function searchDatabase(params, page, limit) {
+  const productRepository = require('../product.repository');
+  return productRepository.searchProducts({
+    query: params.query,
+    categoryId: params.filters?.category_id,
+    shopId: params.filters?.shop_id,
+    status: params.filters?.status || 'active',
+    minPrice: params.filters?.min_price,
+    maxPrice: params.filters?.max_price,
+    minRating: params.filters?.min_rating,
+    tags: params.filters?.tags,
+    sortBy: params.sort,
+    sortOrder: 'desc',
+    page,
+    limit,
+    withFacets: params.facets !== false,
+  });
+}
+
+/**
+ * Search products
+ * Facet filters are applied as a post filter, so facets are counted
+ * with every filter except their own (see ./search.facets.js)
+ * @param {object} params - Search parameters (facets: false skips aggregations)
  * @returns {Promise<object>}
  */
 async function search(params = {}) {
   const { page, limit, from } = normalizePagination(params);
-  const query = buildSearchQuery(params);
+  const withFacets = params.facets !== false;
+  const facetFilters = buildFacetFilters(params.filters);
+  const postFilter = Object.values(facetFilters).filter(Boolean);
   
   // Build sort
   let sort = [];
@@ -133,26 +170,16 @@ async function search(params = {}) {
   if (!esClient || !(await isAvailable())) {
     // Fallback: use database query
     console.warn('[Search] Elasticsearch not available, using database fallback');
-    const productRepository = require('../product.repository');
-    return productRepository.searchProducts({
-      query: params.query,
-      categoryId: params.filters?.category_id,
-      status: params.filters?.status || 'active',
-      minPrice: params.filters?.min_price,
-      maxPrice: params.filters?.max_price,
-      minRating: params.filters?.min_rating,
-      sortBy: params.sort,
-      sortOrder: 'desc',
-      page,
-      limit,
-    });
+    return searchDatabase(params, page, limit);
   }
 
   try {
     const response = await esClient.search({
       index: PRODUCT_INDEX,
       body: {
-        query,
+        query: buildBaseQuery(params),
+        post_filter: { bool: { filter: postFilter } },
+        ...(withFacets && { aggs: buildFacetAggregations(facetFilters) }),
         sort,
         from,
         size: limit,
@@ -180,6 +207,7 @@ async function search(params = {}) {
         total,
         totalPages: Math.ceil(total / limit),
       },
+      facets: withFacets ? parseFacetAggregations(response.aggregations) : null,
       query: params.query || '',
       filters: params.filters || {},
     };
@@ -187,34 +215,25 @@ async function search(params = {}) {
     console.error('Search error:', error.message);
     // Fallback to database query on error
     console.warn('[Search] Elasticsearch error, using database fallback');
-    const productRepository = require('../product.repository');
-    return productRepository.searchProducts({
-      query: params.query,
-      categoryId: params.filters?.category_id,
-      status: params.filters?.status || 'active',
-      minPrice: params.filters?.min_price,
-      maxPrice: params.filters?.max_price,
-      minRating: params.filters?.min_rating,
-      sortBy: params.sort,
-      sortOrder: 'desc',
-      page,
-      limit,
-    });
+    return searchDatabase(params, page, limit);
   }
 }
 
 /**
- * Index a product
- * @param {object} product
- * @returns {Promise<object>}
+ * Build the index document of a product
+ * The one document shape: every writer of the index builds documents here.
+ * Category, shop, image and flash sale fields are taken as given (category_name,
+ * category_path, shop_name, primary_image_url, live_flash_sales); see
+ * productRepository.findProductsForIndex.
+ * @param {object} product - Product row
+ * @returns {object}
  */
-async function indexProduct(product) {
-  if (!esClient || !(await isAvailable())) {
-    console.warn('Elasticsearch not available, skipping indexing');
-    return null;
-  }
+function buildIndexDocument(product) {
+  // Lowest price among the flash sales the product is in right now
+  const flashSale = [...(product.live_flash_sales || [])]
+    .sort((a, b) => parseFloat(a.flash_price) - parseFloat(b.flash_price))[0];
 
-  const document = {
+  return {
     id: product.id,
     shop_id: product.shop_id,
     category_id: product.category_id,
@@ -222,31 +241,78 @@ async function indexProduct(product) {
     slug: product.slug,
     description: product.description,
     short_description: product.short_description,
-    base_price: product.base_price,
-    compare_at_price: product.compare_at_price,
-    currency: product.currency,
+    base_price: parseFloat(product.base_price) || 0,
+    compare_at_price: product.compare_at_price ? parseFloat(product.compare_at_price) : null,
+    currency: product.currency || 'VND',
     status: product.status,
     total_sold: product.total_sold || 0,
     view_count: product.view_count || 0,
-    avg_rating: product.avg_rating || 0,
+    avg_rating: parseFloat(product.avg_rating) || 0,
     review_count: product.review_count || 0,
-    category_path: product.category_path,
-    category_name: product.category_name,
-    shop_name: product.shop_name,
+    category_path: product.category_path || null,
+    category_name: product.category_name || null,
+    shop_name: product.shop_name || null,
     tags: product.tags || [],
+    primary_image_url: product.primary_image_url || null,
+    flash_sale_id: flashSale ? flashSale.flash_sale_id : null,
+    flash_price: flashSale ? parseFloat(flashSale.flash_price) : null,
+    flash_sale_end_time: flashSale ? flashSale.end_time : null,
     created_at: product.created_at,
     updated_at: product.updated_at,
-    published_at: product.published_at,
+    published_at: product.published_at || null,
   };
+}
+
+/**
+ * Indices product documents are written to: the alias and, while a reindex runs,
+ * the index it builds. The running reindex job is read from the database, so
+ * every process writing documents sees it.
+ * @returns {Promise<string[]>}
+ */
+async function getWriteIndices() {
+  const reindex = await searchIndexRepository.findRunningReindex();
+  return reindex && reindex.target_index && reindex.target_index !== PRODUCT_INDEX
+    ? [PRODUCT_INDEX, reindex.target_index]
+    : [PRODUCT_INDEX];
+}
+
+/**
+ * Apply a product document write to every index it belongs in
+ * Every index write goes through here. A partial update or delete of a document
+ * not copied into the new index yet is skipped there; the copy brings it over.
+ * @param {Function} write - (index) => Promise
+ * @returns {Promise<*>} Result of the write to the alias
+ */
+async function writeToIndices(write) {
+  const [alias, ...building] = await getWriteIndices();
+  const result = await write(alias);
+
+  for (const index of building) {
+    try {
+      await write(index);
+    } catch (error) {
+      if (error.meta?.statusCode !== 404) throw error;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Index a product
+ * @param {object} product
+ * @returns {Promise<object>}
+ */
+async function indexProduct(product) {
+  if (!esClient || !(await isAvailable())) {
+    console.warn('Elasticsearch not available, skipping indexing');
+    return null;
+  }
+
+  const document = buildIndexDocument(product);
 
   try {
-    const response = await esClient.index({
-      index: PRODUCT_INDEX,
-      id: product.id,
-      body: document,
-      refresh: true,
-    });
-    return response;
+    return await writeToIndices(index => indexDocument(index, product.id, document));
   } catch (error) {
     console.error('Index error:', error.message);
     throw error;
@@ -264,12 +330,7 @@ async function removeFromIndex(productId) {
   }
 
   try {
-    const response = await esClient.delete({
-      index: PRODUCT_INDEX,
-      id: productId,
-      refresh: true,
-    });
-    return response;
+    return await writeToIndices(index => deleteDocument(index, productId));
   } catch (error) {
     if (error.meta?.statusCode === 404) {
       return null; // Already removed
@@ -291,13 +352,7 @@ async function updateInIndex(productId, updates) {
   }
 
   try {
-    const response = await esClient.update({
-      index: PRODUCT_INDEX,
-      id: productId,
-      body: { doc: updates },
-      refresh: true,
-    });
-    return response;
+    return await writeToIndices(index => updateDocument(index, productId, updates));
   } catch (error) {
     console.error('Update index error:', error.message);
     throw error;
@@ -306,6 +361,7 @@ async function updateInIndex(productId, updates) {
 
 /**
  * Get search suggestions
+ * Matches word prefixes on the edge n-gram name field, accent-insensitive
  * @param {string} query
  * @param {number} limit
  * @returns {Promise<string[]>}
@@ -319,21 +375,26 @@ async function suggest(query, limit = 5) {
     const response = await esClient.search({
       index: PRODUCT_INDEX,
       body: {
-        suggest: {
-          product_suggest: {
-            prefix: query,
-            completion: {
-              field: 'name.suggest',
-              size: limit,
-              skip_duplicates: true,
-            },
+        query: {
+          bool: {
+            must: { match: { 'name.suggest': { query, operator: 'and' } } },
+            filter: { term: { status: 'active' } },
           },
         },
+        // Several products may share a name
+        size: limit * 3,
+        _source: ['name'],
       },
     });
 
-    const suggestions = response.suggest?.product_suggest?.[0]?.options || [];
-    return suggestions.map(s => s.text);
+    const names = new Map();
+    for (const hit of response.hits.hits) {
+      const name = hit._source.name;
+      const key = normalizeSearchText(name);
+      if (name && !names.has(key)) names.set(key, name);
+    }
+
+    return [...names.values()].slice(0, limit);
   } catch (error) {
     console.error('Suggest error:', error.message);
     return [];
@@ -350,60 +411,221 @@ async function getPopularProducts(limit = 20) {
     sort: 'best_selling',
     limit,
     filters: {},
+    facets: false,
   });
 }
 
 /**
  * Bulk index products
  * @param {object[]} products
- * @returns {Promise<object>}
+ * @returns {Promise<{written: number, skipped: number, failed: object[]}>}
  */
 async function bulkIndex(products) {
   if (!esClient || !(await isAvailable()) || products.length === 0) {
     return null;
   }
 
-  const operations = products.flatMap(product => [
-    { index: { _index: PRODUCT_INDEX, _id: product.id } },
-    {
-      id: product.id,
-      shop_id: product.shop_id,
-      category_id: product.category_id,
-      name: product.name,
-      slug: product.slug,
-      description: product.description,
-      short_description: product.short_description,
-      base_price: product.base_price,
-      status: product.status,
-      avg_rating: product.avg_rating || 0,
-      total_sold: product.total_sold || 0,
-      created_at: product.created_at,
-    },
-  ]);
+  const documents = products.map(buildIndexDocument);
 
   try {
-    const response = await esClient.bulk({
-      refresh: true,
-      operations,
-    });
-    return response;
+    return await writeToIndices(index => bulkIndexDocuments(index, documents));
   } catch (error) {
     console.error('Bulk index error:', error.message);
     throw error;
   }
 }
 
+// ============================================
+// SYNONYMS & REINDEX
+// ============================================
+
+/**
+ * Validate and normalize the terms of a synonym group
+ * Terms are compared without case or accents; a group needs two distinct terms.
+ * @param {string[]} terms
+ * @returns {string[]}
+ */
+function normalizeSynonymTerms(terms) {
+  if (!Array.isArray(terms)) {
+    throw new ValidationError('terms must be an array of strings');
+  }
+
+  const normalized = new Map();
+  for (const term of terms) {
+    if (typeof term !== 'string' || !term.trim()) {
+      throw new ValidationError('Synonym terms must be non-empty strings');
+    }
+    const value = term.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (/[,=>]/.test(value)) {
+      throw new ValidationError(`Synonym term "${value}" must not contain "," or "=>"`);
+    }
+    const key = normalizeSearchText(value);
+    if (!normalized.has(key)) normalized.set(key, value);
+  }
+
+  if (normalized.size < 2) {
+    throw new ValidationError('A synonym group needs at least two distinct terms');
+  }
+
+  return [...normalized.values()];
+}
+
+/**
+ * List synonym groups
+ * @returns {Promise<object[]>}
+ */
+async function getSynonyms() {
+  return synonymRepository.findSynonyms();
+}
+
+/**
+ * Create a synonym group
+ * Takes effect on the search index after the next reindex.
+ * @param {object} data - { terms, isActive }
+ * @param {string} [userId]
+ * @returns {Promise<object>}
+ */
+async function createSynonym(data, userId) {
+  return synonymRepository.createSynonym({
+    terms: normalizeSynonymTerms(data.terms),
+    is_active: data.isActive !== false,
+    created_by: userId || null,
+  });
+}
+
+/**
+ * Update a synonym group
+ * @param {string} synonymId
+ * @param {object} data - { terms?, isActive? }
+ * @returns {Promise<object>}
+ */
+async function updateSynonym(synonymId, data) {
+  const synonym = await synonymRepository.findSynonymById(synonymId);
+  if (!synonym) {
+    throw new NotFoundError('Synonym not found');
+  }
+
+  const updates = {};
+  if (data.terms !== undefined) updates.terms = normalizeSynonymTerms(data.terms);
+  if (data.isActive !== undefined) updates.is_active = !!data.isActive;
+
+  return synonymRepository.updateSynonym(synonymId, updates);
+}
+
+/**
+ * Delete a synonym group
+ * @param {string} synonymId
+ */
+async function deleteSynonym(synonymId) {
+  const synonym = await synonymRepository.findSynonymById(synonymId);
+  if (!synonym) {
+    throw new NotFoundError('Synonym not found');
+  }
+
+  await synonymRepository.deleteSynonym(synonymId);
+}
+
+/**
+ * Synonym rules for the index search analyzer ("đt, điện thoại, smartphone")
+ * @returns {Promise<string[]>}
+ */
+async function getSynonymRules() {
+  const synonyms = await synonymRepository.findSynonyms({ activeOnly: true });
+  return synonyms.map(synonym => synonym.terms.join(', '));
+}
+
+/**
+ * Request a zero-downtime reindex
+ * The search consumer builds a new index with the current mapping and synonyms,
+ * fills it from the products table (source 'database') or copies the current
+ * index (source 'index', enough after a synonym change), and swaps the alias.
+ * Progress is kept on the returned job.
+ * @param {object} [data] - { source, requestedBy, reason }
+ * @returns {Promise<{requested: boolean, job: object}>}
+ */
+async function requestReindex(data = {}) {
+  const source = data.source || 'database';
+  if (!REINDEX_SOURCES.includes(source)) {
+    throw new ValidationError(`source must be one of: ${REINDEX_SOURCES.join(', ')}`);
+  }
+
+  const job = await searchIndexRepository.createJob({
+    type: 'reindex',
+    source,
+    requestedBy: data.requestedBy,
+    reason: data.reason,
+  });
+
+  const published = await rabbitmq.publishToExchange(rabbitmq.EXCHANGES.EVENTS, REINDEX_EVENT, {
+    event: REINDEX_EVENT,
+    data: { ...data, source, jobId: job.id },
+    timestamp: new Date().toISOString(),
+  });
+
+  if (!published) {
+    await searchIndexRepository.updateJob(job.id, {
+      status: 'failed',
+      error: 'Message queue is not available',
+      finished_at: new Date().toISOString(),
+    });
+    throw new AppError('SEARCH_REINDEX_UNAVAILABLE', 'Message queue is not available, reindex was not requested', 503);
+  }
+
+  return { requested: true, job };
+}
+
+/**
+ * Product indices and which one the alias points to
+ * An index not behind the alias is a reindex in progress (or a leftover).
+ * @returns {Promise<object>}
+ */
+async function getIndexStatus() {
+  if (!esClient || !(await isAvailable())) {
+    throw new AppError('SEARCH_UNAVAILABLE', 'Elasticsearch is not available', 503);
+  }
+
+  const [aliased, indices] = await Promise.all([
+    getAliasIndices(),
+    esClient.cat.indices({ index: `${PRODUCT_INDEX}*`, format: 'json' }),
+  ]);
+
+  return {
+    alias: PRODUCT_INDEX,
+    indices: indices
+      .map(index => ({
+        name: index.index,
+        health: index.health,
+        docsCount: parseInt(index['docs.count'], 10) || 0,
+        aliased: aliased.includes(index.index),
+      }))
+      .sort((a, b) => b.name.localeCompare(a.name)),
+  };
+}
+
 module.exports = {
   search,
+  buildIndexDocument,
+  writeToIndices,
   indexProduct,
   removeFromIndex,
   updateInIndex,
   suggest,
   getPopularProducts,
   bulkIndex,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getSynonymRules,
+  requestReindex,
+  getIndexStatus,
+  normalizeSynonymTerms,
   normalizePagination,
+  buildBaseQuery,
   buildSearchQuery,
   SORT_OPTIONS,
+  REINDEX_EVENT,
+  REINDEX_SOURCES,
   DEFAULT_PAGE_SIZE,
   MAX_PAGE_SIZE,
   MIN_PAGE_SIZE,
@@ -0,0 +1,390 @@
+/**
+ * Variant Matrix Service
+ * Option axes of a product (e.g. Màu × Size) and the variants generated from them
+ *
+ * setProductOptions stores the axes and brings the variants in line with every
+ * combination of their values:
+ * - a combination without a variant gets one, with a generated SKU, no price
+ *   override (the base price applies) and the image of its option value
+ * - a variant whose combination is dropped is retired: inactive but kept, with its
+ *   SKU and stock, so cart items, reservations and order history pointing at it stay
+ *   valid. When the combination comes back, the same variant is revived.
+ * Names and values match case-insensitively, so correcting the spelling of a value
+ * renames its variants instead of replacing them.
+ *
+ * The options and all variant changes are written in one transaction; when another
+ * change of the product (or a new SKU elsewhere) overtakes the plan, it is made again.
+ *
+ * bulkUpdateVariants sets the price and stock of many current variants at once.
+ */
+
+const productRepository = require('../product.repository');
+const productService = require('../product.service');
+const inventoryService = require('./inventory.service');
+const cacheService = require('../../../shared/redis/cache.service');
+const { AppError, NotFoundError, AuthorizationError, ConflictError } = require('../../../shared/utils/error.util');
+
+const MAX_VARIANTS = 100;
+const DEFAULT_VARIANT_NAME = 'Mặc định'; // The variant of a product without options
+const SKU_PART_LENGTH = 20;
+const MAX_APPLY_ATTEMPTS = 3;
+// apply_product_options refusing a plan: variants changed meanwhile, SKU taken meanwhile
+const STALE_PLAN_CODES = ['40001', '23505'];
+
+// ============================================
+// MATRIX
+// ============================================
+
+/**
+ * Options with trimmed names and values, each value as { value, imageUrl }
+ * @param {object[]} options - From productOptionsSchema (values may be plain strings)
+ * @returns {object[]}
+ */
+function normalizeOptions(options = []) {
+  return options.map(option => ({
+    name: option.name.trim(),
+    values: option.values.map(entry => (typeof entry === 'string'
+      ? { value: entry.trim(), imageUrl: null }
+      : { value: entry.value.trim(), imageUrl: entry.imageUrl || null })),
+  }));
+}
+
+/**
+ * Every combination of the option values, as variant attributes
+ * No options give a single empty combination (the default variant).
+ * @param {object[]} options - Normalized options
+ * @returns {object[]} e.g. [{ Màu: 'Đỏ', Size: 'S' }, { Màu: 'Đỏ', Size: 'M' }, ...]
+ */
+function buildCombinations(options) {
+  return options.reduce(
+    (combinations, option) => combinations.flatMap(combination =>
+      option.values.map(({ value }) => ({ ...combination, [option.name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Key of an option combination, independent of key order and case
+ * @param {object} attributes
+ * @returns {string}
+ */
+function combinationKey(attributes) {
+  return JSON.stringify(Object.entries(attributes || {})
+    .map(([name, value]) => [name.trim().toLowerCase(), String(value).trim().toLowerCase()])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Whether two attribute objects hold exactly the same names and values
+ */
+function sameAttributes(a = {}, b = {}) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Name of a generated variant ("Đỏ / M")
+ * @param {object} attributes
+ * @returns {string}
+ */
+function variantName(attributes) {
+  return Object.values(attributes).join(' / ') || DEFAULT_VARIANT_NAME;
+}
+
+/**
+ * Whether a variant still has the name generated from its attributes (in any order)
+ */
+function hasGeneratedName(variant) {
+  if (!variant.name) return true;
+  const values = Object.values(variant.attributes || {}).map(String).sort();
+  if (values.length === 0) return variant.name === DEFAULT_VARIANT_NAME;
+  return JSON.stringify(variant.name.split(' / ').sort()) === JSON.stringify(values);
+}
+
+/**
+ * Image of a combination: the image of its first option value that has one
+ * @param {object[]} options - Normalized options
+ * @param {object} combination
+ * @returns {string|null}
+ */
+function optionImage(options, combination) {
+  for (const option of options) {
+    const entry = option.values.find(({ value }) => value === combination[option.name]);
+    if (entry && entry.imageUrl) return entry.imageUrl;
+  }
+  return null;
+}
+
+/**
+ * SKU of a new variant: prefix and one code per option value ("AB12CD34-DO-XL")
+ * A suffix (-2, -3, ...) keeps it unique.
+ * @param {string} prefix
+ * @param {object[]} options - Normalized options
+ * @param {object} combination
+ * @param {Set<string>} takenSkus - SKUs in use; the new one is added
+ * @returns {string}
+ */
+function generateMatrixSku(prefix, options, combination, takenSkus) {
+  const parts = options.map(option => {
+    const value = combination[option.name];
+    const code = productService.generateSlug(value).toUpperCase().slice(0, SKU_PART_LENGTH).replace(/-+$/, '');
+    return code || `V${option.values.findIndex(entry => entry.value === value) + 1}`;
+  });
+
+  const base = [prefix, ...parts].join('-');
+  let sku = base;
+  for (let suffix = 2; takenSkus.has(sku); suffix++) {
+    sku = `${base}-${suffix}`;
+  }
+
+  takenSkus.add(sku);
+  return sku;
+}
+
+/**
+ * Work out which variants to create, keep (possibly renamed), revive and retire
+ * @param {object} product - Product row, with its current options
+ * @param {object[]} variants - The product's variants, retired ones included
+ * @param {object[]} options - New normalized options
+ * @param {object} context
+ * @param {string} context.prefix - SKU prefix
+ * @param {Set<string>} context.takenSkus - SKUs in use
+ * @returns {{create: object[], keep: object[], revive: object[], retire: object[]}}
+ *   keep / revive: { variant, updates }; create: new variant rows; retire: variants
+ */
+function planMatrix(product, variants, options, { prefix, takenSkus }) {
+  const previousImages = new Set(normalizeOptions(product.options || [])
+    .flatMap(option => option.values.map(entry => entry.imageUrl))
+    .filter(Boolean));
+
+  // A current variant claims its combination before a retired one
+  const byKey = new Map();
+  [...variants]
+    .sort((a, b) => Number(Boolean(a.retired_at)) - Number(Boolean(b.retired_at)))
+    .forEach(variant => {
+      const key = combinationKey(variant.attributes);
+      if (!byKey.has(key)) byKey.set(key, variant);
+    });
+
+  const plan = { create: [], keep: [], revive: [], retire: [] };
+  const matched = new Set();
+
+  for (const combination of buildCombinations(options)) {
+    const variant = byKey.get(combinationKey(combination));
+    const imageUrl = optionImage(options, combination);
+
+    if (!variant) {
+      plan.create.push({
+        sku: generateMatrixSku(prefix, options, combination, takenSkus),
+        name: variantName(combination),
+        attributes: combination,
+        image_url: imageUrl,
+      });
+      continue;
+    }
+
+    matched.add(variant.id);
+    const updates = {};
+
+    // Respelled values: follow the new spelling, and the name if it was generated
+    if (!sameAttributes(variant.attributes, combination)) {
+      updates.attributes = combination;
+      if (hasGeneratedName(variant)) updates.name = variantName(combination);
+    }
+    // Option images replace images that came from options, never ones set by hand
+    if (imageUrl !== (variant.image_url || null) && (!variant.image_url || previousImages.has(variant.image_url))) {
+      updates.image_url = imageUrl;
+    }
+
+    if (variant.retired_at) {
+      plan.revive.push({ variant, updates: { ...updates, retired_at: null, is_active: variant.quantity > 0 } });
+    } else {
+      plan.keep.push({ variant, updates });
+    }
+  }
+
+  plan.retire = variants.filter(variant => !variant.retired_at && !matched.has(variant.id));
+
+  return plan;
+}
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+/**
+ * Get a product of the shop
+ * @throws {NotFoundError|AuthorizationError}
+ */
+async function getOwnedProduct(productId, shopId) {
+  const product = await productService.getProductById(productId);
+
+  if (product.shop_id !== shopId) {
+    throw new AuthorizationError('PRODUCT_UNAUTHORIZED', 'You do not have permission to modify this product');
+  }
+
+  return product;
+}
+
+/**
+ * Set the option axes of a product and generate its variant matrix
+ * @param {string} productId
+ * @param {string} shopId - For ownership validation
+ * @param {object} data - From productOptionsSchema
+ * @param {object[]} data.options - Axes: { name, values: [string | { value, imageUrl }] }
+ * @param {string} [data.skuPrefix] - Prefix of generated SKUs (default: start of the product ID)
+ * @param {number} [data.quantity] - Stock of the variants created
+ * @param {boolean} [data.dryRun] - Only return the changes
+ * @returns {Promise<object>} options, created, kept, revived, retired
+ */
+async function setProductOptions(productId, shopId, data) {
+  const { skuPrefix, quantity = 0, dryRun = false } = data;
+  let product = await getOwnedProduct(productId, shopId);
+  const options = normalizeOptions(data.options);
+
+  const variantCount = options.reduce((count, option) => count * option.values.length, 1);
+  if (variantCount > MAX_VARIANTS) {
+    throw new AppError(
+      'TOO_MANY_VARIANTS',
+      `These options make ${variantCount} variants; a product can have at most ${MAX_VARIANTS}`,
+      400
+    );
+  }
+
+  const prefix = (skuPrefix || productId.substring(0, 8)).toUpperCase();
+
+  for (let attempt = 1; ; attempt++) {
+    const [variants, takenSkus] = await Promise.all([
+      productRepository.findVariantsByProductId(productId),
+      productRepository.findSkusWithPrefix(prefix),
+    ]);
+
+    const plan = planMatrix(product, variants, options, { prefix, takenSkus });
+    const retiredAt = new Date().toISOString();
+    const result = {
+      dryRun,
+      options,
+      created: plan.create.map(variant => ({ ...variant, product_id: productId, price: null, quantity })),
+      kept: plan.keep.map(({ variant, updates }) => ({ ...variant, ...updates })),
+      revived: plan.revive.map(({ variant, updates }) => ({ ...variant, ...updates })),
+      retired: plan.retire.map(variant => ({ ...variant, is_active: false, retired_at: retiredAt })),
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    // All writes in one transaction; a plan overtaken by another change is made again
+    try {
+      result.created = await productRepository.applyProductOptions(productId, {
+        options,
+        variantIds: variants.map(variant => variant.id),
+        currentIds: variants.filter(variant => !variant.retired_at).map(variant => variant.id),
+        updates: [...plan.keep, ...plan.revive]
+          .filter(({ updates }) => Object.keys(updates).length > 0)
+          .map(({ variant, updates }) => ({ id: variant.id, changes: updates })),
+        creates: plan.create.map(variant => ({
+          ...variant,
+          price: null, // Base product price
+          quantity,
+          low_stock_threshold: 10,
+        })),
+        retireIds: plan.retire.map(variant => variant.id),
+      });
+    } catch (error) {
+      if (!STALE_PLAN_CODES.includes(error.code)) {
+        throw error;
+      }
+      if (attempt >= MAX_APPLY_ATTEMPTS) {
+        throw new ConflictError('PRODUCT_OPTIONS_CONFLICT', 'The variants of this product changed meanwhile, please try again');
+      }
+      product = await getOwnedProduct(productId, shopId);
+      continue;
+    }
+
+    await cacheService.invalidateProduct(productId);
+
+    return result;
+  }
+}
+
+/**
+ * Whether variant attributes hold the given option values (case-insensitive)
+ */
+function matchesOptions(attributes, match) {
+  const values = new Map(Object.entries(attributes || {})
+    .map(([name, value]) => [name.trim().toLowerCase(), String(value).trim().toLowerCase()]));
+
+  return Object.entries(match).every(([name, value]) =>
+    values.get(name.trim().toLowerCase()) === String(value).trim().toLowerCase());
+}
+
+/**
+ * Update the price and stock of many current (not retired) variants
+ * @param {string} productId
+ * @param {string} shopId - For ownership validation
+ * @param {object} data - From bulkUpdateVariantsSchema: variants ([{ id, price,
+ *   compareAtPrice, quantity }]) or one change (price, compareAtPrice, quantity) for
+ *   the variants matching match ({ optionName: value }; all variants without it)
+ * @returns {Promise<{updated: number, variants: object[], errors: object[]}>}
+ *   errors: stock updates that were refused (e.g. below the reserved quantity)
+ */
+async function bulkUpdateVariants(productId, shopId, data) {
+  await getOwnedProduct(productId, shopId);
+
+  const variants = (await productRepository.findVariantsByProductId(productId))
+    .filter(variant => !variant.retired_at);
+  let changes;
+
+  if (data.variants) {
+    const byId = new Map(variants.map(variant => [variant.id, variant]));
+    changes = data.variants.map(({ id, ...values }) => {
+      if (!byId.has(id)) {
+        throw new NotFoundError(`Variant ${id} not found on this product`);
+      }
+      return { variant: byId.get(id), values };
+    });
+  } else {
+    const { price, compareAtPrice, quantity } = data;
+    changes = variants
+      .filter(variant => matchesOptions(variant.attributes, data.match || {}))
+      .map(variant => ({ variant, values: { price, compareAtPrice, quantity } }));
+
+    if (changes.length === 0) {
+      throw new NotFoundError('No variants match these options');
+    }
+  }
+
+  const stockUpdates = [];
+  for (const { variant, values } of changes) {
+    const updates = {};
+    if (values.price !== undefined) updates.price = values.price; // null: back to the base price
+    if (values.compareAtPrice !== undefined) updates.compare_at_price = values.compareAtPrice;
+
+    if (Object.keys(updates).length > 0) {
+      await productRepository.updateVariant(variant.id, updates);
+    }
+    if (values.quantity !== undefined && values.quantity !== variant.quantity) {
+      stockUpdates.push({ variantId: variant.id, quantity: values.quantity });
+    }
+  }
+
+  const { errors } = await inventoryService.bulkUpdateStock(stockUpdates, 'bulk_update');
+  await cacheService.invalidateProduct(productId);
+
+  return {
+    updated: changes.length,
+    variants: (await productRepository.findVariantsByProductId(productId)).filter(variant => !variant.retired_at),
+    errors,
+  };
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  normalizeOptions,
+  buildCombinations,
+  combinationKey,
+  planMatrix,
+  setProductOptions,
+  bulkUpdateVariants,
+};
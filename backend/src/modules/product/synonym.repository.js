@@ -0,0 +1,90 @@
+/**
+ * Search Synonym Repository
+ * Database operations for the managed search synonym list
+ */
+
+const { supabaseAdmin: supabase } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Find synonym groups (newest first)
+ * @param {object} [options]
+ * @param {boolean} [options.activeOnly]
+ */
+async function findSynonyms({ activeOnly = false } = {}) {
+  let query = supabase
+    .from('search_synonyms')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Find synonym group by ID
+ */
+async function findSynonymById(synonymId) {
+  const { data, error } = await supabase
+    .from('search_synonyms')
+    .select('*')
+    .eq('id', synonymId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Create synonym group
+ */
+async function createSynonym(synonym) {
+  const { data, error } = await supabase
+    .from('search_synonyms')
+    .insert(synonym)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update synonym group
+ */
+async function updateSynonym(synonymId, updates) {
+  const { data, error } = await supabase
+    .from('search_synonyms')
+    .update(updates)
+    .eq('id', synonymId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete synonym group
+ */
+async function deleteSynonym(synonymId) {
+  const { error } = await supabase
+    .from('search_synonyms')
+    .delete()
+    .eq('id', synonymId);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  findSynonyms,
+  findSynonymById,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+};
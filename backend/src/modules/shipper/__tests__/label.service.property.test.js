@@ -0,0 +1,176 @@
+/**
+ * Property-Based Tests for Shipping Label Service
+ * Tests PDF/ZPL label rendering and batch label loading
+ *
+ * Requirements: 2 (Partner Shipment Management)
+ */
+
+const fc = require('fast-check');
+
+jest.mock('../partner-shipping.service', () => ({
+  getShipmentById: jest.fn(),
+}));
+
+const partnerShippingService = require('../partner-shipping.service');
+const labelService = require('../label.service');
+
+// Text including Vietnamese diacritics and ZPL control characters
+const labelTextArb = fc.stringOf(
+  fc.constantFrom('a', 'B', '1', ' ', 'ễ', 'Đ', 'ư', '^', '~', '_', '\\', 'X', 'Z', ','),
+  { minLength: 1, maxLength: 40 }
+);
+
+const shipmentArb = fc.record({
+  id: fc.uuid(),
+  trackingNumber: fc.stringMatching(/^SP[0-9A-Z]{8,14}$/),
+  pickupContactName: labelTextArb,
+  pickupContactPhone: fc.stringMatching(/^0[0-9]{9}$/),
+  pickupAddress: labelTextArb,
+  deliveryContactName: labelTextArb,
+  deliveryContactPhone: fc.stringMatching(/^0[0-9]{9}$/),
+  deliveryAddress: labelTextArb,
+  codAmount: fc.integer({ min: 0, max: 20000000 }),
+  shippingFee: fc.integer({ min: 0, max: 100000 }),
+  createdAt: fc.date({ min: new Date('2024-01-01'), max: new Date('2030-01-01') }).map(d => d.toISOString()),
+  subOrder: fc.record({
+    id: fc.uuid(),
+    orderId: fc.uuid(),
+    items: fc.array(
+      fc.record({
+        productName: labelTextArb,
+        variantName: fc.option(labelTextArb, { nil: null }),
+        quantity: fc.integer({ min: 1, max: 10 }),
+      }),
+      { minLength: 1, maxLength: 8 }
+    ),
+  }),
+});
+
+function countOccurrences(text, token) {
+  return text.split(token).length - 1;
+}
+
+describe('Shipping Label Service Property Tests', () => {
+  beforeEach(() => {
+    partnerShippingService.getShipmentById.mockReset();
+  });
+
+  /**
+   * Property: ZPL output has one well-formed label per shipment
+   * For any shipments, user text SHALL NOT inject ZPL commands and every label
+   * SHALL carry a Code128 and a QR code of the tracking number
+   */
+  test('renders one escaped ZPL label per shipment', () => {
+    fc.assert(
+      fc.property(fc.array(shipmentArb, { minLength: 1, maxLength: 5 }), (shipments) => {
+        const labels = shipments.map(labelService.buildLabelData);
+        const zpl = labelService.renderZpl(labels);
+
+        expect(countOccurrences(zpl, '^XA')).toBe(labels.length);
+        expect(countOccurrences(zpl, '^XZ')).toBe(labels.length);
+        expect(countOccurrences(zpl, '^BCN')).toBe(labels.length);
+        expect(countOccurrences(zpl, '^BQN')).toBe(labels.length);
+        expect(zpl).not.toContain('~');
+        expect(/^[\x20-\x7e\n]*$/.test(zpl)).toBe(true);
+
+        labels.forEach(label => {
+          expect(zpl).toContain(`^FH^FD${label.trackingNumber}^FS`);
+          expect(zpl).toContain(`^FH^FDMA,${label.trackingNumber}^FS`);
+        });
+
+        // Every ^FD field is terminated before the next command
+        zpl.split('^FD').slice(1).forEach(field => {
+          expect(field.indexOf('^FS')).toBe(field.indexOf('^'));
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('shows COD amount only for COD shipments', () => {
+    fc.assert(
+      fc.property(shipmentArb, (shipment) => {
+        const label = labelService.buildLabelData(shipment);
+        const zpl = labelService.renderZpl([label]);
+
+        expect(label.payment.isCod).toBe(shipment.codAmount > 0);
+        if (shipment.codAmount > 0) {
+          const amount = shipment.codAmount.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+          expect(zpl).toContain(`Thu ho (COD): ${amount} VND`);
+        } else {
+          expect(zpl).toContain('Khong thu tien nguoi nhan');
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  /**
+   * Property: PDF output has one A6 page per shipment
+   */
+  test('renders one A6 PDF page per shipment', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(shipmentArb, { minLength: 1, maxLength: 3 }), async (shipments) => {
+        const pdf = await labelService.renderPdf(shipments.map(labelService.buildLabelData));
+        const raw = pdf.toString('latin1');
+
+        expect(raw.startsWith('%PDF-')).toBe(true);
+        expect((raw.match(/\/Type \/Page\b/g) || []).length).toBe(shipments.length);
+        expect(raw).toContain('/MediaBox [0 0 297.64 419.53]');
+      }),
+      { numRuns: 10 }
+    );
+  });
+
+  /**
+   * Property: Batch printing loads shipments in request order, once each
+   */
+  test('loads each requested shipment once and reports missing ones', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.uniqueArray(shipmentArb, { minLength: 1, maxLength: 6, selector: s => s.id }),
+        fc.array(fc.uuid(), { maxLength: 3 }),
+        async (shipments, missingIds) => {
+          partnerShippingService.getShipmentById.mockReset();
+          const byId = new Map(shipments.map(s => [s.id, s]));
+          partnerShippingService.getShipmentById.mockImplementation(async (id) => {
+            if (!byId.has(id)) {
+              const error = new Error('Không tìm thấy đơn vận chuyển');
+              error.code = 'SHIPMENT_NOT_FOUND';
+              throw error;
+            }
+            return byId.get(id);
+          });
+
+          const ids = shipments.map(s => s.id);
+          const document = await labelService.printLabels([...ids, ...ids], 'partner-1', 'ZPL');
+
+          expect(document.contentType).toBe('application/x-zpl');
+          expect(document.count).toBe(shipments.length);
+          expect(partnerShippingService.getShipmentById).toHaveBeenCalledTimes(shipments.length);
+          const order = shipments.map(s => document.body.indexOf(`^FH^FD${s.trackingNumber}^FS`));
+          expect(order).toEqual([...order].sort((a, b) => a - b));
+
+          const unknown = missingIds.filter(id => !byId.has(id));
+          if (unknown.length > 0) {
+            await expect(labelService.printLabels([...ids, ...unknown], 'partner-1', 'pdf'))
+              .rejects.toMatchObject({ code: 'SHIPMENT_NOT_FOUND', statusCode: 404 });
+          }
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  test('rejects unsupported formats and oversized batches', async () => {
+    await expect(labelService.printLabels(['a'], 'partner-1', 'png'))
+      .rejects.toMatchObject({ code: 'INVALID_LABEL_FORMAT', statusCode: 400 });
+    await expect(labelService.printLabels([], 'partner-1', 'pdf'))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', statusCode: 400 });
+
+    const tooMany = Array.from({ length: labelService.MAX_BATCH_LABELS + 1 }, (_, i) => `shipment-${i}`);
+    await expect(labelService.printLabels(tooMany, 'partner-1', 'pdf'))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', statusCode: 400 });
+    expect(partnerShippingService.getShipmentById).not.toHaveBeenCalled();
+  });
+});
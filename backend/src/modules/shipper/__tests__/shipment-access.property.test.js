@@ -0,0 +1,83 @@
+/**
+ * Property-Based Tests for Shipment Access Service
+ * Tests who may follow a shipment in real time
+ */
+
+const fc = require('fast-check');
+
+jest.mock('../shipment.repository', () => ({ findShipmentById: jest.fn() }));
+jest.mock('../shipper.repository', () => ({ findShipperByUserId: jest.fn() }));
+jest.mock('../../shop/shop.repository', () => ({ findShopByPartnerId: jest.fn() }));
+jest.mock('../../../shared/socket/socket.service', () => ({ setAccessPolicy: jest.fn() }));
+
+const shipmentRepository = require('../shipment.repository');
+const shipperRepository = require('../shipper.repository');
+const shopRepository = require('../../shop/shop.repository');
+const socketService = require('../../../shared/socket/socket.service');
+const shipmentAccessService = require('../shipment-access.service');
+
+describe('Shipment Access Service Property Tests', () => {
+  const worldArb = fc.record({
+    userId: fc.uuid(),
+    role: fc.constantFrom('customer', 'partner', 'shipper', 'admin', 'guest'),
+    shipmentId: fc.uuid(),
+    buyerId: fc.uuid(),
+    shopId: fc.uuid(),
+    userShopId: fc.option(fc.uuid(), { nil: null }),
+    legs: fc.record({
+      shipper_id: fc.option(fc.uuid(), { nil: null }),
+      pickup_shipper_id: fc.option(fc.uuid(), { nil: null }),
+      delivery_shipper_id: fc.option(fc.uuid(), { nil: null }),
+    }),
+    userShipperId: fc.option(fc.uuid(), { nil: null }),
+    // Relate the user to the shipment in one of several ways
+    relation: fc.constantFrom('none', 'buyer', 'shop', 'shipper', 'pickup', 'delivery'),
+    exists: fc.boolean(),
+  });
+
+  /**
+   * Property: Access follows ownership for each role
+   * Customers SHALL access only their orders' shipments, partners only their
+   * shop's, shippers only assigned ones, admins any existing shipment
+   */
+  test('grants access only to the owning customer, shop or assigned shipper', async () => {
+    await fc.assert(
+      fc.asyncProperty(worldArb, async (w) => {
+        const buyerId = w.relation === 'buyer' ? w.userId : w.buyerId;
+        const shopId = w.relation === 'shop' && w.userShopId ? w.userShopId : w.shopId;
+        const legs = { ...w.legs };
+        const legKey = { shipper: 'shipper_id', pickup: 'pickup_shipper_id', delivery: 'delivery_shipper_id' }[w.relation];
+        if (legKey && w.userShipperId) legs[legKey] = w.userShipperId;
+
+        shipmentRepository.findShipmentById.mockResolvedValue(w.exists ? {
+          id: w.shipmentId,
+          ...legs,
+          sub_order: { shop_id: shopId, order: { user_id: buyerId } },
+        } : null);
+        shopRepository.findShopByPartnerId.mockResolvedValue(w.userShopId ? { id: w.userShopId } : null);
+        shipperRepository.findShipperByUserId.mockResolvedValue(w.userShipperId ? { id: w.userShipperId } : null);
+
+        const allowed = await shipmentAccessService.canAccessShipment({ userId: w.userId, role: w.role }, w.shipmentId);
+
+        const expected = w.exists && ({
+          admin: true,
+          customer: buyerId === w.userId,
+          partner: Boolean(w.userShopId) && shopId === w.userShopId,
+          shipper: Boolean(w.userShipperId) && Object.values(legs).includes(w.userShipperId),
+          guest: false,
+        })[w.role];
+
+        expect(allowed).toBe(expected);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  test('registers itself as the socket access policy', () => {
+    shipmentAccessService.registerSocketAccessPolicy();
+    expect(socketService.setAccessPolicy).toHaveBeenCalledWith({
+      canAccessShipment: shipmentAccessService.canAccessShipment,
+      resolveShipperId: shipmentAccessService.resolveShipperId,
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Property-Based Tests for Transit Simulation Service
+ * Tests that scheduled transit jobs can run more than once
+ */
+
+const fc = require('fast-check');
+
+// In-memory tables: shipments, tracking events and shippers
+const mockDb = { shipments: [], shipment_tracking_events: [], shippers: [] };
+
+jest.mock('../../../shared/supabase/supabase.client', () => {
+  const query = (table) => {
+    const filters = [];
+    let update = null;
+    const rows = () => mockDb[table].filter(row => filters.every(([column, value]) => row[column] === value));
+    const run = () => {
+      if (update) rows().forEach(row => Object.assign(row, update));
+      return { data: update ? null : rows(), error: null };
+    };
+    const builder = {
+      select: () => builder,
+      update: (values) => { update = values; return builder; },
+      eq: (column, value) => { filters.push([column, value]); return builder; },
+      limit: (count) => Promise.resolve({ data: rows().slice(0, count), error: null }),
+      single: () => Promise.resolve({ data: rows()[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  };
+  return { supabaseAdmin: { from: jest.fn(query) } };
+});
+jest.mock('../tracking.service', () => ({
+  TRACKING_STATUSES: {
+    ARRIVED_PICKUP_OFFICE: { status: 'arrived_pickup_office' },
+    ARRIVED_SORTING_HUB: { status: 'arrived_sorting_hub' },
+    LEFT_SORTING_HUB: { status: 'left_sorting_hub' },
+    ARRIVED_DELIVERY_OFFICE: { status: 'arrived_delivery_office' },
+    SHIPPER_ASSIGNED: { status: 'shipper_assigned' },
+  },
+  addTrackingEvent: jest.fn(async (shipmentId, statusKey, options = {}) => {
+    const event = { shipment_id: shipmentId, status: statusKey.toLowerCase(), location_name: options.locationName };
+    mockDb.shipment_tracking_events.push(event);
+    return event;
+  }),
+}));
+jest.mock('../assignment.service', () => ({
+  findAvailableShipperInOffice: jest.fn(),
+  incrementShipperOrderCount: jest.fn(async () => undefined),
+  queueUnassignedShipment: jest.fn(async () => undefined),
+}));
+jest.mock('../../../shared/rabbitmq/rabbitmq.client', () => ({ publishNotification: jest.fn(async () => undefined) }));
+jest.mock('../../../shared/jobs/job.scheduler', () => ({ registerHandler: jest.fn(), schedule: jest.fn() }));
+
+const trackingService = require('../tracking.service');
+const assignmentService = require('../assignment.service');
+const jobScheduler = require('../../../shared/jobs/job.scheduler');
+const transitSimulationService = require('../transit-simulation.service');
+
+// A transit job handler, as the scheduler runs it
+function getHandler(jobName) {
+  transitSimulationService.registerJobHandlers();
+  const [, handler] = jobScheduler.registerHandler.mock.calls.find(([name]) => name === jobName);
+  return handler;
+}
+
+describe('Transit Simulation Service Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  /**
+   * Property: Delivery office arrival is idempotent
+   * However often the arrival job runs, the shipment SHALL get one arrival event
+   * and one delivery shipper assignment
+   */
+  test('adds one arrival event and assigns one delivery shipper however often the job runs', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 4 }), fc.boolean(), async (runs, sameOffice) => {
+        jest.clearAllMocks();
+        mockDb.shipments = [{
+          id: 'shipment-1',
+          status: 'picked_up',
+          pickup_office_id: 'office-1',
+          delivery_office_id: sameOffice ? 'office-1' : 'office-2',
+          pickup_shipper_id: 'shipper-1',
+          delivery_address: '1 Lê Lợi',
+          delivery_lat: '10.77',
+          delivery_lng: '106.70',
+        }];
+        mockDb.shipment_tracking_events = [];
+        mockDb.shippers = [{ id: 'shipper-1', user_id: 'user-1' }];
+        assignmentService.findAvailableShipperInOffice.mockResolvedValue({ id: 'shipper-2', user: { id: 'user-2' } });
+
+        const processArrival = getHandler('transit.delivery_office_arrival');
+        for (let run = 0; run < runs; run++) {
+          await processArrival({
+            shipmentId: 'shipment-1',
+            deliveryOffice: { name_vi: 'Bưu cục Quận 1' },
+            destRegion: 'south',
+          });
+        }
+
+        const arrivals = trackingService.addTrackingEvent.mock.calls.filter(([, statusKey]) => statusKey === 'ARRIVED_DELIVERY_OFFICE');
+        expect(arrivals).toHaveLength(1);
+        expect(assignmentService.incrementShipperOrderCount).toHaveBeenCalledTimes(sameOffice ? 0 : 1);
+        expect(mockDb.shipments[0].status).toBe('delivering');
+      }),
+      { numRuns: 20 }
+    );
+  });
+
+  /**
+   * Property: Scheduled tracking events are idempotent
+   * However often each step's job runs, the shipment SHALL get one event per step,
+   * including both sorting hub visits of a cross-region route
+   */
+  test('adds one event per transit step however often its job runs', async () => {
+    const steps = [
+      ['ARRIVED_PICKUP_OFFICE', 'Bưu cục Quận 3'],
+      ['ARRIVED_SORTING_HUB', 'Kho trung chuyển miền Bắc'],
+      ['LEFT_SORTING_HUB', 'Kho trung chuyển miền Bắc'],
+      ['ARRIVED_SORTING_HUB', 'Kho trung chuyển miền Nam'],
+      ['LEFT_SORTING_HUB', 'Kho trung chuyển miền Nam'],
+    ];
+
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.integer({ min: 1, max: 3 }), { minLength: steps.length, maxLength: steps.length }), async (runs) => {
+        jest.clearAllMocks();
+        mockDb.shipments = [{ id: 'shipment-1', status: 'picked_up' }];
+        mockDb.shipment_tracking_events = [];
+
+        const processEvent = getHandler('transit.tracking_event');
+        for (const [index, [statusKey, locationName]] of steps.entries()) {
+          for (let run = 0; run < runs[index]; run++) {
+            await processEvent({ shipmentId: 'shipment-1', statusKey, options: { locationName } });
+          }
+        }
+
+        expect(trackingService.addTrackingEvent).toHaveBeenCalledTimes(steps.length);
+        expect(mockDb.shipment_tracking_events.map(e => [e.status, e.location_name]))
+          .toEqual(steps.map(([statusKey, locationName]) => [statusKey.toLowerCase(), locationName]));
+      }),
+      { numRuns: 20 }
+    );
+  });
+});
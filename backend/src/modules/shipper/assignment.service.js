@@ -18,6 +18,8 @@ const trackingService = require('./tracking.service');
 const rabbitmqClient = require('../../shared/rabbitmq/rabbitmq.client');
 const { AppError } = require('../../shared/utils/error.util');
 const goongClient = require('../../shared/goong/goong.client');
+const jobScheduler = require('../../shared/jobs/job.scheduler');
+const jobRepository = require('../../shared/jobs/job.repository');
 
 // Cấu hình
 const MAX_ORDER_DIFFERENCE = 5; // Chênh lệch tối đa giữa các shipper cùng bưu cục
@@ -620,24 +622,33 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
 // ASSIGNMENT RETRY MECHANISM (Requirements: 3.3)
 // ============================================
 
-// In-memory store for unassigned shipments (can be replaced with Redis for production)
-const unassignedShipments = new Map();
-let retryIntervalId = null;
+const ASSIGNMENT_RETRY_JOB = 'shipment.assignment_retry';
+
+/**
+ * Job key of a shipment's assignment retry (one active retry per shipment)
+ * @param {string} shipmentId
+ */
+function getAssignmentRetryKey(shipmentId) {
+  return `assignment-retry:${shipmentId}`;
+}
 
 /**
  * Queue shipment for retry assignment
  * Requirements: 3.3 - Queue shipment and retry assignment every 5 minutes
  * 
  * @param {string} shipmentId
- * @param {number} retryCount - Current retry count
+ * @param {number} retryCount - Retries already made
  */
 async function queueUnassignedShipment(shipmentId, retryCount = 0) {
-  unassignedShipments.set(shipmentId, {
-    shipmentId,
-    retryCount,
-    queuedAt: new Date().toISOString(),
-    nextRetryAt: new Date(Date.now() + ASSIGNMENT_RETRY_INTERVAL_MS).toISOString(),
-  });
+  try {
+    await jobScheduler.schedule(ASSIGNMENT_RETRY_JOB, { shipmentId }, {
+      key: getAssignmentRetryKey(shipmentId),
+      delayMs: ASSIGNMENT_RETRY_INTERVAL_MS,
+      maxAttempts: Math.max(MAX_ASSIGNMENT_RETRIES - retryCount, 1),
+    });
+  } catch (e) {
+    console.error('[AssignmentService] Failed to schedule assignment retry:', e.message);
+  }
 
   // Update shipment status to pending_assignment
   try {
@@ -657,85 +668,66 @@ async function queueUnassignedShipment(shipmentId, retryCount = 0) {
  * @param {string} shipmentId
  */
 async function removeFromUnassignedQueue(shipmentId) {
-  unassignedShipments.delete(shipmentId);
-}
-
-/**
- * Process unassigned shipments queue
- * Requirements: 3.3 - Retry every 5 minutes
- */
-async function processUnassignedQueue() {
-  if (unassignedShipments.size === 0) return;
-
-  console.log(`[AssignmentService] Processing ${unassignedShipments.size} unassigned shipments`);
-
-  const now = new Date();
-  const shipmentsToProcess = [];
-
-  for (const [shipmentId, data] of unassignedShipments.entries()) {
-    if (new Date(data.nextRetryAt) <= now) {
-      shipmentsToProcess.push({ shipmentId, ...data });
-    }
-  }
-
-  for (const item of shipmentsToProcess) {
-    const { shipmentId, retryCount } = item;
-
-    if (retryCount >= MAX_ASSIGNMENT_RETRIES) {
-      // Max retries reached, notify admin
-      console.warn(`[AssignmentService] Max retries reached for shipment ${shipmentId}`);
-      unassignedShipments.delete(shipmentId);
-      await notifyAdminUnassignedShipment(shipmentId);
-      continue;
-    }
-
-    try {
-      await autoAssignShipment(shipmentId, { queueOnFailure: false });
-      console.log(`[AssignmentService] Successfully assigned shipment ${shipmentId} on retry ${retryCount + 1}`);
-      unassignedShipments.delete(shipmentId);
-    } catch (error) {
-      console.log(`[AssignmentService] Retry ${retryCount + 1} failed for shipment ${shipmentId}: ${error.message}`);
-      // Update retry count and next retry time
-      unassignedShipments.set(shipmentId, {
-        ...item,
-        retryCount: retryCount + 1,
-        nextRetryAt: new Date(Date.now() + ASSIGNMENT_RETRY_INTERVAL_MS).toISOString(),
-      });
-    }
+  try {
+    await jobScheduler.cancel(getAssignmentRetryKey(shipmentId));
+  } catch (e) {
+    console.error('[AssignmentService] Failed to cancel assignment retry:', e.message);
   }
 }
 
 /**
- * Start the assignment retry processor
- * Requirements: 3.3 - Retry every 5 minutes
+ * Retry assignment of a queued shipment (job handler)
+ * Throws when no shipper is found so the scheduler retries after ASSIGNMENT_RETRY_INTERVAL_MS
+ * 
+ * @param {Object} payload - { shipmentId }
+ * @param {Object} job - Scheduled job
  */
-function startRetryProcessor() {
-  if (retryIntervalId) {
-    console.log('[AssignmentService] Retry processor already running');
+async function processAssignmentRetry(payload, job) {
+  const { shipmentId } = payload;
+
+  const shipment = await shipmentRepository.findShipmentById(shipmentId);
+  if (!shipment || shipment.status !== 'pending_assignment') {
+    // Assigned manually or cancelled in the meantime
     return;
   }
 
-  retryIntervalId = setInterval(processUnassignedQueue, ASSIGNMENT_RETRY_INTERVAL_MS);
-  console.log(`[AssignmentService] Started retry processor (interval: ${ASSIGNMENT_RETRY_INTERVAL_MS / 1000}s)`);
+  await autoAssignShipment(shipmentId, { queueOnFailure: false });
+  console.log(`[AssignmentService] Successfully assigned shipment ${shipmentId} on retry ${job.attempts}`);
 }
 
 /**
- * Stop the assignment retry processor
+ * Register assignment retry job handler
+ * Requirements: 3.3 - Retry every 5 minutes, notify admin after MAX_ASSIGNMENT_RETRIES
  */
-function stopRetryProcessor() {
-  if (retryIntervalId) {
-    clearInterval(retryIntervalId);
-    retryIntervalId = null;
-    console.log('[AssignmentService] Stopped retry processor');
-  }
+function registerJobHandlers() {
+  jobScheduler.registerHandler(ASSIGNMENT_RETRY_JOB, processAssignmentRetry, {
+    maxAttempts: MAX_ASSIGNMENT_RETRIES,
+    backoff: 'fixed',
+    backoffMs: ASSIGNMENT_RETRY_INTERVAL_MS,
+    onFailed: async ({ shipmentId }) => {
+      console.warn(`[AssignmentService] Max retries reached for shipment ${shipmentId}`);
+      await notifyAdminUnassignedShipment(shipmentId);
+    },
+  });
 }
 
 /**
  * Get unassigned shipments queue status
- * @returns {Object[]}
+ * @returns {Promise<Object[]>}
  */
-function getUnassignedQueueStatus() {
-  return Array.from(unassignedShipments.values());
+async function getUnassignedQueueStatus() {
+  const result = await jobRepository.findJobs({
+    name: ASSIGNMENT_RETRY_JOB,
+    status: ['pending', 'running'],
+    limit: 100,
+  });
+
+  return result.data.map(job => ({
+    shipmentId: job.payload?.shipmentId,
+    retryCount: job.attempts,
+    queuedAt: job.created_at,
+    nextRetryAt: job.run_at,
+  }));
 }
 
 /**
@@ -898,9 +890,8 @@ module.exports = {
   // Retry mechanism (Requirements: 3.3)
   queueUnassignedShipment,
   removeFromUnassignedQueue,
-  processUnassignedQueue,
-  startRetryProcessor,
-  stopRetryProcessor,
+  processAssignmentRetry,
+  registerJobHandlers,
   getUnassignedQueueStatus,
   
   // Reassignment (Requirements: 3.4)
@@ -911,4 +902,5 @@ module.exports = {
   MAX_ORDER_DIFFERENCE,
   DEFAULT_SEARCH_RADIUS_KM,
   ASSIGNMENT_RETRY_INTERVAL_MS,
+  ASSIGNMENT_RETRY_JOB,
 };
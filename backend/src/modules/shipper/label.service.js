@@ -0,0 +1,419 @@
+/**
+ * Shipping Label Service
+ * Builds and renders printable shipping labels for partner shipments
+ * - PDF: A6 page per label, for office/laser printers
+ * - ZPL: A6 label at 203 dpi, for thermal printers
+ *
+ * Requirements: 2 (Partner Shipment Management)
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const partnerShippingService = require('./partner-shipping.service');
+const { AppError } = require('../../shared/utils/error.util');
+
+const LABEL_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  zpl: { contentType: 'application/x-zpl', extension: 'zpl' },
+};
+
+const MAX_BATCH_LABELS = 100;
+const MAX_LABEL_ITEMS = 5;
+
+// A6 (105 x 148 mm) in PDF points and in 203 dpi printer dots
+const PDF_PAGE_SIZE = 'A6';
+const PDF_MARGIN = 14;
+const ZPL_WIDTH = 832;
+const ZPL_HEIGHT = 1180;
+
+// ============================================
+// LABEL DATA
+// ============================================
+
+/**
+ * Build label data from a partner shipment (see partnerShippingService.getShipmentById)
+ * @param {Object} shipment
+ * @returns {Object}
+ */
+function buildLabelData(shipment) {
+  const items = shipment.subOrder?.items || [];
+  const totalItems = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+  const codAmount = parseFloat(shipment.codAmount || 0);
+
+  return {
+    // Tracking & Barcode
+    trackingNumber: shipment.trackingNumber,
+    barcodeData: shipment.trackingNumber,
+    barcodeFormat: 'CODE128',
+    qrData: shipment.trackingNumber,
+    orderNumber: shipment.subOrder?.orderId?.slice(0, 16).toUpperCase(),
+
+    // Sender (Shop) info
+    sender: {
+      name: shipment.pickupContactName || 'Shop',
+      phone: shipment.pickupContactPhone,
+      address: shipment.pickupAddress,
+    },
+
+    // Receiver (Customer) info
+    receiver: {
+      name: shipment.deliveryContactName,
+      phone: shipment.deliveryContactPhone,
+      address: shipment.deliveryAddress,
+    },
+
+    // Package info
+    package: {
+      weight: shipment.weight || 500, // Default 500g
+      dimensions: shipment.dimensions || null,
+      itemCount: totalItems || 1,
+    },
+
+    // Payment info
+    payment: {
+      codAmount,
+      shippingFee: parseFloat(shipment.shippingFee || 0),
+      isCod: codAmount > 0,
+    },
+
+    // Delivery info
+    delivery: {
+      estimatedDelivery: shipment.estimatedDelivery,
+      notes: shipment.deliveryNotes,
+    },
+
+    // Items list for label
+    items: items.map(item => ({
+      name: item.productName,
+      variant: item.variantName,
+      quantity: item.quantity,
+    })),
+
+    // Metadata
+    createdAt: shipment.createdAt,
+    orderId: shipment.subOrder?.orderId,
+    subOrderId: shipment.subOrder?.id,
+  };
+}
+
+/**
+ * Load label data for partner shipments, preserving the requested order
+ * @param {Array<string>} shipmentIds
+ * @param {string} partnerId - Partner user ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLabels(shipmentIds, partnerId) {
+  if (!Array.isArray(shipmentIds) || shipmentIds.length === 0) {
+    throw new AppError('VALIDATION_ERROR', 'Danh sách đơn vận chuyển không được để trống', 400);
+  }
+
+  const ids = [...new Set(shipmentIds.map(String))];
+  if (ids.length > MAX_BATCH_LABELS) {
+    throw new AppError('VALIDATION_ERROR', `Chỉ có thể in tối đa ${MAX_BATCH_LABELS} nhãn mỗi lần`, 400);
+  }
+
+  const missing = [];
+  const labels = [];
+
+  for (const id of ids) {
+    try {
+      const shipment = await partnerShippingService.getShipmentById(id, partnerId);
+      if (!shipment.trackingNumber) {
+        throw new AppError('LABEL_NOT_AVAILABLE', `Đơn vận chuyển ${id} chưa có mã vận đơn`, 409);
+      }
+      labels.push(buildLabelData(shipment));
+    } catch (error) {
+      if (error.code !== 'SHIPMENT_NOT_FOUND') throw error;
+      missing.push(id);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new AppError('SHIPMENT_NOT_FOUND', `Không tìm thấy đơn vận chuyển: ${missing.join(', ')}`, 404);
+  }
+
+  return labels;
+}
+
+/**
+ * Render labels for partner shipments into a single printable document
+ * @param {Array<string>} shipmentIds
+ * @param {string} partnerId - Partner user ID
+ * @param {string} format - 'pdf' | 'zpl'
+ * @returns {Promise<{contentType: string, extension: string, body: Buffer|string, count: number}>}
+ */
+async function printLabels(shipmentIds, partnerId, format = 'pdf') {
+  const normalizedFormat = String(format || 'pdf').toLowerCase();
+  if (!LABEL_FORMATS[normalizedFormat]) {
+    throw new AppError('INVALID_LABEL_FORMAT', `Định dạng nhãn không hỗ trợ: ${format}. Hỗ trợ: ${Object.keys(LABEL_FORMATS).join(', ')}`, 400);
+  }
+
+  const labels = await getLabels(shipmentIds, partnerId);
+  const body = normalizedFormat === 'zpl' ? renderZpl(labels) : await renderPdf(labels);
+
+  return {
+    ...LABEL_FORMATS[normalizedFormat],
+    body,
+    count: labels.length,
+  };
+}
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+
+/**
+ * Strip Vietnamese diacritics for fonts without Vietnamese glyphs
+ * "Nguyễn Văn Đức" -> "Nguyen Van Duc"
+ * @param {string} text
+ * @returns {string}
+ */
+function foldDiacritics(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+/**
+ * Format money for labels: 150000 -> "150.000 VND"
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return `${Math.round(amount || 0).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.')} VND`;
+}
+
+/**
+ * Format date in Vietnam time: dd/MM/yyyy HH:mm
+ * @param {string|Date} value
+ * @returns {string}
+ */
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const vn = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(vn.getUTCDate())}/${pad(vn.getUTCMonth() + 1)}/${vn.getUTCFullYear()} ${pad(vn.getUTCHours())}:${pad(vn.getUTCMinutes())}`;
+}
+
+/**
+ * Item lines shown on a label, collapsing the tail into a summary line
+ * @param {Array} items
+ * @returns {Array<string>}
+ */
+function formatItemLines(items) {
+  const lines = items.slice(0, MAX_LABEL_ITEMS).map(item => {
+    const variant = item.variant ? ` (${item.variant})` : '';
+    return `${item.quantity || 1} x ${item.name || 'Sản phẩm'}${variant}`;
+  });
+
+  if (items.length > MAX_LABEL_ITEMS) {
+    lines.push(`+ ${items.length - MAX_LABEL_ITEMS} sản phẩm khác`);
+  }
+  return lines;
+}
+
+/**
+ * COD line shown on a label
+ * @param {Object} label
+ * @returns {string}
+ */
+function formatCodLine(label) {
+  return label.payment.isCod
+    ? `Thu hộ (COD): ${formatMoney(label.payment.codAmount)}`
+    : 'Không thu tiền người nhận';
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+
+/**
+ * Render Code128 barcode and QR code images for a label
+ * @param {Object} label
+ * @returns {Promise<{barcode: Buffer, qr: Buffer}>}
+ */
+async function renderBarcodes(label) {
+  const [barcode, qr] = await Promise.all([
+    bwipjs.toBuffer({ bcid: 'code128', text: label.barcodeData, scale: 3, height: 14, includetext: true, textxalign: 'center' }),
+    bwipjs.toBuffer({ bcid: 'qrcode', text: label.qrData, scale: 4, eclevel: 'M' }),
+  ]);
+  return { barcode, qr };
+}
+
+/**
+ * Render labels as an A6 PDF, one page per label
+ * Uses LABEL_FONT_PATH (a TTF with Vietnamese glyphs) when configured,
+ * otherwise falls back to Helvetica with diacritics stripped
+ * @param {Array<Object>} labels
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(labels) {
+  const images = await Promise.all(labels.map(renderBarcodes));
+
+  const fontPath = process.env.LABEL_FONT_PATH;
+  const hasUnicodeFont = Boolean(fontPath) && fs.existsSync(fontPath);
+  const text = hasUnicodeFont ? value => String(value ?? '') : foldDiacritics;
+
+  const doc = new PDFDocument({ size: PDF_PAGE_SIZE, margin: PDF_MARGIN, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  if (hasUnicodeFont) {
+    doc.registerFont('label', fontPath);
+    doc.registerFont('label-bold', process.env.LABEL_FONT_BOLD_PATH || fontPath);
+  }
+  const regular = hasUnicodeFont ? 'label' : 'Helvetica';
+  const bold = hasUnicodeFont ? 'label-bold' : 'Helvetica-Bold';
+
+  labels.forEach((label, index) => {
+    doc.addPage();
+
+    const left = PDF_MARGIN;
+    const width = doc.page.width - PDF_MARGIN * 2;
+    const qrSize = 64;
+
+    // Header: platform, order number, QR
+    doc.font(bold).fontSize(14).text('SHOPPI', left, PDF_MARGIN);
+    doc.font(regular).fontSize(8)
+      .text(text(`Mã đơn: ${label.orderNumber || ''}`), left, PDF_MARGIN + 20, { width: width - qrSize - 8 })
+      .text(text(`Ngày tạo: ${formatDate(label.createdAt)}`), { width: width - qrSize - 8 });
+    doc.image(images[index].qr, left + width - qrSize, PDF_MARGIN, { fit: [qrSize, qrSize] });
+
+    // Code128 barcode of the tracking number
+    let y = PDF_MARGIN + qrSize + 6;
+    doc.image(images[index].barcode, left, y, { fit: [width, 62], align: 'center' });
+    y += 68;
+
+    const section = (title, lines, titleSize = 8) => {
+      doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke();
+      doc.font(bold).fontSize(titleSize).text(text(title), left, y + 4, { width, height: titleSize * 2.5, ellipsis: true });
+      doc.font(regular).fontSize(8);
+      // At most two lines per entry so a label never spills onto another page
+      lines.filter(Boolean).forEach(line => doc.text(text(line), { width, height: 20, ellipsis: true }));
+      y = doc.y + 4;
+    };
+
+    section(`Người gửi: ${label.sender.name}`, [label.sender.phone, label.sender.address]);
+    section(`Người nhận: ${label.receiver.name || ''}`, [label.receiver.phone, label.receiver.address], 10);
+    section(
+      `Nội dung hàng (${label.package.itemCount} sản phẩm, ${label.package.weight}g)`,
+      [...formatItemLines(label.items), label.delivery.notes && `Ghi chú: ${label.delivery.notes}`]
+    );
+
+    // COD amount
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke();
+    doc.font(bold).fontSize(12).text(text(formatCodLine(label)), left, y + 6, { width });
+  });
+
+  doc.end();
+  return done;
+}
+
+// ============================================
+// ZPL RENDERING
+// ============================================
+
+/**
+ * Escape ZPL field data for ^FH, diacritics stripped for built-in fonts
+ * @param {string} value
+ * @returns {string}
+ */
+function zplEscape(value) {
+  return foldDiacritics(value)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[_^~\\]/g, ch => `_${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * ZPL field data command
+ * @param {string} value
+ * @returns {string}
+ */
+function zplField(value) {
+  return `^FH^FD${zplEscape(value)}^FS`;
+}
+
+/**
+ * Wrapped text block: ^FB keeps long addresses inside the label width
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size - Font height in dots
+ * @param {string} value
+ * @param {number} maxLines
+ * @returns {string}
+ */
+function zplText(x, y, size, value, maxLines = 1) {
+  return `^FO${x},${y}^A0N,${size},${size}^FB${ZPL_WIDTH - x - 30},${maxLines},0,L${zplField(value)}`;
+}
+
+/**
+ * Render a single label as ZPL
+ * @param {Object} label
+ * @returns {string}
+ */
+function renderZplLabel(label) {
+  const lines = ['^XA', '^CI28', `^PW${ZPL_WIDTH}`, `^LL${ZPL_HEIGHT}`];
+  const rule = y => lines.push(`^FO30,${y}^GB${ZPL_WIDTH - 60},2,2^FS`);
+
+  // Header: platform, order number, QR
+  lines.push(zplText(30, 30, 44, 'SHOPPI'));
+  lines.push(zplText(30, 85, 26, `Mã đơn: ${label.orderNumber || ''}`));
+  lines.push(zplText(30, 118, 26, `Ngày tạo: ${formatDate(label.createdAt)}`));
+  lines.push(`^FO${ZPL_WIDTH - 200},20^BQN,2,5^FH^FDMA,${zplEscape(label.qrData)}^FS`);
+
+  // Code128 barcode of the tracking number
+  lines.push(`^FO30,200^BY3,3,130^BCN,130,Y,N,N${zplField(label.barcodeData)}`);
+
+  rule(380);
+  lines.push(zplText(30, 395, 28, `Người gửi: ${label.sender.name}`));
+  lines.push(zplText(30, 430, 24, label.sender.phone || ''));
+  lines.push(zplText(30, 460, 24, label.sender.address || '', 2));
+
+  rule(520);
+  lines.push(zplText(30, 535, 34, `Người nhận: ${label.receiver.name || ''}`));
+  lines.push(zplText(30, 578, 28, label.receiver.phone || ''));
+  lines.push(zplText(30, 612, 28, label.receiver.address || '', 3));
+
+  rule(720);
+  lines.push(zplText(30, 735, 26, `Nội dung hàng (${label.package.itemCount} sản phẩm, ${label.package.weight}g)`));
+  const itemLines = formatItemLines(label.items);
+  if (label.delivery.notes) itemLines.push(`Ghi chú: ${label.delivery.notes}`);
+  itemLines.forEach((line, i) => {
+    lines.push(zplText(30, 772 + i * 32, 24, line));
+  });
+
+  rule(1040);
+  lines.push(zplText(30, 1065, 44, formatCodLine(label)));
+
+  lines.push('^XZ');
+  return lines.join('\n');
+}
+
+/**
+ * Render labels as ZPL, one ^XA...^XZ block per label
+ * @param {Array<Object>} labels
+ * @returns {string}
+ */
+function renderZpl(labels) {
+  return labels.map(renderZplLabel).join('\n') + '\n';
+}
+
+module.exports = {
+  LABEL_FORMATS,
+  MAX_BATCH_LABELS,
+  buildLabelData,
+  getLabels,
+  printLabels,
+  renderPdf,
+  renderZpl,
+};
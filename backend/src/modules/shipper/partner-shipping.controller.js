@@ -6,6 +6,7 @@
  */
 
 const partnerShippingService = require('./partner-shipping.service');
+const labelService = require('./label.service');
 const { sendSuccess, sendError } = require('../../shared/utils/response.util');
 
 /**
@@ -114,71 +115,12 @@ async function getShippingLabel(req, res) {
       return sendError(res, 'SHIPMENT_NOT_FOUND', 'Không tìm thấy đơn vận chuyển', 404);
     }
 
-    // Generate barcode data (Code128 format - tracking number)
-    const barcodeData = shipment.trackingNumber;
-    
-    // Get items from sub-order
-    const items = shipment.subOrder?.items || [];
-    const totalItems = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
-    
-    // Format label data for printing
-    const labelData = {
-      // Tracking & Barcode
-      trackingNumber: shipment.trackingNumber,
-      barcodeData: barcodeData,
-      barcodeFormat: 'CODE128', // Standard barcode format
-      orderNumber: shipment.subOrder?.orderId?.slice(0, 16).toUpperCase(),
-      
-      // Sender (Shop) info
-      sender: {
-        name: shipment.pickupContactName || 'Shop',
-        phone: shipment.pickupContactPhone,
-        address: shipment.pickupAddress,
-      },
-      
-      // Receiver (Customer) info
-      receiver: {
-        name: shipment.deliveryContactName,
-        phone: shipment.deliveryContactPhone,
-        address: shipment.deliveryAddress,
-      },
-      
-      // Package info
-      package: {
-        weight: shipment.weight || 500, // Default 500g
-        dimensions: shipment.dimensions || null,
-        itemCount: totalItems || 1,
-      },
-      
-      // Payment info
-      payment: {
-        codAmount: parseFloat(shipment.codAmount || 0),
-        shippingFee: parseFloat(shipment.shippingFee || 0),
-        isCod: parseFloat(shipment.codAmount || 0) > 0,
-      },
-      
-      // Delivery info
-      delivery: {
-        estimatedDelivery: shipment.estimatedDelivery,
-        notes: shipment.deliveryNotes,
-      },
-      
-      // Items list for label
-      items: items.map(item => ({
-        name: item.productName,
-        variant: item.variantName,
-        quantity: item.quantity,
-      })),
-      
-      // Metadata
-      createdAt: shipment.createdAt,
-      orderId: shipment.subOrder?.orderId,
-      subOrderId: shipment.subOrder?.id,
-    };
+    const labelData = labelService.buildLabelData(shipment);
 
     return sendSuccess(res, {
       label: labelData,
       printUrl: `/api/partner/shipping/shipments/${id}/label/print`,
+      zplUrl: `/api/partner/shipping/shipments/${id}/label/print?format=zpl`,
     });
   } catch (error) {
     console.error('[PartnerShippingController] getShippingLabel error:', error);
@@ -186,10 +128,63 @@ async function getShippingLabel(req, res) {
   }
 }
 
+/**
+ * Send a rendered label document
+ * @param {Object} res
+ * @param {Object} document - Result of labelService.printLabels
+ * @param {string} filename - File name without extension
+ */
+function sendLabelDocument(res, document, filename) {
+  res.set('Content-Type', document.contentType);
+  res.set('Content-Disposition', `inline; filename="${filename}.${document.extension}"`);
+  res.set('X-Label-Count', String(document.count));
+  return res.status(200).send(document.body);
+}
+
+/**
+ * GET /api/partner/shipping/shipments/:id/label/print
+ * Render printable shipping label
+ * Query: format = pdf (A6, default) | zpl (thermal printer)
+ */
+async function printShippingLabel(req, res) {
+  try {
+    const { id } = req.params;
+    const partnerId = req.user.userId;
+
+    const document = await labelService.printLabels([id], partnerId, req.query.format);
+
+    return sendLabelDocument(res, document, `label-${id}`);
+  } catch (error) {
+    console.error('[PartnerShippingController] printShippingLabel error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || error.status || 500);
+  }
+}
+
+/**
+ * POST /api/partner/shipping/labels/print
+ * Render many shipping labels into one document (one label per page / ^XA block)
+ * Body: { shipmentIds: string[], format?: 'pdf' | 'zpl' }
+ */
+async function printShippingLabels(req, res) {
+  try {
+    const partnerId = req.user.userId;
+    const { shipmentIds, format } = req.body;
+
+    const document = await labelService.printLabels(shipmentIds, partnerId, format);
+
+    return sendLabelDocument(res, document, `labels-${Date.now()}`);
+  } catch (error) {
+    console.error('[PartnerShippingController] printShippingLabels error:', error);
+    return sendError(res, error.code || 'INTERNAL_ERROR', error.message, error.statusCode || error.status || 500);
+  }
+}
+
 module.exports = {
   markReadyToShip,
   getPartnerShipments,
   getShipmentById,
   requestPickup,
   getShippingLabel,
+  printShippingLabel,
+  printShippingLabels,
 };
@@ -53,4 +53,17 @@ router.post('/shipments/:id/request-pickup', partnerShippingController.requestPi
  */
 router.get('/shipments/:id/label', partnerShippingController.getShippingLabel);
 
+/**
+ * GET /api/partner/shipping/shipments/:id/label/print
+ * Printable shipping label: A6 PDF (default) or ZPL (?format=zpl)
+ */
+router.get('/shipments/:id/label/print', partnerShippingController.printShippingLabel);
+
+/**
+ * POST /api/partner/shipping/labels/print
+ * Print many shipping labels into one document
+ * Body: { shipmentIds: string[], format?: 'pdf' | 'zpl' }
+ */
+router.post('/labels/print', partnerShippingController.printShippingLabels);
+
 module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Shipment Access Service
+ * Decides who may follow a shipment in real time (Socket.io tracking rooms)
+ * - customer: shipments of their own orders
+ * - partner: shipments of their shop's sub-orders
+ * - shipper: shipments assigned to them (pickup, delivery or current leg)
+ * - admin: any shipment
+ */
+
+const shipmentRepository = require('./shipment.repository');
+const shipperRepository = require('./shipper.repository');
+const shopRepository = require('../shop/shop.repository');
+const socketService = require('../../shared/socket/socket.service');
+
+/**
+ * Resolve shipper profile ID for a shipper user
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function resolveShipperId(userId) {
+  const shipper = await shipperRepository.findShipperByUserId(userId);
+  return shipper ? shipper.id : null;
+}
+
+/**
+ * Check whether a user may access a shipment
+ * @param {{userId: string, role: string}} user
+ * @param {string} shipmentId
+ * @returns {Promise<boolean>}
+ */
+async function canAccessShipment(user, shipmentId) {
+  if (!user || !user.userId) return false;
+
+  const shipment = await shipmentRepository.findShipmentById(shipmentId);
+  if (!shipment) return false;
+
+  switch (user.role) {
+    case 'admin':
+      return true;
+
+    case 'customer':
+      return shipment.sub_order?.order?.user_id === user.userId;
+
+    case 'partner': {
+      const shop = await shopRepository.findShopByPartnerId(user.userId);
+      return Boolean(shop) && shipment.sub_order?.shop_id === shop.id;
+    }
+
+    case 'shipper': {
+      const shipperId = await resolveShipperId(user.userId);
+      return Boolean(shipperId) && [
+        shipment.shipper_id,
+        shipment.pickup_shipper_id,
+        shipment.delivery_shipper_id,
+      ].includes(shipperId);
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Register this module's access rules with the Socket.io service
+ */
+function registerSocketAccessPolicy() {
+  socketService.setAccessPolicy({ canAccessShipment, resolveShipperId });
+}
+
+module.exports = {
+  canAccessShipment,
+  resolveShipperId,
+  registerSocketAccessPolicy,
+};
@@ -502,6 +502,10 @@ async function handleStatusChange(shipment, previousStatus) {
           console.error(`[ShipmentService] Supabase error updating sub_order:`, error);
         } else {
           console.log(`[ShipmentService] Successfully updated sub_order ${sub_order_id} to '${newSubOrderStatus}':`, data);
+          
+          // Delivered -> deduct reserved stock; returned undelivered -> release it
+          const stockService = require('../order/services/stock.service');
+          await stockService.syncSubOrderStock(sub_order_id, newSubOrderStatus);
         }
       } catch (e) {
         console.error('[ShipmentService] Failed to sync sub_order status:', e.message);
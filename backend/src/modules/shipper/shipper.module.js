@@ -17,8 +17,10 @@ const shippingFeeService = require('./shipping-fee.service');
 const locationService = require('./location.service');
 const trackingService = require('./tracking.service');
 const assignmentService = require('./assignment.service');
+const transitSimulationService = require('./transit-simulation.service');
 const statisticsService = require('./statistics.service');
 const analyticsService = require('./analytics.service');
+const shipmentAccessService = require('./shipment-access.service');
 const shipperRepository = require('./shipper.repository');
 const shipmentRepository = require('./shipment.repository');
 const shipperDto = require('./shipper.dto');
@@ -38,10 +40,15 @@ function initializeModule(app) {
   
   console.log('[ShipperModule] Routes mounted: /api/shippers, /api/shipments, /api/partner/shipping, /api/shipper, /api/shipping');
   
-  // Start assignment retry processor (Requirements: 3.3)
-  // This will retry unassigned shipments every 5 minutes
-  assignmentService.startRetryProcessor();
-  console.log('[ShipperModule] Assignment retry processor started');
+  // Register scheduled job handlers (assignment retry every 5 minutes - Requirements: 3.3,
+  // transit simulation events). Jobs are run by the shared job scheduler.
+  assignmentService.registerJobHandlers();
+  transitSimulationService.registerJobHandlers();
+  trackingService.registerJobHandlers();
+  console.log('[ShipperModule] Job handlers registered');
+
+  // Authorize Socket.io tracking room joins by customer/partner/shipper ownership
+  shipmentAccessService.registerSocketAccessPolicy();
 }
 
 /**
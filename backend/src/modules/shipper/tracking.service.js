@@ -16,6 +16,10 @@
 
 const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 const { v4: uuidv4 } = require('uuid');
+const jobScheduler = require('../../shared/jobs/job.scheduler');
+
+const PICKUP_OFFICE_ARRIVAL_JOB = 'tracking.pickup_office_arrival';
+const PICKUP_OFFICE_ARRIVAL_DELAY_MS = 30 * 60 * 1000; // 30 minutes
 
 // Tracking status definitions với mô tả tiếng Việt
 const TRACKING_STATUSES = {
@@ -273,6 +277,28 @@ async function getRegionalHub(region) {
   return data;
 }
 
+/**
+ * Giả lập hàng đến bưu cục lấy hàng (job handler)
+ */
+async function processPickupOfficeArrivalJob({ shipmentId, pickupLat, pickupLng }) {
+  const pickupOffice = await findNearestPostOffice(pickupLat, pickupLng, 'local');
+  if (pickupOffice) {
+    await addTrackingEvent(shipmentId, 'ARRIVED_PICKUP_OFFICE', {
+      locationName: pickupOffice.name_vi,
+      locationAddress: pickupOffice.address,
+      lat: pickupOffice.lat,
+      lng: pickupOffice.lng,
+    });
+  }
+}
+
+/**
+ * Register tracking job handlers
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(PICKUP_OFFICE_ARRIVAL_JOB, processPickupOfficeArrivalJob, { maxAttempts: 3 });
+}
+
 /**
  * Giả lập các tracking events tự động
  * Được gọi khi shipment status thay đổi
@@ -299,25 +325,18 @@ async function simulateTrackingEvents(shipmentId, newStatus, options = {}) {
       });
 
       // Giả lập: Sau 30 phút, hàng đến bưu cục
-      setTimeout(async () => {
-        try {
-          const pickupOffice = await findNearestPostOffice(
-            shipment?.pickup_lat,
-            shipment?.pickup_lng,
-            'local'
-          );
-          if (pickupOffice) {
-            await addTrackingEvent(shipmentId, 'ARRIVED_PICKUP_OFFICE', {
-              locationName: pickupOffice.name_vi,
-              locationAddress: pickupOffice.address,
-              lat: pickupOffice.lat,
-              lng: pickupOffice.lng,
-            });
-          }
-        } catch (e) {
-          console.error('Failed to simulate arrived_pickup_office:', e);
-        }
-      }, 30 * 60 * 1000); // 30 minutes
+      try {
+        await jobScheduler.schedule(PICKUP_OFFICE_ARRIVAL_JOB, {
+          shipmentId,
+          pickupLat: shipment?.pickup_lat,
+          pickupLng: shipment?.pickup_lng,
+        }, {
+          key: `tracking:${shipmentId}:arrived_pickup_office`,
+          delayMs: PICKUP_OFFICE_ARRIVAL_DELAY_MS,
+        });
+      } catch (e) {
+        console.error('Failed to schedule arrived_pickup_office:', e.message);
+      }
       break;
 
     case 'delivering':
@@ -375,4 +394,5 @@ module.exports = {
   getRegionalHub,
   simulateTrackingEvents,
   initializeTracking,
+  registerJobHandlers,
 };
@@ -12,6 +12,11 @@ const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 const trackingService = require('./tracking.service');
 const assignmentService = require('./assignment.service');
 const rabbitmqClient = require('../../shared/rabbitmq/rabbitmq.client');
+const jobScheduler = require('../../shared/jobs/job.scheduler');
+
+// Scheduled job names
+const TRACKING_EVENT_JOB = 'transit.tracking_event';
+const DELIVERY_OFFICE_ARRIVAL_JOB = 'transit.delivery_office_arrival';
 
 // Thời gian mô phỏng (milliseconds) - có thể điều chỉnh cho demo
 const SIMULATION_DELAYS = {
@@ -141,7 +146,7 @@ async function startTransitSimulation(shipmentId, shipment) {
     const baseTime = Date.now();
     
     // 1. Đến bưu cục lấy hàng
-    scheduleTrackingEvent(shipmentId, 'ARRIVED_PICKUP_OFFICE', baseTime + DELAYS.ARRIVE_PICKUP_OFFICE, {
+    await scheduleTrackingEvent(shipmentId, 1, 'ARRIVED_PICKUP_OFFICE', baseTime + DELAYS.ARRIVE_PICKUP_OFFICE, {
       locationName: pickupOffice?.name_vi || 'Bưu cục lấy hàng',
       locationAddress: pickupOffice?.address,
       lat: pickupOffice?.lat,
@@ -150,13 +155,13 @@ async function startTransitSimulation(shipmentId, shipment) {
     });
 
     // 2. Rời bưu cục lấy hàng
-    scheduleTrackingEvent(shipmentId, 'LEFT_PICKUP_OFFICE', baseTime + DELAYS.LEAVE_PICKUP_OFFICE, {
+    await scheduleTrackingEvent(shipmentId, 2, 'LEFT_PICKUP_OFFICE', baseTime + DELAYS.LEAVE_PICKUP_OFFICE, {
       locationName: pickupOffice?.name_vi || 'Bưu cục lấy hàng',
       description_vi: `Hàng đã rời ${pickupOffice?.name_vi || 'bưu cục'}, đang vận chuyển đến kho trung chuyển ${REGION_NAMES[sourceRegion]}`,
     });
 
     // 3. Đến kho trung chuyển nguồn
-    scheduleTrackingEvent(shipmentId, 'ARRIVED_SORTING_HUB', baseTime + DELAYS.ARRIVE_SOURCE_HUB, {
+    await scheduleTrackingEvent(shipmentId, 3, 'ARRIVED_SORTING_HUB', baseTime + DELAYS.ARRIVE_SOURCE_HUB, {
       locationName: sourceHub?.name_vi || `Kho trung chuyển ${REGION_NAMES[sourceRegion]}`,
       locationAddress: sourceHub?.address,
       lat: sourceHub?.lat,
@@ -169,7 +174,7 @@ async function startTransitSimulation(shipmentId, shipment) {
       ? `Hàng đã rời kho, đang vận chuyển đến kho trung chuyển ${REGION_NAMES[destRegion]}`
       : `Hàng đã rời kho, đang vận chuyển đến bưu cục giao hàng`;
     
-    scheduleTrackingEvent(shipmentId, 'LEFT_SORTING_HUB', baseTime + DELAYS.LEAVE_SOURCE_HUB, {
+    await scheduleTrackingEvent(shipmentId, 4, 'LEFT_SORTING_HUB', baseTime + DELAYS.LEAVE_SOURCE_HUB, {
       locationName: sourceHub?.name_vi || `Kho trung chuyển ${REGION_NAMES[sourceRegion]}`,
       description_vi: leaveSourceHubDesc,
     });
@@ -178,7 +183,7 @@ async function startTransitSimulation(shipmentId, shipment) {
 
     // 5 & 6. Nếu khác miền: đến và rời kho trung chuyển đích
     if (isCrossRegion && destHub) {
-      scheduleTrackingEvent(shipmentId, 'ARRIVED_SORTING_HUB', baseTime + DELAYS.ARRIVE_DEST_HUB, {
+      await scheduleTrackingEvent(shipmentId, 5, 'ARRIVED_SORTING_HUB', baseTime + DELAYS.ARRIVE_DEST_HUB, {
         locationName: destHub.name_vi,
         locationAddress: destHub.address,
         lat: destHub.lat,
@@ -186,7 +191,7 @@ async function startTransitSimulation(shipmentId, shipment) {
         description_vi: `Hàng đã đến ${destHub.name_vi}, đang phân loại theo khu vực`,
       });
 
-      scheduleTrackingEvent(shipmentId, 'LEFT_SORTING_HUB', baseTime + DELAYS.LEAVE_DEST_HUB, {
+      await scheduleTrackingEvent(shipmentId, 6, 'LEFT_SORTING_HUB', baseTime + DELAYS.LEAVE_DEST_HUB, {
         locationName: destHub.name_vi,
         description_vi: `Hàng đã rời kho, đang vận chuyển đến bưu cục giao hàng`,
       });
@@ -196,8 +201,13 @@ async function startTransitSimulation(shipmentId, shipment) {
     }
 
     // 7. Đến bưu cục giao hàng - trigger auto-assign delivery shipper
-    scheduleDeliveryOfficeArrival(shipmentId, baseTime + arriveDeliveryOfficeDelay, {
-      deliveryOffice,
+    await scheduleDeliveryOfficeArrival(shipmentId, baseTime + arriveDeliveryOfficeDelay, {
+      deliveryOffice: deliveryOffice && {
+        name_vi: deliveryOffice.name_vi,
+        address: deliveryOffice.address,
+        lat: deliveryOffice.lat,
+        lng: deliveryOffice.lng,
+      },
       destRegion,
     });
 
@@ -219,92 +229,137 @@ async function startTransitSimulation(shipmentId, shipment) {
   }
 }
 
+/**
+ * Job key of a transit step (one job per shipment step, survives restarts)
+ */
+function getTransitJobKey(shipmentId, step) {
+  return `transit:${shipmentId}:${step}`;
+}
+
 /**
  * Schedule một tracking event
  */
-function scheduleTrackingEvent(shipmentId, statusKey, executeAt, options = {}) {
-  const delay = executeAt - Date.now();
-  if (delay <= 0) {
-    // Execute immediately
-    addTrackingEventSafe(shipmentId, statusKey, options);
-    return;
+async function scheduleTrackingEvent(shipmentId, step, statusKey, executeAt, options = {}) {
+  await jobScheduler.schedule(TRACKING_EVENT_JOB, { shipmentId, statusKey, options }, {
+    key: getTransitJobKey(shipmentId, step),
+    runAt: new Date(executeAt),
+  });
+}
+
+/**
+ * Kiểm tra shipment còn đang vận chuyển (chưa hủy/hoàn)
+ * @returns {Promise<Object|null>} Shipment hoặc null nếu bỏ qua
+ */
+async function getActiveShipment(shipmentId) {
+  const { data: shipment } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .eq('id', shipmentId)
+    .single();
+
+  if (!shipment || shipment.status === 'cancelled' || shipment.status === 'returned') {
+    return null;
   }
 
-  setTimeout(async () => {
-    await addTrackingEventSafe(shipmentId, statusKey, options);
-  }, delay);
+  return shipment;
 }
 
 /**
- * Safe wrapper for adding tracking event
+ * Add scheduled tracking event (job handler)
+ * Errors are rethrown so the scheduler retries the event. A repeated run adds no
+ * second event; the sorting hub events come twice on cross-region routes (source and
+ * destination hub), so they are told apart by location.
  */
-async function addTrackingEventSafe(shipmentId, statusKey, options) {
-  try {
-    // Check if shipment still exists and not cancelled
-    const { data: shipment } = await supabaseAdmin
-      .from('shipments')
-      .select('status')
-      .eq('id', shipmentId)
-      .single();
-
-    if (!shipment || shipment.status === 'cancelled' || shipment.status === 'returned') {
-      console.log(`[TransitSimulation] Skipping event for ${shipmentId} - status: ${shipment?.status}`);
-      return;
-    }
+async function processTrackingEventJob({ shipmentId, statusKey, options }) {
+  const shipment = await getActiveShipment(shipmentId);
+  if (!shipment) {
+    console.log(`[TransitSimulation] Skipping event for ${shipmentId} - shipment cancelled or returned`);
+    return;
+  }
 
-    await trackingService.addTrackingEvent(shipmentId, statusKey, options);
-    console.log(`[TransitSimulation] Added ${statusKey} event for shipment ${shipmentId}`);
-  } catch (error) {
-    console.error(`[TransitSimulation] Failed to add ${statusKey} event:`, error.message);
+  if (await hasTrackingEvent(shipmentId, statusKey, options?.locationName)) {
+    console.log(`[TransitSimulation] ${statusKey} event for shipment ${shipmentId} already added`);
+    return;
   }
+
+  await trackingService.addTrackingEvent(shipmentId, statusKey, options);
+  console.log(`[TransitSimulation] Added ${statusKey} event for shipment ${shipmentId}`);
 }
 
 /**
  * Schedule arrival at delivery office and auto-assign delivery shipper
  */
-function scheduleDeliveryOfficeArrival(shipmentId, executeAt, context) {
-  const delay = executeAt - Date.now();
-  
-  const execute = async () => {
-    try {
-      const { deliveryOffice, destRegion } = context;
+async function scheduleDeliveryOfficeArrival(shipmentId, executeAt, context) {
+  await jobScheduler.schedule(DELIVERY_OFFICE_ARRIVAL_JOB, { shipmentId, ...context }, {
+    key: getTransitJobKey(shipmentId, 7),
+    runAt: new Date(executeAt),
+  });
+}
 
-      // Check shipment status
-      const { data: shipment } = await supabaseAdmin
-        .from('shipments')
-        .select('*')
-        .eq('id', shipmentId)
-        .single();
+/**
+ * Kiểm tra shipment đã có tracking event với status này chưa
+ * @param {string} [locationName] - Chỉ xét event tại địa điểm này
+ */
+async function hasTrackingEvent(shipmentId, statusKey, locationName) {
+  let query = supabaseAdmin
+    .from('shipment_tracking_events')
+    .select('id')
+    .eq('shipment_id', shipmentId)
+    .eq('status', trackingService.TRACKING_STATUSES[statusKey].status);
+
+  if (locationName) {
+    query = query.eq('location_name', locationName);
+  }
 
-      if (!shipment || shipment.status === 'cancelled' || shipment.status === 'returned') {
-        console.log(`[TransitSimulation] Skipping delivery office arrival for ${shipmentId}`);
-        return;
-      }
+  const { data, error } = await query.limit(1);
 
-      // Add tracking event
-      await trackingService.addTrackingEvent(shipmentId, 'ARRIVED_DELIVERY_OFFICE', {
-        locationName: deliveryOffice?.name_vi || `Bưu cục giao hàng khu vực ${REGION_NAMES[destRegion]}`,
-        locationAddress: deliveryOffice?.address,
-        lat: deliveryOffice?.lat,
-        lng: deliveryOffice?.lng,
-        description_vi: `Hàng đã đến ${deliveryOffice?.name_vi || 'bưu cục giao hàng'}, chờ shipper nhận giao`,
-      });
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+}
 
-      console.log(`[TransitSimulation] Shipment ${shipmentId} arrived at delivery office`);
+/**
+ * Arrival at delivery office (job handler)
+ * A repeated run adds no second event and assigns no second shipper: the event is
+ * added once, and the shipper only while the shipment is still picked_up (in transit)
+ */
+async function processDeliveryOfficeArrivalJob({ shipmentId, deliveryOffice, destRegion }) {
+  const shipment = await getActiveShipment(shipmentId);
+  if (!shipment) {
+    console.log(`[TransitSimulation] Skipping delivery office arrival for ${shipmentId}`);
+    return;
+  }
 
-      // Auto-assign delivery shipper
-      await autoAssignDeliveryShipper(shipmentId, shipment);
+  // Add tracking event
+  if (!(await hasTrackingEvent(shipmentId, 'ARRIVED_DELIVERY_OFFICE'))) {
+    await trackingService.addTrackingEvent(shipmentId, 'ARRIVED_DELIVERY_OFFICE', {
+      locationName: deliveryOffice?.name_vi || `Bưu cục giao hàng khu vực ${REGION_NAMES[destRegion]}`,
+      locationAddress: deliveryOffice?.address,
+      lat: deliveryOffice?.lat,
+      lng: deliveryOffice?.lng,
+      description_vi: `Hàng đã đến ${deliveryOffice?.name_vi || 'bưu cục giao hàng'}, chờ shipper nhận giao`,
+    });
+  }
 
-    } catch (error) {
-      console.error(`[TransitSimulation] Error at delivery office arrival:`, error.message);
-    }
-  };
+  console.log(`[TransitSimulation] Shipment ${shipmentId} arrived at delivery office`);
 
-  if (delay <= 0) {
-    execute();
-  } else {
-    setTimeout(execute, delay);
+  if (shipment.status !== 'picked_up') {
+    console.log(`[TransitSimulation] Shipment ${shipmentId} already ${shipment.status}, delivery shipper not reassigned`);
+    return;
   }
+
+  // Auto-assign delivery shipper
+  await autoAssignDeliveryShipper(shipmentId, shipment);
+}
+
+/**
+ * Register transit job handlers
+ */
+function registerJobHandlers() {
+  jobScheduler.registerHandler(TRACKING_EVENT_JOB, processTrackingEventJob, { maxAttempts: 3 });
+  jobScheduler.registerHandler(DELIVERY_OFFICE_ARRIVAL_JOB, processDeliveryOfficeArrivalJob, { maxAttempts: 3 });
 }
 
 /**
@@ -506,6 +561,7 @@ async function getPostOffice(officeId) {
 module.exports = {
   startTransitSimulation,
   autoAssignDeliveryShipper,
+  registerJobHandlers,
   getRegionFromProvinceCode,
   getRegionFromCoordinates,
   getRegionalHub,
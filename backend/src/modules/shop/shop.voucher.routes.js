@@ -8,6 +8,7 @@ const router = express.Router();
 const { authenticate, authorize } = require('../auth/auth.middleware');
 const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
 const { sendSuccess, sendError } = require('../../shared/utils/response.util');
+const voucherService = require('../order/services/voucher.service');
 
 // Helper to send success response
 function successResponse(res, data, statusCode = 200) {
@@ -145,13 +146,13 @@ router.post('/', async (req, res, next) => {
       is_active = true,
     } = req.body;
 
-    // Validate required fields
-    if (!code || !discount_type || !discount_value || !start_date || !end_date) {
+    // Validate required fields (free shipping and tiered vouchers have no discount_value)
+    if (!code || !discount_type || !start_date || !end_date) {
       return errorResponse(res, 'Missing required fields', 400);
     }
 
-    // Map discount_type: frontend sends 'fixed'/'percent', db expects 'fixed'/'percentage'
-    const dbDiscountType = discount_type === 'percent' ? 'percentage' : discount_type;
+    // Maps 'percent' to 'percentage' and checks the value, tiers and restrictions
+    const rules = voucherService.normalizeVoucherRules(req.body, { isShop: true });
 
     // Check if code already exists
     const { data: existing } = await supabaseAdmin
@@ -170,7 +171,6 @@ router.post('/', async (req, res, next) => {
         shop_id: shopId,
         code: code.toUpperCase(),
         type: 'shop',
-        discount_type: dbDiscountType,
         discount_value,
         min_order_value: min_order_value || 0,
         max_discount: max_discount_value || null,
@@ -179,6 +179,7 @@ router.post('/', async (req, res, next) => {
         start_date,
         end_date,
         is_active: is_active !== false,
+        ...rules,
       })
       .select()
       .single();
@@ -203,7 +204,6 @@ router.put('/:id', async (req, res, next) => {
     const shopId = await getShopIdFromUser(req);
     const { id } = req.params;
     const {
-      discount_type,
       discount_value,
       min_order_value,
       max_discount_value,
@@ -227,10 +227,6 @@ router.put('/:id', async (req, res, next) => {
     }
 
     const updateData = {};
-    if (discount_type !== undefined) {
-      // Map discount_type: frontend sends 'fixed'/'percent', db expects 'fixed'/'percentage'
-      updateData.discount_type = discount_type === 'percent' ? 'percentage' : discount_type;
-    }
     if (discount_value !== undefined) updateData.discount_value = discount_value;
     if (min_order_value !== undefined) updateData.min_order_value = min_order_value;
     if (max_discount_value !== undefined) updateData.max_discount = max_discount_value;
@@ -240,6 +236,9 @@ router.put('/:id', async (req, res, next) => {
     if (end_date !== undefined) updateData.end_date = end_date;
     if (is_active !== undefined) updateData.is_active = is_active;
 
+    // Maps 'percent' to 'percentage' and checks the rules against the stored voucher
+    Object.assign(updateData, voucherService.normalizeVoucherRules(req.body, { isShop: true, current: voucher }));
+
     const { data, error } = await supabaseAdmin
       .from('vouchers')
       .update(updateData)
@@ -0,0 +1,285 @@
+/**
+ * Wallet Service Property Tests
+ * Property-based tests for the Shoppi Pay double-entry ledger
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory ledger mirroring wallet_post_transaction semantics
+let accounts = {};
+let transactions = [];
+let entries = [];
+
+function accountKey(type, userId) {
+  return type.startsWith('customer_') ? `${type}:${userId}` : type;
+}
+
+function balanceOf(type, userId) {
+  return accounts[accountKey(type, userId)] || 0;
+}
+
+const mockWalletRepository = {
+  postTransaction: jest.fn(async (params) => {
+    const existing = transactions.find(t => t.idempotency_key === params.idempotencyKey);
+    const fromKey = accountKey(params.fromAccount, params.userId);
+    const toKey = accountKey(params.toAccount, params.userId);
+
+    if (!existing) {
+      const fromBalance = accounts[fromKey] || 0;
+      if (params.fromAccount.startsWith('customer_') && fromBalance < params.amount) {
+        return {
+          success: false,
+          transaction_id: null,
+          available_balance: balanceOf('customer_available', params.userId),
+          held_balance: balanceOf('customer_held', params.userId),
+          duplicate: false,
+          message: `Insufficient balance. Available: ${fromBalance}, Requested: ${params.amount}`,
+        };
+      }
+
+      const txn = {
+        id: `txn-${transactions.length + 1}`,
+        user_id: params.userId,
+        type: params.type,
+        amount: params.amount,
+        order_id: params.orderId || null,
+        idempotency_key: params.idempotencyKey,
+      };
+      transactions.push(txn);
+      accounts[fromKey] = fromBalance - params.amount;
+      accounts[toKey] = (accounts[toKey] || 0) + params.amount;
+      entries.push({ transaction_id: txn.id, entry_type: 'debit', amount: params.amount });
+      entries.push({ transaction_id: txn.id, entry_type: 'credit', amount: params.amount });
+    }
+
+    return {
+      success: true,
+      transaction_id: existing ? existing.id : transactions[transactions.length - 1].id,
+      available_balance: balanceOf('customer_available', params.userId),
+      held_balance: balanceOf('customer_held', params.userId),
+      duplicate: Boolean(existing),
+      message: existing ? 'Transaction already posted' : 'Transaction posted',
+    };
+  }),
+  findAccountsByUserId: jest.fn(async (userId) => [
+    { account_type: 'customer_available', balance: balanceOf('customer_available', userId), currency: 'VND' },
+    { account_type: 'customer_held', balance: balanceOf('customer_held', userId), currency: 'VND' },
+  ]),
+  findTransactionsByOrderId: jest.fn(async (orderId) => transactions.filter(t => t.order_id === orderId)),
+  findTransactionsByUserId: jest.fn(),
+};
+
+jest.mock('../wallet.repository', () => mockWalletRepository);
+jest.mock('../../../shared/utils/error.util', () => ({
+  AppError: class AppError extends Error {
+    constructor(code, message, statusCode) {
+      super(message);
+      this.code = code;
+      this.statusCode = statusCode;
+    }
+  },
+}));
+
+const walletService = require('../wallet.service');
+
+// Generators
+const userId = 'user-1';
+const amountArb = fc.integer({ min: 1000, max: 5000000 });
+
+const operationArb = fc.oneof(
+  fc.record({ op: fc.constant('topup'), amount: amountArb }),
+  fc.record({ op: fc.constant('checkout'), amount: amountArb, orderNo: fc.integer({ min: 1, max: 5 }) }),
+  fc.record({ op: fc.constant('capture'), orderNo: fc.integer({ min: 1, max: 5 }) }),
+  fc.record({ op: fc.constant('release'), orderNo: fc.integer({ min: 1, max: 5 }) }),
+  fc.record({ op: fc.constant('refund'), amount: amountArb, refundNo: fc.integer({ min: 1, max: 5 }) })
+);
+
+async function runOperation(operation, index) {
+  switch (operation.op) {
+    case 'topup':
+      return walletService.topUp(userId, operation.amount, { referenceId: `topup-${index}` });
+    case 'checkout':
+      return walletService.holdForOrder(userId, `order-${operation.orderNo}`, operation.amount);
+    case 'capture':
+      return walletService.captureOrderHold(userId, `order-${operation.orderNo}`);
+    case 'release':
+      return walletService.releaseOrderHold(userId, `order-${operation.orderNo}`);
+    case 'refund':
+      return walletService.refundToWallet(userId, operation.amount, { refundId: `refund-${operation.refundNo}` });
+    default:
+      return null;
+  }
+}
+
+describe('Wallet Service Property Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accounts = {};
+    transactions = [];
+    entries = [];
+  });
+
+  /**
+   * **Feature: shoppi-pay-wallet, Property 1: Ledger stays balanced**
+   * *For any* sequence of top-ups, holds, captures, releases and refunds,
+   * debits SHALL equal credits, account balances SHALL sum to zero and
+   * customer balances SHALL never be negative.
+   * **Validates: Requirements 2.1**
+   */
+  describe('Property 1: Ledger stays balanced', () => {
+    it('should keep double-entry invariants for any operation sequence', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(operationArb, { minLength: 1, maxLength: 25 }),
+          async (operations) => {
+            accounts = {};
+            transactions = [];
+            entries = [];
+
+            for (let i = 0; i < operations.length; i++) {
+              try {
+                await runOperation(operations[i], i);
+              } catch (error) {
+                expect(['INSUFFICIENT_BALANCE', 'HOLD_NOT_FOUND']).toContain(error.code);
+              }
+            }
+
+            const debits = entries.filter(e => e.entry_type === 'debit').reduce((s, e) => s + e.amount, 0);
+            const credits = entries.filter(e => e.entry_type === 'credit').reduce((s, e) => s + e.amount, 0);
+            expect(debits).toBe(credits);
+
+            const total = Object.values(accounts).reduce((s, b) => s + b, 0);
+            expect(total).toBe(0);
+
+            expect(balanceOf('customer_available', userId)).toBeGreaterThanOrEqual(0);
+            expect(balanceOf('customer_held', userId)).toBeGreaterThanOrEqual(0);
+
+            // Held balance equals the sum of outstanding order holds
+            let outstanding = 0;
+            for (let n = 1; n <= 5; n++) {
+              outstanding += await walletService.getOutstandingHold(`order-${n}`);
+            }
+            expect(balanceOf('customer_held', userId)).toBe(outstanding);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: shoppi-pay-wallet, Property 2: Hold lifecycle**
+   * *For any* funded checkout, capture SHALL move the held amount to settlement,
+   * release SHALL return it to the available balance, and repeating either
+   * SHALL NOT move money twice.
+   * **Validates: Requirements 2.2, 2.3**
+   */
+  describe('Property 2: Hold lifecycle', () => {
+    it('should capture or release an order hold exactly once', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          amountArb,
+          amountArb,
+          fc.boolean(),
+          async (topUpAmount, extra, capture) => {
+            accounts = {};
+            transactions = [];
+            entries = [];
+
+            const orderAmount = topUpAmount;
+            await walletService.topUp(userId, topUpAmount + extra, { referenceId: 'topup-1' });
+            await walletService.holdForOrder(userId, 'order-1', orderAmount);
+
+            expect(balanceOf('customer_available', userId)).toBe(extra);
+            expect(balanceOf('customer_held', userId)).toBe(orderAmount);
+
+            if (capture) {
+              await walletService.captureOrderHold(userId, 'order-1');
+              await expect(walletService.captureOrderHold(userId, 'order-1'))
+                .rejects.toMatchObject({ code: 'HOLD_NOT_FOUND' });
+              expect(balanceOf('system_settlement', userId)).toBe(orderAmount);
+              expect(balanceOf('customer_available', userId)).toBe(extra);
+            } else {
+              await walletService.releaseOrderHold(userId, 'order-1');
+              const second = await walletService.releaseOrderHold(userId, 'order-1');
+              expect(second).toBeNull();
+              expect(balanceOf('customer_available', userId)).toBe(topUpAmount + extra);
+            }
+
+            expect(balanceOf('customer_held', userId)).toBe(0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: shoppi-pay-wallet, Property 2b: Capture reversal**
+   * *For any* captured order whose payment cannot be completed, reversing the
+   * capture SHALL return the full amount to the available balance exactly once.
+   * **Validates: Requirements 2.3**
+   */
+  describe('Property 2b: Capture reversal', () => {
+    it('should refund a captured order once and do nothing without a capture', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          amountArb,
+          amountArb,
+          async (orderAmount, extra) => {
+            accounts = {};
+            transactions = [];
+            entries = [];
+
+            await walletService.topUp(userId, orderAmount + extra, { referenceId: 'topup-1' });
+            expect(await walletService.refundOrderCapture(userId, 'order-1')).toBeNull();
+
+            await walletService.holdForOrder(userId, 'order-1', orderAmount);
+            await walletService.captureOrderHold(userId, 'order-1');
+            await walletService.refundOrderCapture(userId, 'order-1');
+            await walletService.refundOrderCapture(userId, 'order-1');
+
+            expect(balanceOf('customer_available', userId)).toBe(orderAmount + extra);
+            expect(balanceOf('customer_held', userId)).toBe(0);
+            expect(balanceOf('system_settlement', userId)).toBe(0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: shoppi-pay-wallet, Property 3: Insufficient balance is rejected**
+   * *For any* hold larger than the available balance, the hold SHALL fail with
+   * INSUFFICIENT_BALANCE and balances SHALL stay unchanged.
+   * **Validates: Requirements 2.2**
+   */
+  describe('Property 3: Insufficient balance is rejected', () => {
+    it('should reject holds above the available balance', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          amountArb,
+          amountArb,
+          async (balance, shortfall) => {
+            accounts = {};
+            transactions = [];
+            entries = [];
+
+            await walletService.topUp(userId, balance, { referenceId: 'topup-1' });
+
+            await expect(walletService.holdForOrder(userId, 'order-1', balance + shortfall))
+              .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+            const result = await walletService.getBalance(userId);
+            expect(result.available).toBe(balance);
+            expect(result.held).toBe(0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
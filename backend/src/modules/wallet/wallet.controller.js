@@ -0,0 +1,63 @@
+/**
+ * Wallet Controller
+ * HTTP request handlers for Shoppi Pay wallet endpoints
+ */
+
+const walletService = require('./wallet.service');
+const { sendSuccess, sendCreated, sendError } = require('../../shared/utils/response.util');
+
+/**
+ * Get wallet balance of current user
+ * GET /api/wallet
+ */
+async function getBalance(req, res) {
+  try {
+    const balance = await walletService.getBalance(req.user.userId);
+    return sendSuccess(res, balance);
+  } catch (error) {
+    return sendError(res, error.code || 'WALLET_ERROR', error.message, error.statusCode || 400);
+  }
+}
+
+/**
+ * Get wallet transaction history of current user
+ * GET /api/wallet/transactions
+ */
+async function getTransactions(req, res) {
+  try {
+    const { type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const result = await walletService.getTransactions(req.user.userId, { page, limit, type });
+    return sendSuccess(res, result);
+  } catch (error) {
+    return sendError(res, error.code || 'WALLET_ERROR', error.message, error.statusCode || 400);
+  }
+}
+
+/**
+ * Credit a top-up to a user's wallet (Admin)
+ * POST /api/wallet/users/:userId/topup
+ * Body: { amount, referenceId, description? }
+ */
+async function topUp(req, res) {
+  try {
+    const { amount, referenceId, description } = req.body;
+
+    const result = await walletService.topUp(req.params.userId, amount, {
+      referenceId,
+      description,
+      createdBy: req.user.userId,
+    });
+    return sendCreated(res, result);
+  } catch (error) {
+    return sendError(res, error.code || 'WALLET_ERROR', error.message, error.statusCode || 400);
+  }
+}
+
+module.exports = {
+  getBalance,
+  getTransactions,
+  topUp,
+};
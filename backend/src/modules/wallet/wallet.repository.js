@@ -0,0 +1,118 @@
+/**
+ * Wallet Repository
+ * Data access layer for wallet accounts, transactions and ledger entries
+ */
+
+const { supabaseAdmin } = require('../../shared/supabase/supabase.client');
+
+/**
+ * Post a wallet transaction atomically (double-entry)
+ * @param {object} params - Transaction parameters
+ * @param {string} params.userId - Wallet owner
+ * @param {string} params.type - Transaction type (topup, hold, capture, release, refund, adjustment)
+ * @param {number} params.amount - Amount (> 0)
+ * @param {string} params.fromAccount - Debited account type
+ * @param {string} params.toAccount - Credited account type
+ * @param {string} params.idempotencyKey - Unique key of the business event
+ * @returns {Promise<object>} RPC result row
+ */
+async function postTransaction(params) {
+  const { data, error } = await supabaseAdmin.rpc('wallet_post_transaction', {
+    p_user_id: params.userId,
+    p_type: params.type,
+    p_amount: params.amount,
+    p_from_account: params.fromAccount,
+    p_to_account: params.toAccount,
+    p_idempotency_key: params.idempotencyKey,
+    p_order_id: params.orderId || null,
+    p_reference_type: params.referenceType || null,
+    p_reference_id: params.referenceId || null,
+    p_description: params.description || null,
+    p_created_by: params.createdBy || null,
+  });
+
+  if (error) {
+    throw new Error(`Failed to post wallet transaction: ${error.message}`);
+  }
+
+  return data[0];
+}
+
+/**
+ * Get customer wallet accounts
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>}
+ */
+async function findAccountsByUserId(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('wallet_accounts')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to get wallet accounts: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get wallet transactions of a user (paginated, newest first)
+ * @param {string} userId - User ID
+ * @param {object} options - Query options
+ * @returns {Promise<{data: object[], total: number, page: number, limit: number}>}
+ */
+async function findTransactionsByUserId(userId, options = {}) {
+  const { page = 1, limit = 20, type } = options;
+  const offset = (page - 1) * limit;
+
+  let query = supabaseAdmin
+    .from('wallet_transactions')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to get wallet transactions: ${error.message}`);
+  }
+
+  return {
+    data: data || [],
+    total: count || 0,
+    page,
+    limit,
+  };
+}
+
+/**
+ * Get wallet transactions linked to an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object[]>}
+ */
+async function findTransactionsByOrderId(orderId) {
+  const { data, error } = await supabaseAdmin
+    .from('wallet_transactions')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to get order wallet transactions: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  postTransaction,
+  findAccountsByUserId,
+  findTransactionsByUserId,
+  findTransactionsByOrderId,
+};
@@ -0,0 +1,33 @@
+/**
+ * Wallet Routes
+ * API endpoints for Shoppi Pay wallet
+ */
+
+const express = require('express');
+const walletController = require('./wallet.controller');
+const { authenticate, requireAdmin } = require('../auth/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Get wallet balance
+ * GET /api/wallet
+ */
+router.get('/', walletController.getBalance);
+
+/**
+ * Get wallet transaction history
+ * GET /api/wallet/transactions?page=&limit=&type=
+ */
+router.get('/transactions', walletController.getTransactions);
+
+/**
+ * Credit top-up to a user's wallet (Admin only)
+ * POST /api/wallet/users/:userId/topup
+ * Body: { amount, referenceId, description? }
+ */
+router.post('/users/:userId/topup', requireAdmin, walletController.topUp);
+
+module.exports = router;
@@ -0,0 +1,306 @@
+/**
+ * Wallet Service
+ * Business logic for Shoppi Pay customer wallets
+ *
+ * Money flow (account types):
+ * - Top-up:  system_topup       -> customer_available
+ * - Hold:    customer_available -> customer_held       (checkout)
+ * - Capture: customer_held      -> system_settlement   (payment success)
+ * - Release: customer_held      -> customer_available  (cancel / payment failure)
+ * - Refund:  system_settlement  -> customer_available
+ */
+
+const walletRepository = require('./wallet.repository');
+const { AppError } = require('../../shared/utils/error.util');
+
+const ACCOUNT_TYPES = {
+  CUSTOMER_AVAILABLE: 'customer_available',
+  CUSTOMER_HELD: 'customer_held',
+  SYSTEM_TOPUP: 'system_topup',
+  SYSTEM_SETTLEMENT: 'system_settlement',
+};
+
+const TRANSACTION_TYPES = {
+  TOPUP: 'topup',
+  HOLD: 'hold',
+  CAPTURE: 'capture',
+  RELEASE: 'release',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment',
+};
+
+/**
+ * Post transaction and map RPC result
+ */
+async function post(params) {
+  const result = await walletRepository.postTransaction(params);
+
+  if (!result.success) {
+    const code = result.message && result.message.startsWith('Insufficient balance')
+      ? 'INSUFFICIENT_BALANCE'
+      : 'WALLET_TRANSACTION_FAILED';
+    throw new AppError(code, result.message, 400);
+  }
+
+  return {
+    transactionId: result.transaction_id,
+    availableBalance: parseFloat(result.available_balance) || 0,
+    heldBalance: parseFloat(result.held_balance) || 0,
+    duplicate: result.duplicate,
+  };
+}
+
+/**
+ * Validate amount is a positive number
+ */
+function assertPositiveAmount(amount) {
+  if (!(Number(amount) > 0)) {
+    throw new AppError('INVALID_AMOUNT', 'Amount must be greater than 0', 400);
+  }
+}
+
+/**
+ * Get wallet balance
+ * @param {string} userId - User ID
+ * @returns {Promise<{available: number, held: number, currency: string}>}
+ */
+async function getBalance(userId) {
+  const accounts = await walletRepository.findAccountsByUserId(userId);
+  const byType = Object.fromEntries(accounts.map(a => [a.account_type, a]));
+  const available = byType[ACCOUNT_TYPES.CUSTOMER_AVAILABLE];
+  const held = byType[ACCOUNT_TYPES.CUSTOMER_HELD];
+
+  return {
+    available: available ? parseFloat(available.balance) : 0,
+    held: held ? parseFloat(held.balance) : 0,
+    currency: (available && available.currency) || 'VND',
+  };
+}
+
+/**
+ * Get wallet transaction history
+ * @param {string} userId - User ID
+ * @param {object} options - page, limit, type
+ */
+async function getTransactions(userId, options = {}) {
+  const result = await walletRepository.findTransactionsByUserId(userId, options);
+
+  return {
+    ...result,
+    data: result.data.map(serializeTransaction),
+  };
+}
+
+/**
+ * Credit wallet from a top-up
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount
+ * @param {object} options - referenceId (unique per top-up), description, createdBy
+ */
+async function topUp(userId, amount, options = {}) {
+  assertPositiveAmount(amount);
+
+  if (!options.referenceId) {
+    throw new AppError('VALIDATION_ERROR', 'Top-up reference is required', 400);
+  }
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.TOPUP,
+    amount: Number(amount),
+    fromAccount: ACCOUNT_TYPES.SYSTEM_TOPUP,
+    toAccount: ACCOUNT_TYPES.CUSTOMER_AVAILABLE,
+    idempotencyKey: `topup:${options.referenceId}`,
+    referenceType: 'topup',
+    referenceId: options.referenceId,
+    description: options.description || 'Nạp tiền vào ví',
+    createdBy: options.createdBy,
+  });
+}
+
+/**
+ * Hold funds for an order at checkout
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {number} amount - Order total
+ */
+async function holdForOrder(userId, orderId, amount) {
+  assertPositiveAmount(amount);
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.HOLD,
+    amount: Number(amount),
+    fromAccount: ACCOUNT_TYPES.CUSTOMER_AVAILABLE,
+    toAccount: ACCOUNT_TYPES.CUSTOMER_HELD,
+    idempotencyKey: `hold:${orderId}`,
+    orderId,
+    referenceType: 'order',
+    referenceId: orderId,
+    description: 'Tạm giữ tiền thanh toán đơn hàng',
+  });
+}
+
+/**
+ * Get amount still held for an order (hold - capture - release)
+ * @param {string} orderId - Order ID
+ * @returns {Promise<number>}
+ */
+async function getOutstandingHold(orderId) {
+  const transactions = await walletRepository.findTransactionsByOrderId(orderId);
+
+  return transactions.reduce((sum, t) => {
+    const amount = parseFloat(t.amount);
+    if (t.type === TRANSACTION_TYPES.HOLD) return sum + amount;
+    if (t.type === TRANSACTION_TYPES.CAPTURE || t.type === TRANSACTION_TYPES.RELEASE) return sum - amount;
+    return sum;
+  }, 0);
+}
+
+/**
+ * Capture held funds when order payment succeeds
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ */
+async function captureOrderHold(userId, orderId) {
+  const outstanding = await getOutstandingHold(orderId);
+
+  if (outstanding <= 0) {
+    throw new AppError('HOLD_NOT_FOUND', 'No held funds for this order', 400);
+  }
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.CAPTURE,
+    amount: outstanding,
+    fromAccount: ACCOUNT_TYPES.CUSTOMER_HELD,
+    toAccount: ACCOUNT_TYPES.SYSTEM_SETTLEMENT,
+    idempotencyKey: `capture:${orderId}`,
+    orderId,
+    referenceType: 'order',
+    referenceId: orderId,
+    description: 'Thanh toán đơn hàng bằng ví',
+  });
+}
+
+/**
+ * Release held funds back to available balance (order cancelled / payment failed)
+ * No-op when nothing is held for the order
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>}
+ */
+async function releaseOrderHold(userId, orderId) {
+  const outstanding = await getOutstandingHold(orderId);
+
+  if (outstanding <= 0) {
+    return null;
+  }
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.RELEASE,
+    amount: outstanding,
+    fromAccount: ACCOUNT_TYPES.CUSTOMER_HELD,
+    toAccount: ACCOUNT_TYPES.CUSTOMER_AVAILABLE,
+    idempotencyKey: `release:${orderId}`,
+    orderId,
+    referenceType: 'order',
+    referenceId: orderId,
+    description: 'Hoàn lại tiền tạm giữ',
+  });
+}
+
+/**
+ * Reverse the capture of an order whose payment could not be completed
+ * (e.g. the order failed to update after the wallet was charged)
+ * No-op when nothing was captured for the order
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>}
+ */
+async function refundOrderCapture(userId, orderId) {
+  const transactions = await walletRepository.findTransactionsByOrderId(orderId);
+  const captured = transactions
+    .filter(t => t.type === TRANSACTION_TYPES.CAPTURE)
+    .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+
+  if (captured <= 0) {
+    return null;
+  }
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.REFUND,
+    amount: captured,
+    fromAccount: ACCOUNT_TYPES.SYSTEM_SETTLEMENT,
+    toAccount: ACCOUNT_TYPES.CUSTOMER_AVAILABLE,
+    idempotencyKey: `capture-reversal:${orderId}`,
+    orderId,
+    referenceType: 'order',
+    referenceId: orderId,
+    description: 'Hoàn tiền thanh toán đơn hàng không thành công',
+  });
+}
+
+/**
+ * Credit a refund to the customer's wallet
+ * @param {string} userId - User ID
+ * @param {number} amount - Refund amount
+ * @param {object} options - refundId (required), orderId, description, createdBy
+ */
+async function refundToWallet(userId, amount, options = {}) {
+  assertPositiveAmount(amount);
+
+  if (!options.refundId) {
+    throw new AppError('VALIDATION_ERROR', 'Refund reference is required', 400);
+  }
+
+  return post({
+    userId,
+    type: TRANSACTION_TYPES.REFUND,
+    amount: Number(amount),
+    fromAccount: ACCOUNT_TYPES.SYSTEM_SETTLEMENT,
+    toAccount: ACCOUNT_TYPES.CUSTOMER_AVAILABLE,
+    idempotencyKey: `refund:${options.refundId}`,
+    orderId: options.orderId,
+    referenceType: 'refund',
+    referenceId: options.refundId,
+    description: options.description || 'Hoàn tiền vào ví',
+    createdBy: options.createdBy,
+  });
+}
+
+/**
+ * Serialize wallet transaction for API response
+ */
+function serializeTransaction(t) {
+  if (!t) return null;
+
+  return {
+    id: t.id,
+    type: t.type,
+    amount: parseFloat(t.amount) || 0,
+    currency: t.currency,
+    orderId: t.order_id,
+    referenceType: t.reference_type,
+    referenceId: t.reference_id,
+    description: t.description,
+    createdAt: t.created_at ? new Date(t.created_at).toISOString() : null,
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  TRANSACTION_TYPES,
+  getBalance,
+  getTransactions,
+  topUp,
+  holdForOrder,
+  getOutstandingHold,
+  captureOrderHold,
+  releaseOrderHold,
+  refundOrderCapture,
+  refundToWallet,
+  serializeTransaction,
+};
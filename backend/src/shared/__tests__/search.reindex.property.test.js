@@ -0,0 +1,347 @@
+/**
+ * Search Reindex Property Tests
+ * Zero-downtime reindex through the search consumer: documents are copied (or
+ * loaded from the database) into a new versioned index, writes made meanwhile
+ * reach both indices, and the alias swaps atomically.
+ *
+ * Elasticsearch is an in-memory fake of the shared client; the database load and
+ * the reindex job table are mocks of the search index service and repository.
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory Elasticsearch: index name -> Map(id -> document), plus the alias
+const mockEs = {
+  indices: new Map(),
+  alias: [],
+  version: 0,
+  duringCopy: async () => {},
+  failCopy: false,
+  // Products the database load writes into the new index
+  database: [],
+};
+
+function mockResolve(index) {
+  if (index === 'products') {
+    if (mockEs.alias.length !== 1) throw Object.assign(new Error('no alias'), { meta: { statusCode: 404 } });
+    return mockEs.indices.get(mockEs.alias[0]);
+  }
+  const docs = mockEs.indices.get(index);
+  if (!docs) throw Object.assign(new Error(`no such index ${index}`), { meta: { statusCode: 404 } });
+  return docs;
+}
+
+// Search index jobs by ID; the running reindex records its target index
+const mockJobs = new Map();
+
+function mockRunningReindex() {
+  return [...mockJobs.values()].find(job => job.status === 'running') || null;
+}
+
+jest.mock('../elasticsearch/elasticsearch.client', () => ({
+  PRODUCT_INDEX: 'products',
+  isAvailable: jest.fn(async () => true),
+  esClient: {
+    indices: { exists: jest.fn(async ({ index }) => mockEs.indices.has(index) || (index === 'products' && mockEs.alias.length > 0)) },
+  },
+  createVersionedIndex: jest.fn(async () => {
+    const index = `products_v${++mockEs.version}`;
+    mockEs.indices.set(index, new Map());
+    return index;
+  }),
+  copyIndex: jest.fn(async (source, dest) => {
+    const snapshot = new Map(mockResolve(source));
+    // Product events keep arriving while the copy runs
+    await mockEs.duringCopy();
+    if (mockEs.failCopy) return { created: 0, failures: [{ id: 'x' }] };
+    const target = mockResolve(dest);
+    let created = 0;
+    for (const [id, doc] of snapshot) {
+      if (!target.has(id)) { target.set(id, doc); created++; } // op_type: create
+    }
+    return { created, failures: [] };
+  }),
+  swapAlias: jest.fn(async (index) => {
+    const previous = mockEs.alias;
+    mockEs.alias = [index];
+    return previous;
+  }),
+  deleteIndices: jest.fn(async (indices) => indices.forEach(index => mockEs.indices.delete(index))),
+  indexDocument: jest.fn(async (index, id, document) => { mockResolve(index).set(id, document); }),
+  updateDocument: jest.fn(async (index, id, doc) => {
+    const docs = mockResolve(index);
+    if (!docs.has(id)) throw Object.assign(new Error('document missing'), { meta: { statusCode: 404 } });
+    docs.set(id, { ...docs.get(id), ...doc });
+  }),
+  deleteDocument: jest.fn(async (index, id) => {
+    const docs = mockResolve(index);
+    if (!docs.delete(id)) throw Object.assign(new Error('not found'), { meta: { statusCode: 404 } });
+  }),
+  updateByQuery: jest.fn(),
+}));
+
+let mockConsumeHandler = null;
+jest.mock('../rabbitmq/rabbitmq.client', () => ({
+  EXCHANGES: { EVENTS: 'events' },
+  getChannel: jest.fn(async () => ({ assertQueue: jest.fn(), bindQueue: jest.fn() })),
+  consume: jest.fn(async (queue, handler) => { mockConsumeHandler = handler; }),
+}));
+
+const mockSynonymRules = ['đt, điện thoại', 'lap, laptop'];
+jest.mock('../../modules/product/services/search.service', () => ({
+  ...jest.requireActual('../../modules/product/services/search.service'),
+  getSynonymRules: jest.fn(async () => mockSynonymRules),
+}));
+jest.mock('../../modules/product/synonym.repository', () => ({}));
+jest.mock('../../modules/product/search-index.repository', () => ({
+  findRunningReindex: jest.fn(async () => mockRunningReindex()),
+}));
+
+jest.mock('../../modules/product/services/search-index.service', () => ({
+  startReindex: jest.fn(async (jobId, { targetIndex }) => {
+    const id = jobId || `job-auto-${mockJobs.size + 1}`;
+    mockJobs.set(id, { id, status: 'running', target_index: targetIndex });
+    return id;
+  }),
+  findRunningReindex: jest.fn(async () => mockRunningReindex()),
+  updateJob: jest.fn(),
+  finishJob: jest.fn(async (jobId, error = null) => {
+    const job = mockJobs.get(jobId);
+    if (job) job.status = error ? 'failed' : 'completed';
+  }),
+  // Rebuilds the document from the products table, like the real service
+  syncProduct: jest.fn(async (productId) => {
+    const searchService = require('../../modules/product/services/search.service');
+    const client = require('../elasticsearch/elasticsearch.client');
+    const product = mockEs.database.find(row => row.id === productId);
+    if (!product) return 'removed';
+    await searchService.writeToIndices(index => client.indexDocument(index, productId, searchService.buildIndexDocument(product)));
+    return 'indexed';
+  }),
+  fillIndex: jest.fn(async (index) => {
+    await mockEs.duringCopy();
+    const target = mockResolve(index);
+    let indexed = 0;
+    for (const product of mockEs.database) {
+      if (!target.has(product.id)) { target.set(product.id, { name: product.name }); indexed++; }
+    }
+    const failed = mockEs.failCopy ? 1 : 0;
+    return { total: mockEs.database.length, processed: mockEs.database.length, indexed, failed };
+  }),
+}));
+
+const elasticsearchClient = require('../elasticsearch/elasticsearch.client');
+const searchIndexService = require('../../modules/product/services/search-index.service');
+const searchService = require('../../modules/product/services/search.service');
+const searchConsumer = require('../rabbitmq/consumers/search.consumer');
+
+// ============================================
+// GENERATORS
+// ============================================
+
+const productIdArb = fc.constantFrom('p1', 'p2', 'p3', 'p4', 'p5', 'p6');
+const productArb = fc.record({
+  id: productIdArb,
+  name: fc.constantFrom('Điện thoại', 'Laptop', 'Tai nghe', 'Áo thun'),
+  status: fc.constant('active'),
+});
+
+// Existing documents and full product writes (created/updated) arriving during the copy
+const scenarioArb = fc.record({
+  existing: fc.uniqueArray(productArb, { selector: p => p.id, maxLength: 6 }),
+  writes: fc.array(productArb, { maxLength: 8 }),
+});
+
+function reset() {
+  mockEs.indices = new Map([['products_v0', new Map()]]);
+  mockEs.alias = ['products_v0'];
+  mockEs.version = 0;
+  mockEs.duringCopy = async () => {};
+  mockEs.failCopy = false;
+  mockEs.database = [];
+  mockJobs.clear();
+}
+
+function send(event, data) {
+  return mockConsumeHandler({ event, data, timestamp: new Date().toISOString() });
+}
+
+// Save a product in the database and publish its update
+function saveProduct(product) {
+  mockEs.database = [...mockEs.database.filter(row => row.id !== product.id), product];
+  return send('PRODUCT_UPDATED', { productId: product.id });
+}
+
+describe('Search Reindex Property Tests', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await searchConsumer.start();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should swap to a new index holding every document and every write made during the copy', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, async ({ existing, writes }) => {
+        reset();
+        existing.forEach(product => {
+          mockEs.indices.get('products_v0').set(product.id, searchService.buildIndexDocument(product));
+        });
+
+        mockEs.duringCopy = async () => {
+          for (const product of writes) {
+            await saveProduct(product);
+          }
+        };
+
+        await send('SEARCH_REINDEX_REQUESTED', { requestedBy: 'admin-1', source: 'index' });
+
+        // Alias moved, old index dropped
+        expect(mockEs.alias).toEqual(['products_v1']);
+        expect([...mockEs.indices.keys()]).toEqual(['products_v1']);
+        expect(elasticsearchClient.createVersionedIndex).toHaveBeenLastCalledWith(mockSynonymRules);
+
+        // Latest version of every product: existing, overridden by later writes
+        const expected = new Map(existing.map(p => [p.id, searchService.buildIndexDocument(p)]));
+        writes.forEach(p => expected.set(p.id, searchService.buildIndexDocument(p)));
+
+        const docs = mockEs.indices.get('products_v1');
+        expect(new Map([...docs].map(([id, doc]) => [id, doc.name]))).toEqual(
+          new Map([...expected].map(([id, doc]) => [id, doc.name]))
+        );
+
+        // Writes after the swap only go to the alias
+        const callsBefore = elasticsearchClient.indexDocument.mock.calls.length;
+        mockEs.database.push({ id: 'p9', name: 'Tivi', status: 'active' });
+        await send('PRODUCT_CREATED', { productId: 'p9' });
+        expect(elasticsearchClient.indexDocument.mock.calls.slice(callsBefore).map(call => call[0])).toEqual(['products']);
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should keep serving the old index when the copy fails', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, async ({ existing, writes }) => {
+        reset();
+        existing.forEach(product => mockEs.indices.get('products_v0').set(product.id, { name: product.name }));
+        mockEs.failCopy = true;
+        mockEs.duringCopy = async () => {
+          for (const product of writes) {
+            await saveProduct(product);
+          }
+        };
+
+        // Not rethrown: the message is acknowledged, not requeued
+        await expect(send('SEARCH_REINDEX_REQUESTED', { source: 'index' })).resolves.toBeUndefined();
+
+        expect(mockEs.alias).toEqual(['products_v0']);
+        expect([...mockEs.indices.keys()]).toEqual(['products_v0']);
+
+        // Writes made during the failed attempt still reached the live index
+        const live = mockEs.indices.get('products_v0');
+        writes.forEach(p => expect(live.has(p.id)).toBe(true));
+
+        // A new request can run afterwards
+        mockEs.failCopy = false;
+        mockEs.duringCopy = async () => {};
+        await send('SEARCH_REINDEX_REQUESTED', { source: 'index' });
+        expect(mockEs.alias).toEqual(['products_v2']);
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should ignore a reindex request while one is running', async () => {
+    reset();
+    elasticsearchClient.createVersionedIndex.mockClear();
+    mockEs.indices.get('products_v0').set('p1', { name: 'Laptop' });
+    mockEs.duringCopy = () => send('SEARCH_REINDEX_REQUESTED', { source: 'index', jobId: 'job-2' });
+
+    await send('SEARCH_REINDEX_REQUESTED', { source: 'index', jobId: 'job-1' });
+
+    expect(elasticsearchClient.createVersionedIndex).toHaveBeenCalledTimes(1);
+    expect(mockEs.alias).toEqual(['products_v1']);
+    expect(mockEs.indices.get('products_v1').get('p1')).toEqual({ name: 'Laptop' });
+
+    // The ignored request's job is closed as failed, the running one completes
+    expect(searchIndexService.finishJob).toHaveBeenCalledWith('job-2', expect.any(Error));
+    expect(searchIndexService.finishJob).toHaveBeenLastCalledWith('job-1');
+  });
+
+  it('should rebuild from the database by default, keeping writes made during the load', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, fc.uniqueArray(productArb, { selector: p => p.id, maxLength: 6 }),
+        async ({ existing, writes }, database) => {
+          reset();
+          searchIndexService.startReindex.mockClear();
+          searchIndexService.finishJob.mockClear();
+          // Stale documents in the live index are not carried over
+          existing.forEach(product => mockEs.indices.get('products_v0').set(product.id, { name: 'stale' }));
+          mockEs.database = database;
+          mockEs.duringCopy = async () => {
+            for (const product of writes) {
+              await saveProduct(product);
+            }
+          };
+
+          await send('SEARCH_REINDEX_REQUESTED', { jobId: 'job-1' });
+
+          expect(mockEs.alias).toEqual(['products_v1']);
+          expect(searchIndexService.fillIndex).toHaveBeenLastCalledWith('products_v1', { jobId: 'job-1' });
+          expect(searchIndexService.startReindex).toHaveBeenCalledWith('job-1', expect.objectContaining({ targetIndex: 'products_v1' }));
+          expect(searchIndexService.finishJob).toHaveBeenLastCalledWith('job-1');
+
+          const expected = new Map(database.map(p => [p.id, p.name]));
+          writes.forEach(p => expected.set(p.id, p.name));
+          const docs = mockEs.indices.get('products_v1');
+          expect(new Map([...docs].map(([id, doc]) => [id, doc.name]))).toEqual(expected);
+        }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should send writes made outside the consumer during the copy to the new index', async () => {
+    await fc.assert(
+      fc.asyncProperty(scenarioArb, async ({ existing, writes }) => {
+        reset();
+        existing.forEach(product => mockEs.indices.get('products_v0').set(product.id, { name: product.name }));
+
+        // Writers in other processes (API instances) only share the running reindex job
+        mockEs.duringCopy = async () => {
+          for (const product of writes) {
+            await searchService.indexProduct(product);
+          }
+        };
+
+        await send('SEARCH_REINDEX_REQUESTED', { source: 'index' });
+
+        expect(mockEs.alias).toEqual(['products_v1']);
+        const docs = mockEs.indices.get('products_v1');
+        writes.forEach(p => expect(docs.get(p.id).name).toBe(writes.filter(w => w.id === p.id).pop().name));
+        expect(mockRunningReindex()).toBeNull();
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  it('should not swap to a partially loaded index', async () => {
+    reset();
+    mockEs.database = [{ id: 'p1', name: 'Laptop' }];
+    mockEs.failCopy = true;
+
+    await send('SEARCH_REINDEX_REQUESTED', { jobId: 'job-3' });
+
+    expect(mockEs.alias).toEqual(['products_v0']);
+    expect([...mockEs.indices.keys()]).toEqual(['products_v0']);
+    expect(searchIndexService.finishJob).toHaveBeenLastCalledWith('job-3', expect.objectContaining({
+      message: '1 products failed to index',
+    }));
+  });
+});
@@ -26,9 +26,60 @@ try {
   console.warn('Warning: Elasticsearch client initialization failed:', error.message);
 }
 
-// Product index name
+// Product index alias. Searches and writes go through the alias; the data lives in
+// versioned indices (products_v<timestamp>) so the mapping can change with a
+// reindex and an atomic alias swap, without downtime.
 const PRODUCT_INDEX = 'products';
 
+/**
+ * Index settings with the Vietnamese analyzers
+ * - vietnamese: lowercase + ASCII folding, so "dien thoai" matches "điện thoại"
+ * - vietnamese_search: the same plus the managed synonyms (search time only)
+ * - vietnamese_autocomplete: edge n-grams of each word, for name suggestions
+ * Synonym rules are folded by the filters before them, so they may keep their accents.
+ * @param {string[]} synonyms - Solr-style rules, e.g. "đt, điện thoại"
+ * @returns {object}
+ */
+function buildIndexSettings(synonyms = []) {
+  const searchFilters = ['lowercase', 'asciifolding'];
+  const filter = {
+    autocomplete_edge_ngram: { type: 'edge_ngram', min_gram: 1, max_gram: 20 },
+  };
+
+  if (synonyms.length > 0) {
+    filter.vietnamese_synonyms = { type: 'synonym_graph', synonyms, lenient: true };
+    searchFilters.push('vietnamese_synonyms');
+  }
+
+  return {
+    number_of_shards: 1,
+    number_of_replicas: 0,
+    analysis: {
+      filter,
+      analyzer: {
+        vietnamese: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase', 'asciifolding'],
+        },
+        vietnamese_search: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: searchFilters,
+        },
+        vietnamese_autocomplete: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase', 'asciifolding', 'autocomplete_edge_ngram'],
+        },
+      },
+    },
+  };
+}
+
+// Full-text fields are indexed folded and searched folded with synonyms
+const VIETNAMESE_TEXT = { type: 'text', analyzer: 'vietnamese', search_analyzer: 'vietnamese_search' };
+
 // Product index mapping
 const PRODUCT_MAPPING = {
   properties: {
@@ -36,16 +87,15 @@ const PRODUCT_MAPPING = {
     shop_id: { type: 'keyword' },
     category_id: { type: 'keyword' },
     name: {
-      type: 'text',
-      analyzer: 'standard',
+      ...VIETNAMESE_TEXT,
       fields: {
         keyword: { type: 'keyword' },
-        suggest: { type: 'completion' },
+        suggest: { type: 'text', analyzer: 'vietnamese_autocomplete', search_analyzer: 'vietnamese' },
       },
     },
     slug: { type: 'keyword' },
-    description: { type: 'text', analyzer: 'standard' },
-    short_description: { type: 'text', analyzer: 'standard' },
+    description: VIETNAMESE_TEXT,
+    short_description: VIETNAMESE_TEXT,
     base_price: { type: 'float' },
     compare_at_price: { type: 'float' },
     currency: { type: 'keyword' },
@@ -56,8 +106,12 @@ const PRODUCT_MAPPING = {
     review_count: { type: 'integer' },
     category_path: { type: 'keyword' },
     category_name: { type: 'keyword' },
-    shop_name: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+    shop_name: { ...VIETNAMESE_TEXT, fields: { keyword: { type: 'keyword' } } },
     tags: { type: 'keyword' },
+    primary_image_url: { type: 'keyword' },
+    flash_sale_id: { type: 'keyword' },
+    flash_price: { type: 'float' },
+    flash_sale_end_time: { type: 'date' },
     created_at: { type: 'date' },
     updated_at: { type: 'date' },
     published_at: { type: 'date' },
@@ -65,8 +119,207 @@ const PRODUCT_MAPPING = {
 };
 
 
+/**
+ * Create a new versioned product index
+ * @param {string[]} [synonyms] - Synonym rules for the search analyzer
+ * @returns {Promise<string>} Index name
+ */
+async function createVersionedIndex(synonyms = []) {
+  const index = `${PRODUCT_INDEX}_v${Date.now()}`;
+
+  await esClient.indices.create({
+    index,
+    body: {
+      settings: buildIndexSettings(synonyms),
+      mappings: PRODUCT_MAPPING,
+    },
+  });
+
+  return index;
+}
+
+/**
+ * Indices the product alias points to
+ * @returns {Promise<string[]>}
+ */
+async function getAliasIndices() {
+  try {
+    const response = await esClient.indices.getAlias({ name: PRODUCT_INDEX });
+    return Object.keys(response);
+  } catch (error) {
+    if (error.meta?.statusCode === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Point the product alias to a new index, atomically
+ * A legacy concrete index named like the alias is removed in the same step.
+ * @param {string} index - New index
+ * @returns {Promise<string[]>} Indices the alias pointed to before
+ */
+async function swapAlias(index) {
+  const previous = await getAliasIndices();
+  const hasLegacyIndex = previous.length === 0
+    && await esClient.indices.exists({ index: PRODUCT_INDEX });
+
+  await esClient.indices.updateAliases({
+    actions: [
+      ...previous.map(oldIndex => ({ remove: { index: oldIndex, alias: PRODUCT_INDEX } })),
+      ...(hasLegacyIndex ? [{ remove_index: { index: PRODUCT_INDEX } }] : []),
+      { add: { index, alias: PRODUCT_INDEX } },
+    ],
+  });
+
+  return previous;
+}
+
+/**
+ * Copy documents into another index
+ * Documents already in the destination are kept (they are newer writes).
+ * @param {string} source - Source index or alias
+ * @param {string} dest - Destination index
+ * @returns {Promise<object>} Reindex response (created, version_conflicts, failures)
+ */
+async function copyIndex(source, dest) {
+  return esClient.reindex({
+    source: { index: source },
+    dest: { index: dest, op_type: 'create' },
+    conflicts: 'proceed',
+    wait_for_completion: true,
+    refresh: true,
+  });
+}
+
+/**
+ * Delete indices
+ * @param {string[]} indices
+ */
+async function deleteIndices(indices) {
+  if (indices.length === 0) return;
+  await esClient.indices.delete({ index: indices, ignore_unavailable: true });
+}
+
+/**
+ * Index (create or replace) a document
+ */
+async function indexDocument(index, id, document) {
+  return esClient.index({ index, id, document, refresh: true });
+}
+
+/**
+ * Partially update a document
+ */
+async function updateDocument(index, id, doc) {
+  return esClient.update({ index, id, doc, refresh: true });
+}
+
+/**
+ * Delete a document
+ */
+async function deleteDocument(index, id) {
+  return esClient.delete({ index, id, refresh: true });
+}
+
+/**
+ * Get documents by ID
+ * @param {string} index
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, object>>} ID -> source, for the documents found
+ */
+async function getDocuments(index, ids) {
+  if (ids.length === 0) return new Map();
+
+  const response = await esClient.mget({ index, ids });
+  return new Map(response.docs.filter(doc => doc.found).map(doc => [doc._id, doc._source]));
+}
+
+/**
+ * List document IDs in ID order, a page at a time
+ * @param {string} index
+ * @param {object} [options]
+ * @param {string} [options.after] - Last ID of the previous page
+ * @param {number} [options.size]
+ * @returns {Promise<string[]>}
+ */
+async function listDocumentIds(index, { after = null, size = 500 } = {}) {
+  const response = await esClient.search({
+    index,
+    size,
+    _source: false,
+    sort: [{ id: 'asc' }],
+    ...(after ? { search_after: [after] } : {}),
+  });
+
+  return response.hits.hits.map(hit => hit._id);
+}
+
+/**
+ * Index documents in one bulk request
+ * @param {string} index
+ * @param {object[]} documents - Each with an id
+ * @param {object} [options]
+ * @param {boolean} [options.onlyNew] - Create only: documents already in the index
+ *   are kept (they are newer writes) and counted as skipped
+ * @returns {Promise<{written: number, skipped: number, failed: object[]}>}
+ */
+async function bulkIndexDocuments(index, documents, { onlyNew = false } = {}) {
+  const result = { written: 0, skipped: 0, failed: [] };
+  if (documents.length === 0) return result;
+
+  const action = onlyNew ? 'create' : 'index';
+  const response = await esClient.bulk({
+    refresh: true,
+    operations: documents.flatMap(document => [
+      { [action]: { _index: index, _id: document.id } },
+      document,
+    ]),
+  });
+
+  for (const item of response.items) {
+    const outcome = item[action];
+    if (!outcome.error) result.written++;
+    else if (onlyNew && outcome.status === 409) result.skipped++;
+    else result.failed.push({ id: outcome._id, reason: outcome.error.reason });
+  }
+
+  return result;
+}
+
+/**
+ * Delete documents in one bulk request (documents already gone count as deleted)
+ * @param {string} index
+ * @param {string[]} ids
+ * @returns {Promise<{deleted: number, failed: object[]}>}
+ */
+async function bulkDeleteDocuments(index, ids) {
+  const result = { deleted: 0, failed: [] };
+  if (ids.length === 0) return result;
+
+  const response = await esClient.bulk({
+    refresh: true,
+    operations: ids.map(id => ({ delete: { _index: index, _id: id } })),
+  });
+
+  for (const item of response.items) {
+    if (!item.delete.error || item.delete.status === 404) result.deleted++;
+    else result.failed.push({ id: item.delete._id, reason: item.delete.error.reason });
+  }
+
+  return result;
+}
+
+/**
+ * Update documents matching a query with a script
+ */
+async function updateByQuery(index, { query, script }) {
+  return esClient.updateByQuery({ index, query, script, conflicts: 'proceed', refresh: true });
+}
+
 /**
  * Initialize product index
+ * Creates the first versioned index and the alias. An existing legacy index
+ * named "products" is left as is until the next reindex replaces it.
  * @returns {Promise<void>}
  */
 async function initializeIndex() {
@@ -79,26 +332,9 @@ async function initializeIndex() {
     const indexExists = await esClient.indices.exists({ index: PRODUCT_INDEX });
     
     if (!indexExists) {
-      await esClient.indices.create({
-        index: PRODUCT_INDEX,
-        body: {
-          settings: {
-            number_of_shards: 1,
-            number_of_replicas: 0,
-            analysis: {
-              analyzer: {
-                vietnamese: {
-                  type: 'custom',
-                  tokenizer: 'standard',
-                  filter: ['lowercase', 'asciifolding'],
-                },
-              },
-            },
-          },
-          mappings: PRODUCT_MAPPING,
-        },
-      });
-      console.log(`Created Elasticsearch index: ${PRODUCT_INDEX}`);
+      const index = await createVersionedIndex();
+      await swapAlias(index);
+      console.log(`Created Elasticsearch index: ${index} (alias ${PRODUCT_INDEX})`);
     }
   } catch (error) {
     console.error('Failed to initialize Elasticsearch index:', error.message);
@@ -141,7 +377,21 @@ module.exports = {
   esClient,
   PRODUCT_INDEX,
   PRODUCT_MAPPING,
+  buildIndexSettings,
   initializeIndex,
+  createVersionedIndex,
+  getAliasIndices,
+  swapAlias,
+  copyIndex,
+  deleteIndices,
+  indexDocument,
+  updateDocument,
+  deleteDocument,
+  getDocuments,
+  listDocumentIds,
+  bulkIndexDocuments,
+  bulkDeleteDocuments,
+  updateByQuery,
   isAvailable,
   getHealth,
 };
@@ -0,0 +1,271 @@
+/**
+ * Job Scheduler Property Tests
+ * Property-based tests for durable job scheduling, retries and idempotent keys
+ *
+ * Uses fast-check for property-based testing
+ */
+
+const fc = require('fast-check');
+
+// In-memory scheduled_jobs table mirroring schedule_job / claim_scheduled_jobs semantics
+let jobs = [];
+
+const ACTIVE = ['pending', 'running'];
+
+const mockJobRepository = {
+  scheduleJob: jest.fn(async (job) => {
+    const existing = job.key && jobs.find(j => j.job_key === job.key && ACTIVE.includes(j.status));
+    if (existing) return { ...existing };
+
+    const row = {
+      id: `job-${jobs.length + 1}`,
+      name: job.name,
+      job_key: job.key || null,
+      payload: job.payload,
+      run_at: job.runAt,
+      repeat_interval_ms: job.repeatIntervalMs || null,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: job.maxAttempts,
+      last_error: null,
+      locked_by: null,
+      locked_until: null,
+    };
+    jobs.push(row);
+    return { ...row };
+  }),
+  claimDueJobs: jest.fn(async (workerId, limit, leaseMs) => {
+    const now = Date.now();
+    const due = jobs
+      .filter(j => (j.status === 'pending' && new Date(j.run_at).getTime() <= now)
+        || (j.status === 'running' && new Date(j.locked_until).getTime() < now))
+      .slice(0, limit);
+
+    return due.map((j) => {
+      j.status = 'running';
+      j.attempts += 1;
+      j.locked_by = workerId;
+      j.locked_until = new Date(now + leaseMs).toISOString();
+      return { ...j };
+    });
+  }),
+  updateClaimedJob: jest.fn(async (jobId, workerId, updateData) => {
+    const job = jobs.find(j => j.id === jobId && j.locked_by === workerId && j.status === 'running');
+    if (!job) return null;
+    Object.assign(job, updateData);
+    return { ...job };
+  }),
+  cancelJobByKey: jest.fn(async (key) => {
+    const pending = jobs.filter(j => j.job_key === key && j.status === 'pending');
+    pending.forEach((j) => { j.status = 'cancelled'; });
+    return pending.length;
+  }),
+};
+
+jest.mock('../job.repository', () => mockJobRepository);
+
+const jobScheduler = require('../job.scheduler');
+
+/**
+ * Run due jobs until nothing is left, jumping the clock to each retry
+ */
+async function drain(maxRounds = 50) {
+  for (let i = 0; i < maxRounds; i++) {
+    await jobScheduler.runDueJobs();
+    const pending = jobs.filter(j => j.status === 'pending' && !j.repeat_interval_ms);
+    if (pending.length === 0) return;
+    const next = Math.min(...pending.map(j => new Date(j.run_at).getTime()));
+    jest.setSystemTime(Math.max(next, Date.now()) + 1);
+  }
+}
+
+describe('Job Scheduler Property Tests', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    jest.clearAllMocks();
+    jobs = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * **Feature: durable-job-scheduler, Property 1: Idempotent job keys**
+   * *For any* sequence of schedule calls, at most one active job SHALL exist per key,
+   * and cancelling a key SHALL leave no pending job for it.
+   * **Validates: Requirements 3.2**
+   */
+  describe('Property 1: Idempotent job keys', () => {
+    it('should keep at most one active job per key', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(
+            fc.record({
+              key: fc.constantFrom('a', 'b', 'c'),
+              cancel: fc.boolean(),
+            }),
+            { minLength: 1, maxLength: 30 }
+          ),
+          async (operations) => {
+            jobs = [];
+
+            for (const op of operations) {
+              if (op.cancel) {
+                await jobScheduler.cancel(op.key);
+                expect(jobs.filter(j => j.job_key === op.key && j.status === 'pending')).toHaveLength(0);
+              } else {
+                await jobScheduler.schedule('test.noop', {}, { key: op.key, delayMs: 1000 });
+              }
+            }
+
+            for (const key of ['a', 'b', 'c']) {
+              const active = jobs.filter(j => j.job_key === key && ACTIVE.includes(j.status));
+              expect(active.length).toBeLessThanOrEqual(1);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: durable-job-scheduler, Property 2: Bounded retries**
+   * *For any* handler that fails a number of times, the job SHALL complete if it
+   * succeeds within max attempts, otherwise it SHALL be marked failed and onFailed
+   * SHALL be called exactly once; the handler SHALL never run more than max attempts.
+   * **Validates: Requirements 3.1, 3.3**
+   */
+  describe('Property 2: Bounded retries', () => {
+    it('should retry until success or max attempts', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 8 }),
+          fc.integer({ min: 1, max: 6 }),
+          fc.constantFrom('fixed', 'exponential'),
+          async (failures, maxAttempts, backoff) => {
+            jobs = [];
+            let calls = 0;
+            const onFailed = jest.fn();
+
+            jobScheduler.registerHandler('test.flaky', async () => {
+              calls += 1;
+              if (calls <= failures) {
+                throw new Error(`failure ${calls}`);
+              }
+            }, { maxAttempts, backoff, backoffMs: 1000, onFailed });
+
+            await jobScheduler.schedule('test.flaky', { n: 1 }, { key: 'flaky' });
+            await drain();
+
+            const job = jobs[0];
+            expect(calls).toBeLessThanOrEqual(maxAttempts);
+
+            if (failures < maxAttempts) {
+              expect(job.status).toBe('completed');
+              expect(calls).toBe(failures + 1);
+              expect(onFailed).not.toHaveBeenCalled();
+            } else {
+              expect(job.status).toBe('failed');
+              expect(calls).toBe(maxAttempts);
+              expect(job.last_error).toBe(`failure ${maxAttempts}`);
+              expect(onFailed).toHaveBeenCalledTimes(1);
+            }
+
+            expect(job.locked_by).toBeNull();
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * **Feature: durable-job-scheduler, Property 3: Single execution per claim**
+   * *For any* set of due jobs polled concurrently, each job SHALL run exactly once,
+   * and a job whose lease was taken over SHALL NOT have its result overwritten.
+   * **Validates: Requirements 3.4**
+   */
+  describe('Property 3: Single execution per claim', () => {
+    it('should run each due job exactly once under concurrent polling', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 25 }),
+          fc.integer({ min: 2, max: 5 }),
+          async (jobCount, pollers) => {
+            jobs = [];
+            const runs = {};
+
+            jobScheduler.registerHandler('test.count', async ({ n }) => {
+              runs[n] = (runs[n] || 0) + 1;
+            });
+
+            for (let n = 0; n < jobCount; n++) {
+              await jobScheduler.schedule('test.count', { n }, { key: `count:${n}` });
+            }
+
+            for (let round = 0; round < 5; round++) {
+              await Promise.all(Array.from({ length: pollers }, () => jobScheduler.runDueJobs()));
+            }
+
+            for (let n = 0; n < jobCount; n++) {
+              expect(runs[n]).toBe(1);
+            }
+            expect(jobs.every(j => j.status === 'completed')).toBe(true);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should not overwrite a job reclaimed by another worker', async () => {
+      jobScheduler.registerHandler('test.slow', async () => {
+        // Lease expired while running: another worker reclaimed the job
+        jobs[0].locked_by = 'other-worker';
+      });
+
+      await jobScheduler.schedule('test.slow', {});
+      await jobScheduler.runDueJobs();
+
+      expect(jobs[0].status).toBe('running');
+      expect(jobs[0].locked_by).toBe('other-worker');
+    });
+  });
+
+  /**
+   * **Feature: durable-job-scheduler, Property 4: Recurring jobs**
+   * *For any* interval, a recurring job SHALL be re-queued one interval after each run
+   * with its attempts reset, whether the run succeeded or exhausted its retries.
+   * **Validates: Requirements 3.1**
+   */
+  describe('Property 4: Recurring jobs', () => {
+    it('should re-queue recurring jobs after each run', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1000, max: 3600000 }),
+          fc.boolean(),
+          async (intervalMs, fail) => {
+            jobs = [];
+
+            jobScheduler.registerHandler('test.recurring', async () => {
+              if (fail) throw new Error('boom');
+            }, { maxAttempts: 1 });
+
+            await jobScheduler.scheduleRecurring('test.recurring', intervalMs);
+            jest.setSystemTime(Date.now() + intervalMs);
+            await jobScheduler.runDueJobs();
+
+            expect(jobs).toHaveLength(1);
+            expect(jobs[0].status).toBe('pending');
+            expect(jobs[0].attempts).toBe(0);
+            expect(new Date(jobs[0].run_at).getTime()).toBe(Date.now() + intervalMs);
+            expect(jobs[0].last_error).toBe(fail ? 'boom' : null);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Job Repository
+ * Data access layer for durable scheduled jobs
+ */
+
+const { supabaseAdmin } = require('../supabase/supabase.client');
+
+/**
+ * Insert a job (idempotent per active job key)
+ * @param {object} job - name, payload, runAt, key, maxAttempts, repeatIntervalMs
+ * @returns {Promise<object>} New job, or existing active job with the same key
+ */
+async function scheduleJob(job) {
+  const { data, error } = await supabaseAdmin.rpc('schedule_job', {
+    p_name: job.name,
+    p_payload: job.payload || {},
+    p_run_at: job.runAt,
+    p_job_key: job.key || null,
+    p_max_attempts: job.maxAttempts,
+    p_repeat_interval_ms: job.repeatIntervalMs || null,
+  });
+
+  if (error) {
+    throw new Error(`Failed to schedule job: ${error.message}`);
+  }
+
+  return data[0];
+}
+
+/**
+ * Claim due jobs for this worker (sets status running + lease)
+ * @param {string} workerId - Worker identifier
+ * @param {number} limit - Max jobs to claim
+ * @param {number} leaseMs - Lease duration
+ * @returns {Promise<object[]>}
+ */
+async function claimDueJobs(workerId, limit, leaseMs) {
+  const { data, error } = await supabaseAdmin.rpc('claim_scheduled_jobs', {
+    p_worker_id: workerId,
+    p_limit: limit,
+    p_lease_ms: leaseMs,
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim jobs: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Update a job claimed by this worker
+ * Guarded by locked_by so a worker whose lease was taken over cannot overwrite the result
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker that holds the lease
+ * @param {object} updateData - Columns to update
+ * @returns {Promise<object|null>}
+ */
+async function updateClaimedJob(jobId, workerId, updateData) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_jobs')
+    .update(updateData)
+    .eq('id', jobId)
+    .eq('locked_by', workerId)
+    .eq('status', 'running')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update job: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Cancel pending job by key
+ * @param {string} key - Job key
+ * @returns {Promise<number>} Number of cancelled jobs
+ */
+async function cancelJobByKey(key) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_jobs')
+    .update({ status: 'cancelled', locked_by: null, locked_until: null })
+    .eq('job_key', key)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to cancel job: ${error.message}`);
+  }
+
+  return (data || []).length;
+}
+
+/**
+ * Find job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>}
+ */
+async function findJobById(jobId) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to get job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List jobs (paginated)
+ * @param {object} options - status (string or array), name, page, limit
+ * @returns {Promise<{data: object[], total: number, page: number, limit: number}>}
+ */
+async function findJobs(options = {}) {
+  const { status, name, page = 1, limit = 20 } = options;
+  const offset = (page - 1) * limit;
+
+  let query = supabaseAdmin
+    .from('scheduled_jobs')
+    .select('*', { count: 'exact' })
+    .order('run_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (Array.isArray(status)) {
+    query = query.in('status', status);
+  } else if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (name) {
+    query = query.eq('name', name);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list jobs: ${error.message}`);
+  }
+
+  return {
+    data: data || [],
+    total: count || 0,
+    page,
+    limit,
+  };
+}
+
+/**
+ * Reset a failed job so it runs again
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>}
+ */
+async function requeueFailedJob(jobId) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      last_error: null,
+      locked_by: null,
+      locked_until: null,
+    })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to requeue job: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+module.exports = {
+  scheduleJob,
+  claimDueJobs,
+  updateClaimedJob,
+  cancelJobByKey,
+  findJobById,
+  findJobs,
+  requeueFailedJob,
+};
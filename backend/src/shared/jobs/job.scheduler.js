@@ -0,0 +1,335 @@
+/**
+ * Job Scheduler
+ * Durable delayed/recurring jobs persisted in Postgres (scheduled_jobs)
+ *
+ * - Jobs survive restarts: state lives in the database, not in process timers
+ * - Idempotent job keys: scheduling an already-active key returns the existing job
+ * - Single execution: instances claim due jobs with SKIP LOCKED + a lease, so a job
+ *   runs on exactly one instance; an expired lease (crashed worker) is reclaimed
+ * - Retries with fixed or exponential backoff, then marked failed
+ */
+
+const os = require('os');
+const jobRepository = require('./job.repository');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30 * 1000; // 30 seconds
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000; // 5 seconds
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Registered handlers: name -> { handler, options }
+const handlers = new Map();
+
+let pollIntervalId = null;
+let polling = false;
+let runOptions = {
+  batchSize: DEFAULT_BATCH_SIZE,
+  leaseMs: DEFAULT_LEASE_MS,
+};
+
+/**
+ * Register a job handler
+ * @param {string} name - Job name
+ * @param {Function} handler - async (payload, job) => void; throw to retry
+ * @param {object} options
+ * @param {number} options.maxAttempts - Attempts before the job is marked failed
+ * @param {number} options.backoffMs - Base retry delay
+ * @param {string} options.backoff - 'fixed' | 'exponential'
+ * @param {Function} options.onFailed - async (payload, job, error) called once retries are exhausted
+ * @param {number} options.intervalMs - Run as a recurring job every intervalMs (scheduled on start)
+ */
+function registerHandler(name, handler, options = {}) {
+  handlers.set(name, {
+    handler,
+    options: {
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+      backoff: options.backoff || 'exponential',
+      onFailed: options.onFailed || null,
+      intervalMs: options.intervalMs || null,
+    },
+  });
+}
+
+/**
+ * Schedule a job
+ * @param {string} name - Registered job name
+ * @param {object} payload - JSON payload passed to the handler
+ * @param {object} options
+ * @param {Date|string} options.runAt - When to run (default: now)
+ * @param {number} options.delayMs - Alternative to runAt
+ * @param {string} options.key - Idempotency key (one active job per key)
+ * @param {number} options.maxAttempts - Overrides the handler default
+ * @param {number} options.repeatIntervalMs - Re-queue the job this long after each run
+ * @returns {Promise<object>} Scheduled (or already active) job
+ */
+async function schedule(name, payload = {}, options = {}) {
+  const registered = handlers.get(name);
+  let runAt = options.runAt ? new Date(options.runAt) : new Date();
+
+  if (options.delayMs) {
+    runAt = new Date(Date.now() + options.delayMs);
+  }
+
+  return jobRepository.scheduleJob({
+    name,
+    payload,
+    runAt: runAt.toISOString(),
+    key: options.key,
+    maxAttempts: options.maxAttempts
+      || (registered && registered.options.maxAttempts)
+      || DEFAULT_MAX_ATTEMPTS,
+    repeatIntervalMs: options.repeatIntervalMs,
+  });
+}
+
+/**
+ * Schedule a recurring job (idempotent: one active instance per key)
+ * @param {string} name - Registered job name
+ * @param {number} intervalMs - Interval between runs
+ * @param {object} options - key (default: name), payload, runAt
+ */
+async function scheduleRecurring(name, intervalMs, options = {}) {
+  return schedule(name, options.payload || {}, {
+    key: options.key || `recurring:${name}`,
+    runAt: options.runAt || new Date(Date.now() + intervalMs),
+    repeatIntervalMs: intervalMs,
+  });
+}
+
+/**
+ * Cancel the pending job with a key
+ * @param {string} key - Job key
+ * @returns {Promise<boolean>} True if a job was cancelled
+ */
+async function cancel(key) {
+  const cancelled = await jobRepository.cancelJobByKey(key);
+  return cancelled > 0;
+}
+
+/**
+ * Compute retry delay for an attempt
+ * @param {object} options - Handler options
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(options, attempts) {
+  if (options.backoff === 'fixed') {
+    return options.backoffMs;
+  }
+
+  return Math.min(options.backoffMs * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Mark job failed and run the handler's onFailed hook
+ */
+async function failJob(job, registered, errorMessage) {
+  const updated = await jobRepository.updateClaimedJob(job.id, workerId, {
+    status: JOB_STATUS.FAILED,
+    last_error: errorMessage,
+    locked_by: null,
+    locked_until: null,
+  });
+
+  if (updated && registered && registered.options.onFailed) {
+    try {
+      await registered.options.onFailed(job.payload || {}, job, new Error(errorMessage));
+    } catch (hookError) {
+      console.error(`[JobScheduler] onFailed hook for ${job.name} failed:`, hookError.message);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Execute one claimed job and persist the outcome
+ * @param {object} job - Claimed job row
+ * @returns {Promise<string>} Resulting status
+ */
+async function executeJob(job) {
+  const registered = handlers.get(job.name);
+
+  if (!registered) {
+    console.error(`[JobScheduler] No handler registered for job ${job.name}`);
+    await failJob(job, null, `No handler registered for job ${job.name}`);
+    return JOB_STATUS.FAILED;
+  }
+
+  // Reclaimed after a crash with no attempts left
+  if (job.attempts > job.max_attempts) {
+    await failJob(job, registered, job.last_error || 'Max attempts exceeded');
+    return JOB_STATUS.FAILED;
+  }
+
+  try {
+    await registered.handler(job.payload || {}, job);
+  } catch (error) {
+    const message = error.message || String(error);
+    console.error(`[JobScheduler] Job ${job.name} (${job.id}) attempt ${job.attempts} failed:`, message);
+
+    if (job.attempts < job.max_attempts) {
+      const delay = getRetryDelay(registered.options, job.attempts);
+      await jobRepository.updateClaimedJob(job.id, workerId, {
+        status: JOB_STATUS.PENDING,
+        run_at: new Date(Date.now() + delay).toISOString(),
+        last_error: message,
+        locked_by: null,
+        locked_until: null,
+      });
+      return JOB_STATUS.PENDING;
+    }
+
+    // Recurring jobs keep their schedule even when a run exhausts its retries
+    if (job.repeat_interval_ms) {
+      await rescheduleRecurring(job, message);
+      return JOB_STATUS.PENDING;
+    }
+
+    await failJob(job, registered, message);
+    return JOB_STATUS.FAILED;
+  }
+
+  if (job.repeat_interval_ms) {
+    await rescheduleRecurring(job, null);
+    return JOB_STATUS.PENDING;
+  }
+
+  await jobRepository.updateClaimedJob(job.id, workerId, {
+    status: JOB_STATUS.COMPLETED,
+    completed_at: new Date().toISOString(),
+    last_error: null,
+    locked_by: null,
+    locked_until: null,
+  });
+  return JOB_STATUS.COMPLETED;
+}
+
+/**
+ * Put a recurring job back to pending for its next run
+ */
+async function rescheduleRecurring(job, lastError) {
+  return jobRepository.updateClaimedJob(job.id, workerId, {
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    run_at: new Date(Date.now() + Number(job.repeat_interval_ms)).toISOString(),
+    last_error: lastError,
+    locked_by: null,
+    locked_until: null,
+  });
+}
+
+/**
+ * Claim and run due jobs once
+ * @returns {Promise<number>} Number of jobs processed
+ */
+async function runDueJobs() {
+  if (polling) {
+    return 0;
+  }
+
+  polling = true;
+
+  try {
+    const jobs = await jobRepository.claimDueJobs(workerId, runOptions.batchSize, runOptions.leaseMs);
+
+    for (const job of jobs) {
+      try {
+        await executeJob(job);
+      } catch (error) {
+        // Lease expires and the job is reclaimed by the next poll
+        console.error(`[JobScheduler] Failed to persist result of job ${job.id}:`, error.message);
+      }
+    }
+
+    return jobs.length;
+  } catch (error) {
+    console.error('[JobScheduler] Error polling jobs:', error.message);
+    return 0;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling for due jobs
+ * @param {object} options - pollIntervalMs, batchSize, leaseMs
+ */
+function start(options = {}) {
+  if (pollIntervalId) {
+    console.log('[JobScheduler] Already running');
+    return;
+  }
+
+  runOptions = {
+    batchSize: options.batchSize || DEFAULT_BATCH_SIZE,
+    leaseMs: options.leaseMs || DEFAULT_LEASE_MS,
+  };
+
+  const pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+
+  // Recurring jobs are keyed by name, so every instance can safely ensure them
+  for (const [name, registered] of handlers.entries()) {
+    if (registered.options.intervalMs) {
+      scheduleRecurring(name, registered.options.intervalMs).catch((error) => {
+        console.error(`[JobScheduler] Failed to schedule recurring job ${name}:`, error.message);
+      });
+    }
+  }
+
+  pollIntervalId = setInterval(runDueJobs, pollIntervalMs);
+  if (pollIntervalId.unref) {
+    pollIntervalId.unref();
+  }
+
+  console.log(`[JobScheduler] Started worker ${workerId} (${handlers.size} handlers, poll ${pollIntervalMs}ms)`);
+}
+
+/**
+ * Stop polling
+ */
+function stop() {
+  if (pollIntervalId) {
+    clearInterval(pollIntervalId);
+    pollIntervalId = null;
+    console.log('[JobScheduler] Stopped');
+  }
+}
+
+/**
+ * Get scheduler status
+ */
+function getStatus() {
+  return {
+    workerId,
+    running: pollIntervalId !== null,
+    handlers: Array.from(handlers.keys()),
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  registerHandler,
+  schedule,
+  scheduleRecurring,
+  cancel,
+  executeJob,
+  runDueJobs,
+  getRetryDelay,
+  start,
+  stop,
+  getStatus,
+};
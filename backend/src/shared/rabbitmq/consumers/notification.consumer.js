@@ -226,6 +226,18 @@ function buildNotificationContent(type, payload) {
       title: 'Đơn hàng đã hủy',
       body: `Đơn hàng${orderId ? ` #${orderId.substring(0, 8)}` : ''} đã bị hủy${reason ? `. Lý do: ${reason}` : ''}`,
     },
+    'RETURN_DEADLINE_REMINDER': {
+      title: 'Sắp đến hạn xử lý trả hàng',
+      body: message || 'Yêu cầu trả hàng sắp đến hạn xử lý',
+    },
+    'RETURN_AUTO_APPROVED': {
+      title: 'Yêu cầu trả hàng được chấp nhận',
+      body: message || 'Yêu cầu trả hàng đã được tự động chấp nhận',
+    },
+    'RETURN_EXPIRED': {
+      title: 'Yêu cầu trả hàng đã hủy',
+      body: message || 'Yêu cầu trả hàng đã bị hủy do quá hạn',
+    },
     'SHIPPER_NEARBY': {
       title: 'Shipper đang đến! 🚚',
       body: `Shipper đang trên đường giao hàng đến bạn${trackingNumber ? ` (${trackingNumber})` : ''}${distanceMeters ? `, còn khoảng ${distanceMeters}m` : ''}. Chú ý điện thoại!`,
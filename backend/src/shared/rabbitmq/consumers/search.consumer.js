@@ -2,6 +2,9 @@
  * Search Index Consumer
  * Handles product events to update Elasticsearch index
  * 
+ * Documents are rebuilt from the database (searchIndexService.syncProduct), so
+ * they have the shape of searchService.buildIndexDocument whatever the event carries.
+ * 
  * Requirements: Event-driven architecture, search index sync
  */
 
@@ -14,15 +17,15 @@ const HANDLED_EVENTS = [
   'PRODUCT_UPDATED',
   'PRODUCT_DELETED',
   'PRODUCT_STATUS_CHANGED',
-  'PRODUCT_INVENTORY_CHANGED',
   'CATEGORY_UPDATED',
+  'SEARCH_REINDEX_REQUESTED',
 ];
 
 // Queue name for search events
 const QUEUE_NAME = 'search_index_events';
 
-// Elasticsearch index name
-const PRODUCT_INDEX = 'products';
+// Elasticsearch index alias
+const { PRODUCT_INDEX } = elasticsearchClient;
 
 /**
  * Initialize search consumer
@@ -66,12 +69,12 @@ async function start() {
         case 'PRODUCT_STATUS_CHANGED':
           await handleProductStatusChanged(data, timestamp);
           break;
-        case 'PRODUCT_INVENTORY_CHANGED':
-          await handleInventoryChanged(data, timestamp);
-          break;
         case 'CATEGORY_UPDATED':
           await handleCategoryUpdated(data, timestamp);
           break;
+        case 'SEARCH_REINDEX_REQUESTED':
+          await handleReindexRequested(data, timestamp);
+          break;
         default:
           console.warn(`[SearchConsumer] Unknown event: ${event}`);
       }
@@ -88,16 +91,14 @@ async function start() {
  * @param {string} timestamp - Event timestamp
  */
 async function handleProductCreated(data, timestamp) {
-  const { productId, product } = data;
+  const { productId } = data;
   
   console.log(`[SearchConsumer] Indexing new product ${productId}`);
   
   try {
-    const document = transformProductForIndex(product);
-    
-    await elasticsearchClient.indexDocument(PRODUCT_INDEX, productId, document);
+    const outcome = await syncProduct(productId);
     
-    console.log(`[SearchConsumer] Product ${productId} indexed successfully`);
+    console.log(`[SearchConsumer] Product ${productId} synced (${outcome || 'search unavailable'})`);
   } catch (error) {
     console.error(`[SearchConsumer] Failed to index product ${productId}:`, error.message);
     throw error;
@@ -106,27 +107,19 @@ async function handleProductCreated(data, timestamp) {
 
 /**
  * Handle PRODUCT_UPDATED event
+ * The whole document is rebuilt, whether the event carries the product or the changed fields
  * @param {Object} data - Event data
  * @param {string} timestamp - Event timestamp
  */
 async function handleProductUpdated(data, timestamp) {
-  const { productId, product, updatedFields } = data;
+  const { productId } = data;
   
   console.log(`[SearchConsumer] Updating product ${productId} in index`);
   
   try {
-    // If full product data is provided, re-index
-    if (product) {
-      const document = transformProductForIndex(product);
-      await elasticsearchClient.indexDocument(PRODUCT_INDEX, productId, document);
-    } 
-    // If only specific fields updated, do partial update
-    else if (updatedFields) {
-      const partialDoc = transformFieldsForUpdate(updatedFields);
-      await elasticsearchClient.updateDocument(PRODUCT_INDEX, productId, partialDoc);
-    }
+    const outcome = await syncProduct(productId);
     
-    console.log(`[SearchConsumer] Product ${productId} updated in index`);
+    console.log(`[SearchConsumer] Product ${productId} synced (${outcome || 'search unavailable'})`);
   } catch (error) {
     console.error(`[SearchConsumer] Failed to update product ${productId}:`, error.message);
     throw error;
@@ -144,7 +137,7 @@ async function handleProductDeleted(data, timestamp) {
   console.log(`[SearchConsumer] Removing product ${productId} from index`);
   
   try {
-    await elasticsearchClient.deleteDocument(PRODUCT_INDEX, productId);
+    await writeToIndices(index => elasticsearchClient.deleteDocument(index, productId));
     
     console.log(`[SearchConsumer] Product ${productId} removed from index`);
   } catch (error) {
@@ -160,6 +153,7 @@ async function handleProductDeleted(data, timestamp) {
 
 /**
  * Handle PRODUCT_STATUS_CHANGED event
+ * Active products are (re)indexed, others removed
  * @param {Object} data - Event data
  * @param {string} timestamp - Event timestamp
  */
@@ -169,81 +163,37 @@ async function handleProductStatusChanged(data, timestamp) {
   console.log(`[SearchConsumer] Updating product ${productId} status: ${previousStatus} -> ${status}`);
   
   try {
-    // If product is now inactive/deleted, remove from index
-    if (status === 'inactive' || status === 'deleted') {
-      await elasticsearchClient.deleteDocument(PRODUCT_INDEX, productId);
-      console.log(`[SearchConsumer] Product ${productId} removed (status: ${status})`);
-    } 
-    // If product is now active, update status in index
-    else if (status === 'active') {
-      await elasticsearchClient.updateDocument(PRODUCT_INDEX, productId, {
-        status,
-        isActive: true,
-        updatedAt: timestamp,
-      });
-      console.log(`[SearchConsumer] Product ${productId} status updated to ${status}`);
-    }
+    const outcome = await syncProduct(productId);
+    console.log(`[SearchConsumer] Product ${productId} ${outcome || 'not synced, search unavailable'} (status: ${status})`);
   } catch (error) {
     console.error(`[SearchConsumer] Failed to update product status:`, error.message);
     throw error;
   }
 }
 
-/**
- * Handle PRODUCT_INVENTORY_CHANGED event
- * @param {Object} data - Event data
- * @param {string} timestamp - Event timestamp
- */
-async function handleInventoryChanged(data, timestamp) {
-  const { productId, variantId, quantity, previousQuantity } = data;
-  
-  console.log(`[SearchConsumer] Updating inventory for product ${productId}`);
-  
-  try {
-    const inStock = quantity > 0;
-    
-    await elasticsearchClient.updateDocument(PRODUCT_INDEX, productId, {
-      inStock,
-      stockQuantity: quantity,
-      updatedAt: timestamp,
-    });
-    
-    console.log(`[SearchConsumer] Product ${productId} inventory updated (inStock: ${inStock})`);
-  } catch (error) {
-    console.error(`[SearchConsumer] Failed to update inventory:`, error.message);
-    // Don't throw - inventory updates are not critical for search
-  }
-}
-
 /**
  * Handle CATEGORY_UPDATED event
  * @param {Object} data - Event data
  * @param {string} timestamp - Event timestamp
  */
 async function handleCategoryUpdated(data, timestamp) {
-  const { categoryId, name, slug, parentId } = data;
+  const { categoryId, name } = data;
   
   console.log(`[SearchConsumer] Category ${categoryId} updated, updating related products`);
   
   try {
     // Update all products in this category
-    await elasticsearchClient.updateByQuery(PRODUCT_INDEX, {
+    await writeToIndices(index => elasticsearchClient.updateByQuery(index, {
       query: {
-        term: { categoryId },
+        term: { category_id: categoryId },
       },
       script: {
-        source: `
-          ctx._source.categoryName = params.name;
-          ctx._source.categorySlug = params.slug;
-          ctx._source.updatedAt = params.timestamp;
-        `,
+        source: 'ctx._source.category_name = params.name;',
         params: {
           name,
-          slug,
-          timestamp,
         },
       },
-    });
+    }));
     
     console.log(`[SearchConsumer] Products in category ${categoryId} updated`);
   } catch (error) {
@@ -252,120 +202,101 @@ async function handleCategoryUpdated(data, timestamp) {
   }
 }
 
+/**
+ * Handle SEARCH_REINDEX_REQUESTED event
+ * Zero-downtime reindex: build a new versioned index with the current mapping
+ * and synonyms, fill it from the products table (source 'database') or copy the
+ * current index (source 'index') while product writes also go to the new index,
+ * then swap the alias atomically and drop the old index. The running job records
+ * the new index for every writer (see searchService.writeToIndices) and reports
+ * the progress.
+ * @param {Object} data - Event data (jobId, source, requestedBy, reason)
+ * @param {string} timestamp - Event timestamp
+ */
+async function handleReindexRequested(data = {}, timestamp) {
+  const searchIndexService = require('../../../modules/product/services/search-index.service');
+  const searchService = require('../../../modules/product/services/search.service');
+  const { source = 'database' } = data;
+  let { jobId = null } = data;
+  let newIndex = null;
+
+  try {
+    const running = await searchIndexService.findRunningReindex();
+    if (running) {
+      console.warn(`[SearchConsumer] Reindex into ${running.target_index} already running, request ignored`);
+      await searchIndexService.finishJob(jobId, new Error(`Reindex into ${running.target_index} already running`));
+      return;
+    }
+
+    console.log('[SearchConsumer] Reindex requested', { jobId, source, requestedBy: data.requestedBy, reason: data.reason });
+
+    const synonyms = await searchService.getSynonymRules();
+    newIndex = await elasticsearchClient.createVersionedIndex(synonyms);
+    jobId = await searchIndexService.startReindex(jobId, {
+      targetIndex: newIndex,
+      source,
+      requestedBy: data.requestedBy,
+      reason: data.reason,
+    });
+
+    if (source === 'index') {
+      if (await elasticsearchClient.esClient.indices.exists({ index: PRODUCT_INDEX })) {
+        const result = await elasticsearchClient.copyIndex(PRODUCT_INDEX, newIndex);
+        if (result.failures?.length > 0) {
+          throw new Error(`${result.failures.length} documents failed to copy`);
+        }
+        await searchIndexService.updateJob(jobId, { processed: result.created || 0 });
+        console.log(`[SearchConsumer] Copied ${result.created || 0} documents into ${newIndex}`);
+      }
+    } else {
+      const progress = await searchIndexService.fillIndex(newIndex, { jobId });
+      if (progress.failed > 0) {
+        throw new Error(`${progress.failed} products failed to index`);
+      }
+      console.log(`[SearchConsumer] Indexed ${progress.indexed} of ${progress.processed} products into ${newIndex}`);
+    }
+
+    const previous = await elasticsearchClient.swapAlias(newIndex);
+    // Closing the job ends the double writes; the alias already points to the new index
+    await searchIndexService.finishJob(jobId);
+    await elasticsearchClient.deleteIndices(previous);
+
+    console.log(`[SearchConsumer] Alias ${PRODUCT_INDEX} now points to ${newIndex} (was ${previous.join(', ') || 'none'})`);
+  } catch (error) {
+    console.error('[SearchConsumer] Reindex failed:', error.message);
+
+    // Closed first, so writers stop targeting the new index before it is dropped
+    await searchIndexService.finishJob(jobId, error);
+    if (newIndex) {
+      await elasticsearchClient.deleteIndices([newIndex]).catch(cleanupError => {
+        console.error(`[SearchConsumer] Failed to delete ${newIndex}:`, cleanupError.message);
+      });
+    }
+    // Don't throw - a failed reindex is requested again, not requeued
+  }
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
 /**
- * Transform product data for Elasticsearch index
- * @param {Object} product - Product data
- * @returns {Object} - Transformed document
+ * Apply a write to the product alias and, during a reindex, to the new index
+ * @param {Function} write - (index) => Promise
  */
-function transformProductForIndex(product) {
-  return {
-    id: product.id,
-    name: product.name,
-    slug: product.slug,
-    description: product.description,
-    shortDescription: product.short_description,
-    
-    // Pricing
-    price: product.price,
-    originalPrice: product.original_price,
-    discountPercent: product.discount_percent,
-    
-    // Category
-    categoryId: product.category_id,
-    categoryName: product.category?.name,
-    categorySlug: product.category?.slug,
-    
-    // Shop/Partner
-    shopId: product.shop_id,
-    shopName: product.shop?.name,
-    partnerId: product.partner_id,
-    
-    // Status
-    status: product.status,
-    isActive: product.status === 'active',
-    inStock: product.stock_quantity > 0,
-    stockQuantity: product.stock_quantity,
-    
-    // Ratings
-    avgRating: product.avg_rating || 0,
-    totalReviews: product.total_reviews || 0,
-    
-    // Sales
-    totalSold: product.total_sold || 0,
-    
-    // Images
-    thumbnailUrl: product.thumbnail_url,
-    images: product.images?.map(img => img.url) || [],
-    
-    // Attributes for filtering
-    attributes: product.attributes || {},
-    tags: product.tags || [],
-    
-    // Variants
-    hasVariants: product.variants?.length > 0,
-    variantCount: product.variants?.length || 0,
-    
-    // Timestamps
-    createdAt: product.created_at,
-    updatedAt: product.updated_at,
-    
-    // Search optimization
-    searchText: [
-      product.name,
-      product.description,
-      product.short_description,
-      product.category?.name,
-      product.shop?.name,
-      ...(product.tags || []),
-    ].filter(Boolean).join(' '),
-  };
+async function writeToIndices(write) {
+  const searchService = require('../../../modules/product/services/search.service');
+  return searchService.writeToIndices(write);
 }
 
 /**
- * Transform updated fields for partial update
- * @param {Object} fields - Updated fields
- * @returns {Object} - Transformed fields
+ * Index or remove a product so its document matches the database
+ * @param {string} productId
+ * @returns {Promise<string|null>} 'indexed' | 'removed', null when Elasticsearch is unavailable
  */
-function transformFieldsForUpdate(fields) {
-  const transformed = {};
-  
-  const fieldMapping = {
-    name: 'name',
-    slug: 'slug',
-    description: 'description',
-    short_description: 'shortDescription',
-    price: 'price',
-    original_price: 'originalPrice',
-    discount_percent: 'discountPercent',
-    stock_quantity: 'stockQuantity',
-    avg_rating: 'avgRating',
-    total_reviews: 'totalReviews',
-    total_sold: 'totalSold',
-    thumbnail_url: 'thumbnailUrl',
-    status: 'status',
-  };
-  
-  for (const [key, value] of Object.entries(fields)) {
-    const mappedKey = fieldMapping[key] || key;
-    transformed[mappedKey] = value;
-  }
-  
-  // Add derived fields
-  if (fields.stock_quantity !== undefined) {
-    transformed.inStock = fields.stock_quantity > 0;
-  }
-  
-  if (fields.status !== undefined) {
-    transformed.isActive = fields.status === 'active';
-  }
-  
-  transformed.updatedAt = new Date().toISOString();
-  
-  return transformed;
+async function syncProduct(productId) {
+  const searchIndexService = require('../../../modules/product/services/search-index.service');
+  return searchIndexService.syncProduct(productId);
 }
 
 /**
@@ -379,8 +310,7 @@ module.exports = {
   initialize,
   start,
   stop,
+  handleReindexRequested,
   QUEUE_NAME,
   HANDLED_EVENTS,
-  transformProductForIndex,
-  transformFieldsForUpdate,
 };
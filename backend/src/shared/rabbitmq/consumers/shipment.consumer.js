@@ -582,6 +582,7 @@ async function handleDeliveryCompletedInternal(data, timestamp) {
     const codAmountNum = parseFloat(codAmount || 0);
     if (codAmountNum > 0 && codCollected) {
       await handleCodPaymentRelease(shipmentId, shipperId, partnerId, codAmountNum);
+      await markOrderCodCollected(orderId);
       console.log(`[ShipmentConsumer] COD payment of ${codAmountNum} released for shipment ${shipmentId}`);
     }
     
@@ -922,6 +923,10 @@ async function updateOrderStatusDirect(orderId, subOrderId, status) {
       
       if (subOrderError) {
         console.error('[ShipmentConsumer] Failed to update sub-order status:', subOrderError.message);
+      } else {
+        // Delivered -> deduct reserved stock; cancelled/returned undelivered -> release it
+        const stockService = require('../../../modules/order/services/stock.service');
+        await stockService.syncSubOrderStock(subOrderId, subOrderStatus);
       }
     }
     
@@ -1130,6 +1135,19 @@ async function handleCodPaymentRelease(shipmentId, shipperId, partnerId, codAmou
   }
 }
 
+/**
+ * Mark the order's COD payment as paid once cash was collected for it,
+ * so it can later be refunded (to the wallet)
+ */
+async function markOrderCodCollected(orderId) {
+  try {
+    const orderRepository = require('../../../modules/order/order.repository');
+    await orderRepository.markCodCollected(orderId);
+  } catch (error) {
+    console.error('[ShipmentConsumer] Failed to mark COD as collected:', error.message);
+  }
+}
+
 /**
  * Check if all shipments for an order are delivered and complete the order
  * Requirements: 12.4 - When all shipments are delivered, mark order as fully completed
@@ -0,0 +1,173 @@
+/**
+ * Property-Based Tests for Socket.io Service
+ * Runs a real Socket.io server and clients over a local HTTP server
+ *
+ * Tests handshake authentication, authorized room joins and token expiry
+ */
+
+const fc = require('fast-check');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { io: connectClient } = require('socket.io-client');
+const config = require('../../../config');
+const socketService = require('../socket.service');
+
+const ROLES = ['customer', 'partner', 'shipper', 'admin'];
+
+function signToken(payload, options = { expiresIn: '15m' }) {
+  return jwt.sign(payload, config.jwt.accessSecret, options);
+}
+
+describe('Socket.io Service Property Tests', () => {
+  let httpServer;
+  let url;
+  const clients = [];
+
+  // Ownership table used by the registered access policy: shipmentId -> Set(userId)
+  const access = new Map();
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    httpServer = http.createServer();
+    socketService.initializeSocket(httpServer);
+    socketService.setAccessPolicy({
+      canAccessShipment: async (user, shipmentId) =>
+        user.role === 'admin' || Boolean(access.get(shipmentId)?.has(user.userId)),
+      resolveShipperId: async (userId) => `shipper-of-${userId}`,
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.close());
+  });
+
+  afterAll(async () => {
+    socketService.getIO().close();
+    await new Promise(resolve => httpServer.close(resolve));
+    console.log.mockRestore();
+  });
+
+  function connect(auth) {
+    const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+      client.once('connect', () => resolve(client));
+      client.once('connect_error', reject);
+    });
+  }
+
+  function emitWithAck(client, event, data) {
+    return new Promise(resolve => client.emit(event, data, resolve));
+  }
+
+  describe('Handshake authentication', () => {
+    test('rejects handshakes without a valid access token', async () => {
+      await expect(connect({})).rejects.toMatchObject({ data: { code: 'AUTH_UNAUTHORIZED' } });
+      await expect(connect({ token: 'not-a-jwt' })).rejects.toMatchObject({ data: { code: 'AUTH_TOKEN_INVALID' } });
+      await expect(connect({ token: jwt.sign({ userId: 'u1', role: 'customer' }, 'wrong-secret') }))
+        .rejects.toMatchObject({ data: { code: 'AUTH_TOKEN_INVALID' } });
+      await expect(connect({ token: signToken({ userId: 'u1', role: 'customer', exp: Math.floor(Date.now() / 1000) - 10 }, {}) }))
+        .rejects.toMatchObject({ data: { code: 'AUTH_TOKEN_EXPIRED' } });
+    });
+  });
+
+  /**
+   * Property: tracking:join is authorized
+   * For any user and shipment, the join SHALL succeed iff the access policy
+   * allows it; rejected joins SHALL emit tracking:error and receive no updates
+   */
+  describe('Authorized tracking rooms', () => {
+    test('joins succeed only for shipments the user may access', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.uuid(),
+          fc.constantFrom(...ROLES),
+          fc.uuid(),
+          fc.boolean(),
+          async (userId, role, shipmentId, owns) => {
+            access.set(shipmentId, new Set(owns ? [userId] : []));
+            const allowed = owns || role === 'admin';
+
+            const client = await connect({ token: signToken({ userId, role, sessionId: 's1' }) });
+            const errors = [];
+            const statuses = [];
+            client.on('tracking:error', e => errors.push(e));
+            client.on('shipment:status', s => statuses.push(s));
+
+            const ack = await emitWithAck(client, 'tracking:join', { shipmentId });
+            expect(ack.success).toBe(allowed);
+
+            socketService.emitShipmentStatusUpdate(shipmentId, 'delivering');
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            if (allowed) {
+              expect(errors).toHaveLength(0);
+              expect(statuses.map(s => s.shipmentId)).toEqual([shipmentId]);
+            } else {
+              expect(errors).toEqual([expect.objectContaining({ code: 'TRACKING_FORBIDDEN', shipmentId })]);
+              expect(statuses).toHaveLength(0);
+            }
+
+            client.close();
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    test('shipper identity comes from the token, not the payload', async () => {
+      const shipmentId = 'shipment-assigned';
+      access.set(shipmentId, new Set(['shipper-user']));
+
+      const shipper = await connect({ token: signToken({ userId: 'shipper-user', role: 'shipper' }) });
+      const customer = await connect({ token: signToken({ userId: 'customer-user', role: 'customer' }) });
+
+      const auth = await emitWithAck(shipper, 'shipper:auth', { shipperId: 'someone-else' });
+      expect(auth).toEqual({ success: true, shipperId: 'shipper-of-shipper-user' });
+
+      const forged = await emitWithAck(customer, 'shipper:auth', { shipperId: 'shipper-of-shipper-user' });
+      expect(forged.error.code).toBe('SHIPPER_FORBIDDEN');
+
+      const spoofed = await emitWithAck(customer, 'shipper:location', { shipmentId, latitude: 1, longitude: 2 });
+      expect(spoofed.success).toBe(false);
+
+      const admin = await connect({ token: signToken({ userId: 'admin-user', role: 'admin' }) });
+      await emitWithAck(admin, 'tracking:join', { shipmentId });
+      const received = new Promise(resolve => admin.once(`shipper:location:${shipmentId}`, resolve));
+
+      await emitWithAck(shipper, 'shipper:location', { shipmentId, shipperId: 'forged', latitude: 10.7, longitude: 106.6 });
+      expect(await received).toMatchObject({ shipmentId, shipperId: 'shipper-of-shipper-user', latitude: 10.7 });
+    });
+  });
+
+  describe('Token expiry', () => {
+    test('forces a disconnect when the token expires', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 1;
+      const client = await connect({ token: signToken({ userId: 'u-exp', role: 'customer', exp }, {}) });
+
+      const expired = new Promise(resolve => client.once('auth:expired', resolve));
+      const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+
+      expect(await expired).toMatchObject({ code: 'AUTH_TOKEN_EXPIRED' });
+      expect(await disconnected).toBe('io server disconnect');
+    });
+
+    test('auth:refresh extends the session only for the same user', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 1;
+      const client = await connect({ token: signToken({ userId: 'u-refresh', role: 'customer', exp }, {}) });
+
+      const refreshed = await emitWithAck(client, 'auth:refresh', { token: signToken({ userId: 'u-refresh', role: 'customer' }) });
+      expect(refreshed.success).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      expect(client.connected).toBe(true);
+
+      const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+      const hijack = await emitWithAck(client, 'auth:refresh', { token: signToken({ userId: 'other', role: 'admin' }) });
+      expect(hijack.error.code).toBe('AUTH_TOKEN_INVALID');
+      await disconnected;
+    });
+  });
+});
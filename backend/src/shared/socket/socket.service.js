@@ -1,15 +1,208 @@
 /**
  * Socket.io Service for Real-time Communication
  * Handles shipper location tracking and shipment status updates
- * 
+ *
  * Inspired by Flutter-Delivery-App reference project
+ *
+ * Every connection must present a valid access token in the handshake.
+ * Room joins are authorized by an access policy registered by the owning
+ * module (see setAccessPolicy); without a policy only admins may join.
  */
 
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const config = require('../../config');
 
 let io = null;
 
+/**
+ * Access policy for shipment rooms
+ * - canAccessShipment(user, shipmentId) => Promise<boolean>
+ * - resolveShipperId(userId) => Promise<string|null>
+ */
+let accessPolicy = {
+  canAccessShipment: async (user) => user.role === 'admin',
+  resolveShipperId: async () => null,
+};
+
+/**
+ * Register the access policy used to authorize room joins
+ * @param {Object} policy
+ * @param {Function} policy.canAccessShipment - (user, shipmentId) => Promise<boolean>
+ * @param {Function} policy.resolveShipperId - (userId) => Promise<string|null>
+ */
+function setAccessPolicy(policy) {
+  accessPolicy = { ...accessPolicy, ...policy };
+}
+
+/**
+ * Build a socket auth error; the code is exposed to clients via err.data
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+}
+
+/**
+ * Extract access token from the handshake (auth payload, query or Authorization header)
+ * @param {Object} handshake
+ * @returns {string|null}
+ */
+function extractHandshakeToken(handshake) {
+  const header = handshake.headers?.authorization;
+  const token = handshake.auth?.token
+    || handshake.query?.token
+    || (header && header.startsWith('Bearer ') ? header.slice(7) : header);
+  return token || null;
+}
+
+/**
+ * Verify an access token the same way the HTTP auth middleware does
+ * @param {string} token
+ * @returns {{userId: string, role: string, sessionId: string, exp: number}}
+ * @throws {Error} with data.code AUTH_UNAUTHORIZED | AUTH_TOKEN_EXPIRED | AUTH_TOKEN_INVALID
+ */
+function verifySocketToken(token) {
+  if (!token) {
+    throw createAuthError('AUTH_UNAUTHORIZED', 'No token provided');
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwt.accessSecret);
+    return {
+      userId: decoded.userId,
+      role: decoded.role,
+      sessionId: decoded.sessionId,
+      exp: decoded.exp,
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createAuthError('AUTH_TOKEN_EXPIRED', 'Token has expired');
+    }
+    throw createAuthError('AUTH_TOKEN_INVALID', 'Invalid token');
+  }
+}
+
+/**
+ * Disconnect a socket whose token has expired
+ * @param {Socket} socket
+ */
+function expireSocket(socket) {
+  socket.emit('auth:expired', { code: 'AUTH_TOKEN_EXPIRED', message: 'Token has expired' });
+  socket.disconnect(true);
+}
+
+/**
+ * Attach user to socket and schedule a forced disconnect at token expiry
+ * @param {Socket} socket
+ * @param {Object} user - Verified token payload
+ */
+function attachUser(socket, user) {
+  clearTimeout(socket.data.expiryTimer);
+  socket.data.user = user;
+
+  if (user.exp) {
+    const msUntilExpiry = user.exp * 1000 - Date.now();
+    // setTimeout overflows past ~24.8 days; longer-lived tokens are caught by isExpired
+    if (msUntilExpiry < 2 ** 31) {
+      socket.data.expiryTimer = setTimeout(() => expireSocket(socket), Math.max(msUntilExpiry, 0));
+    }
+  }
+}
+
+/**
+ * Check whether the socket's token has expired
+ * @param {Socket} socket
+ * @returns {boolean}
+ */
+function isExpired(socket) {
+  const exp = socket.data.user?.exp;
+  return Boolean(exp) && exp * 1000 <= Date.now();
+}
+
+/**
+ * Wrap an event handler: rejects events from stale sockets and reports errors
+ * on `<errorEvent>` (and the ack callback when the client passed one)
+ * @param {Socket} socket
+ * @param {string} errorEvent
+ * @param {Function} handler - async (data) => ackPayload
+ * @returns {Function}
+ */
+function guarded(socket, errorEvent, handler) {
+  return async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (isExpired(socket)) {
+      expireSocket(socket);
+      return;
+    }
+
+    try {
+      const result = await handler(data || {});
+      reply({ success: true, ...result });
+    } catch (error) {
+      const payload = {
+        code: error.data?.code || 'SOCKET_ERROR',
+        message: error.message,
+        ...(data && data.shipmentId ? { shipmentId: data.shipmentId } : {}),
+      };
+      socket.emit(errorEvent, payload);
+      reply({ success: false, error: payload });
+    }
+  };
+}
+
+/**
+ * Authorize a socket for a shipment room
+ * @param {Socket} socket
+ * @param {string} shipmentId
+ * @throws {Error} with data.code TRACKING_FORBIDDEN
+ */
+async function authorizeShipment(socket, shipmentId) {
+  if (!shipmentId || typeof shipmentId !== 'string') {
+    throw createAuthError('VALIDATION_ERROR', 'shipmentId is required');
+  }
+
+  let allowed = false;
+  try {
+    allowed = await accessPolicy.canAccessShipment(socket.data.user, shipmentId);
+  } catch (error) {
+    console.error(`[Socket] Access check failed for shipment ${shipmentId}:`, error.message);
+  }
+
+  if (!allowed) {
+    throw createAuthError('TRACKING_FORBIDDEN', 'You do not have access to this shipment');
+  }
+}
+
+/**
+ * Resolve (once) the shipper profile of a shipper socket and join its room
+ * @param {Socket} socket
+ * @returns {Promise<string>} Shipper ID
+ * @throws {Error} with data.code SHIPPER_FORBIDDEN | SHIPPER_NOT_FOUND
+ */
+async function ensureShipper(socket) {
+  if (socket.data.shipperId) return socket.data.shipperId;
+
+  if (socket.data.user.role !== 'shipper') {
+    throw createAuthError('SHIPPER_FORBIDDEN', 'Only shippers can join shipper rooms');
+  }
+
+  const shipperId = await accessPolicy.resolveShipperId(socket.data.user.userId);
+  if (!shipperId) {
+    throw createAuthError('SHIPPER_NOT_FOUND', 'Shipper profile not found');
+  }
+
+  socket.data.shipperId = shipperId;
+  socket.join(`shipper:${shipperId}`);
+  console.log(`Shipper authenticated: ${shipperId}`);
+  return shipperId;
+}
+
 /**
  * Initialize Socket.io server
  * @param {http.Server} httpServer - HTTP server instance
@@ -23,71 +216,87 @@ function initializeSocket(httpServer) {
     transports: ['websocket', 'polling'],
   });
 
-  // Authentication middleware
-  io.use(async (socket, next) => {
+  // Authentication middleware: reject connections without a valid access token
+  io.use((socket, next) => {
     try {
-      const token = socket.handshake.auth.token || socket.handshake.query.token;
-      
-      if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        socket.userId = decoded.userId;
-        socket.userRole = decoded.role;
-      }
-      
+      const user = verifySocketToken(extractHandshakeToken(socket.handshake));
+      attachUser(socket, user);
       next();
     } catch (error) {
-      // Allow connection without auth for tracking (customers don't need to login)
-      next();
+      next(error);
     }
   });
 
   io.on('connection', (socket) => {
-    console.log(`Socket connected: ${socket.id}`);
+    const { userId, role } = socket.data.user;
+    console.log(`Socket connected: ${socket.id} (user ${userId}, ${role})`);
 
-    // Shipper authenticates after login
-    socket.on('shipper:auth', (data) => {
-      const { shipperId, token } = data;
+    // Personal room for user-targeted events
+    socket.join(`user:${userId}`);
+
+    // Client swaps in a refreshed access token without reconnecting
+    socket.on('auth:refresh', async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        socket.shipperId = shipperId || decoded.userId;
-        socket.join(`shipper:${socket.shipperId}`);
-        console.log(`Shipper authenticated: ${socket.shipperId}`);
+        const user = verifySocketToken(data.token);
+        if (user.userId !== socket.data.user.userId) {
+          throw createAuthError('AUTH_TOKEN_INVALID', 'Token belongs to another user');
+        }
+        attachUser(socket, user);
+        reply({ success: true });
       } catch (error) {
-        console.error('Shipper auth failed:', error.message);
+        const payload = { code: error.data?.code || 'AUTH_TOKEN_INVALID', message: error.message };
+        socket.emit('auth:error', payload);
+        reply({ success: false, error: payload });
+        socket.disconnect(true);
       }
     });
 
-    // Shipper emits location update
-    socket.on('shipper:location', (data) => {
-      const { shipmentId, shipperId, latitude, longitude, heading, speed, timestamp } = data;
-      
+    // Shipper joins their own room; the shipper ID always comes from the token's user
+    socket.on('shipper:auth', guarded(socket, 'shipper:error', async () => {
+      const shipperId = await ensureShipper(socket);
+      return { shipperId };
+    }));
+
+    // Shipper emits location update for a shipment assigned to them
+    socket.on('shipper:location', guarded(socket, 'shipper:error', async (data) => {
+      const { shipmentId, latitude, longitude, heading, speed, timestamp } = data;
+
+      const shipperId = await ensureShipper(socket);
+      await authorizeShipment(socket, shipmentId);
+
       // Broadcast to all clients tracking this shipment
       io.to(`tracking:${shipmentId}`).emit(`shipper:location:${shipmentId}`, {
         shipmentId,
-        shipperId: shipperId || socket.shipperId,
+        shipperId,
         latitude,
         longitude,
         heading,
         speed,
         timestamp: timestamp || new Date().toISOString(),
       });
-    });
+      return {};
+    }));
 
-    // Customer joins tracking room for a shipment
-    socket.on('tracking:join', (data) => {
+    // Customer, partner or shipper joins tracking room for a shipment they can access
+    socket.on('tracking:join', guarded(socket, 'tracking:error', async (data) => {
       const { shipmentId } = data;
+      await authorizeShipment(socket, shipmentId);
+
       socket.join(`tracking:${shipmentId}`);
       console.log(`Client ${socket.id} joined tracking:${shipmentId}`);
-    });
+      return { shipmentId };
+    }));
 
     // Customer leaves tracking room
-    socket.on('tracking:leave', (data) => {
+    socket.on('tracking:leave', (data = {}) => {
       const { shipmentId } = data;
       socket.leave(`tracking:${shipmentId}`);
       console.log(`Client ${socket.id} left tracking:${shipmentId}`);
     });
 
     socket.on('disconnect', () => {
+      clearTimeout(socket.data.expiryTimer);
       console.log(`Socket disconnected: ${socket.id}`);
     });
   });
@@ -114,7 +323,7 @@ function getIO() {
  */
 function emitShipmentStatusUpdate(shipmentId, status, message = null) {
   if (!io) return;
-  
+
   io.to(`tracking:${shipmentId}`).emit('shipment:status', {
     shipmentId,
     status,
@@ -123,6 +332,21 @@ function emitShipmentStatusUpdate(shipmentId, status, message = null) {
   });
 }
 
+/**
+ * Broadcast arbitrary shipment changes (e.g. delivery proof) to tracking clients
+ * @param {string} shipmentId - Shipment ID
+ * @param {object} update - Changed fields
+ */
+function broadcastShipmentUpdate(shipmentId, update) {
+  if (!io) return;
+
+  io.to(`tracking:${shipmentId}`).emit('shipment:update', {
+    shipmentId,
+    ...update,
+    timestamp: new Date().toISOString(),
+  });
+}
+
 /**
  * Emit shipper location update (called from backend when location is saved)
  * @param {string} shipmentId - Shipment ID
@@ -130,7 +354,7 @@ function emitShipmentStatusUpdate(shipmentId, status, message = null) {
  */
 function emitShipperLocation(shipmentId, location) {
   if (!io) return;
-  
+
   io.to(`tracking:${shipmentId}`).emit(`shipper:location:${shipmentId}`, {
     shipmentId,
     ...location,
@@ -140,7 +364,9 @@ function emitShipperLocation(shipmentId, location) {
 
 module.exports = {
   initializeSocket,
+  setAccessPolicy,
   getIO,
   emitShipmentStatusUpdate,
+  broadcastShipmentUpdate,
   emitShipperLocation,
 };
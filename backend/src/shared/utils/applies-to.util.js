@@ -0,0 +1,37 @@
+/**
+ * Applies-To Utilities
+ * Restrictions of vouchers and installment plans to some categories, products or shops
+ *
+ * applies_to: { categoryIds, productIds, shopIds } (NULL or all empty = everything)
+ */
+
+/**
+ * Whether the rule is limited to some categories, products or shops
+ * @param {{applies_to: object|null}} rule - Voucher or installment plan
+ * @returns {boolean}
+ */
+function isRestricted(rule) {
+  const appliesTo = rule.applies_to;
+  return !!appliesTo && ['categoryIds', 'productIds', 'shopIds']
+    .some(key => Array.isArray(appliesTo[key]) && appliesTo[key].length > 0);
+}
+
+/**
+ * Whether an item matches one of the rule's restrictions
+ * @param {{applies_to: object|null}} rule - Voucher or installment plan
+ * @param {{productId, categoryId, shopId}} item
+ * @returns {boolean}
+ */
+function isItemEligible(rule, item) {
+  if (!isRestricted(rule)) return true;
+
+  const { categoryIds = [], productIds = [], shopIds = [] } = rule.applies_to;
+  return categoryIds.includes(item.categoryId)
+    || productIds.includes(item.productId)
+    || shopIds.includes(item.shopId);
+}
+
+module.exports = {
+  isRestricted,
+  isItemEligible,
+};
@@ -0,0 +1,47 @@
+/**
+ * System Settings Utility
+ * Read platform settings stored in system_settings (editable via /api/admin/settings)
+ */
+
+const { supabaseAdmin } = require('../supabase/supabase.client');
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting is missing or unreadable
+ * @returns {Promise<*>} Parsed JSONB value
+ */
+async function getSetting(key, defaultValue = null) {
+  const { data, error } = await supabaseAdmin
+    .from('system_settings')
+    .select('value')
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.warn(`[Settings] Failed to read setting ${key}:`, error.message);
+    return defaultValue;
+  }
+
+  if (!data || data.value === null || data.value === undefined) {
+    return defaultValue;
+  }
+
+  return data.value;
+}
+
+/**
+ * Get a numeric setting value
+ * @param {string} key - Setting key
+ * @param {number} defaultValue - Returned when missing or not a positive number
+ * @returns {Promise<number>}
+ */
+async function getNumberSetting(key, defaultValue) {
+  const value = Number(await getSetting(key, defaultValue));
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+module.exports = {
+  getSetting,
+  getNumberSetting,
+};
@@ -0,0 +1,35 @@
+/**
+ * Text Utilities
+ * Vietnamese text normalization for search
+ */
+
+/**
+ * Remove Vietnamese diacritics ("Điện thoại" -> "Dien thoai")
+ * @param {string} text
+ * @returns {string}
+ */
+function removeDiacritics(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+/**
+ * Normalize text for accent-insensitive search
+ * Same folding as products.search_text: lowercase, no diacritics
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+  return removeDiacritics(text)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  removeDiacritics,
+  normalizeSearchText,
+};
@@ -8,9 +8,13 @@
 
 import { useEffect, useState, useRef } from 'react';
 import { io, type Socket } from 'socket.io-client';
+import { useAuthStore } from '@/store/authStore';
 
 const SOCKET_URL = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:3000';
 
+// Handshake auth is read on every (re)connect so refreshed tokens are picked up
+const socketAuth = (cb: (data: object) => void) => cb({ token: useAuthStore.getState().token });
+
 export interface ShipperLocation {
   lat: number;
   lng: number;
@@ -36,6 +40,7 @@ export function useShipperTracking(shipmentId: string | null): UseShipperTrackin
     if (!shipmentId) return;
 
     const newSocket = io(SOCKET_URL, {
+      auth: socketAuth,
       transports: ['websocket', 'polling'],
       autoConnect: true,
       reconnection: true,
@@ -63,6 +68,11 @@ export function useShipperTracking(shipmentId: string | null): UseShipperTrackin
       setIsConnected(false);
     });
 
+    newSocket.on('tracking:error', (data: { message: string }) => {
+      console.error('[ShipperTracking] Tracking rejected:', data.message);
+      setError('Bạn không có quyền theo dõi đơn hàng này');
+    });
+
     // Listen for shipper location updates
     newSocket.on(`shipper:location:${shipmentId}`, (data: {
       latitude: number;
@@ -141,6 +151,7 @@ export function useShipmentStatusTracking(
     if (!shipmentId) return;
 
     const newSocket = io(SOCKET_URL, {
+      auth: socketAuth,
       transports: ['websocket', 'polling'],
       autoConnect: true,
     });
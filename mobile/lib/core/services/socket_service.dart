@@ -19,13 +19,15 @@ class SocketService {
   bool get isConnected => _isConnected;
 
   /// Initialize socket connection
-  void connect() {
+  /// The server rejects handshakes without a valid access token
+  void connect({String? token}) {
     if (_socket != null && _isConnected) return;
 
     _socket = IO.io(
       AppConfig.wsBaseUrl,
       IO.OptionBuilder()
           .setTransports(['websocket'])
+          .setAuth({'token': token})
           .enableAutoConnect()
           .enableReconnection()
           .setReconnectionAttempts(5)
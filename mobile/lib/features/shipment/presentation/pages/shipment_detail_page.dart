@@ -12,6 +12,7 @@ import '../../../../core/constants/app_colors.dart';
 import '../../../../core/services/navigation_service.dart';
 import '../../../../core/services/socket_service.dart';
 import '../../../../core/utils/map_utils.dart';
+import '../../../auth/data/datasources/auth_local_data_source.dart';
 import '../../../../injection.dart';
 import '../../../../shared/widgets/tracking_timeline.dart';
 import '../../domain/entities/shipment_entity.dart';
@@ -75,8 +76,9 @@ class _ShipmentDetailViewState extends State<ShipmentDetailView> {
   }
 
   /// Initialize socket for real-time location emission
-  void _initSocket() {
-    SocketService.instance.connect();
+  Future<void> _initSocket() async {
+    final token = await getIt<AuthLocalDataSource>().getAccessToken();
+    SocketService.instance.connect(token: token);
   }
 
   /// Emit current location via socket for real-time tracking